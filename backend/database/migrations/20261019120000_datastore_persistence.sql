@@ -0,0 +1,278 @@
+-- =============================================================================
+-- Migration: DataStore Persistence
+-- Version: 20261019120000
+-- Description: Back the API DataStore with PostgreSQL (DATA_STORE=postgres)
+-- Author: Backend Team
+-- Date: 2026-10-19
+-- =============================================================================
+
+-- The API keeps its collections in memory and writes every change through
+-- src/infrastructure/persistence/PostgresAdapter.ts. Each row stores the full
+-- API record in a JSONB "record" column next to the mapped relational columns
+-- (see collectionMappings.ts). Records are loaded from "record" at startup.
+--
+-- migrate.js runs this file inside a transaction.
+
+-- -----------------------------------------------------------------------------
+-- Tables for collections that schema.sql does not define
+-- -----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL,
+    user_id UUID,
+    token TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    record JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS appropriations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL,
+    fiscal_year_id UUID,
+    code TEXT,
+    name TEXT,
+    appropriation_type TEXT,
+    amount NUMERIC(20, 2),
+    expiration_date TIMESTAMP WITH TIME ZONE,
+    record JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS budget_versions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL,
+    budget_id UUID REFERENCES budgets(id) ON DELETE CASCADE,
+    version INTEGER,
+    changes TEXT,
+    created_by UUID,
+    record JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS variance_analyses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL,
+    budget_id UUID,
+    fiscal_year_id UUID,
+    period TEXT,
+    variance NUMERIC(20, 2),
+    status TEXT,
+    record JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS approval_workflows (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL,
+    name TEXT,
+    entity_type TEXT,
+    approval_level TEXT,
+    is_active BOOLEAN,
+    created_by UUID,
+    record JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS approval_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL,
+    workflow_id UUID,
+    entity_type TEXT,
+    entity_id UUID,
+    requested_by UUID,
+    status TEXT,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    record JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS approval_actions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL,
+    request_id UUID REFERENCES approval_requests(id) ON DELETE CASCADE,
+    step INTEGER,
+    approver_id UUID,
+    action TEXT,
+    record JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS applications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL,
+    organization_id UUID,
+    application_number TEXT,
+    application_type TEXT,
+    status TEXT,
+    applicant_first_name TEXT,
+    applicant_last_name TEXT,
+    applicant_email TEXT,
+    record JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS application_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL,
+    application_id UUID REFERENCES applications(id) ON DELETE CASCADE,
+    from_status TEXT,
+    to_status TEXT,
+    changed_at TIMESTAMP WITH TIME ZONE,
+    changed_by UUID,
+    record JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS application_comments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL,
+    application_id UUID REFERENCES applications(id) ON DELETE CASCADE,
+    comment TEXT,
+    is_internal BOOLEAN,
+    created_by UUID,
+    record JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS fund_disbursements (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL,
+    application_id UUID REFERENCES applications(id) ON DELETE CASCADE,
+    disbursement_number TEXT,
+    amount NUMERIC(20, 2),
+    disbursement_date DATE,
+    payment_method TEXT,
+    status TEXT,
+    record JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+
+-- -----------------------------------------------------------------------------
+-- JSONB record column on the existing tables
+-- -----------------------------------------------------------------------------
+
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS record JSONB;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS record JSONB;
+ALTER TABLE fiscal_years ADD COLUMN IF NOT EXISTS record JSONB;
+ALTER TABLE programs ADD COLUMN IF NOT EXISTS record JSONB;
+ALTER TABLE budgets ADD COLUMN IF NOT EXISTS record JSONB;
+ALTER TABLE budget_line_items ADD COLUMN IF NOT EXISTS record JSONB;
+ALTER TABLE obligations ADD COLUMN IF NOT EXISTS record JSONB;
+ALTER TABLE expenditures ADD COLUMN IF NOT EXISTS record JSONB;
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS record JSONB;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS record JSONB;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS record JSONB;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS record JSONB;
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS record JSONB;
+
+-- Tables created by Prisma have no record column and some lack created_at
+ALTER TABLE applications ADD COLUMN IF NOT EXISTS record JSONB;
+ALTER TABLE application_status_history ADD COLUMN IF NOT EXISTS record JSONB;
+ALTER TABLE application_status_history ADD COLUMN IF NOT EXISTS created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE application_comments ADD COLUMN IF NOT EXISTS record JSONB;
+ALTER TABLE fund_disbursements ADD COLUMN IF NOT EXISTS record JSONB;
+
+-- -----------------------------------------------------------------------------
+-- Relax constraints on columns the API does not always populate
+-- (values that do not fit a column are written as NULL; "record" keeps them)
+-- -----------------------------------------------------------------------------
+ALTER TABLE programs ALTER COLUMN organization_id DROP NOT NULL;
+ALTER TABLE programs ALTER COLUMN fiscal_year_id DROP NOT NULL;
+
+ALTER TABLE budgets ALTER COLUMN organization_id DROP NOT NULL;
+ALTER TABLE budgets ALTER COLUMN fiscal_year_id DROP NOT NULL;
+ALTER TABLE budgets ALTER COLUMN requested_amount DROP NOT NULL;
+ALTER TABLE budgets ALTER COLUMN appropriation_type DROP NOT NULL;
+
+ALTER TABLE budget_line_items ALTER COLUMN title DROP NOT NULL;
+ALTER TABLE budget_line_items ALTER COLUMN requested_amount DROP NOT NULL;
+
+ALTER TABLE obligations ALTER COLUMN budget_id DROP NOT NULL;
+ALTER TABLE obligations ALTER COLUMN fiscal_year_id DROP NOT NULL;
+ALTER TABLE obligations ALTER COLUMN obligation_number DROP NOT NULL;
+ALTER TABLE obligations ALTER COLUMN obligation_date DROP NOT NULL;
+
+ALTER TABLE expenditures ALTER COLUMN obligation_id DROP NOT NULL;
+ALTER TABLE expenditures ALTER COLUMN budget_id DROP NOT NULL;
+ALTER TABLE expenditures ALTER COLUMN fiscal_year_id DROP NOT NULL;
+ALTER TABLE expenditures ALTER COLUMN expenditure_number DROP NOT NULL;
+ALTER TABLE expenditures ALTER COLUMN expenditure_date DROP NOT NULL;
+
+ALTER TABLE audit_logs ALTER COLUMN transaction_type DROP NOT NULL;
+ALTER TABLE audit_logs ALTER COLUMN entity_type DROP NOT NULL;
+ALTER TABLE audit_logs ALTER COLUMN entity_id DROP NOT NULL;
+
+ALTER TABLE comments ALTER COLUMN entity_id DROP NOT NULL;
+
+ALTER TABLE applications ALTER COLUMN application_type DROP NOT NULL;
+ALTER TABLE application_status_history ALTER COLUMN to_status DROP NOT NULL;
+
+-- -----------------------------------------------------------------------------
+-- Indexes
+-- -----------------------------------------------------------------------------
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_tenant_id ON refresh_tokens(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_appropriations_tenant_id ON appropriations(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_budget_versions_tenant_id ON budget_versions(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_variance_analyses_tenant_id ON variance_analyses(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_approval_workflows_tenant_id ON approval_workflows(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_approval_requests_tenant_id ON approval_requests(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_approval_actions_tenant_id ON approval_actions(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_applications_tenant_id ON applications(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_application_status_history_tenant_id ON application_status_history(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_application_comments_tenant_id ON application_comments(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_fund_disbursements_tenant_id ON fund_disbursements(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_budget_versions_budget_id ON budget_versions(budget_id);
+CREATE INDEX IF NOT EXISTS idx_approval_requests_entity ON approval_requests(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_approval_actions_request_id ON approval_actions(request_id);
+
+-- =============================================================================
+-- ROLLBACK INSTRUCTIONS (Execute in reverse order if needed)
+-- =============================================================================
+/*
+BEGIN;
+DROP TABLE IF EXISTS approval_actions;
+DROP TABLE IF EXISTS approval_requests;
+DROP TABLE IF EXISTS approval_workflows;
+DROP TABLE IF EXISTS variance_analyses;
+DROP TABLE IF EXISTS budget_versions;
+DROP TABLE IF EXISTS appropriations;
+DROP TABLE IF EXISTS refresh_tokens;
+-- Application tables: drop only if they were created by this migration
+
+ALTER TABLE organizations DROP COLUMN IF EXISTS record;
+ALTER TABLE users DROP COLUMN IF EXISTS record;
+ALTER TABLE fiscal_years DROP COLUMN IF EXISTS record;
+ALTER TABLE programs DROP COLUMN IF EXISTS record;
+ALTER TABLE budgets DROP COLUMN IF EXISTS record;
+ALTER TABLE budget_line_items DROP COLUMN IF EXISTS record;
+ALTER TABLE obligations DROP COLUMN IF EXISTS record;
+ALTER TABLE expenditures DROP COLUMN IF EXISTS record;
+ALTER TABLE audit_logs DROP COLUMN IF EXISTS record;
+ALTER TABLE documents DROP COLUMN IF EXISTS record;
+ALTER TABLE comments DROP COLUMN IF EXISTS record;
+ALTER TABLE notifications DROP COLUMN IF EXISTS record;
+ALTER TABLE reports DROP COLUMN IF EXISTS record;
+ALTER TABLE applications DROP COLUMN IF EXISTS record;
+ALTER TABLE application_status_history DROP COLUMN IF EXISTS record;
+ALTER TABLE application_comments DROP COLUMN IF EXISTS record;
+ALTER TABLE fund_disbursements DROP COLUMN IF EXISTS record;
+-- NOT NULL constraints can only be restored once rows without values are removed
+DELETE FROM schema_migrations WHERE version = '20261019120000';
+COMMIT;
+*/
@@ -0,0 +1,54 @@
+-- =============================================================================
+-- Migration: Apportionments and Allotments
+-- Version: 20261019130000
+-- Description: SF-132 apportionments and the funds distribution tree (PPBE-013)
+-- Author: Backend Team
+-- Date: 2026-10-19
+-- =============================================================================
+
+-- Apportionment lines and footnotes are kept in the JSONB record; the columns
+-- below carry the totals and keys used for reporting.
+
+CREATE TABLE IF NOT EXISTS apportionments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL,
+    appropriation_id UUID REFERENCES appropriations(id) ON DELETE CASCADE,
+    fiscal_year_id UUID,
+    reapportionment_number INTEGER,
+    total_apportioned NUMERIC(20, 2),
+    approved_date TIMESTAMP WITH TIME ZONE,
+    record JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS allotments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL,
+    appropriation_id UUID REFERENCES appropriations(id) ON DELETE CASCADE,
+    organization_id UUID,
+    parent_allotment_id UUID REFERENCES allotments(id),
+    amount NUMERIC(20, 2),
+    description TEXT,
+    created_by UUID,
+    record JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_apportionments_tenant_id ON apportionments(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_apportionments_appropriation_id ON apportionments(appropriation_id);
+CREATE INDEX IF NOT EXISTS idx_allotments_tenant_id ON allotments(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_allotments_appropriation_id ON allotments(appropriation_id);
+CREATE INDEX IF NOT EXISTS idx_allotments_parent_allotment_id ON allotments(parent_allotment_id);
+
+-- =============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- =============================================================================
+/*
+BEGIN;
+DROP TABLE IF EXISTS allotments;
+DROP TABLE IF EXISTS apportionments;
+DELETE FROM schema_migrations WHERE version = '20261019130000';
+COMMIT;
+*/
@@ -0,0 +1,46 @@
+-- =============================================================================
+-- Migration: Reprogrammings
+-- Version: 20261019140000
+-- Description: Reprogramming actions and below threshold tracking (PPBE-015)
+-- Author: Backend Team
+-- Date: 2026-10-19
+-- =============================================================================
+
+-- from_id / to_id reference a program element or a budget line item depending
+-- on line_type, so they carry no foreign key. The threshold evaluation is kept
+-- in the JSONB record.
+
+CREATE TABLE IF NOT EXISTS reprogrammings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL,
+    control_number VARCHAR(50),
+    fiscal_year_id UUID,
+    appropriation_type VARCHAR(50),
+    line_type VARCHAR(50),
+    from_id UUID,
+    to_id UUID,
+    amount NUMERIC(20, 2),
+    category VARCHAR(50),
+    status VARCHAR(50),
+    approval_request_id UUID,
+    requested_by UUID,
+    applied_at TIMESTAMP WITH TIME ZONE,
+    record JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_reprogrammings_tenant_id ON reprogrammings(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_reprogrammings_fiscal_year_id ON reprogrammings(fiscal_year_id);
+CREATE INDEX IF NOT EXISTS idx_reprogrammings_from_id ON reprogrammings(from_id);
+CREATE INDEX IF NOT EXISTS idx_reprogrammings_to_id ON reprogrammings(to_id);
+
+-- =============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- =============================================================================
+/*
+BEGIN;
+DROP TABLE IF EXISTS reprogrammings;
+DELETE FROM schema_migrations WHERE version = '20261019140000';
+COMMIT;
+*/
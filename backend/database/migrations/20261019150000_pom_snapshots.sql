@@ -0,0 +1,37 @@
+-- =============================================================================
+-- Migration: POM Snapshots
+-- Version: 20261019150000
+-- Description: Point-in-time POM positions across program elements (PPBE-016)
+-- Author: Backend Team
+-- Date: 2026-10-19
+-- =============================================================================
+
+-- Program element FYDP positions (program of record and proposed) live in the
+-- program element's JSONB record. Snapshot programs and totals are kept in the
+-- JSONB record below.
+
+CREATE TABLE IF NOT EXISTS pom_snapshots (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL,
+    name VARCHAR(200),
+    budget_year INTEGER,
+    department VARCHAR(100),
+    total NUMERIC(20, 2),
+    created_by UUID,
+    record JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_pom_snapshots_tenant_id ON pom_snapshots(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_pom_snapshots_budget_year ON pom_snapshots(budget_year);
+
+-- =============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- =============================================================================
+/*
+BEGIN;
+DROP TABLE IF EXISTS pom_snapshots;
+DELETE FROM schema_migrations WHERE version = '20261019150000';
+COMMIT;
+*/
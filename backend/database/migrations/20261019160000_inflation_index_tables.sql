@@ -0,0 +1,37 @@
+-- =============================================================================
+-- Migration: Inflation Index Tables
+-- Version: 20261019160000
+-- Description: Inflation indices per appropriation type for TY/CY/BY dollar conversion (PPBE-017)
+-- Author: Backend Team
+-- Date: 2026-10-19
+-- =============================================================================
+
+-- The index for each fiscal year is kept in the JSONB record below. The
+-- dollar basis of budgets, line items and FYDP positions lives in their own
+-- JSONB records.
+
+CREATE TABLE IF NOT EXISTS inflation_index_tables (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL,
+    name VARCHAR(200),
+    appropriation_type VARCHAR(50),
+    base_year INTEGER,
+    source VARCHAR(500),
+    created_by UUID,
+    record JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_inflation_index_tables_tenant_id ON inflation_index_tables(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_inflation_index_tables_appropriation_type ON inflation_index_tables(appropriation_type);
+
+-- =============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- =============================================================================
+/*
+BEGIN;
+DROP TABLE IF EXISTS inflation_index_tables;
+DELETE FROM schema_migrations WHERE version = '20261019160000';
+COMMIT;
+*/
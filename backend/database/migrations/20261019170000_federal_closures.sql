@@ -0,0 +1,35 @@
+-- =============================================================================
+-- Migration: Federal Closures
+-- Version: 20261019170000
+-- Description: Ad-hoc federal closures excluded from business-day counts (PPBE-001)
+-- Author: Backend Team
+-- Date: 2026-10-19
+-- =============================================================================
+
+-- Legal public holidays (5 U.S.C. 6103) are computed, not stored. This table
+-- holds one-off closures such as an executive order closing offices.
+
+CREATE TABLE IF NOT EXISTS federal_closures (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL,
+    closure_date DATE NOT NULL,
+    name VARCHAR(200),
+    authority VARCHAR(500),
+    created_by UUID,
+    record JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_federal_closures_tenant_id ON federal_closures(tenant_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_federal_closures_tenant_date ON federal_closures(tenant_id, closure_date);
+
+-- =============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- =============================================================================
+/*
+BEGIN;
+DROP TABLE IF EXISTS federal_closures;
+DELETE FROM schema_migrations WHERE version = '20261019170000';
+COMMIT;
+*/
@@ -0,0 +1,39 @@
+-- =============================================================================
+-- Migration: Compliance Rule Packs
+-- Version: 20261019180000
+-- Description: Versioned, effective-dated compliance rules (PPBE-018)
+-- Author: Backend Team
+-- Date: 2026-10-19
+-- =============================================================================
+
+-- Thresholds, authorized purposes and periods of availability are kept in the
+-- JSONB record below. Packs are not changed once loaded; obligations record
+-- the version they were checked under in their own JSONB records.
+
+CREATE TABLE IF NOT EXISTS compliance_rule_packs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL,
+    version VARCHAR(50) NOT NULL,
+    name VARCHAR(200),
+    authority VARCHAR(500),
+    effective_date DATE NOT NULL,
+    based_on VARCHAR(50),
+    created_by UUID,
+    record JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_compliance_rule_packs_tenant_id ON compliance_rule_packs(tenant_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_compliance_rule_packs_tenant_version ON compliance_rule_packs(tenant_id, version);
+CREATE INDEX IF NOT EXISTS idx_compliance_rule_packs_effective_date ON compliance_rule_packs(effective_date);
+
+-- =============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- =============================================================================
+/*
+BEGIN;
+DROP TABLE IF EXISTS compliance_rule_packs;
+DELETE FROM schema_migrations WHERE version = '20261019180000';
+COMMIT;
+*/
@@ -0,0 +1,57 @@
+-- =============================================================================
+-- Migration: Workflow Definitions
+-- Version: 20261019190000
+-- Description: Versioned budget workflow graphs assigned per organization or budget category (PPBE-008)
+-- Author: Backend Team
+-- Date: 2026-10-19
+-- =============================================================================
+
+-- States, transitions, required fields, approval levels and guards are kept in
+-- the JSONB record below. A version is not changed once created; budgets
+-- record the definition and version they started with in their own JSONB
+-- records.
+
+CREATE TABLE IF NOT EXISTS workflow_definitions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL,
+    definition_key VARCHAR(50) NOT NULL,
+    version INTEGER NOT NULL,
+    name VARCHAR(200),
+    initial_state VARCHAR(50) NOT NULL,
+    retired BOOLEAN NOT NULL DEFAULT FALSE,
+    created_by UUID,
+    record JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflow_definitions_tenant_id ON workflow_definitions(tenant_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_workflow_definitions_tenant_key_version ON workflow_definitions(tenant_id, definition_key, version);
+
+CREATE TABLE IF NOT EXISTS workflow_assignments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL,
+    definition_key VARCHAR(50) NOT NULL,
+    organization_id UUID,
+    category VARCHAR(100),
+    created_by UUID,
+    record JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT workflow_assignments_scope CHECK (organization_id IS NOT NULL OR category IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflow_assignments_tenant_id ON workflow_assignments(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_workflow_assignments_definition_key ON workflow_assignments(definition_key);
+CREATE INDEX IF NOT EXISTS idx_workflow_assignments_organization_id ON workflow_assignments(organization_id);
+
+-- =============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- =============================================================================
+/*
+BEGIN;
+DROP TABLE IF EXISTS workflow_assignments;
+DROP TABLE IF EXISTS workflow_definitions;
+DELETE FROM schema_migrations WHERE version = '20261019190000';
+COMMIT;
+*/
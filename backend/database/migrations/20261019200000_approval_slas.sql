@@ -0,0 +1,28 @@
+-- =============================================================================
+-- Migration: Approval SLAs
+-- Version: 20261019200000
+-- Description: Due date of the current approval step, for the deadline sweep (BE-010)
+-- Author: Backend Team
+-- Date: 2026-10-19
+-- =============================================================================
+
+-- Step SLAs, reminders sent and escalations are kept in the JSONB record of
+-- approval_workflows and approval_requests. The current step's due date is a
+-- column so the hourly sweep can find open requests coming due.
+
+ALTER TABLE approval_requests ADD COLUMN IF NOT EXISTS step_due_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_approval_requests_open_due
+    ON approval_requests(step_due_at)
+    WHERE status IN ('pending', 'in_review');
+
+-- =============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- =============================================================================
+/*
+BEGIN;
+DROP INDEX IF EXISTS idx_approval_requests_open_due;
+ALTER TABLE approval_requests DROP COLUMN IF EXISTS step_due_at;
+DELETE FROM schema_migrations WHERE version = '20261019200000';
+COMMIT;
+*/
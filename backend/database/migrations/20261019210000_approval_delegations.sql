@@ -0,0 +1,44 @@
+-- =============================================================================
+-- Migration: Approval Delegations
+-- Version: 20261019210000
+-- Description: Date-ranged delegations of approval authority to acting approvers (BE-010)
+-- Author: Backend Team
+-- Date: 2026-10-19
+-- =============================================================================
+
+-- Entity type limits and the reason are kept in the JSONB record below.
+-- Responses made under a delegation record the approver acted for and the
+-- delegation in the JSONB record of approval_actions.
+
+CREATE TABLE IF NOT EXISTS approval_delegations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL,
+    delegator_id UUID NOT NULL,
+    delegate_id UUID NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    max_amount NUMERIC(20, 2),
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID,
+    record JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT approval_delegations_dates CHECK (end_date >= start_date),
+    CONSTRAINT approval_delegations_parties CHECK (delegator_id <> delegate_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_approval_delegations_tenant_id ON approval_delegations(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_approval_delegations_delegator ON approval_delegations(delegator_id, start_date, end_date);
+CREATE INDEX IF NOT EXISTS idx_approval_delegations_delegate
+    ON approval_delegations(delegate_id, start_date, end_date)
+    WHERE revoked_at IS NULL;
+
+-- =============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- =============================================================================
+/*
+BEGIN;
+DROP TABLE IF EXISTS approval_delegations;
+DELETE FROM schema_migrations WHERE version = '20261019210000';
+COMMIT;
+*/
@@ -0,0 +1,34 @@
+-- =============================================================================
+-- Migration: Separation of Duties
+-- Version: 20261019220000
+-- Description: Versioned separation-of-duties policies (BE-011)
+-- Author: Backend Team
+-- Date: 2026-10-19
+-- =============================================================================
+
+-- Each version holds the full rule set (pairs of conflicting duties and
+-- whether they are enforced) in the JSONB record below. Versions are not
+-- changed once saved; the latest one is in force.
+
+CREATE TABLE IF NOT EXISTS sod_policies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL,
+    version INTEGER NOT NULL,
+    created_by UUID,
+    record JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sod_policies_tenant_id ON sod_policies(tenant_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sod_policies_tenant_version ON sod_policies(tenant_id, version);
+
+-- =============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- =============================================================================
+/*
+BEGIN;
+DROP TABLE IF EXISTS sod_policies;
+DELETE FROM schema_migrations WHERE version = '20261019220000';
+COMMIT;
+*/
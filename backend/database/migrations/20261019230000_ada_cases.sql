@@ -0,0 +1,44 @@
+-- =============================================================================
+-- Migration: ADA Violation Cases
+-- Version: 20261019230000
+-- Description: Anti-Deficiency Act violation cases from preliminary review to reporting (PPBE-006)
+-- Author: Backend Team
+-- Date: 2026-10-19
+-- =============================================================================
+
+-- Findings, responsible individuals, corrective actions, reports, evidence
+-- and the case history are kept in the JSONB record below. The stage and its
+-- due date are columns so open and overdue cases can be listed.
+
+CREATE TABLE IF NOT EXISTS ada_cases (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL,
+    case_number VARCHAR(20) NOT NULL,
+    stage VARCHAR(30) NOT NULL,
+    stage_due_at TIMESTAMP WITH TIME ZONE,
+    appropriation_id UUID,
+    obligation_id UUID,
+    amount NUMERIC(20, 2),
+    discovered_on DATE NOT NULL,
+    opened_by UUID,
+    closed_at TIMESTAMP WITH TIME ZONE,
+    record JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ada_cases_tenant_id ON ada_cases(tenant_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ada_cases_tenant_case_number ON ada_cases(tenant_id, case_number);
+CREATE INDEX IF NOT EXISTS idx_ada_cases_open_due
+    ON ada_cases(stage_due_at)
+    WHERE stage <> 'CLOSED';
+
+-- =============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- =============================================================================
+/*
+BEGIN;
+DROP TABLE IF EXISTS ada_cases;
+DELETE FROM schema_migrations WHERE version = '20261019230000';
+COMMIT;
+*/
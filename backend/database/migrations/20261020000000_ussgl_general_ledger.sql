@@ -0,0 +1,61 @@
+-- =============================================================================
+-- Migration: USSGL General Ledger
+-- Version: 20261020000000
+-- Description: USSGL transaction codes and ledger postings for funds events (PPBE-019)
+-- Author: Backend Team
+-- Date: 2026-10-20
+-- =============================================================================
+
+-- A ledger transaction is one posting of a transaction code for a funds event
+-- (appropriation, apportionment, allotment, obligation or expenditure). Its
+-- balanced debit/credit entries are kept in the JSONB record; the Treasury
+-- account and accounting period are columns for trial balances.
+
+CREATE TABLE IF NOT EXISTS ussgl_transaction_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL,
+    code VARCHAR(10) NOT NULL,
+    event VARCHAR(20) NOT NULL,
+    created_by UUID,
+    record JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ussgl_transaction_codes_tenant_id ON ussgl_transaction_codes(tenant_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ussgl_transaction_codes_tenant_event ON ussgl_transaction_codes(tenant_id, event);
+
+CREATE TABLE IF NOT EXISTS ledger_transactions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL,
+    transaction_code VARCHAR(10) NOT NULL,
+    event VARCHAR(20) NOT NULL,
+    amount NUMERIC(20, 2) NOT NULL,
+    appropriation_id UUID NOT NULL,
+    treasury_account VARCHAR(50) NOT NULL,
+    fiscal_year INTEGER NOT NULL,
+    period INTEGER NOT NULL CHECK (period BETWEEN 1 AND 12),
+    posting_date TIMESTAMP WITH TIME ZONE NOT NULL,
+    source_type VARCHAR(30) NOT NULL,
+    source_id UUID NOT NULL,
+    posted_by VARCHAR(100),
+    record JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_transactions_tenant_id ON ledger_transactions(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_transactions_account_period
+    ON ledger_transactions(treasury_account, fiscal_year, period);
+CREATE INDEX IF NOT EXISTS idx_ledger_transactions_source ON ledger_transactions(source_type, source_id);
+
+-- =============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- =============================================================================
+/*
+BEGIN;
+DROP TABLE IF EXISTS ledger_transactions;
+DROP TABLE IF EXISTS ussgl_transaction_codes;
+DELETE FROM schema_migrations WHERE version = '20261020000000';
+COMMIT;
+*/
@@ -0,0 +1,35 @@
+-- =============================================================================
+-- Migration: Treasury Account Symbols
+-- Version: 20261020010000
+-- Description: Lookups by TAS and line of accounting (PPBE-020)
+-- Author: Backend Team
+-- Date: 2026-10-20
+-- =============================================================================
+
+-- The parsed TAS of an appropriation and the line of accounting of an obligation
+-- or expenditure are kept in the JSONB record. These indexes serve lookups by the
+-- formatted symbol; a TAS is assigned to one appropriation per tenant.
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_appropriations_tas
+    ON appropriations(tenant_id, (record->'treasuryAccountSymbol'->>'symbol'))
+    WHERE record ? 'treasuryAccountSymbol';
+
+CREATE INDEX IF NOT EXISTS idx_obligations_loa_tas
+    ON obligations(tenant_id, (record->'lineOfAccounting'->'treasuryAccountSymbol'->>'symbol'))
+    WHERE record ? 'lineOfAccounting';
+
+CREATE INDEX IF NOT EXISTS idx_expenditures_loa_tas
+    ON expenditures(tenant_id, (record->'lineOfAccounting'->'treasuryAccountSymbol'->>'symbol'))
+    WHERE record ? 'lineOfAccounting';
+
+-- =============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- =============================================================================
+/*
+BEGIN;
+DROP INDEX IF EXISTS idx_expenditures_loa_tas;
+DROP INDEX IF EXISTS idx_obligations_loa_tas;
+DROP INDEX IF EXISTS idx_appropriations_tas;
+DELETE FROM schema_migrations WHERE version = '20261020010000';
+COMMIT;
+*/
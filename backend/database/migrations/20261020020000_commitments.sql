@@ -0,0 +1,52 @@
+-- =============================================================================
+-- Migration: Commitments
+-- Version: 20261020020000
+-- Description: Commitment documents reserving funds ahead of obligation (PPBE-009)
+-- Author: Backend Team
+-- Date: 2026-10-20
+-- =============================================================================
+
+-- A commitment (purchase request or funding document) reserves funds against an
+-- appropriation until obligations are recorded from it or it is released. The
+-- obligations converted from a commitment carry its id in their JSONB record;
+-- releases are kept in the commitment's record.
+
+CREATE TABLE IF NOT EXISTS commitments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL,
+    document_number VARCHAR(100) NOT NULL,
+    appropriation_id UUID NOT NULL,
+    fiscal_year_id UUID NOT NULL,
+    budget_id UUID NOT NULL,
+    organization_id UUID,
+    allotment_id UUID,
+    commitment_date DATE NOT NULL,
+    amount NUMERIC(20, 2) NOT NULL CHECK (amount > 0),
+    released_amount NUMERIC(20, 2) NOT NULL DEFAULT 0,
+    status VARCHAR(10) NOT NULL CHECK (status IN ('OPEN', 'CLOSED')),
+    created_by VARCHAR(100),
+    record JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_commitments_tenant_id ON commitments(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_commitments_open
+    ON commitments(appropriation_id)
+    WHERE status = 'OPEN';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_commitments_tenant_document ON commitments(tenant_id, document_number);
+
+CREATE INDEX IF NOT EXISTS idx_obligations_commitment
+    ON obligations(tenant_id, (record->>'commitmentId'))
+    WHERE record ? 'commitmentId';
+
+-- =============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- =============================================================================
+/*
+BEGIN;
+DROP INDEX IF EXISTS idx_obligations_commitment;
+DROP TABLE IF EXISTS commitments;
+DELETE FROM schema_migrations WHERE version = '20261020020000';
+COMMIT;
+*/
@@ -0,0 +1,39 @@
+-- =============================================================================
+-- Migration: Unliquidated Obligation Reviews
+-- Version: 20261020030000
+-- Description: Tri-annual review campaigns of dormant obligations (PPBE-021)
+-- Author: Backend Team
+-- Date: 2026-10-20
+-- =============================================================================
+
+-- One review per fiscal year and cycle (January, May, September). The dormant
+-- obligations under review, their fund holders and the certify/de-obligate
+-- decisions are kept in the review's JSONB record.
+
+CREATE TABLE IF NOT EXISTS ulo_reviews (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL,
+    fiscal_year INTEGER NOT NULL,
+    cycle INTEGER NOT NULL CHECK (cycle BETWEEN 1 AND 3),
+    as_of TIMESTAMP WITH TIME ZONE NOT NULL,
+    due_date TIMESTAMP WITH TIME ZONE NOT NULL,
+    status VARCHAR(10) NOT NULL CHECK (status IN ('OPEN', 'COMPLETED')),
+    created_by VARCHAR(100),
+    completed_at TIMESTAMP WITH TIME ZONE,
+    record JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ulo_reviews_tenant_id ON ulo_reviews(tenant_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ulo_reviews_cycle ON ulo_reviews(tenant_id, fiscal_year, cycle);
+
+-- =============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- =============================================================================
+/*
+BEGIN;
+DROP TABLE IF EXISTS ulo_reviews;
+DELETE FROM schema_migrations WHERE version = '20261020030000';
+COMMIT;
+*/
@@ -0,0 +1,38 @@
+-- =============================================================================
+-- Migration: Spend Plans
+-- Version: 20261020040000
+-- Description: Monthly obligation and expenditure spend plans (PPBE-022)
+-- Author: Backend Team
+-- Date: 2026-10-20
+-- =============================================================================
+
+-- One plan per budget or appropriation. The twelve monthly obligation and
+-- expenditure amounts are kept in the plan's JSONB record.
+
+CREATE TABLE IF NOT EXISTS spend_plans (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL,
+    budget_id UUID,
+    appropriation_id UUID,
+    fiscal_year_id UUID NOT NULL,
+    fiscal_year INTEGER NOT NULL,
+    created_by VARCHAR(100),
+    record JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((budget_id IS NULL) <> (appropriation_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_spend_plans_tenant_id ON spend_plans(tenant_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_spend_plans_budget ON spend_plans(tenant_id, budget_id) WHERE budget_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_spend_plans_appropriation ON spend_plans(tenant_id, appropriation_id) WHERE appropriation_id IS NOT NULL;
+
+-- =============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- =============================================================================
+/*
+BEGIN;
+DROP TABLE IF EXISTS spend_plans;
+DELETE FROM schema_migrations WHERE version = '20261020040000';
+COMMIT;
+*/
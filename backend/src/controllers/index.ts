@@ -8,7 +8,10 @@ import { fiscalYearService } from '../services/fiscalYearService';
 import { programElementService } from '../services/programElementService';
 import { organizationService } from '../services/organizationService';
 import { approvalService } from '../services/approvalService';
+import { approvalSlaService } from '../services/approvalSlaService';
+import { approvalDelegationService } from '../services/approvalDelegationService';
 import { auditService } from '../services/auditService';
+import { separationOfDutiesService } from '../services/separationOfDutiesService';
 import { documentService } from '../services/documentService';
 import { reportService } from '../services/reportService';
 import { commentService } from '../services/commentService';
@@ -18,7 +21,23 @@ import { obligationService } from '../services/obligationService';
 import { expenditureService } from '../services/expenditureService';
 import { varianceService } from '../services/varianceService';
 import { appropriationService } from '../services/appropriationService';
+import { appropriationLifecycleService } from '../services/appropriationLifecycleService';
+import { apportionmentService } from '../services/apportionmentService';
+import { allotmentService } from '../services/allotmentService';
+import { reprogrammingService } from '../services/reprogrammingService';
+import { pomService } from '../services/pomService';
+import { inflationService } from '../services/inflationService';
+import { federalCalendarService } from '../services/federalCalendarService';
+import { rulePackService } from '../services/rulePackService';
+import { workflowDefinitionService } from '../services/workflowDefinitionService';
 import { bulkImportService } from '../services/bulkImportService';
+import { ppbeService } from '../services/ppbeService';
+import { adaCaseService } from '../services/adaCaseService';
+import { ledgerService } from '../services/ledgerService';
+import { treasuryAccountService } from '../services/treasuryAccountService';
+import { commitmentService } from '../services/commitmentService';
+import { uloReviewService } from '../services/uloReviewService';
+import { spendPlanService } from '../services/spendPlanService';
 
 // Budget Controller
 export class BudgetController {
@@ -33,7 +52,10 @@ export class BudgetController {
   });
 
   getById = asyncHandler(async (req: Request, res: Response) => {
-    const budget = await budgetService.getBudgetById(req.params.id);
+    const { basis, year } = req.query as any;
+    const budget = basis
+      ? await budgetService.getBudgetInBasis(req.params.id, { basis, year })
+      : await budgetService.getBudgetById(req.params.id);
     res.json({ success: true, data: budget });
   });
 
@@ -62,6 +84,17 @@ export class BudgetController {
     const summary = await budgetService.getBudgetSummary(req.params.fiscalYearId);
     res.json({ success: true, data: summary });
   });
+
+  getWorkflow = asyncHandler(async (req: Request, res: Response) => {
+    const workflow = await budgetService.getWorkflowStatus(req.params.id);
+    res.json({ success: true, data: workflow });
+  });
+
+  transition = asyncHandler(async (req: Request, res: Response) => {
+    const { toState, reason, fields } = req.body;
+    const result = await budgetService.transitionWorkflow(req.params.id, toState, { reason, fields }, req.user!.id);
+    res.json({ success: true, data: result });
+  });
 }
 
 // Line Item Controller
@@ -72,12 +105,18 @@ export class LineItemController {
   });
 
   getByBudget = asyncHandler(async (req: Request, res: Response) => {
-    const lineItems = await lineItemService.getLineItemsByBudget(req.params.budgetId);
+    const { basis, year } = req.query as any;
+    const lineItems = basis
+      ? await lineItemService.getLineItemsInBasis(req.params.budgetId, { basis, year })
+      : await lineItemService.getLineItemsByBudget(req.params.budgetId);
     res.json({ success: true, data: lineItems });
   });
 
   getById = asyncHandler(async (req: Request, res: Response) => {
-    const lineItem = await lineItemService.getLineItemById(req.params.id);
+    const { basis, year } = req.query as any;
+    const lineItem = basis
+      ? await lineItemService.getLineItemInBasis(req.params.id, { basis, year })
+      : await lineItemService.getLineItemById(req.params.id);
     res.json({ success: true, data: lineItem });
   });
 
@@ -138,6 +177,34 @@ export class FiscalYearController {
     const fiscalYear = await fiscalYearService.setCurrentFiscalYear(req.params.id);
     res.json({ success: true, data: fiscalYear });
   });
+
+  getContinuingResolutions = asyncHandler(async (req: Request, res: Response) => {
+    const continuingResolutions = await fiscalYearService.getContinuingResolutions(req.params.id);
+    res.json({ success: true, data: continuingResolutions });
+  });
+
+  addContinuingResolution = asyncHandler(async (req: Request, res: Response) => {
+    const continuingResolution = await fiscalYearService.addContinuingResolution(
+      req.params.id,
+      req.body,
+      req.user!.id
+    );
+    res.status(201).json({ success: true, data: continuingResolution });
+  });
+
+  updateContinuingResolution = asyncHandler(async (req: Request, res: Response) => {
+    const continuingResolution = await fiscalYearService.updateContinuingResolution(
+      req.params.id,
+      req.params.crId,
+      req.body
+    );
+    res.json({ success: true, data: continuingResolution });
+  });
+
+  removeContinuingResolution = asyncHandler(async (req: Request, res: Response) => {
+    await fiscalYearService.removeContinuingResolution(req.params.id, req.params.crId);
+    res.json({ success: true, message: 'Continuing resolution removed successfully' });
+  });
 }
 
 // Program Element Controller
@@ -171,6 +238,32 @@ export class ProgramElementController {
     const summary = await programElementService.getProgramSummary(req.params.fiscalYearId);
     res.json({ success: true, data: summary });
   });
+
+  getFydp = asyncHandler(async (req: Request, res: Response) => {
+    const { basis, year } = req.query as any;
+    const fydp = await programElementService.getFydp(req.params.id, basis ? { basis, year } : undefined);
+    res.json({ success: true, data: fydp });
+  });
+
+  setFydpPosition = asyncHandler(async (req: Request, res: Response) => {
+    const program = await programElementService.setFydpPosition(
+      req.params.id,
+      req.params.position as any,
+      req.body,
+      req.user!.id
+    );
+    res.json({ success: true, data: program });
+  });
+
+  phaseRequirement = asyncHandler(async (req: Request, res: Response) => {
+    const result = await programElementService.phaseRequirement(req.params.id, req.body, req.user!.id);
+    res.json({ success: true, data: result });
+  });
+
+  compareFydp = asyncHandler(async (req: Request, res: Response) => {
+    const comparison = await programElementService.compareFydp(req.query as any);
+    res.json({ success: true, data: comparison });
+  });
 }
 
 // Organization Controller
@@ -249,6 +342,36 @@ export class ApprovalController {
     const history = await approvalService.getApprovalHistory(entityType, entityId);
     res.json({ success: true, data: history });
   });
+
+  getStepResponses = asyncHandler(async (req: Request, res: Response) => {
+    const responses = await approvalService.getStepResponses(req.params.id);
+    res.json({ success: true, data: responses });
+  });
+
+  processDeadlines = asyncHandler(async (req: Request, res: Response) => {
+    const result = await approvalSlaService.processDeadlines(req.body.asOf ? new Date(req.body.asOf) : new Date());
+    res.json({ success: true, data: result });
+  });
+
+  getSlaDashboard = asyncHandler(async (req: Request, res: Response) => {
+    const dashboard = await approvalSlaService.getDashboard(req.query as any);
+    res.json({ success: true, data: dashboard });
+  });
+
+  createDelegation = asyncHandler(async (req: Request, res: Response) => {
+    const delegation = await approvalDelegationService.createDelegation(req.body, req.user!);
+    res.status(201).json({ success: true, data: delegation });
+  });
+
+  getDelegations = asyncHandler(async (req: Request, res: Response) => {
+    const delegations = await approvalDelegationService.getDelegations(req.query as any);
+    res.json({ success: true, data: delegations });
+  });
+
+  revokeDelegation = asyncHandler(async (req: Request, res: Response) => {
+    const delegation = await approvalDelegationService.revokeDelegation(req.params.id, req.user!);
+    res.json({ success: true, data: delegation });
+  });
 }
 
 // Audit Controller
@@ -268,6 +391,25 @@ export class AuditController {
     const activity = await auditService.getUserActivity(req.params.userId);
     res.json({ success: true, data: activity });
   });
+
+  getSodPolicy = asyncHandler(async (req: Request, res: Response) => {
+    res.json({ success: true, data: separationOfDutiesService.getPolicy() });
+  });
+
+  getSodPolicyVersions = asyncHandler(async (req: Request, res: Response) => {
+    const versions = await separationOfDutiesService.getPolicyVersions();
+    res.json({ success: true, data: versions });
+  });
+
+  updateSodPolicy = asyncHandler(async (req: Request, res: Response) => {
+    const policy = await separationOfDutiesService.updatePolicy(req.body.rules, req.user!.id);
+    res.status(201).json({ success: true, data: policy });
+  });
+
+  getSodConflicts = asyncHandler(async (req: Request, res: Response) => {
+    const report = await separationOfDutiesService.getConflicts(req.query as any);
+    res.json({ success: true, data: report });
+  });
 }
 
 // Document Controller
@@ -335,6 +477,19 @@ export class ReportController {
 
     res.send(result);
   });
+
+  sf133 = asyncHandler(async (req: Request, res: Response) => {
+    const { fiscalYearId, quarter, appropriationId, format } = req.query as any;
+    const { report, content } = await reportService.exportSF133({ fiscalYearId, quarter, appropriationId }, format);
+
+    if (format === 'json') {
+      res.json({ success: true, data: report });
+      return;
+    }
+
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv' : 'text/plain');
+    res.send(content);
+  });
 }
 
 // Comment Controller
@@ -406,6 +561,41 @@ export class SearchController {
 }
 
 // Obligation Controller
+export class CommitmentController {
+  create = asyncHandler(async (req: Request, res: Response) => {
+    const commitment = await commitmentService.createCommitment(req.body, req.user!.id);
+    res.status(201).json({ success: true, data: commitment });
+  });
+
+  getAll = asyncHandler(async (req: Request, res: Response) => {
+    const commitments = await commitmentService.getCommitments(req.query as any);
+    res.json({ success: true, data: commitments });
+  });
+
+  getById = asyncHandler(async (req: Request, res: Response) => {
+    const commitment = await commitmentService.getCommitment(req.params.id);
+    res.json({ success: true, data: commitment });
+  });
+
+  update = asyncHandler(async (req: Request, res: Response) => {
+    const commitment = await commitmentService.updateCommitment(req.params.id, req.body, req.user!.id);
+    res.json({ success: true, data: commitment });
+  });
+
+  release = asyncHandler(async (req: Request, res: Response) => {
+    const commitment = await commitmentService.releaseCommitment(req.params.id, req.body, req.user!.id);
+    res.json({ success: true, data: commitment });
+  });
+
+  convert = asyncHandler(async (req: Request, res: Response) => {
+    const obligation = await obligationService.createObligation(
+      { ...req.body, commitmentId: req.params.id },
+      req.user!.id
+    );
+    res.status(201).json({ success: true, data: obligation });
+  });
+}
+
 export class ObligationController {
   create = asyncHandler(async (req: Request, res: Response) => {
     const obligation = await obligationService.createObligation(req.body, req.user!.id);
@@ -423,10 +613,30 @@ export class ObligationController {
   });
 
   update = asyncHandler(async (req: Request, res: Response) => {
-    const obligation = await obligationService.updateObligation(req.params.id, req.body);
+    const { modificationDate, reason, ...changes } = req.body;
+    const obligation = await obligationService.updateObligation(req.params.id, changes, {
+      modificationDate,
+      reason,
+      modifiedBy: req.user!.id,
+    });
     res.json({ success: true, data: obligation });
   });
 
+  modify = asyncHandler(async (req: Request, res: Response) => {
+    const obligation = await obligationService.modifyObligation(req.params.id, req.body, req.user!.id);
+    res.status(201).json({ success: true, data: obligation });
+  });
+
+  getModifications = asyncHandler(async (req: Request, res: Response) => {
+    const modifications = await obligationService.getModifications(req.params.id);
+    res.json({ success: true, data: modifications });
+  });
+
+  getUpwardAdjustments = asyncHandler(async (req: Request, res: Response) => {
+    const adjustments = await obligationService.getUpwardAdjustments(req.query as any);
+    res.json({ success: true, data: adjustments });
+  });
+
   delete = asyncHandler(async (req: Request, res: Response) => {
     await obligationService.deleteObligation(req.params.id);
     res.json({ success: true, message: 'Obligation deleted successfully' });
@@ -456,7 +666,7 @@ export class ExpenditureController {
   });
 
   update = asyncHandler(async (req: Request, res: Response) => {
-    const expenditure = await expenditureService.updateExpenditure(req.params.id, req.body);
+    const expenditure = await expenditureService.updateExpenditure(req.params.id, req.body, req.user!.id);
     res.json({ success: true, data: expenditure });
   });
 
@@ -512,6 +722,11 @@ export class AppropriationController {
     res.json({ success: true, data: appropriation });
   });
 
+  getByTas = asyncHandler(async (req: Request, res: Response) => {
+    const appropriation = await appropriationService.getAppropriationByTas(req.query.symbol as string);
+    res.json({ success: true, data: appropriation });
+  });
+
   update = asyncHandler(async (req: Request, res: Response) => {
     const appropriation = await appropriationService.updateAppropriation(req.params.id, req.body);
     res.json({ success: true, data: appropriation });
@@ -522,9 +737,88 @@ export class AppropriationController {
     res.json({ success: true, message: 'Appropriation deleted successfully' });
   });
 
+  getContinuingResolution = asyncHandler(async (req: Request, res: Response) => {
+    const result = await appropriationService.getContinuingResolutionStatusById(
+      req.params.id,
+      req.query.date as string | undefined
+    );
+    res.json({ success: true, data: result });
+  });
+
+  getLifecycle = asyncHandler(async (req: Request, res: Response) => {
+    const result = await appropriationLifecycleService.getLifecycle(
+      req.params.id,
+      req.query.date as string | undefined
+    );
+    res.json({ success: true, data: result });
+  });
+
+  getCancelledBalance = asyncHandler(async (req: Request, res: Response) => {
+    const result = await appropriationLifecycleService.getCancelledBalance(req.params.id);
+    res.json({ success: true, data: result });
+  });
+
+  getCancelledBalanceReport = asyncHandler(async (req: Request, res: Response) => {
+    const report = await appropriationLifecycleService.getCancelledBalanceReport(
+      req.query.fiscalYearId as string | undefined
+    );
+    res.json({ success: true, data: report });
+  });
+
+  cancelExpiredBalances = asyncHandler(async (req: Request, res: Response) => {
+    const cancelled = await appropriationLifecycleService.cancelExpiredBalances(req.body.asOf || new Date(), {
+      userId: req.user!.id,
+      username: req.user!.username,
+    });
+    res.json({ success: true, data: cancelled });
+  });
+
+  getApportionment = asyncHandler(async (req: Request, res: Response) => {
+    const apportionment = await apportionmentService.getApportionment(req.params.id);
+    res.json({ success: true, data: apportionment });
+  });
+
+  createApportionment = asyncHandler(async (req: Request, res: Response) => {
+    const apportionment = await apportionmentService.createApportionment(req.params.id, req.body, req.user!.id);
+    res.status(201).json({ success: true, data: apportionment });
+  });
+
+  reapportion = asyncHandler(async (req: Request, res: Response) => {
+    const apportionment = await apportionmentService.reapportion(req.params.id, req.body);
+    res.json({ success: true, data: apportionment });
+  });
+
+  getAllotments = asyncHandler(async (req: Request, res: Response) => {
+    const distribution = await allotmentService.getDistribution(req.params.id);
+    res.json({ success: true, data: distribution });
+  });
+
+  createAllotment = asyncHandler(async (req: Request, res: Response) => {
+    const allotment = await allotmentService.createAllotment(req.params.id, req.body, req.user!.id);
+    res.status(201).json({ success: true, data: allotment });
+  });
+
+  updateAllotment = asyncHandler(async (req: Request, res: Response) => {
+    const allotment = await allotmentService.updateAllotment(req.params.id, req.params.allotmentId, req.body);
+    res.json({ success: true, data: allotment });
+  });
+
+  deleteAllotment = asyncHandler(async (req: Request, res: Response) => {
+    await allotmentService.deleteAllotment(req.params.id, req.params.allotmentId);
+    res.json({ success: true, message: 'Allotment deleted successfully' });
+  });
+
+  getFundsAvailability = asyncHandler(async (req: Request, res: Response) => {
+    const result = await allotmentService.getFundsAvailability(req.params.id, {
+      organizationId: req.query.organizationId as string | undefined,
+      date: req.query.date as string | undefined,
+    });
+    res.json({ success: true, data: result });
+  });
+
   checkAvailability = asyncHandler(async (req: Request, res: Response) => {
-    const { code, fiscalYearId, amount } = req.body;
-    const result = await appropriationService.checkFundAvailability(code, fiscalYearId, amount);
+    const { code, fiscalYearId, amount, organizationId } = req.body;
+    const result = await appropriationService.checkFundAvailability(code, fiscalYearId, amount, organizationId);
     res.json({ success: true, data: result });
   });
 
@@ -556,6 +850,481 @@ export class BulkController {
   });
 }
 
+// PPBE Domain Rules Controller
+export class PpbeController {
+  getInfo = asyncHandler(async (req: Request, res: Response) => {
+    res.json({ success: true, data: ppbeService.getModuleInfo() });
+  });
+
+  getFiscalYear = asyncHandler(async (req: Request, res: Response) => {
+    const result = ppbeService.getFiscalYearInfo(req.query.date as string | undefined);
+    res.json({ success: true, data: result });
+  });
+
+  getAppropriationTypes = asyncHandler(async (req: Request, res: Response) => {
+    res.json({ success: true, data: ppbeService.getAppropriationTypes() });
+  });
+
+  validateAppropriationType = asyncHandler(async (req: Request, res: Response) => {
+    const { typeCode, fiscalYear, subType } = req.body;
+    const result = ppbeService.validateAppropriationType(typeCode, fiscalYear, subType);
+    res.json({ success: true, data: result });
+  });
+
+  calculateExpiration = asyncHandler(async (req: Request, res: Response) => {
+    const { typeCode, fiscalYear, subType } = req.body;
+    const result = ppbeService.calculateExpiration(typeCode, fiscalYear, subType);
+    res.json({ success: true, data: result });
+  });
+
+  parseTreasuryAccountSymbol = asyncHandler(async (req: Request, res: Response) => {
+    const { value, typeCode, subType } = req.body;
+    const result = treasuryAccountService.parseTreasuryAccountSymbol(value, { typeCode, subType });
+    res.json({ success: true, data: result });
+  });
+
+  parseLineOfAccounting = asyncHandler(async (req: Request, res: Response) => {
+    const { value, typeCode, subType } = req.body;
+    const result = treasuryAccountService.parseLineOfAccounting(value, { typeCode, subType });
+    res.json({ success: true, data: result });
+  });
+
+  validateColorOfMoney = asyncHandler(async (req: Request, res: Response) => {
+    const result = ppbeService.validateColorOfMoney(req.body.transaction);
+    res.json({ success: true, data: result });
+  });
+
+  recommendAppropriationType = asyncHandler(async (req: Request, res: Response) => {
+    const { purpose, amount, description } = req.body;
+    const result = ppbeService.recommendAppropriationType(purpose, amount, description);
+    res.json({ success: true, data: result });
+  });
+
+  validatePTA = asyncHandler(async (req: Request, res: Response) => {
+    const { transaction, budgetAccount } = req.body;
+    const result = ppbeService.validatePTA(transaction, budgetAccount);
+    res.json({ success: true, data: result });
+  });
+
+  validateBonaFideNeed = asyncHandler(async (req: Request, res: Response) => {
+    const result = ppbeService.validateBonaFideNeed(req.body.transaction);
+    res.json({ success: true, data: result });
+  });
+
+  checkOverobligation = asyncHandler(async (req: Request, res: Response) => {
+    const { budgetAccount, amount } = req.body;
+    const result = ppbeService.checkOverobligation(budgetAccount, amount);
+    res.json({ success: true, data: result });
+  });
+
+  validateAntiDeficiencyAct = asyncHandler(async (req: Request, res: Response) => {
+    const { transaction, budgetAccount, apportionment } = req.body;
+    const result = ppbeService.validateAntiDeficiencyAct(transaction, budgetAccount, apportionment);
+    res.json({ success: true, data: result });
+  });
+
+  validateFullFunding = asyncHandler(async (req: Request, res: Response) => {
+    const result = ppbeService.validateFullFunding(req.body.contract);
+    res.json({ success: true, data: result });
+  });
+
+  calculateIncrementalFundingSchedule = asyncHandler(async (req: Request, res: Response) => {
+    const result = ppbeService.calculateIncrementalFundingSchedule(req.body.contract);
+    res.json({ success: true, data: result });
+  });
+
+  recommendFundingPhasing = asyncHandler(async (req: Request, res: Response) => {
+    const result = ppbeService.recommendFundingPhasing(req.body.requirement);
+    res.json({ success: true, data: result });
+  });
+
+  getWorkflowStates = asyncHandler(async (req: Request, res: Response) => {
+    const result = ppbeService.getWorkflowStates(req.query.phase as string | undefined);
+    res.json({ success: true, data: result });
+  });
+
+  calculateExecutionMetrics = asyncHandler(async (req: Request, res: Response) => {
+    const { account, dayBasis, asOf } = req.body;
+    const result = ppbeService.calculateExecutionMetrics(account, { dayBasis, asOf });
+    res.json({ success: true, data: result });
+  });
+
+  trackObligationPerformance = asyncHandler(async (req: Request, res: Response) => {
+    const { account, target, dayBasis, asOf } = req.body;
+    const result = ppbeService.trackObligationPerformance(account, target, { dayBasis, asOf });
+    res.json({ success: true, data: result });
+  });
+
+  formatExhibit = asyncHandler(async (req: Request, res: Response) => {
+    const { exhibitType, data } = req.body;
+    const result = ppbeService.formatExhibit(exhibitType, data);
+    res.json({ success: true, data: result });
+  });
+
+  validateTransaction = asyncHandler(async (req: Request, res: Response) => {
+    const { transaction, budgetAccount, appropriationId, apportionment } = req.body;
+    const result = appropriationId
+      ? await ppbeService.validateTransactionForAppropriation(transaction, appropriationId, apportionment)
+      : ppbeService.validateTransaction(transaction, budgetAccount, apportionment);
+    res.json({ success: true, data: result });
+  });
+}
+
+// Reprogramming Controller (PPBE-015)
+export class ReprogrammingController {
+  create = asyncHandler(async (req: Request, res: Response) => {
+    const reprogramming = await reprogrammingService.createReprogramming(req.body, req.user!.id);
+    res.status(201).json({ success: true, data: reprogramming });
+  });
+
+  getAll = asyncHandler(async (req: Request, res: Response) => {
+    const reprogrammings = await reprogrammingService.getReprogrammings(req.query as any);
+    res.json({ success: true, data: reprogrammings });
+  });
+
+  getById = asyncHandler(async (req: Request, res: Response) => {
+    const reprogramming = await reprogrammingService.getReprogrammingById(req.params.id);
+    res.json({ success: true, data: reprogramming });
+  });
+
+  getDD1415 = asyncHandler(async (req: Request, res: Response) => {
+    const form = await reprogrammingService.getDD1415(req.params.id);
+    res.json({ success: true, data: form });
+  });
+
+  getBtrStatus = asyncHandler(async (req: Request, res: Response) => {
+    const { lineType, lineId, appropriationType } = req.query as any;
+    const status = await reprogrammingService.getBtrStatus(lineType, lineId, appropriationType);
+    res.json({ success: true, data: status });
+  });
+}
+
+// POM Controller (PPBE-016)
+export class PomController {
+  createSnapshot = asyncHandler(async (req: Request, res: Response) => {
+    const snapshot = await pomService.createSnapshot(req.body, req.user!.id);
+    res.status(201).json({ success: true, data: snapshot });
+  });
+
+  getSnapshots = asyncHandler(async (req: Request, res: Response) => {
+    const snapshots = await pomService.getSnapshots(req.query as any);
+    res.json({ success: true, data: snapshots });
+  });
+
+  getSnapshotById = asyncHandler(async (req: Request, res: Response) => {
+    const snapshot = await pomService.getSnapshotById(req.params.id);
+    res.json({ success: true, data: snapshot });
+  });
+
+  compareSnapshots = asyncHandler(async (req: Request, res: Response) => {
+    const comparison = await pomService.compareSnapshots(req.params.id, req.params.otherId);
+    res.json({ success: true, data: comparison });
+  });
+}
+
+// Inflation Controller (PPBE-017)
+export class InflationController {
+  createIndexTable = asyncHandler(async (req: Request, res: Response) => {
+    const table = await inflationService.createIndexTable(req.body, req.user!.id);
+    res.status(201).json({ success: true, data: table });
+  });
+
+  getIndexTables = asyncHandler(async (req: Request, res: Response) => {
+    const tables = await inflationService.getIndexTables(req.query as any);
+    res.json({ success: true, data: tables });
+  });
+
+  getIndexTableById = asyncHandler(async (req: Request, res: Response) => {
+    const table = await inflationService.getIndexTableById(req.params.id);
+    res.json({ success: true, data: table });
+  });
+
+  deleteIndexTable = asyncHandler(async (req: Request, res: Response) => {
+    await inflationService.deleteIndexTable(req.params.id);
+    res.json({ success: true, message: 'Inflation index table deleted successfully' });
+  });
+
+  convert = asyncHandler(async (req: Request, res: Response) => {
+    const result = await inflationService.convert(req.body);
+    res.json({ success: true, data: result });
+  });
+}
+
+// General Ledger Controller (PPBE-019)
+export class LedgerController {
+  getAccounts = asyncHandler(async (req: Request, res: Response) => {
+    res.json({ success: true, data: ledgerService.getAccounts() });
+  });
+
+  getTransactionCodes = asyncHandler(async (req: Request, res: Response) => {
+    res.json({ success: true, data: ledgerService.getTransactionCodes() });
+  });
+
+  saveTransactionCode = asyncHandler(async (req: Request, res: Response) => {
+    const code = await ledgerService.saveTransactionCode({ ...req.body, code: req.params.code }, req.user!.id);
+    res.json({ success: true, data: code });
+  });
+
+  getTransactions = asyncHandler(async (req: Request, res: Response) => {
+    const transactions = await ledgerService.getTransactions(req.query as any);
+    res.json({ success: true, data: transactions });
+  });
+
+  getTrialBalance = asyncHandler(async (req: Request, res: Response) => {
+    const trialBalance = await ledgerService.getTrialBalance(req.query as any);
+    res.json({ success: true, data: trialBalance });
+  });
+}
+
+// Compliance Rule Pack Controller (PPBE-018)
+export class RulePackController {
+  create = asyncHandler(async (req: Request, res: Response) => {
+    const pack = await rulePackService.loadRulePack(req.body, req.user!.id);
+    res.status(201).json({ success: true, data: pack });
+  });
+
+  getAll = asyncHandler(async (req: Request, res: Response) => {
+    const packs = await rulePackService.getRulePacks();
+    res.json({ success: true, data: packs });
+  });
+
+  getEffective = asyncHandler(async (req: Request, res: Response) => {
+    const pack = rulePackService.getEffectiveRulePack(req.query.date as string | undefined);
+    res.json({ success: true, data: pack });
+  });
+
+  getByVersion = asyncHandler(async (req: Request, res: Response) => {
+    const pack = await rulePackService.getRulePack(req.params.version);
+    res.json({ success: true, data: pack });
+  });
+
+  delete = asyncHandler(async (req: Request, res: Response) => {
+    await rulePackService.deleteRulePack(req.params.version);
+    res.json({ success: true, message: 'Rule pack deleted successfully' });
+  });
+}
+
+// Anti-Deficiency Act Case Controller (PPBE-006)
+export class AdaCaseController {
+  open = asyncHandler(async (req: Request, res: Response) => {
+    const adaCase = await adaCaseService.openCase(req.body, req.user!.id);
+    res.status(201).json({ success: true, data: adaCase });
+  });
+
+  getAll = asyncHandler(async (req: Request, res: Response) => {
+    const cases = await adaCaseService.getCases(req.query as any);
+    res.json({ success: true, data: cases });
+  });
+
+  getById = asyncHandler(async (req: Request, res: Response) => {
+    const adaCase = await adaCaseService.getCase(req.params.id);
+    res.json({ success: true, data: adaCase });
+  });
+
+  update = asyncHandler(async (req: Request, res: Response) => {
+    const adaCase = await adaCaseService.updateCase(req.params.id, req.body, req.user!.id);
+    res.json({ success: true, data: adaCase });
+  });
+
+  advance = asyncHandler(async (req: Request, res: Response) => {
+    const { stage, comments, stageDays } = req.body;
+    const adaCase = await adaCaseService.advanceStage(req.params.id, stage, req.user!.id, { comments, stageDays });
+    res.json({ success: true, data: adaCase });
+  });
+
+  addResponsibleIndividual = asyncHandler(async (req: Request, res: Response) => {
+    const adaCase = await adaCaseService.addResponsibleIndividual(req.params.id, req.body, req.user!.id);
+    res.status(201).json({ success: true, data: adaCase });
+  });
+
+  addCorrectiveAction = asyncHandler(async (req: Request, res: Response) => {
+    const adaCase = await adaCaseService.addCorrectiveAction(req.params.id, req.body, req.user!.id);
+    res.status(201).json({ success: true, data: adaCase });
+  });
+
+  completeCorrectiveAction = asyncHandler(async (req: Request, res: Response) => {
+    const adaCase = await adaCaseService.completeCorrectiveAction(req.params.id, req.params.actionId, req.user!.id);
+    res.json({ success: true, data: adaCase });
+  });
+
+  recordReport = asyncHandler(async (req: Request, res: Response) => {
+    const adaCase = await adaCaseService.recordReport(req.params.id, req.body, req.user!.id);
+    res.status(201).json({ success: true, data: adaCase });
+  });
+
+  attachEvidence = asyncHandler(async (req: Request, res: Response) => {
+    const adaCase = await adaCaseService.attachEvidence(req.params.id, req.body, req.user!.id);
+    res.status(201).json({ success: true, data: adaCase });
+  });
+
+  exportHistory = asyncHandler(async (req: Request, res: Response) => {
+    const { format } = req.query as any;
+    const { adaCase, content } = await adaCaseService.exportCase(req.params.id, format);
+
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv' : 'application/json');
+    res.send(content);
+  });
+}
+
+// Unliquidated Obligation Review Controller (PPBE-021)
+export class UloReviewController {
+  getAging = asyncHandler(async (req: Request, res: Response) => {
+    const aging = await uloReviewService.getUloAging(req.query as any);
+    res.json({ success: true, data: aging });
+  });
+
+  create = asyncHandler(async (req: Request, res: Response) => {
+    const review = await uloReviewService.createReview(req.body, req.user!.id);
+    res.status(201).json({ success: true, data: review });
+  });
+
+  getAll = asyncHandler(async (req: Request, res: Response) => {
+    const reviews = await uloReviewService.getReviews(req.query as any);
+    res.json({ success: true, data: reviews });
+  });
+
+  getById = asyncHandler(async (req: Request, res: Response) => {
+    const review = await uloReviewService.getReview(req.params.id);
+    res.json({ success: true, data: review });
+  });
+
+  certifyItem = asyncHandler(async (req: Request, res: Response) => {
+    const review = await uloReviewService.certifyItem(req.params.id, req.params.itemId, req.body, req.user!);
+    res.json({ success: true, data: review });
+  });
+
+  getCertificationReport = asyncHandler(async (req: Request, res: Response) => {
+    const report = await uloReviewService.getCertificationReport(req.params.id);
+    res.json({ success: true, data: report });
+  });
+}
+
+// Spend Plan Controller (PPBE-022)
+export class SpendPlanController {
+  create = asyncHandler(async (req: Request, res: Response) => {
+    const plan = await spendPlanService.createSpendPlan(req.body, req.user!.id);
+    res.status(201).json({ success: true, data: plan });
+  });
+
+  getAll = asyncHandler(async (req: Request, res: Response) => {
+    const plans = await spendPlanService.getSpendPlans(req.query as any);
+    res.json({ success: true, data: plans });
+  });
+
+  getById = asyncHandler(async (req: Request, res: Response) => {
+    const plan = await spendPlanService.getSpendPlan(req.params.id);
+    res.json({ success: true, data: plan });
+  });
+
+  update = asyncHandler(async (req: Request, res: Response) => {
+    const plan = await spendPlanService.updateSpendPlan(req.params.id, req.body, req.user!.id);
+    res.json({ success: true, data: plan });
+  });
+
+  getExecution = asyncHandler(async (req: Request, res: Response) => {
+    const execution = await spendPlanService.getExecution(req.params.id, req.query as any);
+    res.json({ success: true, data: execution });
+  });
+
+  getObligationPerformance = asyncHandler(async (req: Request, res: Response) => {
+    const performance = await spendPlanService.getObligationPerformance(req.params.id, req.query as any);
+    res.json({ success: true, data: performance });
+  });
+}
+
+// Workflow Definition Controller (PPBE-008)
+export class WorkflowDefinitionController {
+  create = asyncHandler(async (req: Request, res: Response) => {
+    const definition = await workflowDefinitionService.createDefinition(req.body, req.user!.id);
+    res.status(201).json({ success: true, data: definition });
+  });
+
+  createVersion = asyncHandler(async (req: Request, res: Response) => {
+    const definition = await workflowDefinitionService.createVersion(req.params.key, req.body, req.user!.id);
+    res.status(201).json({ success: true, data: definition });
+  });
+
+  getAll = asyncHandler(async (req: Request, res: Response) => {
+    const definitions = await workflowDefinitionService.getDefinitions(req.query as any);
+    res.json({ success: true, data: definitions });
+  });
+
+  getByKey = asyncHandler(async (req: Request, res: Response) => {
+    const definition = await workflowDefinitionService.getDefinition(req.params.key, (req.query as any).version);
+    res.json({ success: true, data: definition });
+  });
+
+  getVersions = asyncHandler(async (req: Request, res: Response) => {
+    const versions = await workflowDefinitionService.getVersions(req.params.key);
+    res.json({ success: true, data: versions });
+  });
+
+  retire = asyncHandler(async (req: Request, res: Response) => {
+    const definition = await workflowDefinitionService.retireDefinition(req.params.key);
+    res.json({ success: true, data: definition });
+  });
+
+  resolve = asyncHandler(async (req: Request, res: Response) => {
+    const definition = workflowDefinitionService.resolveDefinition(req.query as any);
+    res.json({ success: true, data: definition });
+  });
+
+  assign = asyncHandler(async (req: Request, res: Response) => {
+    const { definitionKey, ...scope } = req.body;
+    const assignment = await workflowDefinitionService.assignDefinition(definitionKey, scope, req.user!.id);
+    res.status(201).json({ success: true, data: assignment });
+  });
+
+  getAssignments = asyncHandler(async (req: Request, res: Response) => {
+    const assignments = await workflowDefinitionService.getAssignments(req.query as any);
+    res.json({ success: true, data: assignments });
+  });
+
+  deleteAssignment = asyncHandler(async (req: Request, res: Response) => {
+    await workflowDefinitionService.deleteAssignment(req.params.id);
+    res.json({ success: true, message: 'Workflow assignment deleted successfully' });
+  });
+}
+
+// Federal Calendar Controller (PPBE-001)
+export class FederalCalendarController {
+  getHolidays = asyncHandler(async (req: Request, res: Response) => {
+    const holidays = federalCalendarService.getHolidays(req.query as any);
+    res.json({ success: true, data: holidays });
+  });
+
+  countBusinessDays = asyncHandler(async (req: Request, res: Response) => {
+    const { start, end } = req.query as any;
+    res.json({ success: true, data: federalCalendarService.countBusinessDays(start, end) });
+  });
+
+  addBusinessDays = asyncHandler(async (req: Request, res: Response) => {
+    const { date, days } = req.query as any;
+    res.json({ success: true, data: federalCalendarService.addBusinessDays(date, days) });
+  });
+
+  getPromptPaymentDueDate = asyncHandler(async (req: Request, res: Response) => {
+    const { invoiceReceivedDate, paymentTermsDays } = req.query as any;
+    const result = federalCalendarService.getPromptPaymentDueDate(invoiceReceivedDate, paymentTermsDays);
+    res.json({ success: true, data: result });
+  });
+
+  createClosure = asyncHandler(async (req: Request, res: Response) => {
+    const closure = await federalCalendarService.createClosure(req.body, req.user!.id);
+    res.status(201).json({ success: true, data: closure });
+  });
+
+  getClosures = asyncHandler(async (req: Request, res: Response) => {
+    const closures = await federalCalendarService.getClosures(req.query as any);
+    res.json({ success: true, data: closures });
+  });
+
+  deleteClosure = asyncHandler(async (req: Request, res: Response) => {
+    await federalCalendarService.deleteClosure(req.params.id);
+    res.json({ success: true, message: 'Federal closure deleted successfully' });
+  });
+}
+
 // Export controller instances
 export const budgetController = new BudgetController();
 export const lineItemController = new LineItemController();
@@ -569,8 +1338,20 @@ export const reportController = new ReportController();
 export const commentController = new CommentController();
 export const notificationController = new NotificationController();
 export const searchController = new SearchController();
+export const commitmentController = new CommitmentController();
 export const obligationController = new ObligationController();
 export const expenditureController = new ExpenditureController();
 export const varianceController = new VarianceController();
 export const appropriationController = new AppropriationController();
+export const reprogrammingController = new ReprogrammingController();
+export const pomController = new PomController();
+export const inflationController = new InflationController();
+export const ledgerController = new LedgerController();
+export const federalCalendarController = new FederalCalendarController();
+export const rulePackController = new RulePackController();
+export const workflowDefinitionController = new WorkflowDefinitionController();
 export const bulkController = new BulkController();
+export const ppbeController = new PpbeController();
+export const adaCaseController = new AdaCaseController();
+export const uloReviewController = new UloReviewController();
+export const spendPlanController = new SpendPlanController();
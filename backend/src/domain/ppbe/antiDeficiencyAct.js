@@ -77,6 +77,8 @@ function checkOverobligation(budgetAccount, proposedObligation) {
     appropriated = 0,
     apportioned = null, // OMB apportionment
     allotted = null,    // Agency allotment
+    continuingResolutionLimit = null, // Amount available under a CR
+    fundsControlLevels = [], // Allotments/sub-allotments measured against their own obligations
     obligated = 0,
     committed = 0
   } = budgetAccount;
@@ -95,9 +97,28 @@ function checkOverobligation(budgetAccount, proposedObligation) {
     limitType = 'ALLOTMENT';
   }
 
+  if (continuingResolutionLimit !== null && continuingResolutionLimit < controllingLimit) {
+    controllingLimit = continuingResolutionLimit;
+    limitType = 'CONTINUING_RESOLUTION';
+  }
+
   // Calculate available balance
-  const obligationsAndCommitments = obligated + committed;
-  const available = controllingLimit - obligationsAndCommitments;
+  let controllingObligated = obligated;
+  let controllingCommitted = committed;
+  let available = controllingLimit - (obligated + committed);
+
+  // A lower funds control level controls when it has less available
+  for (const level of fundsControlLevels) {
+    const levelAvailable = level.limit - (level.obligated || 0) - (level.committed || 0);
+    if (levelAvailable < available) {
+      controllingLimit = level.limit;
+      limitType = level.name ? `${level.type} (${level.name})` : level.type;
+      controllingObligated = level.obligated || 0;
+      controllingCommitted = level.committed || 0;
+      available = levelAvailable;
+    }
+  }
+
   const remainingAfter = available - proposedObligation;
 
   // Determine violation status
@@ -112,8 +133,8 @@ function checkOverobligation(budgetAccount, proposedObligation) {
       `ANTI-DEFICIENCY ACT VIOLATION: Proposed obligation of $${proposedObligation.toLocaleString()} ` +
       `would exceed ${limitType} limit of $${controllingLimit.toLocaleString()} ` +
       `by $${Math.abs(remainingAfter).toLocaleString()}. ` +
-      `Current obligations: $${obligated.toLocaleString()}, ` +
-      `Commitments: $${committed.toLocaleString()}. ` +
+      `Current obligations: $${controllingObligated.toLocaleString()}, ` +
+      `Commitments: $${controllingCommitted.toLocaleString()}. ` +
       `This violates 31 U.S.C. § 1341(a)(1)(A) and is a CRIMINAL OFFENSE.`
     );
   } else if (remainingAfter < controllingLimit * 0.05) {
@@ -142,6 +163,7 @@ function checkOverobligation(budgetAccount, proposedObligation) {
       appropriated,
       apportioned,
       allotted,
+      continuingResolutionLimit,
       controllingLimit,
       limitType,
       obligated,
@@ -504,6 +526,159 @@ function generateViolationReport(violation) {
   };
 }
 
+/**
+ * ADA violation case stages (DoD FMR Volume 14). `days` is the default number of
+ * calendar days allowed for the stage; `requires` lists the case fields that must be
+ * recorded before the case moves on to the next stage.
+ */
+const CASE_STAGES = {
+  PRELIMINARY_REVIEW: {
+    code: 'PRELIMINARY_REVIEW',
+    name: 'Preliminary Review',
+    days: 90,
+    next: ['FORMAL_INVESTIGATION', 'CLOSED'],
+    requires: ['preliminaryFindings']
+  },
+  FORMAL_INVESTIGATION: {
+    code: 'FORMAL_INVESTIGATION',
+    name: 'Formal Investigation',
+    days: 270,
+    next: ['RESPONSIBLE_INDIVIDUALS', 'CLOSED'],
+    requires: ['investigatingOfficer', 'investigationFindings']
+  },
+  RESPONSIBLE_INDIVIDUALS: {
+    code: 'RESPONSIBLE_INDIVIDUALS',
+    name: 'Responsible Individual Determination',
+    days: 30,
+    next: ['CORRECTIVE_ACTIONS'],
+    requires: ['responsibleIndividuals']
+  },
+  CORRECTIVE_ACTIONS: {
+    code: 'CORRECTIVE_ACTIONS',
+    name: 'Corrective Actions',
+    days: 60,
+    next: ['REPORTING'],
+    requires: ['correctiveActions']
+  },
+  REPORTING: {
+    code: 'REPORTING',
+    name: 'Report to the President, Congress and GAO',
+    days: 30,
+    next: ['CLOSED'],
+    requires: ['reports']
+  },
+  CLOSED: {
+    code: 'CLOSED',
+    name: 'Closed',
+    days: null,
+    next: [],
+    requires: [],
+    terminal: true
+  }
+};
+
+/**
+ * Recipients of a violation report: the President and Congress, with a copy to the
+ * Comptroller General (31 U.S.C. § 1351, § 1517(b))
+ */
+const REPORT_RECIPIENTS = ['PRESIDENT', 'CONGRESS', 'GAO'];
+
+/**
+ * Missing entries for a stage's required case fields
+ * @param {Object} adaCase - Case record
+ * @param {string} field - Required field
+ * @returns {string[]} Errors
+ */
+function checkRequiredCaseField(adaCase, field) {
+  switch (field) {
+    case 'responsibleIndividuals': {
+      const individuals = adaCase.responsibleIndividuals || [];
+      if (individuals.length === 0) {
+        return ['At least one responsible individual must be determined'];
+      }
+      return individuals
+        .filter(individual => !individual.name || !individual.position)
+        .map(individual => `Responsible individual ${individual.name || '(unnamed)'} needs a name and position`);
+    }
+    case 'correctiveActions': {
+      const actions = adaCase.correctiveActions || [];
+      if (actions.length === 0) {
+        return ['At least one corrective action must be recorded'];
+      }
+      return actions
+        .filter(action => !action.completedAt)
+        .map(action => `Corrective action "${action.description}" is not complete`);
+    }
+    case 'reports': {
+      const reported = (adaCase.reports || []).map(report => report.recipient);
+      return REPORT_RECIPIENTS
+        .filter(recipient => !reported.includes(recipient))
+        .map(recipient => `Report to ${recipient} has not been recorded`);
+    }
+    default:
+      return adaCase[field] ? [] : [`${field} is required`];
+  }
+}
+
+/**
+ * Check whether a case can move to another stage. A case closes early, before it is
+ * reported, only when the review or investigation found no violation.
+ * @param {Object} adaCase - Case record (stage, findings, individuals, actions, reports)
+ * @param {string} toStage - Target stage
+ * @returns {Object} Validation result
+ */
+function validateCaseAdvance(adaCase, toStage) {
+  const current = CASE_STAGES[adaCase.stage];
+  const errors = [];
+
+  if (!current) {
+    return { isValid: false, errors: [`Unknown case stage: ${adaCase.stage}`] };
+  }
+  if (!CASE_STAGES[toStage]) {
+    return { isValid: false, errors: [`Unknown case stage: ${toStage}`] };
+  }
+  if (!current.next.includes(toStage)) {
+    return {
+      isValid: false,
+      errors: [`Cannot move from ${current.code} to ${toStage}; allowed: ${current.next.join(', ') || 'none'}`]
+    };
+  }
+
+  const closingEarly = toStage === 'CLOSED' && current.code !== 'REPORTING';
+  if (closingEarly) {
+    if (adaCase.violationConfirmed !== false) {
+      errors.push('A case can only close before reporting when no violation was found');
+    }
+    if (!adaCase.closureReason) {
+      errors.push('closureReason is required');
+    }
+  } else {
+    for (const field of current.requires) {
+      errors.push(...checkRequiredCaseField(adaCase, field));
+    }
+    if (toStage === 'RESPONSIBLE_INDIVIDUALS' && adaCase.violationConfirmed !== true) {
+      errors.push('The investigation must confirm the violation before responsible individuals are determined');
+    }
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Due date of a case stage
+ * @param {string} stage - Stage code
+ * @param {Date} startedAt - When the stage started
+ * @param {number} [days] - Days allowed, overriding the stage default
+ * @returns {Date|null} Due date, or null for the closed stage
+ */
+function getStageDueDate(stage, startedAt, days) {
+  const allowed = days ?? CASE_STAGES[stage]?.days;
+  if (allowed === null || allowed === undefined) {
+    return null;
+  }
+  return new Date(new Date(startedAt).getTime() + allowed * 24 * 60 * 60 * 1000);
+}
+
 module.exports = {
   VIOLATION_SEVERITY,
   checkOverobligation,
@@ -512,5 +687,9 @@ module.exports = {
   checkAdvancePayment,
   checkApportionmentViolation,
   validateAntiDeficiencyAct,
-  generateViolationReport
+  generateViolationReport,
+  CASE_STAGES,
+  REPORT_RECIPIENTS,
+  validateCaseAdvance,
+  getStageDueDate
 };
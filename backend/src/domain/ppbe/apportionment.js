@@ -0,0 +1,238 @@
+/**
+ * PPBE-013: Apportionment (SF-132) and Funds Distribution
+ *
+ * Per 31 U.S.C. § 1512, § 1513, § 1514, § 1517, OMB Circular A-11 Section 120
+ * and DoD FMR Volume 14, Chapter 2
+ *
+ * OMB apportions an appropriation on the SF-132 before it can be obligated:
+ * - Category A: apportioned by fiscal quarter
+ * - Category B: apportioned by project, activity or other period
+ * - Footnotes: conditions on the use of the apportioned funds
+ *
+ * The agency then distributes the apportionment through its funds control
+ * structure: allotments to major organizations, sub-allotments further down.
+ * Obligating more than any of these amounts violates 31 U.S.C. § 1517.
+ */
+
+const { getFiscalYear, getFiscalQuarter } = require('./fiscalYear');
+
+const APPORTIONMENT_CATEGORIES = {
+  A: 'A', // Quarterly
+  B: 'B'  // Project / activity
+};
+
+const FUNDS_CONTROL_LEVELS = {
+  APPROPRIATION: 'APPROPRIATION',
+  APPORTIONMENT: 'APPORTIONMENT',
+  ALLOTMENT: 'ALLOTMENT',
+  SUB_ALLOTMENT: 'SUB_ALLOTMENT'
+};
+
+/**
+ * Validate SF-132 apportionment lines and footnotes
+ * @param {Object} apportionment - Apportionment details
+ * @param {number} apportionment.appropriationAmount - Amount appropriated
+ * @param {Array} apportionment.lines - Category A and B lines
+ * @param {Array} [apportionment.footnotes] - Footnotes referencing line numbers
+ * @returns {Object} Validation result with category totals
+ */
+function validateApportionment(apportionment) {
+  const { appropriationAmount, lines = [], footnotes = [] } = apportionment;
+  const errors = [];
+  const warnings = [];
+  const lineNumbers = new Set();
+  const quarters = new Set();
+
+  if (lines.length === 0) {
+    errors.push('An apportionment requires at least one Category A or Category B line');
+  }
+
+  for (const line of lines) {
+    if (lineNumbers.has(line.lineNumber)) {
+      errors.push(`Duplicate apportionment line number ${line.lineNumber}`);
+    }
+    lineNumbers.add(line.lineNumber);
+
+    if (line.category === APPORTIONMENT_CATEGORIES.A) {
+      if (!Number.isInteger(line.quarter) || line.quarter < 1 || line.quarter > 4) {
+        errors.push(`Category A line ${line.lineNumber} must apportion funds to fiscal quarter 1-4`);
+      } else if (quarters.has(line.quarter)) {
+        errors.push(`Category A quarter ${line.quarter} is apportioned on more than one line`);
+      } else {
+        quarters.add(line.quarter);
+      }
+    } else if (line.category === APPORTIONMENT_CATEGORIES.B) {
+      if (!line.project) {
+        errors.push(`Category B line ${line.lineNumber} must name the project or activity apportioned`);
+      }
+    } else {
+      errors.push(`Line ${line.lineNumber} has invalid apportionment category '${line.category}'`);
+    }
+  }
+
+  for (const footnote of footnotes) {
+    const unknown = (footnote.lineNumbers || []).filter(n => !lineNumbers.has(n));
+    if (unknown.length > 0) {
+      warnings.push(`Footnote ${footnote.code} references unknown line(s) ${unknown.join(', ')}`);
+    }
+  }
+
+  const totals = summarizeLines(lines);
+
+  // 31 U.S.C. § 1512: apportionments may not exceed the amount available
+  if (appropriationAmount !== undefined && totals.total > appropriationAmount) {
+    errors.push(
+      `Apportioned total of $${totals.total.toLocaleString()} exceeds the appropriation ` +
+      `of $${appropriationAmount.toLocaleString()} (31 U.S.C. § 1512).`
+    );
+  } else if (appropriationAmount !== undefined && totals.total < appropriationAmount) {
+    warnings.push(
+      `$${(appropriationAmount - totals.total).toLocaleString()} of the appropriation is unapportioned ` +
+      `and not available for obligation.`
+    );
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings,
+    totals,
+    statute: '31 U.S.C. § 1512'
+  };
+}
+
+function summarizeLines(lines) {
+  const categoryA = lines
+    .filter(l => l.category === APPORTIONMENT_CATEGORIES.A)
+    .reduce((sum, l) => sum + l.amount, 0);
+  const categoryB = lines
+    .filter(l => l.category === APPORTIONMENT_CATEGORIES.B)
+    .reduce((sum, l) => sum + l.amount, 0);
+
+  return { categoryA, categoryB, total: categoryA + categoryB };
+}
+
+/**
+ * Calculate the amount apportioned and available for obligation on a date
+ *
+ * Category A quarters are cumulative: unobligated amounts from earlier quarters
+ * carry forward. Category B lines are available for the full period.
+ *
+ * @param {Object} apportionment - Apportionment with lines
+ * @param {Date} date - The obligation date
+ * @param {number} fiscalYear - Fiscal year the appropriation was made for
+ * @returns {Object} Apportioned amount available through the date
+ */
+function calculateApportionedToDate(apportionment, date, fiscalYear) {
+  const lines = apportionment.lines || [];
+  const dateFY = getFiscalYear(date);
+
+  let throughQuarter = 0;
+  if (dateFY > fiscalYear) {
+    throughQuarter = 4;
+  } else if (dateFY === fiscalYear) {
+    throughQuarter = getFiscalQuarter(date);
+  }
+
+  const categoryA = lines
+    .filter(l => l.category === APPORTIONMENT_CATEGORIES.A && l.quarter <= throughQuarter)
+    .reduce((sum, l) => sum + l.amount, 0);
+  const categoryB = throughQuarter > 0 ? summarizeLines(lines).categoryB : 0;
+
+  return {
+    amount: categoryA + categoryB,
+    categoryA,
+    categoryB,
+    throughQuarter
+  };
+}
+
+/**
+ * Convert SF-132 footnotes into the restrictions checked by
+ * antiDeficiencyAct.checkApportionmentViolation
+ * @param {Array} footnotes - Apportionment footnotes
+ * @returns {Array} Restrictions ({ type, activities, footnote })
+ */
+function toApportionmentRestrictions(footnotes) {
+  return (footnotes || [])
+    .filter(f => f.prohibitedActivities && f.prohibitedActivities.length > 0)
+    .map(f => ({
+      type: 'PROHIBITED',
+      activities: f.prohibitedActivities,
+      footnote: `${f.code} - ${f.text}`
+    }));
+}
+
+/**
+ * Validate an allotment or sub-allotment against the amount it is distributed from
+ * @param {Object} params - Distribution details
+ * @param {number} params.amount - Amount of the allotment being issued or changed
+ * @param {number} params.sourceAmount - Apportionment (for allotments) or parent allotment amount
+ * @param {number} params.distributedAmount - Amount already distributed from the source, excluding this allotment
+ * @param {number} [params.subAllottedAmount] - Amount this allotment has sub-allotted
+ * @param {number} [params.obligatedAmount] - Obligations charged directly to this allotment
+ * @param {string} params.level - ALLOTMENT or SUB_ALLOTMENT
+ * @returns {Object} Validation result
+ */
+function validateDistribution(params) {
+  const {
+    amount,
+    sourceAmount,
+    distributedAmount,
+    subAllottedAmount = 0,
+    obligatedAmount = 0,
+    level
+  } = params;
+  const errors = [];
+  const source = level === FUNDS_CONTROL_LEVELS.ALLOTMENT ? 'apportionment' : 'parent allotment';
+
+  if (distributedAmount + amount > sourceAmount) {
+    errors.push(
+      `${level === FUNDS_CONTROL_LEVELS.ALLOTMENT ? 'Allotments' : 'Sub-allotments'} would total ` +
+      `$${(distributedAmount + amount).toLocaleString()}, exceeding the ${source} of ` +
+      `$${sourceAmount.toLocaleString()} (31 U.S.C. § 1514).`
+    );
+  }
+
+  if (amount < subAllottedAmount + obligatedAmount) {
+    errors.push(
+      `Amount of $${amount.toLocaleString()} is below the $${(subAllottedAmount + obligatedAmount).toLocaleString()} ` +
+      `already sub-allotted or obligated against it.`
+    );
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings: [],
+    statute: '31 U.S.C. § 1514'
+  };
+}
+
+/**
+ * Find the funds control level with the least available balance
+ * @param {Array} levels - Levels ({ type, name, limit, obligated, committed })
+ * @returns {Object|null} The controlling level with its available balance
+ */
+function findControllingLevel(levels) {
+  let controlling = null;
+
+  for (const level of levels || []) {
+    const available = level.limit - (level.obligated || 0) - (level.committed || 0);
+    if (!controlling || available < controlling.available) {
+      controlling = { ...level, available };
+    }
+  }
+
+  return controlling;
+}
+
+module.exports = {
+  APPORTIONMENT_CATEGORIES,
+  FUNDS_CONTROL_LEVELS,
+  validateApportionment,
+  calculateApportionedToDate,
+  toApportionmentRestrictions,
+  validateDistribution,
+  findControllingLevel
+};
@@ -0,0 +1,190 @@
+/**
+ * PPBE-012: Appropriation Lifecycle (Current, Expired, Cancelled)
+ *
+ * Per 31 U.S.C. § 1552, § 1553 and DoD FMR Volume 3, Chapter 10
+ *
+ * Lifecycle of a fixed-period appropriation:
+ * 1. CURRENT: available for new obligations
+ * 2. EXPIRED: for five fiscal years after the period of availability ends, the
+ *    account stays open for recording, adjusting and liquidating obligations
+ *    properly incurred while current. No new obligations. (§ 1553(a))
+ * 3. CANCELLED: on September 30 of the fifth expired year the account is closed
+ *    and all remaining balances, obligated and unobligated, are cancelled.
+ *    (§ 1552(a)) Later payments of valid obligations are charged to current
+ *    appropriations for the same purpose, up to 1 percent of the current
+ *    appropriation. (§ 1553(b))
+ *
+ * No-year appropriations do not expire.
+ */
+
+const { getFiscalYear, getFiscalYearEndDate } = require('./fiscalYear');
+
+// Number of fiscal years an expired account remains open (31 U.S.C. § 1552(a))
+const EXPIRED_PHASE_YEARS = 5;
+
+const LIFECYCLE_PHASES = {
+  CURRENT: 'CURRENT',
+  EXPIRED: 'EXPIRED',
+  CANCELLED: 'CANCELLED'
+};
+
+const TRANSACTION_TYPES = {
+  NEW_OBLIGATION: 'NEW_OBLIGATION',
+  UPWARD_ADJUSTMENT: 'UPWARD_ADJUSTMENT',
+  DOWNWARD_ADJUSTMENT: 'DOWNWARD_ADJUSTMENT',
+  LIQUIDATION: 'LIQUIDATION'
+};
+
+// 31 U.S.C. § 1553(c): charges to expired accounts above these amounts in a
+// fiscal year require agency head approval / congressional notification
+const UPWARD_ADJUSTMENT_THRESHOLDS = {
+  AGENCY_HEAD_APPROVAL: 4000000,
+  CONGRESSIONAL_NOTIFICATION: 25000000
+};
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Determine the lifecycle phase of an appropriation on a date
+ * @param {Date|null} expirationDate - End of the period of availability (null for no-year funds)
+ * @param {Date} asOf - The date to evaluate (defaults to current date)
+ * @returns {Object} Lifecycle phase and key dates
+ */
+function getAppropriationLifecycle(expirationDate, asOf = new Date()) {
+  const date = new Date(asOf);
+
+  if (!expirationDate) {
+    return {
+      phase: LIFECYCLE_PHASES.CURRENT,
+      neverExpires: true,
+      expirationDate: null,
+      expirationFY: null,
+      cancellationDate: null,
+      expiredYear: null,
+      daysUntilCancellation: null
+    };
+  }
+
+  const expiration = new Date(expirationDate);
+  const expirationFY = getFiscalYear(expiration);
+  const cancellationDate = getFiscalYearEndDate(expirationFY + EXPIRED_PHASE_YEARS);
+
+  let phase = LIFECYCLE_PHASES.CURRENT;
+  if (date > cancellationDate) {
+    phase = LIFECYCLE_PHASES.CANCELLED;
+  } else if (date > expiration) {
+    phase = LIFECYCLE_PHASES.EXPIRED;
+  }
+
+  return {
+    phase,
+    neverExpires: false,
+    expirationDate: expiration,
+    expirationFY,
+    cancellationDate,
+    // 1 through 5 while expired
+    expiredYear: phase === LIFECYCLE_PHASES.EXPIRED
+      ? Math.min(EXPIRED_PHASE_YEARS, Math.max(1, getFiscalYear(date) - expirationFY))
+      : null,
+    daysUntilCancellation: phase === LIFECYCLE_PHASES.CANCELLED
+      ? 0
+      : Math.ceil((cancellationDate - date) / MS_PER_DAY)
+  };
+}
+
+/**
+ * Validate a transaction against the rules of the appropriation's lifecycle phase
+ * @param {Object} transaction - Transaction details (type, amount)
+ * @param {Object} lifecycle - Result of getAppropriationLifecycle
+ * @returns {Object} Validation result
+ */
+function validateLifecycleTransaction(transaction, lifecycle) {
+  const errors = [];
+  const warnings = [];
+  let requiresAgencyHeadApproval = false;
+  let requiresCongressionalNotification = false;
+  const amount = transaction.amount || 0;
+
+  if (lifecycle.phase === LIFECYCLE_PHASES.CANCELLED) {
+    errors.push(
+      `Appropriation account was cancelled on ${lifecycle.cancellationDate.toLocaleDateString()} ` +
+      `(31 U.S.C. § 1552(a)). No obligations, adjustments or payments may be charged to it. ` +
+      `Valid obligations must be paid from current appropriations for the same purpose, ` +
+      `limited to 1 percent of the current appropriation (31 U.S.C. § 1553(b)).`
+    );
+  } else if (lifecycle.phase === LIFECYCLE_PHASES.EXPIRED) {
+    if (transaction.type === TRANSACTION_TYPES.NEW_OBLIGATION) {
+      errors.push(
+        `Cannot incur new obligations against an expired appropriation. ` +
+        `Availability ended on ${lifecycle.expirationDate.toLocaleDateString()} (31 U.S.C. § 1553(a)).`
+      );
+    } else if (transaction.type === TRANSACTION_TYPES.UPWARD_ADJUSTMENT) {
+      warnings.push(
+        `Upward adjustment of $${amount.toLocaleString()} to an expired appropriation ` +
+        `(expired year ${lifecycle.expiredYear} of ${EXPIRED_PHASE_YEARS}). ` +
+        `The adjustment must be within the scope of the original obligation and ` +
+        `the expired unobligated balance (31 U.S.C. § 1553(a)).`
+      );
+
+      if (amount > UPWARD_ADJUSTMENT_THRESHOLDS.AGENCY_HEAD_APPROVAL) {
+        requiresAgencyHeadApproval = true;
+        warnings.push(
+          `Adjustment exceeds $${UPWARD_ADJUSTMENT_THRESHOLDS.AGENCY_HEAD_APPROVAL.toLocaleString()} ` +
+          `and requires approval of the agency head (31 U.S.C. § 1553(c)).`
+        );
+      }
+
+      if (amount > UPWARD_ADJUSTMENT_THRESHOLDS.CONGRESSIONAL_NOTIFICATION) {
+        requiresCongressionalNotification = true;
+        warnings.push(
+          `Adjustment exceeds $${UPWARD_ADJUSTMENT_THRESHOLDS.CONGRESSIONAL_NOTIFICATION.toLocaleString()} ` +
+          `and requires notification of the appropriations committees (31 U.S.C. § 1553(c)).`
+        );
+      }
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings,
+    phase: lifecycle.phase,
+    requiresAgencyHeadApproval,
+    requiresCongressionalNotification,
+    statute: lifecycle.phase === LIFECYCLE_PHASES.CANCELLED ? '31 U.S.C. § 1552' : '31 U.S.C. § 1553'
+  };
+}
+
+/**
+ * Calculate the balances cancelled when an account closes
+ * @param {Object} account - Account balances
+ * @param {number} account.appropriated - Total appropriated amount
+ * @param {number} account.obligated - Total obligations
+ * @param {number} account.expended - Total disbursements against those obligations
+ * @returns {Object} Cancelled balance breakdown
+ */
+function calculateCancelledBalance(account) {
+  const { appropriated = 0, obligated = 0, expended = 0 } = account;
+
+  const unobligatedBalance = Math.max(0, appropriated - obligated);
+  const unliquidatedObligations = Math.max(0, obligated - expended);
+
+  return {
+    appropriated,
+    obligated,
+    expended,
+    unobligatedBalance,
+    unliquidatedObligations,
+    totalCancelled: unobligatedBalance + unliquidatedObligations
+  };
+}
+
+module.exports = {
+  EXPIRED_PHASE_YEARS,
+  LIFECYCLE_PHASES,
+  TRANSACTION_TYPES,
+  UPWARD_ADJUSTMENT_THRESHOLDS,
+  getAppropriationLifecycle,
+  validateLifecycleTransaction,
+  calculateCancelledBalance
+};
@@ -143,9 +143,10 @@ function getAllAppropriationTypes() {
  * @param {string} typeCode - The appropriation type code
  * @param {number} fiscalYear - The fiscal year of appropriation
  * @param {string} subType - Optional subtype for PROCUREMENT
+ * @param {Object} [rules] - Rule pack rules (PPBE-018) giving the periods of availability
  * @returns {Object} Expiration details
  */
-function calculateExpirationDate(typeCode, fiscalYear, subType = null) {
+function calculateExpirationDate(typeCode, fiscalYear, subType = null, rules = null) {
   const validation = validateAppropriationType(typeCode);
 
   if (!validation.isValid) {
@@ -163,6 +164,10 @@ function calculateExpirationDate(typeCode, fiscalYear, subType = null) {
     availability = appropriationType.subTypes[subType].availability;
   }
 
+  if (rules) {
+    availability = getRuleAvailability(rules, validation.code, subType, availability);
+  }
+
   // No-year funds never expire
   if (availability === Infinity) {
     return {
@@ -195,10 +200,11 @@ function calculateExpirationDate(typeCode, fiscalYear, subType = null) {
  * @param {string} typeCode - The appropriation type code
  * @param {number} appropriationFY - The fiscal year of appropriation
  * @param {Date} currentDate - The current date (defaults to now)
+ * @param {Object} [rules] - Rule pack rules giving the periods of availability
  * @returns {Object} Expiration status
  */
-function isFundingExpired(typeCode, appropriationFY, currentDate = new Date()) {
-  const expiration = calculateExpirationDate(typeCode, appropriationFY);
+function isFundingExpired(typeCode, appropriationFY, currentDate = new Date(), rules = null) {
+  const expiration = calculateExpirationDate(typeCode, appropriationFY, null, rules);
 
   if (!expiration.isValid) {
     return {
@@ -231,9 +237,10 @@ function isFundingExpired(typeCode, appropriationFY, currentDate = new Date()) {
 /**
  * Validate appropriation with fiscal year
  * @param {Object} appropriation - Appropriation details
+ * @param {Object} [rules] - Rule pack rules giving the periods of availability
  * @returns {Object} Validation result
  */
-function validateAppropriationWithFY(appropriation) {
+function validateAppropriationWithFY(appropriation, rules = null) {
   const errors = [];
   const warnings = [];
 
@@ -257,7 +264,8 @@ function validateAppropriationWithFY(appropriation) {
   const expiration = calculateExpirationDate(
     appropriation.typeCode,
     appropriation.fiscalYear,
-    appropriation.subType
+    appropriation.subType,
+    rules
   );
 
   const currentFY = getFiscalYear();
@@ -274,6 +282,23 @@ function validateAppropriationWithFY(appropriation) {
   };
 }
 
+// Availability from a rule pack: a subtype override, else the type's, else the built-in value.
+// Rule packs give no-year availability as null.
+function getRuleAvailability(rules, code, subType, fallback) {
+  const subTypes = rules.subTypeAvailability && rules.subTypeAvailability[code];
+  let years;
+
+  if (subType && subTypes && subTypes[subType] !== undefined) {
+    years = subTypes[subType];
+  } else if (rules.availability && rules.availability[code] !== undefined) {
+    years = rules.availability[code];
+  } else {
+    return fallback;
+  }
+
+  return years === null ? Infinity : years;
+}
+
 /**
  * Get color of money for appropriation type
  * @param {string} typeCode - The appropriation type code
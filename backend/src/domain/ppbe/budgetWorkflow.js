@@ -10,6 +10,11 @@
  * 4. EXECUTION: Funds obligated and expended (current FY)
  *
  * Each phase has specific states, transitions, and approval requirements.
+ *
+ * WORKFLOW_STATES is the DoD-wide graph. Organizations with shortened or
+ * additional review steps supply their own workflow definition
+ * ({ initialState, states, stateOrder? }) in the same shape; states may also
+ * carry guard conditions that must hold before the state is entered.
  */
 
 const { v4: uuidv4 } = require('uuid');
@@ -189,13 +194,41 @@ const WORKFLOW_STATES = {
   }
 };
 
+/**
+ * Built-in workflow definition wrapping WORKFLOW_STATES
+ */
+const DEFAULT_WORKFLOW_DEFINITION = {
+  key: 'DOD_PPBE',
+  name: 'DoD PPBE budget formulation',
+  initialState: 'DRAFT',
+  states: WORKFLOW_STATES,
+  stateOrder: [
+    'DRAFT', 'PLANNING_REVIEW', 'PLANNING_APPROVED',
+    'PROGRAMMING', 'POM_REVIEW', 'POM_APPROVED',
+    'BUDGET_FORMULATION', 'BUDGET_REVIEW', 'OMB_REVIEW',
+    'CONGRESSIONAL_SUBMISSION', 'CONGRESSIONAL_MARKUP', 'APPROPRIATED',
+    'EXECUTION', 'CLOSEOUT', 'CLOSED'
+  ]
+};
+
+/**
+ * Operators available to guard conditions ({ field, operator, value, message })
+ */
+const GUARD_OPERATORS = ['exists', 'eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in'];
+
 /**
  * Budget workflow state machine
  */
 class BudgetWorkflow {
-  constructor(budgetRequest) {
+  /**
+   * @param {Object} budgetRequest - Budget request with optional state and history
+   * @param {Object} [definition] - Workflow definition (defaults to the DoD-wide graph)
+   */
+  constructor(budgetRequest, definition = DEFAULT_WORKFLOW_DEFINITION) {
     this.budgetRequest = budgetRequest;
-    this.currentState = budgetRequest.state || 'DRAFT';
+    this.states = definition.states;
+    this.stateOrder = definition.stateOrder || getProgressOrder(definition.states);
+    this.currentState = budgetRequest.state || definition.initialState;
     this.history = budgetRequest.history || [];
   }
 
@@ -203,14 +236,14 @@ class BudgetWorkflow {
    * Get current state details
    */
   getCurrentState() {
-    return WORKFLOW_STATES[this.currentState];
+    return this.states[this.currentState];
   }
 
   /**
    * Validate state transition
    */
   canTransition(toState) {
-    const currentStateObj = WORKFLOW_STATES[this.currentState];
+    const currentStateObj = this.states[this.currentState];
 
     if (!currentStateObj) {
       return {
@@ -219,7 +252,7 @@ class BudgetWorkflow {
       };
     }
 
-    if (!WORKFLOW_STATES[toState]) {
+    if (!this.states[toState]) {
       return {
         canTransition: false,
         reason: `Invalid target state: ${toState}`
@@ -236,8 +269,8 @@ class BudgetWorkflow {
 
     return {
       canTransition: true,
-      requiresApproval: WORKFLOW_STATES[toState].approvalRequired,
-      approvalLevel: WORKFLOW_STATES[toState].approvalLevel
+      requiresApproval: this.states[toState].approvalRequired,
+      approvalLevel: this.states[toState].approvalLevel
     };
   }
 
@@ -245,7 +278,7 @@ class BudgetWorkflow {
    * Validate required fields for state
    */
   validateRequiredFields(state) {
-    const stateObj = WORKFLOW_STATES[state];
+    const stateObj = this.states[state];
     const errors = [];
 
     if (!stateObj || !stateObj.requiredFields) {
@@ -265,6 +298,25 @@ class BudgetWorkflow {
     };
   }
 
+  /**
+   * Evaluate the guard conditions for entering a state
+   */
+  validateGuards(state) {
+    const stateObj = this.states[state];
+    const errors = [];
+
+    for (const guard of (stateObj && stateObj.guards) || []) {
+      if (!evaluateGuard(guard, this.budgetRequest)) {
+        errors.push(guard.message || `Guard failed for state ${state}: ${describeGuard(guard)}`);
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
   /**
    * Transition to new state
    */
@@ -289,6 +341,15 @@ class BudgetWorkflow {
       };
     }
 
+    const guardValidation = this.validateGuards(toState);
+    if (!guardValidation.isValid) {
+      return {
+        success: false,
+        error: 'Guard conditions not met',
+        errors: guardValidation.errors
+      };
+    }
+
     // Check approval if required
     if (validation.requiresApproval && !metadata.approvedBy) {
       return {
@@ -325,28 +386,20 @@ class BudgetWorkflow {
    * Get workflow progress percentage
    */
   getProgress() {
-    const stateOrder = [
-      'DRAFT', 'PLANNING_REVIEW', 'PLANNING_APPROVED',
-      'PROGRAMMING', 'POM_REVIEW', 'POM_APPROVED',
-      'BUDGET_FORMULATION', 'BUDGET_REVIEW', 'OMB_REVIEW',
-      'CONGRESSIONAL_SUBMISSION', 'CONGRESSIONAL_MARKUP', 'APPROPRIATED',
-      'EXECUTION', 'CLOSEOUT', 'CLOSED'
-    ];
-
-    const currentIndex = stateOrder.indexOf(this.currentState);
+    const currentIndex = this.stateOrder.indexOf(this.currentState);
 
     if (currentIndex === -1) {
       return 0; // Rejected or cancelled
     }
 
-    return ((currentIndex + 1) / stateOrder.length * 100).toFixed(2);
+    return ((currentIndex + 1) / this.stateOrder.length * 100).toFixed(2);
   }
 
   /**
    * Get next recommended state
    */
   getNextState() {
-    const currentStateObj = WORKFLOW_STATES[this.currentState];
+    const currentStateObj = this.states[this.currentState];
 
     if (!currentStateObj || currentStateObj.terminal) {
       return null;
@@ -367,16 +420,147 @@ class BudgetWorkflow {
    * Get current phase
    */
   getCurrentPhase() {
-    const stateObj = WORKFLOW_STATES[this.currentState];
+    const stateObj = this.states[this.currentState];
     return stateObj ? stateObj.phase : null;
   }
 }
 
+/**
+ * Order in which progress is measured: every state in definition order except
+ * terminal states outside any phase (rejected, cancelled)
+ */
+function getProgressOrder(states) {
+  return Object.values(states)
+    .filter(state => !(state.terminal && !state.phase))
+    .map(state => state.code);
+}
+
+/**
+ * Read a field from a budget request; dotted paths reach nested workflow data
+ */
+function getFieldValue(record, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), record);
+}
+
+/**
+ * Evaluate a guard condition against a budget request
+ * @param {Object} guard - { field, operator, value }
+ * @param {Object} record - Budget request
+ * @returns {boolean} True if the condition holds
+ */
+function evaluateGuard(guard, record) {
+  const actual = getFieldValue(record, guard.field);
+
+  switch (guard.operator) {
+    case 'exists':
+      return actual !== undefined && actual !== null && actual !== '';
+    case 'eq':
+      return actual === guard.value;
+    case 'neq':
+      return actual !== guard.value;
+    case 'gt':
+      return typeof actual === 'number' && actual > guard.value;
+    case 'gte':
+      return typeof actual === 'number' && actual >= guard.value;
+    case 'lt':
+      return typeof actual === 'number' && actual < guard.value;
+    case 'lte':
+      return typeof actual === 'number' && actual <= guard.value;
+    case 'in':
+      return Array.isArray(guard.value) && guard.value.includes(actual);
+    default:
+      return false;
+  }
+}
+
+function describeGuard(guard) {
+  return guard.operator === 'exists'
+    ? `${guard.field} must be provided`
+    : `${guard.field} ${guard.operator} ${JSON.stringify(guard.value)}`;
+}
+
+/**
+ * Validate a workflow definition graph
+ * @param {Object} definition - { initialState, states, stateOrder? }
+ * @returns {Object} Validation result with errors and warnings
+ */
+function validateWorkflowDefinition(definition) {
+  const errors = [];
+  const warnings = [];
+  const states = definition.states || {};
+  const codes = Object.keys(states);
+
+  if (codes.length === 0) {
+    return { isValid: false, errors: ['Workflow definition must have at least one state'], warnings };
+  }
+  if (!states[definition.initialState]) {
+    errors.push(`Initial state ${definition.initialState} is not defined`);
+  }
+  if (!codes.some(code => states[code].terminal)) {
+    errors.push('Workflow definition must have at least one terminal state');
+  }
+
+  for (const [code, state] of Object.entries(states)) {
+    if (state.code !== code) {
+      errors.push(`State ${code} has mismatched code ${state.code}`);
+    }
+    for (const target of state.allowedTransitions || []) {
+      if (!states[target]) {
+        errors.push(`State ${code} transitions to undefined state ${target}`);
+      }
+    }
+    if (state.terminal && (state.allowedTransitions || []).length > 0) {
+      errors.push(`Terminal state ${code} cannot have transitions`);
+    }
+    if (!state.terminal && (state.allowedTransitions || []).length === 0) {
+      errors.push(`State ${code} has no transitions and is not marked terminal`);
+    }
+    if (state.approvalRequired && !state.approvalLevel) {
+      errors.push(`State ${code} requires approval but has no approval level`);
+    }
+    for (const guard of state.guards || []) {
+      if (!guard.field || !GUARD_OPERATORS.includes(guard.operator)) {
+        errors.push(`State ${code} has an invalid guard; operators are ${GUARD_OPERATORS.join(', ')}`);
+      } else if (guard.operator === 'in' && !Array.isArray(guard.value)) {
+        errors.push(`State ${code} guard on ${guard.field} must list values for 'in'`);
+      }
+    }
+  }
+
+  for (const code of definition.stateOrder || []) {
+    if (!states[code]) {
+      errors.push(`State order references undefined state ${code}`);
+    }
+  }
+
+  if (states[definition.initialState]) {
+    const reached = new Set([definition.initialState]);
+    const queue = [definition.initialState];
+    while (queue.length > 0) {
+      for (const target of states[queue.shift()].allowedTransitions || []) {
+        if (states[target] && !reached.has(target)) {
+          reached.add(target);
+          queue.push(target);
+        }
+      }
+    }
+    for (const code of codes.filter(c => !reached.has(c))) {
+      warnings.push(`State ${code} cannot be reached from ${definition.initialState}`);
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings
+  };
+}
+
 /**
  * Create new budget workflow
  */
-function createBudgetWorkflow(budgetRequest) {
-  return new BudgetWorkflow(budgetRequest);
+function createBudgetWorkflow(budgetRequest, definition) {
+  return new BudgetWorkflow(budgetRequest, definition);
 }
 
 /**
@@ -396,7 +580,7 @@ function getStatesByPhase(phase) {
 /**
  * Validate budget request for workflow
  */
-function validateBudgetRequest(budgetRequest) {
+function validateBudgetRequest(budgetRequest, definition = DEFAULT_WORKFLOW_DEFINITION) {
   const errors = [];
   const warnings = [];
 
@@ -423,7 +607,7 @@ function validateBudgetRequest(budgetRequest) {
   }
 
   // Validate state
-  if (budgetRequest.state && !WORKFLOW_STATES[budgetRequest.state]) {
+  if (budgetRequest.state && !definition.states[budgetRequest.state]) {
     errors.push(`Invalid workflow state: ${budgetRequest.state}`);
   }
 
@@ -478,10 +662,14 @@ function generateWorkflowReport(budgetRequests) {
 
 module.exports = {
   WORKFLOW_STATES,
+  DEFAULT_WORKFLOW_DEFINITION,
+  GUARD_OPERATORS,
   BudgetWorkflow,
   createBudgetWorkflow,
   getAllWorkflowStates,
   getStatesByPhase,
   validateBudgetRequest,
+  validateWorkflowDefinition,
+  evaluateGuard,
   generateWorkflowReport
 };
@@ -90,13 +90,23 @@ const COST_THRESHOLDS = {
   MILCON_THRESHOLD: 750000 // Simplified threshold
 };
 
+// Rules from a rule pack (PPBE-018) take the place of the constants above when given
+function purposesFor(rules) {
+  return (rules && rules.authorizedPurposes) || AUTHORIZED_PURPOSES;
+}
+
+function thresholdsFor(rules) {
+  return (rules && rules.costThresholds) || COST_THRESHOLDS;
+}
+
 /**
  * Validate if a purpose is authorized for an appropriation type
  * @param {string} typeCode - Appropriation type code
  * @param {string} purpose - Intended purpose
+ * @param {Object} [rules] - Rule pack rules (defaults to the built-in rules)
  * @returns {Object} Validation result
  */
-function validatePurpose(typeCode, purpose) {
+function validatePurpose(typeCode, purpose, rules = null) {
   const errors = [];
   const warnings = [];
 
@@ -118,7 +128,7 @@ function validatePurpose(typeCode, purpose) {
     return { isValid: false, errors, warnings };
   }
 
-  const authorizedPurposes = AUTHORIZED_PURPOSES[normalizedCode] || [];
+  const authorizedPurposes = purposesFor(rules)[normalizedCode] || [];
   const normalizedPurpose = purpose.toLowerCase().replace(/\s+/g, '_');
 
   const isAuthorized = authorizedPurposes.includes(normalizedPurpose);
@@ -151,14 +161,16 @@ function validatePurpose(typeCode, purpose) {
  * @param {string} purpose - Intended purpose
  * @param {number} amount - Dollar amount
  * @param {string} description - Detailed description
+ * @param {Object} [rules] - Rule pack rules (defaults to the built-in rules)
  * @returns {Object} Recommendation result
  */
-function recommendAppropriationType(purpose, amount, description = '') {
+function recommendAppropriationType(purpose, amount, description = '', rules = null) {
   const recommendations = [];
   const normalizedPurpose = purpose.toLowerCase().replace(/\s+/g, '_');
+  const thresholds = thresholdsFor(rules);
 
   // Check each appropriation type
-  for (const [code, purposes] of Object.entries(AUTHORIZED_PURPOSES)) {
+  for (const [code, purposes] of Object.entries(purposesFor(rules))) {
     if (purposes.includes(normalizedPurpose)) {
       const appropriationType = getAppropriationType(code);
       recommendations.push({
@@ -172,28 +184,28 @@ function recommendAppropriationType(purpose, amount, description = '') {
 
   // Apply cost-based rules
   if (normalizedPurpose.includes('equipment')) {
-    if (amount < COST_THRESHOLDS.MINOR_EQUIPMENT) {
+    if (amount < thresholds.MINOR_EQUIPMENT) {
       recommendations.push({
         code: 'OM',
         name: 'Operations and Maintenance',
-        reason: `Equipment under $${COST_THRESHOLDS.MINOR_EQUIPMENT.toLocaleString()} threshold should use O&M`,
+        reason: `Equipment under $${thresholds.MINOR_EQUIPMENT.toLocaleString()} threshold should use O&M`,
         confidence: 'high'
       });
     } else {
       recommendations.push({
         code: 'PROCUREMENT',
         name: 'Procurement',
-        reason: `Equipment at or above $${COST_THRESHOLDS.MAJOR_EQUIPMENT.toLocaleString()} threshold should use Procurement`,
+        reason: `Equipment at or above $${thresholds.MAJOR_EQUIPMENT.toLocaleString()} threshold should use Procurement`,
         confidence: 'high'
       });
     }
   }
 
-  if (normalizedPurpose.includes('construction') && amount >= COST_THRESHOLDS.MILCON_THRESHOLD) {
+  if (normalizedPurpose.includes('construction') && amount >= thresholds.MILCON_THRESHOLD) {
     recommendations.push({
       code: 'MILCON',
       name: 'Military Construction',
-      reason: `Construction over $${COST_THRESHOLDS.MILCON_THRESHOLD.toLocaleString()} threshold requires MILCON`,
+      reason: `Construction over $${thresholds.MILCON_THRESHOLD.toLocaleString()} threshold requires MILCON`,
       confidence: 'high'
     });
   }
@@ -209,7 +221,7 @@ function recommendAppropriationType(purpose, amount, description = '') {
   return {
     recommendations: uniqueRecommendations,
     primaryRecommendation: uniqueRecommendations[0] || null,
-    thresholdsApplied: COST_THRESHOLDS
+    thresholdsApplied: thresholds
   };
 }
 
@@ -322,26 +334,28 @@ function validateAppropriationChange(fromType, toType, reason = '') {
 /**
  * Get authorized purposes for an appropriation type
  * @param {string} typeCode - Appropriation type code
+ * @param {Object} [rules] - Rule pack rules (defaults to the built-in rules)
  * @returns {Array} List of authorized purposes
  */
-function getAuthorizedPurposes(typeCode) {
+function getAuthorizedPurposes(typeCode, rules = null) {
   const normalizedCode = typeCode.toUpperCase();
-  return AUTHORIZED_PURPOSES[normalizedCode] || [];
+  return purposesFor(rules)[normalizedCode] || [];
 }
 
 /**
  * Validate multiple color of money rules at once
  * @param {Object} transaction - Transaction details
+ * @param {Object} [rules] - Rule pack rules (defaults to the built-in rules)
  * @returns {Object} Comprehensive validation result
  */
-function validateColorOfMoneyRules(transaction) {
+function validateColorOfMoneyRules(transaction, rules = null) {
   const errors = [];
   const warnings = [];
   const validations = {};
 
   // Validate purpose
   if (transaction.purpose && transaction.appropriationType) {
-    const purposeValidation = validatePurpose(transaction.appropriationType, transaction.purpose);
+    const purposeValidation = validatePurpose(transaction.appropriationType, transaction.purpose, rules);
     validations.purpose = purposeValidation;
 
     if (!purposeValidation.isValid) {
@@ -355,7 +369,8 @@ function validateColorOfMoneyRules(transaction) {
     const recommendation = recommendAppropriationType(
       transaction.purpose,
       transaction.amount,
-      transaction.description
+      transaction.description,
+      rules
     );
     validations.recommendation = recommendation;
 
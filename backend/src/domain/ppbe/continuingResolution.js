@@ -0,0 +1,178 @@
+/**
+ * PPBE-011: Continuing Resolution Funding
+ *
+ * Per DoD FMR Volume 3, Chapter 3 and OMB Circular A-11, Section 123
+ * When a fiscal year starts without enacted appropriations, Congress provides
+ * temporary funding through a Continuing Resolution (CR).
+ *
+ * Standard CR terms:
+ * - Funding is provided at a rate for operations, normally the prior-year level
+ * - Available funds are pro-rated by the number of days the CR covers
+ * - No new starts: projects or activities not funded in the prior year may not begin
+ * - Anomalies: appropriation-specific exceptions to the rate or to the new-start rule
+ *
+ * CR authority ends once a full-year appropriation is enacted.
+ */
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Prior-year level
+const STANDARD_CR_RATE = 1.0;
+
+/**
+ * Count calendar days in a period, including both the start and end dates
+ * @param {Date} startDate - First day of the period
+ * @param {Date} endDate - Last day of the period
+ * @returns {number} Number of days (0 if the period is empty)
+ */
+function countDays(startDate, endDate) {
+  const start = toDayNumber(startDate);
+  const end = toDayNumber(endDate);
+
+  return Math.max(0, end - start + 1);
+}
+
+function toDayNumber(date) {
+  const d = new Date(date);
+  return Math.floor(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()) / MS_PER_DAY);
+}
+
+/**
+ * Find the CR period in effect on a date
+ * @param {Array} continuingResolutions - CR periods declared for the fiscal year
+ * @param {Date} date - The date to check (defaults to current date)
+ * @returns {Object|null} The CR in effect, or null if none covers the date
+ */
+function findActiveContinuingResolution(continuingResolutions, date = new Date()) {
+  const day = toDayNumber(date);
+
+  return (continuingResolutions || []).find(cr =>
+    toDayNumber(cr.startDate) <= day && day <= toDayNumber(cr.endDate)
+  ) || null;
+}
+
+/**
+ * Find the anomaly a CR grants to an appropriation
+ * @param {Object} continuingResolution - The CR
+ * @param {string} appropriationCode - Appropriation code
+ * @returns {Object|null} The anomaly, or null if none applies
+ */
+function findAnomaly(continuingResolution, appropriationCode) {
+  if (!continuingResolution || !appropriationCode) return null;
+
+  return (continuingResolution.anomalies || []).find(a => a.appropriationCode === appropriationCode) || null;
+}
+
+/**
+ * Calculate the cumulative amount available under a CR
+ *
+ * The limit covers the fiscal year from its first day through the end of the
+ * CR period, so successive CRs extend the same limit:
+ *   limit = prior-year level x rate x (days covered / days in fiscal year)
+ *
+ * An anomaly may replace the rate or set a fixed amount for the appropriation.
+ *
+ * @param {Object} params - Calculation parameters
+ * @param {number|null} [params.priorYearAmount] - Prior-year enacted level
+ * @param {number} [params.rate] - Rate for operations (1.0 = prior-year level)
+ * @param {Date} params.fiscalYearStart - First day of the fiscal year
+ * @param {Date} params.fiscalYearEnd - Last day of the fiscal year
+ * @param {Date} params.periodEnd - Last day covered by the CR
+ * @param {Object|null} [params.anomaly] - Appropriation-specific anomaly
+ * @returns {Object} CR funding limit and calculation details
+ */
+function calculateCRFundingLimit(params) {
+  const {
+    priorYearAmount,
+    rate = STANDARD_CR_RATE,
+    fiscalYearStart,
+    fiscalYearEnd,
+    periodEnd,
+    anomaly = null
+  } = params;
+  const warnings = [];
+
+  const daysInFiscalYear = countDays(fiscalYearStart, fiscalYearEnd);
+  const coveredEnd = new Date(periodEnd) > new Date(fiscalYearEnd) ? fiscalYearEnd : periodEnd;
+  const daysCovered = countDays(fiscalYearStart, coveredEnd);
+
+  if (anomaly && anomaly.amount !== undefined && anomaly.amount !== null) {
+    return {
+      limit: anomaly.amount,
+      basis: 'ANOMALY_AMOUNT',
+      priorYearAmount: priorYearAmount ?? null,
+      rate: null,
+      daysCovered,
+      daysInFiscalYear,
+      warnings
+    };
+  }
+
+  if (priorYearAmount === undefined || priorYearAmount === null) {
+    warnings.push(
+      'No prior-year level recorded for this appropriation. ' +
+      'A CR provides no funding for activities without prior-year appropriations.'
+    );
+  }
+
+  const effectiveRate = anomaly && anomaly.rate !== undefined && anomaly.rate !== null ? anomaly.rate : rate;
+  const base = priorYearAmount || 0;
+  const limit = daysInFiscalYear > 0
+    ? Math.round(base * effectiveRate * (daysCovered / daysInFiscalYear) * 100) / 100
+    : 0;
+
+  return {
+    limit,
+    basis: anomaly && anomaly.rate !== undefined && anomaly.rate !== null ? 'ANOMALY_RATE' : 'PRO_RATA',
+    priorYearAmount: priorYearAmount ?? null,
+    rate: effectiveRate,
+    daysCovered,
+    daysInFiscalYear,
+    warnings
+  };
+}
+
+/**
+ * Check the "no new starts" restriction of a CR
+ * @param {Object} transaction - Transaction details (isNewStart flag)
+ * @param {Object} continuingResolution - The CR in effect
+ * @param {Object|null} [anomaly] - Appropriation-specific anomaly
+ * @returns {Object} Validation result
+ */
+function checkNewStart(transaction, continuingResolution, anomaly = null) {
+  const errors = [];
+  const warnings = [];
+
+  if (!continuingResolution || !transaction.isNewStart) {
+    return { isValid: true, errors, warnings };
+  }
+
+  if (anomaly && anomaly.allowNewStarts) {
+    warnings.push(
+      `New start permitted by CR anomaly for ${anomaly.appropriationCode}` +
+      (anomaly.description ? `: ${anomaly.description}` : '.')
+    );
+  } else if (continuingResolution.noNewStarts !== false) {
+    errors.push(
+      `NEW START PROHIBITED: ${continuingResolution.name || 'The continuing resolution'} ` +
+      `does not permit initiating projects or activities that were not funded in the prior fiscal year. ` +
+      `An anomaly or enacted appropriation is required.`
+    );
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings,
+    statute: 'DoD FMR Volume 3, Chapter 3'
+  };
+}
+
+module.exports = {
+  STANDARD_CR_RATE,
+  countDays,
+  findActiveContinuingResolution,
+  findAnomaly,
+  calculateCRFundingLimit,
+  checkNewStart
+};
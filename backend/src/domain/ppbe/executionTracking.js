@@ -19,7 +19,80 @@
  * - Unliquidated Obligations: Obligated but not expended
  */
 
-const { getFiscalYear, getDaysRemainingInFiscalYear, getDaysElapsedInFiscalYear } = require('./fiscalYear');
+const {
+  getFiscalYear,
+  getDaysRemainingInFiscalYear,
+  getDaysElapsedInFiscalYear,
+  getBusinessDaysInFiscalYear,
+  getBusinessDaysElapsedInFiscalYear,
+  getBusinessDaysRemainingInFiscalYear
+} = require('./fiscalYear');
+const { getPlannedRate } = require('./spendPlan');
+
+/**
+ * How execution velocity and benchmarks count days
+ */
+const DAY_BASES = {
+  CALENDAR: 'calendar',
+  BUSINESS: 'business'
+};
+
+// Year-end windows in each day basis (60 and 30 calendar days are roughly 42 and 21 business days)
+const YEAR_END_WINDOW = { calendar: 60, business: 42 };
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Unliquidated obligation aging buckets, by days since the obligation date
+ */
+const ULO_AGING_BUCKETS = [
+  { bucket: '0-90 days', maxDays: 90 },
+  { bucket: '91-180 days', maxDays: 180 },
+  { bucket: '181-365 days', maxDays: 365 },
+  { bucket: '1-2 years', maxDays: 730 },
+  { bucket: 'Over 2 years', maxDays: Infinity }
+];
+
+/**
+ * Kinds of obligation modification. A de-obligation withdraws the whole remaining obligation;
+ * an administrative modification changes the document without changing the amount.
+ */
+const OBLIGATION_MODIFICATION_TYPES = {
+  INCREASE: 'INCREASE',
+  DECREASE: 'DECREASE',
+  ADMINISTRATIVE: 'ADMINISTRATIVE',
+  DEOBLIGATION: 'DEOBLIGATION'
+};
+
+const RUSH_WINDOW = { calendar: 30, business: 21 };
+
+/**
+ * Days elapsed and remaining in an account's fiscal year
+ * @param {number} fiscalYear - The account's fiscal year
+ * @param {Object} options - Day basis options ({ dayBasis, asOf, closures })
+ * @returns {Object} Days elapsed, days remaining and days in the year
+ */
+function getExecutionDays(fiscalYear, options) {
+  const asOf = options.asOf ? new Date(options.asOf) : new Date();
+  const currentFY = getFiscalYear(asOf);
+
+  if (options.dayBasis === DAY_BASES.BUSINESS) {
+    const daysInYear = getBusinessDaysInFiscalYear(fiscalYear || currentFY, options);
+    return fiscalYear === currentFY
+      ? {
+          daysElapsed: getBusinessDaysElapsedInFiscalYear(asOf, options),
+          daysRemaining: getBusinessDaysRemainingInFiscalYear(asOf, options),
+          daysInYear
+        }
+      : { daysElapsed: daysInYear, daysRemaining: 0, daysInYear };
+  }
+
+  return {
+    daysElapsed: fiscalYear === currentFY ? getDaysElapsedInFiscalYear(asOf) : 365,
+    daysRemaining: fiscalYear === currentFY ? getDaysRemainingInFiscalYear(asOf) : 0,
+    daysInYear: 365
+  };
+}
 
 /**
  * Execution stages
@@ -65,10 +138,15 @@ const EXECUTION_STAGES = {
 
 /**
  * Calculate execution metrics
- * @param {Object} account - Budget account execution data
+ * @param {Object} account - Budget account execution data; with an obligations list
+ *   ({ amount, expended, obligationDate, expirationStatus }) the unliquidated balance is also aged
+ * @param {Object} [options] - Day basis options
+ * @param {string} [options.dayBasis] - 'calendar' (default) or 'business' days
+ * @param {Date|string} [options.asOf] - Date to measure from (defaults to today)
+ * @param {Array} [options.closures] - Ad-hoc closures that are not business days
  * @returns {Object} Execution metrics
  */
-function calculateExecutionMetrics(account) {
+function calculateExecutionMetrics(account, options = {}) {
   const {
     appropriated = 0,
     apportioned = 0,
@@ -88,9 +166,8 @@ function calculateExecutionMetrics(account) {
   const commitmentRate = appropriated > 0 ? (committed / appropriated) * 100 : 0;
 
   // Calculate execution velocity
-  const currentFY = getFiscalYear();
-  const daysElapsed = fiscalYear === currentFY ? getDaysElapsedInFiscalYear() : 365;
-  const daysRemaining = fiscalYear === currentFY ? getDaysRemainingInFiscalYear() : 0;
+  const dayBasis = options.dayBasis || DAY_BASES.CALENDAR;
+  const { daysElapsed, daysRemaining, daysInYear } = getExecutionDays(fiscalYear, { ...options, dayBasis });
 
   const dailyObligationRate = daysElapsed > 0 ? obligated / daysElapsed : 0;
   const dailyExpenditureRate = daysElapsed > 0 ? expended / daysElapsed : 0;
@@ -125,7 +202,9 @@ function calculateExecutionMetrics(account) {
       dailyObligationRate: dailyObligationRate.toFixed(2),
       dailyExpenditureRate: dailyExpenditureRate.toFixed(2),
       daysElapsed,
-      daysRemaining
+      daysRemaining,
+      daysInYear,
+      dayBasis
     },
     projections: {
       projectedObligations: Math.round(projectedObligations),
@@ -133,6 +212,9 @@ function calculateExecutionMetrics(account) {
       projectedUnobligated: Math.round(appropriated - projectedObligations),
       projectedUnliquidated: Math.round(projectedObligations - projectedExpenditures)
     },
+    ...(Array.isArray(account.obligations)
+      ? { unliquidatedAging: calculateUloAging(account.obligations, options.asOf) }
+      : {}),
     fiscalYear,
     calculatedAt: new Date().toISOString()
   };
@@ -141,11 +223,15 @@ function calculateExecutionMetrics(account) {
 /**
  * Track obligation performance
  * @param {Object} account - Account details
- * @param {Object} target - Target execution profile
+ * @param {Object|null} [target] - Target execution profile: { targetRate }, or { spendPlan } with
+ *   the monthly spend plan (PPBE-022) whose planned obligations to date set the expected rate.
+ *   Without either, the expected rate is the share of the year elapsed.
+ * @param {Object} [options] - Day basis options (see calculateExecutionMetrics)
  * @returns {Object} Performance analysis
  */
-function trackObligationPerformance(account, target = null) {
-  const metrics = calculateExecutionMetrics(account);
+function trackObligationPerformance(account, target = null, options = {}) {
+  const metrics = calculateExecutionMetrics(account, options);
+  const dayBasis = metrics.velocity.dayBasis;
   const analysis = {
     status: 'ON_TRACK',
     variance: 0,
@@ -155,10 +241,22 @@ function trackObligationPerformance(account, target = null) {
 
   const obligationRate = parseFloat(metrics.rates.obligationRate);
   const daysElapsed = metrics.velocity.daysElapsed;
-  const percentOfYearElapsed = (daysElapsed / 365) * 100;
-
-  // Expected obligation rate should roughly track with time elapsed
-  const expectedRate = target ? target.targetRate : percentOfYearElapsed;
+  const percentOfYearElapsed = (daysElapsed / metrics.velocity.daysInYear) * 100;
+
+  // Expected obligation rate follows the spend plan, a given target, or time elapsed
+  let expectedRate = percentOfYearElapsed;
+  let targetSource = 'STRAIGHT_LINE';
+  if (target && Array.isArray(target.spendPlan)) {
+    const asOf = options.asOf ? new Date(options.asOf) : new Date();
+    expectedRate = getPlannedRate(target.spendPlan, account.appropriated, {
+      fiscalYear: account.fiscalYear || getFiscalYear(asOf),
+      asOf
+    });
+    targetSource = 'SPEND_PLAN';
+  } else if (target && target.targetRate !== undefined) {
+    expectedRate = target.targetRate;
+    targetSource = 'TARGET';
+  }
   analysis.variance = obligationRate - expectedRate;
 
   // Determine status
@@ -171,20 +269,21 @@ function trackObligationPerformance(account, target = null) {
     analysis.status = 'BEHIND';
     analysis.concerns.push(`Obligation rate is ${Math.abs(analysis.variance).toFixed(2)}% below target`);
     analysis.recommendations.push('Accelerate obligation activities');
-  } else if (analysis.variance > 10 && metrics.velocity.daysRemaining < 30) {
+  } else if (analysis.variance > 10 && metrics.velocity.daysRemaining < RUSH_WINDOW[dayBasis]) {
     analysis.status = 'AHEAD';
     analysis.concerns.push('Rapid obligation rate - ensure funds are not being rushed at year-end');
     analysis.recommendations.push('Verify all obligations comply with bona fide need rule');
   }
 
   // Check for potential year-end issues
-  if (metrics.velocity.daysRemaining < 60) {
+  if (metrics.velocity.daysRemaining < YEAR_END_WINDOW[dayBasis]) {
     const unobligatedAmount = metrics.amounts.available;
     const dailyRateNeeded = unobligatedAmount / Math.max(metrics.velocity.daysRemaining, 1);
 
     if (dailyRateNeeded > metrics.velocity.dailyObligationRate * 2) {
       analysis.concerns.push(
-        `Need to obligate $${unobligatedAmount.toLocaleString()} in ${metrics.velocity.daysRemaining} days. ` +
+        `Need to obligate $${unobligatedAmount.toLocaleString()} in ${metrics.velocity.daysRemaining} ` +
+        `${dayBasis === DAY_BASES.BUSINESS ? 'business ' : ''}days. ` +
         `Requires ${((dailyRateNeeded / metrics.velocity.dailyObligationRate) * 100).toFixed(0)}% increase in daily rate.`
       );
       analysis.recommendations.push('Prioritize high-value obligations immediately');
@@ -195,8 +294,10 @@ function trackObligationPerformance(account, target = null) {
     ...analysis,
     metrics,
     expectedRate: expectedRate.toFixed(2),
+    targetSource,
     actualRate: obligationRate.toFixed(2),
-    percentOfYearElapsed: percentOfYearElapsed.toFixed(2)
+    percentOfYearElapsed: percentOfYearElapsed.toFixed(2),
+    dayBasis
   };
 }
 
@@ -254,9 +355,10 @@ function trackExpenditurePerformance(account) {
 /**
  * Generate execution status report
  * @param {Array} accounts - Array of budget accounts
+ * @param {Object} [options] - Day basis options (see calculateExecutionMetrics)
  * @returns {Object} Comprehensive execution report
  */
-function generateExecutionReport(accounts) {
+function generateExecutionReport(accounts, options = {}) {
   const report = {
     summary: {
       totalAccounts: accounts.length,
@@ -284,8 +386,8 @@ function generateExecutionReport(accounts) {
   const performances = [];
 
   for (const account of accounts) {
-    const metrics = calculateExecutionMetrics(account);
-    const performance = trackObligationPerformance(account);
+    const metrics = calculateExecutionMetrics(account, options);
+    const performance = trackObligationPerformance(account, null, options);
 
     report.summary.totalAppropriated += metrics.amounts.appropriated;
     report.summary.totalObligated += metrics.amounts.obligated;
@@ -366,6 +468,90 @@ function calculateFundAvailability(account, asOfDate = new Date()) {
   };
 }
 
+/**
+ * Balance of a commitment (purchase request or funding document) against the obligations
+ * converted from it. Each obligation draws the commitment down by its original amount, so later
+ * modifications and de-obligation do not reopen it; a closed commitment reserves nothing.
+ * @param {Object} commitment - { amount, releasedAmount, status }
+ * @param {Array} obligations - Obligations converted from the commitment ({ amount, originalAmount })
+ * @returns {Object} { committed, obligated, released, open } where open is the balance still reserved
+ */
+function calculateCommitmentBalance(commitment, obligations = []) {
+  const committed = commitment.amount || 0;
+  const released = commitment.releasedAmount || 0;
+  const obligated = obligations.reduce((sum, o) => sum + (o.originalAmount ?? o.amount ?? 0), 0);
+  const open = commitment.status === 'CLOSED' ? 0 : Math.max(0, committed - released - obligated);
+
+  return { committed, obligated, released, open };
+}
+
+/**
+ * Classify a change to an obligation as a modification
+ * @param {Object} previous - { amount, active } before the change
+ * @param {Object} next - { amount, active } after it, where active means the obligation still
+ *   obligates funds (pending or obligated)
+ * @returns {Object} { type, amount, previousAmount, newAmount } with amount the signed change in
+ *   the obligated amount, which is 0 while inactive; reinstating an obligation is an increase
+ */
+function classifyObligationModification(previous, next) {
+  const previousAmount = previous.active ? previous.amount || 0 : 0;
+  const newAmount = next.active ? next.amount || 0 : 0;
+  const amount = newAmount - previousAmount;
+
+  let type = OBLIGATION_MODIFICATION_TYPES.ADMINISTRATIVE;
+  if (previous.active && !next.active) {
+    type = OBLIGATION_MODIFICATION_TYPES.DEOBLIGATION;
+  } else if (amount > 0) {
+    type = OBLIGATION_MODIFICATION_TYPES.INCREASE;
+  } else if (amount < 0) {
+    type = OBLIGATION_MODIFICATION_TYPES.DECREASE;
+  }
+
+  return { type, amount, previousAmount, newAmount };
+}
+
+/**
+ * Age unliquidated obligations by obligation date and by expiration status of their funds
+ * @param {Array} obligations - { amount, expended, obligationDate, expirationStatus } where
+ *   expirationStatus is the appropriation's lifecycle phase (CURRENT, EXPIRED or CANCELLED)
+ * @param {Date|string} [asOf] - Date ages are measured to (defaults to today)
+ * @returns {Object} { count, total, byAge, byExpirationStatus } counting only obligations with an
+ *   unliquidated balance; an obligation without an expiration status counts as UNKNOWN
+ */
+function calculateUloAging(obligations, asOf = new Date()) {
+  const date = new Date(asOf);
+  const byAge = ULO_AGING_BUCKETS.map(({ bucket }) => ({ bucket, count: 0, amount: 0 }));
+  const byExpirationStatus = {
+    CURRENT: { count: 0, amount: 0 },
+    EXPIRED: { count: 0, amount: 0 },
+    CANCELLED: { count: 0, amount: 0 }
+  };
+  let count = 0;
+  let total = 0;
+
+  for (const obligation of obligations || []) {
+    const unliquidated = Math.max(0, (obligation.amount || 0) - (obligation.expended || 0));
+    if (unliquidated === 0) {
+      continue;
+    }
+
+    const days = Math.max(0, Math.floor((date - new Date(obligation.obligationDate)) / MS_PER_DAY));
+    const age = byAge[ULO_AGING_BUCKETS.findIndex(b => days <= b.maxDays)];
+    age.count += 1;
+    age.amount += unliquidated;
+
+    const status = obligation.expirationStatus || 'UNKNOWN';
+    byExpirationStatus[status] = byExpirationStatus[status] || { count: 0, amount: 0 };
+    byExpirationStatus[status].count += 1;
+    byExpirationStatus[status].amount += unliquidated;
+
+    count += 1;
+    total += unliquidated;
+  }
+
+  return { count, total, byAge, byExpirationStatus };
+}
+
 /**
  * Track monthly execution trends
  * @param {Array} monthlyData - Array of monthly execution data
@@ -426,10 +612,16 @@ function analyzeExecutionTrends(monthlyData) {
 
 module.exports = {
   EXECUTION_STAGES,
+  DAY_BASES,
+  ULO_AGING_BUCKETS,
+  OBLIGATION_MODIFICATION_TYPES,
   calculateExecutionMetrics,
   trackObligationPerformance,
   trackExpenditurePerformance,
   generateExecutionReport,
   calculateFundAvailability,
+  calculateCommitmentBalance,
+  classifyObligationModification,
+  calculateUloAging,
   analyzeExecutionTrends
 };
@@ -6,6 +6,9 @@
  *
  * A fiscal year is designated by the calendar year in which it ends
  * Example: FY2024 runs from October 1, 2023 to September 30, 2024
+ *
+ * Deadlines and execution benchmarks measured in federal business days use
+ * the holiday calendar of 5 U.S.C. § 6103 plus ad-hoc closures.
  */
 
 const FISCAL_YEAR_START_MONTH = 9; // October (0-indexed)
@@ -13,6 +16,27 @@ const FISCAL_YEAR_START_DAY = 1;
 const FISCAL_YEAR_END_MONTH = 8; // September (0-indexed)
 const FISCAL_YEAR_END_DAY = 30;
 
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Legal public holidays per 5 U.S.C. § 6103(a)
+ * Fixed-date holidays give a day; Monday/Thursday holidays give the weekday
+ * (0 = Sunday) and which occurrence in the month (-1 = last).
+ */
+const FEDERAL_HOLIDAYS = [
+  { name: "New Year's Day", month: 0, day: 1 },
+  { name: 'Birthday of Martin Luther King, Jr.', month: 0, weekday: 1, nth: 3 },
+  { name: "Washington's Birthday", month: 1, weekday: 1, nth: 3 },
+  { name: 'Memorial Day', month: 4, weekday: 1, nth: -1 },
+  { name: 'Juneteenth National Independence Day', month: 5, day: 19, firstYear: 2021 },
+  { name: 'Independence Day', month: 6, day: 4 },
+  { name: 'Labor Day', month: 8, weekday: 1, nth: 1 },
+  { name: 'Columbus Day', month: 9, weekday: 1, nth: 2 },
+  { name: 'Veterans Day', month: 10, day: 11 },
+  { name: 'Thanksgiving Day', month: 10, weekday: 4, nth: 4 },
+  { name: 'Christmas Day', month: 11, day: 25 }
+];
+
 /**
  * Get the fiscal year for a given date
  * @param {Date} date - The date to check (defaults to current date)
@@ -156,6 +180,245 @@ function getCurrentFiscalYear() {
   return getFiscalYear(new Date());
 }
 
+// ---------------------------------------------------------------------------
+// Federal holidays and business days
+//
+// Business days are weekdays that are not legal public holidays (observed
+// dates) or ad-hoc closures. Functions that count business days take an
+// options object with `closures` ([{ date, name, authority }]) for closures
+// such as an executive order giving employees the day off.
+// ---------------------------------------------------------------------------
+
+function startOfDay(date) {
+  const d = typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)
+    ? new Date(Number(date.slice(0, 4)), Number(date.slice(5, 7)) - 1, Number(date.slice(8, 10)))
+    : new Date(date);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+}
+
+function dateKey(date) {
+  const d = startOfDay(date);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function addDays(date, days) {
+  const d = startOfDay(date);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate() + days);
+}
+
+function nthWeekday(year, month, weekday, nth) {
+  if (nth === -1) {
+    const last = new Date(year, month + 1, 0);
+    return addDays(last, -((last.getDay() - weekday + 7) % 7));
+  }
+  const first = new Date(year, month, 1);
+  return addDays(first, ((weekday - first.getDay() + 7) % 7) + (nth - 1) * 7);
+}
+
+// A holiday on Saturday is observed the Friday before, on Sunday the Monday after (5 U.S.C. § 6103(b))
+function observedDate(date) {
+  if (date.getDay() === 6) return addDays(date, -1);
+  if (date.getDay() === 0) return addDays(date, 1);
+  return date;
+}
+
+/**
+ * Get the federal holidays and closures observed in a calendar year
+ * @param {number} year - Calendar year
+ * @param {Object} [options] - Calendar options
+ * @param {Array} [options.closures] - Ad-hoc closures ({ date, name, authority })
+ * @returns {Array<Object>} Observed holidays and closures, in date order
+ */
+function getFederalHolidays(year, options = {}) {
+  const holidays = [];
+
+  // New Year's Day on a Saturday is observed on December 31 of the year before
+  for (const ruleYear of [year - 1, year, year + 1]) {
+    for (const rule of FEDERAL_HOLIDAYS) {
+      if (rule.firstYear && ruleYear < rule.firstYear) continue;
+
+      const actual = rule.day
+        ? new Date(ruleYear, rule.month, rule.day)
+        : nthWeekday(ruleYear, rule.month, rule.weekday, rule.nth);
+      const observed = observedDate(actual);
+
+      if (observed.getFullYear() === year) {
+        holidays.push({
+          date: dateKey(observed),
+          name: rule.name,
+          type: 'HOLIDAY',
+          actualDate: dateKey(actual),
+          observed: observed.getTime() !== actual.getTime(),
+          authority: '5 U.S.C. § 6103'
+        });
+      }
+    }
+  }
+
+  for (const closure of options.closures || []) {
+    if (startOfDay(closure.date).getFullYear() === year) {
+      holidays.push({
+        date: dateKey(closure.date),
+        name: closure.name,
+        type: 'CLOSURE',
+        authority: closure.authority || null
+      });
+    }
+  }
+
+  return holidays.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function getNonBusinessDates(startYear, endYear, options) {
+  const dates = new Set();
+  for (let year = startYear; year <= endYear; year++) {
+    for (const holiday of getFederalHolidays(year, options)) {
+      dates.add(holiday.date);
+    }
+  }
+  return dates;
+}
+
+/**
+ * Check if a date is a federal holiday (observed) or an ad-hoc closure
+ * @param {Date|string} date - The date to check
+ * @param {Object} [options] - Calendar options ({ closures })
+ * @returns {boolean} True if federal offices are closed for a holiday or closure
+ */
+function isFederalHoliday(date, options = {}) {
+  const d = startOfDay(date);
+  return getNonBusinessDates(d.getFullYear(), d.getFullYear(), options).has(dateKey(d));
+}
+
+/**
+ * Check if a date is a federal business day
+ * @param {Date|string} date - The date to check
+ * @param {Object} [options] - Calendar options ({ closures })
+ * @returns {boolean} True for weekdays that are not holidays or closures
+ */
+function isBusinessDay(date, options = {}) {
+  const d = startOfDay(date);
+  return d.getDay() !== 0 && d.getDay() !== 6 && !isFederalHoliday(d, options);
+}
+
+/**
+ * Move a date forward to a business day
+ * @param {Date|string} date - The date
+ * @param {Object} [options] - Calendar options ({ closures })
+ * @returns {Date} The date itself if it is a business day, else the next business day
+ */
+function rollForwardToBusinessDay(date, options = {}) {
+  let d = startOfDay(date);
+  while (!isBusinessDay(d, options)) {
+    d = addDays(d, 1);
+  }
+  return d;
+}
+
+/**
+ * Add business days to a date
+ * @param {Date|string} date - Start date
+ * @param {number} days - Business days to add (negative to count back)
+ * @param {Object} [options] - Calendar options ({ closures })
+ * @returns {Date} The resulting business day
+ */
+function addBusinessDays(date, days, options = {}) {
+  const step = days < 0 ? -1 : 1;
+  let d = startOfDay(date);
+  const closed = getNonBusinessDates(d.getFullYear() - 1, d.getFullYear() + 1 + Math.ceil(Math.abs(days) / 250), options);
+  let remaining = Math.abs(days);
+
+  while (remaining > 0) {
+    d = addDays(d, step);
+    if (d.getDay() !== 0 && d.getDay() !== 6 && !closed.has(dateKey(d))) {
+      remaining--;
+    }
+  }
+
+  return d;
+}
+
+/**
+ * Count the business days after a start date up to and including an end date
+ * @param {Date|string} startDate - Start date (not counted)
+ * @param {Date|string} endDate - End date (counted)
+ * @param {Object} [options] - Calendar options ({ closures })
+ * @returns {number} Business days (negative if the end date is before the start date)
+ */
+function countBusinessDays(startDate, endDate, options = {}) {
+  const start = startOfDay(startDate);
+  const end = startOfDay(endDate);
+  if (end < start) {
+    return -countBusinessDays(end, start, options);
+  }
+
+  const closed = getNonBusinessDates(start.getFullYear(), end.getFullYear(), options);
+  let count = 0;
+  for (let d = addDays(start, 1); d <= end; d = addDays(d, 1)) {
+    if (d.getDay() !== 0 && d.getDay() !== 6 && !closed.has(dateKey(d))) {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Get the number of business days in a fiscal year
+ * @param {number} fiscalYear - The fiscal year
+ * @param {Object} [options] - Calendar options ({ closures })
+ * @returns {number} Business days from October 1 through September 30
+ */
+function getBusinessDaysInFiscalYear(fiscalYear, options = {}) {
+  return countBusinessDays(addDays(getFiscalYearStartDate(fiscalYear), -1), getFiscalYearEndDate(fiscalYear), options);
+}
+
+/**
+ * Get the number of business days elapsed in the fiscal year, including the date itself
+ * @param {Date} date - The reference date (defaults to current date)
+ * @param {Object} [options] - Calendar options ({ closures })
+ * @returns {number} Business days elapsed
+ */
+function getBusinessDaysElapsedInFiscalYear(date = new Date(), options = {}) {
+  const fy = getFiscalYear(date);
+  return countBusinessDays(addDays(getFiscalYearStartDate(fy), -1), date, options);
+}
+
+/**
+ * Get the number of business days remaining in the fiscal year after the date
+ * @param {Date} date - The reference date (defaults to current date)
+ * @param {Object} [options] - Calendar options ({ closures })
+ * @returns {number} Business days remaining
+ */
+function getBusinessDaysRemainingInFiscalYear(date = new Date(), options = {}) {
+  const fy = getFiscalYear(date);
+  return countBusinessDays(date, getFiscalYearEndDate(fy), options);
+}
+
+/**
+ * Calculate a Prompt Payment Act due date
+ * Payment is due the number of calendar days in the payment terms after the
+ * invoice is received; when that falls on a weekend, holiday or closure,
+ * payment on the next business day is timely (5 CFR § 1315.4(g)).
+ * @param {Date|string} invoiceReceivedDate - Date a proper invoice was received
+ * @param {Object} [options] - Calendar options ({ closures, paymentTermsDays })
+ * @returns {Object} Contractual due date and the business-day due date
+ */
+function getPromptPaymentDueDate(invoiceReceivedDate, options = {}) {
+  const paymentTermsDays = options.paymentTermsDays || 30;
+  const contractualDueDate = addDays(invoiceReceivedDate, paymentTermsDays);
+  const dueDate = rollForwardToBusinessDay(contractualDueDate, options);
+
+  return {
+    invoiceReceivedDate: dateKey(invoiceReceivedDate),
+    paymentTermsDays,
+    contractualDueDate: dateKey(contractualDueDate),
+    dueDate: dateKey(dueDate),
+    adjusted: dueDate.getTime() !== contractualDueDate.getTime(),
+    regulation: '5 CFR Part 1315 (Prompt Payment)'
+  };
+}
+
 module.exports = {
   getFiscalYear,
   getFiscalYearStartDate,
@@ -168,6 +431,17 @@ module.exports = {
   getFiscalYearRangeDisplay,
   isValidFiscalYear,
   getCurrentFiscalYear,
+  getFederalHolidays,
+  isFederalHoliday,
+  isBusinessDay,
+  rollForwardToBusinessDay,
+  addBusinessDays,
+  countBusinessDays,
+  getBusinessDaysInFiscalYear,
+  getBusinessDaysElapsedInFiscalYear,
+  getBusinessDaysRemainingInFiscalYear,
+  getPromptPaymentDueDate,
+  FEDERAL_HOLIDAYS,
   FISCAL_YEAR_START_MONTH,
   FISCAL_YEAR_START_DAY,
   FISCAL_YEAR_END_MONTH,
@@ -0,0 +1,268 @@
+/**
+ * PPBE-016: Future Years Defense Program (FYDP)
+ *
+ * Per 10 U.S.C. § 221 and DoD FMR Volume 2A, Chapter 1
+ *
+ * The FYDP carries each program element's resources for the budget year
+ * and the four out-years, by appropriation. Program Objective Memorandum
+ * (POM) development proposes changes against the program of record:
+ * - Program of record: the approved FYDP position (last President's Budget)
+ * - Proposed: the position being built for the next POM
+ */
+
+const { getAppropriationType } = require('./appropriationType');
+const { recommendFundingPhasing } = require('./multiYearFunding');
+const { getFiscalYear } = require('./fiscalYear');
+
+const FYDP_YEARS = 5;
+
+const FYDP_CHANGE_TYPES = {
+  INCREASE: 'INCREASE',
+  DECREASE: 'DECREASE',
+  NEW: 'NEW',
+  TERMINATED: 'TERMINATED',
+  UNCHANGED: 'UNCHANGED'
+};
+
+/**
+ * Get the fiscal years covered by a FYDP
+ * @param {number} budgetYear - The budget year (first year of the FYDP)
+ * @returns {Array<number>} Budget year and the four out-years
+ */
+function getFydpYears(budgetYear) {
+  return Array.from({ length: FYDP_YEARS }, (_, i) => budgetYear + i);
+}
+
+/**
+ * Validate a FYDP projection
+ * @param {Object} projection - Projection details
+ * @param {number} projection.budgetYear - First year of the FYDP
+ * @param {Array} projection.resources - Resource lines ({ appropriationType, fiscalYear, amount })
+ * @returns {Object} Validation result
+ */
+function validateProjection(projection) {
+  const { budgetYear, resources = [] } = projection;
+  const errors = [];
+  const warnings = [];
+  const years = getFydpYears(budgetYear);
+  const seen = new Set();
+
+  if (!Number.isInteger(budgetYear)) {
+    errors.push('Budget year is required');
+  }
+
+  for (const resource of resources) {
+    const key = `${resource.appropriationType}:${resource.fiscalYear}`;
+
+    if (!getAppropriationType(resource.appropriationType)) {
+      errors.push(`Invalid appropriation type: ${resource.appropriationType}`);
+    }
+    if (!years.includes(resource.fiscalYear)) {
+      errors.push(
+        `FY${resource.fiscalYear} is outside the FYDP (FY${years[0]}-FY${years[years.length - 1]})`
+      );
+    }
+    if (resource.amount < 0) {
+      errors.push(`${resource.appropriationType} FY${resource.fiscalYear} amount cannot be negative`);
+    }
+    if (seen.has(key)) {
+      errors.push(`${resource.appropriationType} FY${resource.fiscalYear} is listed more than once`);
+    }
+    seen.add(key);
+  }
+
+  const fundedYears = new Set(resources.filter(r => r.amount > 0).map(r => r.fiscalYear));
+  const unfunded = years.filter(y => !fundedYears.has(y));
+  if (resources.length > 0 && unfunded.length > 0) {
+    warnings.push(`No resources in ${unfunded.map(y => `FY${y}`).join(', ')}`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings
+  };
+}
+
+/**
+ * Summarize a projection by year and appropriation, with year-over-year deltas
+ * @param {Object} projection - Projection ({ budgetYear, resources })
+ * @returns {Object} Totals by year and appropriation and the change from each prior year
+ */
+function summarizeProjection(projection) {
+  const years = getFydpYears(projection.budgetYear);
+  const resources = projection.resources || [];
+  const byYear = {};
+  const byAppropriation = {};
+
+  for (const year of years) {
+    byYear[year] = 0;
+  }
+
+  for (const resource of resources) {
+    byYear[resource.fiscalYear] = (byYear[resource.fiscalYear] || 0) + resource.amount;
+
+    if (!byAppropriation[resource.appropriationType]) {
+      byAppropriation[resource.appropriationType] = { total: 0 };
+      for (const year of years) {
+        byAppropriation[resource.appropriationType][year] = 0;
+      }
+    }
+    byAppropriation[resource.appropriationType][resource.fiscalYear] += resource.amount;
+    byAppropriation[resource.appropriationType].total += resource.amount;
+  }
+
+  const yearOverYear = years.slice(1).map((year, i) => {
+    const previous = byYear[years[i]];
+    const change = byYear[year] - previous;
+    return {
+      fiscalYear: year,
+      amount: byYear[year],
+      change,
+      percentChange: previous > 0 ? Math.round((change / previous) * 10000) / 100 : null
+    };
+  });
+
+  return {
+    budgetYear: projection.budgetYear,
+    years,
+    byYear,
+    byAppropriation,
+    total: years.reduce((sum, year) => sum + byYear[year], 0),
+    yearOverYear
+  };
+}
+
+/**
+ * Compare two FYDP positions (e.g. program of record vs. proposed)
+ * @param {Object|null} baseline - Baseline projection
+ * @param {Object|null} proposed - Proposed projection
+ * @returns {Object} Deltas by year and appropriation with the overall change type
+ */
+function compareProjections(baseline, proposed) {
+  const budgetYear = (proposed || baseline || {}).budgetYear;
+  const years = getFydpYears(budgetYear);
+  const amountOf = (projection, type, year) =>
+    ((projection && projection.resources) || [])
+      .filter(r => r.appropriationType === type && r.fiscalYear === year)
+      .reduce((sum, r) => sum + r.amount, 0);
+
+  const types = [...new Set([
+    ...((baseline && baseline.resources) || []).map(r => r.appropriationType),
+    ...((proposed && proposed.resources) || []).map(r => r.appropriationType)
+  ])].sort();
+
+  const warnings = [];
+  if (baseline && proposed && baseline.budgetYear !== proposed.budgetYear) {
+    warnings.push(
+      `Positions cover different FYDPs (FY${baseline.budgetYear} and FY${proposed.budgetYear}); ` +
+      `compared over FY${years[0]}-FY${years[years.length - 1]}`
+    );
+  }
+
+  const byAppropriation = types.map(type => {
+    const deltas = years.map(year => {
+      const base = amountOf(baseline, type, year);
+      const prop = amountOf(proposed, type, year);
+      return { fiscalYear: year, baseline: base, proposed: prop, delta: prop - base };
+    });
+    return {
+      appropriationType: type,
+      years: deltas,
+      delta: deltas.reduce((sum, d) => sum + d.delta, 0)
+    };
+  });
+
+  const byYear = years.map(year => {
+    const base = types.reduce((sum, type) => sum + amountOf(baseline, type, year), 0);
+    const prop = types.reduce((sum, type) => sum + amountOf(proposed, type, year), 0);
+    return { fiscalYear: year, baseline: base, proposed: prop, delta: prop - base };
+  });
+
+  const baselineTotal = byYear.reduce((sum, y) => sum + y.baseline, 0);
+  const proposedTotal = byYear.reduce((sum, y) => sum + y.proposed, 0);
+
+  return {
+    budgetYear,
+    years,
+    byYear,
+    byAppropriation,
+    baselineTotal,
+    proposedTotal,
+    delta: proposedTotal - baselineTotal,
+    changeType: classifyChange(baselineTotal, proposedTotal),
+    warnings
+  };
+}
+
+function classifyChange(baselineTotal, proposedTotal) {
+  if (baselineTotal === 0 && proposedTotal > 0) return FYDP_CHANGE_TYPES.NEW;
+  if (baselineTotal > 0 && proposedTotal === 0) return FYDP_CHANGE_TYPES.TERMINATED;
+  if (proposedTotal > baselineTotal) return FYDP_CHANGE_TYPES.INCREASE;
+  if (proposedTotal < baselineTotal) return FYDP_CHANGE_TYPES.DECREASE;
+  return FYDP_CHANGE_TYPES.UNCHANGED;
+}
+
+/**
+ * Phase a requirement across the FYDP using the recommended funding approach
+ *
+ * Full funding puts the whole cost in the fiscal year the requirement starts.
+ * Incremental funding and multi-year contracts spread it evenly over the
+ * fiscal years of the performance period. Amounts beyond the FYDP are reported
+ * but not phased.
+ *
+ * @param {Object} requirement - Requirement (see multiYearFunding.recommendFundingPhasing)
+ * @param {string} requirement.appropriationType - Appropriation type to resource it from
+ * @param {string} [requirement.approach] - Funding approach to use instead of the primary recommendation
+ * @param {number} budgetYear - First year of the FYDP
+ * @returns {Object} Resource lines, the approach used and the phasing recommendation
+ */
+function phaseRequirement(requirement, budgetYear) {
+  const recommendation = recommendFundingPhasing(requirement);
+  const approach = requirement.approach || recommendation.primaryRecommendation.approach;
+  const errors = [];
+
+  if (!recommendation.recommendations.some(r => r.approach === approach)) {
+    errors.push(`${approach} is not a recommended funding approach for this requirement`);
+  }
+
+  const years = getFydpYears(budgetYear);
+  const period = requirement.performancePeriod;
+  const startFY = period ? Math.max(getFiscalYear(new Date(period.start)), budgetYear) : budgetYear;
+  const endFY = period ? getFiscalYear(new Date(period.end)) : startFY;
+  const fundingYears = approach === 'FULL_FUNDING'
+    ? [startFY]
+    : Array.from({ length: Math.max(1, endFY - startFY + 1) }, (_, i) => startFY + i);
+
+  // Whole dollars per year; the last year takes the rounding remainder
+  const perYear = Math.floor(requirement.totalCost / fundingYears.length);
+  const phased = fundingYears.map((fiscalYear, i) => ({
+    appropriationType: requirement.appropriationType,
+    fiscalYear,
+    amount: i === fundingYears.length - 1 ? requirement.totalCost - perYear * (fundingYears.length - 1) : perYear
+  }));
+
+  const resources = phased.filter(r => years.includes(r.fiscalYear));
+  const beyondFydp = phased
+    .filter(r => !years.includes(r.fiscalYear))
+    .reduce((sum, r) => sum + r.amount, 0);
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    approach,
+    resources,
+    beyondFydp,
+    recommendation
+  };
+}
+
+module.exports = {
+  FYDP_YEARS,
+  FYDP_CHANGE_TYPES,
+  getFydpYears,
+  validateProjection,
+  summarizeProjection,
+  compareProjections,
+  phaseRequirement
+};
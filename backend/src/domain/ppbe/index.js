@@ -45,18 +45,57 @@ const executionTracking = require('./executionTracking');
 // PPBE-010: Congressional Reporting Formats
 const congressionalReporting = require('./congressionalReporting');
 
+// PPBE-011: Continuing Resolution Funding
+const continuingResolution = require('./continuingResolution');
+
+// PPBE-012: Appropriation Lifecycle (Current, Expired, Cancelled)
+const appropriationLifecycle = require('./appropriationLifecycle');
+
+// PPBE-013: Apportionment (SF-132) and Funds Distribution
+const apportionment = require('./apportionment');
+
+// PPBE-014: SF-133 Report on Budget Execution and Budgetary Resources
+const sf133 = require('./sf133');
+
+// PPBE-015: Reprogramming
+const reprogramming = require('./reprogramming');
+
+// PPBE-016: Future Years Defense Program (FYDP) Projections
+const fydp = require('./fydp');
+
+// PPBE-017: Inflation Indices and Dollar Basis (TY/CY/BY)
+const inflation = require('./inflation');
+
+// PPBE-018: Versioned, Effective-Dated Compliance Rule Packs
+const rulePacks = require('./rulePacks');
+
+// PPBE-019: USSGL General Ledger Posting
+const ussgl = require('./ussgl');
+
+// PPBE-020: Treasury Account Symbol and Line of Accounting
+const treasuryAccount = require('./treasuryAccount');
+
+// PPBE-021: Tri-Annual Review of Unliquidated Obligations
+const triAnnualReview = require('./triAnnualReview');
+
+// PPBE-022: Spend Plans and Execution Phasing
+const spendPlan = require('./spendPlan');
+
 /**
  * Comprehensive PPBE validation function
  * Validates a transaction against all relevant PPBE rules
  * @param {Object} transaction - Transaction/obligation to validate
  * @param {Object} budgetAccount - Budget account details
  * @param {Object} options - Validation options
+ * @param {Object} [options.apportionment] - SF-132 apportionment for the ADA check
+ * @param {Object} [options.rulePack] - Rule pack to evaluate under (defaults to the baseline rules)
  * @returns {Object} Comprehensive validation result
  */
 function validateTransaction(transaction, budgetAccount, options = {}) {
   const validations = {};
   const allErrors = [];
   const allWarnings = [];
+  const rules = options.rulePack ? options.rulePack.rules : null;
 
   // Fiscal Year validation
   if (transaction.fiscalYear) {
@@ -78,7 +117,7 @@ function validateTransaction(transaction, budgetAccount, options = {}) {
 
   // PTA validation
   if (budgetAccount) {
-    validations.pta = ptaValidation.validatePTA(transaction, budgetAccount);
+    validations.pta = ptaValidation.validatePTA(transaction, budgetAccount, rules);
     allErrors.push(...validations.pta.errors);
     allWarnings.push(...validations.pta.warnings);
   }
@@ -107,7 +146,7 @@ function validateTransaction(transaction, budgetAccount, options = {}) {
 
   // Colors of Money validation
   if (transaction.purpose && transaction.appropriationType) {
-    validations.colorsOfMoney = colorsOfMoney.validateColorOfMoneyRules(transaction);
+    validations.colorsOfMoney = colorsOfMoney.validateColorOfMoneyRules(transaction, rules);
     allErrors.push(...validations.colorsOfMoney.errors);
     allWarnings.push(...validations.colorsOfMoney.warnings);
   }
@@ -121,6 +160,7 @@ function validateTransaction(transaction, budgetAccount, options = {}) {
     warnings: allWarnings,
     validations,
     criticalViolations: validations.antiDeficiencyAct?.hasViolation || false,
+    rulePack: rulePacks.getRulePackReference(options.rulePack),
     timestamp: new Date().toISOString(),
     transactionId: transaction.id
   };
@@ -143,14 +183,27 @@ function getModuleInfo() {
         '31 U.S.C. § 1341 (Anti-Deficiency Act)',
         '31 U.S.C. § 1342 (Voluntary Services)',
         '31 U.S.C. § 1502 (Bona Fide Need)',
+        '31 U.S.C. § 1512, § 1513 (Apportionment Requirements)',
+        '31 U.S.C. § 1514 (Administrative Division of Apportionments)',
         '31 U.S.C. § 1517 (Apportionment)',
+        '31 U.S.C. § 1552 (Account Closing)',
+        '31 U.S.C. § 1553 (Expired Accounts)',
         '10 U.S.C. § 2306b (Multi-Year Contracts)',
-        'GAO Principles of Appropriations Law'
+        'GAO Principles of Appropriations Law',
+        'OMB Circular A-11, Section 120 (Apportionment)',
+        'OMB Circular A-11, Section 123 (Continuing Resolutions)',
+        'OMB Circular A-11, Section 130 (SF-133 Reporting)',
+        'DoD FMR Volume 3, Chapter 6 (Reprogramming)',
+        'DoD FMR Volume 3, Chapter 8 (Tri-Annual Review)',
+        '10 U.S.C. § 221 (Future-Years Defense Program)',
+        'DoD FMR Volume 2A, Chapter 1 (Inflation and Dollar Basis)',
+        '5 U.S.C. § 6103 (Federal Holidays)',
+        '5 CFR Part 1315 (Prompt Payment)'
       ],
       lastUpdated: '2025-11-03'
     },
     features: [
-      'PPBE-001: Fiscal Year Calculations',
+      'PPBE-001: Fiscal Year Calculations and Federal Business Days',
       'PPBE-002: Appropriation Type Validation',
       'PPBE-003: Colors of Money Rules',
       'PPBE-004: PTA Validation',
@@ -159,7 +212,19 @@ function getModuleInfo() {
       'PPBE-007: Multi-Year Funding Calculations',
       'PPBE-008: Budget Workflow State Machine',
       'PPBE-009: Execution Phase Tracking',
-      'PPBE-010: Congressional Reporting Formats'
+      'PPBE-010: Congressional Reporting Formats',
+      'PPBE-011: Continuing Resolution Funding',
+      'PPBE-012: Appropriation Lifecycle',
+      'PPBE-013: Apportionment and Funds Distribution',
+      'PPBE-014: SF-133 Budget Execution Report',
+      'PPBE-015: Reprogramming',
+      'PPBE-016: FYDP Projections and POM Positions',
+      'PPBE-017: Inflation Indices and Constant-Dollar Conversion',
+      'PPBE-018: Versioned Compliance Rule Packs',
+      'PPBE-019: USSGL General Ledger Posting',
+      'PPBE-020: Treasury Account Symbol and Line of Accounting',
+      'PPBE-021: Tri-Annual Review of Unliquidated Obligations',
+      'PPBE-022: Spend Plans and Execution Phasing'
     ]
   };
 }
@@ -176,6 +241,18 @@ module.exports = {
   budgetWorkflow,
   executionTracking,
   congressionalReporting,
+  continuingResolution,
+  appropriationLifecycle,
+  apportionment,
+  sf133,
+  reprogramming,
+  fydp,
+  inflation,
+  rulePacks,
+  ussgl,
+  treasuryAccount,
+  triAnnualReview,
+  spendPlan,
 
   // Utility functions
   validateTransaction,
@@ -0,0 +1,213 @@
+/**
+ * PPBE-017: Inflation Indices and Dollar Basis
+ *
+ * Per DoD FMR Volume 2A, Chapter 1 and the OSD(C) inflation guidance
+ * (National Defense Budget Estimates, "Green Book")
+ *
+ * Amounts are expressed in one of three dollar bases:
+ * - Then-year (TY): the dollars actually budgeted and spent in each fiscal year
+ * - Constant-year (CY): purchasing power of a chosen fiscal year
+ * - Base-year (BY): constant dollars of the index table's base year
+ *
+ * An index table holds one composite index per fiscal year for an
+ * appropriation type, with the base year at 1.0. Converting between bases
+ * scales by the ratio of the indices of the two reference years.
+ */
+
+const { getAppropriationType } = require('./appropriationType');
+
+const DOLLAR_BASES = {
+  THEN_YEAR: 'TY',
+  CONSTANT_YEAR: 'CY',
+  BASE_YEAR: 'BY'
+};
+
+const BASE_INDEX_TOLERANCE = 0.0001;
+
+/**
+ * Build an index table from annual escalation rates
+ * @param {number} baseYear - Fiscal year with an index of 1.0
+ * @param {Object} rates - Escalation rate for each fiscal year, e.g. { 2027: 0.021 }
+ * @returns {Object} Index for each fiscal year from the first to the last year given
+ */
+function buildIndicesFromRates(baseYear, rates) {
+  const years = Object.keys(rates).map(Number).concat(baseYear);
+  const first = Math.min(...years);
+  const last = Math.max(...years);
+  const indices = { [baseYear]: 1 };
+
+  // The rate for a year is the growth from the year before it
+  for (let year = baseYear + 1; year <= last; year++) {
+    indices[year] = round(indices[year - 1] * (1 + (rates[year] || 0)), 6);
+  }
+  for (let year = baseYear - 1; year >= first; year--) {
+    indices[year] = round(indices[year + 1] / (1 + (rates[year + 1] || 0)), 6);
+  }
+
+  return indices;
+}
+
+/**
+ * Validate an inflation index table
+ * @param {Object} table - Index table
+ * @param {string} table.appropriationType - Appropriation type code (OM, PROCUREMENT, etc.)
+ * @param {number} table.baseYear - Fiscal year with an index of 1.0
+ * @param {Object} table.indices - Index for each fiscal year
+ * @returns {Object} Validation result
+ */
+function validateIndexTable(table) {
+  const { appropriationType, baseYear, indices = {} } = table;
+  const errors = [];
+
+  if (!getAppropriationType(appropriationType)) {
+    errors.push(`Invalid appropriation type: ${appropriationType}`);
+  }
+  if (!Number.isInteger(baseYear)) {
+    errors.push('Base year is required');
+  }
+
+  for (const [year, index] of Object.entries(indices)) {
+    if (!/^\d{4}$/.test(year)) {
+      errors.push(`Invalid fiscal year: ${year}`);
+    }
+    if (typeof index !== 'number' || !(index > 0)) {
+      errors.push(`Index for FY${year} must be greater than zero`);
+    }
+  }
+
+  const baseIndex = indices[baseYear];
+  if (baseIndex === undefined) {
+    errors.push(`No index for the base year FY${baseYear}`);
+  } else if (Math.abs(baseIndex - 1) > BASE_INDEX_TOLERANCE) {
+    errors.push(`Index for the base year FY${baseYear} must be 1.0, not ${baseIndex}`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Get the index for a fiscal year
+ * @param {Object} table - Index table
+ * @param {number} fiscalYear - Fiscal year
+ * @returns {number|null} Index, or null if the table does not cover the year
+ */
+function getIndex(table, fiscalYear) {
+  const index = table && table.indices ? table.indices[fiscalYear] : undefined;
+  return index === undefined ? null : index;
+}
+
+/**
+ * Get the fiscal year whose purchasing power an amount is expressed in
+ * @param {Object} basis - Dollar basis ({ basis, year })
+ * @param {number} fiscalYear - Fiscal year the amount is budgeted in
+ * @param {Object|null} table - Index table (gives the base year)
+ * @returns {number|null} Reference fiscal year
+ */
+function getReferenceYear(basis, fiscalYear, table) {
+  switch (basis.basis || DOLLAR_BASES.THEN_YEAR) {
+    case DOLLAR_BASES.THEN_YEAR:
+      return fiscalYear;
+    case DOLLAR_BASES.CONSTANT_YEAR:
+      return basis.year === undefined ? null : basis.year;
+    case DOLLAR_BASES.BASE_YEAR:
+      return table ? table.baseYear : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Convert an amount between dollar bases
+ * @param {Object} params - Conversion details
+ * @param {number} params.amount - Amount to convert
+ * @param {number} params.fiscalYear - Fiscal year the amount is budgeted in
+ * @param {Object} params.from - Basis of the amount ({ basis: 'TY'|'CY'|'BY', year })
+ * @param {Object} params.to - Basis to convert to ({ basis, year })
+ * @param {Object|null} [params.table] - Index table for the appropriation type
+ * @returns {Object} Converted amount and the factor applied
+ */
+function convertAmount(params) {
+  const { amount, fiscalYear, from, to, table = null } = params;
+  const fromBasis = from.basis || DOLLAR_BASES.THEN_YEAR;
+  const toBasis = to.basis || DOLLAR_BASES.THEN_YEAR;
+  const errors = [];
+
+  // Amounts already in the target basis need no index table
+  const sameBasis = fromBasis === toBasis &&
+    (fromBasis !== DOLLAR_BASES.CONSTANT_YEAR || from.year === to.year);
+
+  for (const basis of [from, to]) {
+    const code = basis.basis || DOLLAR_BASES.THEN_YEAR;
+    if (!Object.values(DOLLAR_BASES).includes(code)) {
+      errors.push(`Invalid dollar basis: ${code}`);
+    } else if (code === DOLLAR_BASES.CONSTANT_YEAR && basis.year === undefined) {
+      errors.push('Constant-year dollars require a year');
+    } else if (code === DOLLAR_BASES.BASE_YEAR && !table && !sameBasis) {
+      errors.push('Base-year dollars require an index table');
+    }
+  }
+
+  const fromYear = getReferenceYear(from, fiscalYear, table);
+  const toYear = getReferenceYear(to, fiscalYear, table);
+  let factor = null;
+
+  if (errors.length === 0) {
+    if (sameBasis || fromYear === toYear) {
+      factor = 1;
+    } else if (!table) {
+      errors.push('An index table is required to convert between different years');
+    } else {
+      for (const year of [fromYear, toYear]) {
+        if (getIndex(table, year) === null) {
+          errors.push(`Index table does not cover FY${year}`);
+        }
+      }
+      if (errors.length === 0) {
+        factor = getIndex(table, toYear) / getIndex(table, fromYear);
+      }
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    amount: factor === null ? null : round(amount * factor, 2),
+    factor,
+    from: { basis: fromBasis, year: fromYear },
+    to: { basis: toBasis, year: toYear }
+  };
+}
+
+/**
+ * Describe a dollar basis for display
+ * @param {Object} basis - Dollar basis ({ basis, year })
+ * @returns {string} Label, e.g. "Constant FY2025 dollars"
+ */
+function describeBasis(basis) {
+  switch (basis.basis || DOLLAR_BASES.THEN_YEAR) {
+    case DOLLAR_BASES.CONSTANT_YEAR:
+      return `Constant FY${basis.year} dollars`;
+    case DOLLAR_BASES.BASE_YEAR:
+      return basis.year ? `Base-year (FY${basis.year}) dollars` : 'Base-year dollars';
+    default:
+      return 'Then-year dollars';
+  }
+}
+
+function round(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  DOLLAR_BASES,
+  buildIndicesFromRates,
+  validateIndexTable,
+  getIndex,
+  getReferenceYear,
+  convertAmount,
+  describeBasis
+};
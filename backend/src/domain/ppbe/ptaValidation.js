@@ -19,9 +19,10 @@ const { validatePurpose } = require('./colorsOfMoney');
  * Validate PURPOSE restriction
  * Ensures funds are used for their intended and authorized purposes
  * @param {Object} obligation - Obligation details
+ * @param {Object} [rules] - Rule pack rules (PPBE-018) giving the authorized purposes
  * @returns {Object} Validation result
  */
-function validatePurposeRestriction(obligation) {
+function validatePurposeRestriction(obligation, rules = null) {
   const errors = [];
   const warnings = [];
 
@@ -38,7 +39,7 @@ function validatePurposeRestriction(obligation) {
   }
 
   // Validate purpose against appropriation type
-  const purposeValidation = validatePurpose(obligation.appropriationType, obligation.purpose);
+  const purposeValidation = validatePurpose(obligation.appropriationType, obligation.purpose, rules);
 
   if (!purposeValidation.isValid) {
     errors.push(...purposeValidation.errors);
@@ -77,9 +78,10 @@ function validatePurposeRestriction(obligation) {
  * Validate TIME restriction
  * Ensures funds are obligated within authorized time period
  * @param {Object} obligation - Obligation details
+ * @param {Object} [rules] - Rule pack rules giving the periods of availability
  * @returns {Object} Validation result
  */
-function validateTimeRestriction(obligation) {
+function validateTimeRestriction(obligation, rules = null) {
   const errors = [];
   const warnings = [];
 
@@ -109,7 +111,7 @@ function validateTimeRestriction(obligation) {
   }
 
   // Calculate expiration
-  const expiration = calculateExpirationDate(obligation.appropriationType, obligation.fiscalYear);
+  const expiration = calculateExpirationDate(obligation.appropriationType, obligation.fiscalYear, null, rules);
 
   if (!expiration.isValid) {
     errors.push(...(expiration.errors || []));
@@ -120,7 +122,8 @@ function validateTimeRestriction(obligation) {
   const expirationStatus = isFundingExpired(
     obligation.appropriationType,
     obligation.fiscalYear,
-    obligationDate
+    obligationDate,
+    rules
   );
 
   if (expirationStatus.isExpired) {
@@ -249,9 +252,10 @@ function validateAmountRestriction(obligation, budgetStatus) {
  * Validates all three restrictions: Purpose, Time, and Amount
  * @param {Object} obligation - Obligation details
  * @param {Object} budgetStatus - Current budget status
+ * @param {Object} [rules] - Rule pack rules (defaults to the built-in rules)
  * @returns {Object} Comprehensive validation result
  */
-function validatePTA(obligation, budgetStatus) {
+function validatePTA(obligation, budgetStatus, rules = null) {
   const validations = {
     purpose: null,
     time: null,
@@ -262,12 +266,12 @@ function validatePTA(obligation, budgetStatus) {
   const allWarnings = [];
 
   // Validate PURPOSE
-  validations.purpose = validatePurposeRestriction(obligation);
+  validations.purpose = validatePurposeRestriction(obligation, rules);
   allErrors.push(...validations.purpose.errors);
   allWarnings.push(...validations.purpose.warnings);
 
   // Validate TIME
-  validations.time = validateTimeRestriction(obligation);
+  validations.time = validateTimeRestriction(obligation, rules);
   allErrors.push(...validations.time.errors);
   allWarnings.push(...validations.time.warnings);
 
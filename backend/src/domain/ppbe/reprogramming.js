@@ -0,0 +1,213 @@
+/**
+ * PPBE-015: Reprogramming
+ *
+ * Per DoD FMR Volume 3, Chapter 6 and the annual DoD Appropriations Act
+ *
+ * A reprogramming moves funds between program elements or budget line items
+ * within the same appropriation and fiscal year. The change is net zero: the
+ * source line decreases by the amount the target line increases.
+ *
+ * Below threshold reprogramming (BTR, DD 1415-3) may be done internally as long
+ * as the cumulative increases into and decreases out of a line for the fiscal
+ * year stay within the threshold for its appropriation type. Anything above
+ * the threshold is a prior approval reprogramming (DD 1415-1) that requires
+ * congressional approval before the funds move.
+ */
+
+const { getAppropriationType } = require('./appropriationType');
+
+const REPROGRAMMING_CATEGORIES = {
+  BELOW_THRESHOLD: 'BELOW_THRESHOLD',
+  PRIOR_APPROVAL: 'PRIOR_APPROVAL'
+};
+
+const REPROGRAMMING_FORMS = {
+  BELOW_THRESHOLD: 'DD 1415-3',
+  PRIOR_APPROVAL: 'DD 1415-1'
+};
+
+// Cumulative BTR thresholds per line. Where a percentage applies, the limit is
+// the lesser of the dollar amount and the percentage of the line's base amount.
+const BTR_THRESHOLDS = {
+  MILPERS: { amount: 15000000, percent: null, level: 'budget activity' },
+  OM: { amount: 15000000, percent: null, level: 'budget activity' },
+  PROCUREMENT: { amount: 20000000, percent: 0.20, level: 'line item' },
+  RDTE: { amount: 10000000, percent: 0.20, level: 'program element' },
+  MILCON: { amount: 2000000, percent: 0.25, level: 'project' },
+  FCH: { amount: 2000000, percent: 0.25, level: 'project' }
+};
+
+/**
+ * Get the cumulative BTR limit for a line
+ * @param {string} appropriationType - Appropriation type code (OM, PROCUREMENT, etc.)
+ * @param {number} baseAmount - The line's amount before any reprogramming this fiscal year
+ * @returns {Object|null} Limit and the threshold it came from, or null if BTR does not apply
+ */
+function getBtrLimit(appropriationType, baseAmount) {
+  const threshold = BTR_THRESHOLDS[appropriationType];
+  if (!threshold) {
+    return null;
+  }
+
+  const percentLimit = threshold.percent === null ? null : Math.round(baseAmount * threshold.percent * 100) / 100;
+  const limit = percentLimit === null ? threshold.amount : Math.min(threshold.amount, percentLimit);
+
+  return {
+    limit,
+    dollarThreshold: threshold.amount,
+    percentThreshold: threshold.percent,
+    basis: percentLimit !== null && percentLimit < threshold.amount
+      ? `${threshold.percent * 100}% of the ${threshold.level} base amount`
+      : `$${threshold.amount.toLocaleString()} per ${threshold.level}`
+  };
+}
+
+/**
+ * Evaluate a proposed reprogramming against available funds and cumulative BTR thresholds
+ * @param {Object} params - Reprogramming details
+ * @param {string} params.appropriationType - Appropriation type code
+ * @param {number} params.amount - Amount to move
+ * @param {Object} params.from - Source line ({ baseAmount, available, cumulativeDecreases })
+ * @param {Object} params.to - Target line ({ baseAmount, cumulativeIncreases })
+ * @returns {Object} Evaluation with the category and each line's cumulative BTR position
+ */
+function evaluateReprogramming(params) {
+  const { appropriationType, amount, from, to } = params;
+  const errors = [];
+  const warnings = [];
+  const reasons = [];
+
+  if (!getAppropriationType(appropriationType)) {
+    errors.push(`Invalid appropriation type: ${appropriationType}`);
+  }
+  if (!(amount > 0)) {
+    errors.push('Reprogramming amount must be greater than zero');
+  }
+  if (amount > from.available) {
+    errors.push(
+      `Source line has $${from.available.toLocaleString()} available, ` +
+      `less than the $${amount.toLocaleString()} to be reprogrammed`
+    );
+  }
+
+  const checkLine = (line, cumulative, direction) => {
+    const btr = getBtrLimit(appropriationType, line.baseAmount);
+    const cumulativeAfter = cumulative + amount;
+    const exceeds = btr ? cumulativeAfter > btr.limit : true;
+
+    if (exceeds) {
+      reasons.push(
+        btr
+          ? `Cumulative ${direction} of $${cumulativeAfter.toLocaleString()} exceeds the BTR limit of ` +
+            `$${btr.limit.toLocaleString()} (${btr.basis})`
+          : `No BTR threshold applies to ${appropriationType} funds`
+      );
+    }
+
+    return {
+      baseAmount: line.baseAmount,
+      limit: btr ? btr.limit : null,
+      basis: btr ? btr.basis : null,
+      cumulativeBefore: cumulative,
+      cumulativeAfter,
+      remaining: btr ? Math.max(0, btr.limit - cumulativeAfter) : null,
+      exceeds
+    };
+  };
+
+  const fromCheck = checkLine(from, from.cumulativeDecreases || 0, 'decrease');
+  const toCheck = checkLine(to, to.cumulativeIncreases || 0, 'increase');
+  const requiresPriorApproval = fromCheck.exceeds || toCheck.exceeds;
+  const category = requiresPriorApproval
+    ? REPROGRAMMING_CATEGORIES.PRIOR_APPROVAL
+    : REPROGRAMMING_CATEGORIES.BELOW_THRESHOLD;
+
+  if (requiresPriorApproval) {
+    warnings.push('Prior approval reprogramming: funds move only after congressional approval');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings,
+    category,
+    form: REPROGRAMMING_FORMS[category],
+    requiresPriorApproval,
+    reasons: [...new Set(reasons)],
+    from: fromCheck,
+    to: toCheck,
+    regulation: 'DoD FMR Volume 3, Chapter 6'
+  };
+}
+
+/**
+ * Determine the appropriation type whose thresholds apply from the funds of the lines
+ * involved. A type given with the request must agree with it.
+ * @param {Array} lines - Lines ({ number, appropriationTypes }) with the types funding each
+ * @param {string} [requested] - Appropriation type code given with the request
+ * @returns {Object} Validation result with the appropriation type when it is valid
+ */
+function resolveAppropriationType(lines, requested) {
+  const errors = [];
+  const types = new Set();
+
+  for (const line of lines) {
+    const lineTypes = [...new Set(line.appropriationTypes || [])];
+    if (lineTypes.length === 0) {
+      errors.push(`No appropriation type is recorded for ${line.number}`);
+    } else if (lineTypes.length > 1) {
+      errors.push(`${line.number} is funded by more than one appropriation type (${lineTypes.join(', ')})`);
+    }
+    lineTypes.forEach(type => types.add(type));
+  }
+
+  if (errors.length === 0 && types.size > 1) {
+    errors.push(`Lines are funded by different appropriation types (${[...types].join(', ')})`);
+  }
+  const [appropriationType] = types;
+  if (errors.length === 0 && requested && requested !== appropriationType) {
+    errors.push(`Appropriation type ${requested} does not match the ${appropriationType} funds of the lines`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    appropriationType: errors.length === 0 ? appropriationType : undefined
+  };
+}
+
+/**
+ * Sum the BTR activity recorded against a line
+ * @param {string} lineId - Program element or line item id
+ * @param {Array} reprogrammings - Applied reprogrammings ({ fromId, toId, amount, category })
+ * @returns {Object} Cumulative BTR increases and decreases and the net change from all reprogrammings
+ */
+function summarizeLineActivity(lineId, reprogrammings) {
+  let cumulativeIncreases = 0;
+  let cumulativeDecreases = 0;
+  let netChange = 0;
+
+  for (const r of reprogrammings || []) {
+    const isBtr = r.category === REPROGRAMMING_CATEGORIES.BELOW_THRESHOLD;
+    if (r.toId === lineId) {
+      netChange += r.amount;
+      if (isBtr) cumulativeIncreases += r.amount;
+    }
+    if (r.fromId === lineId) {
+      netChange -= r.amount;
+      if (isBtr) cumulativeDecreases += r.amount;
+    }
+  }
+
+  return { cumulativeIncreases, cumulativeDecreases, netChange };
+}
+
+module.exports = {
+  REPROGRAMMING_CATEGORIES,
+  REPROGRAMMING_FORMS,
+  BTR_THRESHOLDS,
+  getBtrLimit,
+  evaluateReprogramming,
+  resolveAppropriationType,
+  summarizeLineActivity
+};
@@ -0,0 +1,212 @@
+/**
+ * PPBE-018: Versioned Compliance Rule Packs
+ *
+ * Cost thresholds, authorized purposes and periods of availability change
+ * with each NDAA, appropriations act and FMR update. A rule pack is a
+ * versioned set of these rules that takes effect on a date; a transaction is
+ * evaluated under the pack in effect on its date, and the result names that
+ * pack so the decision can be explained later.
+ *
+ * Rule sections:
+ * - costThresholds: expense/investment and minor construction thresholds (colorsOfMoney)
+ * - authorizedPurposes: purpose categories for each appropriation type (colorsOfMoney)
+ * - availability: years of availability for each appropriation type, null for no-year
+ * - subTypeAvailability: availability overrides by subtype (e.g. PROCUREMENT SHIPBUILDING)
+ *
+ * The built-in constants form the baseline pack, in effect until a loaded
+ * pack supersedes it.
+ */
+
+const { APPROPRIATION_TYPES } = require('./appropriationType');
+const { AUTHORIZED_PURPOSES, COST_THRESHOLDS } = require('./colorsOfMoney');
+
+const BASELINE_VERSION = 'baseline';
+const BASELINE_EFFECTIVE_DATE = '1900-01-01';
+
+const RULE_SECTIONS = ['costThresholds', 'authorizedPurposes', 'availability', 'subTypeAvailability'];
+
+/**
+ * Get the baseline rule pack built from the module constants
+ * @returns {Object} Baseline rule pack
+ */
+function getBaselineRulePack() {
+  const availability = {};
+  const subTypeAvailability = {};
+
+  for (const [code, type] of Object.entries(APPROPRIATION_TYPES)) {
+    availability[code] = type.availability === Infinity ? null : type.availability;
+    if (type.subTypes) {
+      subTypeAvailability[code] = {};
+      for (const [subType, details] of Object.entries(type.subTypes)) {
+        subTypeAvailability[code][subType] = details.availability;
+      }
+    }
+  }
+
+  const authorizedPurposes = {};
+  for (const [code, purposes] of Object.entries(AUTHORIZED_PURPOSES)) {
+    authorizedPurposes[code] = [...purposes];
+  }
+
+  return {
+    version: BASELINE_VERSION,
+    name: 'Built-in rules',
+    effectiveDate: BASELINE_EFFECTIVE_DATE,
+    authority: 'DoD FMR Volume 2A, Chapter 1; 31 U.S.C. § 1301',
+    rules: {
+      costThresholds: { ...COST_THRESHOLDS },
+      authorizedPurposes,
+      availability,
+      subTypeAvailability
+    }
+  };
+}
+
+/**
+ * Build a complete rule pack from a definition that may change only some rules
+ * Thresholds and availability are merged key by key; a purpose list replaces
+ * the base list for its appropriation type.
+ * @param {Object} definition - Pack details ({ version, name, effectiveDate, authority, rules })
+ * @param {Object} base - Pack the definition amends (the one in effect on its date)
+ * @returns {Object} Rule pack with every rule section and the version it was based on
+ */
+function buildRulePack(definition, base) {
+  const rules = definition.rules || {};
+  const baseRules = base.rules;
+  const subTypeAvailability = { ...baseRules.subTypeAvailability };
+
+  for (const [code, subTypes] of Object.entries(rules.subTypeAvailability || {})) {
+    subTypeAvailability[code] = { ...(subTypeAvailability[code] || {}), ...subTypes };
+  }
+
+  return {
+    ...definition,
+    basedOn: base.version,
+    rules: {
+      costThresholds: { ...baseRules.costThresholds, ...(rules.costThresholds || {}) },
+      authorizedPurposes: { ...baseRules.authorizedPurposes, ...(rules.authorizedPurposes || {}) },
+      availability: { ...baseRules.availability, ...(rules.availability || {}) },
+      subTypeAvailability
+    }
+  };
+}
+
+/**
+ * Validate a rule pack
+ * @param {Object} pack - Rule pack
+ * @returns {Object} Validation result
+ */
+function validateRulePack(pack) {
+  const errors = [];
+  const rules = pack.rules || {};
+
+  if (!pack.version || !/^[A-Za-z0-9._-]+$/.test(pack.version)) {
+    errors.push('Version is required and may contain only letters, digits, ".", "_" and "-"');
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(pack.effectiveDate || '')) {
+    errors.push('Effective date must be YYYY-MM-DD');
+  }
+
+  for (const section of RULE_SECTIONS) {
+    if (!rules[section] || typeof rules[section] !== 'object') {
+      errors.push(`Rule section ${section} is missing`);
+    }
+  }
+  if (errors.length > 0) {
+    return { isValid: false, errors };
+  }
+
+  for (const [name, amount] of Object.entries(rules.costThresholds)) {
+    if (typeof amount !== 'number' || !(amount > 0)) {
+      errors.push(`Cost threshold ${name} must be greater than zero`);
+    }
+  }
+  if (rules.costThresholds.MINOR_EQUIPMENT > rules.costThresholds.MAJOR_EQUIPMENT) {
+    errors.push('MINOR_EQUIPMENT threshold cannot exceed the MAJOR_EQUIPMENT threshold');
+  }
+
+  for (const [code, purposes] of Object.entries(rules.authorizedPurposes)) {
+    if (!APPROPRIATION_TYPES[code]) {
+      errors.push(`Invalid appropriation type in authorized purposes: ${code}`);
+    } else if (!Array.isArray(purposes) || purposes.length === 0) {
+      errors.push(`${code} must have at least one authorized purpose`);
+    }
+  }
+
+  const checkYears = (label, years) => {
+    if (years !== null && !(Number.isInteger(years) && years > 0)) {
+      errors.push(`${label} availability must be a whole number of years, or null for no-year funds`);
+    }
+  };
+  for (const [code, years] of Object.entries(rules.availability)) {
+    if (!APPROPRIATION_TYPES[code]) {
+      errors.push(`Invalid appropriation type in availability: ${code}`);
+    } else {
+      checkYears(code, years);
+    }
+  }
+  for (const [code, subTypes] of Object.entries(rules.subTypeAvailability)) {
+    if (!APPROPRIATION_TYPES[code]) {
+      errors.push(`Invalid appropriation type in subtype availability: ${code}`);
+      continue;
+    }
+    for (const [subType, years] of Object.entries(subTypes)) {
+      checkYears(`${code} ${subType}`, years);
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Select the rule pack in effect on a date
+ * The pack with the latest effective date on or before the date applies; of
+ * packs effective the same day, the one loaded last applies.
+ * @param {Array} packs - Loaded rule packs, in load order
+ * @param {Date|string} [asOf] - Date of the transaction (defaults to today)
+ * @returns {Object} Rule pack in effect (the baseline if none is)
+ */
+function selectRulePack(packs, asOf = new Date()) {
+  const date = toDateKey(asOf);
+  let selected = null;
+
+  for (const pack of packs || []) {
+    if (pack.effectiveDate <= date && (!selected || pack.effectiveDate >= selected.effectiveDate)) {
+      selected = pack;
+    }
+  }
+
+  return selected || getBaselineRulePack();
+}
+
+/**
+ * Reference to a rule pack, recorded on results evaluated under it
+ * @param {Object} [pack] - Rule pack (the baseline if omitted)
+ * @returns {Object} Version and effective date
+ */
+function getRulePackReference(pack) {
+  const { version, effectiveDate } = pack || getBaselineRulePack();
+  return { version, effectiveDate };
+}
+
+function toDateKey(date) {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return date;
+  }
+  const d = new Date(date);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+module.exports = {
+  BASELINE_VERSION,
+  RULE_SECTIONS,
+  getBaselineRulePack,
+  buildRulePack,
+  validateRulePack,
+  selectRulePack,
+  getRulePackReference
+};
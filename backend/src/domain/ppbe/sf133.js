@@ -0,0 +1,375 @@
+/**
+ * PPBE-014: SF-133 Report on Budget Execution and Budgetary Resources
+ *
+ * Per 31 U.S.C. § 1511-1514, OMB Circular A-11 Section 130
+ * and DoD FMR Volume 6A, Chapter 4
+ *
+ * The SF-133 is reported quarterly for each Treasury account. Amounts are
+ * cumulative from the start of the reporting fiscal year through the end of
+ * the reporting period, in three sections:
+ * 1. Budgetary Resources - what was available to obligate
+ * 2. Status of Budgetary Resources - obligations and remaining unobligated balances
+ * 3. Change in Obligated Balance and Outlays - unpaid obligations rolled forward
+ *
+ * Total budgetary resources (line 1910) must equal their status (line 2500),
+ * and the unpaid obligation rollforward must tie to the end-of-period balance.
+ */
+
+const { getFiscalYearStartDate } = require('./fiscalYear');
+
+const SF133_SECTIONS = {
+  BUDGETARY_RESOURCES: 'BUDGETARY_RESOURCES',
+  STATUS_OF_RESOURCES: 'STATUS_OF_RESOURCES',
+  OUTLAYS: 'OUTLAYS'
+};
+
+const SECTION_TITLES = {
+  BUDGETARY_RESOURCES: 'Budgetary Resources',
+  STATUS_OF_RESOURCES: 'Status of Budgetary Resources',
+  OUTLAYS: 'Change in Obligated Balance and Outlays'
+};
+
+const SF133_LINES = {
+  '1000': { section: 'BUDGETARY_RESOURCES', description: 'Unobligated balance brought forward, Oct 1' },
+  '1021': { section: 'BUDGETARY_RESOURCES', description: 'Recoveries of prior year unpaid obligations' },
+  '1100': { section: 'BUDGETARY_RESOURCES', description: 'Appropriations' },
+  '1910': { section: 'BUDGETARY_RESOURCES', description: 'Total budgetary resources', total: true },
+  '2190': { section: 'STATUS_OF_RESOURCES', description: 'New obligations and upward adjustments (total)' },
+  '2204': { section: 'STATUS_OF_RESOURCES', description: 'Apportioned and unexpired unobligated balance' },
+  '2304': { section: 'STATUS_OF_RESOURCES', description: 'Unapportioned, unexpired unobligated balance' },
+  '2403': { section: 'STATUS_OF_RESOURCES', description: 'Expired unobligated balance' },
+  '2412': { section: 'STATUS_OF_RESOURCES', description: 'Unobligated balance, end of period (total)', total: true },
+  '2500': { section: 'STATUS_OF_RESOURCES', description: 'Total budgetary resources', total: true },
+  '3000': { section: 'OUTLAYS', description: 'Unpaid obligations, brought forward, Oct 1' },
+  '3010': { section: 'OUTLAYS', description: 'New obligations and upward adjustments' },
+  '3020': { section: 'OUTLAYS', description: 'Outlays (gross) (-)' },
+  '3040': { section: 'OUTLAYS', description: 'Recoveries of prior year unpaid obligations (-)' },
+  '3050': { section: 'OUTLAYS', description: 'Unpaid obligations, end of period', total: true },
+  '4190': { section: 'OUTLAYS', description: 'Outlays, net (total)', total: true }
+};
+
+// Differences below half a cent are rounding, not an imbalance
+const BALANCE_TOLERANCE = 0.005;
+
+/**
+ * Get the reporting period for a fiscal year quarter
+ * @param {number} fiscalYear - Reporting fiscal year
+ * @param {number} quarter - Fiscal quarter (1-4)
+ * @returns {Object} Period start (Oct 1) and end (last day of the quarter)
+ */
+function getReportingPeriod(fiscalYear, quarter) {
+  if (!Number.isInteger(quarter) || quarter < 1 || quarter > 4) {
+    throw new Error(`Invalid reporting quarter ${quarter}; expected 1-4`);
+  }
+
+  // Quarter 1 ends Dec 31 of the prior calendar year, quarter 4 ends Sep 30
+  const endMonth = (9 + quarter * 3 - 1) % 12;
+  const endYear = quarter === 1 ? fiscalYear - 1 : fiscalYear;
+
+  return {
+    fiscalYear,
+    quarter,
+    startDate: getFiscalYearStartDate(fiscalYear),
+    endDate: new Date(endYear, endMonth + 1, 0, 23, 59, 59, 999)
+  };
+}
+
+/**
+ * Build the SF-133 lines for one Treasury account
+ *
+ * Balances are supplied independently of the period activity so the
+ * reconciliation can detect records that do not tie out (for example
+ * outlays against an obligation that was later deobligated).
+ *
+ * @param {Object} account - Account activity for the reporting period
+ * @param {number} [account.unobligatedBroughtForward] - Unobligated balance at Oct 1
+ * @param {number} [account.unpaidBroughtForward] - Unpaid obligations at Oct 1
+ * @param {number} [account.appropriated] - New appropriations in the reporting year
+ * @param {number} [account.recoveries] - Prior year obligations deobligated during the period
+ * @param {number} [account.newObligations] - Obligations incurred during the period
+ * @param {number} [account.outlays] - Disbursements during the period
+ * @param {number} account.unobligatedBalance - Unobligated balance at period end
+ * @param {number} [account.apportionedBalance] - Portion of the unobligated balance that is apportioned
+ * @param {boolean} [account.expired] - Whether the account is expired at period end
+ * @param {number} account.unpaidObligations - Unpaid obligations at period end
+ * @returns {Object} Sections with their lines and the account's line amounts
+ */
+function buildAccountLines(account) {
+  const {
+    unobligatedBroughtForward = 0,
+    unpaidBroughtForward = 0,
+    appropriated = 0,
+    recoveries = 0,
+    newObligations = 0,
+    outlays = 0,
+    unobligatedBalance,
+    apportionedBalance = unobligatedBalance,
+    expired = false,
+    unpaidObligations
+  } = account;
+
+  const apportioned = expired ? 0 : Math.max(0, Math.min(apportionedBalance, unobligatedBalance));
+  const unapportioned = expired ? 0 : unobligatedBalance - apportioned;
+
+  const amounts = {
+    '1000': unobligatedBroughtForward,
+    '1021': recoveries,
+    '1100': appropriated,
+    '1910': unobligatedBroughtForward + recoveries + appropriated,
+    '2190': newObligations,
+    '2204': apportioned,
+    '2304': unapportioned,
+    '2403': expired ? unobligatedBalance : 0,
+    '2412': unobligatedBalance,
+    '2500': newObligations + unobligatedBalance,
+    '3000': unpaidBroughtForward,
+    '3010': newObligations,
+    '3020': -outlays,
+    '3040': -recoveries,
+    '3050': unpaidObligations,
+    '4190': outlays
+  };
+
+  for (const lineNumber of Object.keys(amounts)) {
+    amounts[lineNumber] = roundCents(amounts[lineNumber]);
+  }
+
+  return { amounts, sections: toSections(amounts) };
+}
+
+function toSections(amounts) {
+  return Object.values(SF133_SECTIONS).map(section => ({
+    section,
+    title: SECTION_TITLES[section],
+    lines: Object.keys(SF133_LINES)
+      .filter(lineNumber => SF133_LINES[lineNumber].section === section)
+      .map(lineNumber => ({
+        lineNumber,
+        description: SF133_LINES[lineNumber].description,
+        amount: amounts[lineNumber] || 0,
+        isTotal: Boolean(SF133_LINES[lineNumber].total)
+      }))
+  }));
+}
+
+/**
+ * Reconcile SF-133 lines
+ * @param {Object} amounts - Line amounts keyed by line number
+ * @returns {Object} Reconciliation result with each check and the out-of-balance sections
+ */
+function reconcile(amounts) {
+  const line = lineNumber => amounts[lineNumber] || 0;
+  const checks = [
+    {
+      rule: 'Budgetary resources equal their status',
+      section: SF133_SECTIONS.STATUS_OF_RESOURCES,
+      lines: ['1910', '2500'],
+      expected: line('1910'),
+      actual: line('2500')
+    },
+    {
+      rule: 'Unobligated balance components equal the total',
+      section: SF133_SECTIONS.STATUS_OF_RESOURCES,
+      lines: ['2204', '2304', '2403', '2412'],
+      expected: line('2204') + line('2304') + line('2403'),
+      actual: line('2412')
+    },
+    {
+      rule: 'Obligations agree between sections',
+      section: SF133_SECTIONS.OUTLAYS,
+      lines: ['2190', '3010'],
+      expected: line('2190'),
+      actual: line('3010')
+    },
+    {
+      rule: 'Unpaid obligations roll forward to the end-of-period balance',
+      section: SF133_SECTIONS.OUTLAYS,
+      lines: ['3000', '3010', '3020', '3040', '3050'],
+      expected: line('3000') + line('3010') + line('3020') + line('3040'),
+      actual: line('3050')
+    },
+    {
+      rule: 'Net outlays equal gross outlays',
+      section: SF133_SECTIONS.OUTLAYS,
+      lines: ['3020', '4190'],
+      expected: -line('3020'),
+      actual: line('4190')
+    }
+  ].map(check => {
+    const difference = roundCents(check.actual - check.expected);
+    return {
+      ...check,
+      expected: roundCents(check.expected),
+      actual: roundCents(check.actual),
+      difference,
+      inBalance: Math.abs(difference) < BALANCE_TOLERANCE
+    };
+  });
+
+  const failed = checks.filter(c => !c.inBalance);
+
+  return {
+    isBalanced: failed.length === 0,
+    checks,
+    outOfBalanceSections: [...new Set(failed.map(c => c.section))]
+  };
+}
+
+/**
+ * Sum line amounts across Treasury accounts
+ * @param {Array} accounts - Accounts with line amounts
+ * @returns {Object} Total line amounts keyed by line number
+ */
+function sumAccounts(accounts) {
+  const totals = {};
+  for (const lineNumber of Object.keys(SF133_LINES)) {
+    totals[lineNumber] = roundCents(accounts.reduce((sum, a) => sum + (a.amounts[lineNumber] || 0), 0));
+  }
+  return totals;
+}
+
+/**
+ * Generate the SF-133 for a reporting period
+ * @param {Object} params - Report parameters
+ * @param {number} params.fiscalYear - Reporting fiscal year
+ * @param {number} params.quarter - Reporting quarter (1-4)
+ * @param {Array} params.accounts - Treasury accounts ({ treasuryAccount, name, ...buildAccountLines input })
+ * @returns {Object} SF-133 with per-account sections, totals and reconciliation
+ */
+function generateSF133(params) {
+  const { fiscalYear, quarter, accounts = [] } = params;
+  const period = getReportingPeriod(fiscalYear, quarter);
+
+  const reported = accounts.map(account => {
+    const { amounts, sections } = buildAccountLines(account);
+    return {
+      treasuryAccount: account.treasuryAccount,
+      name: account.name,
+      appropriationId: account.appropriationId,
+      expired: Boolean(account.expired),
+      amounts,
+      sections,
+      reconciliation: reconcile(amounts)
+    };
+  });
+
+  const totals = sumAccounts(reported);
+  const outOfBalance = reported
+    .filter(a => !a.reconciliation.isBalanced)
+    .map(a => ({
+      treasuryAccount: a.treasuryAccount,
+      sections: a.reconciliation.outOfBalanceSections,
+      checks: a.reconciliation.checks.filter(c => !c.inBalance)
+    }));
+
+  return {
+    reportType: 'SF_133',
+    fiscalYear,
+    quarter,
+    period: `FY${fiscalYear} Q${quarter}`,
+    periodStart: period.startDate,
+    periodEnd: period.endDate,
+    accounts: reported,
+    totals: { amounts: totals, sections: toSections(totals) },
+    reconciliation: {
+      isBalanced: outOfBalance.length === 0,
+      outOfBalance
+    }
+  };
+}
+
+/**
+ * Flatten an SF-133 into one row per account line (for CSV export)
+ * @param {Object} report - Report from generateSF133
+ * @returns {Array} Rows ({ treasuryAccount, section, lineNumber, description, amount })
+ */
+function toRows(report) {
+  return report.accounts.flatMap(account =>
+    account.sections.flatMap(section =>
+      section.lines.map(line => ({
+        treasuryAccount: account.treasuryAccount,
+        section: section.title,
+        lineNumber: line.lineNumber,
+        description: line.description,
+        amount: line.amount.toFixed(2)
+      }))
+    )
+  );
+}
+
+/**
+ * Format an SF-133 as a fixed-width printable report
+ * @param {Object} report - Report from generateSF133
+ * @returns {string} Printable report text
+ */
+function formatPrintable(report) {
+  const width = 88;
+  const rule = '='.repeat(width);
+  const output = [
+    rule,
+    'SF 133 - REPORT ON BUDGET EXECUTION AND BUDGETARY RESOURCES',
+    `Reporting period: ${report.period} (through ${formatDate(report.periodEnd)})`,
+    rule
+  ];
+
+  const printSections = sections => {
+    for (const section of sections) {
+      output.push('', section.title.toUpperCase());
+      for (const line of section.lines) {
+        const label = `  ${line.lineNumber}  ${line.description}`;
+        const amount = formatAmount(line.amount);
+        output.push(label + amount.padStart(width - label.length));
+      }
+    }
+  };
+
+  for (const account of report.accounts) {
+    output.push('', `Treasury account: ${account.treasuryAccount} - ${account.name}${account.expired ? ' (expired)' : ''}`);
+    printSections(account.sections);
+    if (!account.reconciliation.isBalanced) {
+      output.push('');
+      for (const check of account.reconciliation.checks.filter(c => !c.inBalance)) {
+        output.push(`  ** OUT OF BALANCE: ${check.rule} (lines ${check.lines.join(', ')}), difference ${formatAmount(check.difference)}`);
+      }
+    }
+    output.push('-'.repeat(width));
+  }
+
+  output.push('', 'TOTAL ALL TREASURY ACCOUNTS');
+  printSections(report.totals.sections);
+  output.push(
+    '',
+    rule,
+    report.reconciliation.isBalanced
+      ? 'Reconciliation: all sections in balance'
+      : `Reconciliation: ${report.reconciliation.outOfBalance.length} account(s) out of balance`,
+    rule
+  );
+
+  return output.join('\n');
+}
+
+function formatAmount(amount) {
+  const formatted = Math.abs(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return amount < 0 ? `(${formatted})` : formatted;
+}
+
+function formatDate(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+module.exports = {
+  SF133_SECTIONS,
+  SF133_LINES,
+  getReportingPeriod,
+  buildAccountLines,
+  reconcile,
+  generateSF133,
+  toRows,
+  formatPrintable
+};
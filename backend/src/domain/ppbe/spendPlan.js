@@ -0,0 +1,222 @@
+/**
+ * PPBE-022: Spend Plans and Execution Phasing
+ *
+ * Per DoD FMR Volume 3 (Financial Management Execution)
+ *
+ * A spend plan phases the obligations and expenditures of a budget or appropriation over the
+ * twelve months of the fiscal year. Actual execution is compared with the plan on cumulative
+ * totals, the S-curves of planned and actual execution; a month whose cumulative actual strays
+ * from the cumulative plan by more than a threshold is flagged.
+ */
+
+const { getFiscalYear, FISCAL_YEAR_START_MONTH } = require('./fiscalYear');
+
+// Fiscal months in order; calendarMonth is 0-based (0 = January)
+const FISCAL_MONTHS = [
+  'October', 'November', 'December', 'January', 'February', 'March',
+  'April', 'May', 'June', 'July', 'August', 'September'
+].map((name, i) => ({ month: i + 1, name, calendarMonth: (FISCAL_YEAR_START_MONTH + i) % 12 }));
+
+const PLAN_SERIES = ['obligations', 'expenditures'];
+
+// Percent of the cumulative plan a cumulative actual may stray from it before it is flagged
+const DEVIATION_THRESHOLD = 10;
+
+const DEVIATION_FLAGS = {
+  BEHIND_PLAN: 'BEHIND_PLAN',
+  AHEAD_OF_PLAN: 'AHEAD_OF_PLAN'
+};
+
+/**
+ * Get the fiscal month of a date
+ * @param {Date|string} date - Date to check
+ * @returns {number} 1 (October) through 12 (September)
+ */
+function getFiscalMonth(date) {
+  return ((new Date(date).getMonth() - FISCAL_YEAR_START_MONTH + 12) % 12) + 1;
+}
+
+/**
+ * Count the months of a fiscal year that have begun as of a date
+ * @param {number} fiscalYear - Fiscal year of the plan
+ * @param {Date|string} [asOf] - Date to count to (defaults to today)
+ * @returns {number} 0 before the year starts, 12 once it has ended
+ */
+function getMonthsElapsed(fiscalYear, asOf = new Date()) {
+  const year = getFiscalYear(new Date(asOf));
+  if (year < fiscalYear) {
+    return 0;
+  }
+  return year > fiscalYear ? 12 : getFiscalMonth(asOf);
+}
+
+/**
+ * Validate a spend plan
+ * @param {Array} months - { month, obligations, expenditures } for each fiscal month 1-12
+ * @param {number} [fundingAmount] - Amount of the budget or appropriation planned
+ * @returns {Object} { isValid, errors, totals } with errors as { field, message } and totals
+ *   the planned { obligations, expenditures } for the year
+ */
+function validateSpendPlan(months, fundingAmount) {
+  const errors = [];
+  const plan = months || [];
+  const given = plan.map(m => m.month).sort((a, b) => a - b);
+
+  if (given.length !== 12 || given.some((month, i) => month !== i + 1)) {
+    errors.push({ field: 'months', message: 'A spend plan gives each of the 12 fiscal months once' });
+  }
+  for (const m of plan) {
+    if (PLAN_SERIES.some(series => !(m[series] >= 0))) {
+      errors.push({ field: 'months', message: `Month ${m.month} amounts must be 0 or more` });
+    }
+  }
+
+  // Funds cannot be paid out before they are obligated
+  let obligated = 0;
+  let expended = 0;
+  for (const m of [...plan].sort((a, b) => a.month - b.month)) {
+    obligated += m.obligations || 0;
+    expended += m.expenditures || 0;
+    if (expended > obligated) {
+      const name = FISCAL_MONTHS[m.month - 1]?.name || `month ${m.month}`;
+      errors.push({
+        field: 'months',
+        message: `Planned expenditures through ${name} (${expended}) exceed planned obligations (${obligated})`
+      });
+      break;
+    }
+  }
+
+  if (fundingAmount !== undefined && obligated > fundingAmount) {
+    errors.push({ field: 'months', message: `Planned obligations of ${obligated} exceed the ${fundingAmount} funded` });
+  }
+
+  return { isValid: errors.length === 0, errors, totals: { obligations: obligated, expenditures: expended } };
+}
+
+/**
+ * Planned rate of a series as of a date: cumulative plan through the date as a percent of
+ * the funding, with the current month's plan pro-rated by the days gone
+ * @param {Array} months - Spend plan months { month, obligations, expenditures }
+ * @param {number} fundingAmount - Amount the rate is a percent of
+ * @param {Object} options - { fiscalYear, asOf, series } with series 'obligations' (default)
+ *   or 'expenditures'
+ * @returns {number} Planned percent of the funding
+ */
+function getPlannedRate(months, fundingAmount, options = {}) {
+  const { fiscalYear, asOf = new Date(), series = 'obligations' } = options;
+  if (!(fundingAmount > 0)) {
+    return 0;
+  }
+
+  const date = new Date(asOf);
+  const elapsed = getMonthsElapsed(fiscalYear, date);
+  const planned = (month) => (months.find(m => m.month === month) || {})[series] || 0;
+
+  let cumulative = 0;
+  for (let month = 1; month <= elapsed; month++) {
+    cumulative += planned(month);
+  }
+  if (elapsed > 0 && getFiscalYear(date) === fiscalYear) {
+    const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    cumulative -= planned(elapsed) * (1 - date.getDate() / daysInMonth);
+  }
+
+  return (cumulative / fundingAmount) * 100;
+}
+
+/**
+ * Compare actual execution with a spend plan month by month
+ * @param {Array} months - Spend plan months { month, obligations, expenditures }
+ * @param {Array} actuals - Actual { month, obligations, expenditures } by fiscal month
+ * @param {Object} options - { fiscalYear, asOf, threshold } with threshold the percent of the
+ *   cumulative plan a cumulative actual may stray (defaults to DEVIATION_THRESHOLD)
+ * @returns {Object} { fiscalYear, monthsElapsed, threshold, months, sCurve, deviations, totals }
+ *   where each month has per series { planned, actual, cumulativePlanned, cumulativeActual,
+ *   variance, variancePercent, flag }; actual values are null for months not yet begun. The
+ *   S-curves give cumulative planned and actual execution as a percent of the year's plan.
+ */
+function compareToPlan(months, actuals, options = {}) {
+  const { fiscalYear, asOf = new Date(), threshold = DEVIATION_THRESHOLD } = options;
+  const monthsElapsed = getMonthsElapsed(fiscalYear, asOf);
+  const amountOf = (list, month, series) => ((list || []).find(m => m.month === month) || {})[series] || 0;
+  const sumOf = (series) => (months || []).reduce((sum, m) => sum + (m[series] || 0), 0);
+  const round = (value) => (value === null ? null : Number(value.toFixed(2)));
+
+  const planned = { obligations: sumOf('obligations'), expenditures: sumOf('expenditures') };
+  const plannedToDate = { obligations: 0, expenditures: 0 };
+  const actualToDate = { obligations: 0, expenditures: 0 };
+  const percentOfPlan = (amount, series) => (planned[series] > 0 ? round((amount / planned[series]) * 100) : null);
+
+  const cumulativePlan = { obligations: 0, expenditures: 0 };
+  const sCurve = { obligations: [], expenditures: [] };
+  const deviations = [];
+
+  const rows = FISCAL_MONTHS.map(({ month, name }) => {
+    const row = { month, name };
+    const begun = month <= monthsElapsed;
+
+    for (const series of PLAN_SERIES) {
+      const monthPlan = amountOf(months, month, series);
+      cumulativePlan[series] += monthPlan;
+      const entry = {
+        planned: monthPlan,
+        actual: null,
+        cumulativePlanned: cumulativePlan[series],
+        cumulativeActual: null,
+        variance: null,
+        variancePercent: null,
+        flag: null
+      };
+
+      if (begun) {
+        plannedToDate[series] = cumulativePlan[series];
+        entry.actual = amountOf(actuals, month, series);
+        actualToDate[series] += entry.actual;
+        entry.cumulativeActual = actualToDate[series];
+        entry.variance = entry.cumulativeActual - entry.cumulativePlanned;
+        entry.variancePercent = entry.cumulativePlanned > 0
+          ? round((entry.variance / entry.cumulativePlanned) * 100)
+          : null;
+
+        // Any execution against a month with nothing planned yet is a deviation
+        const deviates = entry.variancePercent === null
+          ? entry.variance > 0
+          : Math.abs(entry.variancePercent) > threshold;
+        if (deviates) {
+          entry.flag = entry.variance < 0 ? DEVIATION_FLAGS.BEHIND_PLAN : DEVIATION_FLAGS.AHEAD_OF_PLAN;
+          deviations.push({ month, name, series, flag: entry.flag, variance: entry.variance, variancePercent: entry.variancePercent });
+        }
+      }
+
+      row[series] = entry;
+      sCurve[series].push({
+        month,
+        planned: percentOfPlan(entry.cumulativePlanned, series),
+        actual: begun ? percentOfPlan(entry.cumulativeActual, series) : null
+      });
+    }
+    return row;
+  });
+
+  return {
+    fiscalYear,
+    monthsElapsed,
+    threshold,
+    months: rows,
+    sCurve,
+    deviations,
+    totals: { planned, plannedToDate, actualToDate }
+  };
+}
+
+module.exports = {
+  FISCAL_MONTHS,
+  DEVIATION_THRESHOLD,
+  DEVIATION_FLAGS,
+  getFiscalMonth,
+  getMonthsElapsed,
+  validateSpendPlan,
+  getPlannedRate,
+  compareToPlan
+};
@@ -0,0 +1,237 @@
+/**
+ * PPBE-020: Treasury Account Symbol and Line of Accounting
+ *
+ * Per the Treasury Financial Manual (TFM Volume I, Part 2, Chapter 1500) and the
+ * Standard Line of Accounting (SLOA) data elements, DoD FMR Volume 1, Chapter 4
+ *
+ * A Treasury Account Symbol (TAS) is written in its component form,
+ *   [SP-][ATA-]AID-PERIOD-MAIN[-SUB]
+ * where PERIOD is the beginning/ending period of availability (BPOA/EPOA) as
+ * "YYYY/YYYY", a single "YYYY" for annual funds, or "X" for no-year funds:
+ *   097-2025-0100-000        annual O&M
+ *   097-2025/2027-0300-000   three-year procurement
+ *   097-X-4930-000           no-year
+ *
+ * A line of accounting (LOA) is a pipe-delimited string of SLOA elements in order:
+ *   TAS|OBJECT CLASS|BUDGET LINE ITEM|FUNDS CENTER|COST CENTER|PROJECT
+ * The TAS and OMB Circular A-11 object class are required; trailing elements may be omitted.
+ */
+
+const { calculateExpirationDate } = require('./appropriationType');
+
+// Availability type code for no-year funds
+const NO_YEAR = 'X';
+
+const LOA_DELIMITER = '|';
+
+// SLOA elements of a line of accounting, in string order
+const LOA_ELEMENTS = [
+  { name: 'treasuryAccountSymbol', required: true },
+  { name: 'objectClass', required: true, pattern: /^\d{2}\.\d$/, format: 'an object class such as 25.2' },
+  { name: 'budgetLineItem', required: false, pattern: /^[A-Z0-9]{1,16}$/, format: '1-16 letters and digits' },
+  { name: 'fundsCenter', required: false, pattern: /^[A-Z0-9-]{1,16}$/, format: '1-16 letters, digits and hyphens' },
+  { name: 'costCenter', required: false, pattern: /^[A-Z0-9-]{1,16}$/, format: '1-16 letters, digits and hyphens' },
+  { name: 'project', required: false, pattern: /^[A-Z0-9-]{1,20}$/, format: '1-20 letters, digits and hyphens' }
+];
+
+const PERIOD_PATTERN = /^(\d{4})(?:\/(\d{4}))?$/;
+
+/**
+ * Validate TAS components
+ * @param {Object} tas - { sp, ata, aid, bpoa, epoa, availabilityTypeCode, mainAccount, subAccount }
+ * @returns {Object} { isValid, errors } with errors as { field, message }
+ */
+function validateTreasuryAccountSymbol(tas) {
+  const errors = [];
+  const check = (field, pattern, message, required = true) => {
+    if (tas[field] === null || tas[field] === undefined || tas[field] === '') {
+      if (required) errors.push({ field, message: `${field} is required` });
+    } else if (!pattern.test(String(tas[field]))) {
+      errors.push({ field, message });
+    }
+  };
+
+  check('sp', /^\d{2}$/, 'Sub-level prefix must be 2 digits', false);
+  check('ata', /^\d{3}$/, 'Allocation transfer agency must be 3 digits', false);
+  check('aid', /^\d{3}$/, 'Agency identifier must be 3 digits');
+  check('mainAccount', /^\d{4}$/, 'Main account must be 4 digits');
+  check('subAccount', /^\d{3}$/, 'Sub-account must be 3 digits');
+
+  if (tas.availabilityTypeCode === NO_YEAR) {
+    if (tas.bpoa || tas.epoa) {
+      errors.push({ field: 'bpoa', message: 'No-year accounts have no period of availability' });
+    }
+  } else if (tas.availabilityTypeCode) {
+    errors.push({ field: 'availabilityTypeCode', message: `Unsupported availability type code ${tas.availabilityTypeCode}` });
+  } else if (!Number.isInteger(tas.bpoa) || !Number.isInteger(tas.epoa)) {
+    errors.push({ field: 'bpoa', message: 'Period of availability must be YYYY, YYYY/YYYY or X' });
+  } else if (tas.epoa < tas.bpoa) {
+    errors.push({ field: 'epoa', message: `Period of availability ends (${tas.epoa}) before it begins (${tas.bpoa})` });
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Format TAS components in the component form
+ * @param {Object} tas - TAS components
+ * @returns {string} e.g. "097-2025/2027-0300-000"; annual periods collapse to one year
+ */
+function formatTreasuryAccountSymbol(tas) {
+  let period = NO_YEAR;
+  if (tas.availabilityTypeCode !== NO_YEAR) {
+    period = tas.bpoa === tas.epoa ? String(tas.bpoa) : `${tas.bpoa}/${tas.epoa}`;
+  }
+  return [tas.sp, tas.ata, tas.aid, period, tas.mainAccount, tas.subAccount || '000'].filter(Boolean).join('-');
+}
+
+/**
+ * Parse a TAS string in the component form
+ * @param {string} value - TAS string; hyphens or spaces separate the components
+ * @returns {Object} { isValid, errors, tas } with tas holding the components and the formatted symbol
+ */
+function parseTreasuryAccountSymbol(value) {
+  const segments = String(value || '').trim().toUpperCase().split(/[\s-]+/).filter(Boolean);
+  // The period is the first segment shaped like one; AID, ATA and SP are all shorter than a year
+  const periodIndex = segments.findIndex(s => s === NO_YEAR || PERIOD_PATTERN.test(s));
+  const before = periodIndex === -1 ? [] : segments.slice(0, periodIndex);
+  const after = periodIndex === -1 ? [] : segments.slice(periodIndex + 1);
+
+  if (periodIndex === -1 || before.length < 1 || before.length > 3 || after.length < 1 || after.length > 2) {
+    return {
+      isValid: false,
+      errors: [{ field: 'treasuryAccountSymbol', message: `${value} is not a TAS of the form [SP-][ATA-]AID-PERIOD-MAIN[-SUB]` }],
+      tas: null
+    };
+  }
+
+  const [aid, ata, sp] = [...before].reverse();
+  const period = segments[periodIndex];
+  const years = period === NO_YEAR ? null : period.match(PERIOD_PATTERN);
+  const tas = {
+    sp: sp || null,
+    ata: ata || null,
+    aid,
+    bpoa: years ? Number(years[1]) : null,
+    epoa: years ? Number(years[2] || years[1]) : null,
+    availabilityTypeCode: years ? null : NO_YEAR,
+    mainAccount: after[0],
+    subAccount: after[1] || '000'
+  };
+
+  const validation = validateTreasuryAccountSymbol(tas);
+  return {
+    ...validation,
+    tas: validation.isValid ? { ...tas, symbol: formatTreasuryAccountSymbol(tas) } : null
+  };
+}
+
+/**
+ * Classify a TAS by its period of availability
+ * @param {Object} tas - TAS components
+ * @returns {Object} { years, availabilityType } with years Infinity and availabilityType
+ *   'no-year' for no-year accounts, otherwise 'annual' or 'multi-year' as in APPROPRIATION_TYPES
+ */
+function getAvailabilityPeriod(tas) {
+  if (tas.availabilityTypeCode === NO_YEAR) {
+    return { years: Infinity, availabilityType: 'no-year' };
+  }
+  const years = tas.epoa - tas.bpoa + 1;
+  return { years, availabilityType: years === 1 ? 'annual' : 'multi-year' };
+}
+
+/**
+ * Cross-check a TAS period of availability against an appropriation type
+ * @param {Object} tas - TAS components
+ * @param {string} typeCode - Appropriation type code (e.g., 'OM', 'PROCUREMENT')
+ * @param {Object} [options] - { subType, rules } with rules from a rule pack (PPBE-018)
+ * @returns {Object} { isValid, errors, expectedYears, actualYears }
+ */
+function checkAvailability(tas, typeCode, options = {}) {
+  const { years } = getAvailabilityPeriod(tas);
+  const expiration = calculateExpirationDate(typeCode, tas.bpoa || 0, options.subType || null, options.rules || null);
+  if (!expiration.isValid) {
+    return {
+      isValid: false,
+      errors: expiration.errors.map(message => ({ field: 'appropriationType', message })),
+      expectedYears: null,
+      actualYears: years
+    };
+  }
+
+  const errors = [];
+  if (expiration.availabilityYears !== years) {
+    const describe = n => (n === Infinity ? 'until expended' : `${n} year${n === 1 ? '' : 's'}`);
+    errors.push({
+      field: 'treasuryAccountSymbol',
+      message: `${formatTreasuryAccountSymbol(tas)} is available ${describe(years)}; ` +
+        `${typeCode.toUpperCase()} funds are available ${describe(expiration.availabilityYears)}`
+    });
+  }
+
+  return { isValid: errors.length === 0, errors, expectedYears: expiration.availabilityYears, actualYears: years };
+}
+
+/**
+ * Parse a line of accounting string
+ * @param {string} value - Pipe-delimited SLOA elements, TAS first
+ * @returns {Object} { isValid, errors, loa } with loa holding the parsed TAS, the other elements and
+ *   the formatted string
+ */
+function parseLineOfAccounting(value) {
+  const parts = String(value || '').split(LOA_DELIMITER).map(part => part.trim());
+  const errors = [];
+
+  if (parts.length > LOA_ELEMENTS.length) {
+    errors.push({ field: 'lineOfAccounting', message: `A line of accounting has at most ${LOA_ELEMENTS.length} elements` });
+  }
+
+  const tasResult = parseTreasuryAccountSymbol(parts[0]);
+  errors.push(...tasResult.errors);
+
+  const loa = { treasuryAccountSymbol: tasResult.tas };
+  LOA_ELEMENTS.slice(1).forEach((element, index) => {
+    const part = (parts[index + 1] || '').toUpperCase();
+    if (!part) {
+      if (element.required) errors.push({ field: element.name, message: `${element.name} is required` });
+      return;
+    }
+    if (!element.pattern.test(part)) {
+      errors.push({ field: element.name, message: `${element.name} must be ${element.format}` });
+    }
+    loa[element.name] = part;
+  });
+
+  if (errors.length > 0) {
+    return { isValid: false, errors, loa: null };
+  }
+  return { isValid: true, errors: [], loa: { ...loa, value: formatLineOfAccounting(loa) } };
+}
+
+/**
+ * Format a line of accounting
+ * @param {Object} loa - { treasuryAccountSymbol, objectClass, budgetLineItem, fundsCenter, costCenter, project }
+ * @returns {string} Pipe-delimited string without trailing empty elements
+ */
+function formatLineOfAccounting(loa) {
+  const parts = LOA_ELEMENTS.map(element =>
+    element.name === 'treasuryAccountSymbol'
+      ? formatTreasuryAccountSymbol(loa.treasuryAccountSymbol)
+      : loa[element.name] || '');
+  while (parts.length > 1 && !parts[parts.length - 1]) {
+    parts.pop();
+  }
+  return parts.join(LOA_DELIMITER);
+}
+
+module.exports = {
+  NO_YEAR,
+  LOA_ELEMENTS,
+  validateTreasuryAccountSymbol,
+  formatTreasuryAccountSymbol,
+  parseTreasuryAccountSymbol,
+  getAvailabilityPeriod,
+  checkAvailability,
+  parseLineOfAccounting,
+  formatLineOfAccounting
+};
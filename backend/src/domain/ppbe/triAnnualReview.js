@@ -0,0 +1,196 @@
+/**
+ * PPBE-021: Tri-Annual Review of Unliquidated Obligations
+ *
+ * Per DoD FMR Volume 3, Chapter 8 (Standards for Recording and Reviewing
+ * Commitments and Obligations)
+ *
+ * Three times a year fund holders review the dormant unliquidated obligations
+ * (ULOs) charged to them. Each is certified as a valid, still-needed obligation
+ * or de-obligated, and the fund holder's certification is reported up the chain.
+ *
+ * Review cycles are taken as of the end of January, May and September (accounting
+ * periods 4, 8 and 12). An obligation is dormant when its unliquidated balance has
+ * seen no activity (the obligation itself or a payment against it) for DORMANT_DAYS.
+ */
+
+const { getFiscalYear } = require('./fiscalYear');
+
+// Days without activity after which an unliquidated obligation is dormant
+const DORMANT_DAYS = 120;
+
+// Days after the cycle's as-of date that fund holders have to certify
+const CERTIFICATION_DUE_DAYS = 30;
+
+// Review cycles of a fiscal year; month is the calendar month (0 = January) the cycle ends
+const REVIEW_CYCLES = [
+  { cycle: 1, name: 'January', month: 0 },
+  { cycle: 2, name: 'May', month: 4 },
+  { cycle: 3, name: 'September', month: 8 }
+];
+
+const REVIEW_DECISIONS = {
+  VALID: 'VALID',
+  DEOBLIGATE: 'DEOBLIGATE'
+};
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Get a review cycle of a fiscal year
+ * @param {number} fiscalYear - Fiscal year (all three cycles fall in its calendar year)
+ * @param {number} cycle - 1, 2 or 3
+ * @returns {Object|null} { fiscalYear, cycle, name, asOf, dueDate } with asOf the end of the
+ *   cycle's last day; null for an unknown cycle
+ */
+function getReviewCycle(fiscalYear, cycle) {
+  const definition = REVIEW_CYCLES.find(c => c.cycle === Number(cycle));
+  if (!definition || !Number.isInteger(Number(fiscalYear))) {
+    return null;
+  }
+
+  const asOf = new Date(Number(fiscalYear), definition.month + 1, 0, 23, 59, 59, 999);
+  return {
+    fiscalYear: Number(fiscalYear),
+    cycle: definition.cycle,
+    name: `FY${fiscalYear} ${definition.name} review`,
+    asOf,
+    dueDate: new Date(asOf.getTime() + CERTIFICATION_DUE_DAYS * MS_PER_DAY)
+  };
+}
+
+/**
+ * Get the latest review cycle whose as-of date has passed
+ * @param {Date|string} [date] - Date to look back from (defaults to today)
+ * @returns {Object} Review cycle (see getReviewCycle)
+ */
+function getLatestReviewCycle(date = new Date()) {
+  const d = new Date(date);
+  const fiscalYear = getFiscalYear(d);
+
+  for (const year of [fiscalYear, fiscalYear - 1]) {
+    for (const { cycle } of [...REVIEW_CYCLES].reverse()) {
+      const reviewCycle = getReviewCycle(year, cycle);
+      if (reviewCycle.asOf <= d) {
+        return reviewCycle;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether an obligation's unliquidated balance is dormant
+ * @param {Object} obligation - { amount, expended, obligationDate, lastActivityDate } with
+ *   lastActivityDate the latest payment, if any
+ * @param {Date|string} [asOf] - Date of the review (defaults to today)
+ * @param {number} [dormantDays] - Days without activity that make it dormant
+ * @returns {Object} { dormant, unliquidated, daysInactive, lastActivityDate }
+ */
+function checkDormancy(obligation, asOf = new Date(), dormantDays = DORMANT_DAYS) {
+  const unliquidated = Math.max(0, (obligation.amount || 0) - (obligation.expended || 0));
+  const lastActivityDate = new Date(obligation.lastActivityDate || obligation.obligationDate);
+  const daysInactive = Math.max(0, Math.floor((new Date(asOf) - lastActivityDate) / MS_PER_DAY));
+
+  return {
+    dormant: unliquidated > 0 && daysInactive >= dormantDays,
+    unliquidated,
+    daysInactive,
+    lastActivityDate
+  };
+}
+
+/**
+ * Validate a fund holder's decision on a review item
+ * @param {Object} item - { unliquidatedAmount, decision } where a set decision means already reviewed
+ * @param {Object} review - { decision, reason, amount } with amount the part to de-obligate
+ *   (defaults to the whole unliquidated balance)
+ * @returns {Object} { isValid, errors, deobligatedAmount } with errors as { field, message }
+ */
+function validateReviewDecision(item, review) {
+  const errors = [];
+  if (item.decision) {
+    errors.push({ field: 'decision', message: `Obligation was already reviewed (${item.decision})` });
+  }
+  if (!Object.values(REVIEW_DECISIONS).includes(review.decision)) {
+    errors.push({ field: 'decision', message: `Decision must be ${Object.values(REVIEW_DECISIONS).join(' or ')}` });
+  }
+
+  let deobligatedAmount = 0;
+  if (review.decision === REVIEW_DECISIONS.DEOBLIGATE) {
+    if (!review.reason || !String(review.reason).trim()) {
+      errors.push({ field: 'reason', message: 'A reason is required to de-obligate' });
+    }
+    deobligatedAmount = review.amount ?? item.unliquidatedAmount;
+    if (!(deobligatedAmount > 0) || deobligatedAmount > item.unliquidatedAmount) {
+      errors.push({
+        field: 'amount',
+        message: `De-obligated amount must be more than 0 and at most the unliquidated ${item.unliquidatedAmount}`
+      });
+    }
+  } else if (review.amount !== undefined) {
+    errors.push({ field: 'amount', message: 'An amount is only given to de-obligate' });
+  }
+
+  return { isValid: errors.length === 0, errors, deobligatedAmount };
+}
+
+/**
+ * Summarize review items into a certification per organization
+ * @param {Array} items - { organizationId, unliquidatedAmount, decision, deobligatedAmount, reviewedAt }
+ * @returns {Array} { organizationId, items, unliquidatedAmount, valid, deobligated, pending, certified,
+ *   certifiedAt } with valid/deobligated/pending as { count, amount }; an organization is certified once
+ *   nothing is pending, as of its last review
+ */
+function summarizeCertification(items) {
+  const byOrganization = new Map();
+
+  for (const item of items || []) {
+    const key = item.organizationId || null;
+    if (!byOrganization.has(key)) {
+      byOrganization.set(key, {
+        organizationId: key,
+        items: 0,
+        unliquidatedAmount: 0,
+        valid: { count: 0, amount: 0 },
+        deobligated: { count: 0, amount: 0 },
+        pending: { count: 0, amount: 0 },
+        lastReviewedAt: null
+      });
+    }
+
+    const summary = byOrganization.get(key);
+    summary.items += 1;
+    summary.unliquidatedAmount += item.unliquidatedAmount;
+    if (item.decision === REVIEW_DECISIONS.VALID) {
+      summary.valid.count += 1;
+      summary.valid.amount += item.unliquidatedAmount;
+    } else if (item.decision === REVIEW_DECISIONS.DEOBLIGATE) {
+      summary.deobligated.count += 1;
+      summary.deobligated.amount += item.deobligatedAmount || 0;
+    } else {
+      summary.pending.count += 1;
+      summary.pending.amount += item.unliquidatedAmount;
+    }
+    if (item.reviewedAt && (!summary.lastReviewedAt || new Date(item.reviewedAt) > summary.lastReviewedAt)) {
+      summary.lastReviewedAt = new Date(item.reviewedAt);
+    }
+  }
+
+  return [...byOrganization.values()].map(({ lastReviewedAt, ...summary }) => ({
+    ...summary,
+    certified: summary.pending.count === 0,
+    certifiedAt: summary.pending.count === 0 ? lastReviewedAt : null
+  }));
+}
+
+module.exports = {
+  DORMANT_DAYS,
+  CERTIFICATION_DUE_DAYS,
+  REVIEW_CYCLES,
+  REVIEW_DECISIONS,
+  getReviewCycle,
+  getLatestReviewCycle,
+  checkDormancy,
+  validateReviewDecision,
+  summarizeCertification
+};
@@ -0,0 +1,294 @@
+/**
+ * PPBE-019: USSGL General Ledger Posting
+ *
+ * Per the U.S. Standard General Ledger (TFM Supplement, Section II Accounts and
+ * Definitions, Section III Account Transactions) and DoD FMR Volume 1, Chapter 7
+ *
+ * Each funds event posts budgetary (4000-series) and proprietary entries. A
+ * transaction code lists the debit/credit account pairs posted for an event; a
+ * decrease posts the same pairs reversed. Within each set debits equal credits
+ * by construction, so a ledger is checked instead for accounts carrying a
+ * balance opposite to their normal balance.
+ */
+
+const ACCOUNT_TYPES = {
+  BUDGETARY: 'BUDGETARY',
+  PROPRIETARY: 'PROPRIETARY'
+};
+
+const NORMAL_BALANCES = {
+  DEBIT: 'DEBIT',
+  CREDIT: 'CREDIT'
+};
+
+const USSGL_ACCOUNTS = {
+  '1010': { title: 'Fund Balance With Treasury', type: 'PROPRIETARY', normalBalance: 'DEBIT' },
+  '3101': { title: 'Unexpended Appropriations - Appropriations Received', type: 'PROPRIETARY', normalBalance: 'CREDIT' },
+  '3107': { title: 'Unexpended Appropriations - Used', type: 'PROPRIETARY', normalBalance: 'DEBIT' },
+  '5700': { title: 'Expended Appropriations', type: 'PROPRIETARY', normalBalance: 'CREDIT' },
+  '6100': { title: 'Operating Expenses/Program Costs', type: 'PROPRIETARY', normalBalance: 'DEBIT' },
+  '4119': { title: 'Other Appropriations Realized', type: 'BUDGETARY', normalBalance: 'DEBIT' },
+  '4450': { title: 'Unapportioned Authority', type: 'BUDGETARY', normalBalance: 'CREDIT' },
+  '4510': { title: 'Apportionments', type: 'BUDGETARY', normalBalance: 'CREDIT' },
+  '4610': { title: 'Allotments - Realized Resources', type: 'BUDGETARY', normalBalance: 'CREDIT' },
+  '4700': { title: 'Commitments - Programs Subject to Apportionment', type: 'BUDGETARY', normalBalance: 'CREDIT' },
+  '4801': { title: 'Undelivered Orders - Obligations, Unpaid', type: 'BUDGETARY', normalBalance: 'CREDIT' },
+  '4902': { title: 'Delivered Orders - Obligations, Paid', type: 'BUDGETARY', normalBalance: 'CREDIT' }
+};
+
+const LEDGER_EVENTS = {
+  APPROPRIATION: 'appropriation',
+  APPORTIONMENT: 'apportionment',
+  ALLOTMENT: 'allotment',
+  COMMITMENT: 'commitment',
+  OBLIGATION: 'obligation',
+  EXPENDITURE: 'expenditure'
+};
+
+// Account commitments and obligations draw on once funds are allotted (see getFundsAccount)
+const ALLOTTED_FUNDS_ACCOUNT = '4610';
+
+/**
+ * Built-in transaction codes, one per event. Codes follow the USSGL transaction
+ * categories (A: budgetary resources, B: spending). A commitment posts its open
+ * balance, so obligating against it returns that part to 4610 as B100 takes it to
+ * 4801. A payment is posted as received and paid at once, so it moves the
+ * obligation straight from 4801 to 4902.
+ */
+const DEFAULT_TRANSACTION_CODES = [
+  {
+    code: 'A100',
+    event: 'appropriation',
+    description: 'Appropriation enacted and realized',
+    budgetary: [{ debit: '4119', credit: '4450' }],
+    proprietary: [{ debit: '1010', credit: '3101' }]
+  },
+  {
+    code: 'A120',
+    event: 'apportionment',
+    description: 'OMB apportionment (SF-132)',
+    budgetary: [{ debit: '4450', credit: '4510' }],
+    proprietary: []
+  },
+  {
+    code: 'A130',
+    event: 'allotment',
+    description: 'Allotment of apportioned funds',
+    budgetary: [{ debit: '4510', credit: '4610' }],
+    proprietary: []
+  },
+  {
+    code: 'B050',
+    event: 'commitment',
+    description: 'Commitment of allotted funds',
+    budgetary: [{ debit: '4610', credit: '4700' }],
+    proprietary: []
+  },
+  {
+    code: 'B100',
+    event: 'obligation',
+    description: 'Obligation of allotted funds (undelivered order)',
+    budgetary: [{ debit: '4610', credit: '4801' }],
+    proprietary: []
+  },
+  {
+    code: 'B110',
+    event: 'expenditure',
+    description: 'Receipt and payment against an obligation',
+    budgetary: [{ debit: '4801', credit: '4902' }],
+    proprietary: [
+      { debit: '6100', credit: '1010' },
+      { debit: '3107', credit: '5700' }
+    ]
+  }
+];
+
+// Differences below half a cent are rounding, not an imbalance
+const BALANCE_TOLERANCE = 0.005;
+
+const roundCents = value => Math.round(value * 100) / 100;
+
+/**
+ * Look up a USSGL account
+ * @param {string} accountNumber - Four-digit account number
+ * @returns {Object|null} Account ({ accountNumber, title, type, normalBalance })
+ */
+function getAccount(accountNumber) {
+  const account = USSGL_ACCOUNTS[accountNumber];
+  return account ? { accountNumber, ...account } : null;
+}
+
+/**
+ * Validate a transaction code definition
+ * @param {Object} definition - { code, event, description, budgetary, proprietary }
+ * @returns {Object} { isValid, errors } with errors as { field, message }
+ */
+function validateTransactionCode(definition) {
+  const errors = [];
+
+  if (!definition.code || !/^[A-Z][A-Z0-9]{1,9}$/.test(definition.code)) {
+    errors.push({ field: 'code', message: 'Codes are 2-10 upper-case letters and digits, starting with a letter' });
+  }
+  if (!Object.values(LEDGER_EVENTS).includes(definition.event)) {
+    errors.push({ field: 'event', message: `Unknown event ${definition.event}` });
+  }
+  if (!definition.budgetary || definition.budgetary.length === 0) {
+    errors.push({ field: 'budgetary', message: 'At least one budgetary debit/credit pair is required' });
+  }
+
+  for (const type of Object.values(ACCOUNT_TYPES)) {
+    const key = type.toLowerCase();
+    (definition[key] || []).forEach((pair, index) => {
+      for (const side of ['debit', 'credit']) {
+        const account = USSGL_ACCOUNTS[pair[side]];
+        if (!account) {
+          errors.push({ field: `${key}.${index}.${side}`, message: `Unknown USSGL account ${pair[side]}` });
+        } else if (account.type !== type) {
+          errors.push({ field: `${key}.${index}.${side}`, message: `${pair[side]} is not a ${key} account` });
+        }
+      }
+      if (pair.debit === pair.credit) {
+        errors.push({ field: `${key}.${index}`, message: 'Debit and credit accounts must differ' });
+      }
+    });
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Account holding the funds a commitment or obligation draws on: allotments (4610)
+ * once funds are allotted, otherwise apportionments (4510), or unapportioned
+ * authority (4450) before any apportionment
+ * @param {Object} posted - Amounts posted so far ({ apportioned, allotted })
+ * @returns {string} Account number
+ */
+function getFundsAccount(posted = {}) {
+  if (posted.allotted > 0) {
+    return ALLOTTED_FUNDS_ACCOUNT;
+  }
+  return posted.apportioned > 0 ? '4510' : '4450';
+}
+
+/**
+ * Build the ledger entries a transaction code posts for an amount
+ * @param {Object} transactionCode - Code definition
+ * @param {number} amount - Amount; a negative amount posts the pairs reversed
+ * @param {string} [fundsAccount='4610'] - Account the funds are drawn from; replaces 4610
+ *   in budgetary pairs (commitments and obligations of funds not yet allotted)
+ * @returns {Array} Entries ({ accountNumber, accountType, debit, credit }), balanced by construction
+ */
+function buildEntries(transactionCode, amount, fundsAccount = ALLOTTED_FUNDS_ACCOUNT) {
+  const value = roundCents(Math.abs(amount));
+  if (value === 0) {
+    return [];
+  }
+
+  const drawFrom = account => (account === ALLOTTED_FUNDS_ACCOUNT ? fundsAccount : account);
+  const entries = [];
+  for (const type of Object.values(ACCOUNT_TYPES)) {
+    for (const pair of transactionCode[type.toLowerCase()] || []) {
+      const debit = type === ACCOUNT_TYPES.BUDGETARY ? drawFrom(pair.debit) : pair.debit;
+      const credit = type === ACCOUNT_TYPES.BUDGETARY ? drawFrom(pair.credit) : pair.credit;
+      const [debitAccount, creditAccount] = amount > 0 ? [debit, credit] : [credit, debit];
+      entries.push({ accountNumber: debitAccount, accountType: type, debit: value, credit: 0 });
+      entries.push({ accountNumber: creditAccount, accountType: type, debit: 0, credit: value });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Accounting period of a posting date, by its UTC calendar date so that postings
+ * fall in the same period whatever the server's time zone
+ * @param {Date|string} date - Posting date
+ * @returns {Object} { fiscalYear, period } with period 1 (October) through 12 (September)
+ */
+function getAccountingPeriod(date) {
+  const d = new Date(date);
+  const month = d.getUTCMonth();
+  return {
+    fiscalYear: month >= 9 ? d.getUTCFullYear() + 1 : d.getUTCFullYear(),
+    period: ((month + 3) % 12) + 1
+  };
+}
+
+/**
+ * Sum entries into account balances
+ * @param {Array} entries - Ledger entries
+ * @returns {Array} Balances ({ accountNumber, title, type, normalBalance, debits, credits, balance, abnormal })
+ *   in account order; balance is debits less credits
+ */
+function summarizeAccounts(entries) {
+  const totals = {};
+  for (const entry of entries) {
+    const total = totals[entry.accountNumber] || (totals[entry.accountNumber] = { debits: 0, credits: 0 });
+    total.debits += entry.debit;
+    total.credits += entry.credit;
+  }
+
+  return Object.keys(totals).sort().map(accountNumber => {
+    const account = getAccount(accountNumber) || { title: 'Unknown account', type: null, normalBalance: null };
+    const balance = roundCents(totals[accountNumber].debits - totals[accountNumber].credits);
+    return {
+      accountNumber,
+      title: account.title,
+      type: account.type,
+      normalBalance: account.normalBalance,
+      debits: roundCents(totals[accountNumber].debits),
+      credits: roundCents(totals[accountNumber].credits),
+      balance,
+      abnormal: account.normalBalance === 'DEBIT' ? balance < -BALANCE_TOLERANCE : balance > BALANCE_TOLERANCE
+    };
+  });
+}
+
+/**
+ * Check that every account carries its normal balance. Postings balance by
+ * construction, so a ledger is out of balance when an account is driven past zero:
+ * funds drawn from an account that never received them, or paid beyond what was obligated.
+ * @param {Array} balances - Account balances from summarizeAccounts
+ * @returns {Object} { isBalanced, budgetary, proprietary, abnormalBalances }; budgetary totals
+ *   resources (debit-normal balances) and their status (credit-normal balances)
+ */
+function checkBalance(balances) {
+  const side = (type, normalBalance) => roundCents(
+    balances
+      .filter(b => b.type === type && b.normalBalance === normalBalance)
+      .reduce((sum, b) => sum + (normalBalance === 'DEBIT' ? b.balance : -b.balance), 0)
+  );
+  const check = (type, debitLabel, creditLabel) => {
+    const abnormalBalances = balances.filter(b => b.type === type && b.abnormal).map(b => b.accountNumber);
+    return {
+      [debitLabel]: side(type, 'DEBIT'),
+      [creditLabel]: side(type, 'CREDIT'),
+      abnormalBalances,
+      inBalance: abnormalBalances.length === 0
+    };
+  };
+
+  const budgetary = check('BUDGETARY', 'resources', 'status');
+  const proprietary = check('PROPRIETARY', 'debits', 'credits');
+  const abnormalBalances = balances.filter(b => b.abnormal).map(b => b.accountNumber);
+  return {
+    isBalanced: abnormalBalances.length === 0,
+    budgetary,
+    proprietary,
+    abnormalBalances
+  };
+}
+
+module.exports = {
+  ACCOUNT_TYPES,
+  NORMAL_BALANCES,
+  USSGL_ACCOUNTS,
+  LEDGER_EVENTS,
+  DEFAULT_TRANSACTION_CODES,
+  getAccount,
+  validateTransactionCode,
+  getFundsAccount,
+  buildEntries,
+  getAccountingPeriod,
+  summarizeAccounts,
+  checkBalance
+};
@@ -0,0 +1,40 @@
+/**
+ * Persistence Adapter
+ *
+ * Storage backends behind DataStore. DataStore keeps every collection in
+ * memory so that services can keep reading synchronously; an adapter loads
+ * the collections at startup and receives every write so that data survives
+ * restarts.
+ */
+
+export interface IPersistenceAdapter {
+  readonly name: string;
+  connect(): Promise<void>;
+  disconnect(): Promise<void>;
+  load(collection: string): Promise<any[]>;
+  save(collection: string, record: { id: string }): Promise<void>;
+  delete(collection: string, id: string): Promise<void>;
+  clear(collections: string[]): Promise<void>;
+}
+
+/**
+ * Default adapter: nothing is persisted, data lives only for the lifetime of
+ * the process. Used for tests and local development.
+ */
+export class InMemoryAdapter implements IPersistenceAdapter {
+  readonly name = 'memory';
+
+  async connect(): Promise<void> {}
+
+  async disconnect(): Promise<void> {}
+
+  async load(): Promise<any[]> {
+    return [];
+  }
+
+  async save(): Promise<void> {}
+
+  async delete(): Promise<void> {}
+
+  async clear(): Promise<void> {}
+}
@@ -0,0 +1,208 @@
+/**
+ * PostgreSQL Persistence Adapter
+ *
+ * Persists DataStore collections to the tables described in
+ * collectionMappings.ts. Each row keeps the full API record as JSONB and the
+ * mapped columns alongside it; records are read back from the JSONB copy.
+ */
+
+import { Pool, PoolConfig } from 'pg';
+import { IPersistenceAdapter } from './PersistenceAdapter';
+import { COLLECTION_MAPPINGS, CollectionMapping, ColumnMapping } from './collectionMappings';
+
+/**
+ * Minimal query interface satisfied by pg.Pool (and by embedded stand-ins in tests)
+ */
+export interface SqlClient {
+  query(text: string, params?: any[]): Promise<{ rows: any[] }>;
+  end(): Promise<void>;
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const ISO_DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+export class PostgresAdapter implements IPersistenceAdapter {
+  readonly name = 'postgres';
+  private client: SqlClient | null = null;
+  private readonly mappings: Record<string, CollectionMapping>;
+
+  constructor(
+    private readonly config: {
+      tenantId: string;
+      pool?: PoolConfig;
+      client?: SqlClient;
+      mappings?: Record<string, CollectionMapping>;
+    }
+  ) {
+    this.mappings = config.mappings || COLLECTION_MAPPINGS;
+  }
+
+  /**
+   * Open the connection pool and verify connectivity
+   */
+  async connect(): Promise<void> {
+    if (this.client) return;
+
+    try {
+      this.client = this.config.client || new Pool(this.config.pool);
+      await this.client.query('SELECT 1');
+      console.log('[PostgresAdapter] PostgreSQL connection established');
+    } catch (error) {
+      console.error('[PostgresAdapter] Failed to connect to PostgreSQL:', error);
+      this.client = null;
+      throw error;
+    }
+  }
+
+  async disconnect(): Promise<void> {
+    if (!this.client) return;
+    await this.client.end();
+    this.client = null;
+  }
+
+  /**
+   * Load all records of a collection written through the API
+   */
+  async load(collection: string): Promise<any[]> {
+    const mapping = this.getMapping(collection);
+    const result = await this.getClient().query(
+      `SELECT record FROM ${mapping.table} WHERE tenant_id = $1 AND record IS NOT NULL ORDER BY created_at, id`,
+      [this.config.tenantId]
+    );
+
+    const dateFields = getDateFields(mapping);
+    return result.rows.map(row =>
+      reviveRecord(typeof row.record === 'string' ? JSON.parse(row.record) : row.record, dateFields)
+    );
+  }
+
+  /**
+   * Insert or update a record (upsert on id)
+   */
+  async save(collection: string, record: { id: string }): Promise<void> {
+    const { table, columns } = this.getMapping(collection);
+
+    const names = ['id', 'tenant_id', 'record', ...columns.map(c => c.column)];
+    const values = [
+      record.id,
+      this.config.tenantId,
+      JSON.stringify(record),
+      ...columns.map(c => toColumnValue(c, (record as any)[c.field])),
+    ];
+    const placeholders = names.map((name, i) => (name === 'record' ? `$${i + 1}::jsonb` : `$${i + 1}`));
+    const assignments = names
+      .filter(name => name !== 'id')
+      .map(name => `${name} = EXCLUDED.${name}`);
+
+    await this.getClient().query(
+      `INSERT INTO ${table} (${names.join(', ')}) VALUES (${placeholders.join(', ')}) ` +
+        `ON CONFLICT (id) DO UPDATE SET ${assignments.join(', ')}`,
+      values
+    );
+  }
+
+  async delete(collection: string, id: string): Promise<void> {
+    const { table } = this.getMapping(collection);
+    await this.getClient().query(
+      `DELETE FROM ${table} WHERE id = $1 AND tenant_id = $2`,
+      [id, this.config.tenantId]
+    );
+  }
+
+  /**
+   * Remove all of the tenant's rows, children before parents
+   */
+  async clear(collections: string[]): Promise<void> {
+    const ordered = Object.keys(this.mappings)
+      .filter(collection => collections.includes(collection))
+      .reverse();
+
+    for (const collection of ordered) {
+      await this.getClient().query(
+        `DELETE FROM ${this.mappings[collection].table} WHERE tenant_id = $1`,
+        [this.config.tenantId]
+      );
+    }
+  }
+
+  private getMapping(collection: string): CollectionMapping {
+    const mapping = this.mappings[collection];
+    if (!mapping) {
+      throw new Error(`[PostgresAdapter] No table mapping for collection '${collection}'`);
+    }
+    return mapping;
+  }
+
+  private getClient(): SqlClient {
+    if (!this.client) {
+      throw new Error('[PostgresAdapter] Not connected');
+    }
+    return this.client;
+  }
+}
+
+/**
+ * Convert a record field to a value the mapped column accepts. Values that do
+ * not fit the column type are written as NULL; the JSONB record keeps them.
+ */
+function toColumnValue(column: ColumnMapping, value: any): any {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  switch (column.type) {
+    case 'uuid':
+      return typeof value === 'string' && UUID_PATTERN.test(value) ? value : null;
+    case 'integer':
+      return Number.isFinite(Number(value)) ? Math.trunc(Number(value)) : null;
+    case 'numeric':
+      return Number.isFinite(Number(value)) ? Number(value) : null;
+    case 'boolean':
+      return Boolean(value);
+    case 'date':
+    case 'timestamptz': {
+      const date = value instanceof Date ? value : new Date(value);
+      if (isNaN(date.getTime())) return null;
+      return column.type === 'date' ? date.toISOString().slice(0, 10) : date;
+    }
+    default:
+      return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+}
+
+/**
+ * Fields of a collection that hold dates: those of its date columns and the
+ * ones the mapping lists
+ */
+function getDateFields(mapping: CollectionMapping): Set<string> {
+  return new Set([
+    ...mapping.columns.filter(c => c.type === 'date' || c.type === 'timestamptz').map(c => c.field),
+    ...(mapping.dates || []),
+  ]);
+}
+
+/**
+ * JSON storage turns Date fields into ISO strings; restore the date fields at
+ * any depth, including inside nested objects and arrays. Other strings are
+ * kept as they are, even when they look like dates.
+ */
+function reviveRecord(record: Record<string, any>, dateFields: Set<string>): Record<string, any> {
+  return reviveValue(record, dateFields);
+}
+
+function reviveValue(value: any, dateFields: Set<string>): any {
+  if (Array.isArray(value)) {
+    return value.map(item => reviveValue(item, dateFields));
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, nested]) => [
+        key,
+        dateFields.has(key) && typeof nested === 'string' && ISO_DATETIME_PATTERN.test(nested)
+          ? new Date(nested)
+          : reviveValue(nested, dateFields),
+      ])
+    );
+  }
+  return value;
+}
@@ -0,0 +1,566 @@
+/**
+ * DataStore Collection Mappings
+ *
+ * Maps every DataStore collection to its PostgreSQL table. Tables and column
+ * names follow database/schema.sql and prisma/schema.prisma; collections that
+ * have no table there are created by the datastore persistence migration.
+ *
+ * Every mapped table also carries:
+ * - id (UUID primary key)
+ * - tenant_id (deployment tenant)
+ * - record (JSONB copy of the full API record, the source of truth on load)
+ *
+ * Mapped columns are written alongside the record so the data stays queryable
+ * with plain SQL and satisfies the schema's relational constraints.
+ *
+ * Dates are stored in the record as ISO strings. On load, only the fields of
+ * date columns and the fields listed in "dates" are turned back into Dates.
+ */
+
+export type ColumnType = 'uuid' | 'text' | 'integer' | 'numeric' | 'boolean' | 'date' | 'timestamptz';
+
+export interface ColumnMapping {
+  field: string;
+  column: string;
+  type: ColumnType;
+}
+
+export interface CollectionMapping {
+  table: string;
+  columns: ColumnMapping[];
+  dates?: string[]; // Date fields without a date column, at any depth of the record
+}
+
+const col = (field: string, column: string, type: ColumnType): ColumnMapping => ({ field, column, type });
+
+const timestamps = [
+  col('createdAt', 'created_at', 'timestamptz'),
+  col('updatedAt', 'updated_at', 'timestamptz'),
+];
+
+/**
+ * Declared parent-first so that inserts satisfy foreign keys and
+ * clearing in reverse order removes children before parents.
+ */
+export const COLLECTION_MAPPINGS: Record<string, CollectionMapping> = {
+  organizations: {
+    table: 'organizations',
+    columns: [
+      col('parentId', 'parent_id', 'uuid'),
+      col('code', 'code', 'text'),
+      col('name', 'name', 'text'),
+      col('type', 'organization_type', 'text'),
+      col('level', 'level', 'integer'),
+      col('active', 'is_active', 'boolean'),
+      ...timestamps,
+    ],
+  },
+  users: {
+    table: 'users',
+    columns: [
+      col('organizationId', 'organization_id', 'uuid'),
+      col('username', 'username', 'text'),
+      col('email', 'email', 'text'),
+      col('password', 'password_hash', 'text'),
+      col('firstName', 'first_name', 'text'),
+      col('lastName', 'last_name', 'text'),
+      col('department', 'department', 'text'),
+      col('lastLogin', 'last_login_at', 'timestamptz'),
+      ...timestamps,
+    ],
+  },
+  refreshTokens: {
+    table: 'refresh_tokens',
+    columns: [
+      col('userId', 'user_id', 'uuid'),
+      col('token', 'token', 'text'),
+      col('expiresAt', 'expires_at', 'timestamptz'),
+      col('createdAt', 'created_at', 'timestamptz'),
+    ],
+  },
+  fiscalYears: {
+    table: 'fiscal_years',
+    columns: [
+      col('year', 'year', 'integer'),
+      col('startDate', 'start_date', 'date'),
+      col('endDate', 'end_date', 'date'),
+      col('totalBudget', 'total_budget', 'numeric'),
+      col('allocatedBudget', 'allocated_budget', 'numeric'),
+      col('expendedBudget', 'executed_budget', 'numeric'),
+      ...timestamps,
+    ],
+  },
+  appropriations: {
+    table: 'appropriations',
+    columns: [
+      col('fiscalYearId', 'fiscal_year_id', 'uuid'),
+      col('code', 'code', 'text'),
+      col('name', 'name', 'text'),
+      col('type', 'appropriation_type', 'text'),
+      col('amount', 'amount', 'numeric'),
+      col('expirationDate', 'expiration_date', 'timestamptz'),
+      ...timestamps,
+    ],
+    dates: ['enactedDate', 'cancelledAt', 'cancellationDate'],
+  },
+  apportionments: {
+    table: 'apportionments',
+    columns: [
+      col('appropriationId', 'appropriation_id', 'uuid'),
+      col('fiscalYearId', 'fiscal_year_id', 'uuid'),
+      col('reapportionmentNumber', 'reapportionment_number', 'integer'),
+      col('totalApportioned', 'total_apportioned', 'numeric'),
+      col('approvedDate', 'approved_date', 'timestamptz'),
+      ...timestamps,
+    ],
+  },
+  programElements: {
+    table: 'programs',
+    columns: [
+      col('organizationId', 'organization_id', 'uuid'),
+      col('fiscalYearId', 'fiscal_year_id', 'uuid'),
+      col('peNumber', 'program_element_code', 'text'),
+      col('name', 'name', 'text'),
+      col('description', 'description', 'text'),
+      col('budget', 'total_budget', 'numeric'),
+      col('obligatedAmount', 'obligated_amount', 'numeric'),
+      col('expendedAmount', 'expended_amount', 'numeric'),
+      col('startDate', 'start_date', 'date'),
+      col('endDate', 'end_date', 'date'),
+      col('priority', 'priority_level', 'integer'),
+      col('createdBy', 'created_by', 'uuid'),
+      ...timestamps,
+    ],
+    dates: ['dueDate', 'completedAt'],
+  },
+  budgets: {
+    table: 'budgets',
+    columns: [
+      col('organizationId', 'organization_id', 'uuid'),
+      col('fiscalYearId', 'fiscal_year_id', 'uuid'),
+      col('title', 'title', 'text'),
+      col('description', 'description', 'text'),
+      col('amount', 'requested_amount', 'numeric'),
+      col('allocatedAmount', 'allocated_amount', 'numeric'),
+      col('obligatedAmount', 'obligated_amount', 'numeric'),
+      col('expendedAmount', 'expended_amount', 'numeric'),
+      col('version', 'version', 'integer'),
+      col('createdBy', 'created_by', 'uuid'),
+      ...timestamps,
+    ],
+    dates: ['requestedAt'],
+  },
+  budgetVersions: {
+    table: 'budget_versions',
+    columns: [
+      col('budgetId', 'budget_id', 'uuid'),
+      col('version', 'version', 'integer'),
+      col('changes', 'changes', 'text'),
+      col('createdBy', 'created_by', 'uuid'),
+      col('createdAt', 'created_at', 'timestamptz'),
+    ],
+  },
+  budgetLineItems: {
+    table: 'budget_line_items',
+    columns: [
+      col('budgetId', 'budget_id', 'uuid'),
+      col('lineNumber', 'line_number', 'text'),
+      col('description', 'title', 'text'),
+      col('category', 'category', 'text'),
+      col('amount', 'requested_amount', 'numeric'),
+      col('obligatedAmount', 'obligated_amount', 'numeric'),
+      col('expendedAmount', 'expended_amount', 'numeric'),
+      col('createdBy', 'created_by', 'uuid'),
+      ...timestamps,
+    ],
+  },
+  allotments: {
+    table: 'allotments',
+    columns: [
+      col('appropriationId', 'appropriation_id', 'uuid'),
+      col('organizationId', 'organization_id', 'uuid'),
+      col('parentAllotmentId', 'parent_allotment_id', 'uuid'),
+      col('amount', 'amount', 'numeric'),
+      col('description', 'description', 'text'),
+      col('createdBy', 'created_by', 'uuid'),
+      ...timestamps,
+    ],
+  },
+  reprogrammings: {
+    table: 'reprogrammings',
+    columns: [
+      col('controlNumber', 'control_number', 'text'),
+      col('fiscalYearId', 'fiscal_year_id', 'uuid'),
+      col('appropriationType', 'appropriation_type', 'text'),
+      col('lineType', 'line_type', 'text'),
+      col('fromId', 'from_id', 'uuid'),
+      col('toId', 'to_id', 'uuid'),
+      col('amount', 'amount', 'numeric'),
+      col('category', 'category', 'text'),
+      col('status', 'status', 'text'),
+      col('approvalRequestId', 'approval_request_id', 'uuid'),
+      col('requestedBy', 'requested_by', 'uuid'),
+      col('appliedAt', 'applied_at', 'timestamptz'),
+      ...timestamps,
+    ],
+  },
+  pomSnapshots: {
+    table: 'pom_snapshots',
+    columns: [
+      col('name', 'name', 'text'),
+      col('budgetYear', 'budget_year', 'integer'),
+      col('department', 'department', 'text'),
+      col('total', 'total', 'numeric'),
+      col('createdBy', 'created_by', 'uuid'),
+      ...timestamps,
+    ],
+  },
+  inflationIndices: {
+    table: 'inflation_index_tables',
+    columns: [
+      col('name', 'name', 'text'),
+      col('appropriationType', 'appropriation_type', 'text'),
+      col('baseYear', 'base_year', 'integer'),
+      col('source', 'source', 'text'),
+      col('createdBy', 'created_by', 'uuid'),
+      ...timestamps,
+    ],
+  },
+  federalClosures: {
+    table: 'federal_closures',
+    columns: [
+      col('date', 'closure_date', 'date'),
+      col('name', 'name', 'text'),
+      col('authority', 'authority', 'text'),
+      col('createdBy', 'created_by', 'uuid'),
+      ...timestamps,
+    ],
+  },
+  rulePacks: {
+    table: 'compliance_rule_packs',
+    columns: [
+      col('version', 'version', 'text'),
+      col('name', 'name', 'text'),
+      col('authority', 'authority', 'text'),
+      col('effectiveDate', 'effective_date', 'date'),
+      col('basedOn', 'based_on', 'text'),
+      col('createdBy', 'created_by', 'uuid'),
+      ...timestamps,
+    ],
+  },
+  workflowDefinitions: {
+    table: 'workflow_definitions',
+    columns: [
+      col('key', 'definition_key', 'text'),
+      col('version', 'version', 'integer'),
+      col('name', 'name', 'text'),
+      col('initialState', 'initial_state', 'text'),
+      col('retired', 'retired', 'boolean'),
+      col('createdBy', 'created_by', 'uuid'),
+      ...timestamps,
+    ],
+  },
+  workflowAssignments: {
+    table: 'workflow_assignments',
+    columns: [
+      col('definitionKey', 'definition_key', 'text'),
+      col('organizationId', 'organization_id', 'uuid'),
+      col('category', 'category', 'text'),
+      col('createdBy', 'created_by', 'uuid'),
+      ...timestamps,
+    ],
+  },
+  sodPolicies: {
+    table: 'sod_policies',
+    columns: [
+      col('version', 'version', 'integer'),
+      col('createdBy', 'created_by', 'uuid'),
+      ...timestamps,
+    ],
+  },
+  adaCases: {
+    table: 'ada_cases',
+    columns: [
+      col('caseNumber', 'case_number', 'text'),
+      col('stage', 'stage', 'text'),
+      col('stageDueAt', 'stage_due_at', 'timestamptz'),
+      col('appropriationId', 'appropriation_id', 'uuid'),
+      col('obligationId', 'obligation_id', 'uuid'),
+      col('amount', 'amount', 'numeric'),
+      col('discoveredOn', 'discovered_on', 'date'),
+      col('openedBy', 'opened_by', 'uuid'),
+      col('closedAt', 'closed_at', 'timestamptz'),
+      ...timestamps,
+    ],
+    dates: ['stageStartedAt', 'completedAt', 'attachedAt', 'timestamp'],
+  },
+  uloReviews: {
+    table: 'ulo_reviews',
+    columns: [
+      col('fiscalYear', 'fiscal_year', 'integer'),
+      col('cycle', 'cycle', 'integer'),
+      col('asOf', 'as_of', 'timestamptz'),
+      col('dueDate', 'due_date', 'timestamptz'),
+      col('status', 'status', 'text'),
+      col('createdBy', 'created_by', 'text'),
+      col('completedAt', 'completed_at', 'timestamptz'),
+      ...timestamps,
+    ],
+    dates: ['obligationDate', 'lastActivityDate', 'reviewedAt'],
+  },
+  spendPlans: {
+    table: 'spend_plans',
+    columns: [
+      col('budgetId', 'budget_id', 'uuid'),
+      col('appropriationId', 'appropriation_id', 'uuid'),
+      col('fiscalYearId', 'fiscal_year_id', 'uuid'),
+      col('fiscalYear', 'fiscal_year', 'integer'),
+      col('createdBy', 'created_by', 'text'),
+      ...timestamps,
+    ],
+  },
+  ussglTransactionCodes: {
+    table: 'ussgl_transaction_codes',
+    columns: [
+      col('code', 'code', 'text'),
+      col('event', 'event', 'text'),
+      col('createdBy', 'created_by', 'uuid'),
+      ...timestamps,
+    ],
+  },
+  ledgerTransactions: {
+    table: 'ledger_transactions',
+    columns: [
+      col('transactionCode', 'transaction_code', 'text'),
+      col('event', 'event', 'text'),
+      col('amount', 'amount', 'numeric'),
+      col('appropriationId', 'appropriation_id', 'uuid'),
+      col('treasuryAccount', 'treasury_account', 'text'),
+      col('fiscalYear', 'fiscal_year', 'integer'),
+      col('period', 'period', 'integer'),
+      col('postingDate', 'posting_date', 'timestamptz'),
+      col('sourceType', 'source_type', 'text'),
+      col('sourceId', 'source_id', 'uuid'),
+      col('postedBy', 'posted_by', 'text'),
+      ...timestamps,
+    ],
+  },
+  commitments: {
+    table: 'commitments',
+    columns: [
+      col('documentNumber', 'document_number', 'text'),
+      col('appropriationId', 'appropriation_id', 'uuid'),
+      col('fiscalYearId', 'fiscal_year_id', 'uuid'),
+      col('budgetId', 'budget_id', 'uuid'),
+      col('organizationId', 'organization_id', 'uuid'),
+      col('allotmentId', 'allotment_id', 'uuid'),
+      col('commitmentDate', 'commitment_date', 'date'),
+      col('amount', 'amount', 'numeric'),
+      col('releasedAmount', 'released_amount', 'numeric'),
+      col('status', 'status', 'text'),
+      col('createdBy', 'created_by', 'text'),
+      ...timestamps,
+    ],
+    dates: ['closedAt', 'releasedAt'],
+  },
+  obligations: {
+    table: 'obligations',
+    columns: [
+      col('budgetId', 'budget_id', 'uuid'),
+      col('programElementId', 'program_id', 'uuid'),
+      col('fiscalYearId', 'fiscal_year_id', 'uuid'),
+      col('documentNumber', 'obligation_number', 'text'),
+      col('obligationDate', 'obligation_date', 'date'),
+      col('amount', 'amount', 'numeric'),
+      col('description', 'description', 'text'),
+      col('vendor', 'vendor_name', 'text'),
+      col('createdBy', 'created_by', 'uuid'),
+      ...timestamps,
+    ],
+    dates: ['complianceCheckedAt', 'modificationDate', 'recordedAt', 'adjustedAt'],
+  },
+  expenditures: {
+    table: 'expenditures',
+    columns: [
+      col('obligationId', 'obligation_id', 'uuid'),
+      col('budgetId', 'budget_id', 'uuid'),
+      col('fiscalYearId', 'fiscal_year_id', 'uuid'),
+      col('paymentDate', 'expenditure_date', 'date'),
+      col('amount', 'amount', 'numeric'),
+      col('description', 'description', 'text'),
+      col('invoiceNumber', 'invoice_number', 'text'),
+      col('createdBy', 'created_by', 'uuid'),
+      ...timestamps,
+    ],
+  },
+  varianceAnalyses: {
+    table: 'variance_analyses',
+    columns: [
+      col('budgetId', 'budget_id', 'uuid'),
+      col('fiscalYearId', 'fiscal_year_id', 'uuid'),
+      col('period', 'period', 'text'),
+      col('variance', 'variance', 'numeric'),
+      col('status', 'status', 'text'),
+      col('createdAt', 'created_at', 'timestamptz'),
+    ],
+  },
+  approvalWorkflows: {
+    table: 'approval_workflows',
+    columns: [
+      col('name', 'name', 'text'),
+      col('entityType', 'entity_type', 'text'),
+      col('approvalLevel', 'approval_level', 'text'),
+      col('active', 'is_active', 'boolean'),
+      col('createdBy', 'created_by', 'uuid'),
+      ...timestamps,
+    ],
+  },
+  approvalRequests: {
+    table: 'approval_requests',
+    columns: [
+      col('workflowId', 'workflow_id', 'uuid'),
+      col('entityType', 'entity_type', 'text'),
+      col('entityId', 'entity_id', 'uuid'),
+      col('requestedBy', 'requested_by', 'uuid'),
+      col('status', 'status', 'text'),
+      col('stepDueAt', 'step_due_at', 'timestamptz'),
+      col('completedAt', 'completed_at', 'timestamptz'),
+      ...timestamps,
+    ],
+    dates: ['stepStartedAt', 'overdueSince', 'escalatedAt'],
+  },
+  approvalActions: {
+    table: 'approval_actions',
+    columns: [
+      col('requestId', 'request_id', 'uuid'),
+      col('step', 'step', 'integer'),
+      col('approverId', 'approver_id', 'uuid'),
+      col('action', 'action', 'text'),
+      col('timestamp', 'created_at', 'timestamptz'),
+    ],
+    dates: ['stepStartedAt', 'stepDueAt'],
+  },
+  approvalDelegations: {
+    table: 'approval_delegations',
+    columns: [
+      col('delegatorId', 'delegator_id', 'uuid'),
+      col('delegateId', 'delegate_id', 'uuid'),
+      col('startDate', 'start_date', 'date'),
+      col('endDate', 'end_date', 'date'),
+      col('maxAmount', 'max_amount', 'numeric'),
+      col('revokedAt', 'revoked_at', 'timestamptz'),
+      col('createdBy', 'created_by', 'uuid'),
+      ...timestamps,
+    ],
+  },
+  auditLogs: {
+    table: 'audit_logs',
+    columns: [
+      col('userId', 'user_id', 'uuid'),
+      col('username', 'username', 'text'),
+      col('entityType', 'entity_type', 'text'),
+      col('entityId', 'entity_id', 'uuid'),
+      col('userAgent', 'user_agent', 'text'),
+      col('timestamp', 'created_at', 'timestamptz'),
+    ],
+  },
+  documents: {
+    table: 'documents',
+    columns: [
+      col('fileName', 'filename', 'text'),
+      col('originalName', 'original_filename', 'text'),
+      col('path', 'file_path', 'text'),
+      col('size', 'file_size', 'integer'),
+      col('mimeType', 'mime_type', 'text'),
+      col('entityType', 'entity_type', 'text'),
+      col('entityId', 'entity_id', 'uuid'),
+      col('description', 'description', 'text'),
+      col('uploadedBy', 'created_by', 'uuid'),
+      col('uploadedAt', 'created_at', 'timestamptz'),
+    ],
+  },
+  comments: {
+    table: 'comments',
+    columns: [
+      col('entityType', 'entity_type', 'text'),
+      col('entityId', 'entity_id', 'uuid'),
+      col('parentId', 'parent_comment_id', 'uuid'),
+      col('userId', 'user_id', 'uuid'),
+      col('content', 'content', 'text'),
+      col('edited', 'is_edited', 'boolean'),
+      ...timestamps,
+    ],
+  },
+  notifications: {
+    table: 'notifications',
+    columns: [
+      col('userId', 'user_id', 'uuid'),
+      col('title', 'title', 'text'),
+      col('message', 'message', 'text'),
+      col('type', 'notification_type', 'text'),
+      col('priority', 'priority', 'text'),
+      col('entityType', 'related_entity_type', 'text'),
+      col('entityId', 'related_entity_id', 'uuid'),
+      col('read', 'is_read', 'boolean'),
+      col('readAt', 'read_at', 'timestamptz'),
+      col('createdAt', 'created_at', 'timestamptz'),
+    ],
+  },
+  reports: {
+    table: 'reports',
+    columns: [
+      col('name', 'report_name', 'text'),
+      col('type', 'report_type', 'text'),
+      col('format', 'format', 'text'),
+      col('filePath', 'file_path', 'text'),
+      col('status', 'status', 'text'),
+      col('generatedBy', 'created_by', 'uuid'),
+      col('generatedAt', 'created_at', 'timestamptz'),
+    ],
+  },
+  applications: {
+    table: 'applications',
+    columns: [
+      col('organizationId', 'organization_id', 'uuid'),
+      col('applicationNumber', 'application_number', 'text'),
+      col('applicantFirstName', 'applicant_first_name', 'text'),
+      col('applicantLastName', 'applicant_last_name', 'text'),
+      col('applicantEmail', 'applicant_email', 'text'),
+      ...timestamps,
+    ],
+    dates: [
+      'baseClosureDate', 'propertyPurchaseDate', 'propertySaleDate', 'submittedAt', 'assignedAt',
+      'reviewStartedAt', 'reviewCompletedAt', 'approvedAt', 'rejectedAt', 'fundedAt', 'lastStatusChangeAt',
+    ],
+  },
+  applicationStatusHistory: {
+    table: 'application_status_history',
+    columns: [
+      col('applicationId', 'application_id', 'uuid'),
+      col('changedAt', 'changed_at', 'timestamptz'),
+      col('changedBy', 'changed_by', 'uuid'),
+    ],
+  },
+  applicationComments: {
+    table: 'application_comments',
+    columns: [
+      col('applicationId', 'application_id', 'uuid'),
+      col('comment', 'comment', 'text'),
+      col('isInternal', 'is_internal', 'boolean'),
+      col('createdAt', 'created_at', 'timestamptz'),
+      col('createdBy', 'created_by', 'uuid'),
+    ],
+  },
+  fundDisbursements: {
+    table: 'fund_disbursements',
+    columns: [
+      col('applicationId', 'application_id', 'uuid'),
+      col('disbursementNumber', 'disbursement_number', 'text'),
+      col('amount', 'amount', 'numeric'),
+      col('disbursementDate', 'disbursement_date', 'date'),
+      col('paymentMethod', 'payment_method', 'text'),
+      col('status', 'status', 'text'),
+      col('createdAt', 'created_at', 'timestamptz'),
+    ],
+  },
+};
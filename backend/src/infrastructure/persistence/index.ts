@@ -0,0 +1,38 @@
+/**
+ * Persistence layer entry point
+ *
+ * Selects the DataStore adapter from the environment:
+ * - DATA_STORE=memory (default): no persistence
+ * - DATA_STORE=postgres: PostgreSQL via DATABASE_URL
+ */
+
+import { IPersistenceAdapter, InMemoryAdapter } from './PersistenceAdapter';
+import { PostgresAdapter } from './PostgresAdapter';
+
+export { IPersistenceAdapter, InMemoryAdapter } from './PersistenceAdapter';
+export { PostgresAdapter, SqlClient } from './PostgresAdapter';
+export { COLLECTION_MAPPINGS, CollectionMapping, ColumnMapping, ColumnType } from './collectionMappings';
+
+export const DEFAULT_TENANT_ID = '00000000-0000-0000-0000-000000000000';
+
+export function createPersistenceAdapter(): IPersistenceAdapter {
+  const store = (process.env.DATA_STORE || 'memory').toLowerCase();
+
+  switch (store) {
+    case 'memory':
+      return new InMemoryAdapter();
+    case 'postgres':
+      if (!process.env.DATABASE_URL) {
+        throw new Error('DATABASE_URL must be set when DATA_STORE=postgres');
+      }
+      return new PostgresAdapter({
+        tenantId: process.env.DB_TENANT_ID || DEFAULT_TENANT_ID,
+        pool: {
+          connectionString: process.env.DATABASE_URL,
+          max: parseInt(process.env.DB_POOL_MAX || '10'),
+        },
+      });
+    default:
+      throw new Error(`Unknown DATA_STORE '${store}' (expected 'memory' or 'postgres')`);
+  }
+}
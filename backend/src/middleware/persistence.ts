@@ -0,0 +1,37 @@
+import { Request, Response, NextFunction } from 'express';
+import { dataStore } from '../services/dataStore';
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// A change is only reported as done once its writes have reached the persistence adapter. A
+// write that still failed after its retries turns the response into a 503, and while the store
+// is out of sync with its storage no further changes are taken.
+export const persistenceGuard = (req: Request, res: Response, next: NextFunction): void => {
+  if (READ_METHODS.includes(req.method)) {
+    next();
+    return;
+  }
+
+  if (!dataStore.getPersistenceStatus().healthy) {
+    res.status(503).json({
+      success: false,
+      message: 'Changes cannot be saved until the data store is back in sync with its storage',
+    });
+    return;
+  }
+
+  const originalJson = res.json.bind(res);
+  res.json = function (data: any) {
+    dataStore.flush().then(() => {
+      if (res.statusCode < 400 && !dataStore.getPersistenceStatus().healthy) {
+        res.status(503);
+        originalJson({ success: false, message: 'The change could not be saved' });
+        return;
+      }
+      originalJson(data);
+    });
+    return res;
+  };
+
+  next();
+};
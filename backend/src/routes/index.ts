@@ -4,6 +4,7 @@ import { authorize } from '../middleware/authorize';
 import { validate, validateParams, validateQuery } from '../middleware/validate';
 import { auditLog } from '../middleware/audit';
 import { UserRole, AuditAction } from '../types';
+import { dataStore } from '../services/dataStore';
 
 // Import validation schemas
 import * as schemas from '../validation/schemas';
@@ -25,18 +26,35 @@ import {
   commentController,
   notificationController,
   searchController,
+  commitmentController,
   obligationController,
   expenditureController,
   varianceController,
   appropriationController,
+  reprogrammingController,
+  pomController,
+  inflationController,
+  ledgerController,
+  federalCalendarController,
+  rulePackController,
+  workflowDefinitionController,
   bulkController,
+  ppbeController,
+  adaCaseController,
+  uloReviewController,
+  spendPlanController,
 } from '../controllers/index';
 
 const router = Router();
 
 // Health check
 router.get('/health', (req, res) => {
-  res.json({ status: 'healthy', timestamp: new Date().toISOString() });
+  const persistence = dataStore.getPersistenceStatus();
+  res.status(persistence.healthy ? 200 : 503).json({
+    status: persistence.healthy ? 'healthy' : 'degraded',
+    persistence,
+    timestamp: new Date().toISOString(),
+  });
 });
 
 // ============================================================================
@@ -113,6 +131,7 @@ router.get(
   '/budgets/:id',
   authenticateToken,
   validateParams(schemas.idParamSchema),
+  validateQuery(schemas.dollarBasisQuerySchema),
   budgetController.getById
 );
 
@@ -139,6 +158,23 @@ router.get('/budgets/:id/versions', authenticateToken, budgetController.getVersi
 router.post('/budgets/:id/rollback', authenticateToken, authorize(UserRole.ADMIN), budgetController.rollback);
 router.get('/budgets/fiscal-year/:fiscalYearId/summary', authenticateToken, budgetController.getSummary);
 
+router.get(
+  '/budgets/:id/workflow',
+  authenticateToken,
+  validateParams(schemas.idParamSchema),
+  budgetController.getWorkflow
+);
+
+router.post(
+  '/budgets/:id/workflow/transition',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.BUDGET_ANALYST, UserRole.PROGRAM_MANAGER, UserRole.FINANCE_OFFICER),
+  validateParams(schemas.idParamSchema),
+  validate(schemas.budgetWorkflowTransitionSchema),
+  auditLog(AuditAction.UPDATE, 'budget'),
+  budgetController.transition
+);
+
 // ============================================================================
 // Line Item Routes (BE-005)
 // ============================================================================
@@ -151,8 +187,18 @@ router.post(
   lineItemController.create
 );
 
-router.get('/line-items/budget/:budgetId', authenticateToken, lineItemController.getByBudget);
-router.get('/line-items/:id', authenticateToken, lineItemController.getById);
+router.get(
+  '/line-items/budget/:budgetId',
+  authenticateToken,
+  validateQuery(schemas.dollarBasisQuerySchema),
+  lineItemController.getByBudget
+);
+router.get(
+  '/line-items/:id',
+  authenticateToken,
+  validateQuery(schemas.dollarBasisQuerySchema),
+  lineItemController.getById
+);
 
 router.put(
   '/line-items/:id',
@@ -209,6 +255,43 @@ router.delete(
 router.post('/fiscal-years/:id/close', authenticateToken, authorize(UserRole.ADMIN), fiscalYearController.close);
 router.post('/fiscal-years/:id/set-current', authenticateToken, authorize(UserRole.ADMIN), fiscalYearController.setCurrent);
 
+// Continuing Resolution periods (PPBE-011)
+router.get(
+  '/fiscal-years/:id/continuing-resolutions',
+  authenticateToken,
+  validateParams(schemas.idParamSchema),
+  fiscalYearController.getContinuingResolutions
+);
+
+router.post(
+  '/fiscal-years/:id/continuing-resolutions',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER),
+  validateParams(schemas.idParamSchema),
+  validate(schemas.createContinuingResolutionSchema),
+  auditLog(AuditAction.UPDATE, 'fiscalyear'),
+  fiscalYearController.addContinuingResolution
+);
+
+router.put(
+  '/fiscal-years/:id/continuing-resolutions/:crId',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER),
+  validateParams(schemas.continuingResolutionParamSchema),
+  validate(schemas.updateContinuingResolutionSchema),
+  auditLog(AuditAction.UPDATE, 'fiscalyear'),
+  fiscalYearController.updateContinuingResolution
+);
+
+router.delete(
+  '/fiscal-years/:id/continuing-resolutions/:crId',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER),
+  validateParams(schemas.continuingResolutionParamSchema),
+  auditLog(AuditAction.UPDATE, 'fiscalyear'),
+  fiscalYearController.removeContinuingResolution
+);
+
 // ============================================================================
 // Program Element Routes (BE-007)
 // ============================================================================
@@ -243,6 +326,67 @@ router.delete(
 
 router.get('/programs/fiscal-year/:fiscalYearId/summary', authenticateToken, programElementController.getSummary);
 
+// FYDP projections and POM positions (PPBE-016)
+router.get(
+  '/programs/:id/fydp',
+  authenticateToken,
+  validateParams(schemas.idParamSchema),
+  validateQuery(schemas.dollarBasisQuerySchema),
+  programElementController.getFydp
+);
+
+router.put(
+  '/programs/:id/fydp/:position',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.PROGRAM_MANAGER, UserRole.BUDGET_ANALYST),
+  validateParams(schemas.fydpPositionParamSchema),
+  validate(schemas.fydpProjectionSchema),
+  auditLog(AuditAction.UPDATE, 'program'),
+  programElementController.setFydpPosition
+);
+
+router.post(
+  '/programs/:id/fydp/phase',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.PROGRAM_MANAGER, UserRole.BUDGET_ANALYST),
+  validateParams(schemas.idParamSchema),
+  validate(schemas.phaseRequirementSchema),
+  auditLog(AuditAction.UPDATE, 'program'),
+  programElementController.phaseRequirement
+);
+
+router.get(
+  '/pom/comparison',
+  authenticateToken,
+  validateQuery(schemas.fydpComparisonQuerySchema),
+  programElementController.compareFydp
+);
+
+router.post(
+  '/pom/snapshots',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.PROGRAM_MANAGER, UserRole.BUDGET_ANALYST),
+  validate(schemas.createPomSnapshotSchema),
+  auditLog(AuditAction.CREATE, 'pom_snapshot'),
+  pomController.createSnapshot
+);
+
+router.get('/pom/snapshots', authenticateToken, pomController.getSnapshots);
+
+router.get(
+  '/pom/snapshots/:id',
+  authenticateToken,
+  validateParams(schemas.idParamSchema),
+  pomController.getSnapshotById
+);
+
+router.get(
+  '/pom/snapshots/:id/compare/:otherId',
+  authenticateToken,
+  validateParams(schemas.pomSnapshotCompareParamSchema),
+  pomController.compareSnapshots
+);
+
 // ============================================================================
 // Organization Routes (BE-008)
 // ============================================================================
@@ -311,8 +455,56 @@ router.post(
   approvalController.processApproval
 );
 
+router.get(
+  '/approvals/requests/:id/responses',
+  authenticateToken,
+  validateParams(schemas.idParamSchema),
+  approvalController.getStepResponses
+);
+
 router.get('/approvals/history/:entityType/:entityId', authenticateToken, approvalController.getHistory);
 
+router.post(
+  '/approvals/sla/process-deadlines',
+  authenticateToken,
+  authorize(UserRole.ADMIN),
+  validate(schemas.approvalDeadlineSweepSchema),
+  approvalController.processDeadlines
+);
+
+router.get(
+  '/approvals/sla/dashboard',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER, UserRole.BUDGET_ANALYST),
+  validateQuery(schemas.approvalSlaDashboardQuerySchema),
+  approvalController.getSlaDashboard
+);
+
+router.post(
+  '/approvals/delegations',
+  authenticateToken,
+  authorize(UserRole.APPROVER, UserRole.ADMIN),
+  validate(schemas.createApprovalDelegationSchema),
+  auditLog(AuditAction.CREATE, 'approval_delegation'),
+  approvalController.createDelegation
+);
+
+router.get(
+  '/approvals/delegations',
+  authenticateToken,
+  validateQuery(schemas.approvalDelegationQuerySchema),
+  approvalController.getDelegations
+);
+
+router.post(
+  '/approvals/delegations/:id/revoke',
+  authenticateToken,
+  authorize(UserRole.APPROVER, UserRole.ADMIN),
+  validateParams(schemas.idParamSchema),
+  auditLog(AuditAction.UPDATE, 'approval_delegation'),
+  approvalController.revokeDelegation
+);
+
 // ============================================================================
 // Audit Log Routes (BE-011)
 // ============================================================================
@@ -336,6 +528,32 @@ router.get(
   auditController.getUserActivity
 );
 
+router.get('/audit/sod/policy', authenticateToken, auditController.getSodPolicy);
+
+router.get(
+  '/audit/sod/policy/versions',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER),
+  auditController.getSodPolicyVersions
+);
+
+router.put(
+  '/audit/sod/policy',
+  authenticateToken,
+  authorize(UserRole.ADMIN),
+  validate(schemas.updateSodPolicySchema),
+  auditLog(AuditAction.UPDATE, 'sod_policy'),
+  auditController.updateSodPolicy
+);
+
+router.get(
+  '/audit/sod/conflicts',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER),
+  validateQuery(schemas.sodConflictQuerySchema),
+  auditController.getSodConflicts
+);
+
 // ============================================================================
 // Document Routes (BE-012)
 // ============================================================================
@@ -371,6 +589,15 @@ router.post(
 );
 
 router.get('/reports', authenticateToken, reportController.getAll);
+
+router.get(
+  '/reports/sf-133',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER, UserRole.BUDGET_ANALYST),
+  validateQuery(schemas.sf133QuerySchema),
+  reportController.sf133
+);
+
 router.get('/reports/:id', authenticateToken, reportController.getById);
 
 router.delete(
@@ -432,6 +659,58 @@ router.post('/notifications/read-all', authenticateToken, notificationController
 router.post('/search/:collection', authenticateToken, searchController.search);
 router.post('/search/advanced', authenticateToken, searchController.advancedSearch);
 
+// ============================================================================
+// Commitment Routes (PPBE-009)
+// ============================================================================
+router.post(
+  '/commitments',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER, UserRole.BUDGET_ANALYST),
+  validate(schemas.createCommitmentSchema),
+  auditLog(AuditAction.CREATE, 'commitment'),
+  commitmentController.create
+);
+router.get(
+  '/commitments',
+  authenticateToken,
+  validateQuery(schemas.commitmentsQuerySchema),
+  commitmentController.getAll
+);
+router.get(
+  '/commitments/:id',
+  authenticateToken,
+  validateParams(schemas.idParamSchema),
+  commitmentController.getById
+);
+router.put(
+  '/commitments/:id',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER, UserRole.BUDGET_ANALYST),
+  validateParams(schemas.idParamSchema),
+  validate(schemas.updateCommitmentSchema),
+  auditLog(AuditAction.UPDATE, 'commitment'),
+  commitmentController.update
+);
+router.post(
+  '/commitments/:id/release',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER, UserRole.BUDGET_ANALYST),
+  validateParams(schemas.idParamSchema),
+  validate(schemas.releaseCommitmentSchema),
+  auditLog(AuditAction.UPDATE, 'commitment'),
+  commitmentController.release
+);
+// Converting a commitment records an obligation, which takes the obligation roles
+router.post(
+  '/commitments/:id/obligations',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER),
+  validateParams(schemas.idParamSchema),
+  validate(schemas.convertCommitmentSchema),
+  auditLog(AuditAction.CREATE, 'obligation'),
+  commitmentController.convert
+);
+
 // ============================================================================
 // Obligation Routes (BE-019)
 // ============================================================================
@@ -445,6 +724,12 @@ router.post(
 );
 
 router.get('/obligations', authenticateToken, obligationController.getAll);
+router.get(
+  '/obligations/upward-adjustments',
+  authenticateToken,
+  validateQuery(schemas.upwardAdjustmentsQuerySchema),
+  obligationController.getUpwardAdjustments
+);
 router.get('/obligations/:id', authenticateToken, obligationController.getById);
 
 router.put(
@@ -456,6 +741,17 @@ router.put(
   obligationController.update
 );
 
+router.get('/obligations/:id/modifications', authenticateToken, obligationController.getModifications);
+
+router.post(
+  '/obligations/:id/modifications',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER),
+  validate(schemas.modifyObligationSchema),
+  auditLog(AuditAction.UPDATE, 'obligation'),
+  obligationController.modify
+);
+
 router.delete(
   '/obligations/:id',
   authenticateToken,
@@ -521,6 +817,12 @@ router.post(
 );
 
 router.get('/appropriations', authenticateToken, appropriationController.getAll);
+router.get(
+  '/appropriations/by-tas',
+  authenticateToken,
+  validateQuery(schemas.appropriationTasQuerySchema),
+  appropriationController.getByTas
+);
 router.get('/appropriations/:id', authenticateToken, appropriationController.getById);
 
 router.put(
@@ -540,29 +842,728 @@ router.delete(
   appropriationController.delete
 );
 
+router.get(
+  '/appropriations/:id/continuing-resolution',
+  authenticateToken,
+  validateParams(schemas.idParamSchema),
+  appropriationController.getContinuingResolution
+);
+
+router.get(
+  '/appropriations/:id/apportionment',
+  authenticateToken,
+  validateParams(schemas.idParamSchema),
+  appropriationController.getApportionment
+);
+
+router.post(
+  '/appropriations/:id/apportionment',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER),
+  validateParams(schemas.idParamSchema),
+  validate(schemas.apportionmentSchema),
+  auditLog(AuditAction.CREATE, 'apportionment'),
+  appropriationController.createApportionment
+);
+
+router.put(
+  '/appropriations/:id/apportionment',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER),
+  validateParams(schemas.idParamSchema),
+  validate(schemas.apportionmentSchema),
+  auditLog(AuditAction.UPDATE, 'apportionment'),
+  appropriationController.reapportion
+);
+
+router.get(
+  '/appropriations/:id/allotments',
+  authenticateToken,
+  validateParams(schemas.idParamSchema),
+  appropriationController.getAllotments
+);
+
+router.post(
+  '/appropriations/:id/allotments',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER),
+  validateParams(schemas.idParamSchema),
+  validate(schemas.createAllotmentSchema),
+  auditLog(AuditAction.CREATE, 'allotment'),
+  appropriationController.createAllotment
+);
+
+router.put(
+  '/appropriations/:id/allotments/:allotmentId',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER),
+  validateParams(schemas.allotmentParamSchema),
+  validate(schemas.updateAllotmentSchema),
+  auditLog(AuditAction.UPDATE, 'allotment'),
+  appropriationController.updateAllotment
+);
+
+router.delete(
+  '/appropriations/:id/allotments/:allotmentId',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER),
+  validateParams(schemas.allotmentParamSchema),
+  auditLog(AuditAction.DELETE, 'allotment'),
+  appropriationController.deleteAllotment
+);
+
+router.get(
+  '/appropriations/:id/funds-availability',
+  authenticateToken,
+  validateParams(schemas.idParamSchema),
+  appropriationController.getFundsAvailability
+);
+
+router.get(
+  '/appropriations/:id/lifecycle',
+  authenticateToken,
+  validateParams(schemas.idParamSchema),
+  appropriationController.getLifecycle
+);
+
+router.get(
+  '/appropriations/:id/cancelled-balance',
+  authenticateToken,
+  validateParams(schemas.idParamSchema),
+  appropriationController.getCancelledBalance
+);
+
+router.get(
+  '/appropriations/reports/cancelled-balances',
+  authenticateToken,
+  appropriationController.getCancelledBalanceReport
+);
+
+router.post(
+  '/appropriations/lifecycle/cancel-expired',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER),
+  validate(schemas.cancelExpiredBalancesSchema),
+  appropriationController.cancelExpiredBalances
+);
+
 router.post('/appropriations/check-availability', authenticateToken, appropriationController.checkAvailability);
 router.post('/appropriations/validate', authenticateToken, appropriationController.validate);
 
 // ============================================================================
-// Bulk Import/Export Routes (BE-024, BE-025)
+// Reprogramming Routes (PPBE-015)
 // ============================================================================
 router.post(
-  '/bulk/import',
+  '/reprogrammings',
   authenticateToken,
-  authorize(UserRole.ADMIN, UserRole.BUDGET_ANALYST),
-  validate(schemas.bulkImportSchema),
-  auditLog(AuditAction.IMPORT, 'bulk'),
-  bulkController.import
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER, UserRole.BUDGET_ANALYST),
+  validate(schemas.createReprogrammingSchema),
+  auditLog(AuditAction.CREATE, 'reprogramming'),
+  reprogrammingController.create
+);
+
+router.get('/reprogrammings', authenticateToken, reprogrammingController.getAll);
+
+router.get(
+  '/reprogrammings/btr',
+  authenticateToken,
+  validateQuery(schemas.btrStatusQuerySchema),
+  reprogrammingController.getBtrStatus
 );
 
 router.get(
-  '/bulk/export/:entityType',
+  '/reprogrammings/:id',
   authenticateToken,
-  auditLog(AuditAction.EXPORT, 'bulk'),
-  bulkController.export
+  validateParams(schemas.idParamSchema),
+  reprogrammingController.getById
 );
 
-router.post('/bulk/validate', authenticateToken, bulkController.validate);
+router.get(
+  '/reprogrammings/:id/dd1415',
+  authenticateToken,
+  validateParams(schemas.idParamSchema),
+  reprogrammingController.getDD1415
+);
+
+// ============================================================================
+// Inflation Index Routes (PPBE-017)
+// ============================================================================
+router.post(
+  '/inflation/indices',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.BUDGET_ANALYST),
+  validate(schemas.createInflationIndexSchema),
+  auditLog(AuditAction.CREATE, 'inflation_index'),
+  inflationController.createIndexTable
+);
+
+router.get('/inflation/indices', authenticateToken, inflationController.getIndexTables);
+
+router.get(
+  '/inflation/indices/:id',
+  authenticateToken,
+  validateParams(schemas.idParamSchema),
+  inflationController.getIndexTableById
+);
+
+router.delete(
+  '/inflation/indices/:id',
+  authenticateToken,
+  authorize(UserRole.ADMIN),
+  validateParams(schemas.idParamSchema),
+  auditLog(AuditAction.DELETE, 'inflation_index'),
+  inflationController.deleteIndexTable
+);
+
+router.post(
+  '/inflation/convert',
+  authenticateToken,
+  validate(schemas.convertDollarsSchema),
+  inflationController.convert
+);
+
+// ============================================================================
+// General Ledger Routes (PPBE-019)
+// ============================================================================
+router.get(
+  '/ledger/accounts',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER, UserRole.BUDGET_ANALYST),
+  ledgerController.getAccounts
+);
+
+router.get(
+  '/ledger/transaction-codes',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER, UserRole.BUDGET_ANALYST),
+  ledgerController.getTransactionCodes
+);
+
+router.put(
+  '/ledger/transaction-codes/:code',
+  authenticateToken,
+  authorize(UserRole.ADMIN),
+  validateParams(schemas.transactionCodeParamSchema),
+  validate(schemas.saveTransactionCodeSchema),
+  auditLog(AuditAction.UPDATE, 'ussgl_transaction_code'),
+  ledgerController.saveTransactionCode
+);
+
+router.get(
+  '/ledger/transactions',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER, UserRole.BUDGET_ANALYST),
+  validateQuery(schemas.ledgerTransactionsQuerySchema),
+  ledgerController.getTransactions
+);
+
+router.get(
+  '/ledger/trial-balance',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER, UserRole.BUDGET_ANALYST),
+  validateQuery(schemas.trialBalanceQuerySchema),
+  ledgerController.getTrialBalance
+);
+
+// ============================================================================
+// Bulk Import/Export Routes (BE-024, BE-025)
+// ============================================================================
+router.post(
+  '/bulk/import',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.BUDGET_ANALYST),
+  validate(schemas.bulkImportSchema),
+  auditLog(AuditAction.IMPORT, 'bulk'),
+  bulkController.import
+);
+
+router.get(
+  '/bulk/export/:entityType',
+  authenticateToken,
+  auditLog(AuditAction.EXPORT, 'bulk'),
+  bulkController.export
+);
+
+router.post('/bulk/validate', authenticateToken, bulkController.validate);
+
+// ============================================================================
+// PPBE Domain Rules Routes
+// ============================================================================
+router.get('/ppbe/info', authenticateToken, ppbeController.getInfo);
+router.get('/ppbe/fiscal-year', authenticateToken, ppbeController.getFiscalYear);
+
+// Federal holiday calendar and business days (PPBE-001)
+router.get(
+  '/ppbe/calendar/holidays',
+  authenticateToken,
+  validateQuery(schemas.federalHolidaysQuerySchema),
+  federalCalendarController.getHolidays
+);
+
+router.get(
+  '/ppbe/calendar/business-days',
+  authenticateToken,
+  validateQuery(schemas.businessDaysQuerySchema),
+  federalCalendarController.countBusinessDays
+);
+
+router.get(
+  '/ppbe/calendar/business-days/add',
+  authenticateToken,
+  validateQuery(schemas.addBusinessDaysQuerySchema),
+  federalCalendarController.addBusinessDays
+);
+
+router.get(
+  '/ppbe/calendar/prompt-payment',
+  authenticateToken,
+  validateQuery(schemas.promptPaymentQuerySchema),
+  federalCalendarController.getPromptPaymentDueDate
+);
+
+router.post(
+  '/ppbe/calendar/closures',
+  authenticateToken,
+  authorize(UserRole.ADMIN),
+  validate(schemas.createFederalClosureSchema),
+  auditLog(AuditAction.CREATE, 'federal_closure'),
+  federalCalendarController.createClosure
+);
+
+router.get(
+  '/ppbe/calendar/closures',
+  authenticateToken,
+  validateQuery(schemas.federalClosuresQuerySchema),
+  federalCalendarController.getClosures
+);
+
+router.delete(
+  '/ppbe/calendar/closures/:id',
+  authenticateToken,
+  authorize(UserRole.ADMIN),
+  validateParams(schemas.idParamSchema),
+  auditLog(AuditAction.DELETE, 'federal_closure'),
+  federalCalendarController.deleteClosure
+);
+
+// Compliance rule packs (PPBE-018)
+router.post(
+  '/ppbe/rule-packs',
+  authenticateToken,
+  authorize(UserRole.ADMIN),
+  validate(schemas.createRulePackSchema),
+  auditLog(AuditAction.CREATE, 'rule_pack'),
+  rulePackController.create
+);
+
+router.get('/ppbe/rule-packs', authenticateToken, rulePackController.getAll);
+
+router.get(
+  '/ppbe/rule-packs/effective',
+  authenticateToken,
+  validateQuery(schemas.effectiveRulePackQuerySchema),
+  rulePackController.getEffective
+);
+
+router.get(
+  '/ppbe/rule-packs/:version',
+  authenticateToken,
+  validateParams(schemas.rulePackVersionParamSchema),
+  rulePackController.getByVersion
+);
+
+router.delete(
+  '/ppbe/rule-packs/:version',
+  authenticateToken,
+  authorize(UserRole.ADMIN),
+  validateParams(schemas.rulePackVersionParamSchema),
+  auditLog(AuditAction.DELETE, 'rule_pack'),
+  rulePackController.delete
+);
+
+router.get('/ppbe/appropriation-types', authenticateToken, ppbeController.getAppropriationTypes);
+router.post(
+  '/ppbe/appropriation-types/validate',
+  authenticateToken,
+  validate(schemas.ppbeAppropriationTypeSchema),
+  ppbeController.validateAppropriationType
+);
+router.post(
+  '/ppbe/appropriation-types/expiration',
+  authenticateToken,
+  validate(schemas.ppbeExpirationSchema),
+  ppbeController.calculateExpiration
+);
+
+router.post(
+  '/ppbe/treasury-account-symbols/parse',
+  authenticateToken,
+  validate(schemas.ppbeTreasuryAccountParseSchema),
+  ppbeController.parseTreasuryAccountSymbol
+);
+router.post(
+  '/ppbe/lines-of-accounting/parse',
+  authenticateToken,
+  validate(schemas.ppbeTreasuryAccountParseSchema),
+  ppbeController.parseLineOfAccounting
+);
+
+router.post(
+  '/ppbe/colors-of-money/validate',
+  authenticateToken,
+  validate(schemas.ppbeTransactionOnlySchema),
+  ppbeController.validateColorOfMoney
+);
+router.post(
+  '/ppbe/colors-of-money/recommend',
+  authenticateToken,
+  validate(schemas.ppbeRecommendAppropriationSchema),
+  ppbeController.recommendAppropriationType
+);
+
+router.post(
+  '/ppbe/pta/validate',
+  authenticateToken,
+  validate(schemas.ppbeTransactionAccountSchema),
+  ppbeController.validatePTA
+);
+
+router.post(
+  '/ppbe/bona-fide-need/validate',
+  authenticateToken,
+  validate(schemas.ppbeTransactionOnlySchema),
+  ppbeController.validateBonaFideNeed
+);
+
+router.post(
+  '/ppbe/anti-deficiency/overobligation',
+  authenticateToken,
+  validate(schemas.ppbeOverobligationSchema),
+  ppbeController.checkOverobligation
+);
+router.post(
+  '/ppbe/anti-deficiency/validate',
+  authenticateToken,
+  validate(schemas.ppbeTransactionAccountSchema),
+  ppbeController.validateAntiDeficiencyAct
+);
+
+// Anti-Deficiency Act Violation Cases (PPBE-006)
+router.post(
+  '/ppbe/anti-deficiency/cases',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER),
+  validate(schemas.openAdaCaseSchema),
+  auditLog(AuditAction.CREATE, 'ada_case'),
+  adaCaseController.open
+);
+router.get(
+  '/ppbe/anti-deficiency/cases',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER),
+  validateQuery(schemas.adaCasesQuerySchema),
+  adaCaseController.getAll
+);
+router.get(
+  '/ppbe/anti-deficiency/cases/:id',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER),
+  validateParams(schemas.idParamSchema),
+  adaCaseController.getById
+);
+router.put(
+  '/ppbe/anti-deficiency/cases/:id',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER),
+  validateParams(schemas.idParamSchema),
+  validate(schemas.updateAdaCaseSchema),
+  auditLog(AuditAction.UPDATE, 'ada_case'),
+  adaCaseController.update
+);
+router.post(
+  '/ppbe/anti-deficiency/cases/:id/advance',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER),
+  validateParams(schemas.idParamSchema),
+  validate(schemas.advanceAdaCaseSchema),
+  auditLog(AuditAction.UPDATE, 'ada_case'),
+  adaCaseController.advance
+);
+router.post(
+  '/ppbe/anti-deficiency/cases/:id/responsible-individuals',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER),
+  validateParams(schemas.idParamSchema),
+  validate(schemas.adaResponsibleIndividualSchema),
+  auditLog(AuditAction.UPDATE, 'ada_case'),
+  adaCaseController.addResponsibleIndividual
+);
+router.post(
+  '/ppbe/anti-deficiency/cases/:id/corrective-actions',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER),
+  validateParams(schemas.idParamSchema),
+  validate(schemas.adaCorrectiveActionSchema),
+  auditLog(AuditAction.UPDATE, 'ada_case'),
+  adaCaseController.addCorrectiveAction
+);
+router.post(
+  '/ppbe/anti-deficiency/cases/:id/corrective-actions/:actionId/complete',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER),
+  validateParams(schemas.adaCorrectiveActionParamSchema),
+  auditLog(AuditAction.UPDATE, 'ada_case'),
+  adaCaseController.completeCorrectiveAction
+);
+router.post(
+  '/ppbe/anti-deficiency/cases/:id/reports',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER),
+  validateParams(schemas.idParamSchema),
+  validate(schemas.adaCaseReportSchema),
+  auditLog(AuditAction.UPDATE, 'ada_case'),
+  adaCaseController.recordReport
+);
+router.post(
+  '/ppbe/anti-deficiency/cases/:id/evidence',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER),
+  validateParams(schemas.idParamSchema),
+  validate(schemas.adaCaseEvidenceSchema),
+  auditLog(AuditAction.UPDATE, 'ada_case'),
+  adaCaseController.attachEvidence
+);
+router.get(
+  '/ppbe/anti-deficiency/cases/:id/history/export',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER),
+  validateParams(schemas.idParamSchema),
+  validateQuery(schemas.adaCaseExportQuerySchema),
+  auditLog(AuditAction.EXPORT, 'ada_case'),
+  adaCaseController.exportHistory
+);
+
+// Unliquidated Obligation Aging and Tri-Annual Review (PPBE-021)
+router.get(
+  '/ppbe/unliquidated-obligations/aging',
+  authenticateToken,
+  validateQuery(schemas.uloAgingQuerySchema),
+  uloReviewController.getAging
+);
+router.post(
+  '/ppbe/ulo-reviews',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER),
+  validate(schemas.createUloReviewSchema),
+  auditLog(AuditAction.CREATE, 'ulo_review'),
+  uloReviewController.create
+);
+router.get(
+  '/ppbe/ulo-reviews',
+  authenticateToken,
+  validateQuery(schemas.uloReviewsQuerySchema),
+  uloReviewController.getAll
+);
+router.get(
+  '/ppbe/ulo-reviews/:id',
+  authenticateToken,
+  validateParams(schemas.idParamSchema),
+  uloReviewController.getById
+);
+router.get(
+  '/ppbe/ulo-reviews/:id/certification-report',
+  authenticateToken,
+  validateParams(schemas.idParamSchema),
+  uloReviewController.getCertificationReport
+);
+// Fund holders assigned the obligation, or an admin
+router.post(
+  '/ppbe/ulo-reviews/:id/items/:itemId/certify',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER),
+  validateParams(schemas.uloReviewItemParamSchema),
+  validate(schemas.certifyUloReviewItemSchema),
+  auditLog(AuditAction.UPDATE, 'ulo_review'),
+  uloReviewController.certifyItem
+);
+
+// Spend Plans and Execution Phasing (PPBE-022)
+router.post(
+  '/ppbe/spend-plans',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER, UserRole.BUDGET_ANALYST),
+  validate(schemas.createSpendPlanSchema),
+  auditLog(AuditAction.CREATE, 'spend_plan'),
+  spendPlanController.create
+);
+router.get(
+  '/ppbe/spend-plans',
+  authenticateToken,
+  validateQuery(schemas.spendPlansQuerySchema),
+  spendPlanController.getAll
+);
+router.get(
+  '/ppbe/spend-plans/:id',
+  authenticateToken,
+  validateParams(schemas.idParamSchema),
+  spendPlanController.getById
+);
+router.put(
+  '/ppbe/spend-plans/:id',
+  authenticateToken,
+  authorize(UserRole.ADMIN, UserRole.FINANCE_OFFICER, UserRole.BUDGET_ANALYST),
+  validateParams(schemas.idParamSchema),
+  validate(schemas.updateSpendPlanSchema),
+  auditLog(AuditAction.UPDATE, 'spend_plan'),
+  spendPlanController.update
+);
+router.get(
+  '/ppbe/spend-plans/:id/execution',
+  authenticateToken,
+  validateParams(schemas.idParamSchema),
+  validateQuery(schemas.spendPlanExecutionQuerySchema),
+  spendPlanController.getExecution
+);
+router.get(
+  '/ppbe/spend-plans/:id/obligation-performance',
+  authenticateToken,
+  validateParams(schemas.idParamSchema),
+  validateQuery(schemas.spendPlanPerformanceQuerySchema),
+  spendPlanController.getObligationPerformance
+);
+
+router.post(
+  '/ppbe/multi-year/full-funding',
+  authenticateToken,
+  validate(schemas.ppbeContractSchema),
+  ppbeController.validateFullFunding
+);
+router.post(
+  '/ppbe/multi-year/incremental-schedule',
+  authenticateToken,
+  validate(schemas.ppbeContractSchema),
+  ppbeController.calculateIncrementalFundingSchedule
+);
+router.post(
+  '/ppbe/multi-year/phasing',
+  authenticateToken,
+  validate(schemas.ppbeFundingPhasingSchema),
+  ppbeController.recommendFundingPhasing
+);
+
+router.get('/ppbe/workflow/states', authenticateToken, ppbeController.getWorkflowStates);
+
+// Workflow definitions per organization and budget category (PPBE-008)
+router.post(
+  '/ppbe/workflow/definitions',
+  authenticateToken,
+  authorize(UserRole.ADMIN),
+  validate(schemas.createWorkflowDefinitionSchema),
+  auditLog(AuditAction.CREATE, 'workflow_definition'),
+  workflowDefinitionController.create
+);
+
+router.get(
+  '/ppbe/workflow/definitions',
+  authenticateToken,
+  validateQuery(schemas.workflowDefinitionsQuerySchema),
+  workflowDefinitionController.getAll
+);
+
+router.get(
+  '/ppbe/workflow/definitions/resolve',
+  authenticateToken,
+  validateQuery(schemas.resolveWorkflowDefinitionQuerySchema),
+  workflowDefinitionController.resolve
+);
+
+router.get(
+  '/ppbe/workflow/definitions/:key',
+  authenticateToken,
+  validateParams(schemas.workflowDefinitionKeyParamSchema),
+  validateQuery(schemas.workflowDefinitionQuerySchema),
+  workflowDefinitionController.getByKey
+);
+
+router.get(
+  '/ppbe/workflow/definitions/:key/versions',
+  authenticateToken,
+  validateParams(schemas.workflowDefinitionKeyParamSchema),
+  workflowDefinitionController.getVersions
+);
+
+router.post(
+  '/ppbe/workflow/definitions/:key/versions',
+  authenticateToken,
+  authorize(UserRole.ADMIN),
+  validateParams(schemas.workflowDefinitionKeyParamSchema),
+  validate(schemas.createWorkflowDefinitionVersionSchema),
+  auditLog(AuditAction.CREATE, 'workflow_definition'),
+  workflowDefinitionController.createVersion
+);
+
+router.post(
+  '/ppbe/workflow/definitions/:key/retire',
+  authenticateToken,
+  authorize(UserRole.ADMIN),
+  validateParams(schemas.workflowDefinitionKeyParamSchema),
+  auditLog(AuditAction.UPDATE, 'workflow_definition'),
+  workflowDefinitionController.retire
+);
+
+router.post(
+  '/ppbe/workflow/assignments',
+  authenticateToken,
+  authorize(UserRole.ADMIN),
+  validate(schemas.createWorkflowAssignmentSchema),
+  auditLog(AuditAction.CREATE, 'workflow_assignment'),
+  workflowDefinitionController.assign
+);
+
+router.get(
+  '/ppbe/workflow/assignments',
+  authenticateToken,
+  validateQuery(schemas.workflowAssignmentsQuerySchema),
+  workflowDefinitionController.getAssignments
+);
+
+router.delete(
+  '/ppbe/workflow/assignments/:id',
+  authenticateToken,
+  authorize(UserRole.ADMIN),
+  validateParams(schemas.idParamSchema),
+  auditLog(AuditAction.DELETE, 'workflow_assignment'),
+  workflowDefinitionController.deleteAssignment
+);
+
+router.post(
+  '/ppbe/execution/metrics',
+  authenticateToken,
+  validate(schemas.ppbeExecutionMetricsSchema),
+  ppbeController.calculateExecutionMetrics
+);
+
+router.post(
+  '/ppbe/execution/obligation-performance',
+  authenticateToken,
+  validate(schemas.ppbeObligationPerformanceSchema),
+  ppbeController.trackObligationPerformance
+);
+
+router.post(
+  '/ppbe/exhibits',
+  authenticateToken,
+  validate(schemas.ppbeExhibitSchema),
+  auditLog(AuditAction.EXPORT, 'ppbe_exhibit'),
+  ppbeController.formatExhibit
+);
+
+router.post(
+  '/ppbe/validate-transaction',
+  authenticateToken,
+  validate(schemas.ppbeValidateTransactionSchema),
+  ppbeController.validateTransaction
+);
 
 // ============================================================================
 // Application Tracking Routes
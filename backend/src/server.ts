@@ -5,7 +5,13 @@ import rateLimit from 'express-rate-limit';
 import dotenv from 'dotenv';
 import routes from './routes';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler';
+import { persistenceGuard } from './middleware/persistence';
 import { seedService } from './services/seedService';
+import { dataStore } from './services/dataStore';
+import { createPersistenceAdapter } from './infrastructure/persistence';
+import { appropriationLifecycleService } from './services/appropriationLifecycleService';
+import { approvalSlaService } from './services/approvalSlaService';
+import { uloReviewService } from './services/uloReviewService';
 
 // Load environment variables
 dotenv.config();
@@ -66,6 +72,12 @@ if (process.env.NODE_ENV !== 'production') {
   });
 }
 
+// ============================================================================
+// Persistence (changes answer once their writes are stored)
+// ============================================================================
+
+app.use('/api', persistenceGuard);
+
 // ============================================================================
 // API Routes
 // ============================================================================
@@ -85,8 +97,23 @@ app.use(errorHandler);
 
 const startServer = async () => {
   try {
-    // Seed database with comprehensive data for all features
-    await seedService.seedAllData();
+    // Load persisted collections (DATA_STORE=memory starts empty)
+    await dataStore.initialize(createPersistenceAdapter());
+
+    // Seed database with comprehensive data for all features; a persistent
+    // store that already holds data is left untouched
+    if (dataStore.findAll('users').length === 0) {
+      await seedService.seedAllData();
+    }
+
+    // Cancel balances of accounts past their fifth expired year (31 U.S.C. § 1552)
+    appropriationLifecycleService.startCancellationSchedule();
+
+    // Send approval reminders and escalate overdue approval steps
+    approvalSlaService.startDeadlineSchedule();
+
+    // Open the tri-annual review of dormant obligations once each cycle closes
+    uloReviewService.startReviewSchedule();
 
     // Start the server
     app.listen(PORT, () => {
@@ -117,6 +144,7 @@ const startServer = async () => {
       console.log('Variance:           /api/variance/*');
       console.log('Appropriations:     /api/appropriations/*');
       console.log('Bulk Operations:    /api/bulk/*');
+      console.log('PPBE Domain Rules:  /api/ppbe/*');
       console.log('===========================================\n');
     });
   } catch (error) {
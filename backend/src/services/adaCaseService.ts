@@ -0,0 +1,300 @@
+// PPBE-006: Anti-Deficiency Act violation cases
+// A reported violation becomes a case that moves from preliminary review through formal
+// investigation, responsible-individual determination and corrective actions to the report to the
+// President, Congress and GAO. Each stage has a due date; every change is kept in the case history.
+import { v4 as uuidv4 } from 'uuid';
+import {
+  AdaCase,
+  AdaCaseEvent,
+  AdaCaseReport,
+  AdaCaseStage,
+  AdaCorrectiveAction,
+  AdaResponsibleIndividual,
+  Appropriation,
+  Obligation,
+} from '../types';
+import { antiDeficiencyAct as adaRules, fiscalYear as fiscalYearRules } from '../domain/ppbe';
+import { dataStore } from './dataStore';
+import { documentService } from './documentService';
+import { reportService } from './reportService';
+import { AppError } from '../middleware/errorHandler';
+
+type CaseFindings = Partial<Pick<AdaCase,
+  'title' | 'description' | 'violationConfirmed' | 'preliminaryFindings' | 'investigatingOfficer' |
+  'investigationFindings' | 'closureReason'>>;
+
+export class AdaCaseService {
+  // Opens a case from a violation check result (e.g. checkOverobligation); its violation
+  // report is kept on the case. The preliminary review is due from the date of discovery.
+  async openCase(data: {
+    title: string;
+    description?: string;
+    violationType: string;
+    statute?: string;
+    violation?: any;
+    amount?: number;
+    appropriationId?: string;
+    obligationId?: string;
+    discoveredOn?: string;
+  }, openedBy: string): Promise<AdaCase> {
+    if (data.appropriationId && !dataStore.findById<Appropriation>('appropriations', data.appropriationId)) {
+      throw new AppError(404, 'Appropriation not found');
+    }
+    if (data.obligationId && !dataStore.findById<Obligation>('obligations', data.obligationId)) {
+      throw new AppError(404, 'Obligation not found');
+    }
+
+    const now = new Date();
+    const discoveredOn = data.discoveredOn || this.toDateKey(now);
+    const statute = data.statute || data.violation?.statute || '31 U.S.C. § 1341';
+    const violationReport: any = adaRules.generateViolationReport({
+      ...data.violation,
+      violation: data.violationType,
+      statute,
+      errors: data.violation?.errors?.length ? data.violation.errors : [data.description || data.title],
+      transactionId: data.obligationId,
+      amount: data.amount,
+      date: discoveredOn,
+      account: data.appropriationId,
+    });
+
+    const stage: AdaCaseStage = 'PRELIMINARY_REVIEW';
+    const adaCase: AdaCase = {
+      id: uuidv4(),
+      caseNumber: this.nextCaseNumber(discoveredOn),
+      title: data.title,
+      description: data.description,
+      statute,
+      violationType: data.violationType,
+      severity: data.violation?.severity?.level,
+      amount: data.amount,
+      appropriationId: data.appropriationId,
+      obligationId: data.obligationId,
+      discoveredOn,
+      violationReport,
+      stage,
+      stageStartedAt: now,
+      stageDueAt: adaRules.getStageDueDate(stage, this.fromDateKey(discoveredOn)) || undefined,
+      responsibleIndividuals: [],
+      correctiveActions: [],
+      reports: [],
+      evidence: [],
+      history: [this.event('opened', stage, openedBy, { discoveredOn, violationType: data.violationType })],
+      openedBy,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    return dataStore.create<AdaCase>('adaCases', adaCase);
+  }
+
+  async getCases(filters?: { stage?: AdaCaseStage; open?: boolean; overdue?: boolean }, asOf: Date = new Date()): Promise<AdaCase[]> {
+    let cases = dataStore.findAll<AdaCase>('adaCases');
+
+    if (filters?.stage) {
+      cases = cases.filter(c => c.stage === filters.stage);
+    }
+    if (filters?.open) {
+      cases = cases.filter(c => c.stage !== 'CLOSED');
+    }
+    if (filters?.overdue) {
+      cases = cases.filter(c => this.isOverdue(c, asOf));
+    }
+
+    return cases.sort((a, b) => a.caseNumber.localeCompare(b.caseNumber));
+  }
+
+  async getCase(id: string): Promise<AdaCase> {
+    const adaCase = dataStore.findById<AdaCase>('adaCases', id);
+    if (!adaCase) {
+      throw new AppError(404, 'ADA case not found');
+    }
+    return adaCase;
+  }
+
+  async updateCase(id: string, updates: CaseFindings, userId: string): Promise<AdaCase> {
+    const adaCase = await this.getOpenCase(id);
+    return this.save(adaCase, updates, this.event('updated', adaCase.stage, userId, { fields: Object.keys(updates) }));
+  }
+
+  // Moves the case on once the current stage's findings are recorded (see validateCaseAdvance)
+  async advanceStage(
+    id: string,
+    toStage: AdaCaseStage,
+    userId: string,
+    options?: { comments?: string; stageDays?: number }
+  ): Promise<AdaCase> {
+    const adaCase = await this.getCase(id);
+    const check: any = adaRules.validateCaseAdvance(adaCase, toStage);
+    if (!check.isValid) {
+      throw new AppError(
+        400,
+        `Case ${adaCase.caseNumber} cannot move to ${toStage}`,
+        check.errors.map((message: string) => ({ field: 'stage', message }))
+      );
+    }
+
+    const now = new Date();
+    return this.save(adaCase, {
+      stage: toStage,
+      stageStartedAt: now,
+      stageDueAt: adaRules.getStageDueDate(toStage, now, options?.stageDays) || undefined,
+      closedAt: toStage === 'CLOSED' ? now : undefined,
+    }, this.event('stage_changed', toStage, userId, { from: adaCase.stage, to: toStage, comments: options?.comments }));
+  }
+
+  async addResponsibleIndividual(
+    id: string,
+    data: Omit<AdaResponsibleIndividual, 'id'>,
+    userId: string
+  ): Promise<AdaCase> {
+    const adaCase = await this.getOpenCase(id);
+    if (adaCase.stage !== 'FORMAL_INVESTIGATION' && adaCase.stage !== 'RESPONSIBLE_INDIVIDUALS') {
+      throw new AppError(400, 'Responsible individuals are determined during or after the formal investigation');
+    }
+
+    const individual: AdaResponsibleIndividual = { id: uuidv4(), ...data };
+    return this.save(
+      adaCase,
+      { responsibleIndividuals: [...adaCase.responsibleIndividuals, individual] },
+      this.event('individual_determined', adaCase.stage, userId, { individualId: individual.id, name: individual.name })
+    );
+  }
+
+  async addCorrectiveAction(
+    id: string,
+    data: Pick<AdaCorrectiveAction, 'description' | 'owner' | 'dueDate'>,
+    userId: string
+  ): Promise<AdaCase> {
+    const adaCase = await this.getOpenCase(id);
+
+    const action: AdaCorrectiveAction = { id: uuidv4(), ...data };
+    return this.save(
+      adaCase,
+      { correctiveActions: [...adaCase.correctiveActions, action] },
+      this.event('corrective_action_added', adaCase.stage, userId, { actionId: action.id, description: action.description })
+    );
+  }
+
+  async completeCorrectiveAction(id: string, actionId: string, userId: string): Promise<AdaCase> {
+    const adaCase = await this.getOpenCase(id);
+    const action = adaCase.correctiveActions.find(a => a.id === actionId);
+    if (!action) {
+      throw new AppError(404, 'Corrective action not found');
+    }
+    if (action.completedAt) {
+      throw new AppError(400, 'Corrective action is already complete');
+    }
+
+    return this.save(
+      adaCase,
+      {
+        correctiveActions: adaCase.correctiveActions.map(a =>
+          a.id === actionId ? { ...a, completedAt: new Date(), completedBy: userId } : a),
+      },
+      this.event('corrective_action_completed', adaCase.stage, userId, { actionId })
+    );
+  }
+
+  async recordReport(id: string, data: Omit<AdaCaseReport, 'recordedBy'>, userId: string): Promise<AdaCase> {
+    const adaCase = await this.getOpenCase(id);
+    if (adaCase.stage !== 'REPORTING') {
+      throw new AppError(400, 'Reports are recorded once the case reaches the reporting stage');
+    }
+    if (adaCase.reports.some(r => r.recipient === data.recipient)) {
+      throw new AppError(409, `The report to ${data.recipient} is already recorded`);
+    }
+
+    return this.save(
+      adaCase,
+      { reports: [...adaCase.reports, { ...data, recordedBy: userId }] },
+      this.event('reported', adaCase.stage, userId, { ...data })
+    );
+  }
+
+  // Links an uploaded document as evidence; documentService will not delete it afterwards
+  async attachEvidence(id: string, data: { documentId: string; description?: string }, userId: string): Promise<AdaCase> {
+    const adaCase = await this.getOpenCase(id);
+    const document = await documentService.getDocumentById(data.documentId);
+    if (adaCase.evidence.some(e => e.documentId === document.id)) {
+      throw new AppError(409, `${document.originalName} is already attached to case ${adaCase.caseNumber}`);
+    }
+
+    return this.save(
+      adaCase,
+      {
+        evidence: [...adaCase.evidence, {
+          documentId: document.id,
+          fileName: document.originalName,
+          description: data.description,
+          stage: adaCase.stage,
+          attachedBy: userId,
+          attachedAt: new Date(),
+        }],
+      },
+      this.event('evidence_attached', adaCase.stage, userId, { documentId: document.id, fileName: document.originalName })
+    );
+  }
+
+  // Case history for auditors: the case and its events as JSON, or one CSV row per event
+  async exportCase(id: string, format: 'json' | 'csv'): Promise<{ adaCase: AdaCase; content: string }> {
+    const adaCase = await this.getCase(id);
+
+    if (format === 'json') {
+      return { adaCase, content: await reportService.exportToJSON(adaCase) };
+    }
+
+    const rows = adaCase.history.map(event => ({
+      caseNumber: adaCase.caseNumber,
+      timestamp: new Date(event.timestamp).toISOString(),
+      stage: event.stage,
+      event: event.event,
+      userId: event.userId,
+      details: event.details ? JSON.stringify(event.details) : '',
+    }));
+    return { adaCase, content: await reportService.exportToCSV(rows) };
+  }
+
+  isOverdue(adaCase: AdaCase, asOf: Date = new Date()): boolean {
+    return adaCase.stage !== 'CLOSED' && !!adaCase.stageDueAt && new Date(adaCase.stageDueAt) < asOf;
+  }
+
+  private async getOpenCase(id: string): Promise<AdaCase> {
+    const adaCase = await this.getCase(id);
+    if (adaCase.stage === 'CLOSED') {
+      throw new AppError(400, `Case ${adaCase.caseNumber} is closed`);
+    }
+    return adaCase;
+  }
+
+  private save(adaCase: AdaCase, updates: Partial<AdaCase>, event: AdaCaseEvent): AdaCase {
+    return dataStore.update<AdaCase>('adaCases', adaCase.id, {
+      ...updates,
+      history: [...adaCase.history, event],
+    })!;
+  }
+
+  private event(event: string, stage: AdaCaseStage, userId: string, details?: Record<string, any>): AdaCaseEvent {
+    return { event, stage, userId, timestamp: new Date(), details };
+  }
+
+  // ADA-<fiscal year of discovery>-<sequence>
+  private nextCaseNumber(discoveredOn: string): string {
+    const fiscalYear = fiscalYearRules.getFiscalYear(this.fromDateKey(discoveredOn));
+    const prefix = `ADA-${fiscalYear}-`;
+    const count = dataStore.findMany<AdaCase>('adaCases', c => c.caseNumber.startsWith(prefix)).length;
+    return `${prefix}${String(count + 1).padStart(3, '0')}`;
+  }
+
+  private fromDateKey(dateKey: string): Date {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  private toDateKey(date: Date): string {
+    const pad = (n: number) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+}
+
+export const adaCaseService = new AdaCaseService();
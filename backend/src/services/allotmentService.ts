@@ -0,0 +1,228 @@
+// PPBE-013: Funds distribution (allotments and sub-allotments)
+// Apportioned funds are allotted to organizations and sub-allotted down the organization hierarchy
+import { v4 as uuidv4 } from 'uuid';
+import { Allotment, Appropriation, Obligation, ObligationStatus, Organization } from '../types';
+import { apportionment as apportionmentRules } from '../domain/ppbe';
+import { dataStore } from './dataStore';
+import { appropriationService, FundsControlStatus } from './appropriationService';
+import { organizationService } from './organizationService';
+import { AppError } from '../middleware/errorHandler';
+
+const ACTIVE_OBLIGATION_STATUSES = [ObligationStatus.PENDING, ObligationStatus.OBLIGATED];
+
+export interface AllotmentNode extends Allotment {
+  organizationCode?: string;
+  organizationName?: string;
+  subAllotted: number;
+  obligated: number;
+  available: number;
+  children: AllotmentNode[];
+}
+
+export class AllotmentService {
+  async getDistribution(appropriationId: string): Promise<{
+    appropriation: Appropriation;
+    apportioned: number | null;
+    allotted: number;
+    unallotted: number | null;
+    allotments: AllotmentNode[];
+  }> {
+    const appropriation = await appropriationService.getAppropriationById(appropriationId);
+    const allotments = this.findAllotments(appropriationId);
+    const allotted = allotments.filter(a => !a.parentAllotmentId).reduce((sum, a) => sum + a.amount, 0);
+    const apportioned = appropriation.apportionedAmount ?? null;
+
+    const buildNode = (allotment: Allotment): AllotmentNode => {
+      const children = allotments.filter(a => a.parentAllotmentId === allotment.id).map(buildNode);
+      const organization = dataStore.findById<Organization>('organizations', allotment.organizationId);
+      const subAllotted = children.reduce((sum, child) => sum + child.amount, 0);
+      const obligated = this.sumObligations(allotment.id);
+
+      return {
+        ...allotment,
+        organizationCode: organization?.code,
+        organizationName: organization?.name,
+        subAllotted,
+        obligated,
+        available: allotment.amount - subAllotted - obligated,
+        children,
+      };
+    };
+
+    return {
+      appropriation,
+      apportioned,
+      allotted,
+      unallotted: apportioned === null ? null : apportioned - allotted,
+      allotments: allotments.filter(a => !a.parentAllotmentId).map(buildNode),
+    };
+  }
+
+  async createAllotment(appropriationId: string, data: {
+    organizationId: string;
+    parentAllotmentId?: string;
+    amount: number;
+    description?: string;
+  }, createdBy?: string): Promise<Allotment> {
+    const appropriation = await appropriationService.getAppropriationById(appropriationId);
+    await organizationService.getOrganizationById(data.organizationId);
+
+    if (this.findAllotments(appropriationId).some(a => a.organizationId === data.organizationId)) {
+      throw new AppError(400, 'Organization already holds an allotment of this appropriation');
+    }
+
+    let sourceAmount: number;
+    let siblings: Allotment[];
+    if (data.parentAllotmentId) {
+      const parent = await this.getAllotmentById(appropriationId, data.parentAllotmentId);
+      const ancestors = await organizationService.getAncestors(data.organizationId);
+      if (!ancestors.some(org => org.id === parent.organizationId)) {
+        throw new AppError(400, 'Sub-allotments must go to an organization below the parent allotment holder');
+      }
+      sourceAmount = parent.amount;
+      siblings = this.findAllotments(appropriationId).filter(a => a.parentAllotmentId === parent.id);
+    } else {
+      if (appropriation.apportionedAmount === undefined || appropriation.apportionedAmount === null) {
+        throw new AppError(400, 'Funds must be apportioned before they can be allotted (31 U.S.C. § 1513)');
+      }
+      sourceAmount = appropriation.apportionedAmount;
+      siblings = this.findAllotments(appropriationId).filter(a => !a.parentAllotmentId);
+    }
+
+    this.assertValidDistribution({
+      amount: data.amount,
+      sourceAmount,
+      distributedAmount: siblings.reduce((sum, a) => sum + a.amount, 0),
+      level: data.parentAllotmentId ? 'SUB_ALLOTMENT' : 'ALLOTMENT',
+    });
+
+    const allotment: Allotment = {
+      id: uuidv4(),
+      appropriationId,
+      organizationId: data.organizationId,
+      parentAllotmentId: data.parentAllotmentId,
+      amount: data.amount,
+      description: data.description,
+      createdBy,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    dataStore.create<Allotment>('allotments', allotment);
+    await this.syncAllottedAmount(appropriationId, allotment.id, createdBy);
+    return allotment;
+  }
+
+  async updateAllotment(appropriationId: string, id: string, updates: {
+    amount?: number;
+    description?: string;
+  }): Promise<Allotment> {
+    const allotment = await this.getAllotmentById(appropriationId, id);
+
+    if (updates.amount !== undefined) {
+      const appropriation = await appropriationService.getAppropriationById(appropriationId);
+      const parent = allotment.parentAllotmentId
+        ? await this.getAllotmentById(appropriationId, allotment.parentAllotmentId)
+        : null;
+      const siblings = this.findAllotments(appropriationId).filter(
+        a => a.parentAllotmentId === allotment.parentAllotmentId && a.id !== id
+      );
+
+      this.assertValidDistribution({
+        amount: updates.amount,
+        sourceAmount: parent ? parent.amount : appropriation.apportionedAmount ?? 0,
+        distributedAmount: siblings.reduce((sum, a) => sum + a.amount, 0),
+        subAllottedAmount: this.findAllotments(appropriationId)
+          .filter(a => a.parentAllotmentId === id)
+          .reduce((sum, a) => sum + a.amount, 0),
+        obligatedAmount: this.sumObligations(id),
+        level: parent ? 'SUB_ALLOTMENT' : 'ALLOTMENT',
+      });
+    }
+
+    const updated = dataStore.update<Allotment>('allotments', id, updates);
+    if (!updated) {
+      throw new AppError(404, 'Allotment not found');
+    }
+
+    await this.syncAllottedAmount(appropriationId, id);
+    return updated;
+  }
+
+  async deleteAllotment(appropriationId: string, id: string): Promise<void> {
+    await this.getAllotmentById(appropriationId, id);
+
+    if (this.findAllotments(appropriationId).some(a => a.parentAllotmentId === id)) {
+      throw new AppError(400, 'Cannot delete an allotment that has sub-allotments');
+    }
+    if (dataStore.findOne<Obligation>('obligations', o => o.allotmentId === id)) {
+      throw new AppError(400, 'Cannot delete an allotment with obligations charged to it');
+    }
+
+    dataStore.delete<Allotment>('allotments', id);
+    await this.syncAllottedAmount(appropriationId, id);
+  }
+
+  async getFundsAvailability(
+    appropriationId: string,
+    options: { organizationId?: string; date?: Date | string } = {}
+  ): Promise<FundsControlStatus> {
+    const appropriation = await appropriationService.getAppropriationById(appropriationId);
+    const asOf = options.date ? new Date(options.date) : new Date();
+    if (isNaN(asOf.getTime())) {
+      throw new AppError(400, 'Invalid date');
+    }
+    if (options.organizationId) {
+      await organizationService.getOrganizationById(options.organizationId);
+    }
+
+    return appropriationService.getFundsControl(appropriation, { organizationId: options.organizationId, asOf });
+  }
+
+  private async getAllotmentById(appropriationId: string, id: string): Promise<Allotment> {
+    const allotment = dataStore.findById<Allotment>('allotments', id);
+    if (!allotment || allotment.appropriationId !== appropriationId) {
+      throw new AppError(404, 'Allotment not found');
+    }
+    return allotment;
+  }
+
+  private findAllotments(appropriationId: string): Allotment[] {
+    return dataStore.findMany<Allotment>('allotments', a => a.appropriationId === appropriationId);
+  }
+
+  private sumObligations(allotmentId: string): number {
+    return dataStore
+      .findMany<Obligation>(
+        'obligations',
+        o => o.allotmentId === allotmentId && ACTIVE_OBLIGATION_STATUSES.includes(o.status)
+      )
+      .reduce((sum, o) => sum + o.amount, 0);
+  }
+
+  private assertValidDistribution(params: {
+    amount: number;
+    sourceAmount: number;
+    distributedAmount: number;
+    subAllottedAmount?: number;
+    obligatedAmount?: number;
+    level: 'ALLOTMENT' | 'SUB_ALLOTMENT';
+  }): void {
+    const result: any = apportionmentRules.validateDistribution(params);
+    if (!result.isValid) {
+      throw new AppError(400, 'Invalid funds distribution', result.errors);
+    }
+  }
+
+  // The appropriation's allotted amount is the total of its top-level allotments,
+  // so obligations without an organization are limited to what has been allotted
+  private async syncAllottedAmount(appropriationId: string, allotmentId: string, postedBy?: string): Promise<void> {
+    const topLevel = this.findAllotments(appropriationId).filter(a => !a.parentAllotmentId);
+
+    await appropriationService.updateAppropriation(appropriationId, {
+      allottedAmount: topLevel.length > 0 ? topLevel.reduce((sum, a) => sum + a.amount, 0) : undefined,
+    }, { source: { type: 'allotment', id: allotmentId }, postedBy });
+  }
+}
+
+export const allotmentService = new AllotmentService();
@@ -2,7 +2,9 @@
 // Manages citizen benefit applications lifecycle
 import { v4 as uuidv4 } from 'uuid';
 import { AppError } from '../middleware/errorHandler';
+import { SodDuty } from '../types';
 import { dataStore } from './dataStore';
+import { separationOfDutiesService } from './separationOfDutiesService';
 
 // Enums
 export enum ApplicationStatus {
@@ -417,8 +419,9 @@ export class ApplicationService {
     if (application.status !== ApplicationStatus.PENDING_APPROVAL) {
       throw new AppError(400, 'Only pending applications can be approved');
     }
+    separationOfDutiesService.assertAllowed(SodDuty.APPLICATION_APPROVE, id, approvedBy);
 
-    const updatedApplication = await this.updateApplicationStatus(
+    await this.updateApplicationStatus(
       id,
       ApplicationStatus.APPROVED,
       'Application approved',
@@ -426,12 +429,12 @@ export class ApplicationService {
       approvedBy
     );
 
-    return {
-      ...updatedApplication,
+    // Kept on the record: disbursements are checked against the approved amount
+    return dataStore.update<Application>('applications', id, {
       approvedAmount,
       approvedAt: new Date(),
       approvedBy,
-    };
+    })!;
   }
 
   async rejectApplication(
@@ -482,6 +485,7 @@ export class ApplicationService {
     if (!application.approvedAmount || amount > application.approvedAmount) {
       throw new AppError(400, 'Disbursement amount exceeds approved amount');
     }
+    separationOfDutiesService.assertAllowed(SodDuty.APPLICATION_DISBURSE, id, disbursedBy);
 
     // Create disbursement record
     const disbursement = await this.createDisbursement(
@@ -0,0 +1,131 @@
+// PPBE-013: OMB Apportionment (SF-132)
+import { v4 as uuidv4 } from 'uuid';
+import { Allotment, Apportionment, ApportionmentFootnote, ApportionmentLine } from '../types';
+import { apportionment as apportionmentRules } from '../domain/ppbe';
+import { dataStore } from './dataStore';
+import { appropriationService } from './appropriationService';
+import { AppError } from '../middleware/errorHandler';
+
+export class ApportionmentService {
+  async getApportionment(appropriationId: string): Promise<Apportionment> {
+    await appropriationService.getAppropriationById(appropriationId);
+
+    const apportionment = this.findApportionment(appropriationId);
+    if (!apportionment) {
+      throw new AppError(404, 'Appropriation has not been apportioned');
+    }
+    return apportionment;
+  }
+
+  async createApportionment(appropriationId: string, data: {
+    approvedDate?: Date | string;
+    lines: ApportionmentLine[];
+    footnotes?: ApportionmentFootnote[];
+  }, createdBy?: string): Promise<Apportionment> {
+    const appropriation = await appropriationService.getAppropriationById(appropriationId);
+
+    if (this.findApportionment(appropriationId)) {
+      throw new AppError(400, 'Appropriation is already apportioned; submit a reapportionment instead');
+    }
+
+    const totalApportioned = this.assertValid(appropriationId, appropriation.amount, data.lines, data.footnotes);
+
+    const apportionment: Apportionment = {
+      id: uuidv4(),
+      appropriationId,
+      fiscalYearId: appropriation.fiscalYearId,
+      reapportionmentNumber: 0,
+      approvedDate: data.approvedDate ? new Date(data.approvedDate) : undefined,
+      lines: data.lines,
+      footnotes: data.footnotes || [],
+      totalApportioned,
+      createdBy,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    dataStore.create<Apportionment>('apportionments', apportionment);
+    await appropriationService.updateAppropriation(appropriationId, { apportionedAmount: totalApportioned }, {
+      source: { type: 'apportionment', id: apportionment.id },
+      date: apportionment.approvedDate,
+      postedBy: createdBy,
+    });
+    return apportionment;
+  }
+
+  // A reapportionment replaces the lines and footnotes of the current SF-132
+  async reapportion(appropriationId: string, data: {
+    approvedDate?: Date | string;
+    lines: ApportionmentLine[];
+    footnotes?: ApportionmentFootnote[];
+  }): Promise<Apportionment> {
+    const appropriation = await appropriationService.getAppropriationById(appropriationId);
+    const existing = await this.getApportionment(appropriationId);
+
+    const totalApportioned = this.assertValid(appropriationId, appropriation.amount, data.lines, data.footnotes);
+
+    const updated = dataStore.update<Apportionment>('apportionments', existing.id, {
+      reapportionmentNumber: existing.reapportionmentNumber + 1,
+      approvedDate: data.approvedDate ? new Date(data.approvedDate) : existing.approvedDate,
+      lines: data.lines,
+      footnotes: data.footnotes || [],
+      totalApportioned,
+    });
+    if (!updated) {
+      throw new AppError(404, 'Apportionment not found');
+    }
+
+    await appropriationService.updateAppropriation(appropriationId, { apportionedAmount: totalApportioned }, {
+      source: { type: 'apportionment', id: updated.id },
+      date: updated.approvedDate,
+    });
+    return updated;
+  }
+
+  // Apportionment in the form checked by antiDeficiencyAct.checkApportionmentViolation
+  getAdaApportionment(appropriationId: string): { category: string; amount: number; restrictions: any[] } | null {
+    const apportionment = this.findApportionment(appropriationId);
+    if (!apportionment) {
+      return null;
+    }
+
+    const hasCategoryA = apportionment.lines.some(l => l.category === apportionmentRules.APPORTIONMENT_CATEGORIES.A);
+    return {
+      category: hasCategoryA ? apportionmentRules.APPORTIONMENT_CATEGORIES.A : apportionmentRules.APPORTIONMENT_CATEGORIES.B,
+      amount: apportionment.totalApportioned,
+      restrictions: apportionmentRules.toApportionmentRestrictions(apportionment.footnotes),
+    };
+  }
+
+  private findApportionment(appropriationId: string): Apportionment | undefined {
+    return dataStore.findOne<Apportionment>('apportionments', a => a.appropriationId === appropriationId);
+  }
+
+  // Returns the apportioned total; a reapportionment may not fall below what is already allotted
+  private assertValid(
+    appropriationId: string,
+    appropriationAmount: number,
+    lines: ApportionmentLine[],
+    footnotes?: ApportionmentFootnote[]
+  ): number {
+    const result: any = apportionmentRules.validateApportionment({ appropriationAmount, lines, footnotes });
+    if (!result.isValid) {
+      throw new AppError(400, 'Invalid apportionment', result.errors);
+    }
+
+    const allotted = dataStore
+      .findMany<Allotment>('allotments', a => a.appropriationId === appropriationId && !a.parentAllotmentId)
+      .reduce((sum, a) => sum + a.amount, 0);
+    if (result.totals.total < allotted) {
+      throw new AppError(
+        400,
+        `Apportioned total of $${result.totals.total.toLocaleString()} is below the ` +
+        `$${allotted.toLocaleString()} already allotted`
+      );
+    }
+
+    return result.totals.total;
+  }
+}
+
+export const apportionmentService = new ApportionmentService();
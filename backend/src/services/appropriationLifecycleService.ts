@@ -0,0 +1,259 @@
+// PPBE-012: Appropriation lifecycle (current, expired, cancelled)
+// Enforces 31 U.S.C. §§ 1552/1553 and closes out accounts at the end of the fifth expired year
+import {
+  Appropriation,
+  AppropriationLifecyclePhase,
+  AppropriationType,
+  AuditAction,
+  CancelledBalance,
+  Expenditure,
+  ExpenditureStatus,
+  Obligation,
+  ObligationStatus,
+} from '../types';
+import { appropriationLifecycle as lifecycleRules } from '../domain/ppbe';
+import { dataStore } from './dataStore';
+import { auditService } from './auditService';
+import { AppError } from '../middleware/errorHandler';
+
+const ACTIVE_OBLIGATION_STATUSES = [ObligationStatus.PENDING, ObligationStatus.OBLIGATED];
+const CANCELLATION_SWEEP_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+export interface AppropriationLifecycleStatus {
+  phase: AppropriationLifecyclePhase;
+  neverExpires: boolean;
+  expirationDate: Date | null;
+  cancellationDate: Date | null;
+  expiredYear: number | null;
+  daysUntilCancellation: number | null;
+}
+
+export interface CancelledBalanceReportEntry extends CancelledBalance {
+  appropriationId: string;
+  code: string;
+  name: string;
+  fiscalYearId: string;
+  expirationDate: Date;
+  cancelledAt: Date;
+}
+
+export class AppropriationLifecycleService {
+  private sweepTimer: NodeJS.Timeout | null = null;
+
+  // No-year appropriations remain current until expended
+  getLifecycleStatus(appropriation: Appropriation, asOf: Date = new Date()): AppropriationLifecycleStatus {
+    const expirationDate = appropriation.type === AppropriationType.NO_YEAR ? null : appropriation.expirationDate;
+    const lifecycle: any = lifecycleRules.getAppropriationLifecycle(expirationDate, asOf);
+
+    return {
+      phase: lifecycle.phase as AppropriationLifecyclePhase,
+      neverExpires: lifecycle.neverExpires,
+      expirationDate: lifecycle.expirationDate,
+      cancellationDate: lifecycle.cancellationDate,
+      expiredYear: lifecycle.expiredYear,
+      daysUntilCancellation: lifecycle.daysUntilCancellation,
+    };
+  }
+
+  async getLifecycle(appropriationId: string, asOf?: Date | string): Promise<{
+    appropriation: Appropriation;
+    lifecycle: AppropriationLifecycleStatus;
+    balances: Omit<CancelledBalance, 'cancellationDate' | 'cancelledBy'>;
+    allowed: { newObligations: boolean; upwardAdjustments: boolean; liquidations: boolean };
+  }> {
+    const appropriation = this.getAppropriation(appropriationId);
+    const date = asOf ? new Date(asOf) : new Date();
+    if (isNaN(date.getTime())) {
+      throw new AppError(400, 'Invalid date');
+    }
+
+    const lifecycle = this.getLifecycleStatus(appropriation, date);
+
+    return {
+      appropriation,
+      lifecycle,
+      balances: appropriation.cancelledBalance || this.getAccountBalances(appropriation),
+      allowed: {
+        newObligations: lifecycle.phase === AppropriationLifecyclePhase.CURRENT,
+        upwardAdjustments: lifecycle.phase !== AppropriationLifecyclePhase.CANCELLED,
+        liquidations: lifecycle.phase !== AppropriationLifecyclePhase.CANCELLED,
+      },
+    };
+  }
+
+  // Disbursements against a cancelled account are not permitted (31 U.S.C. § 1552(a))
+  assertLiquidationAllowed(obligationId: string, paymentDate: Date = new Date()): void {
+    const obligation = dataStore.findById<Obligation>('obligations', obligationId);
+    if (!obligation?.appropriationId) {
+      return;
+    }
+
+    const appropriation = dataStore.findById<Appropriation>('appropriations', obligation.appropriationId);
+    if (!appropriation) {
+      return;
+    }
+
+    const result: any = lifecycleRules.validateLifecycleTransaction(
+      { type: lifecycleRules.TRANSACTION_TYPES.LIQUIDATION },
+      lifecycleRules.getAppropriationLifecycle(
+        appropriation.type === AppropriationType.NO_YEAR ? null : appropriation.expirationDate,
+        paymentDate
+      )
+    );
+
+    if (!result.isValid) {
+      throw new AppError(400, `Payment blocked: ${appropriation.code} is cancelled`, result.errors);
+    }
+  }
+
+  // Closes every account whose cancellation date has passed. Remaining unobligated and
+  // unliquidated balances are recorded on the appropriation and written to the audit log.
+  async cancelExpiredBalances(
+    asOf: Date | string = new Date(),
+    performedBy: { userId: string; username: string } = { userId: 'system', username: 'system' }
+  ): Promise<CancelledBalanceReportEntry[]> {
+    const date = new Date(asOf);
+    if (isNaN(date.getTime())) {
+      throw new AppError(400, 'Invalid date');
+    }
+
+    const cancelled: CancelledBalanceReportEntry[] = [];
+    const candidates = dataStore.findMany<Appropriation>('appropriations', a => !a.cancelledAt);
+
+    for (const appropriation of candidates) {
+      const lifecycle = this.getLifecycleStatus(appropriation, date);
+      if (lifecycle.phase !== AppropriationLifecyclePhase.CANCELLED) {
+        continue;
+      }
+
+      const cancelledBalance: CancelledBalance = {
+        ...this.getAccountBalances(appropriation),
+        cancellationDate: lifecycle.cancellationDate as Date,
+        cancelledBy: performedBy.userId,
+      };
+
+      const updated = dataStore.update<Appropriation>('appropriations', appropriation.id, {
+        cancelledAt: date,
+        cancelledBalance,
+        availableAmount: 0,
+      }) as Appropriation;
+
+      await auditService.log({
+        userId: performedBy.userId,
+        username: performedBy.username,
+        action: AuditAction.UPDATE,
+        entityType: 'appropriation',
+        entityId: appropriation.id,
+        changes: {
+          lifecyclePhase: AppropriationLifecyclePhase.CANCELLED,
+          availableAmount: { from: appropriation.availableAmount, to: 0 },
+          cancelledBalance,
+        },
+        success: true,
+      });
+
+      cancelled.push(this.toReportEntry(updated));
+    }
+
+    return cancelled;
+  }
+
+  async getCancelledBalanceReport(fiscalYearId?: string): Promise<{
+    appropriations: CancelledBalanceReportEntry[];
+    totals: { unobligatedBalance: number; unliquidatedObligations: number; totalCancelled: number };
+  }> {
+    const appropriations = dataStore
+      .findMany<Appropriation>(
+        'appropriations',
+        a => !!a.cancelledBalance && (!fiscalYearId || a.fiscalYearId === fiscalYearId)
+      )
+      .map(a => this.toReportEntry(a))
+      .sort((a, b) => a.cancellationDate.getTime() - b.cancellationDate.getTime());
+
+    const totals = appropriations.reduce(
+      (sum, entry) => ({
+        unobligatedBalance: sum.unobligatedBalance + entry.unobligatedBalance,
+        unliquidatedObligations: sum.unliquidatedObligations + entry.unliquidatedObligations,
+        totalCancelled: sum.totalCancelled + entry.totalCancelled,
+      }),
+      { unobligatedBalance: 0, unliquidatedObligations: 0, totalCancelled: 0 }
+    );
+
+    return { appropriations, totals };
+  }
+
+  async getCancelledBalance(appropriationId: string): Promise<CancelledBalanceReportEntry> {
+    const appropriation = this.getAppropriation(appropriationId);
+    if (!appropriation.cancelledBalance) {
+      throw new AppError(404, 'Appropriation has not been cancelled');
+    }
+    return this.toReportEntry(appropriation);
+  }
+
+  // Runs the cancellation sweep now and then daily; the timer does not keep the process alive
+  startCancellationSchedule(intervalMs: number = CANCELLATION_SWEEP_INTERVAL_MS): void {
+    this.stopCancellationSchedule();
+
+    const sweep = () =>
+      this.cancelExpiredBalances().catch(error =>
+        console.error('[AppropriationLifecycle] Cancellation sweep failed:', error)
+      );
+
+    sweep();
+    this.sweepTimer = setInterval(sweep, intervalMs);
+    this.sweepTimer.unref();
+  }
+
+  stopCancellationSchedule(): void {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  private getAppropriation(id: string): Appropriation {
+    const appropriation = dataStore.findById<Appropriation>('appropriations', id);
+    if (!appropriation) {
+      throw new AppError(404, 'Appropriation not found');
+    }
+    return appropriation;
+  }
+
+  private getAccountBalances(appropriation: Appropriation): Omit<CancelledBalance, 'cancellationDate' | 'cancelledBy'> {
+    const obligations = dataStore.findMany<Obligation>(
+      'obligations',
+      o => o.appropriationId === appropriation.id && ACTIVE_OBLIGATION_STATUSES.includes(o.status)
+    );
+    const obligationIds = new Set(obligations.map(o => o.id));
+    const expended = dataStore
+      .findMany<Expenditure>(
+        'expenditures',
+        e => !!e.obligationId && obligationIds.has(e.obligationId) && e.status !== ExpenditureStatus.CANCELLED
+      )
+      .reduce((sum, e) => sum + e.amount, 0);
+
+    const balance: any = lifecycleRules.calculateCancelledBalance({
+      appropriated: appropriation.amount,
+      obligated: obligations.reduce((sum, o) => sum + o.amount, 0),
+      expended,
+    });
+    return balance;
+  }
+
+  private toReportEntry(appropriation: Appropriation): CancelledBalanceReportEntry {
+    const balance = appropriation.cancelledBalance as CancelledBalance;
+
+    return {
+      appropriationId: appropriation.id,
+      code: appropriation.code,
+      name: appropriation.name,
+      fiscalYearId: appropriation.fiscalYearId,
+      expirationDate: new Date(appropriation.expirationDate),
+      cancelledAt: new Date(appropriation.cancelledAt as Date),
+      ...balance,
+      cancellationDate: new Date(balance.cancellationDate),
+    };
+  }
+}
+
+export const appropriationLifecycleService = new AppropriationLifecycleService();
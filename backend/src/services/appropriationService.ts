@@ -1,31 +1,104 @@
 // BE-022: Appropriation Validation Service
 // BE-023: Fund Availability Checking
+// PPBE-011: Continuing Resolution limits on unenacted appropriations
+// PPBE-013: Funds control levels (apportionment, allotment, sub-allotment)
+// PPBE-019: Appropriated, apportioned and allotted amounts are posted to the USSGL ledger
+// PPBE-020: Appropriations carry a validated Treasury Account Symbol
+// PPBE-009: Execution Phase Tracking (open commitments reserve funds at every funds control level)
 import { v4 as uuidv4 } from 'uuid';
-import { Appropriation, AppropriationType } from '../types';
+import {
+  Allotment,
+  Apportionment,
+  Appropriation,
+  AppropriationType,
+  Commitment,
+  CommitmentStatus,
+  ContinuingResolutionAnomaly,
+  FiscalYear,
+  Obligation,
+  ObligationStatus,
+  Organization,
+} from '../types';
+import {
+  continuingResolution as crRules,
+  apportionment as apportionmentRules,
+  executionTracking as executionRules,
+  fiscalYear as fiscalYearRules,
+} from '../domain/ppbe';
 import { dataStore } from './dataStore';
+import { ledgerService, LedgerSource } from './ledgerService';
+import { treasuryAccountService } from './treasuryAccountService';
 import { AppError } from '../middleware/errorHandler';
 
+export interface ContinuingResolutionStatus {
+  continuingResolutionId: string;
+  name: string;
+  periodStart: Date;
+  periodEnd: Date;
+  limit: number;
+  basis: 'PRO_RATA' | 'ANOMALY_RATE' | 'ANOMALY_AMOUNT';
+  rate: number | null;
+  priorYearAmount: number | null;
+  daysCovered: number;
+  daysInFiscalYear: number;
+  noNewStarts: boolean;
+  anomaly: ContinuingResolutionAnomaly | null;
+  warnings: string[];
+}
+
+export interface FundsControlLevel {
+  type: 'APPROPRIATION' | 'CONTINUING_RESOLUTION' | 'APPORTIONMENT' | 'ALLOTMENT' | 'SUB_ALLOTMENT';
+  id: string;
+  name: string;
+  limit: number;
+  obligated: number;
+  committed: number;
+  available: number;
+}
+
+export interface FundsControlStatus {
+  levels: FundsControlLevel[];
+  controllingLevel: FundsControlLevel;
+  apportionedToDate: number | null;
+  allotment: Allotment | null;
+}
+
+const ACTIVE_OBLIGATION_STATUSES = [ObligationStatus.PENDING, ObligationStatus.OBLIGATED];
+
 export class AppropriationService {
   async createAppropriation(data: {
     fiscalYearId: string;
     code: string;
     name: string;
     amount: number;
+    apportionedAmount?: number;
+    allottedAmount?: number;
     expirationDate: Date | string;
     type: AppropriationType;
     restrictions?: string[];
+    priorYearAmount?: number;
+    enactedDate?: Date | string;
+    treasuryAccountSymbol?: string;
   }): Promise<Appropriation> {
+    const { treasuryAccountSymbol, ...fields } = data;
+    const expirationDate = new Date(data.expirationDate);
     const appropriation: Appropriation = {
       id: uuidv4(),
-      ...data,
-      expirationDate: new Date(data.expirationDate),
+      ...fields,
+      treasuryAccountSymbol: treasuryAccountSymbol
+        ? treasuryAccountService.resolveTreasuryAccountSymbol(treasuryAccountSymbol, { ...data, expirationDate })
+        : undefined,
+      enactedDate: data.enactedDate ? new Date(data.enactedDate) : undefined,
+      expirationDate,
       allocatedAmount: 0,
       availableAmount: data.amount,
       createdAt: new Date(),
       updatedAt: new Date(),
     };
 
-    return dataStore.create<Appropriation>('appropriations', appropriation);
+    const created = dataStore.create<Appropriation>('appropriations', appropriation);
+    await ledgerService.syncAppropriation(created.id);
+    return created;
   }
 
   async getAllAppropriations(fiscalYearId?: string): Promise<Appropriation[]> {
@@ -59,15 +132,42 @@ export class AppropriationService {
     return appropriation;
   }
 
-  async updateAppropriation(id: string, updates: Partial<Appropriation>): Promise<Appropriation> {
+  // Looks an appropriation up by its TAS in any accepted form (e.g. "097 2025 0100" for 097-2025-0100-000)
+  async getAppropriationByTas(symbol: string): Promise<Appropriation> {
+    const appropriation = treasuryAccountService.findAppropriation(symbol);
+    if (!appropriation) {
+      throw new AppError(404, 'Appropriation not found');
+    }
+    return appropriation;
+  }
+
+  // ledger names the SF-132 or allotment behind a change to the apportioned or allotted amount
+  async updateAppropriation(
+    id: string,
+    changes: Partial<Omit<Appropriation, 'treasuryAccountSymbol'>> & { treasuryAccountSymbol?: string },
+    ledger?: { source?: LedgerSource; date?: Date; postedBy?: string }
+  ): Promise<Appropriation> {
+    const { treasuryAccountSymbol, ...fields } = changes;
+    const updates: Partial<Appropriation> = fields;
     if (updates.expirationDate) {
       updates.expirationDate = new Date(updates.expirationDate);
     }
+    if (updates.enactedDate) {
+      updates.enactedDate = new Date(updates.enactedDate);
+    }
+
+    // A TAS, new or kept, must still fit a changed type, fiscal year or expiration
+    const existing = await this.getAppropriationById(id);
+    const symbol = treasuryAccountSymbol || existing.treasuryAccountSymbol?.symbol;
+    if (symbol && (treasuryAccountSymbol || updates.type || updates.fiscalYearId || updates.expirationDate)) {
+      updates.treasuryAccountSymbol = treasuryAccountService.resolveTreasuryAccountSymbol(symbol, { ...existing, ...updates });
+    }
 
     const updatedAppropriation = dataStore.update<Appropriation>('appropriations', id, updates);
     if (!updatedAppropriation) {
       throw new AppError(404, 'Appropriation not found');
     }
+    await ledgerService.syncAppropriation(id, ledger);
     return updatedAppropriation;
   }
 
@@ -76,14 +176,22 @@ export class AppropriationService {
     if (!success) {
       throw new AppError(404, 'Appropriation not found');
     }
+    await ledgerService.syncAppropriation(id);
   }
 
-  async checkFundAvailability(appropriationCode: string, fiscalYearId: string, amount: number): Promise<{
+  async checkFundAvailability(
+    appropriationCode: string,
+    fiscalYearId: string,
+    amount: number,
+    organizationId?: string
+  ): Promise<{
     available: boolean;
     appropriation: Appropriation;
     requestedAmount: number;
     availableAmount: number;
     shortage: number;
+    continuingResolution: ContinuingResolutionStatus | null;
+    controllingLevel: FundsControlLevel;
   }> {
     const appropriation = await this.getAppropriationByCode(appropriationCode, fiscalYearId);
 
@@ -92,22 +200,200 @@ export class AppropriationService {
       throw new AppError(400, 'Appropriation has expired');
     }
 
-    const available = appropriation.availableAmount >= amount;
+    const continuingResolution = this.getContinuingResolutionStatus(appropriation);
+    const fundsControl = this.getFundsControl(appropriation, { organizationId });
+
+    // Every funds control level nets out obligations and open commitments, so converting a
+    // commitment into an obligation leaves availability unchanged
+    const availableAmount = Math.max(
+      0,
+      Math.min(
+        this.getSpendableAmount(appropriation, fundsControl),
+        ...fundsControl.levels.map(level => level.available)
+      )
+    );
+    const available = availableAmount >= amount;
 
     return {
       available,
       appropriation,
       requestedAmount: amount,
-      availableAmount: appropriation.availableAmount,
-      shortage: available ? 0 : amount - appropriation.availableAmount,
+      availableAmount,
+      shortage: available ? 0 : amount - availableAmount,
+      continuingResolution,
+      controllingLevel: fundsControl.controllingLevel,
+    };
+  }
+
+  // Every level that limits obligations of the appropriation on a date. Appropriation, CR and
+  // apportionment levels are measured against all obligations and open commitments of the
+  // appropriation; an allotment against those charged to it, after what it has sub-allotted. An
+  // organization without an allotment on its chain has nothing available once the appropriation is
+  // distributed. An obligation converted from a commitment excludes that commitment, which it draws on.
+  getFundsControl(
+    appropriation: Appropriation,
+    options: { organizationId?: string; asOf?: Date; excludeObligationId?: string; excludeCommitmentId?: string } = {}
+  ): FundsControlStatus {
+    const asOf = options.asOf || new Date();
+    const obligations = dataStore.findMany<Obligation>(
+      'obligations',
+      o =>
+        o.appropriationId === appropriation.id &&
+        o.id !== options.excludeObligationId &&
+        ACTIVE_OBLIGATION_STATUSES.includes(o.status)
+    );
+    const obligated = obligations.reduce((sum, o) => sum + o.amount, 0);
+    const commitments = dataStore
+      .findMany<Commitment>(
+        'commitments',
+        c => c.appropriationId === appropriation.id && c.status === CommitmentStatus.OPEN && c.id !== options.excludeCommitmentId
+      )
+      .map(c => {
+        const converted = dataStore.findMany<Obligation>('obligations', o => o.commitmentId === c.id && o.id !== options.excludeObligationId);
+        const balance: any = executionRules.calculateCommitmentBalance(c, converted);
+        return { allotmentId: c.allotmentId, commitmentDate: c.commitmentDate, open: balance.open as number };
+      });
+    const committed = commitments.reduce((sum, c) => sum + c.open, 0);
+    const level = (
+      type: FundsControlLevel['type'],
+      id: string,
+      name: string,
+      limit: number,
+      levelObligated: number,
+      levelCommitted: number
+    ): FundsControlLevel => ({
+      type,
+      id,
+      name,
+      limit,
+      obligated: levelObligated,
+      committed: levelCommitted,
+      available: limit - levelObligated - levelCommitted,
+    });
+
+    const levels: FundsControlLevel[] = [
+      level('APPROPRIATION', appropriation.id, appropriation.code, appropriation.amount, obligated, committed),
+    ];
+
+    const continuingResolution = this.getContinuingResolutionStatus(appropriation, asOf);
+    if (continuingResolution) {
+      const covered = this.coveredByContinuingResolution(appropriation, continuingResolution);
+      levels.push(
+        level(
+          'CONTINUING_RESOLUTION',
+          continuingResolution.continuingResolutionId,
+          continuingResolution.name,
+          continuingResolution.limit,
+          obligations.filter(o => covered(o.obligationDate)).reduce((sum, o) => sum + o.amount, 0),
+          commitments.filter(c => covered(c.commitmentDate)).reduce((sum, c) => sum + c.open, 0)
+        )
+      );
+    }
+
+    let apportionedToDate: number | null = null;
+    const apportionment = dataStore.findOne<Apportionment>(
+      'apportionments',
+      a => a.appropriationId === appropriation.id
+    );
+    if (apportionment) {
+      const fiscalYear = dataStore.findById<FiscalYear>('fiscalYears', appropriation.fiscalYearId);
+      const toDate: any = apportionmentRules.calculateApportionedToDate(
+        apportionment,
+        asOf,
+        fiscalYear ? fiscalYear.year : fiscalYearRules.getFiscalYear(asOf)
+      );
+      apportionedToDate = toDate.amount;
+      levels.push(
+        level(
+          'APPORTIONMENT',
+          apportionment.id,
+          `SF-132 #${apportionment.reapportionmentNumber} through Q${toDate.throughQuarter}`,
+          toDate.amount,
+          obligated,
+          committed
+        )
+      );
+    } else if (appropriation.apportionedAmount !== undefined && appropriation.apportionedAmount !== null) {
+      apportionedToDate = appropriation.apportionedAmount;
+      levels.push(level('APPORTIONMENT', appropriation.id, 'Apportioned', appropriation.apportionedAmount, obligated, committed));
+    }
+
+    let allotment: Allotment | null = null;
+    if (options.organizationId) {
+      allotment = this.findAllotmentForOrganization(appropriation.id, options.organizationId);
+
+      if (allotment) {
+        const held = allotment;
+        const subAllotted = dataStore
+          .findMany<Allotment>('allotments', a => a.parentAllotmentId === held.id)
+          .reduce((sum, a) => sum + a.amount, 0);
+        const organization = dataStore.findById<Organization>('organizations', held.organizationId);
+
+        levels.push(
+          level(
+            held.parentAllotmentId ? 'SUB_ALLOTMENT' : 'ALLOTMENT',
+            held.id,
+            organization ? organization.code : held.organizationId,
+            held.amount - subAllotted,
+            obligations.filter(o => o.allotmentId === held.id).reduce((sum, o) => sum + o.amount, 0),
+            commitments.filter(c => c.allotmentId === held.id).reduce((sum, c) => sum + c.open, 0)
+          )
+        );
+      } else if (dataStore.findOne<Allotment>('allotments', a => a.appropriationId === appropriation.id)) {
+        const organization = dataStore.findById<Organization>('organizations', options.organizationId);
+        levels.push(
+          level(
+            'ALLOTMENT',
+            '',
+            `${organization ? organization.code : options.organizationId} (not allotted)`,
+            0,
+            0,
+            0
+          )
+        );
+      }
+    }
+
+    return {
+      levels,
+      controllingLevel: apportionmentRules.findControllingLevel(levels) as FundsControlLevel,
+      apportionedToDate,
+      allotment,
     };
   }
 
+  // Nearest allotment on the organization's chain: its own, or one held by an ancestor
+  findAllotmentForOrganization(appropriationId: string, organizationId: string): Allotment | null {
+    let current = dataStore.findById<Organization>('organizations', organizationId);
+    let currentId: string | undefined = organizationId;
+
+    while (currentId) {
+      const orgId: string = currentId;
+      const allotment = dataStore.findOne<Allotment>(
+        'allotments',
+        a => a.appropriationId === appropriationId && a.organizationId === orgId
+      );
+      if (allotment) {
+        return allotment;
+      }
+      currentId = current?.parentId;
+      current = currentId ? dataStore.findById<Organization>('organizations', currentId) : undefined;
+    }
+
+    return null;
+  }
+
   async allocateFunds(appropriationId: string, amount: number): Promise<Appropriation> {
     const appropriation = await this.getAppropriationById(appropriationId);
+    const continuingResolution = this.getContinuingResolutionStatus(appropriation);
 
-    if (appropriation.availableAmount < amount) {
-      throw new AppError(400, 'Insufficient funds available');
+    if (this.getSpendableAmount(appropriation, this.getFundsControl(appropriation)) < amount) {
+      throw new AppError(
+        400,
+        continuingResolution
+          ? `Insufficient funds available under ${continuingResolution.name}`
+          : 'Insufficient funds available'
+      );
     }
 
     return this.updateAppropriation(appropriationId, {
@@ -149,6 +435,99 @@ export class AppropriationService {
 
     return { valid: true, appropriation };
   }
+
+  // An appropriation that has not been enacted by the given date is limited to
+  // the CR amount while a CR period of its fiscal year covers that date.
+  getContinuingResolutionStatus(
+    appropriation: Appropriation,
+    asOf: Date = new Date()
+  ): ContinuingResolutionStatus | null {
+    if (appropriation.enactedDate && new Date(appropriation.enactedDate) <= asOf) {
+      return null;
+    }
+
+    const fiscalYear = dataStore.findById<FiscalYear>('fiscalYears', appropriation.fiscalYearId);
+    if (!fiscalYear) {
+      return null;
+    }
+
+    const active: any = crRules.findActiveContinuingResolution(fiscalYear.continuingResolutions || [], asOf);
+    if (!active) {
+      return null;
+    }
+
+    const anomaly = crRules.findAnomaly(active, appropriation.code) as ContinuingResolutionAnomaly | null;
+    const result: any = crRules.calculateCRFundingLimit({
+      priorYearAmount: appropriation.priorYearAmount,
+      rate: active.rate,
+      fiscalYearStart: fiscalYear.startDate,
+      fiscalYearEnd: fiscalYear.endDate,
+      periodEnd: active.endDate,
+      anomaly,
+    });
+
+    return {
+      continuingResolutionId: active.id,
+      name: active.name,
+      periodStart: new Date(active.startDate),
+      periodEnd: new Date(active.endDate),
+      limit: result.limit,
+      basis: result.basis,
+      rate: result.rate,
+      priorYearAmount: result.priorYearAmount,
+      daysCovered: result.daysCovered,
+      daysInFiscalYear: result.daysInFiscalYear,
+      noNewStarts: active.noNewStarts !== false,
+      anomaly,
+      warnings: result.warnings,
+    };
+  }
+
+  async getContinuingResolutionStatusById(id: string, asOf?: Date | string): Promise<{
+    appropriation: Appropriation;
+    underContinuingResolution: boolean;
+    continuingResolution: ContinuingResolutionStatus | null;
+    availableAmount: number;
+  }> {
+    const appropriation = await this.getAppropriationById(id);
+    const date = asOf ? new Date(asOf) : new Date();
+    if (isNaN(date.getTime())) {
+      throw new AppError(400, 'Invalid date');
+    }
+
+    const continuingResolution = this.getContinuingResolutionStatus(appropriation, date);
+
+    return {
+      appropriation,
+      underContinuingResolution: continuingResolution !== null,
+      continuingResolution,
+      availableAmount: this.getSpendableAmount(appropriation, this.getFundsControl(appropriation, { asOf: date })),
+    };
+  }
+
+  // Under a CR, what is left of the CR limit caps the appropriation's available amount
+  private getSpendableAmount(appropriation: Appropriation, fundsControl: FundsControlStatus): number {
+    const continuingResolution = fundsControl.levels.find(l => l.type === 'CONTINUING_RESOLUTION');
+    if (!continuingResolution) {
+      return appropriation.availableAmount;
+    }
+
+    return Math.max(0, Math.min(appropriation.availableAmount, continuingResolution.available));
+  }
+
+  // Whether a transaction date falls in the span a CR limit covers. The limit is pro-rated from the
+  // start of the fiscal year, so obligations and commitments of earlier CR periods count against it.
+  private coveredByContinuingResolution(
+    appropriation: Appropriation,
+    continuingResolution: ContinuingResolutionStatus
+  ): (date: Date | string) => boolean {
+    const fiscalYear = dataStore.findById<FiscalYear>('fiscalYears', appropriation.fiscalYearId);
+    const from = fiscalYear ? new Date(fiscalYear.startDate) : continuingResolution.periodStart;
+    return date => {
+      const at = new Date(date);
+      return at >= from && at <= continuingResolution.periodEnd;
+    };
+  }
 }
 
 export const appropriationService = new AppropriationService();
@@ -0,0 +1,168 @@
+// BE-010: Delegation of approval authority
+// An approver hands their authority to another active user with the same role for a date range,
+// optionally limited to some entity types or a dollar amount. The delegate acts for the delegator
+// only; authority is not passed on again by a delegate's own delegations.
+import { v4 as uuidv4 } from 'uuid';
+import {
+  ApprovalDelegation,
+  ApprovalEntityType,
+  ApprovalRequest,
+  NotificationPriority,
+  NotificationType,
+  User,
+  UserRole,
+} from '../types';
+import { dataStore } from './dataStore';
+import { AppError } from '../middleware/errorHandler';
+import { notificationService } from './notificationService';
+
+type Actor = Pick<User, 'id' | 'role'>;
+
+export class ApprovalDelegationService {
+  // Approvers delegate their own authority; admins may record a delegation for anyone
+  async createDelegation(data: {
+    delegatorId?: string;
+    delegateId: string;
+    startDate: string;
+    endDate: string;
+    entityTypes?: ApprovalEntityType[];
+    maxAmount?: number;
+    reason?: string;
+  }, actor: Actor): Promise<ApprovalDelegation> {
+    const delegatorId = data.delegatorId || actor.id;
+    if (delegatorId !== actor.id && actor.role !== UserRole.ADMIN) {
+      throw new AppError(403, 'You can only delegate your own approval authority');
+    }
+    if (data.endDate < data.startDate) {
+      throw new AppError(400, 'Delegation must end on or after its start date', [
+        { field: 'endDate', message: 'endDate is before startDate' },
+      ]);
+    }
+
+    const delegator = dataStore.findById<User>('users', delegatorId);
+    const delegate = dataStore.findById<User>('users', data.delegateId);
+    if (!delegator) {
+      throw new AppError(404, 'Delegator not found');
+    }
+    if (!delegate) {
+      throw new AppError(404, 'Delegate not found');
+    }
+    if (delegate.id === delegator.id) {
+      throw new AppError(400, 'Approval authority cannot be delegated to yourself');
+    }
+    if (!delegate.active || delegate.role !== delegator.role) {
+      throw new AppError(400, `Delegate must be an active ${delegator.role} user`, [
+        { field: 'delegateId', message: `${delegate.username} cannot act for ${delegator.username}` },
+      ]);
+    }
+    if (dataStore.findOne<ApprovalDelegation>('approvalDelegations', d =>
+      d.delegatorId === delegator.id && d.delegateId === delegate.id && !d.revokedAt &&
+      d.startDate <= data.endDate && d.endDate >= data.startDate)) {
+      throw new AppError(409, `${delegate.username} already holds a delegation from ${delegator.username} for these dates`);
+    }
+
+    const delegation: ApprovalDelegation = {
+      id: uuidv4(),
+      delegatorId: delegator.id,
+      delegateId: delegate.id,
+      startDate: data.startDate,
+      endDate: data.endDate,
+      entityTypes: data.entityTypes?.length ? data.entityTypes : undefined,
+      maxAmount: data.maxAmount,
+      reason: data.reason,
+      createdBy: actor.id,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    const created = dataStore.create<ApprovalDelegation>('approvalDelegations', delegation);
+
+    await notificationService.createNotification({
+      userId: delegate.id,
+      type: NotificationType.APPROVAL_DELEGATED,
+      title: 'Approval Authority Delegated',
+      message: `You may act for ${delegator.username} on approvals from ${data.startDate} to ${data.endDate}`,
+      entityType: 'approval_delegation',
+      entityId: created.id,
+      priority: NotificationPriority.MEDIUM,
+    });
+
+    return created;
+  }
+
+  async getDelegations(filters?: {
+    delegatorId?: string;
+    delegateId?: string;
+    activeOn?: string;
+    includeRevoked?: boolean;
+  }): Promise<ApprovalDelegation[]> {
+    let delegations = dataStore.findAll<ApprovalDelegation>('approvalDelegations');
+
+    if (filters?.delegatorId) {
+      delegations = delegations.filter(d => d.delegatorId === filters.delegatorId);
+    }
+    if (filters?.delegateId) {
+      delegations = delegations.filter(d => d.delegateId === filters.delegateId);
+    }
+    if (filters?.activeOn) {
+      const day = filters.activeOn;
+      delegations = delegations.filter(d => !d.revokedAt && d.startDate <= day && d.endDate >= day);
+    } else if (!filters?.includeRevoked) {
+      delegations = delegations.filter(d => !d.revokedAt);
+    }
+
+    return delegations.sort((a, b) => a.startDate.localeCompare(b.startDate));
+  }
+
+  async getDelegationById(id: string): Promise<ApprovalDelegation> {
+    const delegation = dataStore.findById<ApprovalDelegation>('approvalDelegations', id);
+    if (!delegation) {
+      throw new AppError(404, 'Delegation not found');
+    }
+    return delegation;
+  }
+
+  // Revoked delegations are kept for the actions taken under them
+  async revokeDelegation(id: string, actor: Actor): Promise<ApprovalDelegation> {
+    const delegation = await this.getDelegationById(id);
+
+    if (delegation.delegatorId !== actor.id && actor.role !== UserRole.ADMIN) {
+      throw new AppError(403, 'You can only revoke delegations of your own approval authority');
+    }
+    if (delegation.revokedAt) {
+      throw new AppError(400, 'Delegation is already revoked');
+    }
+
+    return dataStore.update<ApprovalDelegation>('approvalDelegations', id, {
+      revokedAt: new Date(),
+      revokedBy: actor.id,
+    })!;
+  }
+
+  // Delegations in force on the given day that cover the request's entity type and amount.
+  // A delegation with a dollar limit does not cover requests that carry no amount.
+  findDelegations(
+    request: Pick<ApprovalRequest, 'entityType' | 'amount'>,
+    parties: { delegatorId?: string; delegateId?: string },
+    asOf: Date = new Date()
+  ): ApprovalDelegation[] {
+    const day = this.toDateKey(asOf);
+
+    return dataStore.findMany<ApprovalDelegation>('approvalDelegations', d =>
+      !d.revokedAt &&
+      d.startDate <= day &&
+      d.endDate >= day &&
+      (!parties.delegatorId || d.delegatorId === parties.delegatorId) &&
+      (!parties.delegateId || d.delegateId === parties.delegateId) &&
+      (!d.entityTypes || d.entityTypes.includes(request.entityType)) &&
+      (d.maxAmount === undefined || (request.amount !== undefined && request.amount <= d.maxAmount))
+    );
+  }
+
+  private toDateKey(date: Date): string {
+    const pad = (n: number) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+}
+
+export const approvalDelegationService = new ApprovalDelegationService();
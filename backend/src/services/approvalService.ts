@@ -1,10 +1,110 @@
 // BE-009: Approval Workflow Engine
-// BE-010: Multi-level Approval Routing
+// BE-010: Multi-level Approval Routing, with per-step SLAs (see approvalSlaService),
+// parallel steps completed by a quorum of their approvers and acting approvers
+// (see approvalDelegationService)
 import { v4 as uuidv4 } from 'uuid';
-import { ApprovalWorkflow, ApprovalRequest, ApprovalAction, ApprovalStatus, ApprovalActionType, ApprovalEntityType } from '../types';
+import {
+  ApprovalWorkflow,
+  ApprovalRequest,
+  ApprovalAction,
+  ApprovalStatus,
+  ApprovalActionType,
+  ApprovalDelegation,
+  ApprovalEntityType,
+  ApprovalParticipant,
+  ApprovalStep,
+  AuditAction,
+  User,
+} from '../types';
 import { dataStore } from './dataStore';
 import { AppError } from '../middleware/errorHandler';
 import { notificationService } from './notificationService';
+import { budgetService } from './budgetService';
+import { reprogrammingService } from './reprogrammingService';
+import { approvalSlaService } from './approvalSlaService';
+import { approvalDelegationService } from './approvalDelegationService';
+import { auditService } from './auditService';
+import { separationOfDutiesService } from './separationOfDutiesService';
+
+const POSITIVE_RESPONSES = [ApprovalActionType.APPROVED, ApprovalActionType.CONCUR];
+const NEGATIVE_RESPONSES = [ApprovalActionType.REJECTED, ApprovalActionType.NON_CONCUR];
+const OPEN_STATUSES = [ApprovalStatus.PENDING, ApprovalStatus.IN_REVIEW];
+
+export interface ApprovalStepTally {
+  step: number;
+  type: 'approval' | 'coordination';
+  quorum: 'all' | 'any' | number;
+  required: number;
+  participants: (ApprovalParticipant & {
+    response?: Pick<ApprovalAction, 'action' | 'approverId' | 'actingFor' | 'comments' | 'timestamp'>;
+  })[];
+  positive: number;
+  negative: number;
+  outstanding: number;
+  outcome: 'pending' | 'met' | 'failed';
+}
+
+// The step's parallel approvers, or its single approver
+export function getStepParticipants(step: ApprovalStep): ApprovalParticipant[] {
+  return step.approvers?.length ? step.approvers : [{ approverId: step.approverId, approverRole: step.approverRole }];
+}
+
+// The step's participants as assigned on a request: an escalated participant is awaited from
+// the approver it was handed to
+export function getAssignedParticipants(request: ApprovalRequest, step: ApprovalStep): ApprovalParticipant[] {
+  return getStepParticipants(step).map((participant, index) => {
+    const assignedId = step.approvers?.length ? request.assignedApprovers?.[index] : request.assignedApproverId;
+    return assignedId ? { ...participant, approverId: assignedId } : participant;
+  });
+}
+
+// Users who may respond for a participant: its approver, or every active user in its role
+export function getParticipantUserIds(participant: ApprovalParticipant): string[] {
+  if (participant.approverId) {
+    return [participant.approverId];
+  }
+  return dataStore
+    .findMany<User>('users', u => u.active && !!participant.approverRole && u.role === participant.approverRole)
+    .map(u => u.id);
+}
+
+// Responses recorded against a step, one per participant. A step is met once the quorum of
+// positive responses is in, and fails once too few participants remain to reach it.
+export function tallyStep(step: ApprovalStep, stepIndex: number, actions: ApprovalAction[]): ApprovalStepTally {
+  const participants = getStepParticipants(step);
+  const quorum = step.quorum ?? 'all';
+  const required = quorum === 'all' ? participants.length : quorum === 'any' ? 1 : quorum;
+
+  const responses = participants.map((participant, index) => {
+    const action = actions.find(a => a.step === stepIndex && (a.participant ?? 0) === index);
+    return {
+      ...participant,
+      response: action && {
+        action: action.action,
+        approverId: action.approverId,
+        actingFor: action.actingFor,
+        comments: action.comments,
+        timestamp: action.timestamp,
+      },
+    };
+  });
+
+  const positive = responses.filter(p => p.response && POSITIVE_RESPONSES.includes(p.response.action)).length;
+  const negative = responses.filter(p => p.response && NEGATIVE_RESPONSES.includes(p.response.action)).length;
+  const outstanding = participants.length - positive - negative;
+
+  return {
+    step: stepIndex,
+    type: step.type || 'approval',
+    quorum,
+    required,
+    participants: responses,
+    positive,
+    negative,
+    outstanding,
+    outcome: positive >= required ? 'met' : positive + outstanding < required ? 'failed' : 'pending',
+  };
+}
 
 export class ApprovalService {
   // Workflow Management
@@ -12,8 +112,15 @@ export class ApprovalService {
     name: string;
     description?: string;
     entityType: ApprovalEntityType;
+    approvalLevel?: string;
     steps: any[];
   }, createdBy: string): Promise<ApprovalWorkflow> {
+    for (const step of data.steps as ApprovalStep[]) {
+      if (typeof step.quorum === 'number' && step.quorum > getStepParticipants(step).length) {
+        throw new AppError(400, `Step ${step.order} needs ${step.quorum} approvals but has ${getStepParticipants(step).length} approvers`);
+      }
+    }
+
     const workflow: ApprovalWorkflow = {
       id: uuidv4(),
       ...data,
@@ -50,6 +157,7 @@ export class ApprovalService {
     entityType: ApprovalEntityType;
     entityId: string;
     comments?: string;
+    amount?: number;
   }, requestedBy: string): Promise<ApprovalRequest> {
     const workflow = await this.getWorkflowById(data.workflowId);
 
@@ -59,6 +167,7 @@ export class ApprovalService {
       requestedBy,
       currentStep: 0,
       status: ApprovalStatus.PENDING,
+      ...approvalSlaService.startStep(workflow.steps[0]),
       createdAt: new Date(),
       updatedAt: new Date(),
     };
@@ -116,6 +225,11 @@ export class ApprovalService {
       throw new AppError(400, 'This request has already been processed');
     }
 
+    const step = workflow.steps[request.currentStep];
+    this.checkResponseType(step, action, comments);
+    const { participant, delegation } = this.findParticipant(request, step, approverId);
+    separationOfDutiesService.assertApprovalAllowed(request, approverId);
+
     // Record the action
     const approvalAction: ApprovalAction = {
       id: uuidv4(),
@@ -124,19 +238,29 @@ export class ApprovalService {
       approverId,
       action,
       comments,
+      participant,
+      actingFor: delegation?.delegatorId,
+      delegationId: delegation?.id,
+      stepStartedAt: request.stepStartedAt,
+      stepDueAt: request.stepDueAt,
       timestamp: new Date(),
     };
 
     dataStore.create<ApprovalAction>('approvalActions', approvalAction);
+    if (delegation) {
+      await this.logActingFor(approvalAction, delegation);
+    }
 
+    const tally = tallyStep(step, request.currentStep, this.getActions(requestId));
     let updatedRequest: ApprovalRequest;
 
-    if (action === ApprovalActionType.APPROVED) {
+    if (tally.outcome === 'met') {
       // Move to next step or complete
       if (request.currentStep < workflow.steps.length - 1) {
         updatedRequest = dataStore.update<ApprovalRequest>('approvalRequests', requestId, {
           currentStep: request.currentStep + 1,
           status: ApprovalStatus.IN_REVIEW,
+          ...approvalSlaService.startStep(workflow.steps[request.currentStep + 1], approvalAction.timestamp),
         })!;
 
         // Notify next approver
@@ -148,6 +272,8 @@ export class ApprovalService {
           completedAt: new Date(),
         })!;
 
+        await this.resolveEntity(updatedRequest, true, approverId);
+
         // Notify requester
         await notificationService.createNotification({
           userId: request.requestedBy,
@@ -159,29 +285,55 @@ export class ApprovalService {
           priority: 'medium' as any,
         });
       }
-    } else if (action === ApprovalActionType.REJECTED) {
+    } else if (tally.outcome === 'failed') {
       updatedRequest = dataStore.update<ApprovalRequest>('approvalRequests', requestId, {
         status: ApprovalStatus.REJECTED,
         completedAt: new Date(),
       })!;
 
+      await this.resolveEntity(updatedRequest, false, approverId);
+
       // Notify requester
       await notificationService.createNotification({
         userId: request.requestedBy,
         type: 'approval_rejected' as any,
         title: 'Request Rejected',
-        message: `Your ${request.entityType} request has been rejected`,
+        message: tally.type === 'coordination'
+          ? `Your ${request.entityType} request did not receive the required concurrences`
+          : `Your ${request.entityType} request has been rejected`,
         entityType: request.entityType,
         entityId: request.entityId,
         priority: 'high' as any,
       });
     } else {
-      throw new AppError(400, 'Invalid approval action');
+      // Other approvers on a parallel step have yet to respond
+      updatedRequest = dataStore.update<ApprovalRequest>('approvalRequests', requestId, {
+        status: ApprovalStatus.IN_REVIEW,
+      })!;
     }
 
     return updatedRequest;
   }
 
+  // Every response on each step of a request, with the step's quorum and outcome
+  async getStepResponses(requestId: string): Promise<{
+    requestId: string;
+    status: ApprovalStatus;
+    currentStep: number;
+    steps: ApprovalStepTally[];
+  }> {
+    const request = await this.getApprovalRequestById(requestId);
+    const workflow = await this.getWorkflowById(request.workflowId);
+    const actions = this.getActions(requestId);
+
+    return {
+      requestId,
+      status: request.status,
+      currentStep: request.currentStep,
+      steps: workflow.steps.map((step, index) => tallyStep(step, index, actions)),
+    };
+  }
+
   async getApprovalHistory(entityType: string, entityId: string): Promise<{
     requests: ApprovalRequest[];
     actions: ApprovalAction[];
@@ -200,43 +352,169 @@ export class ApprovalService {
     return { requests, actions };
   }
 
-  async getPendingApprovals(approverId: string): Promise<ApprovalRequest[]> {
-    const allRequests = await this.getApprovalRequests({
-      status: ApprovalStatus.PENDING,
-    });
+  // Requests awaiting the user, including those they can act on for a delegator (actingFor)
+  async getPendingApprovals(approverId: string): Promise<(ApprovalRequest & { actingFor?: string })[]> {
+    const allRequests = (await this.getApprovalRequests()).filter(r => OPEN_STATUSES.includes(r.status));
+    const user = dataStore.findById<User>('users', approverId);
 
-    const pendingForUser: ApprovalRequest[] = [];
+    const pendingForUser: (ApprovalRequest & { actingFor?: string })[] = [];
 
     for (const request of allRequests) {
       const workflow = await this.getWorkflowById(request.workflowId);
       const currentStep = workflow.steps[request.currentStep];
 
-      // Check if user is the approver for current step
-      if (currentStep.approverId === approverId) {
+      // Approvers, or the ones they were escalated to, who have not responded yet
+      const awaiting = this.getAwaitedParticipants(request, currentStep).map(({ participant }) => participant);
+      if (awaiting.some(p => p.approverId ? p.approverId === approverId : p.approverRole === user?.role)) {
         pendingForUser.push(request);
+        continue;
+      }
+
+      const delegator = awaiting.find(p => p.approverId && this.findDelegation(request, p.approverId, approverId));
+      if (delegator) {
+        pendingForUser.push({ ...request, actingFor: delegator.approverId });
       }
     }
 
     return pendingForUser;
   }
 
+  private getActions(requestId: string): ApprovalAction[] {
+    return dataStore.findMany<ApprovalAction>('approvalActions', a => a.requestId === requestId);
+  }
+
+  // Participants of the step, as assigned, with their index, who have not responded yet
+  private getAwaitedParticipants(request: ApprovalRequest, step: ApprovalStep): { index: number; participant: ApprovalParticipant }[] {
+    const tally = tallyStep(step, request.currentStep, this.getActions(request.id));
+    return getAssignedParticipants(request, step)
+      .map((participant, index) => ({ index, participant }))
+      .filter(({ index }) => !tally.participants[index].response);
+  }
+
+  // Approval steps take approve/reject; coordination steps take concur/non-concur, and a
+  // non-concurrence must say why
+  private checkResponseType(step: ApprovalStep, action: ApprovalActionType, comments?: string): void {
+    const allowed = step.type === 'coordination'
+      ? [ApprovalActionType.CONCUR, ApprovalActionType.NON_CONCUR]
+      : [ApprovalActionType.APPROVED, ApprovalActionType.REJECTED];
+
+    if (!allowed.includes(action)) {
+      throw new AppError(400, `Invalid approval action for a${step.type === 'coordination' ? ' coordination' : 'n approval'} step`, [
+        { field: 'action', message: `Allowed actions: ${allowed.join(', ')}` },
+      ]);
+    }
+    if (action === ApprovalActionType.NON_CONCUR && !comments?.trim()) {
+      throw new AppError(400, 'A non-concurrence requires comments', [
+        { field: 'comments', message: 'Explain the non-concurrence' },
+      ]);
+    }
+  }
+
+  // Index of the participant a response is recorded for, and the delegation it is made under
+  // when the responder acts for an awaited approver. The responder must be an approver who has
+  // not responded yet, in person or by role, the approver one was escalated to, or the delegate
+  // of one of them; this holds for single-approver steps as well as parallel ones. Each user
+  // fills at most one slot of a step, however they responded.
+  private findParticipant(
+    request: ApprovalRequest,
+    step: ApprovalStep,
+    approverId: string
+  ): { participant: number; delegation?: ApprovalDelegation } {
+    if (this.getActions(request.id).some(a => a.step === request.currentStep && a.approverId === approverId)) {
+      throw new AppError(400, 'You have already responded to this step');
+    }
+    const awaited = this.getAwaitedParticipants(request, step);
+
+    const named = awaited.find(({ participant }) => participant.approverId === approverId);
+    if (named) {
+      return { participant: named.index };
+    }
+    if (getAssignedParticipants(request, step).some(p => p.approverId === approverId)) {
+      throw new AppError(400, 'You have already responded to this step');
+    }
+
+    const user = dataStore.findById<User>('users', approverId);
+    const byRole = awaited.find(({ participant }) => !participant.approverId && !!user && participant.approverRole === user.role);
+    if (byRole) {
+      return { participant: byRole.index };
+    }
+
+    for (const { index, participant } of awaited) {
+      const delegation = participant.approverId ? this.findDelegation(request, participant.approverId, approverId) : undefined;
+      if (delegation) {
+        return { participant: index, delegation };
+      }
+    }
+
+    throw new AppError(403, 'You are not an approver awaited on this step');
+  }
+
+  private findDelegation(request: ApprovalRequest, delegatorId: string, delegateId: string): ApprovalDelegation | undefined {
+    return approvalDelegationService.findDelegations(request, { delegatorId, delegateId })[0];
+  }
+
+  // The audit trail names both parties of a response made under delegation
+  private async logActingFor(action: ApprovalAction, delegation: ApprovalDelegation): Promise<void> {
+    const username = (id: string) => dataStore.findById<User>('users', id)?.username || id;
+    const summary = `${username(action.approverId)} acting for ${username(delegation.delegatorId)}`;
+
+    await auditService.log({
+      userId: action.approverId,
+      username: username(action.approverId),
+      action: NEGATIVE_RESPONSES.includes(action.action) ? AuditAction.REJECT : AuditAction.APPROVE,
+      entityType: 'approval_request',
+      entityId: action.requestId,
+      changes: {
+        summary,
+        action: action.action,
+        step: action.step,
+        actingFor: delegation.delegatorId,
+        delegationId: delegation.id,
+      },
+      success: true,
+    });
+  }
+
+  // Apply the outcome of a completed request to the entity it gates
+  private async resolveEntity(request: ApprovalRequest, approved: boolean, approverId: string): Promise<void> {
+    if (request.entityType === ApprovalEntityType.BUDGET) {
+      await budgetService.resolveTransitionApproval(request, approved, approverId);
+    } else if (request.entityType === ApprovalEntityType.REPROGRAMMING) {
+      await reprogrammingService.resolveApproval(request, approved, approverId);
+    }
+  }
+
   private async notifyApprover(
     request: ApprovalRequest,
     workflow: ApprovalWorkflow,
     stepIndex: number
   ): Promise<void> {
     const step = workflow.steps[stepIndex];
+    // Role-based approvers are told through every active user in the role
+    const approverIds = [...new Set(getAssignedParticipants(request, step).flatMap(getParticipantUserIds))];
 
-    if (step.approverId) {
-      await notificationService.createNotification({
-        userId: step.approverId,
-        type: 'approval_request' as any,
-        title: 'Approval Required',
-        message: `You have a new ${request.entityType} approval request`,
-        entityType: request.entityType,
-        entityId: request.entityId,
-        priority: 'high' as any,
-      });
+    const kind = step.type === 'coordination' ? 'coordination' : 'approval';
+
+    for (const approverId of approverIds) {
+      // Delegates in force are told as well, so the request does not wait on an absent approver
+      const recipients = [
+        { userId: approverId, actingFor: '' },
+        ...approvalDelegationService
+          .findDelegations(request, { delegatorId: approverId })
+          .map(d => ({ userId: d.delegateId, actingFor: dataStore.findById<User>('users', approverId)?.username || approverId })),
+      ];
+
+      for (const recipient of recipients) {
+        await notificationService.createNotification({
+          userId: recipient.userId,
+          type: 'approval_request' as any,
+          title: step.type === 'coordination' ? 'Coordination Required' : 'Approval Required',
+          message: `You have a new ${request.entityType} ${kind} request${recipient.actingFor ? ` as acting approver for ${recipient.actingFor}` : ''}`,
+          entityType: request.entityType,
+          entityId: request.entityId,
+          priority: 'high' as any,
+        });
+      }
     }
   }
 }
@@ -0,0 +1,383 @@
+// BE-010: Approval step SLAs, reminders and automatic escalation
+// Steps with dueInDays get a due date when they start; the deadline sweep sends reminders as it
+// nears and hands overdue requests to the step's alternate or up the organization hierarchy.
+// On a parallel step each approver yet to respond is escalated in their own right.
+import {
+  ApprovalAction,
+  ApprovalEscalation,
+  ApprovalParticipant,
+  ApprovalRequest,
+  ApprovalStatus,
+  ApprovalStep,
+  ApprovalWorkflow,
+  NotificationPriority,
+  NotificationType,
+  Organization,
+  User,
+} from '../types';
+import { fiscalYear as fiscalYearRules } from '../domain/ppbe';
+import { dataStore } from './dataStore';
+import { notificationService } from './notificationService';
+import { federalCalendarService } from './federalCalendarService';
+import { getAssignedParticipants, getParticipantUserIds, getStepParticipants, tallyStep } from './approvalService';
+
+const DEADLINE_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const DEFAULT_REMINDER_DAYS_BEFORE = [1];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OPEN_STATUSES = [ApprovalStatus.PENDING, ApprovalStatus.IN_REVIEW];
+
+export interface DeadlineSweepResult {
+  reminders: { requestId: string; approverId: string; daysBefore: number; dueAt: Date }[];
+  escalations: (ApprovalEscalation & { requestId: string })[];
+  unresolved: { requestId: string; step: number; dueAt: Date; reason: string }[];
+}
+
+interface CycleTimeStats {
+  completed: number;
+  averageCycleHours: number | null;
+  maxCycleHours: number | null;
+  onTime: number;
+  late: number;
+  onTimeRate: number | null;
+}
+
+export class ApprovalSlaService {
+  private sweepTimer: NodeJS.Timeout | null = null;
+
+  // Due date for a step starting at the given time; undefined when the step has no SLA
+  getStepDueAt(step: ApprovalStep | undefined, startedAt: Date): Date | undefined {
+    if (!step?.dueInDays) {
+      return undefined;
+    }
+    if (step.dayBasis !== 'business') {
+      return new Date(startedAt.getTime() + step.dueInDays * DAY_MS);
+    }
+
+    // Business-day deadlines fall due at the same time of day the step started
+    const dueDay = fiscalYearRules.addBusinessDays(startedAt, step.dueInDays, federalCalendarService.getCalendarOptions());
+    dueDay.setHours(startedAt.getHours(), startedAt.getMinutes(), startedAt.getSeconds(), startedAt.getMilliseconds());
+    return dueDay;
+  }
+
+  // Fields that start the SLA clock for a request's current step
+  startStep(step: ApprovalStep | undefined, startedAt: Date = new Date()): Partial<ApprovalRequest> {
+    return {
+      stepStartedAt: startedAt,
+      stepDueAt: this.getStepDueAt(step, startedAt),
+      assignedApproverId: undefined,
+      assignedApprovers: undefined,
+      remindersSent: [],
+      escalationExhausted: undefined,
+    };
+  }
+
+  async processDeadlines(asOf: Date = new Date()): Promise<DeadlineSweepResult> {
+    const result: DeadlineSweepResult = { reminders: [], escalations: [], unresolved: [] };
+    const open = dataStore.findMany<ApprovalRequest>(
+      'approvalRequests',
+      r => OPEN_STATUSES.includes(r.status) && !!r.stepDueAt && !r.escalationExhausted
+    );
+
+    for (const request of open) {
+      const workflow = dataStore.findById<ApprovalWorkflow>('approvalWorkflows', request.workflowId);
+      const step = workflow?.steps[request.currentStep];
+      if (!workflow || !step) {
+        continue;
+      }
+
+      const dueAt = new Date(request.stepDueAt!);
+      if (asOf >= dueAt) {
+        await this.escalate(request, workflow, step, dueAt, asOf, result);
+      } else {
+        await this.remind(request, step, dueAt, asOf, result);
+      }
+    }
+
+    return result;
+  }
+
+  // Cycle time per workflow step and per approver for completed actions, with open requests by SLA state
+  async getDashboard(filters: { workflowId?: string; entityType?: string; from?: string; to?: string } = {}, asOf: Date = new Date()) {
+    const requests = dataStore.findMany<ApprovalRequest>(
+      'approvalRequests',
+      r => (!filters.workflowId || r.workflowId === filters.workflowId) &&
+        (!filters.entityType || r.entityType === filters.entityType)
+    );
+    const requestsById = new Map(requests.map(r => [r.id, r]));
+    const actions = dataStore.findMany<ApprovalAction>(
+      'approvalActions',
+      a => requestsById.has(a.requestId) && !!a.stepStartedAt && this.inPeriod(new Date(a.timestamp), filters)
+    );
+
+    const bySteps = new Map<string, ApprovalAction[]>();
+    const byApprovers = new Map<string, ApprovalAction[]>();
+    for (const action of actions) {
+      const stepKey = `${requestsById.get(action.requestId)!.workflowId}:${action.step}`;
+      bySteps.set(stepKey, [...(bySteps.get(stepKey) || []), action]);
+      byApprovers.set(action.approverId, [...(byApprovers.get(action.approverId) || []), action]);
+    }
+
+    const openRequests = requests.filter(r => OPEN_STATUSES.includes(r.status));
+    const escalations = requests.flatMap(r => r.escalations || []);
+
+    const byStep = [...bySteps.entries()].map(([key, stepActions]) => {
+      const [workflowId, step] = key.split(':');
+      const workflow = dataStore.findById<ApprovalWorkflow>('approvalWorkflows', workflowId);
+      const waiting = openRequests.filter(r => r.workflowId === workflowId && r.currentStep === Number(step));
+      return {
+        workflowId,
+        workflowName: workflow?.name,
+        step: Number(step),
+        approverRole: workflow?.steps[Number(step)]?.approverRole,
+        dueInDays: workflow?.steps[Number(step)]?.dueInDays,
+        ...this.summarize(stepActions),
+        open: waiting.length,
+        overdue: waiting.filter(r => r.stepDueAt && new Date(r.stepDueAt) <= asOf).length,
+      };
+    }).sort((a, b) => a.workflowId.localeCompare(b.workflowId) || a.step - b.step);
+
+    const byApprover = [...byApprovers.entries()].map(([approverId, approverActions]) => ({
+      approverId,
+      ...this.summarize(approverActions),
+      escalatedAway: escalations.filter(e => e.fromApproverId === approverId).length,
+      escalatedTo: escalations.filter(e => e.toApproverId === approverId).length,
+    })).sort((a, b) => a.approverId.localeCompare(b.approverId));
+
+    return {
+      asOf,
+      byStep,
+      byApprover,
+      open: {
+        total: openRequests.length,
+        withSla: openRequests.filter(r => r.stepDueAt).length,
+        overdue: openRequests.filter(r => r.stepDueAt && new Date(r.stepDueAt) <= asOf).length,
+        escalated: openRequests.filter(r => (r.escalations || []).some(e => e.step === r.currentStep)).length,
+      },
+    };
+  }
+
+  // Runs the deadline sweep now and then hourly; the timer does not keep the process alive
+  startDeadlineSchedule(intervalMs: number = DEADLINE_SWEEP_INTERVAL_MS): void {
+    this.stopDeadlineSchedule();
+
+    const sweep = () =>
+      this.processDeadlines().catch(error =>
+        console.error('[ApprovalSla] Deadline sweep failed:', error)
+      );
+
+    sweep();
+    this.sweepTimer = setInterval(sweep, intervalMs);
+    this.sweepTimer.unref();
+  }
+
+  stopDeadlineSchedule(): void {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  // Sends the nearest reminder whose window has opened; earlier windows are not sent late
+  private async remind(
+    request: ApprovalRequest,
+    step: ApprovalStep,
+    dueAt: Date,
+    asOf: Date,
+    result: DeadlineSweepResult
+  ): Promise<void> {
+    const sent = request.remindersSent || [];
+    const due = (step.reminderDaysBefore || DEFAULT_REMINDER_DAYS_BEFORE)
+      .filter(days => !sent.includes(days) && asOf.getTime() >= dueAt.getTime() - days * DAY_MS)
+      .sort((a, b) => a - b);
+
+    if (due.length === 0) {
+      return;
+    }
+
+    dataStore.update<ApprovalRequest>('approvalRequests', request.id, { remindersSent: [...sent, ...due] });
+
+    for (const approverId of this.getAwaitedApproverIds(request, step)) {
+      await notificationService.createNotification({
+        userId: approverId,
+        type: NotificationType.APPROVAL_REMINDER,
+        title: 'Approval Due Soon',
+        message: `A ${request.entityType} approval request is due ${dueAt.toISOString()}`,
+        entityType: request.entityType,
+        entityId: request.entityId,
+        priority: NotificationPriority.HIGH,
+      });
+      result.reminders.push({ requestId: request.id, approverId, daysBefore: due[0], dueAt });
+    }
+  }
+
+  // Users awaited on the current step: approvers yet to respond, or those they were escalated
+  // to, and the users in the role of a role-based approver
+  private getAwaitedApproverIds(request: ApprovalRequest, step: ApprovalStep): string[] {
+    const awaited = this.getAwaitedParticipants(request, step).map(({ participant }) => participant);
+    return [...new Set(awaited.flatMap(getParticipantUserIds))];
+  }
+
+  private getAwaitedParticipants(request: ApprovalRequest, step: ApprovalStep): { index: number; participant: ApprovalParticipant }[] {
+    const actions = dataStore.findMany<ApprovalAction>('approvalActions', a => a.requestId === request.id);
+    const tally = tallyStep(step, request.currentStep, actions);
+    return getAssignedParticipants(request, step)
+      .map((participant, index) => ({ index, participant }))
+      .filter(({ index }) => !tally.participants[index].response);
+  }
+
+  // Hands an overdue step to a new approver and restarts its SLA clock from now. Each approver on
+  // a parallel step who has not responded is handed on separately, to a different approver.
+  private async escalate(
+    request: ApprovalRequest,
+    workflow: ApprovalWorkflow,
+    step: ApprovalStep,
+    dueAt: Date,
+    asOf: Date,
+    result: DeadlineSweepResult
+  ): Promise<void> {
+    const parallel = !!step.approvers?.length;
+    const assigned = getAssignedParticipants(request, step);
+    const taken = new Set(assigned.map(p => p.approverId).filter((id): id is string => !!id));
+    const assignedApprovers = { ...(request.assignedApprovers || {}) };
+    const escalations: ApprovalEscalation[] = [];
+
+    for (const { index, participant } of this.getAwaitedParticipants(request, step)) {
+      const target = this.findEscalationTarget(request, step, index, participant, taken);
+      if (!target) {
+        continue;
+      }
+      taken.add(target.approverId);
+      assignedApprovers[index] = target.approverId;
+      escalations.push({
+        step: request.currentStep,
+        ...(parallel ? { participant: index } : {}),
+        fromApproverId: participant.approverId,
+        toApproverId: target.approverId,
+        route: target.route,
+        organizationId: target.organizationId,
+        overdueSince: dueAt,
+        escalatedAt: asOf,
+      });
+    }
+
+    if (escalations.length === 0) {
+      // Reported once; later sweeps skip the request until its next step starts
+      dataStore.update<ApprovalRequest>('approvalRequests', request.id, { escalationExhausted: true });
+      result.unresolved.push({
+        requestId: request.id,
+        step: request.currentStep,
+        dueAt,
+        reason: 'No alternate approver or higher-level approver is available',
+      });
+      return;
+    }
+
+    const updated = dataStore.update<ApprovalRequest>('approvalRequests', request.id, {
+      ...(parallel ? { assignedApprovers } : { assignedApproverId: escalations[0].toApproverId }),
+      stepDueAt: this.getStepDueAt(step, asOf),
+      remindersSent: [],
+      escalations: [...(request.escalations || []), ...escalations],
+    })!;
+
+    for (const escalation of escalations) {
+      await notificationService.createNotification({
+        userId: escalation.toApproverId,
+        type: NotificationType.APPROVAL_ESCALATED,
+        title: 'Overdue Approval Escalated',
+        message: `An overdue ${request.entityType} approval request (${workflow.name}, step ${request.currentStep + 1}) has been escalated to you`,
+        entityType: updated.entityType,
+        entityId: updated.entityId,
+        priority: NotificationPriority.URGENT,
+      });
+      if (escalation.fromApproverId) {
+        await notificationService.createNotification({
+          userId: escalation.fromApproverId,
+          type: NotificationType.APPROVAL_ESCALATED,
+          title: 'Approval Escalated',
+          message: `A ${request.entityType} approval request assigned to you was overdue and has been escalated`,
+          entityType: updated.entityType,
+          entityId: updated.entityId,
+          priority: NotificationPriority.MEDIUM,
+        });
+      }
+
+      result.escalations.push({ requestId: request.id, ...escalation });
+    }
+  }
+
+  // The approver's alternate first, unless already escalated to them; then the nearest parent
+  // organization with an active user in the approver's role. Nobody already awaited on the step
+  // is chosen, so parallel approvers stay distinct.
+  private findEscalationTarget(
+    request: ApprovalRequest,
+    step: ApprovalStep,
+    participantIndex: number,
+    participant: ApprovalParticipant,
+    taken: Set<string>
+  ): { approverId: string; route: ApprovalEscalation['route']; organizationId?: string } | undefined {
+    const original = getStepParticipants(step)[participantIndex];
+    const previous = new Set([
+      ...taken,
+      ...(original.approverId ? [original.approverId] : []),
+      ...(request.escalations || [])
+        .filter(e => e.step === request.currentStep && (e.participant ?? 0) === participantIndex)
+        .map(e => e.toApproverId),
+    ]);
+
+    const alternateApproverId = step.approvers?.length ? original.alternateApproverId : step.alternateApproverId;
+    if (alternateApproverId && !previous.has(alternateApproverId)) {
+      return { approverId: alternateApproverId, route: 'alternate' };
+    }
+
+    const role = original.approverRole || step.approverRole;
+    const from = participant.approverId ? dataStore.findById<User>('users', participant.approverId) : undefined;
+    const startOrganizationId = from?.organizationId || step.organizationId;
+    let organization = startOrganizationId
+      ? dataStore.findById<Organization>('organizations', startOrganizationId)
+      : undefined;
+    const visited = new Set<string>();
+
+    while (organization?.parentId && !visited.has(organization.id)) {
+      visited.add(organization.id);
+      const parentId: string = organization.parentId;
+      const approver = dataStore.findOne<User>(
+        'users',
+        u => u.active && u.organizationId === parentId && u.role === role && !previous.has(u.id)
+      );
+      if (approver) {
+        return { approverId: approver.id, route: 'organization', organizationId: parentId };
+      }
+      organization = dataStore.findById<Organization>('organizations', parentId);
+    }
+
+    return undefined;
+  }
+
+  private summarize(actions: ApprovalAction[]): CycleTimeStats {
+    const hours = actions.map(a => (new Date(a.timestamp).getTime() - new Date(a.stepStartedAt!).getTime()) / 3600000);
+    const withSla = actions.filter(a => a.stepDueAt);
+    const onTime = withSla.filter(a => new Date(a.timestamp) <= new Date(a.stepDueAt!)).length;
+    const round = (n: number) => Math.round(n * 100) / 100;
+
+    return {
+      completed: actions.length,
+      averageCycleHours: hours.length > 0 ? round(hours.reduce((sum, h) => sum + h, 0) / hours.length) : null,
+      maxCycleHours: hours.length > 0 ? round(Math.max(...hours)) : null,
+      onTime,
+      late: withSla.length - onTime,
+      onTimeRate: withSla.length > 0 ? round((onTime / withSla.length) * 100) : null,
+    };
+  }
+
+  private inPeriod(date: Date, filters: { from?: string; to?: string }): boolean {
+    const key = this.toDateKey(date);
+    return (!filters.from || key >= filters.from) && (!filters.to || key <= filters.to);
+  }
+
+  private toDateKey(date: Date): string {
+    const pad = (n: number) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+}
+
+export const approvalSlaService = new ApprovalSlaService();
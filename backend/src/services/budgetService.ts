@@ -1,9 +1,56 @@
 // BE-004: Budget Allocation API (complete CRUD)
 // BE-015: Budget Version Control/History
+// PPBE-008: Budget status driven by the BudgetWorkflow state machine, following the
+// workflow definition pinned when the budget was created
+// PPBE-017: Amounts restated in then-year, constant-year or base-year dollars
 import { v4 as uuidv4 } from 'uuid';
-import { Budget, BudgetStatus, BudgetVersion, ApprovalStatus } from '../types';
+import {
+  Budget,
+  BudgetStatus,
+  BudgetVersion,
+  ApprovalStatus,
+  ApprovalRequest,
+  ApprovalEntityType,
+  DollarBasis,
+  DollarBasisTarget,
+  WorkflowDefinition,
+} from '../types';
 import { dataStore } from './dataStore';
+import { approvalService } from './approvalService';
+import { inflationService, Restated } from './inflationService';
+import { workflowDefinitionService } from './workflowDefinitionService';
 import { AppError } from '../middleware/errorHandler';
+import { budgetWorkflow } from '../domain/ppbe';
+
+const { BudgetWorkflow } = budgetWorkflow;
+
+// BudgetStatus reported for each workflow state unless the definition sets one; anything
+// not listed is in review
+const STATE_STATUS: Record<string, BudgetStatus> = {
+  DRAFT: BudgetStatus.DRAFT,
+  APPROPRIATED: BudgetStatus.APPROVED,
+  EXECUTION: BudgetStatus.ACTIVE,
+  SUSPENDED: BudgetStatus.ACTIVE,
+  CLOSEOUT: BudgetStatus.ACTIVE,
+  CLOSED: BudgetStatus.CLOSED,
+  REJECTED: BudgetStatus.REJECTED,
+  CANCELLED: BudgetStatus.CLOSED,
+};
+
+export function statusForWorkflowState(state: string, definition?: WorkflowDefinition): BudgetStatus {
+  return definition?.states[state]?.status || STATE_STATUS[state] || BudgetStatus.SUBMITTED;
+}
+
+// Workflow state of a budget stored before workflows were tracked: the first state reporting its status
+function initialWorkflowState(status: BudgetStatus, definition: WorkflowDefinition): string {
+  if (status === BudgetStatus.DRAFT) {
+    return definition.initialState;
+  }
+  return Object.keys(definition.states).find(state => statusForWorkflowState(state, definition) === status)
+    || definition.initialState;
+}
+
+const BUDGET_AMOUNT_FIELDS: (keyof Budget)[] = ['amount', 'allocatedAmount', 'obligatedAmount', 'expendedAmount'];
 
 export class BudgetService {
   async createBudget(data: {
@@ -13,16 +60,26 @@ export class BudgetService {
     amount: number;
     department: string;
     organizationId?: string;
-    status?: BudgetStatus;
+    category?: string;
+    appropriationType?: string;
+    dollarBasis?: DollarBasis;
+    dollarYear?: number;
   }, createdBy: string): Promise<Budget> {
+    // New budgets always start as drafts; they only move on through workflow transitions
+    const definition = workflowDefinitionService.resolveDefinition(data);
+    const pinned = definition.key !== budgetWorkflow.DEFAULT_WORKFLOW_DEFINITION.key;
     const budget: Budget = {
       id: uuidv4(),
       ...data,
       allocatedAmount: 0,
       obligatedAmount: 0,
       expendedAmount: 0,
-      status: data.status || BudgetStatus.DRAFT,
+      status: BudgetStatus.DRAFT,
       approvalStatus: ApprovalStatus.PENDING,
+      workflowDefinitionId: pinned ? definition.id : undefined,
+      workflowDefinitionVersion: pinned ? definition.version : undefined,
+      workflowState: definition.initialState,
+      workflowHistory: [],
       version: 1,
       createdBy,
       createdAt: new Date(),
@@ -69,8 +126,31 @@ export class BudgetService {
     return budget;
   }
 
-  async updateBudget(id: string, updates: Partial<Budget>, updatedBy: string): Promise<Budget> {
+  // The stored budget is unchanged; amounts are converted for display only
+  async getBudgetInBasis(id: string, target: DollarBasisTarget): Promise<Restated<Budget>> {
     const budget = await this.getBudgetById(id);
+    return inflationService.restate(budget, BUDGET_AMOUNT_FIELDS, inflationService.getBudgetSource(budget), target);
+  }
+
+  async updateBudget(id: string, updates: Partial<Budget>, updatedBy: string): Promise<Budget> {
+    const { status, ...fields } = updates;
+    let budget = await this.getBudgetById(id);
+
+    // Status is owned by the workflow state machine
+    if (status && status !== budget.status) {
+      budget = await this.updateBudgetStatus(id, status, updatedBy);
+    }
+
+    return this.saveBudget(budget, fields, 'Budget updated', updatedBy);
+  }
+
+  private async saveBudget(
+    budget: Budget,
+    updates: Partial<Budget>,
+    changes: string,
+    updatedBy: string
+  ): Promise<Budget> {
+    const id = budget.id;
 
     const updatedBudget = dataStore.update<Budget>('budgets', id, {
       ...updates,
@@ -82,7 +162,7 @@ export class BudgetService {
     }
 
     // Create version history
-    await this.createVersion(id, updatedBudget, 'Budget updated', updatedBy);
+    await this.createVersion(id, updatedBudget, changes, updatedBy);
 
     return updatedBudget;
   }
@@ -118,8 +198,13 @@ export class BudgetService {
     const budgetVersion = await this.getBudgetVersion(budgetId, version);
     const budget = await this.getBudgetById(budgetId);
 
+    // Content is rolled back; workflow position is not, it only moves through transitions
     const rolledBackBudget = dataStore.update<Budget>('budgets', budgetId, {
       ...budgetVersion.data,
+      status: budget.status,
+      workflowState: budget.workflowState,
+      workflowHistory: budget.workflowHistory,
+      pendingTransition: budget.pendingTransition,
       version: budget.version + 1,
     });
 
@@ -137,8 +222,215 @@ export class BudgetService {
     return rolledBackBudget;
   }
 
+  // Resolves a legacy status change to the first allowed workflow transition that reports it
   async updateBudgetStatus(id: string, status: BudgetStatus, updatedBy: string): Promise<Budget> {
-    return this.updateBudget(id, { status }, updatedBy);
+    const budget = await this.getBudgetById(id);
+    const definition = workflowDefinitionService.getDefinitionForBudget(budget);
+    const workflow = this.createWorkflow(budget);
+    const allowed: string[] = workflow.getCurrentState()?.allowedTransitions || [];
+    const toState = allowed.find(state => statusForWorkflowState(state, definition) === status);
+
+    if (!toState) {
+      throw new AppError(
+        400,
+        `Status change from ${budget.status} to ${status} is not allowed from workflow state ${workflow.currentState}`,
+        [{ field: 'status', message: `Allowed workflow transitions: ${allowed.join(', ') || 'none'}` }]
+      );
+    }
+
+    const { budget: updated } = await this.transitionWorkflow(id, toState, {}, updatedBy);
+    return updated;
+  }
+
+  async getWorkflowStatus(id: string): Promise<{
+    budgetId: string;
+    definition: { key: string; version: number; name: string };
+    currentState: string;
+    state: any;
+    status: BudgetStatus;
+    progress: number;
+    allowedTransitions: string[];
+    pendingTransition?: Budget['pendingTransition'];
+    history: Budget['workflowHistory'];
+  }> {
+    const budget = await this.getBudgetById(id);
+    const { key, version, name } = workflowDefinitionService.getDefinitionForBudget(budget);
+    const workflow = this.createWorkflow(budget);
+    const state = workflow.getCurrentState();
+
+    return {
+      budgetId: budget.id,
+      definition: { key, version, name },
+      currentState: workflow.currentState,
+      state,
+      status: budget.status,
+      progress: Number(workflow.getProgress()),
+      allowedTransitions: state ? state.allowedTransitions : [],
+      pendingTransition: budget.pendingTransition,
+      history: workflow.history,
+    };
+  }
+
+  // Moves a budget through the PPBE workflow. Transitions into a state with an
+  // approvalLevel open an approval request instead and complete once it is approved.
+  async transitionWorkflow(
+    id: string,
+    toState: string,
+    options: { reason?: string; fields?: Record<string, any> },
+    userId: string
+  ): Promise<{ budget: Budget; approvalRequest?: ApprovalRequest }> {
+    let budget = await this.getBudgetById(id);
+
+    if (budget.pendingTransition) {
+      throw new AppError(
+        400,
+        `Transition to ${budget.pendingTransition.toState} is awaiting approval (request ${budget.pendingTransition.approvalRequestId})`
+      );
+    }
+
+    if (options.fields) {
+      budget = await this.saveBudget(
+        budget,
+        { workflowData: { ...budget.workflowData, ...options.fields } },
+        'Workflow data updated',
+        userId
+      );
+    }
+
+    const workflow = this.createWorkflow(budget);
+    const check: any = workflow.canTransition(toState);
+
+    if (!check.canTransition) {
+      throw new AppError(
+        400,
+        check.reason,
+        check.allowedTransitions
+          ? [{ field: 'toState', message: `Allowed transitions: ${check.allowedTransitions.join(', ') || 'none'}` }]
+          : undefined
+      );
+    }
+
+    const fieldCheck: any = workflow.validateRequiredFields(toState);
+    if (!fieldCheck.isValid) {
+      throw new AppError(
+        400,
+        'Missing required fields',
+        fieldCheck.errors.map((message: string) => ({ field: 'fields', message }))
+      );
+    }
+
+    const guardCheck: any = workflow.validateGuards(toState);
+    if (!guardCheck.isValid) {
+      throw new AppError(
+        400,
+        'Guard conditions not met',
+        guardCheck.errors.map((message: string) => ({ field: 'toState', message }))
+      );
+    }
+
+    if (check.requiresApproval) {
+      const approvalRequest = await this.openTransitionApproval(budget, toState, check.approvalLevel, options.reason, userId);
+      return { budget: await this.getBudgetById(id), approvalRequest };
+    }
+
+    return { budget: await this.applyTransition(budget, toState, { userId, reason: options.reason }) };
+  }
+
+  // Called by approvalService when a budget approval request reaches a final decision
+  async resolveTransitionApproval(request: ApprovalRequest, approved: boolean, approverId: string): Promise<void> {
+    const budget = dataStore.findById<Budget>('budgets', request.entityId);
+    if (!budget || budget.pendingTransition?.approvalRequestId !== request.id) {
+      return;
+    }
+
+    const pending = budget.pendingTransition;
+    const cleared = dataStore.update<Budget>('budgets', budget.id, { pendingTransition: undefined })!;
+
+    if (approved) {
+      await this.applyTransition(cleared, pending.toState, {
+        userId: pending.requestedBy,
+        approvedBy: approverId,
+        reason: pending.reason,
+        approvalRequestId: request.id,
+      });
+    }
+  }
+
+  private async openTransitionApproval(
+    budget: Budget,
+    toState: string,
+    approvalLevel: string,
+    reason: string | undefined,
+    userId: string
+  ): Promise<ApprovalRequest> {
+    const workflows = await approvalService.getWorkflows(ApprovalEntityType.BUDGET);
+    const workflow =
+      workflows.find(w => w.approvalLevel === approvalLevel) ||
+      workflows.find(w => !w.approvalLevel);
+
+    if (!workflow) {
+      throw new AppError(400, `No budget approval workflow configured for approval level ${approvalLevel}`);
+    }
+    const fromState = this.createWorkflow(budget).currentState;
+
+    const approvalRequest = await approvalService.createApprovalRequest({
+      workflowId: workflow.id,
+      entityType: ApprovalEntityType.BUDGET,
+      entityId: budget.id,
+      amount: budget.amount,
+      comments: `${fromState} -> ${toState} (${approvalLevel})${reason ? `: ${reason}` : ''}`,
+    }, userId);
+
+    dataStore.update<Budget>('budgets', budget.id, {
+      pendingTransition: {
+        fromState,
+        toState,
+        approvalLevel,
+        approvalRequestId: approvalRequest.id,
+        requestedBy: userId,
+        requestedAt: new Date(),
+        reason,
+      },
+    });
+
+    return approvalRequest;
+  }
+
+  private async applyTransition(
+    budget: Budget,
+    toState: string,
+    metadata: { userId: string; approvedBy?: string; reason?: string; approvalRequestId?: string }
+  ): Promise<Budget> {
+    const workflow = this.createWorkflow(budget);
+    const fromState = workflow.currentState;
+    const result: any = workflow.transition(toState, metadata);
+
+    if (!result.success) {
+      throw new AppError(400, result.error, result.errors);
+    }
+
+    return this.saveBudget(
+      budget,
+      {
+        workflowState: workflow.currentState,
+        workflowHistory: workflow.history,
+        status: statusForWorkflowState(workflow.currentState, workflowDefinitionService.getDefinitionForBudget(budget)),
+      },
+      `Workflow ${fromState} -> ${toState}`,
+      metadata.userId
+    );
+  }
+
+  private createWorkflow(budget: Budget) {
+    const definition = workflowDefinitionService.getDefinitionForBudget(budget);
+    return new BudgetWorkflow({
+      ...budget,
+      fiscalYear: budget.fiscalYearId,
+      justification: budget.description,
+      ...budget.workflowData,
+      state: budget.workflowState || initialWorkflowState(budget.status, definition),
+      history: [...(budget.workflowHistory || [])],
+    }, definition);
   }
 
   async getBudgetSummary(fiscalYearId: string): Promise<{
@@ -0,0 +1,231 @@
+// PPBE-009: Execution Phase Tracking
+// A commitment (purchase request or funding document) reserves funds against an appropriation
+// ahead of obligation. Obligations converted from it draw the reservation down; whatever is no
+// longer needed is released back to the appropriation.
+import { v4 as uuidv4 } from 'uuid';
+import {
+  Appropriation,
+  Commitment,
+  CommitmentBalance,
+  CommitmentStatus,
+  Obligation,
+  SodDuty,
+} from '../types';
+import { executionTracking as executionRules } from '../domain/ppbe';
+import { dataStore } from './dataStore';
+import { appropriationService } from './appropriationService';
+import { treasuryAccountService } from './treasuryAccountService';
+import { ledgerService } from './ledgerService';
+import { separationOfDutiesService } from './separationOfDutiesService';
+import { AppError } from '../middleware/errorHandler';
+
+export class CommitmentService {
+  async createCommitment(data: {
+    documentNumber: string;
+    description: string;
+    appropriationId: string;
+    budgetId: string;
+    fiscalYearId?: string;
+    organizationId?: string;
+    lineOfAccounting?: string;
+    commitmentDate?: Date | string;
+    amount: number;
+  }, createdBy: string): Promise<CommitmentBalance> {
+    separationOfDutiesService.assertAllowed(SodDuty.COMMITMENT_CREATE, data.budgetId, createdBy);
+    const appropriation = await appropriationService.getAppropriationById(data.appropriationId);
+    if (dataStore.findOne<Commitment>('commitments', c => c.documentNumber === data.documentNumber)) {
+      throw new AppError(409, `Commitment ${data.documentNumber} already exists`);
+    }
+
+    const commitmentDate = data.commitmentDate ? new Date(data.commitmentDate) : new Date();
+    if (commitmentDate > new Date(appropriation.expirationDate)) {
+      throw new AppError(400, 'Appropriation has expired');
+    }
+
+    const commitment: Commitment = {
+      id: uuidv4(),
+      documentNumber: data.documentNumber,
+      description: data.description,
+      appropriationId: appropriation.id,
+      fiscalYearId: data.fiscalYearId || appropriation.fiscalYearId,
+      budgetId: data.budgetId,
+      organizationId: data.organizationId,
+      commitmentDate,
+      amount: data.amount,
+      releasedAmount: 0,
+      releases: [],
+      status: CommitmentStatus.OPEN,
+      createdBy,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+    if (data.lineOfAccounting) {
+      commitment.lineOfAccounting = treasuryAccountService.resolveLineOfAccounting(data.lineOfAccounting, {
+        appropriation,
+        asOf: commitmentDate,
+      });
+    }
+    commitment.allotmentId = this.assertFundsAvailable(appropriation, commitment, data.amount);
+
+    dataStore.create<Commitment>('commitments', commitment);
+    await ledgerService.syncCommitment(commitment.id, createdBy);
+    return this.toBalance(commitment);
+  }
+
+  async getCommitments(filters?: {
+    appropriationId?: string;
+    fiscalYearId?: string;
+    organizationId?: string;
+    status?: CommitmentStatus;
+  }): Promise<CommitmentBalance[]> {
+    return dataStore
+      .findMany<Commitment>('commitments', c =>
+        (!filters?.appropriationId || c.appropriationId === filters.appropriationId) &&
+        (!filters?.fiscalYearId || c.fiscalYearId === filters.fiscalYearId) &&
+        (!filters?.organizationId || c.organizationId === filters.organizationId) &&
+        (!filters?.status || c.status === filters.status))
+      .sort((a, b) => b.commitmentDate.getTime() - a.commitmentDate.getTime())
+      .map(c => this.toBalance(c));
+  }
+
+  async getCommitment(id: string): Promise<CommitmentBalance> {
+    return this.toBalance(this.findCommitment(id));
+  }
+
+  // The amount may not fall below what has been obligated and released; an increase needs funds
+  async updateCommitment(id: string, changes: {
+    description?: string;
+    amount?: number;
+    lineOfAccounting?: string;
+  }, updatedBy?: string): Promise<CommitmentBalance> {
+    const commitment = this.findCommitment(id);
+    if (commitment.status === CommitmentStatus.CLOSED) {
+      throw new AppError(400, 'Commitment is closed');
+    }
+
+    const appropriation = await appropriationService.getAppropriationById(commitment.appropriationId);
+    const updates: Partial<Commitment> = {};
+    if (changes.description !== undefined) {
+      updates.description = changes.description;
+    }
+    if (changes.lineOfAccounting) {
+      updates.lineOfAccounting = treasuryAccountService.resolveLineOfAccounting(changes.lineOfAccounting, {
+        appropriation,
+        asOf: commitment.commitmentDate,
+      });
+    }
+    if (changes.amount !== undefined && changes.amount !== commitment.amount) {
+      separationOfDutiesService.assertAllowed(SodDuty.COMMITMENT_CREATE, commitment.budgetId, updatedBy);
+      const balance = this.toBalance(commitment);
+      const drawn = balance.obligatedAmount + commitment.releasedAmount;
+      if (changes.amount < drawn) {
+        throw new AppError(400, `Commitment amount cannot be less than the ${drawn} obligated and released against it`);
+      }
+      if (changes.amount > commitment.amount) {
+        updates.allotmentId = this.assertFundsAvailable(appropriation, commitment, changes.amount - drawn);
+      }
+      updates.amount = changes.amount;
+    }
+
+    const updated = dataStore.update<Commitment>('commitments', id, updates)!;
+    await ledgerService.syncCommitment(id, updatedBy);
+    return this.toBalance(updated);
+  }
+
+  // Releases part of the open balance, or all of it, which closes the commitment
+  async releaseCommitment(id: string, data: { amount?: number; reason: string }, releasedBy: string): Promise<CommitmentBalance> {
+    const commitment = this.findCommitment(id);
+    if (commitment.status === CommitmentStatus.CLOSED) {
+      throw new AppError(400, 'Commitment is closed');
+    }
+
+    const { openAmount } = this.toBalance(commitment);
+    const amount = data.amount ?? openAmount;
+    if (amount > openAmount) {
+      throw new AppError(400, `Release of ${amount} exceeds the open balance of ${openAmount}`);
+    }
+
+    const releasedAt = new Date();
+    const closes = amount === openAmount;
+    const updated = dataStore.update<Commitment>('commitments', id, {
+      releasedAmount: commitment.releasedAmount + amount,
+      releases: [...commitment.releases, { amount, reason: data.reason, releasedBy, releasedAt }],
+      status: closes ? CommitmentStatus.CLOSED : CommitmentStatus.OPEN,
+      closedAt: closes ? releasedAt : undefined,
+    })!;
+    await ledgerService.syncCommitment(id, releasedBy);
+    return this.toBalance(updated);
+  }
+
+  // An obligation converted from a commitment is funded from it: it takes the commitment's
+  // budget, appropriation, organization and line of accounting unless it gives its own
+  applyToObligation<T extends {
+    commitmentId?: string;
+    budgetId?: string;
+    fiscalYearId?: string;
+    appropriationId?: string;
+    organizationId?: string;
+    lineOfAccounting?: string;
+  }>(data: T): T {
+    if (!data.commitmentId) {
+      return data;
+    }
+
+    const commitment = this.findCommitment(data.commitmentId);
+    if (commitment.status === CommitmentStatus.CLOSED) {
+      throw new AppError(400, `Commitment ${commitment.documentNumber} is closed`);
+    }
+    if (data.appropriationId && data.appropriationId !== commitment.appropriationId) {
+      throw new AppError(400, 'Obligation must cite the appropriation of its commitment', [
+        { field: 'appropriationId', message: `Commitment ${commitment.documentNumber} reserves funds of another appropriation` },
+      ]);
+    }
+
+    return {
+      ...data,
+      budgetId: data.budgetId || commitment.budgetId,
+      fiscalYearId: data.fiscalYearId || commitment.fiscalYearId,
+      appropriationId: commitment.appropriationId,
+      organizationId: data.organizationId || commitment.organizationId,
+      lineOfAccounting: data.lineOfAccounting || commitment.lineOfAccounting?.value,
+    };
+  }
+
+  private findCommitment(id: string): Commitment {
+    const commitment = dataStore.findById<Commitment>('commitments', id);
+    if (!commitment) {
+      throw new AppError(404, 'Commitment not found');
+    }
+    return commitment;
+  }
+
+  // Checks the controlling funds control level, leaving out the commitment's own reservation;
+  // returns the allotment charged
+  private assertFundsAvailable(appropriation: Appropriation, commitment: Commitment, amount: number): string | undefined {
+    const fundsControl = appropriationService.getFundsControl(appropriation, {
+      organizationId: commitment.organizationId,
+      asOf: commitment.commitmentDate,
+      excludeCommitmentId: commitment.id,
+    });
+    const level = fundsControl.controllingLevel;
+    if (level && level.available < amount) {
+      throw new AppError(400, `Insufficient funds: ${amount} exceeds the ${level.available} available at ${level.name}`);
+    }
+    return fundsControl.allotment?.id;
+  }
+
+  // De-obligated obligations still count: the commitment was spent when they were converted
+  private toBalance(commitment: Commitment): CommitmentBalance {
+    const obligations = dataStore.findMany<Obligation>('obligations', o => o.commitmentId === commitment.id);
+    const balance: any = executionRules.calculateCommitmentBalance(commitment, obligations);
+
+    return {
+      ...commitment,
+      obligatedAmount: balance.obligated,
+      openAmount: balance.open,
+      obligationIds: obligations.map(o => o.id),
+    };
+  }
+}
+
+export const commitmentService = new CommitmentService();
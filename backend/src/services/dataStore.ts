@@ -1,12 +1,33 @@
-// In-memory data store (would be replaced with database in production)
+// In-memory data store, optionally backed by a persistence adapter (see infrastructure/persistence)
 import {
   User, Budget, BudgetLineItem, BudgetVersion, FiscalYear, ProgramElement,
-  Organization, ApprovalWorkflow, ApprovalRequest, ApprovalAction, AuditLog,
+  Organization, ApprovalWorkflow, ApprovalRequest, ApprovalAction, ApprovalDelegation, AuditLog,
   Document, Comment, Notification, Report, Obligation, Expenditure,
-  VarianceAnalysis, Appropriation, RefreshToken
+  VarianceAnalysis, Appropriation, Apportionment, Allotment, Reprogramming, PomSnapshot,
+  InflationIndexTable, FederalClosure, RulePack, WorkflowDefinition, WorkflowAssignment, SodPolicy, AdaCase,
+  UssglTransactionCode, LedgerTransaction, Commitment, UloReview, SpendPlan,
+  RefreshToken
 } from '../types';
+import { IPersistenceAdapter, InMemoryAdapter } from '../infrastructure/persistence/PersistenceAdapter';
+
+// Attempts per write before the store is marked unhealthy, and the wait before each retry
+const PERSIST_ATTEMPTS = 3;
+const PERSIST_RETRY_DELAY_MS = 100;
+
+export interface PersistenceStatus {
+  adapter: string;
+  healthy: boolean;
+  failedWrites: number;
+  lastError?: { collection: string; message: string; failedAt: Date };
+}
 
 export class DataStore {
+  private adapter: IPersistenceAdapter = new InMemoryAdapter();
+  private pending: Promise<void> = Promise.resolve();
+  private failedWrites = 0;
+  private lastWriteError?: PersistenceStatus['lastError'];
+
+
   private users: User[] = [];
   private budgets: Budget[] = [];
   private budgetLineItems: BudgetLineItem[] = [];
@@ -17,6 +38,7 @@ export class DataStore {
   private approvalWorkflows: ApprovalWorkflow[] = [];
   private approvalRequests: ApprovalRequest[] = [];
   private approvalActions: ApprovalAction[] = [];
+  private approvalDelegations: ApprovalDelegation[] = [];
   private auditLogs: AuditLog[] = [];
   private documents: Document[] = [];
   private comments: Comment[] = [];
@@ -26,6 +48,22 @@ export class DataStore {
   private expenditures: Expenditure[] = [];
   private varianceAnalyses: VarianceAnalysis[] = [];
   private appropriations: Appropriation[] = [];
+  private apportionments: Apportionment[] = [];
+  private allotments: Allotment[] = [];
+  private reprogrammings: Reprogramming[] = [];
+  private pomSnapshots: PomSnapshot[] = [];
+  private inflationIndices: InflationIndexTable[] = [];
+  private federalClosures: FederalClosure[] = [];
+  private rulePacks: RulePack[] = [];
+  private workflowDefinitions: WorkflowDefinition[] = [];
+  private workflowAssignments: WorkflowAssignment[] = [];
+  private sodPolicies: SodPolicy[] = [];
+  private adaCases: AdaCase[] = [];
+  private ussglTransactionCodes: UssglTransactionCode[] = [];
+  private ledgerTransactions: LedgerTransaction[] = [];
+  private commitments: Commitment[] = [];
+  private uloReviews: UloReview[] = [];
+  private spendPlans: SpendPlan[] = [];
   private refreshTokens: RefreshToken[] = [];
   
   // Application tracking collections
@@ -34,9 +72,72 @@ export class DataStore {
   private applicationComments: any[] = [];
   private fundDisbursements: any[] = [];
 
+  // Persistence: collections stay in memory for synchronous reads; the
+  // adapter loads them at startup and every write is forwarded to it in order
+  async initialize(adapter: IPersistenceAdapter): Promise<void> {
+    await this.flush();
+    await this.adapter.disconnect();
+
+    await adapter.connect();
+    for (const collection of this.getCollections()) {
+      (this as any)[collection] = await adapter.load(collection);
+    }
+    this.adapter = adapter;
+    this.failedWrites = 0;
+    this.lastWriteError = undefined;
+    console.log(`[DataStore] Using ${adapter.name} persistence`);
+  }
+
+  getCollections(): string[] {
+    return Object.keys(this).filter(key => Array.isArray((this as any)[key]));
+  }
+
+  // Resolves once all queued writes have reached the adapter
+  flush(): Promise<void> {
+    return this.pending;
+  }
+
+  async close(): Promise<void> {
+    await this.flush();
+    await this.adapter.disconnect();
+    this.adapter = new InMemoryAdapter();
+  }
+
+  // A write that still fails after its retries leaves memory ahead of the adapter: the store
+  // stays unhealthy until it is reinitialized, and persistenceGuard fails the requests it serves
+  getPersistenceStatus(): PersistenceStatus {
+    return {
+      adapter: this.adapter.name,
+      healthy: this.failedWrites === 0,
+      failedWrites: this.failedWrites,
+      lastError: this.lastWriteError,
+    };
+  }
+
+  private persist(collection: string, operation: (adapter: IPersistenceAdapter) => Promise<void>): void {
+    const adapter = this.adapter;
+    this.pending = this.pending.then(async () => {
+      for (let attempt = 1; attempt <= PERSIST_ATTEMPTS; attempt++) {
+        try {
+          await operation(adapter);
+          return;
+        } catch (error) {
+          if (attempt === PERSIST_ATTEMPTS) {
+            this.failedWrites++;
+            this.lastWriteError = { collection, message: (error as Error).message, failedAt: new Date() };
+            console.error(`[DataStore] ${adapter.name} persistence write to ${collection} failed:`, error);
+            return;
+          }
+          await new Promise(resolve => setTimeout(resolve, PERSIST_RETRY_DELAY_MS * attempt));
+        }
+      }
+    });
+  }
+
   // Generic CRUD operations
   create<T extends { id: string }>(collection: string, item: T): T {
     (this as any)[collection].push(item);
+    this.persist(collection, adapter => adapter.save(collection, item));
     return item;
   }
 
@@ -66,7 +167,9 @@ export class DataStore {
       updatedAt: new Date(),
     };
 
-    return (this as any)[collection][index];
+    const updated = (this as any)[collection][index];
+    this.persist(collection, adapter => adapter.save(collection, updated));
+    return updated;
   }
 
   delete<T extends { id: string }>(collection: string, id: string): boolean {
@@ -74,6 +177,7 @@ export class DataStore {
     if (index === -1) return false;
 
     (this as any)[collection].splice(index, 1);
+    this.persist(collection, adapter => adapter.delete(collection, id));
     return true;
   }
 
@@ -94,15 +198,20 @@ export class DataStore {
   deleteRefreshToken(token: string): boolean {
     const index = this.refreshTokens.findIndex(t => t.token === token);
     if (index === -1) return false;
-    this.refreshTokens.splice(index, 1);
+    const [removed] = this.refreshTokens.splice(index, 1);
+    this.persist('refreshTokens', adapter => adapter.delete('refreshTokens', removed.id));
     return true;
   }
 
   deleteUserRefreshTokens(userId: string): void {
+    const removed = this.refreshTokens.filter(t => t.userId === userId);
     this.refreshTokens = this.refreshTokens.filter(t => t.userId !== userId);
+    for (const token of removed) {
+      this.persist('refreshTokens', adapter => adapter.delete('refreshTokens', token.id));
+    }
   }
 
-  // Clear all data (for testing)
+  // Clear all data in memory (for testing and seeding); persisted rows are left alone
   clear(): void {
     this.users = [];
     this.budgets = [];
@@ -114,6 +223,7 @@ export class DataStore {
     this.approvalWorkflows = [];
     this.approvalRequests = [];
     this.approvalActions = [];
+    this.approvalDelegations = [];
     this.auditLogs = [];
     this.documents = [];
     this.comments = [];
@@ -123,6 +233,22 @@ export class DataStore {
     this.expenditures = [];
     this.varianceAnalyses = [];
     this.appropriations = [];
+    this.apportionments = [];
+    this.allotments = [];
+    this.reprogrammings = [];
+    this.pomSnapshots = [];
+    this.inflationIndices = [];
+    this.federalClosures = [];
+    this.rulePacks = [];
+    this.workflowDefinitions = [];
+    this.workflowAssignments = [];
+    this.sodPolicies = [];
+    this.adaCases = [];
+    this.ussglTransactionCodes = [];
+    this.ledgerTransactions = [];
+    this.commitments = [];
+    this.uloReviews = [];
+    this.spendPlans = [];
     this.refreshTokens = [];
     this.applications = [];
     this.applicationStatusHistory = [];
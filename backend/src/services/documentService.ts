@@ -1,6 +1,6 @@
 // BE-012: Document Upload/Attachment Service
 import { v4 as uuidv4 } from 'uuid';
-import { Document } from '../types';
+import { AdaCase, Document } from '../types';
 import { dataStore } from './dataStore';
 import { AppError } from '../middleware/errorHandler';
 
@@ -42,6 +42,12 @@ export class DocumentService {
   }
 
   async deleteDocument(id: string): Promise<void> {
+    // Evidence in an ADA case stays part of the case record
+    const adaCase = dataStore.findMany<AdaCase>('adaCases', c => c.evidence.some(e => e.documentId === id))[0];
+    if (adaCase) {
+      throw new AppError(409, `Document is evidence in ADA case ${adaCase.caseNumber}`);
+    }
+
     const success = dataStore.delete<Document>('documents', id);
     if (!success) {
       throw new AppError(404, 'Document not found');
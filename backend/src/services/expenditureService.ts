@@ -1,7 +1,12 @@
 // BE-020: Expenditure Tracking API
+// PPBE-020: Expenditures carry a line of accounting citing their obligation's Treasury account
 import { v4 as uuidv4 } from 'uuid';
-import { Expenditure, ExpenditureStatus } from '../types';
+import { Appropriation, Expenditure, ExpenditureStatus, LineOfAccounting, Obligation, SodDuty } from '../types';
 import { dataStore } from './dataStore';
+import { appropriationLifecycleService } from './appropriationLifecycleService';
+import { separationOfDutiesService } from './separationOfDutiesService';
+import { ledgerService } from './ledgerService';
+import { treasuryAccountService } from './treasuryAccountService';
 import { AppError } from '../middleware/errorHandler';
 
 export class ExpenditureService {
@@ -16,10 +21,20 @@ export class ExpenditureService {
     invoiceNumber?: string;
     paymentDate: Date | string;
     fiscalYearId: string;
+    lineOfAccounting?: string;
   }, createdBy: string): Promise<Expenditure> {
+    const budgetId = this.resolveBudgetId(data.obligationId, data.budgetId) || data.budgetId;
+    separationOfDutiesService.assertAllowed(SodDuty.EXPENDITURE_CREATE, budgetId, createdBy);
+    if (data.obligationId) {
+      appropriationLifecycleService.assertLiquidationAllowed(data.obligationId, new Date(data.paymentDate));
+    }
+
+    const { lineOfAccounting, ...fields } = data;
     const expenditure: Expenditure = {
       id: uuidv4(),
-      ...data,
+      ...fields,
+      budgetId,
+      lineOfAccounting: this.resolveLineOfAccounting(data.obligationId, lineOfAccounting, data.paymentDate),
       paymentDate: new Date(data.paymentDate),
       status: ExpenditureStatus.PAID,
       createdBy,
@@ -27,7 +42,9 @@ export class ExpenditureService {
       updatedAt: new Date(),
     };
 
-    return dataStore.create<Expenditure>('expenditures', expenditure);
+    const created = dataStore.create<Expenditure>('expenditures', expenditure);
+    await this.syncLedger(created, createdBy);
+    return created;
   }
 
   async getAllExpenditures(filters?: {
@@ -66,23 +83,48 @@ export class ExpenditureService {
     return expenditure;
   }
 
-  async updateExpenditure(id: string, updates: Partial<Expenditure>): Promise<Expenditure> {
+  async updateExpenditure(
+    id: string,
+    changes: Partial<Omit<Expenditure, 'lineOfAccounting'>> & { lineOfAccounting?: string },
+    updatedBy?: string
+  ): Promise<Expenditure> {
+    const existing = await this.getExpenditureById(id);
+    const { lineOfAccounting, ...fields } = changes;
+    const updates: Partial<Expenditure> = fields;
+    const obligationId = updates.obligationId !== undefined ? updates.obligationId : existing.obligationId;
+    const budgetId = this.resolveBudgetId(obligationId, updates.budgetId);
+    if (budgetId) {
+      updates.budgetId = budgetId;
+    }
+    separationOfDutiesService.assertAllowed(SodDuty.EXPENDITURE_CREATE, updates.budgetId || existing.budgetId, updatedBy);
+    if (updatedBy) {
+      updates.updatedBy = updatedBy;
+    }
     if (updates.paymentDate) {
       updates.paymentDate = new Date(updates.paymentDate);
     }
+    const paymentDate = updates.paymentDate || existing.paymentDate;
+
+    // Moving a payment to another date or obligation must still find the account open
+    if (obligationId && (obligationId !== existing.obligationId || paymentDate.getTime() !== existing.paymentDate.getTime())) {
+      appropriationLifecycleService.assertLiquidationAllowed(obligationId, paymentDate);
+    }
+    if (lineOfAccounting) {
+      updates.lineOfAccounting = this.resolveLineOfAccounting(obligationId, lineOfAccounting, paymentDate);
+    }
 
     const updatedExpenditure = dataStore.update<Expenditure>('expenditures', id, updates);
     if (!updatedExpenditure) {
       throw new AppError(404, 'Expenditure not found');
     }
+    await this.syncLedger(updatedExpenditure, updatedBy);
     return updatedExpenditure;
   }
 
   async deleteExpenditure(id: string): Promise<void> {
-    const success = dataStore.delete<Expenditure>('expenditures', id);
-    if (!success) {
-      throw new AppError(404, 'Expenditure not found');
-    }
+    const expenditure = await this.getExpenditureById(id);
+    dataStore.delete<Expenditure>('expenditures', id);
+    await this.syncLedger(expenditure);
   }
 
   async getExpenditureSummary(fiscalYearId: string): Promise<{
@@ -122,6 +164,62 @@ export class ExpenditureService {
 
     return summary;
   }
+
+  // A payment against an obligation belongs to the obligation's budget; a different budget
+  // given with it is refused rather than trusted
+  private resolveBudgetId(obligationId: string | undefined, budgetId: string | undefined): string | undefined {
+    if (!obligationId) {
+      return undefined;
+    }
+    const obligation = dataStore.findById<Obligation>('obligations', obligationId);
+    if (!obligation) {
+      throw new AppError(404, 'Obligation not found');
+    }
+    if (budgetId && budgetId !== obligation.budgetId) {
+      throw new AppError(400, 'Expenditure must cite the budget of its obligation', [
+        { field: 'budgetId', message: `Obligation ${obligation.documentNumber} is funded by another budget` },
+      ]);
+    }
+    return obligation.budgetId;
+  }
+
+  // A payment cites its obligation's Treasury account; without an LOA of its own it takes the obligation's
+  private resolveLineOfAccounting(
+    obligationId: string | undefined,
+    value: string | undefined,
+    paymentDate: Date | string
+  ): LineOfAccounting | undefined {
+    const obligation = obligationId ? dataStore.findById<Obligation>('obligations', obligationId) : undefined;
+    if (!value) {
+      return obligation?.lineOfAccounting;
+    }
+
+    const appropriation = obligation?.appropriationId
+      ? dataStore.findById<Appropriation>('appropriations', obligation.appropriationId)
+      : null;
+    const loa = treasuryAccountService.resolveLineOfAccounting(value, {
+      appropriation,
+      typeCode: obligation?.appropriationType,
+      asOf: paymentDate,
+    });
+
+    const obligated = obligation?.lineOfAccounting?.treasuryAccountSymbol.symbol;
+    if (obligated && obligated !== loa.treasuryAccountSymbol.symbol) {
+      throw new AppError(400, 'Line of accounting does not match the obligation', [{
+        field: 'lineOfAccounting',
+        message: `Line of accounting cites ${loa.treasuryAccountSymbol.symbol}; obligation ${obligation!.documentNumber} cites ${obligated}`,
+      }]);
+    }
+    return loa;
+  }
+
+  // A payment also changes what a deobligated or cancelled obligation still holds
+  private async syncLedger(expenditure: Expenditure, postedBy?: string): Promise<void> {
+    await ledgerService.syncExpenditure(expenditure.id, postedBy);
+    if (expenditure.obligationId) {
+      await ledgerService.syncObligation(expenditure.obligationId, postedBy);
+    }
+  }
 }
 
 export const expenditureService = new ExpenditureService();
@@ -0,0 +1,115 @@
+// PPBE-001: Federal holiday calendar and business days
+// Legal public holidays are computed; ad-hoc closures (e.g. executive orders) are recorded here
+import { v4 as uuidv4 } from 'uuid';
+import { FederalClosure } from '../types';
+import { fiscalYear as fiscalYearRules } from '../domain/ppbe';
+import { dataStore } from './dataStore';
+import { AppError } from '../middleware/errorHandler';
+
+export interface CalendarOptions {
+  closures: { date: string; name: string; authority?: string }[];
+}
+
+export class FederalCalendarService {
+  async createClosure(data: { date: string; name: string; authority?: string }, createdBy: string): Promise<FederalClosure> {
+    if (dataStore.findOne<FederalClosure>('federalClosures', c => c.date === data.date)) {
+      throw new AppError(409, `A closure is already recorded for ${data.date}`);
+    }
+
+    const closure: FederalClosure = {
+      id: uuidv4(),
+      ...data,
+      createdBy,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    return dataStore.create<FederalClosure>('federalClosures', closure);
+  }
+
+  async getClosures(filters?: { year?: number }): Promise<FederalClosure[]> {
+    let closures = dataStore.findAll<FederalClosure>('federalClosures');
+
+    if (filters?.year !== undefined) {
+      closures = closures.filter(c => c.date.startsWith(`${filters.year}-`));
+    }
+
+    return closures.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  async deleteClosure(id: string): Promise<void> {
+    const success = dataStore.delete<FederalClosure>('federalClosures', id);
+    if (!success) {
+      throw new AppError(404, 'Federal closure not found');
+    }
+  }
+
+  // Options for the domain business-day functions, carrying the recorded closures
+  getCalendarOptions(): CalendarOptions {
+    return {
+      closures: dataStore.findAll<FederalClosure>('federalClosures').map(({ date, name, authority }) => ({
+        date,
+        name,
+        authority,
+      })),
+    };
+  }
+
+  // Holidays for a calendar year, or for the October-September span of a fiscal year
+  getHolidays(params: { year?: number; fiscalYear?: number }) {
+    const options = this.getCalendarOptions();
+
+    if (params.fiscalYear !== undefined) {
+      const start = this.toDateKey(fiscalYearRules.getFiscalYearStartDate(params.fiscalYear));
+      const end = this.toDateKey(fiscalYearRules.getFiscalYearEndDate(params.fiscalYear));
+      const holidays: any[] = [
+        ...fiscalYearRules.getFederalHolidays(params.fiscalYear - 1, options),
+        ...fiscalYearRules.getFederalHolidays(params.fiscalYear, options),
+      ];
+      return holidays.filter(h => h.date >= start && h.date <= end);
+    }
+
+    return fiscalYearRules.getFederalHolidays(params.year ?? new Date().getFullYear(), options);
+  }
+
+  countBusinessDays(start: string, end: string) {
+    const options = this.getCalendarOptions();
+    return {
+      start,
+      end,
+      businessDays: fiscalYearRules.countBusinessDays(start, end, options),
+      holidays: this.holidaysBetween(start, end),
+    };
+  }
+
+  addBusinessDays(date: string, days: number) {
+    const result = fiscalYearRules.addBusinessDays(date, days, this.getCalendarOptions());
+    return { date, days, result: this.toDateKey(result) };
+  }
+
+  getPromptPaymentDueDate(invoiceReceivedDate: string, paymentTermsDays?: number) {
+    return fiscalYearRules.getPromptPaymentDueDate(invoiceReceivedDate, {
+      ...this.getCalendarOptions(),
+      paymentTermsDays,
+    });
+  }
+
+  private holidaysBetween(start: string, end: string) {
+    const [from, to] = start <= end ? [start, end] : [end, start];
+    const years = Array.from(
+      { length: Number(to.slice(0, 4)) - Number(from.slice(0, 4)) + 1 },
+      (_, i) => Number(from.slice(0, 4)) + i
+    );
+    const options = this.getCalendarOptions();
+    return years
+      .flatMap((year): any[] => fiscalYearRules.getFederalHolidays(year, options))
+      .filter(h => h.date > from && h.date <= to);
+  }
+
+  private toDateKey(date: Date): string {
+    const pad = (n: number) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+}
+
+export const federalCalendarService = new FederalCalendarService();
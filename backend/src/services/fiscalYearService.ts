@@ -1,6 +1,8 @@
 // BE-006: Fiscal Year Management API
+// PPBE-011: Continuing Resolution periods
 import { v4 as uuidv4 } from 'uuid';
-import { FiscalYear, FiscalYearStatus } from '../types';
+import { FiscalYear, FiscalYearStatus, ContinuingResolution, ContinuingResolutionAnomaly } from '../types';
+import { continuingResolution as crRules } from '../domain/ppbe';
 import { dataStore } from './dataStore';
 import { AppError } from '../middleware/errorHandler';
 
@@ -108,6 +110,113 @@ export class FiscalYearService {
 
     return this.updateFiscalYear(id, { status: FiscalYearStatus.CURRENT });
   }
+
+  async getContinuingResolutions(fiscalYearId: string): Promise<ContinuingResolution[]> {
+    const fiscalYear = await this.getFiscalYearById(fiscalYearId);
+    return [...(fiscalYear.continuingResolutions || [])]
+      .sort((a, b) => new Date(a.startDate).getTime() - new Date(b.startDate).getTime());
+  }
+
+  async addContinuingResolution(fiscalYearId: string, data: {
+    name: string;
+    startDate: Date | string;
+    endDate: Date | string;
+    rate?: number;
+    noNewStarts?: boolean;
+    anomalies?: ContinuingResolutionAnomaly[];
+  }, createdBy?: string): Promise<ContinuingResolution> {
+    const fiscalYear = await this.getFiscalYearById(fiscalYearId);
+
+    const continuingResolution: ContinuingResolution = {
+      id: uuidv4(),
+      name: data.name,
+      startDate: new Date(data.startDate),
+      endDate: new Date(data.endDate),
+      rate: data.rate ?? crRules.STANDARD_CR_RATE,
+      noNewStarts: data.noNewStarts ?? true,
+      anomalies: data.anomalies || [],
+      createdBy,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    const existing = fiscalYear.continuingResolutions || [];
+    this.assertValidPeriod(fiscalYear, continuingResolution, existing);
+
+    dataStore.update<FiscalYear>('fiscalYears', fiscalYearId, {
+      continuingResolutions: [...existing, continuingResolution],
+    });
+    return continuingResolution;
+  }
+
+  async updateContinuingResolution(
+    fiscalYearId: string,
+    crId: string,
+    updates: Partial<Omit<ContinuingResolution, 'startDate' | 'endDate'>> & {
+      startDate?: Date | string;
+      endDate?: Date | string;
+    }
+  ): Promise<ContinuingResolution> {
+    const fiscalYear = await this.getFiscalYearById(fiscalYearId);
+    const existing = fiscalYear.continuingResolutions || [];
+    const current = existing.find(cr => cr.id === crId);
+    if (!current) {
+      throw new AppError(404, 'Continuing resolution not found');
+    }
+
+    const updated: ContinuingResolution = {
+      ...current,
+      ...updates,
+      id: current.id,
+      startDate: new Date(updates.startDate ?? current.startDate),
+      endDate: new Date(updates.endDate ?? current.endDate),
+      updatedAt: new Date(),
+    };
+
+    const others = existing.filter(cr => cr.id !== crId);
+    this.assertValidPeriod(fiscalYear, updated, others);
+
+    dataStore.update<FiscalYear>('fiscalYears', fiscalYearId, {
+      continuingResolutions: [...others, updated],
+    });
+    return updated;
+  }
+
+  async removeContinuingResolution(fiscalYearId: string, crId: string): Promise<void> {
+    const fiscalYear = await this.getFiscalYearById(fiscalYearId);
+    const existing = fiscalYear.continuingResolutions || [];
+    if (!existing.some(cr => cr.id === crId)) {
+      throw new AppError(404, 'Continuing resolution not found');
+    }
+
+    dataStore.update<FiscalYear>('fiscalYears', fiscalYearId, {
+      continuingResolutions: existing.filter(cr => cr.id !== crId),
+    });
+  }
+
+  // CR periods must fall inside the fiscal year and may not overlap one another
+  private assertValidPeriod(
+    fiscalYear: FiscalYear,
+    continuingResolution: ContinuingResolution,
+    others: ContinuingResolution[]
+  ): void {
+    const { startDate, endDate } = continuingResolution;
+
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime()) || endDate < startDate) {
+      throw new AppError(400, 'Continuing resolution end date must be on or after its start date');
+    }
+
+    if (startDate < new Date(fiscalYear.startDate) || endDate > new Date(fiscalYear.endDate)) {
+      throw new AppError(400, `Continuing resolution must fall within ${fiscalYear.name}`);
+    }
+
+    const overlapping = others.find(cr =>
+      startDate <= new Date(cr.endDate) && new Date(cr.startDate) <= endDate
+    );
+    if (overlapping) {
+      throw new AppError(400, `Continuing resolution overlaps ${overlapping.name}`);
+    }
+  }
 }
 
 export const fiscalYearService = new FiscalYearService();
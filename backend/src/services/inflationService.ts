@@ -0,0 +1,210 @@
+// PPBE-017: Inflation index tables and then-year / constant-year / base-year conversion
+import { v4 as uuidv4 } from 'uuid';
+import {
+  Budget,
+  DollarBasis,
+  DollarBasisTarget,
+  DollarConversion,
+  FiscalYear,
+  FydpResource,
+  InflationIndexTable,
+} from '../types';
+import { inflation as inflationRules } from '../domain/ppbe';
+import { dataStore } from './dataStore';
+import { AppError } from '../middleware/errorHandler';
+
+// Where an amount comes from: the appropriation type selects the index table
+export interface DollarSource {
+  appropriationType?: string;
+  fiscalYear: number;
+  basis?: DollarBasis;
+  year?: number;
+}
+
+export interface DollarProjection {
+  budgetYear: number;
+  resources: FydpResource[];
+  dollarBasis?: DollarBasis;
+  dollarYear?: number;
+}
+
+export type Restated<T> = T & { dollarBasis: DollarBasis; dollarYear?: number; conversion: DollarConversion };
+
+export class InflationService {
+  async createIndexTable(data: {
+    name: string;
+    appropriationType: string;
+    baseYear: number;
+    indices?: Record<string, number>;
+    rates?: Record<string, number>;
+    source?: string;
+  }, createdBy: string): Promise<InflationIndexTable> {
+    const { rates, ...fields } = data;
+    const indices: Record<string, number> =
+      data.indices || (inflationRules.buildIndicesFromRates(data.baseYear, rates || {}) as any);
+
+    const validation: any = inflationRules.validateIndexTable({ ...fields, indices });
+    if (!validation.isValid) {
+      throw new AppError(400, 'Invalid inflation index table', validation.errors);
+    }
+
+    const table: InflationIndexTable = {
+      id: uuidv4(),
+      ...fields,
+      indices,
+      createdBy,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    return dataStore.create<InflationIndexTable>('inflationIndices', table);
+  }
+
+  async getIndexTables(filters?: { appropriationType?: string }): Promise<InflationIndexTable[]> {
+    let tables = dataStore.findAll<InflationIndexTable>('inflationIndices');
+
+    if (filters?.appropriationType) {
+      tables = tables.filter(t => t.appropriationType === filters.appropriationType);
+    }
+
+    return tables;
+  }
+
+  async getIndexTableById(id: string): Promise<InflationIndexTable> {
+    const table = dataStore.findById<InflationIndexTable>('inflationIndices', id);
+    if (!table) {
+      throw new AppError(404, 'Inflation index table not found');
+    }
+    return table;
+  }
+
+  async deleteIndexTable(id: string): Promise<void> {
+    const success = dataStore.delete<InflationIndexTable>('inflationIndices', id);
+    if (!success) {
+      throw new AppError(404, 'Inflation index table not found');
+    }
+  }
+
+  // The most recently loaded table supersedes earlier ones for its appropriation type
+  getCurrentTable(appropriationType?: string): InflationIndexTable | null {
+    if (!appropriationType) {
+      return null;
+    }
+    const tables = dataStore.findMany<InflationIndexTable>(
+      'inflationIndices',
+      t => t.appropriationType === appropriationType
+    );
+    return tables.length > 0 ? tables[tables.length - 1] : null;
+  }
+
+  async convert(data: {
+    amount: number;
+    appropriationType: string;
+    fiscalYear: number;
+    from?: DollarBasisTarget;
+    to: DollarBasisTarget;
+  }): Promise<{ amount: number; conversion: DollarConversion }> {
+    const conversion = this.getConversion(
+      { appropriationType: data.appropriationType, fiscalYear: data.fiscalYear, ...this.basisFields(data.from) },
+      data.to
+    );
+    return { amount: this.apply(data.amount, conversion), conversion };
+  }
+
+  getConversion(source: DollarSource, target: DollarBasisTarget): DollarConversion {
+    const table = this.getCurrentTable(source.appropriationType);
+    const result: any = inflationRules.convertAmount({
+      amount: 1,
+      fiscalYear: source.fiscalYear,
+      from: { basis: source.basis, year: source.year },
+      to: target,
+      table,
+    });
+
+    if (!result.isValid) {
+      const errors = table || !source.appropriationType
+        ? result.errors
+        : [...result.errors, `No inflation index table is loaded for ${source.appropriationType}`];
+      throw new AppError(400, `Cannot convert to ${inflationRules.describeBasis(target)}`, errors);
+    }
+
+    return {
+      from: result.from,
+      to: result.to,
+      factor: result.factor,
+      indexTableId: table?.id,
+      label: inflationRules.describeBasis(result.to),
+    };
+  }
+
+  // Restates the amount fields of a record; the stored record is not changed
+  restate<T extends object>(
+    record: T,
+    fields: (keyof T)[],
+    source: DollarSource,
+    target: DollarBasisTarget
+  ): Restated<T> {
+    const conversion = this.getConversion(source, target);
+    const restated: any = { ...record };
+
+    for (const field of fields) {
+      if (typeof restated[field] === 'number') {
+        restated[field] = this.apply(restated[field], conversion);
+      }
+    }
+
+    return {
+      ...restated,
+      dollarBasis: conversion.to.basis,
+      dollarYear: conversion.to.basis === DollarBasis.CONSTANT_YEAR ? conversion.to.year : undefined,
+      conversion,
+    };
+  }
+
+  // Converts each resource line at its own fiscal year and appropriation type
+  restateProjection<T extends DollarProjection>(projection: T, target: DollarBasisTarget): T {
+    const resources = projection.resources.map(resource => {
+      const conversion = this.getConversion(
+        {
+          appropriationType: resource.appropriationType,
+          fiscalYear: resource.fiscalYear,
+          basis: projection.dollarBasis,
+          year: projection.dollarYear,
+        },
+        target
+      );
+      return { ...resource, amount: this.apply(resource.amount, conversion) };
+    });
+
+    return {
+      ...projection,
+      resources,
+      dollarBasis: target.basis,
+      dollarYear: target.basis === DollarBasis.CONSTANT_YEAR ? target.year : undefined,
+    };
+  }
+
+  // Dollar source of a budget: its appropriation type, fiscal year and stored basis
+  getBudgetSource(budget: Budget): DollarSource {
+    const fiscalYear = dataStore.findById<FiscalYear>('fiscalYears', budget.fiscalYearId);
+    if (!fiscalYear) {
+      throw new AppError(404, 'Fiscal year not found');
+    }
+    return {
+      appropriationType: budget.appropriationType,
+      fiscalYear: fiscalYear.year,
+      basis: budget.dollarBasis,
+      year: budget.dollarYear,
+    };
+  }
+
+  private basisFields(basis?: DollarBasisTarget): { basis?: DollarBasis; year?: number } {
+    return basis?.basis ? { basis: basis.basis, year: basis.year } : {};
+  }
+
+  private apply(amount: number, conversion: DollarConversion): number {
+    return Math.round(amount * conversion.factor * 100) / 100;
+  }
+}
+
+export const inflationService = new InflationService();
@@ -0,0 +1,398 @@
+// PPBE-019: USSGL general ledger
+// Appropriations, apportionments, allotments, commitments, obligations and expenditures post balanced
+// budgetary and proprietary entries through configurable transaction codes. Postings follow
+// the source records: each change posts the difference from what the ledger already holds.
+import { v4 as uuidv4 } from 'uuid';
+import {
+  Appropriation,
+  Commitment,
+  Expenditure,
+  ExpenditureStatus,
+  FiscalYear,
+  LedgerEvent,
+  LedgerTransaction,
+  Obligation,
+  ObligationStatus,
+  UssglPostingPair,
+  UssglTransactionCode,
+} from '../types';
+import { executionTracking as executionRules, ussgl as ussglRules } from '../domain/ppbe';
+import { dataStore } from './dataStore';
+import { AppError } from '../middleware/errorHandler';
+
+const ACTIVE_OBLIGATION_STATUSES = [ObligationStatus.PENDING, ObligationStatus.OBLIGATED];
+// Events that draw on the appropriation's unobligated funds
+const FUNDS_EVENTS = [LedgerEvent.COMMITMENT, LedgerEvent.OBLIGATION];
+
+export interface LedgerSource {
+  type: string;
+  id: string;
+}
+
+export interface TrialBalanceAccount {
+  accountNumber: string;
+  title: string;
+  type: 'BUDGETARY' | 'PROPRIETARY';
+  normalBalance: 'DEBIT' | 'CREDIT';
+  beginningBalance: number;
+  debits: number;
+  credits: number;
+  endingBalance: number;
+  abnormal: boolean;
+}
+
+export interface LedgerBalanceCheck {
+  isBalanced: boolean;
+  budgetary: { resources: number; status: number; abnormalBalances: string[]; inBalance: boolean };
+  proprietary: { debits: number; credits: number; abnormalBalances: string[]; inBalance: boolean };
+  abnormalBalances: string[];
+}
+
+export interface TrialBalance {
+  fiscalYear: number;
+  period: number;
+  treasuryAccounts: {
+    treasuryAccount: string;
+    appropriationId: string;
+    accounts: TrialBalanceAccount[];
+    check: LedgerBalanceCheck;
+  }[];
+  totals: { accounts: TrialBalanceAccount[]; check: LedgerBalanceCheck };
+  isBalanced: boolean;
+  outOfBalance: string[];
+}
+
+export class LedgerService {
+  getAccounts(): { accountNumber: string; title: string; type: string; normalBalance: string }[] {
+    return Object.keys(ussglRules.USSGL_ACCOUNTS).sort().map(number => ussglRules.getAccount(number) as any);
+  }
+
+  // Built-in codes, with saved codes replacing the built-in code of the same event
+  getTransactionCodes(): (Omit<UssglTransactionCode, 'id' | 'createdBy' | 'createdAt' | 'updatedAt'> & { builtIn: boolean })[] {
+    const saved = dataStore.findAll<UssglTransactionCode>('ussglTransactionCodes');
+    const builtIn = (ussglRules.DEFAULT_TRANSACTION_CODES as any[])
+      .filter(code => !saved.some(s => s.event === code.event))
+      .map(code => ({ ...code, builtIn: true }));
+
+    return [
+      ...builtIn,
+      ...saved.map(({ code, event, description, budgetary, proprietary }) =>
+        ({ code, event, description, budgetary, proprietary, builtIn: false })),
+    ].sort((a, b) => a.code.localeCompare(b.code));
+  }
+
+  // Saves the code posted for an event from now on; postings already made keep their code
+  async saveTransactionCode(data: {
+    code: string;
+    event: LedgerEvent;
+    description: string;
+    budgetary: UssglPostingPair[];
+    proprietary?: UssglPostingPair[];
+  }, createdBy: string): Promise<UssglTransactionCode> {
+    const definition = { ...data, proprietary: data.proprietary || [] };
+    const result: any = ussglRules.validateTransactionCode(definition);
+    if (!result.isValid) {
+      throw new AppError(400, 'Invalid transaction code', result.errors);
+    }
+
+    const inUse = this.getTransactionCodes().find(c => c.code === data.code && c.event !== data.event);
+    if (inUse) {
+      throw new AppError(409, `Transaction code ${data.code} already posts ${inUse.event} events`);
+    }
+
+    const existing = dataStore.findOne<UssglTransactionCode>('ussglTransactionCodes', c => c.event === data.event);
+    if (existing) {
+      return dataStore.update<UssglTransactionCode>('ussglTransactionCodes', existing.id, { ...definition, createdBy })!;
+    }
+    return dataStore.create<UssglTransactionCode>('ussglTransactionCodes', {
+      id: uuidv4(),
+      ...definition,
+      createdBy,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+  }
+
+  // Posts the appropriated, apportioned and allotted amounts of an appropriation. Resources
+  // belong to the appropriation's fiscal year, so postings are dated within it.
+  async syncAppropriation(
+    appropriationId: string,
+    options: { source?: LedgerSource; date?: Date; postedBy?: string } = {}
+  ): Promise<LedgerTransaction[]> {
+    const appropriation = dataStore.findById<Appropriation>('appropriations', appropriationId);
+    const fiscalYear = appropriation && dataStore.findById<FiscalYear>('fiscalYears', appropriation.fiscalYearId);
+    const source = options.source || { type: 'appropriation', id: appropriationId };
+    const initial = !dataStore.findOne<LedgerTransaction>('ledgerTransactions', t => t.appropriationId === appropriationId);
+
+    let date = options.date || (initial && appropriation?.enactedDate) || (initial && fiscalYear?.startDate) || new Date();
+    if (fiscalYear) {
+      const start = new Date(fiscalYear.startDate).getTime();
+      const end = new Date(fiscalYear.endDate).getTime();
+      date = new Date(Math.min(Math.max(new Date(date).getTime(), start), end));
+    }
+
+    const levels: [LedgerEvent, number | undefined][] = [
+      [LedgerEvent.APPROPRIATION, appropriation?.amount],
+      [LedgerEvent.APPORTIONMENT, appropriation?.apportionedAmount],
+      [LedgerEvent.ALLOTMENT, appropriation?.allottedAmount],
+    ];
+
+    const posted: LedgerTransaction[] = [];
+    for (const [event, amount] of levels) {
+      posted.push(...this.syncPostings(
+        event,
+        t => t.appropriationId === appropriationId,
+        amount ? { [appropriationId]: amount } : {},
+        { source, date, postedBy: options.postedBy }
+      ));
+    }
+    return posted;
+  }
+
+  // A commitment holds its open balance: obligations converted from it, releases and closing draw it down
+  async syncCommitment(commitmentId: string, postedBy?: string): Promise<LedgerTransaction[]> {
+    const commitment = dataStore.findById<Commitment>('commitments', commitmentId);
+    const targets: Record<string, number> = {};
+    if (commitment) {
+      const obligations = dataStore.findMany<Obligation>('obligations', o => o.commitmentId === commitmentId);
+      const balance: any = executionRules.calculateCommitmentBalance(commitment, obligations);
+      targets[commitment.appropriationId] = balance.open;
+    }
+
+    return this.syncPostings(
+      LedgerEvent.COMMITMENT,
+      t => t.sourceType === 'commitment' && t.sourceId === commitmentId,
+      targets,
+      {
+        source: { type: 'commitment', id: commitmentId },
+        date: this.isPosted('commitment', commitmentId) || !commitment ? new Date() : commitment.commitmentDate,
+        postedBy: postedBy || commitment?.createdBy,
+      }
+    );
+  }
+
+  // An obligation holds its amount while open; once deobligated or cancelled only what was paid
+  async syncObligation(obligationId: string, postedBy?: string): Promise<LedgerTransaction[]> {
+    const obligation = dataStore.findById<Obligation>('obligations', obligationId);
+    const targets: Record<string, number> = {};
+    if (obligation?.appropriationId) {
+      targets[obligation.appropriationId] = ACTIVE_OBLIGATION_STATUSES.includes(obligation.status)
+        ? obligation.amount
+        : dataStore
+          .findMany<Expenditure>('expenditures', e => e.obligationId === obligationId && e.status === ExpenditureStatus.PAID)
+          .reduce((sum, e) => sum + e.amount, 0);
+    }
+
+    return this.syncPostings(
+      LedgerEvent.OBLIGATION,
+      t => t.sourceType === 'obligation' && t.sourceId === obligationId,
+      targets,
+      {
+        source: { type: 'obligation', id: obligationId },
+        date: this.isPosted('obligation', obligationId) || !obligation ? new Date() : obligation.obligationDate,
+        postedBy: postedBy || obligation?.createdBy,
+      }
+    );
+  }
+
+  // Paid expenditures post against the Treasury account of the obligation they liquidate
+  async syncExpenditure(expenditureId: string, postedBy?: string): Promise<LedgerTransaction[]> {
+    const expenditure = dataStore.findById<Expenditure>('expenditures', expenditureId);
+    const obligation = expenditure?.obligationId && dataStore.findById<Obligation>('obligations', expenditure.obligationId);
+    const targets: Record<string, number> = {};
+    if (expenditure && obligation && obligation.appropriationId && expenditure.status === ExpenditureStatus.PAID) {
+      targets[obligation.appropriationId] = expenditure.amount;
+    }
+
+    return this.syncPostings(
+      LedgerEvent.EXPENDITURE,
+      t => t.sourceType === 'expenditure' && t.sourceId === expenditureId,
+      targets,
+      {
+        source: { type: 'expenditure', id: expenditureId },
+        date: this.isPosted('expenditure', expenditureId) || !expenditure ? new Date() : expenditure.paymentDate,
+        postedBy: postedBy || expenditure?.createdBy,
+      }
+    );
+  }
+
+  async getTransactions(filters?: {
+    appropriationId?: string;
+    treasuryAccount?: string;
+    event?: LedgerEvent;
+    sourceType?: string;
+    sourceId?: string;
+    fiscalYear?: number;
+    period?: number;
+  }): Promise<LedgerTransaction[]> {
+    return dataStore
+      .findMany<LedgerTransaction>('ledgerTransactions', t =>
+        (!filters?.appropriationId || t.appropriationId === filters.appropriationId) &&
+        (!filters?.treasuryAccount || t.treasuryAccount === filters.treasuryAccount) &&
+        (!filters?.event || t.event === filters.event) &&
+        (!filters?.sourceType || t.sourceType === filters.sourceType) &&
+        (!filters?.sourceId || t.sourceId === filters.sourceId) &&
+        (!filters?.fiscalYear || t.fiscalYear === filters.fiscalYear) &&
+        (!filters?.period || t.period === filters.period))
+      .sort((a, b) => this.compareTransactions(a, b));
+  }
+
+  // Balances by Treasury account at the end of an accounting period (period 12 by default),
+  // with that period's activity and the budgetary/proprietary balance check
+  async getTrialBalance(params: { fiscalYear: number; period?: number; treasuryAccount?: string }): Promise<TrialBalance> {
+    const period = params.period ?? 12;
+    if (!Number.isInteger(period) || period < 1 || period > 12) {
+      throw new AppError(400, 'Accounting period must be 1-12');
+    }
+
+    const key = (fiscalYear: number, p: number) => fiscalYear * 100 + p;
+    const through = key(params.fiscalYear, period);
+    const transactions = dataStore.findMany<LedgerTransaction>('ledgerTransactions', t =>
+      key(t.fiscalYear, t.period) <= through &&
+      (!params.treasuryAccount || t.treasuryAccount === params.treasuryAccount));
+
+    const treasuryAccounts = [...new Set(transactions.map(t => t.treasuryAccount))].sort().map(treasuryAccount => {
+      const accountTransactions = transactions.filter(t => t.treasuryAccount === treasuryAccount);
+      const accounts = this.buildTrialBalance(accountTransactions, through);
+      return {
+        treasuryAccount,
+        appropriationId: accountTransactions[0].appropriationId,
+        accounts,
+        check: this.checkBalance(accounts),
+      };
+    });
+
+    const totals = this.buildTrialBalance(transactions, through);
+    const outOfBalance = treasuryAccounts.filter(a => !a.check.isBalanced).map(a => a.treasuryAccount);
+    return {
+      fiscalYear: params.fiscalYear,
+      period,
+      treasuryAccounts,
+      totals: { accounts: totals, check: this.checkBalance(totals) },
+      isBalanced: outOfBalance.length === 0,
+      outOfBalance,
+    };
+  }
+
+  // Posts, for each appropriation, the difference between the target amount and the net of the
+  // event's matching postings; appropriations no longer targeted are reversed to zero
+  private syncPostings(
+    event: LedgerEvent,
+    match: (t: LedgerTransaction) => boolean,
+    targets: Record<string, number>,
+    context: { source: LedgerSource; date: Date; postedBy?: string }
+  ): LedgerTransaction[] {
+    const existing = dataStore.findMany<LedgerTransaction>('ledgerTransactions', t => t.event === event && match(t));
+    const appropriationIds = new Set([...existing.map(t => t.appropriationId), ...Object.keys(targets)]);
+
+    const posted: LedgerTransaction[] = [];
+    for (const appropriationId of appropriationIds) {
+      const previous = existing.filter(t => t.appropriationId === appropriationId);
+      const net = previous.reduce((sum, t) => sum + t.amount, 0);
+      const difference = Math.round(((targets[appropriationId] || 0) - net) * 100) / 100;
+      if (difference === 0) {
+        continue;
+      }
+
+      // Ledgers are kept by TAS (PPBE-020), or by appropriation code until one is assigned
+      const appropriation = dataStore.findById<Appropriation>('appropriations', appropriationId);
+      const treasuryAccount =
+        appropriation?.treasuryAccountSymbol?.symbol || appropriation?.code || previous[0]?.treasuryAccount;
+      // A decrease returns funds to the account the last posting drew on; postings made before
+      // that was recorded drew on allotments
+      const fundsAccount = !FUNDS_EVENTS.includes(event)
+        ? undefined
+        : difference < 0 && previous.length > 0
+          ? previous[previous.length - 1].fundsAccount || '4610'
+          : this.getFundsAccount(appropriationId, context.date);
+      posted.push(this.post(event, difference, { ...context, appropriationId, treasuryAccount, fundsAccount }));
+    }
+    return posted;
+  }
+
+  private post(event: LedgerEvent, amount: number, context: {
+    appropriationId: string;
+    treasuryAccount: string;
+    source: LedgerSource;
+    date: Date;
+    postedBy?: string;
+    fundsAccount?: string;
+  }): LedgerTransaction {
+    const code = this.getTransactionCodes().find(c => c.event === event)!;
+    const { fiscalYear, period }: any = ussglRules.getAccountingPeriod(context.date);
+
+    return dataStore.create<LedgerTransaction>('ledgerTransactions', {
+      id: uuidv4(),
+      transactionCode: code.code,
+      event,
+      amount,
+      appropriationId: context.appropriationId,
+      treasuryAccount: context.treasuryAccount,
+      fiscalYear,
+      period,
+      postingDate: new Date(context.date),
+      sourceType: context.source.type,
+      sourceId: context.source.id,
+      description: amount > 0 ? code.description : `${code.description} (decrease)`,
+      entries: ussglRules.buildEntries(code, amount, context.fundsAccount),
+      fundsAccount: context.fundsAccount,
+      postedBy: context.postedBy || 'system',
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+  }
+
+  private buildTrialBalance(transactions: LedgerTransaction[], through: number): TrialBalanceAccount[] {
+    const inPeriod = (t: LedgerTransaction) => t.fiscalYear * 100 + t.period === through;
+    const ending: any[] = ussglRules.summarizeAccounts(transactions.flatMap(t => t.entries));
+    const beginning: any[] = ussglRules.summarizeAccounts(transactions.filter(t => !inPeriod(t)).flatMap(t => t.entries));
+    const activity: any[] = ussglRules.summarizeAccounts(transactions.filter(inPeriod).flatMap(t => t.entries));
+
+    return ending.map(account => {
+      const opening = beginning.find(b => b.accountNumber === account.accountNumber);
+      const current = activity.find(a => a.accountNumber === account.accountNumber);
+      return {
+        accountNumber: account.accountNumber,
+        title: account.title,
+        type: account.type,
+        normalBalance: account.normalBalance,
+        beginningBalance: opening ? opening.balance : 0,
+        debits: current ? current.debits : 0,
+        credits: current ? current.credits : 0,
+        endingBalance: account.balance,
+        abnormal: account.abnormal,
+      };
+    });
+  }
+
+  private checkBalance(accounts: TrialBalanceAccount[]): LedgerBalanceCheck {
+    const check: any = ussglRules.checkBalance(accounts.map(a => ({ ...a, balance: a.endingBalance })));
+    return check;
+  }
+
+  // Funds are drawn from allotments once an allotment has posted by the date, otherwise from
+  // apportionments or unapportioned authority
+  private getFundsAccount(appropriationId: string, date: Date): string {
+    const posted = (event: LedgerEvent) => dataStore
+      .findMany<LedgerTransaction>('ledgerTransactions', t =>
+        t.appropriationId === appropriationId &&
+        t.event === event &&
+        new Date(t.postingDate).getTime() <= new Date(date).getTime())
+      .reduce((sum, t) => sum + t.amount, 0);
+    return ussglRules.getFundsAccount({
+      apportioned: posted(LedgerEvent.APPORTIONMENT),
+      allotted: posted(LedgerEvent.ALLOTMENT),
+    }) as string;
+  }
+
+  private isPosted(sourceType: string, sourceId: string): boolean {
+    return !!dataStore.findOne<LedgerTransaction>('ledgerTransactions', t => t.sourceType === sourceType && t.sourceId === sourceId);
+  }
+
+  private compareTransactions(a: LedgerTransaction, b: LedgerTransaction): number {
+    return new Date(a.postingDate).getTime() - new Date(b.postingDate).getTime() ||
+      new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime();
+  }
+}
+
+export const ledgerService = new LedgerService();
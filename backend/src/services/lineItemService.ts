@@ -1,9 +1,13 @@
 // BE-005: Budget Line Item Management API
+// PPBE-017: Amounts restated in then-year, constant-year or base-year dollars
 import { v4 as uuidv4 } from 'uuid';
-import { BudgetLineItem } from '../types';
+import { Budget, BudgetLineItem, DollarBasis, DollarBasisTarget } from '../types';
 import { dataStore } from './dataStore';
+import { inflationService, Restated } from './inflationService';
 import { AppError } from '../middleware/errorHandler';
 
+const LINE_ITEM_AMOUNT_FIELDS: (keyof BudgetLineItem)[] = ['amount', 'obligatedAmount', 'expendedAmount'];
+
 export class LineItemService {
   async createLineItem(data: {
     budgetId: string;
@@ -11,6 +15,9 @@ export class LineItemService {
     description: string;
     amount: number;
     appropriation: string;
+    appropriationType?: string;
+    dollarBasis?: DollarBasis;
+    dollarYear?: number;
     bpac: string;
     category: string;
     subcategory?: string;
@@ -45,6 +52,15 @@ export class LineItemService {
     return lineItem;
   }
 
+  async getLineItemsInBasis(budgetId: string, target: DollarBasisTarget): Promise<Restated<BudgetLineItem>[]> {
+    const lineItems = await this.getLineItemsByBudget(budgetId);
+    return lineItems.map(item => this.restate(item, target));
+  }
+
+  async getLineItemInBasis(id: string, target: DollarBasisTarget): Promise<Restated<BudgetLineItem>> {
+    return this.restate(await this.getLineItemById(id), target);
+  }
+
   async updateLineItem(id: string, updates: Partial<BudgetLineItem>): Promise<BudgetLineItem> {
     const updatedItem = dataStore.update<BudgetLineItem>('budgetLineItems', id, updates);
     if (!updatedItem) {
@@ -92,6 +108,21 @@ export class LineItemService {
 
     return summary;
   }
+
+  // A line item takes its appropriation type and dollar basis from its budget unless it sets its own
+  private restate(item: BudgetLineItem, target: DollarBasisTarget): Restated<BudgetLineItem> {
+    const budget = dataStore.findById<Budget>('budgets', item.budgetId);
+    if (!budget) {
+      throw new AppError(404, 'Budget not found');
+    }
+
+    const source = inflationService.getBudgetSource(budget);
+    return inflationService.restate(item, LINE_ITEM_AMOUNT_FIELDS, {
+      ...source,
+      appropriationType: item.appropriationType || source.appropriationType,
+      ...(item.dollarBasis ? { basis: item.dollarBasis, year: item.dollarYear } : {}),
+    }, target);
+  }
 }
 
 export const lineItemService = new LineItemService();
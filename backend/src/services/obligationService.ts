@@ -1,9 +1,37 @@
 // BE-019: Obligation Tracking API
+// PPBE-020: Obligations carry a validated line of accounting
+// PPBE-009: Execution Phase Tracking (obligations converted from a commitment draw its reservation
+// down; later changes are recorded as numbered modifications rather than overwriting the original)
 import { v4 as uuidv4 } from 'uuid';
-import { Obligation, ObligationStatus } from '../types';
+import {
+  Obligation,
+  ObligationStatus,
+  Appropriation,
+  AppropriationLifecyclePhase,
+  Budget,
+  ExpiredFundAdjustment,
+  Expenditure,
+  ExpenditureStatus,
+  FiscalYear,
+  LineOfAccounting,
+  ObligationModification,
+  ObligationModificationType,
+  SodDuty,
+} from '../types';
+import { executionTracking as executionRules, fiscalYear as fiscalYearRules } from '../domain/ppbe';
 import { dataStore } from './dataStore';
+import { ppbeService, PpbeBudgetAccount, ObligationComplianceInput } from './ppbeService';
+import { appropriationService, ContinuingResolutionStatus } from './appropriationService';
+import { appropriationLifecycleService, AppropriationLifecycleStatus } from './appropriationLifecycleService';
+import { apportionmentService } from './apportionmentService';
+import { separationOfDutiesService } from './separationOfDutiesService';
+import { ledgerService } from './ledgerService';
+import { treasuryAccountService } from './treasuryAccountService';
+import { commitmentService } from './commitmentService';
 import { AppError } from '../middleware/errorHandler';
 
+const ACTIVE_STATUSES = [ObligationStatus.PENDING, ObligationStatus.OBLIGATED];
+
 export class ObligationService {
   async createObligation(data: {
     budgetId: string;
@@ -15,18 +43,48 @@ export class ObligationService {
     vendor?: string;
     obligationDate: Date | string;
     fiscalYearId: string;
+    appropriationId?: string;
+    appropriationType?: string;
+    purpose?: string;
+    justification?: string;
+    isNewStart?: boolean;
+    organizationId?: string;
+    lineOfAccounting?: string;
+    commitmentId?: string;
   }, createdBy: string): Promise<Obligation> {
+    const { lineOfAccounting, ...fields } = commitmentService.applyToObligation(data);
+    separationOfDutiesService.assertAllowed(SodDuty.OBLIGATION_CREATE, fields.budgetId, createdBy);
+
     const obligation: Obligation = {
       id: uuidv4(),
-      ...data,
+      ...fields,
       obligationDate: new Date(data.obligationDate),
       status: ObligationStatus.OBLIGATED,
+      originalAmount: fields.amount,
+      modifications: [],
       createdBy,
       createdAt: new Date(),
       updatedAt: new Date(),
     };
+    if (lineOfAccounting) {
+      this.applyLineOfAccounting(obligation, lineOfAccounting);
+    }
 
-    return dataStore.create<Obligation>('obligations', obligation);
+    const compliance = this.enforceCompliance(obligation);
+    obligation.allotmentId = compliance.allotmentId;
+    obligation.complianceWarnings = compliance.warnings;
+    obligation.complianceCheckedAt = compliance.checkedAt;
+    obligation.complianceRulePack = compliance.rulePack;
+    if (compliance.expiredFundAdjustment) {
+      obligation.expiredFundAdjustments = this.recordExpiredFundAdjustment(obligation, undefined, compliance);
+    }
+
+    const created = dataStore.create<Obligation>('obligations', obligation);
+    await ledgerService.syncObligation(created.id, createdBy);
+    if (created.commitmentId) {
+      await ledgerService.syncCommitment(created.commitmentId, createdBy);
+    }
+    return created;
   }
 
   async getAllObligations(filters?: {
@@ -61,23 +119,412 @@ export class ObligationService {
     return obligation;
   }
 
-  async updateObligation(id: string, updates: Partial<Obligation>): Promise<Obligation> {
+  // Obligations are append-only: every change is kept as a numbered modification dated when it
+  // takes effect (today unless given). The lifecycle checks are taken on that date.
+  async updateObligation(
+    id: string,
+    changes: Partial<Omit<Obligation, 'lineOfAccounting'>> & { lineOfAccounting?: string },
+    modification: { modificationDate?: Date | string; reason?: string; modifiedBy?: string } = {}
+  ): Promise<Obligation> {
+    const existing = await this.getObligationById(id);
+    const { lineOfAccounting, ...fields } = changes;
+    const updates: Partial<Obligation> = fields;
+    const modificationDate = this.getModificationDate(existing, modification.modificationDate);
+
     if (updates.obligationDate) {
       updates.obligationDate = new Date(updates.obligationDate);
     }
 
+    const merged: Obligation = { ...existing, ...updates };
+    separationOfDutiesService.assertAllowed(SodDuty.OBLIGATION_CREATE, merged.budgetId, modification.modifiedBy);
+    this.assertCoversPayments(existing, merged);
+    // A line of accounting, new or kept, must still fit a changed appropriation or type
+    const loa = lineOfAccounting || existing.lineOfAccounting?.value;
+    if (loa && (lineOfAccounting || updates.appropriationId || updates.appropriationType)) {
+      this.applyLineOfAccounting(merged, loa);
+      updates.lineOfAccounting = merged.lineOfAccounting;
+      updates.appropriationId = merged.appropriationId;
+    }
+
+    const changed = Object.keys(changes).filter(field =>
+      (changes as Record<string, unknown>)[field] !== undefined &&
+      this.fieldValue(existing, field) !== this.fieldValue(merged, field));
+    const record = changed.length > 0
+      ? this.buildModification(existing, merged, changed, modificationDate, modification)
+      : null;
+    if (record) {
+      updates.modifications = [...(existing.modifications || []), record];
+    }
+
+    if (ACTIVE_STATUSES.includes(merged.status)) {
+      const compliance = this.enforceCompliance(merged, existing, modificationDate);
+      updates.allotmentId = compliance.allotmentId;
+      updates.complianceWarnings = compliance.warnings;
+      updates.complianceCheckedAt = compliance.checkedAt;
+      updates.complianceRulePack = compliance.rulePack;
+
+      if (compliance.expiredFundAdjustment) {
+        updates.expiredFundAdjustments = this.recordExpiredFundAdjustment(merged, existing, compliance, record?.number);
+      }
+    }
+
     const updatedObligation = dataStore.update<Obligation>('obligations', id, updates);
     if (!updatedObligation) {
       throw new AppError(404, 'Obligation not found');
     }
+    await ledgerService.syncObligation(id, modification.modifiedBy);
+    if (updatedObligation.commitmentId) {
+      await ledgerService.syncCommitment(updatedObligation.commitmentId, modification.modifiedBy);
+    }
     return updatedObligation;
   }
 
+  // Records a modification of the given type: an increase or decrease by amount, a de-obligation
+  // of what remains obligated, or an administrative change to the document
+  async modifyObligation(id: string, data: {
+    type: ObligationModificationType;
+    amount?: number;
+    modificationDate?: Date | string;
+    reason: string;
+    description?: string;
+    vendor?: string;
+    justification?: string;
+    lineOfAccounting?: string;
+  }, modifiedBy: string): Promise<Obligation> {
+    const obligation = await this.getObligationById(id);
+    const { type, amount, modificationDate, reason, ...document } = data;
+    const changes: Parameters<ObligationService['updateObligation']>[1] = { ...document };
+
+    if (type !== ObligationModificationType.ADMINISTRATIVE && !ACTIVE_STATUSES.includes(obligation.status)) {
+      throw new AppError(400, `Obligation ${obligation.documentNumber} is ${obligation.status}`);
+    }
+    const changesAmount = type === ObligationModificationType.INCREASE || type === ObligationModificationType.DECREASE;
+    if (changesAmount !== (amount !== undefined)) {
+      throw new AppError(400, 'Invalid modification', [{
+        field: 'amount',
+        message: changesAmount ? `An amount is required to ${type.toLowerCase()}` : `An amount is not given for a ${type.toLowerCase()} modification`,
+      }]);
+    }
+
+    if (type === ObligationModificationType.INCREASE) {
+      changes.amount = obligation.amount + amount!;
+    } else if (type === ObligationModificationType.DECREASE) {
+      if (amount! >= obligation.amount) {
+        throw new AppError(400, `A decrease of ${amount} leaves nothing of the ${obligation.amount} obligated; de-obligate it instead`);
+      }
+      changes.amount = obligation.amount - amount!;
+    } else if (type === ObligationModificationType.DEOBLIGATION) {
+      changes.status = ObligationStatus.DEOBLIGATED;
+    } else if (!Object.values(document).some(value => value !== undefined)) {
+      throw new AppError(400, 'An administrative modification must change the description, vendor, justification or line of accounting');
+    }
+
+    return this.updateObligation(id, changes, { modificationDate, reason, modifiedBy });
+  }
+
+  async getModifications(id: string): Promise<ObligationModification[]> {
+    return (await this.getObligationById(id)).modifications || [];
+  }
+
+  // Increases recorded against expired funds, oldest first, with the approvals they need;
+  // fiscalYear filters by the year the adjustment was recorded in
+  async getUpwardAdjustments(filters?: { appropriationId?: string; fiscalYear?: number }): Promise<Array<
+    ObligationModification & {
+      obligationId: string;
+      documentNumber: string;
+      appropriationId?: string;
+      requiresAgencyHeadApproval: boolean;
+      requiresCongressionalNotification: boolean;
+    }
+  >> {
+    return dataStore
+      .findMany<Obligation>('obligations', o => !filters?.appropriationId || o.appropriationId === filters.appropriationId)
+      .flatMap(o => (o.modifications || [])
+        .filter(m => m.upwardAdjustment && (!filters?.fiscalYear || m.fiscalYear === filters.fiscalYear))
+        .map(m => {
+          const adjustment = o.expiredFundAdjustments?.find(adj => adj.modificationNumber === m.number);
+          return {
+            ...m,
+            obligationId: o.id,
+            documentNumber: o.documentNumber,
+            appropriationId: o.appropriationId,
+            requiresAgencyHeadApproval: !!adjustment?.requiresAgencyHeadApproval,
+            requiresCongressionalNotification: !!adjustment?.requiresCongressionalNotification,
+          };
+        }))
+      .sort((a, b) => new Date(a.modificationDate).getTime() - new Date(b.modificationDate).getTime());
+  }
+
+  // What has been paid stays obligated: the amount cannot drop below it, and an obligation with
+  // payments against it is decreased to the amount paid rather than de-obligated
+  private assertCoversPayments(existing: Obligation, merged: Obligation): void {
+    if (!ACTIVE_STATUSES.includes(existing.status)) {
+      return;
+    }
+    const paid = dataStore
+      .findMany<Expenditure>('expenditures', e => e.obligationId === existing.id && e.status === ExpenditureStatus.PAID)
+      .reduce((sum, e) => sum + e.amount, 0);
+    if (paid === 0) {
+      return;
+    }
+
+    if (!ACTIVE_STATUSES.includes(merged.status)) {
+      throw new AppError(400, `Obligation ${existing.documentNumber} has ${paid} paid against it; decrease it to the amount paid instead`);
+    }
+    if (merged.amount !== existing.amount && merged.amount < paid) {
+      throw new AppError(400, `Obligation amount cannot be less than the ${paid} paid against it`);
+    }
+  }
+
+  // A modification takes effect no earlier than the obligation or the modification before it
+  private getModificationDate(obligation: Obligation, value?: Date | string): Date {
+    if (!value) {
+      return new Date();
+    }
+
+    const date = new Date(value);
+    const last = obligation.modifications?.[obligation.modifications.length - 1];
+    if (date > new Date()) {
+      throw new AppError(400, 'Modification date cannot be in the future');
+    }
+    if (date < obligation.obligationDate) {
+      throw new AppError(400, 'Modification date cannot be before the obligation date');
+    }
+    if (last && date < new Date(last.modificationDate)) {
+      throw new AppError(400, `Modification date cannot be before modification ${last.number}`);
+    }
+    return date;
+  }
+
+  private buildModification(
+    existing: Obligation,
+    merged: Obligation,
+    changes: string[],
+    modificationDate: Date,
+    modification: { reason?: string; modifiedBy?: string }
+  ): ObligationModification {
+    const change: any = executionRules.classifyObligationModification(
+      { amount: existing.amount, active: ACTIVE_STATUSES.includes(existing.status) },
+      { amount: merged.amount, active: ACTIVE_STATUSES.includes(merged.status) }
+    );
+    const appropriation = merged.appropriationId
+      ? dataStore.findById<Appropriation>('appropriations', merged.appropriationId)
+      : undefined;
+    const lifecycle = appropriation
+      ? appropriationLifecycleService.getLifecycleStatus(appropriation, modificationDate)
+      : undefined;
+
+    return {
+      number: (existing.modifications?.length || 0) + 1,
+      type: change.type,
+      modificationDate,
+      amount: change.amount,
+      previousAmount: change.previousAmount,
+      newAmount: change.newAmount,
+      fiscalYear: fiscalYearRules.getFiscalYear(modificationDate),
+      lifecyclePhase: lifecycle?.phase,
+      expiredYear: lifecycle?.expiredYear ?? undefined,
+      upwardAdjustment: change.amount > 0 && !!lifecycle && lifecycle.phase !== AppropriationLifecyclePhase.CURRENT,
+      changes,
+      reason: modification.reason,
+      modifiedBy: modification.modifiedBy,
+      recordedAt: new Date(),
+    };
+  }
+
+  private fieldValue(obligation: Obligation, field: string): unknown {
+    const value = field === 'lineOfAccounting'
+      ? obligation.lineOfAccounting?.value
+      : (obligation as unknown as Record<string, unknown>)[field];
+    return value instanceof Date ? value.getTime() : value;
+  }
+
+  // Validates the LOA against the appropriation and type; without an appropriation, the one
+  // assigned the LOA's Treasury Account Symbol becomes the obligation's
+  private applyLineOfAccounting(obligation: Obligation, value: string): void {
+    const appropriation = obligation.appropriationId
+      ? dataStore.findById<Appropriation>('appropriations', obligation.appropriationId)
+      : null;
+    const loa: LineOfAccounting = treasuryAccountService.resolveLineOfAccounting(value, {
+      appropriation,
+      typeCode: obligation.appropriationType,
+      asOf: obligation.obligationDate,
+    });
+
+    obligation.lineOfAccounting = loa;
+    if (!obligation.appropriationId) {
+      obligation.appropriationId = treasuryAccountService.findAppropriation(loa.treasuryAccountSymbol.symbol)?.id;
+    }
+  }
+
+  // Runs ADA, PTA and lifecycle checks against the funding source; throws on CRITICAL violations
+  private enforceCompliance(obligation: Obligation, previous?: Obligation, asOf?: Date) {
+    const { budgetAccount, expirationDate, continuingResolution, lifecycle, allotmentId } =
+      this.getFundingAccount(obligation, asOf);
+    const fiscalYear = dataStore.findById<FiscalYear>('fiscalYears', obligation.fiscalYearId);
+
+    const compliance = ppbeService.evaluateObligationCompliance(
+      {
+        amount: obligation.amount,
+        obligationDate: obligation.obligationDate,
+        fiscalYear: fiscalYear?.year,
+        appropriationType: obligation.appropriationType,
+        purpose: obligation.purpose,
+        justification: obligation.justification,
+        expirationDate,
+        isNewStart: obligation.isNewStart,
+        continuingResolution,
+        apportionment: obligation.appropriationId
+          ? apportionmentService.getAdaApportionment(obligation.appropriationId)
+          : null,
+        lifecycleTransaction: lifecycle ? this.getLifecycleTransaction(obligation, previous, lifecycle) : null,
+      },
+      budgetAccount
+    );
+
+    if (compliance.violations.length > 0) {
+      throw new AppError(
+        400,
+        'Obligation blocked: Anti-Deficiency Act / PTA violation',
+        compliance.violations
+      );
+    }
+
+    return { ...compliance, allotmentId, expiredYear: lifecycle?.expiredYear ?? null };
+  }
+
+  private recordExpiredFundAdjustment(
+    obligation: Obligation,
+    previous: Obligation | undefined,
+    compliance: ReturnType<ObligationService['enforceCompliance']>,
+    modificationNumber?: number
+  ): ExpiredFundAdjustment[] {
+    const previousAmount = previous && ACTIVE_STATUSES.includes(previous.status) ? previous.amount : 0;
+
+    return [
+      ...(previous?.expiredFundAdjustments || []),
+      {
+        modificationNumber,
+        amount: obligation.amount - previousAmount,
+        previousAmount,
+        newAmount: obligation.amount,
+        expiredYear: compliance.expiredYear as number,
+        requiresAgencyHeadApproval: !!compliance.expiredFundAdjustment?.requiresAgencyHeadApproval,
+        requiresCongressionalNotification: !!compliance.expiredFundAdjustment?.requiresCongressionalNotification,
+        adjustedAt: compliance.checkedAt,
+      },
+    ];
+  }
+
+  // The lifecycle phase is taken on the processing date, or a modification's date. Recording or increasing an obligation
+  // while the account is expired is an upward adjustment (31 U.S.C. § 1553(a)); a change in
+  // amount of any kind is blocked once the account is cancelled.
+  private getLifecycleTransaction(
+    obligation: Obligation,
+    previous: Obligation | undefined,
+    lifecycle: AppropriationLifecycleStatus
+  ): ObligationComplianceInput['lifecycleTransaction'] {
+    const previousAmount = previous && ACTIVE_STATUSES.includes(previous.status) ? previous.amount : 0;
+    const change = obligation.amount - previousAmount;
+
+    if (change > 0) {
+      return {
+        type: lifecycle.phase === AppropriationLifecyclePhase.CURRENT ? 'NEW_OBLIGATION' : 'UPWARD_ADJUSTMENT',
+        amount: change,
+        lifecycle,
+      };
+    }
+    if (change < 0) {
+      return { type: 'DOWNWARD_ADJUSTMENT', amount: -change, lifecycle };
+    }
+    return null;
+  }
+
+  // Controlling limits come from the appropriation when one is cited, otherwise from the budget.
+  // Obligated balance is the sum of other active obligations against the same source.
+  // An unenacted appropriation under a CR on the obligation date is capped at the CR limit.
+  // With an organization, the allotment it (or its nearest ancestor) holds is also a limit.
+  private getFundingAccount(obligation: Obligation, asOf?: Date): {
+    budgetAccount: PpbeBudgetAccount;
+    expirationDate?: Date;
+    continuingResolution?: ContinuingResolutionStatus | null;
+    lifecycle?: AppropriationLifecycleStatus;
+    allotmentId?: string;
+  } {
+    if (obligation.appropriationId) {
+      const appropriation = dataStore.findById<Appropriation>('appropriations', obligation.appropriationId);
+      if (!appropriation) {
+        throw new AppError(404, 'Appropriation not found');
+      }
+
+      const continuingResolution = appropriationService.getContinuingResolutionStatus(
+        appropriation,
+        obligation.obligationDate
+      );
+
+      const fundsControl = appropriationService.getFundsControl(appropriation, {
+        organizationId: obligation.organizationId,
+        asOf: obligation.obligationDate,
+        excludeObligationId: obligation.id,
+        excludeCommitmentId: obligation.commitmentId,
+      });
+
+      return {
+        continuingResolution,
+        allotmentId: fundsControl.allotment?.id,
+        budgetAccount: {
+          ...ppbeService.toBudgetAccount(appropriation, continuingResolution, fundsControl),
+          available: null,
+        },
+        expirationDate: appropriation.expirationDate,
+        lifecycle: appropriationLifecycleService.getLifecycleStatus(appropriation, asOf),
+      };
+    }
+
+    const budget = dataStore.findById<Budget>('budgets', obligation.budgetId);
+    if (!budget) {
+      throw new AppError(404, 'Budget not found');
+    }
+
+    return {
+      budgetAccount: {
+        appropriated: budget.amount,
+        obligated: this.sumActiveObligations(o => o.budgetId === budget.id, obligation.id),
+        committed: 0,
+        available: null,
+      },
+    };
+  }
+
+  private sumActiveObligations(predicate: (o: Obligation) => boolean, excludeId: string): number {
+    return dataStore
+      .findMany<Obligation>('obligations', predicate)
+      .filter(o => o.id !== excludeId && ACTIVE_STATUSES.includes(o.status))
+      .reduce((sum, o) => sum + o.amount, 0);
+  }
+
   async deleteObligation(id: string): Promise<void> {
+    const obligation = dataStore.findById<Obligation>('obligations', id);
+    if (obligation?.modifications?.length) {
+      throw new AppError(409, 'Obligation has been modified; de-obligate it instead');
+    }
+    // Payments keep the obligation they liquidate; only its unpaid balance can be given back
+    const payments = dataStore.findMany<Expenditure>('expenditures', e => e.obligationId === id).length;
+    if (payments > 0) {
+      throw new AppError(
+        409,
+        `Obligation has ${payments} expenditure${payments === 1 ? '' : 's'} recorded against it; ` +
+          'de-obligate it or decrease it with a modification instead'
+      );
+    }
     const success = dataStore.delete<Obligation>('obligations', id);
     if (!success) {
       throw new AppError(404, 'Obligation not found');
     }
+    await ledgerService.syncObligation(id);
+    if (obligation?.commitmentId) {
+      await ledgerService.syncCommitment(obligation.commitmentId);
+    }
   }
 
   async getObligationSummary(fiscalYearId: string): Promise<{
@@ -0,0 +1,166 @@
+// PPBE-016: POM position snapshots
+// Captures the FYDP position of every program element at a point in POM development
+import { v4 as uuidv4 } from 'uuid';
+import {
+  DollarBasis,
+  DollarBasisTarget,
+  FydpPosition,
+  PomSnapshot,
+  PomSnapshotProgram,
+  ProgramElement,
+} from '../types';
+import { fydp as fydpRules } from '../domain/ppbe';
+import { dataStore } from './dataStore';
+import { programElementService } from './programElementService';
+import { inflationService } from './inflationService';
+import { AppError } from '../middleware/errorHandler';
+
+export class PomService {
+  async createSnapshot(data: {
+    name: string;
+    description?: string;
+    budgetYear: number;
+    department?: string;
+    dollarBasis?: DollarBasis;
+    dollarYear?: number;
+  }, createdBy: string): Promise<PomSnapshot> {
+    const target: DollarBasisTarget = { basis: data.dollarBasis || DollarBasis.THEN_YEAR, year: data.dollarYear };
+    const programs = (await programElementService.getAllProgramElements({ department: data.department }))
+      .map(p => this.toSnapshotProgram(p, data.budgetYear, target))
+      .filter((p): p is PomSnapshotProgram => p !== null);
+
+    if (programs.length === 0) {
+      throw new AppError(400, `No program elements have a FY${data.budgetYear} FYDP position`);
+    }
+
+    const summary: any = fydpRules.summarizeProjection({
+      budgetYear: data.budgetYear,
+      resources: programs.flatMap(p => p.resources),
+    });
+
+    const snapshot: PomSnapshot = {
+      id: uuidv4(),
+      ...data,
+      dollarBasis: target.basis,
+      dollarYear: target.basis === DollarBasis.CONSTANT_YEAR ? target.year : undefined,
+      programs,
+      totals: summary.byYear,
+      total: summary.total,
+      createdBy,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    return dataStore.create<PomSnapshot>('pomSnapshots', snapshot);
+  }
+
+  async getSnapshots(filters?: { budgetYear?: number; department?: string }): Promise<PomSnapshot[]> {
+    let snapshots = dataStore.findAll<PomSnapshot>('pomSnapshots');
+
+    if (filters?.budgetYear !== undefined) {
+      snapshots = snapshots.filter(s => s.budgetYear === Number(filters.budgetYear));
+    }
+    if (filters?.department) {
+      snapshots = snapshots.filter(s => s.department === filters.department);
+    }
+
+    return snapshots.sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime());
+  }
+
+  async getSnapshotById(id: string): Promise<PomSnapshot> {
+    const snapshot = dataStore.findById<PomSnapshot>('pomSnapshots', id);
+    if (!snapshot) {
+      throw new AppError(404, 'POM snapshot not found');
+    }
+    return snapshot;
+  }
+
+  // Program-by-program deltas from one snapshot to another (e.g. between POM cycles),
+  // in the baseline snapshot's dollar basis
+  async compareSnapshots(baselineId: string, compareId: string): Promise<{
+    baseline: { id: string; name: string; budgetYear: number };
+    compare: { id: string; name: string; budgetYear: number };
+    programs: { programElementId: string; peNumber: string; name: string; comparison: any }[];
+    totals: any;
+  }> {
+    const baseline = await this.getSnapshotById(baselineId);
+    const compare = this.inBasis(await this.getSnapshotById(compareId), {
+      basis: baseline.dollarBasis || DollarBasis.THEN_YEAR,
+      year: baseline.dollarYear,
+    });
+    const projection = (snapshot: PomSnapshot, program?: PomSnapshotProgram) =>
+      program ? { budgetYear: snapshot.budgetYear, resources: program.resources } : null;
+
+    const ids = [...new Set([...baseline.programs, ...compare.programs].map(p => p.programElementId))];
+
+    return {
+      baseline: { id: baseline.id, name: baseline.name, budgetYear: baseline.budgetYear },
+      compare: { id: compare.id, name: compare.name, budgetYear: compare.budgetYear },
+      programs: ids.map(programElementId => {
+        const before = baseline.programs.find(p => p.programElementId === programElementId);
+        const after = compare.programs.find(p => p.programElementId === programElementId);
+        const program = (after || before)!;
+        return {
+          programElementId,
+          peNumber: program.peNumber,
+          name: program.name,
+          comparison: fydpRules.compareProjections(projection(baseline, before), projection(compare, after)),
+        };
+      }),
+      totals: fydpRules.compareProjections(
+        { budgetYear: baseline.budgetYear, resources: baseline.programs.flatMap(p => p.resources) },
+        { budgetYear: compare.budgetYear, resources: compare.programs.flatMap(p => p.resources) }
+      ),
+    };
+  }
+
+  private inBasis(snapshot: PomSnapshot, target: DollarBasisTarget): PomSnapshot {
+    return {
+      ...snapshot,
+      programs: snapshot.programs.map(program => {
+        const { resources } = inflationService.restateProjection(
+          {
+            budgetYear: snapshot.budgetYear,
+            resources: program.resources,
+            dollarBasis: snapshot.dollarBasis,
+            dollarYear: snapshot.dollarYear,
+          },
+          target
+        );
+        return { ...program, resources, total: resources.reduce((sum, r) => sum + r.amount, 0) };
+      }),
+    };
+  }
+
+  // The proposed position if one is being built for the budget year, else the program of record
+  private toSnapshotProgram(
+    program: ProgramElement,
+    budgetYear: number,
+    target: DollarBasisTarget
+  ): PomSnapshotProgram | null {
+    const proposed = program.fydp?.proposed;
+    const programOfRecord = program.fydp?.programOfRecord;
+    const [position, projection] = proposed?.budgetYear === budgetYear
+      ? [FydpPosition.PROPOSED, proposed]
+      : programOfRecord?.budgetYear === budgetYear
+        ? [FydpPosition.PROGRAM_OF_RECORD, programOfRecord]
+        : [null, null];
+
+    if (!position || !projection) {
+      return null;
+    }
+
+    const { resources } = inflationService.restateProjection(projection, target);
+
+    return {
+      programElementId: program.id,
+      peNumber: program.peNumber,
+      name: program.name,
+      position,
+      resources,
+      total: resources.reduce((sum, r) => sum + r.amount, 0),
+    };
+  }
+}
+
+export const pomService = new PomService();
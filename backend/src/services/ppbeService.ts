@@ -0,0 +1,469 @@
+// PPBE Domain Rules API
+// Exposes the PPBE domain module (src/domain/ppbe) as service calls
+import * as ppbe from '../domain/ppbe';
+import {
+  Appropriation,
+  ComplianceFinding,
+  ComplianceRule,
+  ComplianceSeverity,
+  DollarBasis,
+  RulePackReference,
+  SpendPlanMonth,
+} from '../types';
+import { appropriationService, ContinuingResolutionStatus, FundsControlStatus } from './appropriationService';
+import { apportionmentService } from './apportionmentService';
+import { fiscalYearService } from './fiscalYearService';
+import { federalCalendarService } from './federalCalendarService';
+import { rulePackService } from './rulePackService';
+import { AppropriationLifecycleStatus } from './appropriationLifecycleService';
+import { AppError } from '../middleware/errorHandler';
+
+export type ExhibitType =
+  | 'BUDGET_JUSTIFICATION'
+  | 'OP-5'
+  | 'P-1'
+  | 'R-2'
+  | 'C-1'
+  | 'DD-1415'
+  | 'QUARTERLY'
+  | 'BUDGET_BOOK';
+
+export interface ExecutionDayOptions {
+  dayBasis?: 'calendar' | 'business';
+  asOf?: Date | string;
+}
+
+export interface PpbeBudgetAccount {
+  appropriated: number;
+  apportioned?: number | null;
+  allotted?: number | null;
+  continuingResolutionLimit?: number | null;
+  obligated?: number;
+  committed?: number;
+  available?: number | null;
+  [key: string]: any;
+}
+
+export interface ObligationComplianceInput {
+  amount: number;
+  obligationDate: Date;
+  fiscalYear?: number;
+  appropriationType?: string;
+  purpose?: string;
+  justification?: string;
+  expirationDate?: Date;
+  isNewStart?: boolean;
+  continuingResolution?: ContinuingResolutionStatus | null;
+  apportionment?: { category: string; amount: number; restrictions: any[] } | null;
+  lifecycleTransaction?: {
+    type: 'NEW_OBLIGATION' | 'UPWARD_ADJUSTMENT' | 'DOWNWARD_ADJUSTMENT';
+    amount: number;
+    lifecycle: AppropriationLifecycleStatus;
+  } | null;
+}
+
+export interface ObligationComplianceResult {
+  violations: ComplianceFinding[];
+  warnings: ComplianceFinding[];
+  expiredFundAdjustment?: {
+    requiresAgencyHeadApproval: boolean;
+    requiresCongressionalNotification: boolean;
+  } | null;
+  rulePack: RulePackReference;
+  checkedAt: Date;
+}
+
+export class PpbeService {
+  getModuleInfo() {
+    return ppbe.getModuleInfo();
+  }
+
+  // Fiscal Year (PPBE-001)
+  getFiscalYearInfo(date?: Date | string) {
+    const asOf = date ? new Date(date) : new Date();
+    if (isNaN(asOf.getTime())) {
+      throw new AppError(400, 'Invalid date');
+    }
+
+    const fy = ppbe.fiscalYear.getFiscalYear(asOf);
+    const calendar = federalCalendarService.getCalendarOptions();
+
+    return {
+      date: asOf.toISOString(),
+      fiscalYear: fy,
+      display: ppbe.fiscalYear.getFiscalYearRangeDisplay(fy),
+      quarter: ppbe.fiscalYear.getFiscalQuarter(asOf),
+      startDate: ppbe.fiscalYear.getFiscalYearStartDate(fy),
+      endDate: ppbe.fiscalYear.getFiscalYearEndDate(fy),
+      daysElapsed: ppbe.fiscalYear.getDaysElapsedInFiscalYear(asOf),
+      daysRemaining: ppbe.fiscalYear.getDaysRemainingInFiscalYear(asOf),
+      isBusinessDay: ppbe.fiscalYear.isBusinessDay(asOf, calendar),
+      businessDaysElapsed: ppbe.fiscalYear.getBusinessDaysElapsedInFiscalYear(asOf, calendar),
+      businessDaysRemaining: ppbe.fiscalYear.getBusinessDaysRemainingInFiscalYear(asOf, calendar),
+      businessDaysInYear: ppbe.fiscalYear.getBusinessDaysInFiscalYear(fy, calendar),
+    };
+  }
+
+  // Appropriation Types (PPBE-002); periods of availability come from the rule pack in effect (PPBE-018)
+  getAppropriationTypes() {
+    return ppbe.appropriationType.getAllAppropriationTypes();
+  }
+
+  validateAppropriationType(typeCode: string, fiscalYear?: number, subType?: string) {
+    if (fiscalYear) {
+      const rulePack = rulePackService.getEffectiveRulePack();
+      return {
+        ...ppbe.appropriationType.validateAppropriationWithFY({ typeCode, fiscalYear, subType }, rulePack.rules),
+        rulePack: rulePackService.getReference(rulePack),
+      };
+    }
+    return ppbe.appropriationType.validateAppropriationType(typeCode);
+  }
+
+  calculateExpiration(typeCode: string, fiscalYear: number, subType?: string) {
+    const rulePack = rulePackService.getEffectiveRulePack();
+    return {
+      ...ppbe.appropriationType.calculateExpirationDate(typeCode, fiscalYear, subType, rulePack.rules),
+      rulePack: rulePackService.getReference(rulePack),
+    };
+  }
+
+  // Colors of Money (PPBE-003)
+  validateColorOfMoney(transaction: any) {
+    const rulePack = rulePackService.getEffectiveRulePack(transaction.obligationDate);
+    return {
+      ...ppbe.colorsOfMoney.validateColorOfMoneyRules(transaction, rulePack.rules),
+      rulePack: rulePackService.getReference(rulePack),
+    };
+  }
+
+  recommendAppropriationType(purpose: string, amount: number, description?: string) {
+    const rulePack = rulePackService.getEffectiveRulePack();
+    return {
+      ...ppbe.colorsOfMoney.recommendAppropriationType(purpose, amount, description, rulePack.rules),
+      rulePack: rulePackService.getReference(rulePack),
+    };
+  }
+
+  // Purpose, Time, Amount (PPBE-004)
+  validatePTA(transaction: any, budgetAccount: PpbeBudgetAccount) {
+    const rulePack = rulePackService.getEffectiveRulePack(transaction.obligationDate);
+    return {
+      ...ppbe.ptaValidation.validatePTA(transaction, budgetAccount, rulePack.rules),
+      rulePack: rulePackService.getReference(rulePack),
+    };
+  }
+
+  // Bona Fide Need (PPBE-005)
+  validateBonaFideNeed(transaction: any) {
+    return ppbe.bonaFideNeed.validateBonaFideNeed(transaction);
+  }
+
+  // Anti-Deficiency Act (PPBE-006)
+  checkOverobligation(budgetAccount: PpbeBudgetAccount, amount: number) {
+    return ppbe.antiDeficiencyAct.checkOverobligation(budgetAccount, amount);
+  }
+
+  validateAntiDeficiencyAct(transaction: any, budgetAccount: PpbeBudgetAccount, apportionment?: any) {
+    return ppbe.antiDeficiencyAct.validateAntiDeficiencyAct(transaction, budgetAccount, apportionment || null);
+  }
+
+  // Multi-Year Funding (PPBE-007)
+  validateFullFunding(contract: any) {
+    return ppbe.multiYearFunding.validateFullFunding(contract);
+  }
+
+  calculateIncrementalFundingSchedule(contract: any) {
+    return ppbe.multiYearFunding.calculateIncrementalFundingSchedule(contract);
+  }
+
+  recommendFundingPhasing(requirement: any) {
+    return ppbe.multiYearFunding.recommendFundingPhasing(requirement);
+  }
+
+  // Budget Workflow (PPBE-008)
+  getWorkflowStates(phase?: string) {
+    if (phase) {
+      return ppbe.budgetWorkflow.getStatesByPhase(phase.toUpperCase());
+    }
+    return ppbe.budgetWorkflow.getAllWorkflowStates();
+  }
+
+  // Execution Tracking (PPBE-009); business-day benchmarks honor recorded closures
+  calculateExecutionMetrics(account: any, options: ExecutionDayOptions = {}) {
+    return ppbe.executionTracking.calculateExecutionMetrics(account, this.executionDayOptions(options));
+  }
+
+  // A spend plan (PPBE-022) sets the expected rate from its planned obligations to date
+  trackObligationPerformance(
+    account: any,
+    target?: { targetRate?: number; spendPlan?: SpendPlanMonth[] },
+    options: ExecutionDayOptions = {}
+  ) {
+    return ppbe.executionTracking.trackObligationPerformance(account, target || null, this.executionDayOptions(options));
+  }
+
+  private executionDayOptions(options: ExecutionDayOptions) {
+    return { ...options, ...federalCalendarService.getCalendarOptions() };
+  }
+
+  // Congressional Reporting (PPBE-010); exhibits state the dollar basis of their amounts (PPBE-017)
+  formatExhibit(exhibitType: ExhibitType, data: any) {
+    const exhibit = this.renderExhibit(exhibitType, data);
+    const basis = { basis: data.dollarBasis || DollarBasis.THEN_YEAR, year: data.dollarYear };
+
+    return {
+      ...exhibit,
+      dollarBasis: { ...basis, label: ppbe.inflation.describeBasis(basis) },
+    };
+  }
+
+  private renderExhibit(exhibitType: ExhibitType, data: any) {
+    const reporting = ppbe.congressionalReporting;
+
+    switch (exhibitType) {
+      case 'BUDGET_JUSTIFICATION':
+        return reporting.formatBudgetJustification(data);
+      case 'OP-5':
+        return reporting.formatOMExhibit(data);
+      case 'P-1':
+        return reporting.formatProcurementExhibit(data);
+      case 'R-2':
+        return reporting.formatRDTEExhibit(data);
+      case 'C-1':
+        return reporting.formatMILCONExhibit(data);
+      case 'DD-1415':
+        return reporting.formatReprogrammingAction(data);
+      case 'QUARTERLY':
+        return reporting.formatQuarterlyReport(data);
+      case 'BUDGET_BOOK':
+        return reporting.generateCongressionalBudgetBook(data);
+      default:
+        throw new AppError(400, `Unsupported exhibit type: ${exhibitType}`);
+    }
+  }
+
+  // Combined validation, under the rule pack in effect on the transaction date (PPBE-018)
+  validateTransaction(transaction: any, budgetAccount?: PpbeBudgetAccount, apportionment?: any) {
+    const rulePack = rulePackService.getEffectiveRulePack(transaction.obligationDate);
+    return ppbe.validateTransaction(transaction, budgetAccount || {}, { apportionment, rulePack });
+  }
+
+  async validateTransactionForAppropriation(
+    transaction: any,
+    appropriationId: string,
+    apportionment?: any
+  ) {
+    const appropriation = await appropriationService.getAppropriationById(appropriationId);
+    const fiscalYear = await fiscalYearService.getFiscalYearById(appropriation.fiscalYearId);
+    const asOf = transaction.obligationDate ? new Date(transaction.obligationDate) : new Date();
+    const continuingResolution = appropriationService.getContinuingResolutionStatus(appropriation, asOf);
+    const fundsControl = appropriationService.getFundsControl(appropriation, {
+      organizationId: transaction.organizationId,
+      asOf,
+    });
+    const budgetAccount = this.toBudgetAccount(appropriation, continuingResolution, fundsControl);
+
+    const result = ppbe.validateTransaction(
+      { fiscalYear: fiscalYear.year, ...transaction },
+      budgetAccount,
+      {
+        apportionment: apportionment ?? apportionmentService.getAdaApportionment(appropriationId),
+        rulePack: rulePackService.getEffectiveRulePack(asOf),
+      }
+    );
+
+    return {
+      ...result,
+      appropriationId,
+      budgetAccount,
+      continuingResolution,
+    };
+  }
+
+  // Write-time ADA (31 U.S.C. 1341, 1517) and PTA (31 U.S.C. 1301) checks for an obligation.
+  // ADA findings keep the severity of the check that raised them (an error from a check that
+  // reports none is HIGH); validator warnings are kept for the record.
+  evaluateObligationCompliance(
+    obligation: ObligationComplianceInput,
+    budgetAccount: PpbeBudgetAccount
+  ): ObligationComplianceResult {
+    const violations: ComplianceFinding[] = [];
+    const warnings: ComplianceFinding[] = [];
+    const rulePack = rulePackService.getEffectiveRulePack(obligation.obligationDate);
+
+    const ada: any = ppbe.antiDeficiencyAct.validateAntiDeficiencyAct(
+      {
+        amount: obligation.amount,
+        obligationDate: obligation.obligationDate,
+        fundingSource: 'APPROPRIATION',
+      },
+      budgetAccount
+    );
+    Object.values(ada.validations).forEach((check: any) => {
+      const level = check.severity?.level as ComplianceSeverity | undefined;
+      check.errors.forEach((message: string) =>
+        violations.push({
+          rule: ComplianceRule.ANTI_DEFICIENCY,
+          severity: level || ComplianceSeverity.HIGH,
+          message,
+          statute: '31 U.S.C. § 1341',
+        })
+      );
+      check.warnings.forEach((message: string) =>
+        warnings.push({
+          rule: ComplianceRule.ANTI_DEFICIENCY,
+          severity: level || ComplianceSeverity.LOW,
+          message,
+          statute: '31 U.S.C. § 1341',
+        })
+      );
+    });
+
+    // SF-132 footnotes (PPBE-013); the apportioned amount itself is enforced above
+    // through budgetAccount.apportioned
+    if (obligation.apportionment) {
+      const footnotes: any = ppbe.antiDeficiencyAct.checkApportionmentViolation(
+        { obligationDate: obligation.obligationDate, purpose: obligation.purpose },
+        obligation.apportionment
+      );
+      footnotes.errors.forEach((message: string) =>
+        violations.push({
+          rule: ComplianceRule.ANTI_DEFICIENCY,
+          severity: (footnotes.severity?.level as ComplianceSeverity) || ComplianceSeverity.HIGH,
+          message,
+          statute: '31 U.S.C. § 1517',
+        })
+      );
+    }
+
+    if (obligation.appropriationType) {
+      const pta: any = ppbe.ptaValidation.validatePTA(
+        {
+          amount: obligation.amount,
+          appropriationType: obligation.appropriationType,
+          purpose: obligation.purpose,
+          justification: obligation.justification,
+          fiscalYear: obligation.fiscalYear,
+          obligationDate: obligation.obligationDate,
+        },
+        budgetAccount,
+        rulePack.rules
+      );
+
+      // The AMOUNT restriction duplicates the ADA check above against the controlling limit,
+      // so only PURPOSE and TIME findings are recorded from the PTA result.
+      const restrictions: Array<[any, ComplianceRule]> = [
+        [pta.validations.purpose, ComplianceRule.PURPOSE],
+        [pta.validations.time, ComplianceRule.TIME],
+      ];
+      restrictions.forEach(([result, rule]) => {
+        result.errors.forEach((message: string) =>
+          violations.push({ rule, severity: ComplianceSeverity.CRITICAL, message, statute: '31 U.S.C. § 1301' })
+        );
+        result.warnings.forEach((message: string) =>
+          warnings.push({ rule, severity: ComplianceSeverity.LOW, message, statute: '31 U.S.C. § 1301' })
+        );
+      });
+    } else if (obligation.expirationDate && obligation.obligationDate > obligation.expirationDate) {
+      violations.push({
+        rule: ComplianceRule.TIME,
+        severity: ComplianceSeverity.CRITICAL,
+        message:
+          `Cannot obligate expired funds. Appropriation expired on ` +
+          `${obligation.expirationDate.toLocaleDateString()}.`,
+        statute: '31 U.S.C. § 1502',
+      });
+    }
+
+    // Continuing Resolution (PPBE-011): the CR limit itself is enforced by the ADA check
+    // through budgetAccount.continuingResolutionLimit; new starts are checked here.
+    const cr = obligation.continuingResolution;
+    if (cr) {
+      const newStart: any = ppbe.continuingResolution.checkNewStart(
+        { isNewStart: obligation.isNewStart },
+        { name: cr.name, noNewStarts: cr.noNewStarts },
+        cr.anomaly
+      );
+      const statute = 'DoD FMR Volume 3, Chapter 3';
+
+      newStart.errors.forEach((message: string) =>
+        violations.push({ rule: ComplianceRule.CONTINUING_RESOLUTION, severity: ComplianceSeverity.CRITICAL, message, statute })
+      );
+      [...cr.warnings, ...newStart.warnings].forEach((message: string) =>
+        warnings.push({ rule: ComplianceRule.CONTINUING_RESOLUTION, severity: ComplianceSeverity.LOW, message, statute })
+      );
+    }
+
+    // Appropriation lifecycle (PPBE-012): nothing may be charged to a cancelled account, and
+    // upward adjustments to an expired account are flagged. New obligations after expiration
+    // are blocked by the TIME check above.
+    let expiredFundAdjustment: ObligationComplianceResult['expiredFundAdjustment'] = null;
+    const lifecycleTransaction = obligation.lifecycleTransaction;
+    if (lifecycleTransaction) {
+      const result: any = ppbe.appropriationLifecycle.validateLifecycleTransaction(
+        { type: lifecycleTransaction.type, amount: lifecycleTransaction.amount },
+        lifecycleTransaction.lifecycle
+      );
+      const severity = result.requiresAgencyHeadApproval ? ComplianceSeverity.HIGH : ComplianceSeverity.MEDIUM;
+
+      result.errors.forEach((message: string) =>
+        violations.push({
+          rule: ComplianceRule.APPROPRIATION_LIFECYCLE,
+          severity: ComplianceSeverity.CRITICAL,
+          message,
+          statute: result.statute,
+        })
+      );
+      result.warnings.forEach((message: string) =>
+        warnings.push({ rule: ComplianceRule.APPROPRIATION_LIFECYCLE, severity, message, statute: result.statute })
+      );
+
+      if (result.warnings.length > 0 && lifecycleTransaction.type === 'UPWARD_ADJUSTMENT') {
+        expiredFundAdjustment = {
+          requiresAgencyHeadApproval: result.requiresAgencyHeadApproval,
+          requiresCongressionalNotification: result.requiresCongressionalNotification,
+        };
+      }
+    }
+
+    return {
+      violations,
+      warnings,
+      expiredFundAdjustment,
+      rulePack: rulePackService.getReference(rulePack),
+      checkedAt: new Date(),
+    };
+  }
+
+  // Obligations and open commitments (PPBE-009) come from funds control (PPBE-013), which also
+  // replaces the apportioned total with the amount apportioned through the transaction date and
+  // adds the allotment the transaction is charged to
+  toBudgetAccount(
+    appropriation: Appropriation,
+    continuingResolution: ContinuingResolutionStatus | null = null,
+    fundsControl: FundsControlStatus = appropriationService.getFundsControl(appropriation)
+  ): PpbeBudgetAccount {
+    const [appropriationLevel] = fundsControl.levels;
+    return {
+      appropriated: appropriation.amount,
+      apportioned: fundsControl.apportionedToDate ?? appropriation.apportionedAmount ?? null,
+      allotted: appropriation.allottedAmount ?? null,
+      continuingResolutionLimit: continuingResolution ? continuingResolution.limit : null,
+      fundsControlLevels: fundsControl.levels
+        .filter(level => level.type === 'ALLOTMENT' || level.type === 'SUB_ALLOTMENT')
+        .map(level => ({
+          type: level.type,
+          name: level.name,
+          limit: level.limit,
+          obligated: level.obligated,
+          committed: level.committed,
+        })),
+      obligated: appropriationLevel.obligated,
+      committed: appropriationLevel.committed,
+      available: appropriationLevel.available,
+    };
+  }
+}
+
+export const ppbeService = new PpbeService();
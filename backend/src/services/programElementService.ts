@@ -1,7 +1,19 @@
 // BE-007: Program Element Management API
+// PPBE-016: FYDP projections (program of record and proposed POM position)
+// PPBE-017: FYDP positions compared in a common dollar basis
 import { v4 as uuidv4 } from 'uuid';
-import { ProgramElement, ProgramStatus } from '../types';
+import {
+  DollarBasis,
+  DollarBasisTarget,
+  FydpPosition,
+  FydpProjection,
+  FydpResource,
+  ProgramElement,
+  ProgramStatus,
+} from '../types';
+import { fydp as fydpRules } from '../domain/ppbe';
 import { dataStore } from './dataStore';
+import { inflationService } from './inflationService';
 import { AppError } from '../middleware/errorHandler';
 
 export class ProgramElementService {
@@ -134,6 +146,177 @@ export class ProgramElementService {
 
     return summary;
   }
+
+  // Both positions are restated in the target basis, by default the program of record's
+  async getFydp(id: string, target?: DollarBasisTarget): Promise<{
+    programElement: ProgramElement;
+    programOfRecord: FydpProjection | null;
+    proposed: FydpProjection | null;
+    summaries: { programOfRecord: any; proposed: any };
+    comparison: any;
+  }> {
+    const programElement = await this.getProgramElementById(id);
+    const stored = programElement.fydp?.programOfRecord || programElement.fydp?.proposed;
+    const basis = target || {
+      basis: stored?.dollarBasis || DollarBasis.THEN_YEAR,
+      year: stored?.dollarYear,
+    };
+    const restate = (projection?: FydpProjection) =>
+      projection ? inflationService.restateProjection(projection, basis) : null;
+    const programOfRecord = restate(programElement.fydp?.programOfRecord);
+    const proposed = restate(programElement.fydp?.proposed);
+
+    return {
+      programElement,
+      programOfRecord,
+      proposed,
+      summaries: {
+        programOfRecord: programOfRecord ? fydpRules.summarizeProjection(programOfRecord) : null,
+        proposed: proposed ? fydpRules.summarizeProjection(proposed) : null,
+      },
+      comparison: programOfRecord || proposed
+        ? fydpRules.compareProjections(programOfRecord, proposed || programOfRecord)
+        : null,
+    };
+  }
+
+  async setFydpPosition(id: string, position: FydpPosition, data: {
+    budgetYear: number;
+    resources: FydpResource[];
+    dollarBasis?: DollarBasis;
+    dollarYear?: number;
+  }, updatedBy: string): Promise<ProgramElement> {
+    const programElement = await this.getProgramElementById(id);
+    return this.saveFydpPosition(programElement, position, data, updatedBy);
+  }
+
+  // Adds a requirement to the proposed position, phased by multiYearFunding.recommendFundingPhasing.
+  // The total cost is taken to be in the position's dollar basis.
+  async phaseRequirement(id: string, requirement: {
+    appropriationType: string;
+    totalCost: number;
+    budgetYear?: number;
+    approach?: string;
+    urgency?: string;
+    riskLevel?: string;
+    contractType?: string;
+    performancePeriod?: { start: Date | string; end: Date | string };
+  }, updatedBy: string): Promise<{ programElement: ProgramElement; phasing: any }> {
+    const programElement = await this.getProgramElementById(id);
+    const current = programElement.fydp?.proposed || programElement.fydp?.programOfRecord;
+    const budgetYear = current?.budgetYear ?? requirement.budgetYear;
+
+    if (budgetYear === undefined) {
+      throw new AppError(400, 'Budget year is required when the program element has no FYDP position');
+    }
+    if (requirement.budgetYear !== undefined && requirement.budgetYear !== budgetYear) {
+      throw new AppError(400, `Proposed position covers the FY${budgetYear} FYDP`);
+    }
+
+    const phasing: any = fydpRules.phaseRequirement(requirement, budgetYear);
+    if (!phasing.isValid) {
+      throw new AppError(400, 'Invalid funding phasing', phasing.errors);
+    }
+
+    const resources = (current?.resources || []).map(r => ({ ...r }));
+    for (const line of phasing.resources as FydpResource[]) {
+      const existing = resources.find(
+        r => r.appropriationType === line.appropriationType && r.fiscalYear === line.fiscalYear
+      );
+      if (existing) {
+        existing.amount += line.amount;
+      } else {
+        resources.push(line);
+      }
+    }
+
+    const updated = this.saveFydpPosition(
+      programElement,
+      FydpPosition.PROPOSED,
+      { ...current, budgetYear, resources },
+      updatedBy
+    );
+    return { programElement: updated, phasing };
+  }
+
+  // Program of record vs. proposed across program elements; a program without a
+  // proposed position carries its program of record forward unchanged. Every
+  // position is restated in one dollar basis, then-year unless one is given.
+  async compareFydp(filters: {
+    budgetYear: number;
+    department?: string;
+    basis?: DollarBasis;
+    year?: number;
+  }): Promise<{
+    budgetYear: number;
+    dollarBasis: DollarBasis;
+    dollarYear?: number;
+    programs: { programElementId: string; peNumber: string; name: string; comparison: any }[];
+    totals: any;
+  }> {
+    const programs = (await this.getAllProgramElements({ department: filters.department })).filter(
+      p => p.fydp?.programOfRecord?.budgetYear === filters.budgetYear ||
+        p.fydp?.proposed?.budgetYear === filters.budgetYear
+    );
+
+    const target: DollarBasisTarget = { basis: filters.basis || DollarBasis.THEN_YEAR, year: filters.year };
+    const restate = (projection?: FydpProjection) =>
+      projection?.budgetYear === filters.budgetYear ? inflationService.restateProjection(projection, target) : null;
+
+    const positionsFor = (p: ProgramElement) => {
+      const programOfRecord = restate(p.fydp?.programOfRecord);
+      const proposed = restate(p.fydp?.proposed) || programOfRecord;
+      return { programOfRecord, proposed };
+    };
+
+    const allResources = (position: 'programOfRecord' | 'proposed') =>
+      programs.flatMap(p => positionsFor(p)[position]?.resources || []);
+
+    return {
+      budgetYear: filters.budgetYear,
+      dollarBasis: target.basis,
+      dollarYear: target.basis === DollarBasis.CONSTANT_YEAR ? target.year : undefined,
+      programs: programs.map(p => {
+        const { programOfRecord, proposed } = positionsFor(p);
+        return {
+          programElementId: p.id,
+          peNumber: p.peNumber,
+          name: p.name,
+          comparison: fydpRules.compareProjections(programOfRecord, proposed),
+        };
+      }),
+      totals: fydpRules.compareProjections(
+        { budgetYear: filters.budgetYear, resources: allResources('programOfRecord') },
+        { budgetYear: filters.budgetYear, resources: allResources('proposed') }
+      ),
+    };
+  }
+
+  private saveFydpPosition(
+    programElement: ProgramElement,
+    position: FydpPosition,
+    data: { budgetYear: number; resources: FydpResource[]; dollarBasis?: DollarBasis; dollarYear?: number },
+    updatedBy: string
+  ): ProgramElement {
+    const { budgetYear, resources, dollarBasis, dollarYear } = data;
+    const validation: any = fydpRules.validateProjection({ budgetYear, resources });
+    if (!validation.isValid) {
+      throw new AppError(400, 'Invalid FYDP projection', validation.errors);
+    }
+
+    const projection: FydpProjection = {
+      budgetYear,
+      resources,
+      ...(dollarBasis ? { dollarBasis, dollarYear } : {}),
+      updatedBy,
+      updatedAt: new Date(),
+    };
+    const key = position === FydpPosition.PROGRAM_OF_RECORD ? 'programOfRecord' : 'proposed';
+
+    return dataStore.update<ProgramElement>('programElements', programElement.id, {
+      fydp: { ...programElement.fydp, [key]: projection },
+    })!;
+  }
 }
 
 export const programElementService = new ProgramElementService();
@@ -7,6 +7,8 @@ import { budgetService } from './budgetService';
 import { expenditureService } from './expenditureService';
 import { obligationService } from './obligationService';
 import { varianceService } from './varianceService';
+import { sf133Service, SF133Report } from './sf133Service';
+import { sf133 as sf133Rules } from '../domain/ppbe';
 import { AppError } from '../middleware/errorHandler';
 
 export class ReportService {
@@ -88,6 +90,12 @@ export class ReportService {
         return this.generateExecutionAnalysis(parameters);
       case ReportType.VARIANCE_REPORT:
         return this.generateVarianceReport(parameters);
+      case ReportType.SF_133:
+        return sf133Service.generateReport({
+          fiscalYearId: parameters.fiscalYearId,
+          quarter: Number(parameters.quarter),
+          appropriationId: parameters.appropriationId,
+        });
       default:
         return { message: 'Report data generation not implemented for this type' };
     }
@@ -144,6 +152,26 @@ export class ReportService {
   async exportToJSON(data: any): Promise<string> {
     return JSON.stringify(data, null, 2);
   }
+
+  // PPBE-014: SF-133 export (one CSV row per account line; printable is a fixed-width layout)
+  async exportSF133(params: {
+    fiscalYearId: string;
+    quarter: number;
+    appropriationId?: string;
+  }, format: 'json' | 'csv' | 'printable'): Promise<{ report: SF133Report; content: string }> {
+    const report = await sf133Service.generateReport(params);
+
+    let content: string;
+    if (format === 'csv') {
+      content = await this.exportToCSV(sf133Rules.toRows(report));
+    } else if (format === 'printable') {
+      content = sf133Rules.formatPrintable(report);
+    } else {
+      content = await this.exportToJSON(report);
+    }
+
+    return { report, content };
+  }
 }
 
 export const reportService = new ReportService();
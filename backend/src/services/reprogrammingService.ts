@@ -0,0 +1,368 @@
+// PPBE-015: Reprogramming
+// Moves funds between program elements or budget line items. Below threshold reprogrammings
+// apply immediately; prior approval actions wait on approvalService
+import { v4 as uuidv4 } from 'uuid';
+import {
+  ApprovalEntityType,
+  ApprovalRequest,
+  Budget,
+  BudgetLineItem,
+  FiscalYear,
+  ProgramElement,
+  Reprogramming,
+  ReprogrammingCategory,
+  ReprogrammingLineType,
+  ReprogrammingStatus,
+} from '../types';
+import { reprogramming as reprogrammingRules, congressionalReporting } from '../domain/ppbe';
+import { dataStore } from './dataStore';
+import { approvalService } from './approvalService';
+import { AppError } from '../middleware/errorHandler';
+
+interface ReprogrammingLine {
+  id: string;
+  number: string;
+  title: string;
+  amount: number;
+  obligated: number;
+  fiscalYearId?: string;
+  appropriation?: string;
+  appropriationTypes: string[];
+}
+
+export interface BtrStatus {
+  lineType: ReprogrammingLineType;
+  lineId: string;
+  number: string;
+  title: string;
+  appropriationType: string;
+  fiscalYearId?: string;
+  currentAmount: number;
+  baseAmount: number;
+  limit: number | null;
+  basis: string | null;
+  cumulativeIncreases: number;
+  cumulativeDecreases: number;
+  remainingIncrease: number | null;
+  remainingDecrease: number | null;
+  reprogrammings: Reprogramming[];
+}
+
+export class ReprogrammingService {
+  async createReprogramming(data: {
+    lineType: ReprogrammingLineType;
+    fromId: string;
+    toId: string;
+    amount: number;
+    appropriationType?: string;
+    justification: string;
+  }, requestedBy: string): Promise<Reprogramming> {
+    if (data.fromId === data.toId) {
+      throw new AppError(400, 'Source and target lines must be different');
+    }
+
+    const from = this.getLine(data.lineType, data.fromId);
+    const to = this.getLine(data.lineType, data.toId);
+
+    if (!from.fiscalYearId || from.fiscalYearId !== to.fiscalYearId) {
+      throw new AppError(400, 'Reprogramming must stay within one fiscal year');
+    }
+    if (data.lineType === ReprogrammingLineType.LINE_ITEM && from.appropriation !== to.appropriation) {
+      throw new AppError(400, 'Moving funds between appropriations is a transfer, not a reprogramming');
+    }
+
+    const appropriationType = this.resolveAppropriationType([from, to], data.appropriationType);
+    const evaluation = this.evaluate(appropriationType, data.amount, from, to, from.fiscalYearId);
+    if (!evaluation.isValid) {
+      throw new AppError(400, 'Invalid reprogramming', evaluation.errors);
+    }
+
+    const category = evaluation.category as ReprogrammingCategory;
+    const workflowId = category === ReprogrammingCategory.PRIOR_APPROVAL
+      ? await this.findApprovalWorkflow(category)
+      : undefined;
+
+    const reprogramming: Reprogramming = {
+      id: uuidv4(),
+      controlNumber: this.nextControlNumber(from.fiscalYearId),
+      fiscalYearId: from.fiscalYearId,
+      appropriationType,
+      lineType: data.lineType,
+      fromId: data.fromId,
+      toId: data.toId,
+      amount: data.amount,
+      justification: data.justification,
+      category,
+      status: ReprogrammingStatus.PENDING_APPROVAL,
+      evaluation,
+      requestedBy,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    dataStore.create<Reprogramming>('reprogrammings', reprogramming);
+
+    if (!workflowId) {
+      return this.applyFundingChange(reprogramming);
+    }
+
+    const approvalRequest = await approvalService.createApprovalRequest({
+      workflowId,
+      entityType: ApprovalEntityType.REPROGRAMMING,
+      entityId: reprogramming.id,
+      amount: data.amount,
+      comments: `${reprogramming.controlNumber}: $${data.amount.toLocaleString()} from ${from.number} to ${to.number} ` +
+        `(${evaluation.form})`,
+    }, requestedBy);
+
+    return dataStore.update<Reprogramming>('reprogrammings', reprogramming.id, {
+      approvalRequestId: approvalRequest.id,
+    })!;
+  }
+
+  async getReprogrammings(filters?: {
+    fiscalYearId?: string;
+    status?: ReprogrammingStatus;
+    category?: ReprogrammingCategory;
+    lineId?: string;
+  }): Promise<Reprogramming[]> {
+    let reprogrammings = dataStore.findAll<Reprogramming>('reprogrammings');
+
+    if (filters?.fiscalYearId) {
+      reprogrammings = reprogrammings.filter(r => r.fiscalYearId === filters.fiscalYearId);
+    }
+    if (filters?.status) {
+      reprogrammings = reprogrammings.filter(r => r.status === filters.status);
+    }
+    if (filters?.category) {
+      reprogrammings = reprogrammings.filter(r => r.category === filters.category);
+    }
+    if (filters?.lineId) {
+      reprogrammings = reprogrammings.filter(r => r.fromId === filters.lineId || r.toId === filters.lineId);
+    }
+
+    return reprogrammings.sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime());
+  }
+
+  async getReprogrammingById(id: string): Promise<Reprogramming> {
+    const reprogramming = dataStore.findById<Reprogramming>('reprogrammings', id);
+    if (!reprogramming) {
+      throw new AppError(404, 'Reprogramming not found');
+    }
+    return reprogramming;
+  }
+
+  // Cumulative BTR position of a line for its fiscal year
+  async getBtrStatus(lineType: ReprogrammingLineType, lineId: string, requestedType?: string): Promise<BtrStatus> {
+    const line = this.getLine(lineType, lineId);
+    const appropriationType = this.resolveAppropriationType([line], requestedType);
+    const applied = this.findApplied(line.fiscalYearId);
+    const activity: any = reprogrammingRules.summarizeLineActivity(lineId, applied);
+    const baseAmount = line.amount - activity.netChange;
+    const btr: any = reprogrammingRules.getBtrLimit(appropriationType, baseAmount);
+
+    return {
+      lineType,
+      lineId,
+      number: line.number,
+      title: line.title,
+      appropriationType,
+      fiscalYearId: line.fiscalYearId,
+      currentAmount: line.amount,
+      baseAmount,
+      limit: btr ? btr.limit : null,
+      basis: btr ? btr.basis : null,
+      cumulativeIncreases: activity.cumulativeIncreases,
+      cumulativeDecreases: activity.cumulativeDecreases,
+      remainingIncrease: btr ? Math.max(0, btr.limit - activity.cumulativeIncreases) : null,
+      remainingDecrease: btr ? Math.max(0, btr.limit - activity.cumulativeDecreases) : null,
+      reprogrammings: await this.getReprogrammings({ lineId }),
+    };
+  }
+
+  // DD 1415 rendering of a reprogramming
+  async getDD1415(id: string): Promise<any> {
+    const reprogramming = await this.getReprogrammingById(id);
+    const from = this.getLine(reprogramming.lineType, reprogramming.fromId);
+    const to = this.getLine(reprogramming.lineType, reprogramming.toId);
+    const fiscalYear = dataStore.findById<FiscalYear>('fiscalYears', reprogramming.fiscalYearId);
+    const isPriorApproval = reprogramming.category === ReprogrammingCategory.PRIOR_APPROVAL;
+
+    return {
+      ...congressionalReporting.formatReprogrammingAction({
+        fiscalYear: fiscalYear ? fiscalYear.year : undefined,
+        appropriationType: reprogramming.appropriationType,
+        controlNumber: reprogramming.controlNumber,
+        fromProgram: { programElement: from.number, title: from.title, currentAmount: from.amount },
+        toProgram: { programElement: to.number, title: to.title, currentAmount: to.amount },
+        amount: reprogramming.amount,
+        justification: reprogramming.justification,
+        category: isPriorApproval ? 'Prior Approval Reprogramming' : 'Below Threshold Reprogramming (BTR)',
+        notificationRequired: isPriorApproval,
+      }),
+      form: reprogramming.evaluation?.form,
+      status: reprogramming.status,
+    };
+  }
+
+  // Called by approvalService when a reprogramming approval request reaches a final decision
+  async resolveApproval(request: ApprovalRequest, approved: boolean, approverId: string): Promise<void> {
+    const reprogramming = dataStore.findById<Reprogramming>('reprogrammings', request.entityId);
+    if (
+      !reprogramming ||
+      reprogramming.approvalRequestId !== request.id ||
+      reprogramming.status !== ReprogrammingStatus.PENDING_APPROVAL
+    ) {
+      return;
+    }
+
+    if (approved) {
+      this.applyFundingChange(reprogramming, approverId);
+    } else {
+      dataStore.update<Reprogramming>('reprogrammings', reprogramming.id, { status: ReprogrammingStatus.REJECTED });
+    }
+  }
+
+  // Both lines and the reprogramming are written in one synchronous step,
+  // so no other request can observe only one side of the net-zero change
+  private applyFundingChange(reprogramming: Reprogramming, approvedBy?: string): Reprogramming {
+    const from = this.getLine(reprogramming.lineType, reprogramming.fromId);
+    const to = this.getLine(reprogramming.lineType, reprogramming.toId);
+    const available = from.amount - from.obligated - this.sumPendingDecreases(from.id, reprogramming.id);
+
+    if (reprogramming.amount > available) {
+      return dataStore.update<Reprogramming>('reprogrammings', reprogramming.id, {
+        status: ReprogrammingStatus.FAILED,
+        approvedBy,
+        failureReason: `Source line ${from.number} has only $${available.toLocaleString()} available`,
+      })!;
+    }
+
+    this.setLineAmount(reprogramming.lineType, from.id, from.amount - reprogramming.amount);
+    this.setLineAmount(reprogramming.lineType, to.id, to.amount + reprogramming.amount);
+
+    return dataStore.update<Reprogramming>('reprogrammings', reprogramming.id, {
+      status: ReprogrammingStatus.APPLIED,
+      approvedBy,
+      appliedAt: new Date(),
+    })!;
+  }
+
+  private evaluate(
+    appropriationType: string,
+    amount: number,
+    from: ReprogrammingLine,
+    to: ReprogrammingLine,
+    fiscalYearId: string
+  ): any {
+    const applied = this.findApplied(fiscalYearId);
+    const fromActivity: any = reprogrammingRules.summarizeLineActivity(from.id, applied);
+    const toActivity: any = reprogrammingRules.summarizeLineActivity(to.id, applied);
+
+    // Funds held by pending prior approval actions are not available to move again
+    return reprogrammingRules.evaluateReprogramming({
+      appropriationType,
+      amount,
+      from: {
+        baseAmount: from.amount - fromActivity.netChange,
+        available: from.amount - from.obligated - this.sumPendingDecreases(from.id),
+        cumulativeDecreases: fromActivity.cumulativeDecreases,
+      },
+      to: {
+        baseAmount: to.amount - toActivity.netChange,
+        cumulativeIncreases: toActivity.cumulativeIncreases,
+      },
+    });
+  }
+
+  // Thresholds follow the funds being moved, whatever type the request names
+  private resolveAppropriationType(lines: ReprogrammingLine[], requested?: string): string {
+    const resolution: any = reprogrammingRules.resolveAppropriationType(lines, requested);
+    if (!resolution.isValid) {
+      throw new AppError(400, 'Invalid appropriation type', resolution.errors);
+    }
+    return resolution.appropriationType;
+  }
+
+  private async findApprovalWorkflow(category: ReprogrammingCategory): Promise<string> {
+    const workflows = await approvalService.getWorkflows(ApprovalEntityType.REPROGRAMMING);
+    const workflow =
+      workflows.find(w => w.approvalLevel === category) ||
+      workflows.find(w => !w.approvalLevel);
+
+    if (!workflow) {
+      throw new AppError(400, 'No reprogramming approval workflow configured for prior approval actions');
+    }
+    return workflow.id;
+  }
+
+  private findApplied(fiscalYearId?: string): Reprogramming[] {
+    return dataStore.findMany<Reprogramming>(
+      'reprogrammings',
+      r => r.fiscalYearId === fiscalYearId && r.status === ReprogrammingStatus.APPLIED
+    );
+  }
+
+  private sumPendingDecreases(lineId: string, excludeId?: string): number {
+    return dataStore
+      .findMany<Reprogramming>(
+        'reprogrammings',
+        r => r.fromId === lineId && r.id !== excludeId && r.status === ReprogrammingStatus.PENDING_APPROVAL
+      )
+      .reduce((sum, r) => sum + r.amount, 0);
+  }
+
+  private nextControlNumber(fiscalYearId: string): string {
+    const fiscalYear = dataStore.findById<FiscalYear>('fiscalYears', fiscalYearId);
+    const year = fiscalYear ? fiscalYear.year.toString().slice(-2) : '00';
+    const sequence = dataStore.findMany<Reprogramming>('reprogrammings', r => r.fiscalYearId === fiscalYearId).length + 1;
+    return `FY${year}-RP-${sequence.toString().padStart(4, '0')}`;
+  }
+
+  private getLine(lineType: ReprogrammingLineType, id: string): ReprogrammingLine {
+    if (lineType === ReprogrammingLineType.PROGRAM_ELEMENT) {
+      const pe = dataStore.findById<ProgramElement>('programElements', id);
+      if (!pe) {
+        throw new AppError(404, 'Program element not found');
+      }
+      return {
+        id: pe.id,
+        number: pe.peNumber,
+        title: pe.name,
+        amount: pe.budget,
+        obligated: pe.obligatedAmount || 0,
+        fiscalYearId: pe.fiscalYearId,
+        // A program element is funded by the appropriations of its program of record
+        appropriationTypes: (pe.fydp?.programOfRecord?.resources || [])
+          .filter(r => r.amount > 0)
+          .map(r => r.appropriationType),
+      };
+    }
+
+    const lineItem = dataStore.findById<BudgetLineItem>('budgetLineItems', id);
+    if (!lineItem) {
+      throw new AppError(404, 'Line item not found');
+    }
+    const budget = dataStore.findById<Budget>('budgets', lineItem.budgetId);
+    return {
+      id: lineItem.id,
+      number: lineItem.lineNumber,
+      title: lineItem.description,
+      amount: lineItem.amount,
+      obligated: lineItem.obligatedAmount || 0,
+      fiscalYearId: budget?.fiscalYearId,
+      appropriation: lineItem.appropriation,
+      appropriationTypes: [lineItem.appropriationType || budget?.appropriationType].filter((t): t is string => !!t),
+    };
+  }
+
+  private setLineAmount(lineType: ReprogrammingLineType, id: string, amount: number): void {
+    if (lineType === ReprogrammingLineType.PROGRAM_ELEMENT) {
+      dataStore.update<ProgramElement>('programElements', id, { budget: amount });
+    } else {
+      dataStore.update<BudgetLineItem>('budgetLineItems', id, { amount });
+    }
+  }
+}
+
+export const reprogrammingService = new ReprogrammingService();
@@ -0,0 +1,104 @@
+// PPBE-018: Versioned compliance rule packs
+// Packs are effective-dated and not changed once loaded, so a past decision can be re-explained
+// from the version it recorded
+import { v4 as uuidv4 } from 'uuid';
+import { RulePack, RulePackReference, RulePackRules } from '../types';
+import { rulePacks as rulePackRules } from '../domain/ppbe';
+import { dataStore } from './dataStore';
+import { AppError } from '../middleware/errorHandler';
+
+const BASELINE_LOADED_AT = new Date(0);
+
+export class RulePackService {
+  async loadRulePack(data: {
+    version: string;
+    name: string;
+    description?: string;
+    authority?: string;
+    effectiveDate: string;
+    rules?: Partial<RulePackRules>;
+  }, createdBy: string): Promise<RulePack> {
+    if (this.findRulePack(data.version)) {
+      throw new AppError(409, `Rule pack version ${data.version} already exists`);
+    }
+
+    // Rules the pack does not change are carried over from the pack it supersedes
+    const base = this.getEffectiveRulePack(data.effectiveDate);
+    const built: any = rulePackRules.buildRulePack(data, base);
+    const validation: any = rulePackRules.validateRulePack(built);
+    if (!validation.isValid) {
+      throw new AppError(400, 'Invalid rule pack', validation.errors);
+    }
+
+    const pack: RulePack = {
+      id: uuidv4(),
+      ...built,
+      createdBy,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    return dataStore.create<RulePack>('rulePacks', pack);
+  }
+
+  // Every version including the baseline, in effective-date order
+  async getRulePacks(): Promise<RulePack[]> {
+    return [this.getBaselineRulePack(), ...dataStore.findAll<RulePack>('rulePacks')]
+      .sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate));
+  }
+
+  async getRulePack(version: string): Promise<RulePack> {
+    const pack = this.findRulePack(version);
+    if (!pack) {
+      throw new AppError(404, `Rule pack version ${version} not found`);
+    }
+    return pack;
+  }
+
+  // A pack can only be withdrawn before it takes effect, while no decision rests on it
+  async deleteRulePack(version: string): Promise<void> {
+    const pack = await this.getRulePack(version);
+    if (version === rulePackRules.BASELINE_VERSION) {
+      throw new AppError(400, 'The baseline rule pack cannot be deleted');
+    }
+    if (pack.effectiveDate <= this.toDateKey(new Date())) {
+      throw new AppError(400, `Rule pack ${version} took effect on ${pack.effectiveDate} and cannot be deleted`);
+    }
+    dataStore.delete<RulePack>('rulePacks', pack.id);
+  }
+
+  getEffectiveRulePack(asOf?: Date | string): RulePack {
+    const selected: any = rulePackRules.selectRulePack(dataStore.findAll<RulePack>('rulePacks'), asOf || new Date());
+    return selected.id ? selected : this.getBaselineRulePack();
+  }
+
+  getReference(pack: RulePack): RulePackReference {
+    const reference: any = rulePackRules.getRulePackReference(pack);
+    return reference;
+  }
+
+  private findRulePack(version: string): RulePack | undefined {
+    if (version === rulePackRules.BASELINE_VERSION) {
+      return this.getBaselineRulePack();
+    }
+    return dataStore.findOne<RulePack>('rulePacks', p => p.version === version);
+  }
+
+  private getBaselineRulePack(): RulePack {
+    const baseline: any = rulePackRules.getBaselineRulePack();
+    return {
+      id: rulePackRules.BASELINE_VERSION,
+      ...baseline,
+      createdBy: 'system',
+      createdAt: BASELINE_LOADED_AT,
+      updatedAt: BASELINE_LOADED_AT,
+    };
+  }
+
+  private toDateKey(date: Date): string {
+    const pad = (n: number) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+}
+
+export const rulePackService = new RulePackService();
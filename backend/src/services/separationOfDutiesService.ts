@@ -0,0 +1,334 @@
+// BE-011: Separation of duties
+// A versioned policy pairs duties one user may not both perform on the same budget (create,
+// approve, commit, obligate, pay), benefit application (create, approve, disburse) or approval
+// request (submit, respond). Enforced rules block the second duty; every rule is checked by the
+// historical conflict report.
+import { v4 as uuidv4 } from 'uuid';
+import {
+  ApprovalAction,
+  ApprovalEntityType,
+  ApprovalRequest,
+  Budget,
+  BudgetLineItem,
+  Commitment,
+  Expenditure,
+  Obligation,
+  Reprogramming,
+  ReprogrammingLineType,
+  SodConflict,
+  SodDuty,
+  SodDutyRecord,
+  SodPolicy,
+  SodRule,
+} from '../types';
+import { Application, ApplicationStatus, ApplicationStatusHistory, FundDisbursement } from './applicationService';
+import { dataStore } from './dataStore';
+import { AppError } from '../middleware/errorHandler';
+
+type SodRecordType = SodConflict['recordType'];
+
+// Record each duty is performed on, and how messages describe it
+const DUTIES: Record<SodDuty, { record: SodRecordType; performed: string; attempted: string }> = {
+  [SodDuty.BUDGET_CREATE]: { record: 'budget', performed: 'created this budget', attempted: 'create it' },
+  [SodDuty.BUDGET_APPROVE]: { record: 'budget', performed: 'reviewed this budget for approval', attempted: 'approve it' },
+  [SodDuty.COMMITMENT_CREATE]: { record: 'budget', performed: 'committed funds on this budget', attempted: 'commit its funds' },
+  [SodDuty.OBLIGATION_CREATE]: { record: 'budget', performed: 'obligated funds on this budget', attempted: 'obligate its funds' },
+  [SodDuty.EXPENDITURE_CREATE]: { record: 'budget', performed: 'recorded expenditures on this budget', attempted: 'record its expenditures' },
+  [SodDuty.APPROVAL_REQUEST]: { record: 'approval_request', performed: 'submitted this request for approval', attempted: 'respond to it' },
+  [SodDuty.APPROVAL_DECIDE]: { record: 'approval_request', performed: 'responded to this request', attempted: 'respond to it' },
+  [SodDuty.APPLICATION_CREATE]: { record: 'application', performed: 'created this application', attempted: 'create it' },
+  [SodDuty.APPLICATION_APPROVE]: { record: 'application', performed: 'approved this application', attempted: 'approve it' },
+  [SodDuty.APPLICATION_DISBURSE]: { record: 'application', performed: 'disbursed funds on this application', attempted: 'disburse its funds' },
+};
+
+const DEFAULT_RULES: SodRule[] = [
+  {
+    id: 'budget-create-approve',
+    duties: [SodDuty.BUDGET_CREATE, SodDuty.BUDGET_APPROVE],
+    description: 'The preparer of a budget may not approve it',
+    enforce: true,
+  },
+  {
+    id: 'budget-approve-obligate',
+    duties: [SodDuty.BUDGET_APPROVE, SodDuty.OBLIGATION_CREATE],
+    description: 'An approver of a budget may not obligate its funds',
+    enforce: true,
+  },
+  {
+    id: 'budget-approve-commit',
+    duties: [SodDuty.BUDGET_APPROVE, SodDuty.COMMITMENT_CREATE],
+    description: 'An approver of a budget may not commit its funds',
+    enforce: true,
+  },
+  {
+    id: 'obligate-pay',
+    duties: [SodDuty.OBLIGATION_CREATE, SodDuty.EXPENDITURE_CREATE],
+    description: 'Whoever obligates funds may not also record the payments against them',
+    enforce: true,
+  },
+  {
+    id: 'request-respond',
+    duties: [SodDuty.APPROVAL_REQUEST, SodDuty.APPROVAL_DECIDE],
+    description: 'Whoever submits a request for approval may not respond to it',
+    enforce: true,
+  },
+  {
+    id: 'application-create-approve',
+    duties: [SodDuty.APPLICATION_CREATE, SodDuty.APPLICATION_APPROVE],
+    description: 'The preparer of an application may not approve it',
+    enforce: true,
+  },
+  {
+    id: 'application-approve-disburse',
+    duties: [SodDuty.APPLICATION_APPROVE, SodDuty.APPLICATION_DISBURSE],
+    description: 'The approver of an application may not disburse its funds',
+    enforce: true,
+  },
+];
+
+const BUILT_IN_CREATED_AT = new Date(0);
+
+export class SeparationOfDutiesService {
+  // Latest saved version, or the built-in policy
+  getPolicy(): SodPolicy {
+    const versions = this.findVersions();
+    return versions[versions.length - 1] || this.getBuiltInPolicy();
+  }
+
+  async getPolicyVersions(): Promise<SodPolicy[]> {
+    return [this.getBuiltInPolicy(), ...this.findVersions()];
+  }
+
+  // Saves the rule set as a new version; earlier versions are kept for the record
+  async updatePolicy(rules: SodRule[], createdBy: string): Promise<SodPolicy> {
+    const errors: { field: string; message: string }[] = [];
+    const ids = new Set<string>();
+
+    rules.forEach((rule, index) => {
+      if (ids.has(rule.id)) {
+        errors.push({ field: `rules.${index}.id`, message: `Duplicate rule id ${rule.id}` });
+      }
+      ids.add(rule.id);
+      if (DUTIES[rule.duties[0]].record !== DUTIES[rule.duties[1]].record) {
+        errors.push({ field: `rules.${index}.duties`, message: `${rule.duties.join(' and ')} are not performed on the same record` });
+      }
+    });
+    if (errors.length > 0) {
+      throw new AppError(400, 'Invalid separation of duties policy', errors);
+    }
+
+    const policy: SodPolicy = {
+      id: uuidv4(),
+      version: this.getPolicy().version + 1,
+      rules,
+      createdBy,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    return dataStore.create<SodPolicy>('sodPolicies', policy);
+  }
+
+  // Rejects a duty that an enforced rule pairs with one the user already performed on the record
+  assertAllowed(duty: SodDuty, recordId: string, userId?: string): void {
+    if (!userId) {
+      return;
+    }
+    const rules = this.getPolicy().rules.filter(r => r.enforce && r.duties.includes(duty));
+    if (rules.length === 0) {
+      return;
+    }
+
+    const performed = this.getRecordDuties(DUTIES[duty].record, recordId).filter(d => d.userId === userId);
+    for (const rule of rules) {
+      const other = rule.duties[0] === duty ? rule.duties[1] : rule.duties[0];
+      if (performed.some(d => d.duty === other)) {
+        throw new AppError(403, `Separation of duties: you ${DUTIES[other].performed} and cannot also ${DUTIES[duty].attempted}`, [
+          { field: 'separationOfDuties', message: `${rule.id}: ${rule.description}` },
+        ]);
+      }
+    }
+  }
+
+  // A response to an approval request of any type approves the budgets the request affects
+  assertApprovalAllowed(request: ApprovalRequest, approverId: string): void {
+    for (const budgetId of this.getApprovalBudgetIds(request)) {
+      this.assertAllowed(SodDuty.BUDGET_APPROVE, budgetId, approverId);
+    }
+    this.assertAllowed(SodDuty.APPROVAL_DECIDE, request.id, approverId);
+  }
+
+  // Budgets an approval request affects: the budget itself, a line item's budget, or the budgets
+  // of the line items a reprogramming moves funds between
+  getApprovalBudgetIds(request: ApprovalRequest): string[] {
+    const lineItemBudget = (id: string) => dataStore.findById<BudgetLineItem>('budgetLineItems', id)?.budgetId;
+    let budgetIds: (string | undefined)[] = [];
+    if (request.entityType === ApprovalEntityType.BUDGET) {
+      budgetIds = [request.entityId];
+    } else if (request.entityType === ApprovalEntityType.LINEITEM) {
+      budgetIds = [lineItemBudget(request.entityId)];
+    } else if (request.entityType === ApprovalEntityType.REPROGRAMMING) {
+      const reprogramming = dataStore.findById<Reprogramming>('reprogrammings', request.entityId);
+      if (reprogramming?.lineType === ReprogrammingLineType.LINE_ITEM) {
+        budgetIds = [lineItemBudget(reprogramming.fromId), lineItemBudget(reprogramming.toId)];
+      }
+    }
+    return [...new Set(budgetIds.filter((id): id is string => !!id))];
+  }
+
+  // Every user who performed both duties of a rule on the same record, enforced or not, including
+  // conflicts recorded before the rule existed
+  async getConflicts(filters?: {
+    recordType?: SodRecordType;
+    userId?: string;
+    ruleId?: string;
+    from?: string;
+    to?: string;
+  }): Promise<{
+    policyVersion: number;
+    total: number;
+    byRule: Record<string, number>;
+    conflicts: SodConflict[];
+  }> {
+    const policy = this.getPolicy();
+    const rules = policy.rules.filter(r => !filters?.ruleId || r.id === filters.ruleId);
+    const records: { type: SodRecordType; id: string }[] = [
+      ...dataStore.findAll<Budget>('budgets').map(b => ({ type: 'budget' as const, id: b.id })),
+      ...dataStore.findAll<Application>('applications').map(a => ({ type: 'application' as const, id: a.id })),
+      ...dataStore.findAll<ApprovalRequest>('approvalRequests').map(r => ({ type: 'approval_request' as const, id: r.id })),
+    ].filter(r => !filters?.recordType || r.type === filters.recordType);
+
+    const conflicts: SodConflict[] = [];
+    for (const record of records) {
+      const duties = this.getRecordDuties(record.type, record.id);
+      const users = [...new Set(duties.map(d => d.userId))].filter(u => !filters?.userId || u === filters.userId);
+
+      for (const userId of users) {
+        const performed = duties.filter(d => d.userId === userId);
+        for (const rule of rules) {
+          const actions = performed.filter(d => rule.duties.includes(d.duty));
+          const [first, second] = rule.duties;
+          const conflicting = first === second
+            ? actions.length > 1
+            : actions.some(d => d.duty === first) && actions.some(d => d.duty === second);
+          if (!conflicting) {
+            continue;
+          }
+
+          // The conflict arose with the later of the two duties
+          const firstOf = (duty: SodDuty) => actions.find(d => d.duty === duty)!.performedAt.getTime();
+          const occurredAt = first === second ? actions[1].performedAt : new Date(Math.max(firstOf(first), firstOf(second)));
+          const day = this.toDateKey(occurredAt);
+          if ((filters?.from && day < filters.from) || (filters?.to && day > filters.to)) {
+            continue;
+          }
+
+          conflicts.push({
+            ruleId: rule.id,
+            description: rule.description,
+            enforced: rule.enforce,
+            recordType: record.type,
+            recordId: record.id,
+            userId,
+            actions,
+            occurredAt,
+          });
+        }
+      }
+    }
+
+    conflicts.sort((a, b) => a.occurredAt.getTime() - b.occurredAt.getTime());
+    const byRule: Record<string, number> = {};
+    for (const conflict of conflicts) {
+      byRule[conflict.ruleId] = (byRule[conflict.ruleId] || 0) + 1;
+    }
+
+    return { policyVersion: policy.version, total: conflicts.length, byRule, conflicts };
+  }
+
+  // Duties performed on a budget (including approvals affecting it, its commitments, obligations,
+  // obligation modifications, expenditures and their updates), a benefit application or an
+  // approval request, oldest first
+  getRecordDuties(recordType: SodRecordType, recordId: string): SodDutyRecord[] {
+    const duties: SodDutyRecord[] = [];
+    const add = (duty: SodDuty, userId: string | undefined, entityType: string, entityId: string, performedAt: Date) => {
+      if (userId) {
+        duties.push({ duty, userId, entityType, entityId, performedAt: new Date(performedAt) });
+      }
+    };
+
+    if (recordType === 'budget') {
+      const budget = dataStore.findById<Budget>('budgets', recordId);
+      if (budget) {
+        add(SodDuty.BUDGET_CREATE, budget.createdBy, 'budget', budget.id, budget.createdAt);
+      }
+      const requests = dataStore.findMany<ApprovalRequest>('approvalRequests', r =>
+        this.getApprovalBudgetIds(r).includes(recordId));
+      for (const request of requests) {
+        for (const action of dataStore.findMany<ApprovalAction>('approvalActions', a => a.requestId === request.id)) {
+          add(SodDuty.BUDGET_APPROVE, action.approverId, 'approval_request', request.id, action.timestamp);
+        }
+      }
+      for (const commitment of dataStore.findMany<Commitment>('commitments', c => c.budgetId === recordId)) {
+        add(SodDuty.COMMITMENT_CREATE, commitment.createdBy, 'commitment', commitment.id, commitment.createdAt);
+      }
+      for (const obligation of dataStore.findMany<Obligation>('obligations', o => o.budgetId === recordId)) {
+        add(SodDuty.OBLIGATION_CREATE, obligation.createdBy, 'obligation', obligation.id, obligation.createdAt);
+        for (const modification of obligation.modifications || []) {
+          add(SodDuty.OBLIGATION_CREATE, modification.modifiedBy, 'obligation_modification', obligation.id, modification.recordedAt);
+        }
+      }
+      for (const expenditure of dataStore.findMany<Expenditure>('expenditures', e => e.budgetId === recordId)) {
+        add(SodDuty.EXPENDITURE_CREATE, expenditure.createdBy, 'expenditure', expenditure.id, expenditure.createdAt);
+        if (expenditure.updatedBy) {
+          add(SodDuty.EXPENDITURE_CREATE, expenditure.updatedBy, 'expenditure', expenditure.id, expenditure.updatedAt);
+        }
+      }
+    } else if (recordType === 'approval_request') {
+      const request = dataStore.findById<ApprovalRequest>('approvalRequests', recordId);
+      if (request) {
+        add(SodDuty.APPROVAL_REQUEST, request.requestedBy, 'approval_request', request.id, request.createdAt);
+      }
+      for (const action of dataStore.findMany<ApprovalAction>('approvalActions', a => a.requestId === recordId)) {
+        add(SodDuty.APPROVAL_DECIDE, action.approverId, 'approval_request', recordId, action.timestamp);
+      }
+    } else {
+      const application = dataStore.findById<Application>('applications', recordId);
+      if (application) {
+        add(SodDuty.APPLICATION_CREATE, application.createdBy, 'application', application.id, application.createdAt);
+      }
+      const approvals = dataStore.findMany<ApplicationStatusHistory>('applicationStatusHistory', h =>
+        h.applicationId === recordId && h.toStatus === ApplicationStatus.APPROVED);
+      for (const history of approvals) {
+        add(SodDuty.APPLICATION_APPROVE, history.changedBy, 'application', recordId, history.changedAt);
+      }
+      for (const disbursement of dataStore.findMany<FundDisbursement>('fundDisbursements', d => d.applicationId === recordId)) {
+        add(SodDuty.APPLICATION_DISBURSE, disbursement.createdBy, 'fund_disbursement', disbursement.id, disbursement.createdAt);
+      }
+    }
+
+    return duties.sort((a, b) => a.performedAt.getTime() - b.performedAt.getTime());
+  }
+
+  getBuiltInPolicy(): SodPolicy {
+    return {
+      id: 'DEFAULT',
+      version: 1,
+      rules: DEFAULT_RULES.map(rule => ({ ...rule })),
+      createdBy: 'system',
+      createdAt: BUILT_IN_CREATED_AT,
+      updatedAt: BUILT_IN_CREATED_AT,
+    };
+  }
+
+  private findVersions(): SodPolicy[] {
+    return dataStore.findAll<SodPolicy>('sodPolicies').sort((a, b) => a.version - b.version);
+  }
+
+  private toDateKey(date: Date): string {
+    const pad = (n: number) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+}
+
+export const separationOfDutiesService = new SeparationOfDutiesService();
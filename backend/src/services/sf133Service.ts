@@ -0,0 +1,199 @@
+// PPBE-014: SF-133 Report on Budget Execution and Budgetary Resources
+// Derives the quarterly SF-133 lines for each Treasury account from its appropriation,
+// apportionment, obligations and expenditures
+import {
+  Appropriation,
+  AppropriationLifecyclePhase,
+  Expenditure,
+  ExpenditureStatus,
+  FiscalYear,
+  Obligation,
+  ObligationModificationType,
+  ObligationStatus,
+} from '../types';
+import { sf133 as sf133Rules } from '../domain/ppbe';
+import { dataStore } from './dataStore';
+import { appropriationLifecycleService } from './appropriationLifecycleService';
+import { AppError } from '../middleware/errorHandler';
+
+const ACTIVE_OBLIGATION_STATUSES = [ObligationStatus.PENDING, ObligationStatus.OBLIGATED];
+
+export interface SF133Line {
+  lineNumber: string;
+  description: string;
+  amount: number;
+  isTotal: boolean;
+}
+
+export interface SF133Section {
+  section: string;
+  title: string;
+  lines: SF133Line[];
+}
+
+export interface SF133Check {
+  rule: string;
+  section: string;
+  lines: string[];
+  expected: number;
+  actual: number;
+  difference: number;
+  inBalance: boolean;
+}
+
+export interface SF133Account {
+  treasuryAccount: string;
+  name: string;
+  appropriationId: string;
+  expired: boolean;
+  amounts: Record<string, number>;
+  sections: SF133Section[];
+  reconciliation: { isBalanced: boolean; checks: SF133Check[]; outOfBalanceSections: string[] };
+}
+
+export interface SF133Report {
+  reportType: 'SF_133';
+  fiscalYear: number;
+  quarter: number;
+  period: string;
+  periodStart: Date;
+  periodEnd: Date;
+  accounts: SF133Account[];
+  totals: { amounts: Record<string, number>; sections: SF133Section[] };
+  reconciliation: {
+    isBalanced: boolean;
+    outOfBalance: { treasuryAccount: string; sections: string[]; checks: SF133Check[] }[];
+  };
+}
+
+export class SF133Service {
+  async generateReport(params: {
+    fiscalYearId: string;
+    quarter: number;
+    appropriationId?: string;
+  }): Promise<SF133Report> {
+    const fiscalYear = dataStore.findById<FiscalYear>('fiscalYears', params.fiscalYearId);
+    if (!fiscalYear) {
+      throw new AppError(404, 'Fiscal year not found');
+    }
+    if (!Number.isInteger(params.quarter) || params.quarter < 1 || params.quarter > 4) {
+      throw new AppError(400, 'Reporting quarter must be 1-4');
+    }
+    if (params.appropriationId && !dataStore.findById<Appropriation>('appropriations', params.appropriationId)) {
+      throw new AppError(404, 'Appropriation not found');
+    }
+
+    const period: any = sf133Rules.getReportingPeriod(fiscalYear.year, params.quarter);
+
+    // Accounts made available in or before the reporting year that had not yet cancelled by Oct 1
+    const accounts = dataStore
+      .findMany<Appropriation>(
+        'appropriations',
+        a => !params.appropriationId || a.id === params.appropriationId
+      )
+      .map(appropriation => ({ appropriation, year: this.getAppropriationYear(appropriation) }))
+      .filter(({ appropriation, year }) =>
+        year !== null &&
+        year <= fiscalYear.year &&
+        appropriationLifecycleService.getLifecycleStatus(appropriation, period.startDate).phase !==
+          AppropriationLifecyclePhase.CANCELLED
+      )
+      .sort((a, b) => a.appropriation.code.localeCompare(b.appropriation.code))
+      .map(({ appropriation, year }) =>
+        this.getAccountActivity(appropriation, year! < fiscalYear.year, period.startDate, period.endDate)
+      );
+
+    const report: any = sf133Rules.generateSF133({
+      fiscalYear: fiscalYear.year,
+      quarter: params.quarter,
+      accounts,
+    });
+    return report;
+  }
+
+  private getAppropriationYear(appropriation: Appropriation): number | null {
+    const fiscalYear = dataStore.findById<FiscalYear>('fiscalYears', appropriation.fiscalYearId);
+    return fiscalYear ? fiscalYear.year : null;
+  }
+
+  // Balances are rebuilt as of each date: an obligation that is no longer active counts
+  // until its status changed, and upward adjustments count from the date they were made
+  private getAccountActivity(appropriation: Appropriation, carriedForward: boolean, start: Date, end: Date) {
+    const obligations = dataStore.findMany<Obligation>(
+      'obligations',
+      o => o.appropriationId === appropriation.id && new Date(o.obligationDate) <= end
+    );
+    const obligationIds = new Set(obligations.map(o => o.id));
+    const payments = dataStore.findMany<Expenditure>(
+      'expenditures',
+      e =>
+        !!e.obligationId &&
+        obligationIds.has(e.obligationId) &&
+        e.status === ExpenditureStatus.PAID &&
+        new Date(e.paymentDate) <= end
+    );
+
+    // Modifications date each change to an obligation. A de-obligation closes it; increases and
+    // decreases of an open obligation change its amount (reinstating one starts from 0 and is
+    // left out). Obligations recorded before modifications were kept fall back to their last
+    // update and expired-year adjustments.
+    const closedAt = (o: Obligation) => {
+      const deobligation = [...(o.modifications || [])].reverse().find(m => m.type === ObligationModificationType.DEOBLIGATION);
+      return new Date(deobligation ? deobligation.modificationDate : o.updatedAt);
+    };
+    const amountChanges = (o: Obligation) => o.modifications
+      ? o.modifications
+        .filter(m => m.type !== ObligationModificationType.DEOBLIGATION && m.previousAmount > 0 && m.amount !== 0)
+        .map(m => ({ amount: m.amount, date: new Date(m.modificationDate) }))
+      : (o.expiredFundAdjustments || []).map(adj => ({ amount: adj.amount, date: new Date(adj.adjustedAt) }));
+    const isOpenAt = (o: Obligation, date: Date) =>
+      ACTIVE_OBLIGATION_STATUSES.includes(o.status) || closedAt(o) > date;
+    const amountAt = (o: Obligation, date: Date) =>
+      o.amount -
+      amountChanges(o)
+        .filter(change => change.date > date)
+        .reduce((sum, change) => sum + change.amount, 0);
+    const adjustments = (o: Obligation, increases: boolean) =>
+      amountChanges(o)
+        .filter(change => change.date > start && change.date <= end && change.amount > 0 === increases)
+        .reduce((sum, change) => sum + Math.abs(change.amount), 0);
+    const paid = (o: Obligation, before?: Date) =>
+      payments
+        .filter(e => e.obligationId === o.id && (!before || new Date(e.paymentDate) < before))
+        .reduce((sum, e) => sum + e.amount, 0);
+    const sum = (items: Obligation[], value: (o: Obligation) => number) =>
+      items.reduce((total, o) => total + value(o), 0);
+
+    const priorYear = obligations.filter(o => new Date(o.obligationDate) < start && isOpenAt(o, start));
+    const recovered = priorYear.filter(o => !isOpenAt(o, end));
+    const currentYear = obligations.filter(o => new Date(o.obligationDate) >= start && isOpenAt(o, end));
+    const openAtEnd = obligations.filter(o => isOpenAt(o, end));
+    // Decreases of prior-year obligations are recovered like de-obligations
+    const upwardAdjustments = sum(priorYear, o => adjustments(o, true));
+    const downwardAdjustments = sum(priorYear, o => adjustments(o, false));
+
+    const obligatedAtEnd = sum(openAtEnd, o => amountAt(o, end));
+    const lifecycle = appropriationLifecycleService.getLifecycleStatus(appropriation, end);
+
+    return {
+      treasuryAccount: appropriation.code,
+      name: appropriation.name,
+      appropriationId: appropriation.id,
+      unobligatedBroughtForward: carriedForward ? appropriation.amount - sum(priorYear, o => amountAt(o, start)) : 0,
+      unpaidBroughtForward: sum(priorYear, o => amountAt(o, start) - paid(o, start)),
+      appropriated: carriedForward ? 0 : appropriation.amount,
+      recoveries: sum(recovered, o => amountAt(o, end) - paid(o)) + downwardAdjustments,
+      newObligations: sum(currentYear, o => amountAt(o, end)) + upwardAdjustments,
+      outlays: payments
+        .filter(e => new Date(e.paymentDate) >= start)
+        .reduce((total, e) => total + e.amount, 0),
+      unobligatedBalance: appropriation.amount - obligatedAtEnd,
+      // Accounts without an SF-132 are treated as fully apportioned, as funds control does
+      apportionedBalance: (appropriation.apportionedAmount ?? appropriation.amount) - obligatedAtEnd,
+      expired: lifecycle.phase !== AppropriationLifecyclePhase.CURRENT,
+      unpaidObligations: sum(openAtEnd, o => amountAt(o, end) - paid(o)),
+    };
+  }
+}
+
+export const sf133Service = new SF133Service();
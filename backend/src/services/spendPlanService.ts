@@ -0,0 +1,191 @@
+// PPBE-022: Spend plans and execution phasing
+// A spend plan phases the obligations and expenditures of a budget or an appropriation over the
+// twelve months of its fiscal year. Actual execution is compared with it month by month, and the
+// plan sets the expected rate when tracking obligation performance.
+import { v4 as uuidv4 } from 'uuid';
+import {
+  Expenditure,
+  ExpenditureStatus,
+  FiscalYear,
+  Obligation,
+  ObligationStatus,
+  SpendPlan,
+  SpendPlanMonth,
+} from '../types';
+import { spendPlan as spendPlanRules, fiscalYear as fiscalYearRules } from '../domain/ppbe';
+import { dataStore } from './dataStore';
+import { budgetService } from './budgetService';
+import { appropriationService } from './appropriationService';
+import { ppbeService, ExecutionDayOptions } from './ppbeService';
+import { AppError } from '../middleware/errorHandler';
+
+const ACTIVE_OBLIGATION_STATUSES = [ObligationStatus.PENDING, ObligationStatus.OBLIGATED];
+
+export class SpendPlanService {
+  async createSpendPlan(data: {
+    budgetId?: string;
+    appropriationId?: string;
+    months: SpendPlanMonth[];
+    notes?: string;
+  }, createdBy: string): Promise<SpendPlan> {
+    if (!data.budgetId === !data.appropriationId) {
+      throw new AppError(400, 'A spend plan is for either a budget or an appropriation');
+    }
+
+    const funding = await this.getFunding(data);
+    const existing = dataStore.findOne<SpendPlan>('spendPlans', p =>
+      data.budgetId ? p.budgetId === data.budgetId : p.appropriationId === data.appropriationId);
+    if (existing) {
+      throw new AppError(409, `A spend plan already exists for this ${data.budgetId ? 'budget' : 'appropriation'}`);
+    }
+    this.assertValid(data.months, funding.amount);
+
+    return dataStore.create<SpendPlan>('spendPlans', {
+      id: uuidv4(),
+      budgetId: data.budgetId,
+      appropriationId: data.appropriationId,
+      fiscalYearId: funding.fiscalYearId,
+      fiscalYear: funding.fiscalYear,
+      months: this.sortMonths(data.months),
+      notes: data.notes,
+      createdBy,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+  }
+
+  async getSpendPlans(filters?: {
+    budgetId?: string;
+    appropriationId?: string;
+    fiscalYearId?: string;
+  }): Promise<SpendPlan[]> {
+    return dataStore
+      .findMany<SpendPlan>('spendPlans', p =>
+        (!filters?.budgetId || p.budgetId === filters.budgetId) &&
+        (!filters?.appropriationId || p.appropriationId === filters.appropriationId) &&
+        (!filters?.fiscalYearId || p.fiscalYearId === filters.fiscalYearId))
+      .sort((a, b) => b.fiscalYear - a.fiscalYear);
+  }
+
+  async getSpendPlan(id: string): Promise<SpendPlan> {
+    const plan = dataStore.findById<SpendPlan>('spendPlans', id);
+    if (!plan) {
+      throw new AppError(404, 'Spend plan not found');
+    }
+    return plan;
+  }
+
+  async updateSpendPlan(id: string, changes: { months?: SpendPlanMonth[]; notes?: string }, updatedBy: string): Promise<SpendPlan> {
+    const plan = await this.getSpendPlan(id);
+    const updates: Partial<SpendPlan> = { updatedBy };
+
+    if (changes.months) {
+      this.assertValid(changes.months, (await this.getFunding(plan)).amount);
+      updates.months = this.sortMonths(changes.months);
+    }
+    if (changes.notes !== undefined) {
+      updates.notes = changes.notes;
+    }
+    return dataStore.update<SpendPlan>('spendPlans', id, updates)!;
+  }
+
+  // Plan against actual obligations and payments by fiscal month, with S-curves and deviations
+  async getExecution(id: string, options: { asOf?: Date | string; threshold?: number } = {}) {
+    const plan = await this.getSpendPlan(id);
+    const asOf = options.asOf ? new Date(options.asOf) : new Date();
+    const comparison: any = spendPlanRules.compareToPlan(plan.months, this.getActuals(plan, asOf), {
+      fiscalYear: plan.fiscalYear,
+      asOf,
+      threshold: options.threshold,
+    });
+
+    return { spendPlanId: plan.id, budgetId: plan.budgetId, appropriationId: plan.appropriationId, asOf, ...comparison };
+  }
+
+  // Obligation performance with the plan's obligations to date as the expected rate
+  async getObligationPerformance(id: string, options: ExecutionDayOptions = {}) {
+    const plan = await this.getSpendPlan(id);
+    const asOf = options.asOf ? new Date(options.asOf) : new Date();
+    const funding = await this.getFunding(plan);
+    const actuals = this.getActuals(plan, asOf);
+    const total = (series: 'obligations' | 'expenditures') => actuals.reduce((sum, m) => sum + m[series], 0);
+
+    return ppbeService.trackObligationPerformance(
+      {
+        appropriated: funding.amount,
+        obligated: total('obligations'),
+        expended: total('expenditures'),
+        fiscalYear: plan.fiscalYear,
+      },
+      { spendPlan: plan.months },
+      { ...options, asOf }
+    );
+  }
+
+  private async getFunding(source: { budgetId?: string; appropriationId?: string }): Promise<{
+    amount: number;
+    fiscalYearId: string;
+    fiscalYear: number;
+  }> {
+    const { amount, fiscalYearId } = source.budgetId
+      ? await budgetService.getBudgetById(source.budgetId)
+      : await appropriationService.getAppropriationById(source.appropriationId!);
+    const fiscalYear = dataStore.findById<FiscalYear>('fiscalYears', fiscalYearId);
+    if (!fiscalYear) {
+      throw new AppError(404, 'Fiscal year not found');
+    }
+    return { amount, fiscalYearId, fiscalYear: fiscalYear.year };
+  }
+
+  private assertValid(months: SpendPlanMonth[], fundingAmount: number): void {
+    const check: any = spendPlanRules.validateSpendPlan(months, fundingAmount);
+    if (!check.isValid) {
+      throw new AppError(400, 'Invalid spend plan', check.errors);
+    }
+  }
+
+  private sortMonths(months: SpendPlanMonth[]): SpendPlanMonth[] {
+    return [...months]
+      .sort((a, b) => a.month - b.month)
+      .map(({ month, obligations, expenditures }) => ({ month, obligations, expenditures }));
+  }
+
+  // Obligations count in the month they are dated and each modification in the month it is
+  // dated (PPBE-009); payments count in the month they are paid. Only the plan's fiscal year
+  // through the as-of date counts.
+  private getActuals(plan: SpendPlan, asOf: Date): SpendPlanMonth[] {
+    const months: SpendPlanMonth[] = spendPlanRules.FISCAL_MONTHS.map((m: { month: number }) => ({
+      month: m.month,
+      obligations: 0,
+      expenditures: 0,
+    }));
+    const add = (value: Date | string, series: 'obligations' | 'expenditures', amount: number) => {
+      const date = new Date(value);
+      if (date <= asOf && fiscalYearRules.getFiscalYear(date) === plan.fiscalYear) {
+        months[spendPlanRules.getFiscalMonth(date) - 1][series] += amount;
+      }
+    };
+
+    const obligations = dataStore.findMany<Obligation>('obligations', o =>
+      plan.budgetId ? o.budgetId === plan.budgetId : o.appropriationId === plan.appropriationId);
+    for (const obligation of obligations) {
+      if (obligation.modifications) {
+        add(obligation.obligationDate, 'obligations', obligation.originalAmount ?? obligation.amount);
+        obligation.modifications.forEach(m => add(m.modificationDate, 'obligations', m.amount));
+      } else if (ACTIVE_OBLIGATION_STATUSES.includes(obligation.status)) {
+        add(obligation.obligationDate, 'obligations', obligation.amount);
+      }
+    }
+
+    const obligationIds = new Set(obligations.map(o => o.id));
+    dataStore
+      .findMany<Expenditure>('expenditures', e =>
+        e.status === ExpenditureStatus.PAID &&
+        (plan.budgetId ? e.budgetId === plan.budgetId : !!e.obligationId && obligationIds.has(e.obligationId)))
+      .forEach(e => add(e.paymentDate, 'expenditures', e.amount));
+
+    return months;
+  }
+}
+
+export const spendPlanService = new SpendPlanService();
@@ -0,0 +1,154 @@
+// PPBE-020: Treasury Account Symbols and lines of accounting
+// Parses TAS and LOA strings and cross-checks them: the TAS period of availability against the
+// appropriation type (periods from the rule pack in effect) and against the appropriation the
+// funds come from, whose fiscal year and expiration the period must match.
+import {
+  Appropriation,
+  AppropriationType,
+  FiscalYear,
+  LineOfAccounting,
+  TreasuryAccountSymbol,
+  ValidationError,
+} from '../types';
+import { treasuryAccount as tasRules, fiscalYear as fiscalYearRules } from '../domain/ppbe';
+import { dataStore } from './dataStore';
+import { rulePackService } from './rulePackService';
+import { AppError } from '../middleware/errorHandler';
+
+export interface AvailabilityCheckOptions {
+  typeCode?: string;
+  subType?: string;
+  asOf?: Date | string;
+}
+
+export interface TreasuryAccountSymbolResult {
+  isValid: boolean;
+  errors: ValidationError[];
+  treasuryAccountSymbol: TreasuryAccountSymbol | null;
+}
+
+export interface LineOfAccountingResult {
+  isValid: boolean;
+  errors: ValidationError[];
+  lineOfAccounting: LineOfAccounting | null;
+}
+
+const AVAILABILITY_TYPES: Record<string, AppropriationType> = {
+  annual: AppropriationType.ANNUAL,
+  'multi-year': AppropriationType.MULTI_YEAR,
+  'no-year': AppropriationType.NO_YEAR,
+};
+
+export class TreasuryAccountService {
+  parseTreasuryAccountSymbol(value: string, options: AvailabilityCheckOptions = {}): TreasuryAccountSymbolResult {
+    const result: any = tasRules.parseTreasuryAccountSymbol(value);
+    const errors: ValidationError[] = [...result.errors];
+    if (result.tas && options.typeCode) {
+      errors.push(...this.checkTypeAvailability(result.tas, options.typeCode, options));
+    }
+    return { isValid: errors.length === 0, errors, treasuryAccountSymbol: errors.length === 0 ? result.tas : null };
+  }
+
+  parseLineOfAccounting(value: string, options: AvailabilityCheckOptions = {}): LineOfAccountingResult {
+    const result: any = tasRules.parseLineOfAccounting(value);
+    const errors: ValidationError[] = [...result.errors];
+    if (result.loa && options.typeCode) {
+      errors.push(...this.checkTypeAvailability(result.loa.treasuryAccountSymbol, options.typeCode, options));
+    }
+    return { isValid: errors.length === 0, errors, lineOfAccounting: errors.length === 0 ? result.loa : null };
+  }
+
+  // TAS for an appropriation: its period must match the appropriation's type, fiscal year and expiration
+  resolveTreasuryAccountSymbol(
+    value: string,
+    appropriation: Pick<Appropriation, 'fiscalYearId' | 'type' | 'expirationDate'> & { id?: string }
+  ): TreasuryAccountSymbol {
+    const result = this.parseTreasuryAccountSymbol(value);
+    if (!result.isValid) {
+      throw new AppError(400, 'Invalid Treasury Account Symbol', result.errors);
+    }
+
+    const tas = result.treasuryAccountSymbol!;
+    const errors = this.checkAppropriation(tas, appropriation);
+    if (errors.length > 0) {
+      throw new AppError(400, `${tas.symbol} does not match the appropriation`, errors);
+    }
+
+    const assigned = dataStore.findOne<Appropriation>('appropriations', a =>
+      a.id !== appropriation.id && a.treasuryAccountSymbol?.symbol === tas.symbol);
+    if (assigned) {
+      throw new AppError(409, `${tas.symbol} is already assigned to appropriation ${assigned.code}`);
+    }
+    return tas;
+  }
+
+  // LOA for an obligation or expenditure. Its TAS must be the appropriation's (or, for an appropriation
+  // without one, fit it) and have the period of availability of the appropriation type.
+  resolveLineOfAccounting(
+    value: string,
+    context: { appropriation?: Appropriation | null; typeCode?: string; asOf?: Date | string }
+  ): LineOfAccounting {
+    const result = this.parseLineOfAccounting(value, { typeCode: context.typeCode, asOf: context.asOf });
+    if (!result.isValid) {
+      throw new AppError(400, 'Invalid line of accounting', result.errors);
+    }
+
+    const loa = result.lineOfAccounting!;
+    if (context.appropriation) {
+      const assigned = context.appropriation.treasuryAccountSymbol;
+      const errors = assigned
+        ? (assigned.symbol === loa.treasuryAccountSymbol.symbol ? [] : [{
+          field: 'lineOfAccounting',
+          message: `Line of accounting cites ${loa.treasuryAccountSymbol.symbol}; appropriation ${context.appropriation.code} is ${assigned.symbol}`,
+        }])
+        : this.checkAppropriation(loa.treasuryAccountSymbol, context.appropriation);
+      if (errors.length > 0) {
+        throw new AppError(400, 'Line of accounting does not match the appropriation', errors);
+      }
+    }
+    return loa;
+  }
+
+  findAppropriation(symbol: string): Appropriation | undefined {
+    const result: any = tasRules.parseTreasuryAccountSymbol(symbol);
+    return result.tas
+      ? dataStore.findOne<Appropriation>('appropriations', a => a.treasuryAccountSymbol?.symbol === result.tas.symbol)
+      : undefined;
+  }
+
+  private checkTypeAvailability(
+    tas: TreasuryAccountSymbol,
+    typeCode: string,
+    options: AvailabilityCheckOptions
+  ): ValidationError[] {
+    const rulePack = rulePackService.getEffectiveRulePack(options.asOf);
+    const check: any = tasRules.checkAvailability(tas, typeCode, { subType: options.subType, rules: rulePack.rules });
+    return check.errors;
+  }
+
+  private checkAppropriation(
+    tas: TreasuryAccountSymbol,
+    appropriation: Pick<Appropriation, 'fiscalYearId' | 'type' | 'expirationDate'>
+  ): ValidationError[] {
+    const errors: ValidationError[] = [];
+    const period: any = tasRules.getAvailabilityPeriod(tas);
+    if (AVAILABILITY_TYPES[period.availabilityType] !== appropriation.type) {
+      errors.push({ field: 'treasuryAccountSymbol', message: `${tas.symbol} is ${period.availabilityType}; the appropriation is ${appropriation.type}` });
+    }
+    if (tas.bpoa === null) {
+      return errors;
+    }
+
+    const fiscalYear = dataStore.findById<FiscalYear>('fiscalYears', appropriation.fiscalYearId);
+    if (fiscalYear && fiscalYear.year !== tas.bpoa) {
+      errors.push({ field: 'treasuryAccountSymbol', message: `${tas.symbol} begins in FY${tas.bpoa}; the appropriation is FY${fiscalYear.year}` });
+    }
+    const expirationFY = fiscalYearRules.getFiscalYear(new Date(appropriation.expirationDate));
+    if (expirationFY !== tas.epoa) {
+      errors.push({ field: 'treasuryAccountSymbol', message: `${tas.symbol} ends in FY${tas.epoa}; the appropriation expires in FY${expirationFY}` });
+    }
+    return errors;
+  }
+}
+
+export const treasuryAccountService = new TreasuryAccountService();
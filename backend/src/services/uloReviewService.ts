@@ -0,0 +1,343 @@
+// PPBE-021: Unliquidated obligation aging and tri-annual review
+// Ages open obligations by obligation date and by the lifecycle phase of their funds. Three
+// times a year a review campaign assigns the dormant ones to the fund holders of the organization
+// they are charged to, who certify each as valid or de-obligate it.
+import { v4 as uuidv4 } from 'uuid';
+import {
+  Appropriation,
+  AppropriationLifecyclePhase,
+  Expenditure,
+  ExpenditureStatus,
+  NotificationPriority,
+  NotificationType,
+  Obligation,
+  ObligationModificationType,
+  ObligationStatus,
+  Organization,
+  UloReview,
+  UloReviewDecision,
+  UloReviewItem,
+  UloReviewStatus,
+  User,
+  UserRole,
+} from '../types';
+import { executionTracking as executionRules, triAnnualReview as reviewRules } from '../domain/ppbe';
+import { dataStore } from './dataStore';
+import { appropriationLifecycleService } from './appropriationLifecycleService';
+import { obligationService } from './obligationService';
+import { notificationService } from './notificationService';
+import { AppError } from '../middleware/errorHandler';
+
+const REVIEW_SWEEP_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const ACTIVE_OBLIGATION_STATUSES = [ObligationStatus.PENDING, ObligationStatus.OBLIGATED];
+const FUND_HOLDER_ROLE = UserRole.FINANCE_OFFICER;
+
+export interface UloAgingFilters {
+  appropriationId?: string;
+  organizationId?: string;
+  fiscalYearId?: string;
+  asOf?: Date | string;
+}
+
+interface OpenObligation {
+  obligation: Obligation;
+  expended: number;
+  lastActivityDate: Date;
+  expirationStatus?: AppropriationLifecyclePhase;
+}
+
+export class UloReviewService {
+  private sweepTimer: NodeJS.Timeout | null = null;
+
+  async getUloAging(filters: UloAgingFilters = {}) {
+    const asOf = filters.asOf ? new Date(filters.asOf) : new Date();
+    const rows = this.getOpenObligations(asOf).filter(({ obligation: o }) =>
+      (!filters.appropriationId || o.appropriationId === filters.appropriationId) &&
+      (!filters.organizationId || o.organizationId === filters.organizationId) &&
+      (!filters.fiscalYearId || o.fiscalYearId === filters.fiscalYearId));
+
+    const aging: any = executionRules.calculateUloAging(
+      rows.map(row => ({
+        amount: row.obligation.amount,
+        expended: row.expended,
+        obligationDate: row.obligation.obligationDate,
+        expirationStatus: row.expirationStatus,
+      })),
+      asOf
+    );
+    return { asOf, ...aging };
+  }
+
+  // Opens the review of a cycle once its as-of date has passed, with every obligation dormant on that date
+  async createReview(data: {
+    fiscalYear: number;
+    cycle: number;
+    dormantDays?: number;
+    dueDate?: Date | string;
+  }, createdBy: string): Promise<UloReview> {
+    const cycle: any = reviewRules.getReviewCycle(data.fiscalYear, data.cycle);
+    if (!cycle) {
+      throw new AppError(400, 'Review cycle must be 1 (January), 2 (May) or 3 (September)');
+    }
+    if (cycle.asOf > new Date()) {
+      throw new AppError(400, `The ${cycle.name} cannot start before ${cycle.asOf.toISOString()}`);
+    }
+    const existing = dataStore.findOne<UloReview>('uloReviews', r => r.fiscalYear === cycle.fiscalYear && r.cycle === cycle.cycle);
+    if (existing) {
+      throw new AppError(409, `The ${cycle.name} has already been started`);
+    }
+
+    const dormantDays = data.dormantDays ?? reviewRules.DORMANT_DAYS;
+    const items: UloReviewItem[] = [];
+    for (const row of this.getOpenObligations(cycle.asOf)) {
+      const dormancy: any = reviewRules.checkDormancy(
+        { ...row.obligation, expended: row.expended, lastActivityDate: row.lastActivityDate },
+        cycle.asOf,
+        dormantDays
+      );
+      if (!dormancy.dormant) {
+        continue;
+      }
+
+      const { obligation } = row;
+      items.push({
+        id: uuidv4(),
+        obligationId: obligation.id,
+        documentNumber: obligation.documentNumber,
+        appropriationId: obligation.appropriationId,
+        organizationId: obligation.organizationId,
+        obligationDate: obligation.obligationDate,
+        lastActivityDate: dormancy.lastActivityDate,
+        daysInactive: dormancy.daysInactive,
+        expirationStatus: row.expirationStatus,
+        obligatedAmount: obligation.amount,
+        unliquidatedAmount: dormancy.unliquidated,
+        assignedTo: this.findFundHolders(obligation.organizationId).map(u => u.id),
+      });
+    }
+
+    const now = new Date();
+    const review = dataStore.create<UloReview>('uloReviews', {
+      id: uuidv4(),
+      name: cycle.name,
+      fiscalYear: cycle.fiscalYear,
+      cycle: cycle.cycle,
+      asOf: cycle.asOf,
+      dueDate: data.dueDate ? new Date(data.dueDate) : cycle.dueDate,
+      dormantDays,
+      status: items.length > 0 ? UloReviewStatus.OPEN : UloReviewStatus.COMPLETED,
+      items,
+      createdBy,
+      completedAt: items.length > 0 ? undefined : now,
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    await this.notifyFundHolders(review);
+    return review;
+  }
+
+  async getReviews(filters?: { fiscalYear?: number; status?: UloReviewStatus }): Promise<UloReview[]> {
+    return dataStore
+      .findMany<UloReview>('uloReviews', r =>
+        (!filters?.fiscalYear || r.fiscalYear === filters.fiscalYear) &&
+        (!filters?.status || r.status === filters.status))
+      .sort((a, b) => b.asOf.getTime() - a.asOf.getTime());
+  }
+
+  async getReview(id: string): Promise<UloReview> {
+    const review = dataStore.findById<UloReview>('uloReviews', id);
+    if (!review) {
+      throw new AppError(404, 'ULO review not found');
+    }
+    return review;
+  }
+
+  // A fund holder assigned the obligation (or an admin) certifies it as valid or de-obligates part
+  // or all of what is still unliquidated; the review completes once every item is decided
+  async certifyItem(
+    reviewId: string,
+    itemId: string,
+    data: { decision: UloReviewDecision; reason?: string; amount?: number },
+    user: { id: string; role: UserRole }
+  ): Promise<UloReview> {
+    const review = await this.getReview(reviewId);
+    const item = review.items.find(i => i.id === itemId);
+    if (!item) {
+      throw new AppError(404, 'Review item not found');
+    }
+    if (user.role !== UserRole.ADMIN && !item.assignedTo.includes(user.id)) {
+      throw new AppError(403, 'Only the fund holders assigned this obligation can certify it');
+    }
+
+    const obligation = await obligationService.getObligationById(item.obligationId);
+    const unliquidated = Math.max(0, obligation.amount - this.sumPaid(obligation.id));
+    const check: any = reviewRules.validateReviewDecision(
+      { ...item, unliquidatedAmount: Math.min(item.unliquidatedAmount, unliquidated) },
+      data
+    );
+    if (!check.isValid) {
+      throw new AppError(400, 'Invalid review decision', check.errors);
+    }
+
+    if (data.decision === UloReviewDecision.DEOBLIGATE) {
+      const remaining = obligation.amount - check.deobligatedAmount;
+      await obligationService.modifyObligation(obligation.id, {
+        type: remaining > 0 ? ObligationModificationType.DECREASE : ObligationModificationType.DEOBLIGATION,
+        amount: remaining > 0 ? check.deobligatedAmount : undefined,
+        reason: `${review.name}: ${data.reason}`,
+      }, user.id);
+    }
+
+    const reviewedAt = new Date();
+    const items = review.items.map(i => (i.id !== itemId ? i : {
+      ...i,
+      decision: data.decision,
+      reason: data.reason,
+      deobligatedAmount: data.decision === UloReviewDecision.DEOBLIGATE ? check.deobligatedAmount : undefined,
+      reviewedBy: user.id,
+      reviewedAt,
+    }));
+    const completed = items.every(i => i.decision);
+
+    return dataStore.update<UloReview>('uloReviews', reviewId, {
+      items,
+      status: completed ? UloReviewStatus.COMPLETED : UloReviewStatus.OPEN,
+      completedAt: completed ? reviewedAt : undefined,
+    })!;
+  }
+
+  // Certification of each organization: valid, de-obligated and pending obligations
+  async getCertificationReport(reviewId: string) {
+    const review = await this.getReview(reviewId);
+    const organizations = (reviewRules.summarizeCertification(review.items) as any[]).map(summary => {
+      const organization = summary.organizationId
+        ? dataStore.findById<Organization>('organizations', summary.organizationId)
+        : undefined;
+      return { ...summary, organizationCode: organization?.code, organizationName: organization?.name };
+    });
+
+    const total = (key: 'valid' | 'deobligated' | 'pending') => ({
+      count: organizations.reduce((sum, o) => sum + o[key].count, 0),
+      amount: organizations.reduce((sum, o) => sum + o[key].amount, 0),
+    });
+
+    return {
+      reviewId: review.id,
+      name: review.name,
+      fiscalYear: review.fiscalYear,
+      cycle: review.cycle,
+      asOf: review.asOf,
+      dueDate: review.dueDate,
+      status: review.status,
+      overdue: review.status === UloReviewStatus.OPEN && new Date() > review.dueDate,
+      organizations,
+      totals: {
+        items: review.items.length,
+        unliquidatedAmount: review.items.reduce((sum, i) => sum + i.unliquidatedAmount, 0),
+        valid: total('valid'),
+        deobligated: total('deobligated'),
+        pending: total('pending'),
+      },
+    };
+  }
+
+  // Starts the review of the latest cycle whose as-of date has passed, unless already started
+  async startDueReview(asOf: Date = new Date()): Promise<UloReview | null> {
+    const cycle: any = reviewRules.getLatestReviewCycle(asOf);
+    if (!cycle || dataStore.findOne<UloReview>('uloReviews', r => r.fiscalYear === cycle.fiscalYear && r.cycle === cycle.cycle)) {
+      return null;
+    }
+    return this.createReview({ fiscalYear: cycle.fiscalYear, cycle: cycle.cycle }, 'system');
+  }
+
+  // Checks for a due review now and then daily; the timer does not keep the process alive
+  startReviewSchedule(intervalMs: number = REVIEW_SWEEP_INTERVAL_MS): void {
+    this.stopReviewSchedule();
+
+    const sweep = () =>
+      this.startDueReview().catch(error =>
+        console.error('[UloReview] Review sweep failed:', error)
+      );
+
+    sweep();
+    this.sweepTimer = setInterval(sweep, intervalMs);
+    this.sweepTimer.unref();
+  }
+
+  stopReviewSchedule(): void {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  // Active obligations recorded by a date, with what was paid against them by then, the latest
+  // payment and the lifecycle phase of their appropriation on that date
+  private getOpenObligations(asOf: Date): OpenObligation[] {
+    return dataStore
+      .findMany<Obligation>('obligations', o =>
+        ACTIVE_OBLIGATION_STATUSES.includes(o.status) && new Date(o.obligationDate) <= asOf)
+      .map(obligation => {
+        const payments = dataStore.findMany<Expenditure>('expenditures', e =>
+          e.obligationId === obligation.id && e.status === ExpenditureStatus.PAID && new Date(e.paymentDate) <= asOf);
+        const appropriation = obligation.appropriationId
+          ? dataStore.findById<Appropriation>('appropriations', obligation.appropriationId)
+          : undefined;
+
+        return {
+          obligation,
+          expended: payments.reduce((sum, e) => sum + e.amount, 0),
+          lastActivityDate: new Date(Math.max(
+            new Date(obligation.obligationDate).getTime(),
+            ...payments.map(e => new Date(e.paymentDate).getTime())
+          )),
+          expirationStatus: appropriation
+            ? appropriationLifecycleService.getLifecycleStatus(appropriation, asOf).phase
+            : undefined,
+        };
+      });
+  }
+
+  private sumPaid(obligationId: string): number {
+    return dataStore
+      .findMany<Expenditure>('expenditures', e => e.obligationId === obligationId && e.status === ExpenditureStatus.PAID)
+      .reduce((sum, e) => sum + e.amount, 0);
+  }
+
+  // Active finance officers of the organization, or of its nearest ancestor that has any
+  private findFundHolders(organizationId?: string): User[] {
+    const visited = new Set<string>();
+    let organization = organizationId ? dataStore.findById<Organization>('organizations', organizationId) : undefined;
+
+    while (organization && !visited.has(organization.id)) {
+      visited.add(organization.id);
+      const orgId = organization.id;
+      const holders = dataStore.findMany<User>('users', u => u.active && u.organizationId === orgId && u.role === FUND_HOLDER_ROLE);
+      if (holders.length > 0) {
+        return holders;
+      }
+      organization = organization.parentId ? dataStore.findById<Organization>('organizations', organization.parentId) : undefined;
+    }
+    return [];
+  }
+
+  private async notifyFundHolders(review: UloReview): Promise<void> {
+    const assigned = new Map<string, number>();
+    review.items.forEach(item => item.assignedTo.forEach(userId => assigned.set(userId, (assigned.get(userId) || 0) + 1)));
+
+    for (const [userId, count] of assigned) {
+      await notificationService.createNotification({
+        userId,
+        type: NotificationType.SYSTEM,
+        title: 'Unliquidated Obligation Review',
+        message: `${count} dormant obligation${count === 1 ? '' : 's'} await your certification in the ${review.name}, due ${review.dueDate.toISOString()}`,
+        entityType: 'ulo_review',
+        entityId: review.id,
+        priority: NotificationPriority.HIGH,
+      });
+    }
+  }
+}
+
+export const uloReviewService = new UloReviewService();
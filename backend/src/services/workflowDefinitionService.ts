@@ -0,0 +1,225 @@
+// PPBE-008: Configurable budget workflow definitions
+// Admins version workflow graphs and assign them to organizations or budget categories;
+// a budget is pinned to the version in force when it was created
+import { v4 as uuidv4 } from 'uuid';
+import { Budget, Organization, WorkflowAssignment, WorkflowDefinition } from '../types';
+import { budgetWorkflow } from '../domain/ppbe';
+import { dataStore } from './dataStore';
+import { AppError } from '../middleware/errorHandler';
+
+type DefinitionInput = Pick<WorkflowDefinition, 'name' | 'description' | 'initialState' | 'states' | 'stateOrder'>;
+
+const BUILT_IN_CREATED_AT = new Date(0);
+
+export class WorkflowDefinitionService {
+  async createDefinition(data: DefinitionInput & { key: string }, createdBy: string): Promise<WorkflowDefinition> {
+    if (data.key === budgetWorkflow.DEFAULT_WORKFLOW_DEFINITION.key || this.findVersions(data.key).length > 0) {
+      throw new AppError(409, `Workflow definition ${data.key} already exists`);
+    }
+
+    return this.saveVersion(data.key, 1, data, createdBy);
+  }
+
+  // Earlier versions are kept for the budgets pinned to them
+  async createVersion(key: string, data: DefinitionInput, createdBy: string): Promise<WorkflowDefinition> {
+    const latest = await this.getDefinition(key);
+    if (latest.retired) {
+      throw new AppError(400, `Workflow definition ${key} is retired`);
+    }
+
+    return this.saveVersion(key, latest.version + 1, data, createdBy);
+  }
+
+  // Latest version of each definition, the built-in graph first
+  async getDefinitions(filters?: { includeRetired?: boolean }): Promise<WorkflowDefinition[]> {
+    const latest = new Map<string, WorkflowDefinition>();
+    for (const definition of dataStore.findAll<WorkflowDefinition>('workflowDefinitions')) {
+      const current = latest.get(definition.key);
+      if (!current || definition.version > current.version) {
+        latest.set(definition.key, definition);
+      }
+    }
+
+    const definitions = [...latest.values()].filter(d => filters?.includeRetired || !d.retired);
+    return [this.getBuiltInDefinition(), ...definitions.sort((a, b) => a.key.localeCompare(b.key))];
+  }
+
+  async getDefinition(key: string, version?: number): Promise<WorkflowDefinition> {
+    const versions = key === budgetWorkflow.DEFAULT_WORKFLOW_DEFINITION.key
+      ? [this.getBuiltInDefinition()]
+      : this.findVersions(key);
+    const definition = version === undefined ? versions[versions.length - 1] : versions.find(d => d.version === version);
+
+    if (!definition) {
+      throw new AppError(404, `Workflow definition ${key}${version === undefined ? '' : ` version ${version}`} not found`);
+    }
+    return definition;
+  }
+
+  async getVersions(key: string): Promise<WorkflowDefinition[]> {
+    await this.getDefinition(key);
+    return key === budgetWorkflow.DEFAULT_WORKFLOW_DEFINITION.key ? [this.getBuiltInDefinition()] : this.findVersions(key);
+  }
+
+  // A retired definition is no longer assigned to new budgets; budgets pinned to it keep it
+  async retireDefinition(key: string): Promise<WorkflowDefinition> {
+    if (key === budgetWorkflow.DEFAULT_WORKFLOW_DEFINITION.key) {
+      throw new AppError(400, 'The built-in workflow definition cannot be retired');
+    }
+    await this.getDefinition(key);
+
+    for (const definition of this.findVersions(key)) {
+      dataStore.update<WorkflowDefinition>('workflowDefinitions', definition.id, { retired: true });
+    }
+    for (const assignment of await this.getAssignments({ definitionKey: key })) {
+      dataStore.delete<WorkflowAssignment>('workflowAssignments', assignment.id);
+    }
+
+    return this.getDefinition(key);
+  }
+
+  async assignDefinition(
+    key: string,
+    scope: { organizationId?: string; category?: string },
+    createdBy: string
+  ): Promise<WorkflowAssignment> {
+    const definition = await this.getDefinition(key);
+    if (definition.retired) {
+      throw new AppError(400, `Workflow definition ${key} is retired`);
+    }
+    if (scope.organizationId && !dataStore.findById<Organization>('organizations', scope.organizationId)) {
+      throw new AppError(404, 'Organization not found');
+    }
+    if (dataStore.findOne<WorkflowAssignment>('workflowAssignments', a =>
+      a.organizationId === scope.organizationId && a.category === scope.category)) {
+      throw new AppError(409, 'A workflow definition is already assigned to this organization and category');
+    }
+
+    const assignment: WorkflowAssignment = {
+      id: uuidv4(),
+      definitionKey: key,
+      ...scope,
+      createdBy,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    return dataStore.create<WorkflowAssignment>('workflowAssignments', assignment);
+  }
+
+  async getAssignments(filters?: { definitionKey?: string; organizationId?: string }): Promise<WorkflowAssignment[]> {
+    let assignments = dataStore.findAll<WorkflowAssignment>('workflowAssignments');
+
+    if (filters?.definitionKey) {
+      assignments = assignments.filter(a => a.definitionKey === filters.definitionKey);
+    }
+    if (filters?.organizationId) {
+      assignments = assignments.filter(a => a.organizationId === filters.organizationId);
+    }
+
+    return assignments;
+  }
+
+  async deleteAssignment(id: string): Promise<void> {
+    const success = dataStore.delete<WorkflowAssignment>('workflowAssignments', id);
+    if (!success) {
+      throw new AppError(404, 'Workflow assignment not found');
+    }
+  }
+
+  // Latest version of the most specific assignment: organization and category, then the
+  // organization (or its nearest ancestor), then the category; the built-in graph otherwise
+  resolveDefinition(scope: { organizationId?: string; category?: string }): WorkflowDefinition {
+    const assignments = dataStore.findAll<WorkflowAssignment>('workflowAssignments');
+    const lineage = this.getOrganizationLineage(scope.organizationId);
+    let best: { assignment: WorkflowAssignment; rank: number } | undefined;
+
+    for (const assignment of assignments) {
+      if (assignment.category && assignment.category !== scope.category) {
+        continue;
+      }
+      const depth = assignment.organizationId ? lineage.indexOf(assignment.organizationId) : lineage.length;
+      if (depth === -1) {
+        continue;
+      }
+      // Nearer organizations rank higher; matching the category breaks ties
+      const rank = (lineage.length - depth) * 2 + (assignment.category ? 1 : 0);
+      if (!best || rank > best.rank) {
+        best = { assignment, rank };
+      }
+    }
+
+    // The built-in key can be assigned to opt a child organization back out of its parent's graph
+    if (!best || best.assignment.definitionKey === budgetWorkflow.DEFAULT_WORKFLOW_DEFINITION.key) {
+      return this.getBuiltInDefinition();
+    }
+    const versions = this.findVersions(best.assignment.definitionKey);
+    return versions[versions.length - 1];
+  }
+
+  // Definition a budget is pinned to
+  getDefinitionForBudget(budget: Budget): WorkflowDefinition {
+    if (!budget.workflowDefinitionId) {
+      return this.getBuiltInDefinition();
+    }
+    const definition = dataStore.findById<WorkflowDefinition>('workflowDefinitions', budget.workflowDefinitionId);
+    if (!definition) {
+      throw new AppError(500, `Workflow definition ${budget.workflowDefinitionId} for budget ${budget.id} not found`);
+    }
+    return definition;
+  }
+
+  getBuiltInDefinition(): WorkflowDefinition {
+    const builtIn: any = budgetWorkflow.DEFAULT_WORKFLOW_DEFINITION;
+    return {
+      id: builtIn.key,
+      ...builtIn,
+      version: 1,
+      retired: false,
+      createdBy: 'system',
+      createdAt: BUILT_IN_CREATED_AT,
+      updatedAt: BUILT_IN_CREATED_AT,
+    };
+  }
+
+  private saveVersion(key: string, version: number, data: DefinitionInput, createdBy: string): WorkflowDefinition {
+    const validation: any = budgetWorkflow.validateWorkflowDefinition(data);
+    if (!validation.isValid) {
+      throw new AppError(400, 'Invalid workflow definition', validation.errors);
+    }
+
+    const definition: WorkflowDefinition = {
+      id: uuidv4(),
+      ...data,
+      key,
+      version,
+      retired: false,
+      createdBy,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    return dataStore.create<WorkflowDefinition>('workflowDefinitions', definition);
+  }
+
+  private findVersions(key: string): WorkflowDefinition[] {
+    return dataStore
+      .findAll<WorkflowDefinition>('workflowDefinitions')
+      .filter(d => d.key === key)
+      .sort((a, b) => a.version - b.version);
+  }
+
+  // The organization followed by its ancestors, nearest first
+  private getOrganizationLineage(organizationId?: string): string[] {
+    const lineage: string[] = [];
+    let current = organizationId ? dataStore.findById<Organization>('organizations', organizationId) : undefined;
+
+    while (current && !lineage.includes(current.id)) {
+      lineage.push(current.id);
+      current = current.parentId ? dataStore.findById<Organization>('organizations', current.parentId) : undefined;
+    }
+    return lineage;
+  }
+}
+
+export const workflowDefinitionService = new WorkflowDefinitionService();
@@ -60,8 +60,18 @@ export interface Budget {
   expendedAmount: number;
   department: string;
   organizationId?: string;
+  category?: string; // Budget category selecting an assigned workflow definition
+  appropriationType?: string; // Appropriation type code (OM, RDTE, ...) selecting the inflation index
+  dollarBasis?: DollarBasis; // Basis the amounts are stored in; then-year when not set
+  dollarYear?: number; // Year of constant-year amounts
   status: BudgetStatus;
   approvalStatus: ApprovalStatus;
+  workflowDefinitionId?: string; // Pinned when the budget is created; the built-in graph when not set
+  workflowDefinitionVersion?: number;
+  workflowState: string;
+  workflowHistory: BudgetWorkflowTransition[];
+  workflowData?: Record<string, any>;
+  pendingTransition?: PendingWorkflowTransition;
   version: number;
   parentBudgetId?: string;
   createdBy: string;
@@ -69,6 +79,76 @@ export interface Budget {
   updatedAt: Date;
 }
 
+// PPBE workflow state (see domain/ppbe/budgetWorkflow WORKFLOW_STATES)
+export interface BudgetWorkflowTransition {
+  id: string;
+  fromState: string;
+  toState: string;
+  timestamp: string;
+  transitionedBy: string;
+  approvedBy?: string;
+  reason?: string;
+  metadata?: Record<string, any>;
+}
+
+export interface PendingWorkflowTransition {
+  fromState: string;
+  toState: string;
+  approvalLevel: string;
+  approvalRequestId: string;
+  requestedBy: string;
+  requestedAt: Date;
+  reason?: string;
+}
+
+// Workflow graph an organization or budget category follows instead of the
+// built-in DoD graph (PPBE-008). Versions are immutable once created.
+export interface WorkflowGuard {
+  field: string; // Budget field or dotted path into workflow data
+  operator: 'exists' | 'eq' | 'neq' | 'gt' | 'gte' | 'lt' | 'lte' | 'in';
+  value?: any;
+  message?: string;
+}
+
+export interface WorkflowStateDefinition {
+  code: string;
+  name: string;
+  phase?: string | null;
+  description?: string;
+  allowedTransitions: string[];
+  requiredFields?: string[];
+  approvalRequired: boolean;
+  approvalLevel?: string;
+  terminal?: boolean;
+  status?: BudgetStatus; // Status reported while in the state
+  guards?: WorkflowGuard[];
+}
+
+export interface WorkflowDefinition {
+  id: string;
+  key: string;
+  version: number;
+  name: string;
+  description?: string;
+  initialState: string;
+  states: Record<string, WorkflowStateDefinition>;
+  stateOrder?: string[];
+  retired: boolean;
+  createdBy: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface WorkflowAssignment {
+  id: string;
+  definitionKey: string;
+  organizationId?: string; // Also applies to the organization's descendants
+  category?: string;
+  createdBy: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
 export enum BudgetStatus {
   DRAFT = 'draft',
   SUBMITTED = 'submitted',
@@ -87,6 +167,9 @@ export interface BudgetLineItem {
   obligatedAmount: number;
   expendedAmount: number;
   appropriation: string;
+  appropriationType?: string; // Defaults to the budget's appropriation type
+  dollarBasis?: DollarBasis;
+  dollarYear?: number;
   bpac: string; // Budget Project Account Code
   category: string;
   subcategory?: string;
@@ -118,10 +201,33 @@ export interface FiscalYear {
   allocatedBudget: number;
   obligatedBudget: number;
   expendedBudget: number;
+  continuingResolutions?: ContinuingResolution[];
   createdAt: Date;
   updatedAt: Date;
 }
 
+// Continuing Resolution period within a fiscal year (PPBE-011)
+export interface ContinuingResolution {
+  id: string;
+  name: string;
+  startDate: Date;
+  endDate: Date;
+  rate: number;
+  noNewStarts: boolean;
+  anomalies: ContinuingResolutionAnomaly[];
+  createdBy?: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface ContinuingResolutionAnomaly {
+  appropriationCode: string;
+  rate?: number;
+  amount?: number;
+  allowNewStarts?: boolean;
+  description?: string;
+}
+
 export enum FiscalYearStatus {
   PLANNING = 'planning',
   CURRENT = 'current',
@@ -146,6 +252,7 @@ export interface ProgramElement {
   startDate: Date;
   endDate?: Date;
   milestones?: Milestone[];
+  fydp?: ProgramFydp;
   createdBy: string;
   createdAt: Date;
   updatedAt: Date;
@@ -196,6 +303,7 @@ export interface ApprovalWorkflow {
   name: string;
   description?: string;
   entityType: ApprovalEntityType;
+  approvalLevel?: string;
   steps: ApprovalStep[];
   active: boolean;
   createdBy: string;
@@ -207,7 +315,8 @@ export enum ApprovalEntityType {
   BUDGET = 'budget',
   PROGRAM = 'program',
   EXECUTION = 'execution',
-  LINEITEM = 'lineitem'
+  LINEITEM = 'lineitem',
+  REPROGRAMMING = 'reprogramming'
 }
 
 export interface ApprovalStep {
@@ -215,9 +324,24 @@ export interface ApprovalStep {
   approverRole: UserRole;
   approverId?: string;
   organizationId?: string;
+  type?: 'approval' | 'coordination'; // Coordination steps take concur / non-concur responses
+  approvers?: ApprovalParticipant[]; // Parallel participants; the step approver alone when not set
+  quorum?: 'all' | 'any' | number; // Positive responses needed from approvers (all by default)
   required: boolean;
   autoApprove?: boolean;
   thresholdAmount?: number;
+  dueInDays?: number; // SLA for the step; no reminders or escalation without it
+  dayBasis?: 'calendar' | 'business'; // Counting basis for dueInDays (calendar by default)
+  reminderDaysBefore?: number[]; // Reminders sent this many days before the due date (default [1])
+  alternateApproverId?: string; // Escalation target before the organization hierarchy
+}
+
+// One of several parallel approvers on a step, e.g. legal, comptroller or program office
+export interface ApprovalParticipant {
+  approverId?: string;
+  approverRole?: UserRole; // Any user in the role may respond when no approverId is set
+  label?: string;
+  alternateApproverId?: string; // Escalation target for this approver before the organization hierarchy
 }
 
 export interface ApprovalRequest {
@@ -229,11 +353,30 @@ export interface ApprovalRequest {
   currentStep: number;
   status: ApprovalStatus;
   comments?: string;
+  amount?: number; // Dollar value of the entity, checked against delegation limits
+  stepStartedAt?: Date;
+  stepDueAt?: Date;
+  assignedApproverId?: string; // Approver after escalation; the step's approverId otherwise
+  assignedApprovers?: Record<number, string>; // Parallel approvers after escalation, by participant index
+  remindersSent?: number[]; // reminderDaysBefore values already sent for the current step
+  escalationExhausted?: boolean; // Overdue with no one left to escalate the current step to
+  escalations?: ApprovalEscalation[];
   createdAt: Date;
   updatedAt: Date;
   completedAt?: Date;
 }
 
+export interface ApprovalEscalation {
+  step: number;
+  participant?: number; // Index of the escalated approver on a parallel step
+  fromApproverId?: string;
+  toApproverId: string;
+  route: 'alternate' | 'organization';
+  organizationId?: string; // Organization the new approver was found in
+  overdueSince: Date;
+  escalatedAt: Date;
+}
+
 export enum ApprovalStatus {
   PENDING = 'pending',
   IN_REVIEW = 'in_review',
@@ -249,6 +392,11 @@ export interface ApprovalAction {
   approverId: string;
   action: ApprovalActionType;
   comments?: string;
+  participant?: number; // Index into the step's approvers the response was recorded for
+  actingFor?: string; // Approver the response was made on behalf of, under delegationId
+  delegationId?: string;
+  stepStartedAt?: Date;
+  stepDueAt?: Date;
   timestamp: Date;
 }
 
@@ -256,7 +404,26 @@ export enum ApprovalActionType {
   APPROVED = 'approved',
   REJECTED = 'rejected',
   RETURNED = 'returned',
-  DELEGATED = 'delegated'
+  DELEGATED = 'delegated',
+  CONCUR = 'concur',
+  NON_CONCUR = 'non_concur'
+}
+
+// Approval authority handed to another user with the same role for a date range
+export interface ApprovalDelegation {
+  id: string;
+  delegatorId: string;
+  delegateId: string;
+  startDate: string; // YYYY-MM-DD, inclusive
+  endDate: string; // YYYY-MM-DD, inclusive
+  entityTypes?: ApprovalEntityType[]; // All entity types when omitted
+  maxAmount?: number; // Requests above this amount, or without one, stay with the delegator
+  reason?: string;
+  revokedAt?: Date;
+  revokedBy?: string;
+  createdBy: string;
+  createdAt: Date;
+  updatedAt: Date;
 }
 
 // Audit Types
@@ -288,6 +455,56 @@ export enum AuditAction {
   IMPORT = 'import'
 }
 
+// Separation of duties: actions one user may not both take on the same budget, application or
+// approval request
+export enum SodDuty {
+  BUDGET_CREATE = 'budget.create',
+  BUDGET_APPROVE = 'budget.approve',
+  COMMITMENT_CREATE = 'commitment.create',
+  OBLIGATION_CREATE = 'obligation.create',
+  EXPENDITURE_CREATE = 'expenditure.create',
+  APPROVAL_REQUEST = 'approval.request',
+  APPROVAL_DECIDE = 'approval.decide',
+  APPLICATION_CREATE = 'application.create',
+  APPLICATION_APPROVE = 'application.approve',
+  APPLICATION_DISBURSE = 'application.disburse'
+}
+
+export interface SodRule {
+  id: string;
+  duties: [SodDuty, SodDuty]; // The same duty twice keeps a user from performing it more than once
+  description: string;
+  enforce: boolean; // Monitor-only rules are reported but not blocked
+}
+
+export interface SodPolicy {
+  id: string;
+  version: number;
+  rules: SodRule[];
+  createdBy: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface SodDutyRecord {
+  duty: SodDuty;
+  userId: string;
+  entityType: string;
+  entityId: string;
+  performedAt: Date;
+}
+
+export interface SodConflict {
+  ruleId: string;
+  description: string;
+  enforced: boolean;
+  recordType: 'budget' | 'application' | 'approval_request';
+  recordId: string;
+  userId: string;
+  actions: SodDutyRecord[];
+  occurredAt: Date; // When the second, conflicting duty was performed
+}
+
 // Document Types
 export interface Document {
   id: string;
@@ -337,6 +554,9 @@ export enum NotificationType {
   APPROVAL_REQUEST = 'approval_request',
   APPROVAL_APPROVED = 'approval_approved',
   APPROVAL_REJECTED = 'approval_rejected',
+  APPROVAL_REMINDER = 'approval_reminder',
+  APPROVAL_ESCALATED = 'approval_escalated',
+  APPROVAL_DELEGATED = 'approval_delegated',
   COMMENT_ADDED = 'comment_added',
   BUDGET_UPDATED = 'budget_updated',
   THRESHOLD_EXCEEDED = 'threshold_exceeded',
@@ -370,6 +590,7 @@ export enum ReportType {
   PROGRAM_STATUS = 'program_status',
   APPROVAL_HISTORY = 'approval_history',
   AUDIT_LOG = 'audit_log',
+  SF_133 = 'sf_133',
   CUSTOM = 'custom'
 }
 
@@ -399,12 +620,106 @@ export interface Obligation {
   vendor?: string;
   obligationDate: Date;
   fiscalYearId: string;
+  appropriationId?: string;
+  appropriationType?: string;
+  purpose?: string;
+  justification?: string;
+  isNewStart?: boolean;
+  organizationId?: string;
+  allotmentId?: string;
+  commitmentId?: string; // Commitment the obligation was converted from (PPBE-009)
+  lineOfAccounting?: LineOfAccounting;
   status: ObligationStatus;
+  originalAmount?: number; // Amount first obligated, before any modification
+  modifications?: ObligationModification[]; // Append-only, numbered in the order recorded (PPBE-009)
+  expiredFundAdjustments?: ExpiredFundAdjustment[];
+  complianceWarnings?: ComplianceFinding[];
+  complianceCheckedAt?: Date;
+  complianceRulePack?: RulePackReference; // Rule pack the checks were evaluated under (PPBE-018)
+  createdBy: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+// Commitment (PPBE-009): a purchase request or funding document reserving funds ahead of obligation
+export interface Commitment {
+  id: string;
+  documentNumber: string;
+  description: string;
+  appropriationId: string;
+  fiscalYearId: string;
+  budgetId: string;
+  organizationId?: string;
+  allotmentId?: string;
+  lineOfAccounting?: LineOfAccounting;
+  commitmentDate: Date;
+  amount: number;
+  releasedAmount: number;
+  releases: CommitmentRelease[];
+  status: CommitmentStatus;
+  closedAt?: Date;
   createdBy: string;
   createdAt: Date;
   updatedAt: Date;
 }
 
+export enum CommitmentStatus {
+  OPEN = 'OPEN',
+  CLOSED = 'CLOSED'
+}
+
+export interface CommitmentRelease {
+  amount: number;
+  reason: string;
+  releasedBy: string;
+  releasedAt: Date;
+}
+
+// Commitment with its balance against the obligations converted from it
+export interface CommitmentBalance extends Commitment {
+  obligatedAmount: number;
+  openAmount: number;
+  obligationIds: string[];
+}
+
+export enum ObligationModificationType {
+  INCREASE = 'INCREASE',
+  DECREASE = 'DECREASE',
+  ADMINISTRATIVE = 'ADMINISTRATIVE',
+  DEOBLIGATION = 'DEOBLIGATION'
+}
+
+// A change to an obligation after it was recorded. Amounts are the obligated amount, which is
+// 0 once de-obligated; the fiscal-year impact is taken on the modification date.
+export interface ObligationModification {
+  number: number;
+  type: ObligationModificationType;
+  modificationDate: Date;
+  amount: number; // Signed change in the obligated amount; 0 for administrative modifications
+  previousAmount: number;
+  newAmount: number;
+  fiscalYear: number; // Fiscal year the modification is recorded in
+  lifecyclePhase?: AppropriationLifecyclePhase; // Of the appropriation on the modification date
+  expiredYear?: number;
+  upwardAdjustment: boolean; // An increase against expired funds (31 U.S.C. § 1553(a))
+  changes: string[]; // Fields changed
+  reason?: string;
+  modifiedBy?: string;
+  recordedAt: Date;
+}
+
+// Increase recorded against an expired appropriation (31 U.S.C. § 1553(a))
+export interface ExpiredFundAdjustment {
+  modificationNumber?: number;
+  amount: number;
+  previousAmount: number;
+  newAmount: number;
+  expiredYear: number;
+  requiresAgencyHeadApproval: boolean;
+  requiresCongressionalNotification: boolean;
+  adjustedAt: Date;
+}
+
 export enum ObligationStatus {
   PENDING = 'pending',
   OBLIGATED = 'obligated',
@@ -412,6 +727,30 @@ export enum ObligationStatus {
   CANCELLED = 'cancelled'
 }
 
+// Anti-Deficiency Act / PTA findings raised when an obligation is written
+export interface ComplianceFinding {
+  rule: ComplianceRule;
+  severity: ComplianceSeverity;
+  message: string;
+  statute?: string;
+}
+
+export enum ComplianceRule {
+  ANTI_DEFICIENCY = 'anti_deficiency',
+  PURPOSE = 'purpose',
+  TIME = 'time',
+  AMOUNT = 'amount',
+  CONTINUING_RESOLUTION = 'continuing_resolution',
+  APPROPRIATION_LIFECYCLE = 'appropriation_lifecycle'
+}
+
+export enum ComplianceSeverity {
+  CRITICAL = 'CRITICAL',
+  HIGH = 'HIGH',
+  MEDIUM = 'MEDIUM',
+  LOW = 'LOW'
+}
+
 export interface Expenditure {
   id: string;
   obligationId?: string;
@@ -424,8 +763,10 @@ export interface Expenditure {
   invoiceNumber?: string;
   paymentDate: Date;
   fiscalYearId: string;
+  lineOfAccounting?: LineOfAccounting;
   status: ExpenditureStatus;
   createdBy: string;
+  updatedBy?: string;
   createdAt: Date;
   updatedAt: Date;
 }
@@ -467,9 +808,16 @@ export interface Appropriation {
   amount: number;
   allocatedAmount: number;
   availableAmount: number;
+  apportionedAmount?: number;
+  allottedAmount?: number;
+  priorYearAmount?: number;
+  enactedDate?: Date;
   expirationDate: Date;
   type: AppropriationType;
+  treasuryAccountSymbol?: TreasuryAccountSymbol;
   restrictions?: string[];
+  cancelledAt?: Date;
+  cancelledBalance?: CancelledBalance;
   createdAt: Date;
   updatedAt: Date;
 }
@@ -480,6 +828,467 @@ export enum AppropriationType {
   NO_YEAR = 'no_year'
 }
 
+// Treasury Account Symbol components (PPBE-020); bpoa/epoa are null for no-year ("X") accounts
+export interface TreasuryAccountSymbol {
+  sp: string | null;
+  ata: string | null;
+  aid: string;
+  bpoa: number | null;
+  epoa: number | null;
+  availabilityTypeCode: 'X' | null;
+  mainAccount: string;
+  subAccount: string;
+  symbol: string; // Component form, e.g. 097-2025/2027-0300-000
+}
+
+// Standard line of accounting elements (PPBE-020)
+export interface LineOfAccounting {
+  value: string; // Pipe-delimited form, TAS first
+  treasuryAccountSymbol: TreasuryAccountSymbol;
+  objectClass: string;
+  budgetLineItem?: string;
+  fundsCenter?: string;
+  costCenter?: string;
+  project?: string;
+}
+
+// SF-132 Apportionment (PPBE-013)
+export interface Apportionment {
+  id: string;
+  appropriationId: string;
+  fiscalYearId: string;
+  reapportionmentNumber: number;
+  approvedDate?: Date;
+  lines: ApportionmentLine[];
+  footnotes: ApportionmentFootnote[];
+  totalApportioned: number;
+  createdBy?: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export enum ApportionmentCategory {
+  A = 'A',
+  B = 'B'
+}
+
+export interface ApportionmentLine {
+  lineNumber: string;
+  category: ApportionmentCategory;
+  quarter?: number;
+  project?: string;
+  amount: number;
+  description?: string;
+}
+
+export interface ApportionmentFootnote {
+  code: string;
+  text: string;
+  lineNumbers?: string[];
+  prohibitedActivities?: string[];
+}
+
+// Funds distribution: allotments from the apportionment, sub-allotments from allotments (PPBE-013)
+export interface Allotment {
+  id: string;
+  appropriationId: string;
+  organizationId: string;
+  parentAllotmentId?: string;
+  amount: number;
+  description?: string;
+  createdBy?: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+// Appropriation lifecycle phases (PPBE-012)
+export enum AppropriationLifecyclePhase {
+  CURRENT = 'CURRENT',
+  EXPIRED = 'EXPIRED',
+  CANCELLED = 'CANCELLED'
+}
+
+// Balances closed out when an appropriation account is cancelled (31 U.S.C. § 1552(a))
+export interface CancelledBalance {
+  appropriated: number;
+  obligated: number;
+  expended: number;
+  unobligatedBalance: number;
+  unliquidatedObligations: number;
+  totalCancelled: number;
+  cancellationDate: Date;
+  cancelledBy: string;
+}
+
+// Reprogramming (PPBE-015)
+export interface Reprogramming {
+  id: string;
+  controlNumber: string;
+  fiscalYearId: string;
+  appropriationType: string;
+  lineType: ReprogrammingLineType;
+  fromId: string;
+  toId: string;
+  amount: number;
+  justification: string;
+  category: ReprogrammingCategory;
+  status: ReprogrammingStatus;
+  evaluation: any;
+  approvalRequestId?: string;
+  requestedBy: string;
+  approvedBy?: string;
+  appliedAt?: Date;
+  failureReason?: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export enum ReprogrammingLineType {
+  PROGRAM_ELEMENT = 'program_element',
+  LINE_ITEM = 'line_item'
+}
+
+export enum ReprogrammingCategory {
+  BELOW_THRESHOLD = 'BELOW_THRESHOLD',
+  PRIOR_APPROVAL = 'PRIOR_APPROVAL'
+}
+
+export enum ReprogrammingStatus {
+  PENDING_APPROVAL = 'pending_approval',
+  APPLIED = 'applied',
+  REJECTED = 'rejected',
+  FAILED = 'failed'
+}
+
+// Future Years Defense Program (PPBE-016)
+export interface FydpResource {
+  appropriationType: string;
+  fiscalYear: number;
+  amount: number;
+}
+
+export interface FydpProjection {
+  budgetYear: number;
+  resources: FydpResource[];
+  dollarBasis?: DollarBasis;
+  dollarYear?: number;
+  updatedBy?: string;
+  updatedAt?: Date;
+}
+
+export interface ProgramFydp {
+  programOfRecord?: FydpProjection;
+  proposed?: FydpProjection;
+}
+
+export enum FydpPosition {
+  PROGRAM_OF_RECORD = 'program_of_record',
+  PROPOSED = 'proposed'
+}
+
+// Point-in-time capture of the POM position across program elements
+export interface PomSnapshot {
+  id: string;
+  name: string;
+  description?: string;
+  budgetYear: number;
+  department?: string;
+  dollarBasis?: DollarBasis; // Basis every program is restated in; then-year when not set
+  dollarYear?: number;
+  programs: PomSnapshotProgram[];
+  totals: Record<number, number>;
+  total: number;
+  createdBy: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface PomSnapshotProgram {
+  programElementId: string;
+  peNumber: string;
+  name: string;
+  position: FydpPosition;
+  resources: FydpResource[];
+  total: number;
+}
+
+// Inflation indices and dollar basis (PPBE-017)
+export enum DollarBasis {
+  THEN_YEAR = 'TY',
+  CONSTANT_YEAR = 'CY',
+  BASE_YEAR = 'BY'
+}
+
+export interface DollarBasisTarget {
+  basis: DollarBasis;
+  year?: number; // Required for constant-year dollars
+}
+
+export interface InflationIndexTable {
+  id: string;
+  name: string;
+  appropriationType: string;
+  baseYear: number;
+  indices: Record<string, number>; // Composite index per fiscal year, 1.0 in the base year
+  source?: string;
+  createdBy: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+// Versioned, effective-dated compliance rules (PPBE-018)
+export interface RulePackRules {
+  costThresholds: Record<string, number>;
+  authorizedPurposes: Record<string, string[]>;
+  availability: Record<string, number | null>; // Years of availability; null for no-year funds
+  subTypeAvailability: Record<string, Record<string, number | null>>;
+}
+
+export interface RulePack {
+  id: string;
+  version: string;
+  name: string;
+  description?: string;
+  authority?: string; // e.g. "FY2027 NDAA, section 2802"
+  effectiveDate: string; // YYYY-MM-DD
+  basedOn?: string; // Version the pack amends
+  rules: RulePackRules;
+  createdBy: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface RulePackReference {
+  version: string;
+  effectiveDate: string;
+}
+
+// Anti-Deficiency Act violation case (see domain/ppbe/antiDeficiencyAct CASE_STAGES)
+export type AdaCaseStage =
+  | 'PRELIMINARY_REVIEW'
+  | 'FORMAL_INVESTIGATION'
+  | 'RESPONSIBLE_INDIVIDUALS'
+  | 'CORRECTIVE_ACTIONS'
+  | 'REPORTING'
+  | 'CLOSED';
+
+export interface AdaCase {
+  id: string;
+  caseNumber: string; // e.g. ADA-2027-001, numbered within the fiscal year of discovery
+  title: string;
+  description?: string;
+  statute: string;
+  violationType: string;
+  severity?: string;
+  amount?: number;
+  appropriationId?: string;
+  obligationId?: string;
+  discoveredOn: string; // YYYY-MM-DD
+  violationReport?: Record<string, any>; // generateViolationReport output the case was opened from
+  stage: AdaCaseStage;
+  stageStartedAt: Date;
+  stageDueAt?: Date;
+  violationConfirmed?: boolean;
+  preliminaryFindings?: string;
+  investigatingOfficer?: string;
+  investigationFindings?: string;
+  closureReason?: string;
+  responsibleIndividuals: AdaResponsibleIndividual[];
+  correctiveActions: AdaCorrectiveAction[];
+  reports: AdaCaseReport[];
+  evidence: AdaCaseEvidence[];
+  history: AdaCaseEvent[];
+  openedBy: string;
+  closedAt?: Date;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface AdaResponsibleIndividual {
+  id: string;
+  name: string;
+  position: string;
+  organization?: string;
+  determination: string;
+  disciplinaryAction?: string;
+}
+
+export interface AdaCorrectiveAction {
+  id: string;
+  description: string;
+  owner?: string;
+  dueDate?: string; // YYYY-MM-DD
+  completedAt?: Date;
+  completedBy?: string;
+}
+
+export interface AdaCaseReport {
+  recipient: 'PRESIDENT' | 'CONGRESS' | 'GAO';
+  reportedOn: string; // YYYY-MM-DD
+  reference?: string; // Transmittal letter or report number
+  recordedBy: string;
+}
+
+export interface AdaCaseEvidence {
+  documentId: string;
+  fileName: string;
+  description?: string;
+  stage: AdaCaseStage;
+  attachedBy: string;
+  attachedAt: Date;
+}
+
+export interface AdaCaseEvent {
+  event: string; // opened, updated, stage_changed, individual_determined, corrective_action_added, ...
+  stage: AdaCaseStage;
+  userId: string;
+  timestamp: Date;
+  details?: Record<string, any>;
+}
+
+// Tri-annual review of dormant unliquidated obligations (PPBE-021)
+export enum UloReviewStatus {
+  OPEN = 'OPEN',
+  COMPLETED = 'COMPLETED'
+}
+
+export enum UloReviewDecision {
+  VALID = 'VALID',
+  DEOBLIGATE = 'DEOBLIGATE'
+}
+
+export interface UloReview {
+  id: string;
+  name: string; // e.g. FY2026 May review
+  fiscalYear: number;
+  cycle: number; // 1 (January), 2 (May) or 3 (September)
+  asOf: Date;
+  dueDate: Date;
+  dormantDays: number;
+  status: UloReviewStatus;
+  items: UloReviewItem[];
+  createdBy: string;
+  completedAt?: Date;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+// A dormant obligation as of the review, assigned to the fund holders of its organization
+export interface UloReviewItem {
+  id: string;
+  obligationId: string;
+  documentNumber: string;
+  appropriationId?: string;
+  organizationId?: string;
+  obligationDate: Date;
+  lastActivityDate: Date;
+  daysInactive: number;
+  expirationStatus?: AppropriationLifecyclePhase;
+  obligatedAmount: number;
+  unliquidatedAmount: number;
+  assignedTo: string[];
+  decision?: UloReviewDecision;
+  reason?: string;
+  deobligatedAmount?: number;
+  reviewedBy?: string;
+  reviewedAt?: Date;
+}
+
+// Monthly obligation and expenditure spend plan of a budget or an appropriation (PPBE-022)
+export interface SpendPlan {
+  id: string;
+  budgetId?: string;
+  appropriationId?: string;
+  fiscalYearId: string;
+  fiscalYear: number;
+  months: SpendPlanMonth[]; // Fiscal months 1 (October) to 12 (September)
+  notes?: string;
+  createdBy: string;
+  updatedBy?: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface SpendPlanMonth {
+  month: number;
+  obligations: number;
+  expenditures: number;
+}
+
+// USSGL general ledger (PPBE-019)
+export enum LedgerEvent {
+  APPROPRIATION = 'appropriation',
+  APPORTIONMENT = 'apportionment',
+  ALLOTMENT = 'allotment',
+  COMMITMENT = 'commitment',
+  OBLIGATION = 'obligation',
+  EXPENDITURE = 'expenditure'
+}
+
+export interface UssglPostingPair {
+  debit: string; // USSGL account number
+  credit: string;
+}
+
+// Debit/credit pairs posted for an event; saved codes replace the built-in ones
+export interface UssglTransactionCode {
+  id: string;
+  code: string;
+  event: LedgerEvent;
+  description: string;
+  budgetary: UssglPostingPair[];
+  proprietary: UssglPostingPair[];
+  createdBy: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface LedgerEntry {
+  accountNumber: string;
+  accountType: 'BUDGETARY' | 'PROPRIETARY';
+  debit: number;
+  credit: number;
+}
+
+export interface LedgerTransaction {
+  id: string;
+  transactionCode: string;
+  event: LedgerEvent;
+  amount: number; // Negative when the code's pairs were posted reversed (a decrease)
+  appropriationId: string;
+  treasuryAccount: string;
+  fiscalYear: number;
+  period: number; // 1 (October) - 12 (September)
+  postingDate: Date;
+  sourceType: string;
+  sourceId: string;
+  description: string;
+  entries: LedgerEntry[];
+  fundsAccount?: string; // Commitments and obligations: the USSGL account the funds were drawn from
+  postedBy: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+// Ad-hoc federal closure (e.g. an executive order); not a business day (PPBE-001)
+export interface FederalClosure {
+  id: string;
+  date: string; // YYYY-MM-DD
+  name: string;
+  authority?: string;
+  createdBy: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface DollarConversion {
+  from: { basis: DollarBasis; year: number };
+  to: { basis: DollarBasis; year: number };
+  factor: number;
+  indexTableId?: string;
+  label: string;
+}
+
 // Search and Filter Types
 export interface SearchQuery {
   query?: string;
@@ -1,5 +1,5 @@
 import { z } from 'zod';
-import { UserRole, BudgetStatus, ApprovalStatus, FiscalYearStatus, ProgramStatus, OrganizationType, NotificationPriority, NotificationType, ObligationStatus, ExpenditureStatus, AppropriationType } from '../types';
+import { UserRole, BudgetStatus, ApprovalStatus, FiscalYearStatus, ProgramStatus, OrganizationType, NotificationPriority, NotificationType, ObligationStatus, ExpenditureStatus, AppropriationType, ApportionmentCategory, DollarBasis, SodDuty, LedgerEvent, CommitmentStatus, ObligationModificationType, UloReviewDecision, UloReviewStatus } from '../types';
 
 // User Schemas
 export const createUserSchema = z.object({
@@ -32,6 +32,32 @@ export const refreshTokenSchema = z.object({
   refreshToken: z.string().min(1),
 });
 
+// PPBE appropriation type codes (see domain/ppbe/appropriationType)
+const appropriationTypeCodeSchema = z.enum(['OM', 'MILPERS', 'PROCUREMENT', 'RDTE', 'MILCON', 'FCH', 'NOYEAR']);
+
+// Dollar basis (PPBE-017); constant-year amounts need the year they are expressed in
+const dollarBasisFields = {
+  dollarBasis: z.nativeEnum(DollarBasis).optional(),
+  dollarYear: z.number().int().min(1900).max(2200).optional(),
+};
+
+const hasConstantYear = (data: { dollarBasis?: DollarBasis; dollarYear?: number }) =>
+  data.dollarBasis !== DollarBasis.CONSTANT_YEAR || data.dollarYear !== undefined;
+
+const constantYearRequired = { message: 'dollarYear is required for constant-year dollars', path: ['dollarYear'] };
+
+const dollarBasisQueryFields = {
+  basis: z.nativeEnum(DollarBasis).optional(),
+  year: z.string().regex(/^\d{4}$/).transform(Number).optional(),
+};
+
+const hasConstantYearQuery = (query: { basis?: DollarBasis; year?: number }) =>
+  query.basis !== DollarBasis.CONSTANT_YEAR || query.year !== undefined;
+
+const constantYearQueryRequired = { message: 'year is required for constant-year dollars', path: ['year'] };
+
+export const dollarBasisQuerySchema = z.object(dollarBasisQueryFields).refine(hasConstantYearQuery, constantYearQueryRequired);
+
 // Budget Schemas
 export const createBudgetSchema = z.object({
   fiscalYearId: z.string().uuid(),
@@ -40,8 +66,10 @@ export const createBudgetSchema = z.object({
   amount: z.number().positive(),
   department: z.string().min(1).max(100),
   organizationId: z.string().uuid().optional(),
-  status: z.nativeEnum(BudgetStatus).optional(),
-});
+  category: z.string().min(1).max(100).optional(),
+  appropriationType: appropriationTypeCodeSchema.optional(),
+  ...dollarBasisFields,
+}).refine(hasConstantYear, constantYearRequired);
 
 export const updateBudgetSchema = z.object({
   title: z.string().min(1).max(200).optional(),
@@ -49,7 +77,15 @@ export const updateBudgetSchema = z.object({
   amount: z.number().positive().optional(),
   department: z.string().min(1).max(100).optional(),
   organizationId: z.string().uuid().optional(),
+  appropriationType: appropriationTypeCodeSchema.optional(),
+  ...dollarBasisFields,
   status: z.nativeEnum(BudgetStatus).optional(),
+}).refine(hasConstantYear, constantYearRequired);
+
+export const budgetWorkflowTransitionSchema = z.object({
+  toState: z.string().min(1).max(50),
+  reason: z.string().max(1000).optional(),
+  fields: z.record(z.any()).optional(),
 });
 
 // Budget Line Item Schemas
@@ -59,22 +95,26 @@ export const createLineItemSchema = z.object({
   description: z.string().min(1).max(500),
   amount: z.number().positive(),
   appropriation: z.string().min(1).max(50),
+  appropriationType: appropriationTypeCodeSchema.optional(),
+  ...dollarBasisFields,
   bpac: z.string().min(1).max(50),
   category: z.string().min(1).max(100),
   subcategory: z.string().max(100).optional(),
   status: z.string().min(1).max(50).optional(),
-});
+}).refine(hasConstantYear, constantYearRequired);
 
 export const updateLineItemSchema = z.object({
   lineNumber: z.string().min(1).max(50).optional(),
   description: z.string().min(1).max(500).optional(),
   amount: z.number().positive().optional(),
   appropriation: z.string().min(1).max(50).optional(),
+  appropriationType: appropriationTypeCodeSchema.optional(),
+  ...dollarBasisFields,
   bpac: z.string().min(1).max(50).optional(),
   category: z.string().min(1).max(100).optional(),
   subcategory: z.string().max(100).optional(),
   status: z.string().min(1).max(50).optional(),
-});
+}).refine(hasConstantYear, constantYearRequired);
 
 // Fiscal Year Schemas
 export const createFiscalYearSchema = z.object({
@@ -94,6 +134,38 @@ export const updateFiscalYearSchema = z.object({
   totalBudget: z.number().nonnegative().optional(),
 });
 
+// Continuing Resolution Schemas (PPBE-011)
+const continuingResolutionAnomalySchema = z.object({
+  appropriationCode: z.string().min(1).max(50),
+  rate: z.number().nonnegative().max(2).optional(),
+  amount: z.number().nonnegative().optional(),
+  allowNewStarts: z.boolean().optional(),
+  description: z.string().max(500).optional(),
+});
+
+export const createContinuingResolutionSchema = z.object({
+  name: z.string().min(1).max(200),
+  startDate: z.string().datetime().or(z.date()),
+  endDate: z.string().datetime().or(z.date()),
+  rate: z.number().nonnegative().max(2).optional(),
+  noNewStarts: z.boolean().optional(),
+  anomalies: z.array(continuingResolutionAnomalySchema).optional(),
+});
+
+export const updateContinuingResolutionSchema = z.object({
+  name: z.string().min(1).max(200).optional(),
+  startDate: z.string().datetime().or(z.date()).optional(),
+  endDate: z.string().datetime().or(z.date()).optional(),
+  rate: z.number().nonnegative().max(2).optional(),
+  noNewStarts: z.boolean().optional(),
+  anomalies: z.array(continuingResolutionAnomalySchema).optional(),
+});
+
+export const continuingResolutionParamSchema = z.object({
+  id: z.string().uuid(),
+  crId: z.string().uuid(),
+});
+
 // Program Element Schemas
 export const createProgramElementSchema = z.object({
   peNumber: z.string().min(1).max(50),
@@ -143,7 +215,8 @@ export const updateOrganizationSchema = z.object({
 export const createApprovalWorkflowSchema = z.object({
   name: z.string().min(1).max(200),
   description: z.string().max(500).optional(),
-  entityType: z.enum(['budget', 'program', 'execution', 'lineitem']),
+  entityType: z.enum(['budget', 'program', 'execution', 'lineitem', 'reprogramming']),
+  approvalLevel: z.string().min(1).max(50).optional(),
   steps: z.array(z.object({
     order: z.number().int().positive(),
     approverRole: z.nativeEnum(UserRole),
@@ -152,21 +225,80 @@ export const createApprovalWorkflowSchema = z.object({
     required: z.boolean(),
     autoApprove: z.boolean().optional(),
     thresholdAmount: z.number().positive().optional(),
+    type: z.enum(['approval', 'coordination']).optional(),
+    approvers: z.array(z.object({
+      approverId: z.string().uuid().optional(),
+      approverRole: z.nativeEnum(UserRole).optional(),
+      label: z.string().max(100).optional(),
+      alternateApproverId: z.string().uuid().optional(),
+    }).refine(p => p.approverId || p.approverRole, 'Each approver needs an approverId or an approverRole')).max(20).optional(),
+    quorum: z.union([z.enum(['all', 'any']), z.number().int().positive()]).optional(),
+    dueInDays: z.number().int().positive().max(365).optional(),
+    dayBasis: z.enum(['calendar', 'business']).optional(),
+    reminderDaysBefore: z.array(z.number().int().positive().max(30)).max(5).optional(),
+    alternateApproverId: z.string().uuid().optional(),
   })),
 });
 
 export const createApprovalRequestSchema = z.object({
   workflowId: z.string().uuid(),
-  entityType: z.enum(['budget', 'program', 'execution', 'lineitem']),
+  entityType: z.enum(['budget', 'program', 'execution', 'lineitem', 'reprogramming']),
   entityId: z.string().uuid(),
   comments: z.string().max(1000).optional(),
+  amount: z.number().nonnegative().optional(),
 });
 
 export const approvalActionSchema = z.object({
-  action: z.enum(['approved', 'rejected', 'returned', 'delegated']),
+  action: z.enum(['approved', 'rejected', 'returned', 'delegated', 'concur', 'non_concur']),
   comments: z.string().max(1000).optional(),
 });
 
+export const approvalDeadlineSweepSchema = z.object({
+  asOf: z.string().datetime().optional(),
+});
+
+export const approvalSlaDashboardQuerySchema = z.object({
+  workflowId: z.string().uuid().optional(),
+  entityType: z.enum(['budget', 'program', 'execution', 'lineitem', 'reprogramming']).optional(),
+  from: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Dates must be YYYY-MM-DD').optional(),
+  to: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Dates must be YYYY-MM-DD').optional(),
+});
+
+export const createApprovalDelegationSchema = z.object({
+  delegatorId: z.string().uuid().optional(),
+  delegateId: z.string().uuid(),
+  startDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Dates must be YYYY-MM-DD'),
+  endDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Dates must be YYYY-MM-DD'),
+  entityTypes: z.array(z.enum(['budget', 'program', 'execution', 'lineitem', 'reprogramming'])).optional(),
+  maxAmount: z.number().positive().optional(),
+  reason: z.string().max(500).optional(),
+});
+
+export const approvalDelegationQuerySchema = z.object({
+  delegatorId: z.string().uuid().optional(),
+  delegateId: z.string().uuid().optional(),
+  activeOn: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Dates must be YYYY-MM-DD').optional(),
+  includeRevoked: z.enum(['true', 'false']).transform(v => v === 'true').optional(),
+});
+
+// Separation of Duties Schemas
+export const updateSodPolicySchema = z.object({
+  rules: z.array(z.object({
+    id: z.string().regex(/^[a-z0-9-]+$/, 'Rule ids are lowercase letters, digits and hyphens').max(50),
+    duties: z.tuple([z.nativeEnum(SodDuty), z.nativeEnum(SodDuty)]),
+    description: z.string().min(1).max(500),
+    enforce: z.boolean().default(true),
+  })).max(50),
+});
+
+export const sodConflictQuerySchema = z.object({
+  recordType: z.enum(['budget', 'application', 'approval_request']).optional(),
+  userId: z.string().optional(),
+  ruleId: z.string().max(50).optional(),
+  from: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Dates must be YYYY-MM-DD').optional(),
+  to: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Dates must be YYYY-MM-DD').optional(),
+});
+
 // Comment Schemas
 export const createCommentSchema = z.object({
   entityType: z.string().min(1).max(50),
@@ -201,6 +333,17 @@ export const createObligationSchema = z.object({
   vendor: z.string().max(200).optional(),
   obligationDate: z.string().datetime().or(z.date()),
   fiscalYearId: z.string().uuid(),
+  appropriationId: z.string().uuid().optional(),
+  appropriationType: z.string().min(1).max(20).optional(),
+  purpose: z.string().min(1).max(100).optional(),
+  justification: z.string().max(2000).optional(),
+  isNewStart: z.boolean().optional(),
+  organizationId: z.string().uuid().optional(),
+  lineOfAccounting: z.string().min(1).max(200).optional(),
+  commitmentId: z.string().uuid().optional(),
+}).refine(data => !data.appropriationType || !!data.purpose, {
+  message: 'Purpose is required when appropriationType is provided',
+  path: ['purpose'],
 });
 
 export const updateObligationSchema = z.object({
@@ -209,6 +352,87 @@ export const updateObligationSchema = z.object({
   vendor: z.string().max(200).optional(),
   obligationDate: z.string().datetime().or(z.date()).optional(),
   status: z.nativeEnum(ObligationStatus).optional(),
+  appropriationId: z.string().uuid().optional(),
+  appropriationType: z.string().min(1).max(20).optional(),
+  purpose: z.string().min(1).max(100).optional(),
+  justification: z.string().max(2000).optional(),
+  isNewStart: z.boolean().optional(),
+  organizationId: z.string().uuid().optional(),
+  lineOfAccounting: z.string().min(1).max(200).optional(),
+  // Recorded on the modification the update makes (PPBE-009)
+  modificationDate: z.string().datetime().or(z.date()).optional(),
+  reason: z.string().min(1).max(1000).optional(),
+});
+
+// Obligation Modification Schemas (PPBE-009)
+export const modifyObligationSchema = z.object({
+  type: z.nativeEnum(ObligationModificationType),
+  amount: z.number().positive().optional(),
+  modificationDate: z.string().datetime().or(z.date()).optional(),
+  reason: z.string().min(1).max(1000),
+  description: z.string().min(1).max(500).optional(),
+  vendor: z.string().max(200).optional(),
+  justification: z.string().max(2000).optional(),
+  lineOfAccounting: z.string().min(1).max(200).optional(),
+}).refine(
+  data => (data.type === ObligationModificationType.INCREASE || data.type === ObligationModificationType.DECREASE) ===
+    (data.amount !== undefined),
+  { message: 'An amount is given to increase or decrease, and only then', path: ['amount'] }
+);
+
+export const upwardAdjustmentsQuerySchema = z.object({
+  appropriationId: z.string().uuid().optional(),
+  fiscalYear: z.string().regex(/^\d{4}$/).transform(Number).optional(),
+});
+
+// Commitment Schemas (PPBE-009)
+export const createCommitmentSchema = z.object({
+  documentNumber: z.string().min(1).max(100),
+  description: z.string().min(1).max(500),
+  appropriationId: z.string().uuid(),
+  budgetId: z.string().uuid(),
+  fiscalYearId: z.string().uuid().optional(),
+  organizationId: z.string().uuid().optional(),
+  lineOfAccounting: z.string().min(1).max(200).optional(),
+  commitmentDate: z.string().datetime().or(z.date()).optional(),
+  amount: z.number().positive(),
+});
+
+export const updateCommitmentSchema = z.object({
+  description: z.string().min(1).max(500).optional(),
+  amount: z.number().positive().optional(),
+  lineOfAccounting: z.string().min(1).max(200).optional(),
+});
+
+export const commitmentsQuerySchema = z.object({
+  appropriationId: z.string().uuid().optional(),
+  fiscalYearId: z.string().uuid().optional(),
+  organizationId: z.string().uuid().optional(),
+  status: z.nativeEnum(CommitmentStatus).optional(),
+});
+
+export const releaseCommitmentSchema = z.object({
+  amount: z.number().positive().optional(),
+  reason: z.string().min(1).max(1000),
+});
+
+// Funding, appropriation and organization come from the commitment
+export const convertCommitmentSchema = z.object({
+  documentNumber: z.string().min(1).max(100),
+  amount: z.number().positive(),
+  description: z.string().min(1).max(500),
+  vendor: z.string().max(200).optional(),
+  obligationDate: z.string().datetime().or(z.date()),
+  lineItemId: z.string().uuid().optional(),
+  programElementId: z.string().uuid().optional(),
+  appropriationType: z.string().min(1).max(20).optional(),
+  purpose: z.string().min(1).max(100).optional(),
+  justification: z.string().max(2000).optional(),
+  isNewStart: z.boolean().optional(),
+  lineOfAccounting: z.string().min(1).max(200).optional(),
+}).refine(data => !data.appropriationType || !!data.purpose, {
+  message: 'Purpose is required when appropriationType is provided',
+  path: ['purpose'],
 });
 
 // Expenditure Schemas
@@ -223,6 +447,7 @@ export const createExpenditureSchema = z.object({
   invoiceNumber: z.string().max(100).optional(),
   paymentDate: z.string().datetime().or(z.date()),
   fiscalYearId: z.string().uuid(),
+  lineOfAccounting: z.string().min(1).max(200).optional(),
 });
 
 export const updateExpenditureSchema = z.object({
@@ -232,6 +457,7 @@ export const updateExpenditureSchema = z.object({
   invoiceNumber: z.string().max(100).optional(),
   paymentDate: z.string().datetime().or(z.date()).optional(),
   status: z.nativeEnum(ExpenditureStatus).optional(),
+  lineOfAccounting: z.string().min(1).max(200).optional(),
 });
 
 // Appropriation Schemas
@@ -240,19 +466,78 @@ export const createAppropriationSchema = z.object({
   code: z.string().min(1).max(50),
   name: z.string().min(1).max(200),
   amount: z.number().positive(),
+  apportionedAmount: z.number().nonnegative().optional(),
+  allottedAmount: z.number().nonnegative().optional(),
+  priorYearAmount: z.number().nonnegative().optional(),
+  enactedDate: z.string().datetime().or(z.date()).optional(),
   expirationDate: z.string().datetime().or(z.date()),
   type: z.nativeEnum(AppropriationType),
+  treasuryAccountSymbol: z.string().min(1).max(40).optional(),
   restrictions: z.array(z.string()).optional(),
 });
 
 export const updateAppropriationSchema = z.object({
   name: z.string().min(1).max(200).optional(),
   amount: z.number().positive().optional(),
+  apportionedAmount: z.number().nonnegative().optional(),
+  allottedAmount: z.number().nonnegative().optional(),
+  priorYearAmount: z.number().nonnegative().optional(),
+  enactedDate: z.string().datetime().or(z.date()).optional(),
   expirationDate: z.string().datetime().or(z.date()).optional(),
   type: z.nativeEnum(AppropriationType).optional(),
+  treasuryAccountSymbol: z.string().min(1).max(40).optional(),
   restrictions: z.array(z.string()).optional(),
 });
 
+export const appropriationTasQuerySchema = z.object({
+  symbol: z.string().min(1).max(40),
+});
+
+// Apportionment (SF-132) and Allotment Schemas (PPBE-013)
+const apportionmentLineSchema = z.object({
+  lineNumber: z.string().min(1).max(20),
+  category: z.nativeEnum(ApportionmentCategory),
+  quarter: z.number().int().min(1).max(4).optional(),
+  project: z.string().min(1).max(200).optional(),
+  amount: z.number().nonnegative(),
+  description: z.string().max(500).optional(),
+});
+
+const apportionmentFootnoteSchema = z.object({
+  code: z.string().min(1).max(20),
+  text: z.string().min(1).max(2000),
+  lineNumbers: z.array(z.string()).optional(),
+  prohibitedActivities: z.array(z.string().min(1)).optional(),
+});
+
+export const apportionmentSchema = z.object({
+  approvedDate: z.string().datetime().or(z.date()).optional(),
+  lines: z.array(apportionmentLineSchema).min(1),
+  footnotes: z.array(apportionmentFootnoteSchema).optional(),
+});
+
+export const createAllotmentSchema = z.object({
+  organizationId: z.string().uuid(),
+  parentAllotmentId: z.string().uuid().optional(),
+  amount: z.number().positive(),
+  description: z.string().max(500).optional(),
+});
+
+export const updateAllotmentSchema = z.object({
+  amount: z.number().positive().optional(),
+  description: z.string().max(500).optional(),
+});
+
+export const allotmentParamSchema = z.object({
+  id: z.string().uuid(),
+  allotmentId: z.string().uuid(),
+});
+
+// Appropriation Lifecycle Schemas (PPBE-012)
+export const cancelExpiredBalancesSchema = z.object({
+  asOf: z.string().datetime().or(z.date()).optional(),
+});
+
 // Search Schema
 export const searchSchema = z.object({
   query: z.string().optional(),
@@ -277,11 +562,438 @@ export const uploadDocumentSchema = z.object({
 
 // Report Generation Schema
 export const generateReportSchema = z.object({
-  type: z.enum(['budget_summary', 'execution_analysis', 'variance_report', 'program_status', 'approval_history', 'audit_log', 'custom']),
+  type: z.enum(['budget_summary', 'execution_analysis', 'variance_report', 'program_status', 'approval_history', 'audit_log', 'sf_133', 'custom']),
   format: z.enum(['pdf', 'excel', 'csv', 'json']),
   parameters: z.record(z.any()).optional(),
 });
 
+export const sf133QuerySchema = z.object({
+  fiscalYearId: z.string().uuid(),
+  quarter: z.string().regex(/^[1-4]$/).transform(Number),
+  appropriationId: z.string().uuid().optional(),
+  format: z.enum(['json', 'csv', 'printable']).default('json'),
+});
+
+// Reprogramming Schemas (PPBE-015)
+const reprogrammingLineTypeSchema = z.enum(['program_element', 'line_item']);
+
+export const createReprogrammingSchema = z.object({
+  lineType: reprogrammingLineTypeSchema,
+  fromId: z.string().uuid(),
+  toId: z.string().uuid(),
+  amount: z.number().positive(),
+  appropriationType: appropriationTypeCodeSchema.optional(),
+  justification: z.string().min(1).max(2000),
+});
+
+export const btrStatusQuerySchema = z.object({
+  lineType: reprogrammingLineTypeSchema,
+  lineId: z.string().uuid(),
+  appropriationType: appropriationTypeCodeSchema.optional(),
+});
+
+// FYDP / POM Schemas (PPBE-016)
+const budgetYearSchema = z.number().int().min(2000).max(2100);
+
+export const fydpPositionParamSchema = z.object({
+  id: z.string().uuid(),
+  position: z.enum(['program_of_record', 'proposed']),
+});
+
+export const fydpProjectionSchema = z.object({
+  budgetYear: budgetYearSchema,
+  resources: z.array(z.object({
+    appropriationType: appropriationTypeCodeSchema,
+    fiscalYear: z.number().int(),
+    amount: z.number().nonnegative(),
+  })),
+  ...dollarBasisFields,
+}).refine(hasConstantYear, constantYearRequired);
+
+export const phaseRequirementSchema = z.object({
+  appropriationType: appropriationTypeCodeSchema,
+  totalCost: z.number().positive(),
+  budgetYear: budgetYearSchema.optional(),
+  approach: z.enum(['FULL_FUNDING', 'INCREMENTAL_FUNDING', 'MULTIYEAR_CONTRACT']).optional(),
+  urgency: z.enum(['low', 'normal', 'high']).optional(),
+  riskLevel: z.enum(['low', 'medium', 'high']).optional(),
+  contractType: z.string().max(100).optional(),
+  performancePeriod: z.object({
+    start: z.string().datetime().or(z.date()),
+    end: z.string().datetime().or(z.date()),
+  }).optional(),
+});
+
+export const fydpComparisonQuerySchema = z.object({
+  budgetYear: z.string().regex(/^\d{4}$/).transform(Number),
+  department: z.string().max(100).optional(),
+  ...dollarBasisQueryFields,
+}).refine(hasConstantYearQuery, constantYearQueryRequired);
+
+export const createPomSnapshotSchema = z.object({
+  name: z.string().min(1).max(200),
+  description: z.string().max(1000).optional(),
+  budgetYear: budgetYearSchema,
+  department: z.string().min(1).max(100).optional(),
+  ...dollarBasisFields,
+}).refine(hasConstantYear, constantYearRequired);
+
+export const pomSnapshotCompareParamSchema = z.object({
+  id: z.string().uuid(),
+  otherId: z.string().uuid(),
+});
+
+// Inflation Index Schemas (PPBE-017)
+const fiscalYearMapSchema = (value: z.ZodNumber) =>
+  z.record(z.string().regex(/^\d{4}$/, 'Keys must be fiscal years'), value);
+
+export const createInflationIndexSchema = z.object({
+  name: z.string().min(1).max(200),
+  appropriationType: appropriationTypeCodeSchema,
+  baseYear: z.number().int().min(1900).max(2200),
+  indices: fiscalYearMapSchema(z.number().positive()).optional(),
+  rates: fiscalYearMapSchema(z.number().gt(-1).lt(1)).optional(),
+  source: z.string().max(500).optional(),
+}).refine(data => !!data.indices !== !!data.rates, {
+  message: 'Provide either indices or rates',
+  path: ['indices'],
+});
+
+const dollarBasisTargetSchema = z.object({
+  basis: z.nativeEnum(DollarBasis),
+  year: z.number().int().min(1900).max(2200).optional(),
+}).refine(target => target.basis !== DollarBasis.CONSTANT_YEAR || target.year !== undefined, {
+  message: 'year is required for constant-year dollars',
+  path: ['year'],
+});
+
+export const convertDollarsSchema = z.object({
+  amount: z.number(),
+  appropriationType: appropriationTypeCodeSchema,
+  fiscalYear: z.number().int().min(1900).max(2200),
+  from: dollarBasisTargetSchema.optional(),
+  to: dollarBasisTargetSchema,
+});
+
+// Federal Calendar Schemas (PPBE-001)
+const calendarDateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Dates must be YYYY-MM-DD');
+const yearQuerySchema = z.string().regex(/^\d{4}$/).transform(Number);
+
+export const federalHolidaysQuerySchema = z.object({
+  year: yearQuerySchema.optional(),
+  fiscalYear: yearQuerySchema.optional(),
+}).refine(query => query.year === undefined || query.fiscalYear === undefined, {
+  message: 'Provide either year or fiscalYear',
+  path: ['year'],
+});
+
+export const businessDaysQuerySchema = z.object({
+  start: calendarDateSchema,
+  end: calendarDateSchema,
+});
+
+export const addBusinessDaysQuerySchema = z.object({
+  date: calendarDateSchema,
+  days: z.string().regex(/^-?\d{1,4}$/).transform(Number),
+});
+
+export const promptPaymentQuerySchema = z.object({
+  invoiceReceivedDate: calendarDateSchema,
+  paymentTermsDays: z.string().regex(/^\d{1,3}$/).transform(Number).optional(),
+});
+
+export const federalClosuresQuerySchema = z.object({
+  year: yearQuerySchema.optional(),
+});
+
+export const createFederalClosureSchema = z.object({
+  date: calendarDateSchema,
+  name: z.string().min(1).max(200),
+  authority: z.string().max(500).optional(),
+});
+
+// Compliance Rule Pack Schemas (PPBE-018); omitted rules carry over from the pack in effect
+const rulePackVersionSchema = z.string().regex(/^[A-Za-z0-9._-]{1,50}$/, 'Versions may contain letters, digits, ".", "_" and "-"');
+const availabilityYearsSchema = z.number().int().positive().max(99).nullable();
+
+export const createRulePackSchema = z.object({
+  version: rulePackVersionSchema,
+  name: z.string().min(1).max(200),
+  description: z.string().max(1000).optional(),
+  authority: z.string().max(500).optional(),
+  effectiveDate: calendarDateSchema,
+  rules: z.object({
+    costThresholds: z.object({
+      MINOR_EQUIPMENT: z.number().positive(),
+      MAJOR_EQUIPMENT: z.number().positive(),
+      MILCON_THRESHOLD: z.number().positive(),
+    }).partial().optional(),
+    authorizedPurposes: z.record(appropriationTypeCodeSchema, z.array(z.string().min(1).max(100)).min(1)).optional(),
+    availability: z.record(appropriationTypeCodeSchema, availabilityYearsSchema).optional(),
+    subTypeAvailability: z.record(appropriationTypeCodeSchema, z.record(z.string().max(50), availabilityYearsSchema)).optional(),
+  }).strict(),
+});
+
+export const rulePackVersionParamSchema = z.object({
+  version: rulePackVersionSchema,
+});
+
+export const effectiveRulePackQuerySchema = z.object({
+  date: calendarDateSchema.optional(),
+});
+
+// Workflow Definition Schemas (PPBE-008); the graph itself is checked by validateWorkflowDefinition
+const workflowDefinitionKeySchema = z.string().regex(/^[A-Z][A-Z0-9_]{1,49}$/, 'Keys are upper-case letters, digits and "_"');
+const workflowStateCodeSchema = z.string().regex(/^[A-Z][A-Z0-9_]{0,49}$/, 'State codes are upper-case letters, digits and "_"');
+
+const workflowGuardSchema = z.object({
+  field: z.string().min(1).max(100),
+  operator: z.enum(['exists', 'eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in']),
+  value: z.any().optional(),
+  message: z.string().max(500).optional(),
+});
+
+const workflowStateSchema = z.object({
+  code: workflowStateCodeSchema,
+  name: z.string().min(1).max(100),
+  phase: z.string().max(50).nullable().optional(),
+  description: z.string().max(500).optional(),
+  allowedTransitions: z.array(workflowStateCodeSchema),
+  requiredFields: z.array(z.string().min(1).max(100)).optional(),
+  approvalRequired: z.boolean().default(false),
+  approvalLevel: z.string().min(1).max(50).optional(),
+  terminal: z.boolean().optional(),
+  status: z.nativeEnum(BudgetStatus).optional(),
+  guards: z.array(workflowGuardSchema).optional(),
+});
+
+const workflowDefinitionBodySchema = z.object({
+  name: z.string().min(1).max(200),
+  description: z.string().max(1000).optional(),
+  initialState: workflowStateCodeSchema,
+  states: z.record(workflowStateCodeSchema, workflowStateSchema),
+  stateOrder: z.array(workflowStateCodeSchema).optional(),
+});
+
+export const createWorkflowDefinitionSchema = workflowDefinitionBodySchema.extend({
+  key: workflowDefinitionKeySchema,
+});
+
+export const createWorkflowDefinitionVersionSchema = workflowDefinitionBodySchema;
+
+export const workflowDefinitionKeyParamSchema = z.object({
+  key: workflowDefinitionKeySchema,
+});
+
+export const workflowDefinitionsQuerySchema = z.object({
+  includeRetired: z.enum(['true', 'false']).transform(v => v === 'true').optional(),
+});
+
+export const workflowDefinitionQuerySchema = z.object({
+  version: z.string().regex(/^\d+$/).transform(Number).optional(),
+});
+
+const workflowScopeFields = {
+  organizationId: z.string().uuid().optional(),
+  category: z.string().min(1).max(100).optional(),
+};
+
+export const createWorkflowAssignmentSchema = z.object({
+  definitionKey: workflowDefinitionKeySchema,
+  ...workflowScopeFields,
+}).refine(data => data.organizationId || data.category, {
+  message: 'An organization or a budget category is required',
+  path: ['organizationId'],
+});
+
+export const workflowAssignmentsQuerySchema = z.object({
+  definitionKey: workflowDefinitionKeySchema.optional(),
+  organizationId: z.string().uuid().optional(),
+});
+
+export const resolveWorkflowDefinitionQuerySchema = z.object(workflowScopeFields);
+
+// Anti-Deficiency Act Case Schemas (PPBE-006); stage entry requirements are checked by validateCaseAdvance
+const adaCaseStageSchema = z.enum([
+  'PRELIMINARY_REVIEW', 'FORMAL_INVESTIGATION', 'RESPONSIBLE_INDIVIDUALS', 'CORRECTIVE_ACTIONS', 'REPORTING', 'CLOSED',
+]);
+const adaCaseDateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Dates must be YYYY-MM-DD');
+
+export const openAdaCaseSchema = z.object({
+  title: z.string().min(1).max(200),
+  description: z.string().max(5000).optional(),
+  violationType: z.string().min(1).max(50),
+  statute: z.string().max(100).optional(),
+  violation: z.record(z.any()).optional(),
+  amount: z.number().nonnegative().optional(),
+  appropriationId: z.string().uuid().optional(),
+  obligationId: z.string().uuid().optional(),
+  discoveredOn: adaCaseDateSchema.optional(),
+});
+
+export const updateAdaCaseSchema = z.object({
+  title: z.string().min(1).max(200).optional(),
+  description: z.string().max(5000).optional(),
+  violationConfirmed: z.boolean().optional(),
+  preliminaryFindings: z.string().max(10000).optional(),
+  investigatingOfficer: z.string().max(200).optional(),
+  investigationFindings: z.string().max(10000).optional(),
+  closureReason: z.string().max(2000).optional(),
+});
+
+export const adaCasesQuerySchema = z.object({
+  stage: adaCaseStageSchema.optional(),
+  open: z.enum(['true', 'false']).transform(v => v === 'true').optional(),
+  overdue: z.enum(['true', 'false']).transform(v => v === 'true').optional(),
+});
+
+export const advanceAdaCaseSchema = z.object({
+  stage: adaCaseStageSchema,
+  comments: z.string().max(2000).optional(),
+  stageDays: z.number().int().positive().max(730).optional(),
+});
+
+export const adaResponsibleIndividualSchema = z.object({
+  name: z.string().min(1).max(200),
+  position: z.string().min(1).max(200),
+  organization: z.string().max(200).optional(),
+  determination: z.string().min(1).max(5000),
+  disciplinaryAction: z.string().max(2000).optional(),
+});
+
+export const adaCorrectiveActionSchema = z.object({
+  description: z.string().min(1).max(2000),
+  owner: z.string().max(200).optional(),
+  dueDate: adaCaseDateSchema.optional(),
+});
+
+export const adaCorrectiveActionParamSchema = z.object({
+  id: z.string().uuid(),
+  actionId: z.string().uuid(),
+});
+
+export const adaCaseReportSchema = z.object({
+  recipient: z.enum(['PRESIDENT', 'CONGRESS', 'GAO']),
+  reportedOn: adaCaseDateSchema,
+  reference: z.string().max(200).optional(),
+});
+
+export const adaCaseEvidenceSchema = z.object({
+  documentId: z.string().uuid(),
+  description: z.string().max(1000).optional(),
+});
+
+export const adaCaseExportQuerySchema = z.object({
+  format: z.enum(['json', 'csv']).default('json'),
+});
+
+// Unliquidated Obligation Aging and Tri-Annual Review Schemas (PPBE-021)
+export const uloAgingQuerySchema = z.object({
+  appropriationId: z.string().uuid().optional(),
+  organizationId: z.string().uuid().optional(),
+  fiscalYearId: z.string().uuid().optional(),
+  asOf: z.string().datetime().optional(),
+});
+
+export const createUloReviewSchema = z.object({
+  fiscalYear: z.number().int().min(1900).max(2200),
+  cycle: z.number().int().min(1).max(3),
+  dormantDays: z.number().int().positive().max(3650).optional(),
+  dueDate: z.string().datetime().or(z.date()).optional(),
+});
+
+export const uloReviewsQuerySchema = z.object({
+  fiscalYear: z.string().regex(/^\d{4}$/).transform(Number).optional(),
+  status: z.nativeEnum(UloReviewStatus).optional(),
+});
+
+export const uloReviewItemParamSchema = z.object({
+  id: z.string().uuid(),
+  itemId: z.string().uuid(),
+});
+
+export const certifyUloReviewItemSchema = z.object({
+  decision: z.nativeEnum(UloReviewDecision),
+  reason: z.string().min(1).max(2000).optional(),
+  amount: z.number().positive().optional(),
+}).refine(data => data.decision !== UloReviewDecision.DEOBLIGATE || !!data.reason, {
+  message: 'A reason is required to de-obligate',
+  path: ['reason'],
+});
+
+// Spend Plan Schemas (PPBE-022)
+const spendPlanMonthsSchema = z.array(z.object({
+  month: z.number().int().min(1).max(12),
+  obligations: z.number().nonnegative(),
+  expenditures: z.number().nonnegative(),
+})).length(12);
+
+export const createSpendPlanSchema = z.object({
+  budgetId: z.string().uuid().optional(),
+  appropriationId: z.string().uuid().optional(),
+  months: spendPlanMonthsSchema,
+  notes: z.string().max(2000).optional(),
+}).refine(data => !data.budgetId !== !data.appropriationId, {
+  message: 'Either budgetId or appropriationId is required, not both',
+  path: ['budgetId'],
+});
+
+export const updateSpendPlanSchema = z.object({
+  months: spendPlanMonthsSchema.optional(),
+  notes: z.string().max(2000).optional(),
+});
+
+export const spendPlansQuerySchema = z.object({
+  budgetId: z.string().uuid().optional(),
+  appropriationId: z.string().uuid().optional(),
+  fiscalYearId: z.string().uuid().optional(),
+});
+
+export const spendPlanExecutionQuerySchema = z.object({
+  asOf: z.string().datetime().optional(),
+  threshold: z.string().regex(/^\d+(\.\d+)?$/).transform(Number).optional(),
+});
+
+export const spendPlanPerformanceQuerySchema = z.object({
+  asOf: z.string().datetime().optional(),
+  dayBasis: z.enum(['calendar', 'business']).optional(),
+});
+
+// USSGL General Ledger Schemas (PPBE-019); accounts are checked by validateTransactionCode
+const ussglPostingPairSchema = z.object({
+  debit: z.string().regex(/^\d{4}$/, 'USSGL accounts are four digits'),
+  credit: z.string().regex(/^\d{4}$/, 'USSGL accounts are four digits'),
+});
+const ledgerFiscalYearSchema = z.string().regex(/^\d{4}$/).transform(Number);
+const ledgerPeriodSchema = z.string().regex(/^\d{1,2}$/).transform(Number);
+
+export const transactionCodeParamSchema = z.object({
+  code: z.string().regex(/^[A-Z][A-Z0-9]{1,9}$/, 'Codes are 2-10 upper-case letters and digits, starting with a letter'),
+});
+
+export const saveTransactionCodeSchema = z.object({
+  event: z.nativeEnum(LedgerEvent),
+  description: z.string().min(1).max(200),
+  budgetary: z.array(ussglPostingPairSchema).min(1).max(10),
+  proprietary: z.array(ussglPostingPairSchema).max(10).optional(),
+});
+
+export const ledgerTransactionsQuerySchema = z.object({
+  appropriationId: z.string().uuid().optional(),
+  treasuryAccount: z.string().max(50).optional(),
+  event: z.nativeEnum(LedgerEvent).optional(),
+  sourceType: z.string().max(50).optional(),
+  sourceId: z.string().uuid().optional(),
+  fiscalYear: ledgerFiscalYearSchema.optional(),
+  period: ledgerPeriodSchema.optional(),
+});
+
+export const trialBalanceQuerySchema = z.object({
+  fiscalYear: ledgerFiscalYearSchema,
+  period: ledgerPeriodSchema.optional(),
+  treasuryAccount: z.string().max(50).optional(),
+});
+
 // Bulk Import Schema
 export const bulkImportSchema = z.object({
   entityType: z.enum(['budgets', 'lineitems', 'programs', 'obligations', 'expenditures']),
@@ -300,3 +1012,191 @@ export const paginationQuerySchema = z.object({
   sort: z.string().optional(),
   order: z.enum(['asc', 'desc']).optional(),
 });
+
+// PPBE Domain Rule Schemas
+const ppbeDateSchema = z.string().datetime().or(z.date());
+
+export const ppbeTransactionSchema = z.object({
+  id: z.string().optional(),
+  amount: z.number().positive().optional(),
+  fiscalYear: z.number().int().min(1900).max(2200).optional(),
+  appropriationType: z.string().min(1).max(50).optional(),
+  purpose: z.string().min(1).max(200).optional(),
+  description: z.string().max(1000).optional(),
+  justification: z.string().max(2000).optional(),
+  obligationDate: ppbeDateSchema.optional(),
+  needDate: ppbeDateSchema.optional(),
+  performancePeriod: z.object({
+    start: ppbeDateSchema,
+    end: ppbeDateSchema,
+  }).optional(),
+  contractType: z.string().max(50).optional(),
+  fundingSource: z.string().max(50).optional(),
+}).passthrough();
+
+export const ppbeBudgetAccountSchema = z.object({
+  appropriated: z.number().nonnegative(),
+  apportioned: z.number().nonnegative().nullable().optional(),
+  allotted: z.number().nonnegative().nullable().optional(),
+  obligated: z.number().nonnegative().optional(),
+  committed: z.number().nonnegative().optional(),
+  available: z.number().nullable().optional(),
+}).passthrough();
+
+export const ppbeApportionmentSchema = z.object({
+  category: z.enum(['A', 'B']).optional(),
+  amount: z.number().nonnegative().optional(),
+  period: z.object({
+    start: ppbeDateSchema,
+    end: ppbeDateSchema,
+  }).optional(),
+  restrictions: z.array(z.object({
+    type: z.string(),
+    footnote: z.string().optional(),
+    activities: z.array(z.string()).optional(),
+  })).optional(),
+}).passthrough();
+
+export const ppbeAppropriationTypeSchema = z.object({
+  typeCode: z.string().min(1).max(50),
+  fiscalYear: z.number().int().min(1900).max(2200).optional(),
+  subType: z.string().max(50).optional(),
+});
+
+export const ppbeExpirationSchema = ppbeAppropriationTypeSchema.extend({
+  fiscalYear: z.number().int().min(1900).max(2200),
+});
+
+export const ppbeTreasuryAccountParseSchema = z.object({
+  value: z.string().min(1).max(200),
+  typeCode: z.string().min(1).max(20).optional(),
+  subType: z.string().optional(),
+});
+
+export const ppbeRecommendAppropriationSchema = z.object({
+  purpose: z.string().min(1).max(200),
+  amount: z.number().positive(),
+  description: z.string().max(1000).optional(),
+});
+
+export const ppbeTransactionOnlySchema = z.object({
+  transaction: ppbeTransactionSchema,
+});
+
+export const ppbeTransactionAccountSchema = z.object({
+  transaction: ppbeTransactionSchema,
+  budgetAccount: ppbeBudgetAccountSchema,
+  apportionment: ppbeApportionmentSchema.optional(),
+});
+
+export const ppbeOverobligationSchema = z.object({
+  budgetAccount: ppbeBudgetAccountSchema,
+  amount: z.number().positive(),
+});
+
+export const ppbeContractSchema = z.object({
+  contract: z.object({
+    totalCost: z.number().positive(),
+    initialFunding: z.number().positive().optional(),
+    appropriationType: z.string().max(50).optional(),
+    incrementalFundingAuthority: z.string().max(200).optional(),
+    performancePeriod: z.object({
+      start: ppbeDateSchema,
+      end: ppbeDateSchema,
+    }).optional(),
+  }).passthrough(),
+});
+
+export const ppbeFundingPhasingSchema = z.object({
+  requirement: z.object({
+    totalCost: z.number().positive(),
+    urgency: z.enum(['low', 'normal', 'high']).optional(),
+    riskLevel: z.enum(['low', 'medium', 'high']).optional(),
+    contractType: z.string().max(50).optional(),
+    performancePeriod: z.object({
+      start: ppbeDateSchema,
+      end: ppbeDateSchema,
+    }).optional(),
+  }).passthrough(),
+});
+
+export const ppbeExecutionMetricsSchema = z.object({
+  account: z.object({
+    appropriated: z.number().nonnegative(),
+    apportioned: z.number().nonnegative().optional(),
+    allotted: z.number().nonnegative().optional(),
+    committed: z.number().nonnegative().optional(),
+    obligated: z.number().nonnegative().optional(),
+    expended: z.number().nonnegative().optional(),
+    fiscalYear: z.number().int().min(1900).max(2200).optional(),
+    // Open obligations to age the unliquidated balance by (PPBE-021)
+    obligations: z.array(z.object({
+      amount: z.number().nonnegative(),
+      expended: z.number().nonnegative().optional(),
+      obligationDate: ppbeDateSchema,
+      expirationStatus: z.enum(['CURRENT', 'EXPIRED', 'CANCELLED']).optional(),
+    })).max(10000).optional(),
+  }).passthrough(),
+  dayBasis: z.enum(['calendar', 'business']).optional(),
+  asOf: ppbeDateSchema.optional(),
+});
+
+export const ppbeObligationPerformanceSchema = ppbeExecutionMetricsSchema.extend({
+  // A spend plan (PPBE-022) sets the expected rate from its planned obligations to date
+  target: z.object({
+    targetRate: z.number().min(0).max(100).optional(),
+    spendPlan: spendPlanMonthsSchema.optional(),
+  }).refine(target => (target.targetRate === undefined) !== (target.spendPlan === undefined), {
+    message: 'Give either targetRate or spendPlan',
+  }).optional(),
+});
+
+const ppbeExhibitDataSchema = z.object({
+  fiscalYear: z.number().int().min(1900).max(2200),
+  ...dollarBasisFields,
+}).passthrough();
+
+const ppbeExhibitProgramSchema = z.object({
+  programElement: z.string().min(1).max(50),
+  title: z.string().max(200).optional(),
+  currentAmount: z.number().nonnegative(),
+});
+
+export const ppbeExhibitSchema = z.discriminatedUnion('exhibitType', [
+  z.object({ exhibitType: z.literal('BUDGET_JUSTIFICATION'), data: ppbeExhibitDataSchema.extend({ amount: z.number().nonnegative() }) }),
+  z.object({ exhibitType: z.literal('OP-5'), data: ppbeExhibitDataSchema }),
+  z.object({ exhibitType: z.literal('P-1'), data: ppbeExhibitDataSchema }),
+  z.object({ exhibitType: z.literal('R-2'), data: ppbeExhibitDataSchema }),
+  z.object({ exhibitType: z.literal('C-1'), data: ppbeExhibitDataSchema }),
+  z.object({
+    exhibitType: z.literal('DD-1415'),
+    data: ppbeExhibitDataSchema.extend({
+      fromProgram: ppbeExhibitProgramSchema,
+      toProgram: ppbeExhibitProgramSchema,
+      amount: z.number().positive(),
+    }),
+  }),
+  z.object({
+    exhibitType: z.literal('QUARTERLY'),
+    data: ppbeExhibitDataSchema.extend({
+      quarter: z.number().int().min(1).max(4),
+      appropriations: z.array(z.record(z.any())),
+    }),
+  }),
+  z.object({
+    exhibitType: z.literal('BUDGET_BOOK'),
+    data: ppbeExhibitDataSchema.extend({
+      appropriations: z.array(z.object({ type: z.string() }).passthrough()),
+    }),
+  }),
+]);
+
+export const ppbeValidateTransactionSchema = z.object({
+  transaction: ppbeTransactionSchema,
+  budgetAccount: ppbeBudgetAccountSchema.optional(),
+  appropriationId: z.string().uuid().optional(),
+  apportionment: ppbeApportionmentSchema.optional(),
+}).refine(
+  body => !(body.budgetAccount && body.appropriationId),
+  { message: 'Provide either budgetAccount or appropriationId, not both', path: ['appropriationId'] }
+);
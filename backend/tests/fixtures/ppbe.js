@@ -0,0 +1,105 @@
+// Shared PPBE fixtures for the service unit tests. Records are created through the services,
+// so validation, funds control and ledger postings apply just as they do in the application.
+import { dataStore } from '../../src/services/dataStore';
+import { fiscalYearService } from '../../src/services/fiscalYearService';
+import { budgetService } from '../../src/services/budgetService';
+import { appropriationService } from '../../src/services/appropriationService';
+import { apportionmentService } from '../../src/services/apportionmentService';
+import { allotmentService } from '../../src/services/allotmentService';
+import { organizationService } from '../../src/services/organizationService';
+import { programElementService } from '../../src/services/programElementService';
+import { lineItemService } from '../../src/services/lineItemService';
+import { obligationService } from '../../src/services/obligationService';
+import { expenditureService } from '../../src/services/expenditureService';
+
+export const createFiscalYear = (year, overrides = {}) =>
+  fiscalYearService.createFiscalYear({
+    year,
+    name: `FY${year}`,
+    status: 'current',
+    startDate: `${year - 1}-10-01T00:00:00.000Z`,
+    endDate: `${year}-09-30T23:59:59.000Z`,
+    ...overrides,
+  });
+
+export const createBudget = (fiscalYear, overrides = {}, createdBy = 'analyst-1') =>
+  budgetService.createBudget(
+    { fiscalYearId: fiscalYear.id, title: 'Fleet Maintenance', amount: 5000000, department: 'Navy', ...overrides },
+    createdBy
+  );
+
+export const createAppropriation = (fiscalYear, overrides = {}) =>
+  appropriationService.createAppropriation({
+    fiscalYearId: fiscalYear.id,
+    code: `OMN-${fiscalYear.year}`,
+    name: 'O&M Navy',
+    amount: 1000000,
+    expirationDate: '2030-09-30T23:59:59.000Z',
+    type: 'multi_year',
+    ...overrides,
+  });
+
+// A program element funded from the start of the fiscal year
+export const createProgramElement = (fiscalYear, peNumber, name, budget, createdBy = 'user-1') =>
+  programElementService.createProgramElement(
+    { peNumber, name, description: name, department: 'Navy', fiscalYearId: fiscalYear.id, budget, startDate: fiscalYear.startDate },
+    createdBy
+  );
+
+export const createLineItem = (budget, lineNumber, appropriation, amount, createdBy = 'analyst-1') =>
+  lineItemService.createLineItem(
+    { budgetId: budget.id, lineNumber, description: `Line ${lineNumber}`, amount, appropriation, bpac: 'BP01', category: 'Operations' },
+    createdBy
+  );
+
+// Empties the store, then sets up a fiscal year with a budget and an appropriation to charge
+export const setupExecution = async ({
+  year = 2026,
+  fiscalYear: fiscalYearOverrides,
+  budget: budgetOverrides,
+  budgetCreatedBy,
+  appropriation: appropriationOverrides,
+} = {}) => {
+  dataStore.clear();
+  const fiscalYear = await createFiscalYear(year, fiscalYearOverrides);
+  const budget = await createBudget(fiscalYear, budgetOverrides, budgetCreatedBy);
+  const appropriation = await createAppropriation(fiscalYear, appropriationOverrides);
+  return { fiscalYear, budget, appropriation };
+};
+
+// Apportions 800000 of the appropriation in the first quarter and allots 600000 of it to an
+// organization, which is returned
+export const distributeFunds = async appropriation => {
+  await apportionmentService.createApportionment(appropriation.id, {
+    approvedDate: '2025-10-20T00:00:00.000Z',
+    lines: [{ lineNumber: '6001', category: 'A', quarter: 1, amount: 800000 }],
+  }, 'budget-officer-1');
+  const org = await organizationService.createOrganization({ name: 'Fleet Forces', code: 'FLT', type: 'division' });
+  await allotmentService.createAllotment(appropriation.id, { organizationId: org.id, amount: 600000 }, 'budget-officer-1');
+  return org;
+};
+
+export const createUser = (id, role, overrides = {}) =>
+  dataStore.create('users', { id, username: id, email: `${id}@example.mil`, role, department: 'Navy', active: true, ...overrides });
+
+// Obligates funds of the budget; callers give the date and whatever else their test turns on
+export const obligate = (budget, overrides = {}, createdBy = 'contracting-1') =>
+  obligationService.createObligation({
+    budgetId: budget.id,
+    fiscalYearId: budget.fiscalYearId,
+    documentNumber: 'N00024-26-C-0001',
+    description: 'Ship repair',
+    amount: 100000,
+    ...overrides,
+  }, createdBy);
+
+// Pays against the obligation from its own budget and fiscal year
+export const pay = (obligation, overrides = {}, createdBy = 'disbursing-1') =>
+  expenditureService.createExpenditure({
+    obligationId: obligation.id,
+    budgetId: obligation.budgetId,
+    fiscalYearId: obligation.fiscalYearId,
+    amount: 10000,
+    description: 'Progress payment',
+    ...overrides,
+  }, createdBy);
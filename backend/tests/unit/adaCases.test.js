@@ -0,0 +1,180 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { adaCaseService } from '../../src/services/adaCaseService';
+import { documentService } from '../../src/services/documentService';
+import { dataStore } from '../../src/services/dataStore';
+import { antiDeficiencyAct } from '../../src/domain/ppbe';
+
+describe('Anti-Deficiency Act Case Unit Tests', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+
+  const openOverobligation = (discoveredOn = '2024-11-15') => {
+    const violation = antiDeficiencyAct.checkOverobligation({ appropriated: 1000000, obligated: 950000 }, 80000);
+    return adaCaseService.openCase({
+      title: 'O&M Army overobligation',
+      violationType: 'OVEROBLIGATION',
+      violation,
+      amount: 80000,
+      discoveredOn,
+    }, 'finance-1');
+  };
+
+  // Takes a case through every stage up to reporting
+  const investigate = async adaCase => {
+    await adaCaseService.updateCase(adaCase.id, { preliminaryFindings: 'Obligation exceeded the allotment' }, 'finance-1');
+    await adaCaseService.advanceStage(adaCase.id, 'FORMAL_INVESTIGATION', 'finance-1');
+    await adaCaseService.updateCase(adaCase.id, {
+      investigatingOfficer: 'Col. Jordan Lee',
+      investigationFindings: 'Funds control was bypassed for a contract modification',
+      violationConfirmed: true,
+    }, 'finance-1');
+    await adaCaseService.addResponsibleIndividual(adaCase.id, {
+      name: 'Sam Ortiz',
+      position: 'Contracting Officer',
+      determination: 'Signed the modification without a funds certification',
+    }, 'finance-1');
+    await adaCaseService.advanceStage(adaCase.id, 'RESPONSIBLE_INDIVIDUALS', 'finance-1');
+    await adaCaseService.advanceStage(adaCase.id, 'CORRECTIVE_ACTIONS', 'finance-1');
+    const withAction = await adaCaseService.addCorrectiveAction(adaCase.id, {
+      description: 'Require funds certification before contract modifications',
+      dueDate: '2025-06-30',
+    }, 'finance-1');
+    await adaCaseService.completeCorrectiveAction(adaCase.id, withAction.correctiveActions[0].id, 'finance-1');
+    return adaCaseService.advanceStage(adaCase.id, 'REPORTING', 'finance-1');
+  };
+
+  beforeEach(() => {
+    dataStore.clear();
+  });
+
+  it('should open a numbered case with its violation report and a preliminary review deadline', async () => {
+    const adaCase = await openOverobligation();
+    const second = await openOverobligation('2025-01-10');
+    const nextYear = await openOverobligation('2025-10-02');
+
+    expect([adaCase.caseNumber, second.caseNumber, nextYear.caseNumber]).toEqual(['ADA-2025-001', 'ADA-2025-002', 'ADA-2026-001']);
+    expect(adaCase).toMatchObject({
+      stage: 'PRELIMINARY_REVIEW',
+      statute: '31 U.S.C. § 1341(a)(1)(A)',
+      severity: 'CRITICAL',
+      violationReport: { violationType: 'OVEROBLIGATION', severity: 'CRITICAL', transaction: { amount: 80000, date: '2024-11-15' } },
+    });
+    expect(adaCase.violationReport.description).toContain('ANTI-DEFICIENCY ACT VIOLATION');
+    expect(adaCase.stageDueAt.getTime() - new Date(2024, 10, 15).getTime()).toBe(90 * DAY);
+    expect(adaCase.history).toEqual([expect.objectContaining({ event: 'opened', stage: 'PRELIMINARY_REVIEW', userId: 'finance-1' })]);
+
+    await expect(adaCaseService.openCase({ title: 'x', violationType: 'PURPOSE', appropriationId: 'missing' }, 'finance-1'))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('should only advance once each stage is complete and close after the reports are recorded', async () => {
+    const adaCase = await openOverobligation();
+
+    await expect(adaCaseService.advanceStage(adaCase.id, 'FORMAL_INVESTIGATION', 'finance-1')).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Case ADA-2025-001 cannot move to FORMAL_INVESTIGATION',
+      errors: [{ field: 'stage', message: 'preliminaryFindings is required' }],
+    });
+    await expect(adaCaseService.advanceStage(adaCase.id, 'REPORTING', 'finance-1')).rejects.toMatchObject({ statusCode: 400 });
+
+    const reporting = await investigate(adaCase);
+    expect(reporting.stage).toBe('REPORTING');
+    expect(reporting.responsibleIndividuals).toEqual([expect.objectContaining({ name: 'Sam Ortiz' })]);
+
+    await adaCaseService.recordReport(adaCase.id, { recipient: 'PRESIDENT', reportedOn: '2025-08-01' }, 'finance-1');
+    await adaCaseService.recordReport(adaCase.id, { recipient: 'CONGRESS', reportedOn: '2025-08-01' }, 'finance-1');
+    await expect(adaCaseService.recordReport(adaCase.id, { recipient: 'CONGRESS', reportedOn: '2025-08-02' }, 'finance-1'))
+      .rejects.toMatchObject({ statusCode: 409 });
+    await expect(adaCaseService.advanceStage(adaCase.id, 'CLOSED', 'finance-1')).rejects.toMatchObject({
+      errors: [{ field: 'stage', message: expect.stringContaining('GAO') }],
+    });
+
+    await adaCaseService.recordReport(adaCase.id, { recipient: 'GAO', reportedOn: '2025-08-01', reference: 'B-330001' }, 'finance-1');
+    const closed = await adaCaseService.advanceStage(adaCase.id, 'CLOSED', 'finance-1');
+    expect(closed).toMatchObject({ stage: 'CLOSED', stageDueAt: undefined });
+    expect(closed.closedAt).toBeInstanceOf(Date);
+    await expect(adaCaseService.updateCase(adaCase.id, { description: 'late edit' }, 'finance-1')).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Case ADA-2025-001 is closed',
+    });
+  });
+
+  it('should close a case early only when no violation was found', async () => {
+    const adaCase = await openOverobligation();
+    await adaCaseService.updateCase(adaCase.id, { preliminaryFindings: 'Obligation was recorded twice', violationConfirmed: true }, 'finance-1');
+
+    await expect(adaCaseService.advanceStage(adaCase.id, 'CLOSED', 'finance-1')).rejects.toMatchObject({
+      errors: [
+        { field: 'stage', message: 'A case can only close before reporting when no violation was found' },
+        { field: 'stage', message: 'closureReason is required' },
+      ],
+    });
+    await expect(adaCaseService.recordReport(adaCase.id, { recipient: 'GAO', reportedOn: '2025-01-01' }, 'finance-1'))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    await adaCaseService.updateCase(adaCase.id, { violationConfirmed: false, closureReason: 'Duplicate entry; no excess obligation' }, 'finance-1');
+    const closed = await adaCaseService.advanceStage(adaCase.id, 'CLOSED', 'finance-1', { comments: 'No violation' });
+    expect(closed.stage).toBe('CLOSED');
+    expect(closed.history.at(-1)).toMatchObject({
+      event: 'stage_changed',
+      details: { from: 'PRELIMINARY_REVIEW', to: 'CLOSED', comments: 'No violation' },
+    });
+  });
+
+  it('should attach uploaded documents as evidence and keep them from being deleted', async () => {
+    const adaCase = await openOverobligation();
+    const document = await documentService.uploadDocument({
+      entityType: 'obligation',
+      entityId: 'obligation-1',
+      fileName: 'mod-p00003.pdf',
+      originalName: 'Modification P00003.pdf',
+      mimeType: 'application/pdf',
+      size: 2048,
+      path: '/uploads/mod-p00003.pdf',
+    }, 'finance-1');
+
+    const updated = await adaCaseService.attachEvidence(adaCase.id, { documentId: document.id, description: 'Unfunded modification' }, 'finance-1');
+    expect(updated.evidence).toEqual([expect.objectContaining({
+      documentId: document.id,
+      fileName: 'Modification P00003.pdf',
+      stage: 'PRELIMINARY_REVIEW',
+      attachedBy: 'finance-1',
+    })]);
+
+    await expect(adaCaseService.attachEvidence(adaCase.id, { documentId: document.id }, 'finance-1')).rejects.toMatchObject({ statusCode: 409 });
+    await expect(adaCaseService.attachEvidence(adaCase.id, { documentId: 'missing' }, 'finance-1')).rejects.toMatchObject({ statusCode: 404 });
+    await expect(documentService.deleteDocument(document.id)).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Document is evidence in ADA case ADA-2025-001',
+    });
+  });
+
+  it('should list overdue cases and export the case history as CSV', async () => {
+    const overdue = await openOverobligation('2024-11-15');
+    const current = await openOverobligation('2025-03-01');
+    const asOf = new Date(2025, 2, 10);
+
+    expect((await adaCaseService.getCases({ overdue: true }, asOf)).map(c => c.id)).toEqual([overdue.id]);
+    expect((await adaCaseService.getCases({ stage: 'PRELIMINARY_REVIEW', open: true }, asOf)).map(c => c.id)).toEqual([overdue.id, current.id]);
+
+    await investigate(overdue);
+    const { content } = await adaCaseService.exportCase(overdue.id, 'csv');
+    const lines = content.split('\n');
+    expect(lines[0]).toBe('caseNumber,timestamp,stage,event,userId,details');
+    expect(lines.slice(1).map(line => line.split(',')[3])).toEqual([
+      '"opened"',
+      '"updated"',
+      '"stage_changed"',
+      '"updated"',
+      '"individual_determined"',
+      '"stage_changed"',
+      '"stage_changed"',
+      '"corrective_action_added"',
+      '"corrective_action_completed"',
+      '"stage_changed"',
+    ]);
+
+    const json = JSON.parse((await adaCaseService.exportCase(overdue.id, 'json')).content);
+    expect(json).toMatchObject({ caseNumber: 'ADA-2025-001', stage: 'REPORTING' });
+    expect(json.history).toHaveLength(10);
+  });
+});
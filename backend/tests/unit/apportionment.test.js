@@ -0,0 +1,173 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { appropriationService } from '../../src/services/appropriationService';
+import { apportionmentService } from '../../src/services/apportionmentService';
+import { allotmentService } from '../../src/services/allotmentService';
+import { organizationService } from '../../src/services/organizationService';
+import { apportionment as apportionmentRules } from '../../src/domain/ppbe';
+import { setupExecution, obligate as obligateFunds } from '../fixtures/ppbe';
+
+describe('Apportionment and Funds Distribution Unit Tests', () => {
+  let budget;
+  let appropriation;
+  let orgs;
+
+  const quarterlyLines = [1, 2, 3, 4].map(quarter => ({
+    lineNumber: `610${quarter}`,
+    category: 'A',
+    quarter,
+    amount: 250000,
+  }));
+
+  const obligate = (overrides = {}) =>
+    obligateFunds(budget, { appropriationId: appropriation.id, obligationDate: '2026-08-01T00:00:00.000Z', ...overrides }, 'user-1');
+
+  beforeEach(async () => {
+    ({ budget, appropriation } = await setupExecution({ budgetCreatedBy: 'user-1' }));
+
+    const hq = await organizationService.createOrganization({ name: 'Navy HQ', code: 'HQ', type: 'department' });
+    const fleet = await organizationService.createOrganization({
+      name: 'Fleet Forces',
+      code: 'FLT',
+      type: 'division',
+      parentId: hq.id,
+    });
+    const ship = await organizationService.createOrganization({
+      name: 'Ship Maintenance',
+      code: 'SHP',
+      type: 'branch',
+      parentId: fleet.id,
+    });
+    const other = await organizationService.createOrganization({
+      name: 'Reserve Forces',
+      code: 'RES',
+      type: 'division',
+      parentId: hq.id,
+    });
+    orgs = { hq, fleet, ship, other };
+  });
+
+  it('should validate SF-132 lines and accumulate Category A quarters', () => {
+    const invalid = apportionmentRules.validateApportionment({
+      appropriationAmount: 400000,
+      lines: [
+        { lineNumber: '6101', category: 'A', quarter: 1, amount: 250000 },
+        { lineNumber: '6102', category: 'A', quarter: 1, amount: 250000 },
+      ],
+    });
+    expect(invalid.isValid).toBe(false);
+    expect(invalid.errors).toHaveLength(2);
+
+    const toDate = apportionmentRules.calculateApportionedToDate(
+      { lines: [...quarterlyLines, { lineNumber: '6201', category: 'B', project: 'Dry dock', amount: 50000 }] },
+      new Date('2026-01-15T12:00:00.000Z'),
+      2026
+    );
+    expect(toDate).toMatchObject({ throughQuarter: 2, categoryA: 500000, categoryB: 50000, amount: 550000 });
+  });
+
+  it('should limit obligations to the amount apportioned through the quarter', async () => {
+    const apportionment = await apportionmentService.createApportionment(appropriation.id, {
+      lines: quarterlyLines,
+    });
+    expect(apportionment.totalApportioned).toBe(1000000);
+    expect((await appropriationService.getAppropriationById(appropriation.id)).apportionedAmount).toBe(1000000);
+
+    await obligate({ amount: 200000, obligationDate: '2025-11-15T12:00:00.000Z' });
+
+    await expect(obligate({ obligationDate: '2025-12-01T12:00:00.000Z' })).rejects.toMatchObject({
+      statusCode: 400,
+      errors: [expect.objectContaining({ rule: 'anti_deficiency', message: expect.stringContaining('APPORTIONMENT') })],
+    });
+
+    const secondQuarter = await obligate({ obligationDate: '2026-01-15T12:00:00.000Z' });
+    expect(secondQuarter.amount).toBe(100000);
+  });
+
+  it('should enforce apportionment footnotes and reapportion', async () => {
+    await apportionmentService.createApportionment(appropriation.id, {
+      lines: quarterlyLines,
+      footnotes: [{ code: 'A1', text: 'Not available for construction', prohibitedActivities: ['construction'] }],
+    });
+
+    await expect(obligate({ purpose: 'construction' })).rejects.toMatchObject({
+      errors: [expect.objectContaining({ statute: '31 U.S.C. § 1517' })],
+    });
+
+    const reapportioned = await apportionmentService.reapportion(appropriation.id, { lines: quarterlyLines });
+    expect(reapportioned.reapportionmentNumber).toBe(1);
+    expect((await obligate({ purpose: 'construction' })).purpose).toBe('construction');
+  });
+
+  it('should distribute allotments down the organization hierarchy', async () => {
+    await expect(
+      allotmentService.createAllotment(appropriation.id, { organizationId: orgs.fleet.id, amount: 100000 })
+    ).rejects.toMatchObject({ statusCode: 400 });
+
+    await apportionmentService.createApportionment(appropriation.id, { lines: quarterlyLines });
+    const fleet = await allotmentService.createAllotment(appropriation.id, {
+      organizationId: orgs.fleet.id,
+      amount: 600000,
+    });
+    await allotmentService.createAllotment(appropriation.id, {
+      organizationId: orgs.ship.id,
+      parentAllotmentId: fleet.id,
+      amount: 400000,
+    });
+
+    await expect(
+      allotmentService.createAllotment(appropriation.id, { organizationId: orgs.hq.id, amount: 500000 })
+    ).rejects.toMatchObject({ errors: [expect.stringContaining('exceeding the apportionment')] });
+    await expect(
+      allotmentService.createAllotment(appropriation.id, {
+        organizationId: orgs.other.id,
+        parentAllotmentId: fleet.id,
+        amount: 100000,
+      })
+    ).rejects.toMatchObject({ statusCode: 400 });
+
+    const distribution = await allotmentService.getDistribution(appropriation.id);
+    expect(distribution).toMatchObject({ apportioned: 1000000, allotted: 600000, unallotted: 400000 });
+    expect(distribution.allotments[0]).toMatchObject({ subAllotted: 400000, available: 200000 });
+    expect(distribution.allotments[0].children[0].organizationCode).toBe('SHP');
+  });
+
+  it('should check obligations against the lowest controlling level', async () => {
+    await apportionmentService.createApportionment(appropriation.id, { lines: quarterlyLines });
+    const fleet = await allotmentService.createAllotment(appropriation.id, {
+      organizationId: orgs.fleet.id,
+      amount: 600000,
+    });
+    const ship = await allotmentService.createAllotment(appropriation.id, {
+      organizationId: orgs.ship.id,
+      parentAllotmentId: fleet.id,
+      amount: 400000,
+    });
+
+    const availability = await allotmentService.getFundsAvailability(appropriation.id, {
+      organizationId: orgs.ship.id,
+      date: '2026-08-01T00:00:00.000Z',
+    });
+    expect(availability.controllingLevel).toMatchObject({ type: 'SUB_ALLOTMENT', available: 400000 });
+
+    await expect(obligate({ organizationId: orgs.ship.id, amount: 450000 })).rejects.toMatchObject({
+      errors: [expect.objectContaining({ message: expect.stringContaining('SUB_ALLOTMENT (SHP)') })],
+    });
+
+    const charged = await obligate({ organizationId: orgs.ship.id, amount: 300000 });
+    expect(charged.allotmentId).toBe(ship.id);
+
+    // Funds retained by the fleet after sub-allotting
+    await expect(obligate({ organizationId: orgs.fleet.id, amount: 250000 })).rejects.toMatchObject({
+      statusCode: 400,
+    });
+
+    // Reserve Forces holds no allotment on its chain
+    await expect(obligate({ organizationId: orgs.other.id, amount: 1000 })).rejects.toMatchObject({
+      errors: [expect.objectContaining({ message: expect.stringContaining('RES (not allotted)') })],
+    });
+
+    await expect(
+      allotmentService.updateAllotment(appropriation.id, ship.id, { amount: 200000 })
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,165 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { appropriationService } from '../../src/services/appropriationService';
+import { appropriationLifecycleService } from '../../src/services/appropriationLifecycleService';
+import { obligationService } from '../../src/services/obligationService';
+import { expenditureService } from '../../src/services/expenditureService';
+import { auditService } from '../../src/services/auditService';
+import { appropriationLifecycle as lifecycleRules } from '../../src/domain/ppbe';
+import { setupExecution, createAppropriation, obligate as obligateFunds, pay } from '../fixtures/ppbe';
+
+describe('Appropriation Lifecycle Unit Tests', () => {
+  let fiscalYear;
+  let budget;
+  let appropriation;
+
+  // FY2024 funds are expired today and cancel after September 30, 2029
+  const obligate = (overrides = {}) =>
+    obligateFunds(budget, {
+      appropriationId: appropriation.id,
+      documentNumber: 'W56HZV-24-C-0001',
+      description: 'Vehicle overhaul',
+      obligationDate: '2024-06-01T00:00:00.000Z',
+      amount: 600000,
+      ...overrides,
+    }, 'user-1');
+
+  beforeEach(async () => {
+    ({ fiscalYear, budget, appropriation } = await setupExecution({
+      year: 2024,
+      fiscalYear: { status: 'closed' },
+      budget: { title: 'Ground Readiness', amount: 50000000, department: 'Army' },
+      budgetCreatedBy: 'user-1',
+      appropriation: {
+        code: 'OMA-2024',
+        name: 'O&M Army',
+        amount: 40000000,
+        expirationDate: '2024-09-30T23:59:59.000Z',
+        type: 'annual',
+      },
+    }));
+  });
+
+  it('should move through the current, expired and cancelled phases', () => {
+    const expiration = new Date('2024-09-30T23:59:59.000Z');
+
+    expect(lifecycleRules.getAppropriationLifecycle(expiration, new Date('2024-06-01T00:00:00.000Z')).phase).toBe(
+      'CURRENT'
+    );
+
+    const expired = lifecycleRules.getAppropriationLifecycle(expiration, new Date('2026-03-01T00:00:00.000Z'));
+    expect(expired).toMatchObject({ phase: 'EXPIRED', expirationFY: 2024, expiredYear: 2 });
+    expect(expired.cancellationDate.getFullYear()).toBe(2029);
+
+    const cancelled = lifecycleRules.getAppropriationLifecycle(expiration, new Date('2029-10-02T00:00:00.000Z'));
+    expect(cancelled.phase).toBe('CANCELLED');
+    expect(lifecycleRules.getAppropriationLifecycle(null).phase).toBe('CURRENT');
+  });
+
+  it('should block new obligations after expiration and flag large upward adjustments', () => {
+    const expired = lifecycleRules.getAppropriationLifecycle(
+      new Date('2024-09-30T23:59:59.000Z'),
+      new Date('2026-03-01T00:00:00.000Z')
+    );
+
+    expect(lifecycleRules.validateLifecycleTransaction({ type: 'NEW_OBLIGATION', amount: 1000 }, expired).isValid).toBe(
+      false
+    );
+
+    const adjustment = lifecycleRules.validateLifecycleTransaction({ type: 'UPWARD_ADJUSTMENT', amount: 5000000 }, expired);
+    expect(adjustment).toMatchObject({
+      isValid: true,
+      requiresAgencyHeadApproval: true,
+      requiresCongressionalNotification: false,
+    });
+    expect(lifecycleRules.validateLifecycleTransaction({ type: 'LIQUIDATION' }, expired).isValid).toBe(true);
+  });
+
+  it('should record obligation increases against expired funds as flagged upward adjustments', async () => {
+    const obligation = await obligate();
+    expect(obligation.complianceWarnings).toContainEqual(
+      expect.objectContaining({ rule: 'appropriation_lifecycle' })
+    );
+
+    const updated = await obligationService.updateObligation(obligation.id, { amount: 5000000 });
+    expect(updated.expiredFundAdjustments).toHaveLength(2);
+    expect(updated.expiredFundAdjustments[1]).toMatchObject({
+      amount: 4400000,
+      previousAmount: 600000,
+      newAmount: 5000000,
+      requiresAgencyHeadApproval: true,
+    });
+
+    await expect(obligate({ obligationDate: '2025-01-15T00:00:00.000Z' })).rejects.toMatchObject({
+      statusCode: 400,
+      errors: [expect.objectContaining({ rule: 'time' })],
+    });
+  });
+
+  it('should cancel remaining balances after the fifth expired year with an audit trail', async () => {
+    const obligation = await obligate();
+    await pay(obligation, { amount: 200000, paymentDate: '2025-02-01T00:00:00.000Z' });
+
+    expect(await appropriationLifecycleService.cancelExpiredBalances('2029-09-30T12:00:00.000Z')).toEqual([]);
+
+    const [entry] = await appropriationLifecycleService.cancelExpiredBalances('2029-10-01T12:00:00.000Z');
+    expect(entry).toMatchObject({
+      appropriationId: appropriation.id,
+      unobligatedBalance: 39400000,
+      unliquidatedObligations: 400000,
+      totalCancelled: 39800000,
+      cancelledBy: 'system',
+    });
+    expect((await appropriationService.getAppropriationById(appropriation.id)).availableAmount).toBe(0);
+
+    const logs = await auditService.getAuditLogs({ entityType: 'appropriation', entityId: appropriation.id });
+    expect(logs).toHaveLength(1);
+    expect(logs[0].changes.lifecyclePhase).toBe('CANCELLED');
+
+    // Already cancelled accounts are not cancelled again
+    expect(await appropriationLifecycleService.cancelExpiredBalances('2030-01-01T00:00:00.000Z')).toEqual([]);
+
+    const report = await appropriationLifecycleService.getCancelledBalanceReport(fiscalYear.id);
+    expect(report.totals.totalCancelled).toBe(39800000);
+  });
+
+  it('should reject obligations and payments charged to a cancelled account', async () => {
+    const obligation = await obligate();
+    await appropriationService.updateAppropriation(appropriation.id, {
+      expirationDate: '2019-09-30T23:59:59.000Z',
+    });
+
+    await expect(pay(obligation, { amount: 1000, description: 'Final invoice', paymentDate: new Date().toISOString() }))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    await expect(obligationService.updateObligation(obligation.id, { amount: 650000 })).rejects.toMatchObject({
+      errors: expect.arrayContaining([
+        expect.objectContaining({ rule: 'appropriation_lifecycle', severity: 'CRITICAL' }),
+      ]),
+    });
+  });
+
+  it('should recheck payments moved to another date or obligation', async () => {
+    const obligation = await obligate();
+    const payment = await pay(obligation, { amount: 1000, paymentDate: '2025-06-01T00:00:00.000Z' });
+
+    await expect(
+      expenditureService.updateExpenditure(payment.id, { paymentDate: '2030-01-15T00:00:00.000Z' })
+    ).rejects.toMatchObject({ statusCode: 400, message: 'Payment blocked: OMA-2024 is cancelled' });
+
+    const cancelled = await createAppropriation(fiscalYear, {
+      code: 'OMA-2019',
+      name: 'O&M Army',
+      expirationDate: '2024-09-30T23:59:59.000Z',
+      type: 'annual',
+    });
+    const old = await obligate({ appropriationId: cancelled.id, documentNumber: 'W56HZV-19-C-0001', amount: 1000 });
+    await appropriationService.updateAppropriation(cancelled.id, { expirationDate: '2019-09-30T23:59:59.000Z' });
+    await expect(
+      expenditureService.updateExpenditure(payment.id, { obligationId: old.id })
+    ).rejects.toMatchObject({ statusCode: 400, message: 'Payment blocked: OMA-2019 is cancelled' });
+
+    // Changes that leave the date and obligation alone are not rechecked
+    const renamed = await expenditureService.updateExpenditure(payment.id, { description: 'Final payment' });
+    expect(renamed).toMatchObject({ obligationId: obligation.id, description: 'Final payment' });
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { approvalService } from '../../src/services/approvalService';
+import { approvalDelegationService } from '../../src/services/approvalDelegationService';
+import { dataStore } from '../../src/services/dataStore';
+import { createUser } from '../fixtures/ppbe';
+
+describe('Approval Delegation Unit Tests', () => {
+  const director = { id: 'director-1', role: 'approver' };
+  const admin = { id: 'admin-1', role: 'admin' };
+
+  const delegate = (overrides = {}, actor = director) =>
+    approvalDelegationService.createDelegation(
+      { delegateId: 'deputy-1', startDate: '2020-01-01', endDate: '2099-12-31', reason: 'Annual leave', ...overrides },
+      actor
+    );
+
+  const createRequest = async (steps, request = {}) => {
+    const workflow = await approvalService.createWorkflow({ name: 'Reprogramming Review', entityType: 'reprogramming', steps }, 'admin-1');
+    return approvalService.createApprovalRequest(
+      { workflowId: workflow.id, entityType: 'reprogramming', entityId: 'dd1414-001', amount: 2500000, ...request },
+      'analyst-1'
+    );
+  };
+
+  const singleStep = [{ order: 1, approverRole: 'approver', approverId: 'director-1', required: true }];
+
+  beforeEach(() => {
+    dataStore.clear();
+    createUser('director-1', 'approver');
+    createUser('deputy-1', 'approver');
+    createUser('analyst-2', 'budget_analyst');
+    createUser('retired-1', 'approver', { active: false });
+  });
+
+  it('should only delegate to another active user with the same role', async () => {
+    await expect(delegate({ delegateId: 'analyst-2' })).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Delegate must be an active approver user',
+    });
+    await expect(delegate({ delegateId: 'retired-1' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(delegate({ delegateId: 'director-1' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(delegate({ startDate: '2026-11-10', endDate: '2026-11-01' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(delegate({ delegatorId: 'director-1' }, { id: 'deputy-1', role: 'approver' })).rejects.toMatchObject({ statusCode: 403 });
+
+    const delegation = await delegate({ delegatorId: 'director-1' }, admin);
+    expect(delegation).toMatchObject({ delegatorId: 'director-1', delegateId: 'deputy-1', createdBy: 'admin-1' });
+    expect(dataStore.findMany('notifications', n => n.userId === 'deputy-1').map(n => n.type)).toEqual(['approval_delegated']);
+
+    await expect(delegate({ startDate: '2099-06-01' })).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('should list requests awaiting the delegator for the acting approver', async () => {
+    const request = await createRequest(singleStep);
+    expect(await approvalService.getPendingApprovals('deputy-1')).toEqual([]);
+
+    await delegate();
+    const pending = await approvalService.getPendingApprovals('deputy-1');
+    expect(pending).toEqual([expect.objectContaining({ id: request.id, actingFor: 'director-1' })]);
+
+    // Approvers notified from now on have their delegates told as well
+    await createRequest(singleStep);
+    const messages = dataStore.findMany('notifications', n => n.userId === 'deputy-1' && n.type === 'approval_request').map(n => n.message);
+    expect(messages).toEqual(['You have a new reprogramming approval request as acting approver for director-1']);
+  });
+
+  it('should record actions taken under delegation as acting for the delegator', async () => {
+    const delegation = await delegate();
+    const request = await createRequest(singleStep);
+
+    const approved = await approvalService.processApproval(request.id, 'approved', 'deputy-1', 'Approved while the director is on leave');
+    expect(approved.status).toBe('approved');
+
+    const [action] = dataStore.findMany('approvalActions', a => a.requestId === request.id);
+    expect(action).toMatchObject({ approverId: 'deputy-1', actingFor: 'director-1', delegationId: delegation.id });
+
+    const [entry] = dataStore.findMany('auditLogs', l => l.entityId === request.id);
+    expect(entry).toMatchObject({
+      userId: 'deputy-1',
+      action: 'approve',
+      entityType: 'approval_request',
+      changes: { summary: 'deputy-1 acting for director-1', actingFor: 'director-1', delegationId: delegation.id },
+    });
+
+    // The delegator acting in person is not recorded as a delegation
+    const own = await createRequest(singleStep);
+    await approvalService.processApproval(own.id, 'approved', 'director-1');
+    expect(dataStore.findMany('approvalActions', a => a.requestId === own.id)[0].actingFor).toBeUndefined();
+  });
+
+  it('should limit a delegation by entity type, dollar threshold and date range', async () => {
+    createUser('deputy-2', 'approver');
+    createUser('deputy-3', 'approver');
+    await delegate({ entityTypes: ['budget'] });
+    await delegate({ delegateId: 'deputy-2', maxAmount: 1000000 });
+    await delegate({ delegateId: 'deputy-3', startDate: '2099-01-01' });
+
+    // Over the limit, and without an amount to check against it
+    await createRequest(singleStep);
+    await createRequest(singleStep, { amount: undefined });
+    const small = await createRequest(singleStep, { amount: 750000 });
+
+    expect(await approvalService.getPendingApprovals('deputy-1')).toEqual([]);
+    expect((await approvalService.getPendingApprovals('deputy-2')).map(r => r.id)).toEqual([small.id]);
+    expect(await approvalService.getPendingApprovals('deputy-3')).toEqual([]);
+
+    const parallel = await createRequest([
+      { order: 1, approverRole: 'approver', approvers: [{ approverId: 'director-1' }, { approverId: 'comptroller-1' }], required: true },
+    ], { amount: 500000 });
+    await expect(approvalService.processApproval(parallel.id, 'approved', 'deputy-1')).rejects.toMatchObject({ statusCode: 403 });
+    const updated = await approvalService.processApproval(parallel.id, 'approved', 'deputy-2');
+    expect(updated.status).toBe('in_review');
+    const { steps } = await approvalService.getStepResponses(parallel.id);
+    expect(steps[0].participants[0].response).toMatchObject({ approverId: 'deputy-2', actingFor: 'director-1' });
+  });
+
+  it('should stop acting authority once a delegation is revoked', async () => {
+    const delegation = await delegate();
+    const request = await createRequest([
+      { order: 1, approverRole: 'approver', approvers: [{ approverId: 'director-1' }, { approverId: 'comptroller-1' }], required: true },
+    ]);
+
+    await expect(approvalDelegationService.revokeDelegation(delegation.id, { id: 'deputy-1', role: 'approver' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+    const revoked = await approvalDelegationService.revokeDelegation(delegation.id, director);
+    expect(revoked).toMatchObject({ revokedBy: 'director-1' });
+    expect(revoked.revokedAt).toBeInstanceOf(Date);
+
+    await expect(approvalService.processApproval(request.id, 'approved', 'deputy-1')).rejects.toMatchObject({ statusCode: 403 });
+    expect(await approvalService.getPendingApprovals('deputy-1')).toEqual([]);
+    expect(await approvalDelegationService.getDelegations({ delegatorId: 'director-1' })).toEqual([]);
+    expect(await approvalDelegationService.getDelegations({ delegatorId: 'director-1', includeRevoked: true })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,209 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { approvalService } from '../../src/services/approvalService';
+import { approvalSlaService } from '../../src/services/approvalSlaService';
+import { dataStore } from '../../src/services/dataStore';
+import { createUser } from '../fixtures/ppbe';
+
+describe('Approval SLA Unit Tests', () => {
+  const HOUR = 60 * 60 * 1000;
+  const DAY = 24 * HOUR;
+
+  const createWorkflow = steps =>
+    approvalService.createWorkflow({ name: 'Reprogramming Review', entityType: 'reprogramming', steps }, 'admin-1');
+
+  const createRequest = workflow =>
+    approvalService.createApprovalRequest(
+      { workflowId: workflow.id, entityType: 'reprogramming', entityId: 'dd1414-001' },
+      'analyst-1'
+    );
+
+  const notificationsFor = userId => dataStore.findMany('notifications', n => n.userId === userId).map(n => n.type);
+
+  beforeEach(() => {
+    dataStore.clear();
+    dataStore.create('organizations', { id: 'command', name: 'Command', code: 'CMD', type: 'department', level: 1, active: true });
+    dataStore.create('organizations', { id: 'division', name: 'Division', code: 'DIV', type: 'division', parentId: 'command', level: 2, active: true });
+    createUser('approver-1', 'finance_officer', { organizationId: 'division' });
+    createUser('comptroller', 'finance_officer', { organizationId: 'command' });
+  });
+
+  it('should set step due dates in calendar or business days', async () => {
+    const started = new Date(2026, 11, 23, 10, 30);
+
+    expect(approvalSlaService.getStepDueAt({ dueInDays: 3 }, started)).toEqual(new Date(2026, 11, 26, 10, 30));
+    // Christmas Day and the weekend are skipped
+    expect(approvalSlaService.getStepDueAt({ dueInDays: 3, dayBasis: 'business' }, started)).toEqual(new Date(2026, 11, 29, 10, 30));
+    expect(approvalSlaService.getStepDueAt({}, started)).toBeUndefined();
+
+    const workflow = await createWorkflow([
+      { order: 1, approverRole: 'finance_officer', approverId: 'approver-1', required: true, dueInDays: 2 },
+      { order: 2, approverRole: 'finance_officer', approverId: 'comptroller', required: true },
+    ]);
+    const request = await createRequest(workflow);
+    expect(request.stepDueAt.getTime() - request.stepStartedAt.getTime()).toBe(2 * DAY);
+
+    const next = await approvalService.processApproval(request.id, 'approved', 'approver-1');
+    expect(next.currentStep).toBe(1);
+    expect(next.stepDueAt).toBeUndefined();
+    expect(next.stepStartedAt.getTime()).toBeGreaterThanOrEqual(request.stepStartedAt.getTime());
+  });
+
+  it('should send each reminder once as the deadline nears', async () => {
+    const workflow = await createWorkflow([
+      { order: 1, approverRole: 'finance_officer', approverId: 'approver-1', required: true, dueInDays: 5, reminderDaysBefore: [2, 1] },
+    ]);
+    const request = await createRequest(workflow);
+    const due = request.stepDueAt.getTime();
+
+    expect((await approvalSlaService.processDeadlines(new Date(due - 3 * DAY))).reminders).toEqual([]);
+
+    const first = await approvalSlaService.processDeadlines(new Date(due - 36 * HOUR));
+    expect(first.reminders).toEqual([{ requestId: request.id, approverId: 'approver-1', daysBefore: 2, dueAt: request.stepDueAt }]);
+    expect((await approvalSlaService.processDeadlines(new Date(due - 30 * HOUR))).reminders).toEqual([]);
+
+    const second = await approvalSlaService.processDeadlines(new Date(due - 2 * HOUR));
+    expect(second.reminders.map(r => r.daysBefore)).toEqual([1]);
+    expect(notificationsFor('approver-1')).toEqual(['approval_request', 'approval_reminder', 'approval_reminder']);
+  });
+
+  it('should escalate overdue steps to the alternate, then up the organization hierarchy', async () => {
+    createUser('alternate-1', 'finance_officer', { organizationId: 'division' });
+    const workflow = await createWorkflow([
+      { order: 1, approverRole: 'finance_officer', approverId: 'approver-1', alternateApproverId: 'alternate-1', required: true, dueInDays: 2 },
+    ]);
+    const request = await createRequest(workflow);
+
+    const overdue = new Date(request.stepDueAt.getTime() + HOUR);
+    const first = await approvalSlaService.processDeadlines(overdue);
+    expect(first.escalations).toEqual([
+      expect.objectContaining({ fromApproverId: 'approver-1', toApproverId: 'alternate-1', route: 'alternate' }),
+    ]);
+    let updated = await approvalService.getApprovalRequestById(request.id);
+    expect(updated.assignedApproverId).toBe('alternate-1');
+    expect(updated.stepDueAt).toEqual(new Date(overdue.getTime() + 2 * DAY));
+    expect(await approvalService.getPendingApprovals('alternate-1')).toHaveLength(1);
+    expect(await approvalService.getPendingApprovals('approver-1')).toHaveLength(0);
+
+    const second = await approvalSlaService.processDeadlines(new Date(updated.stepDueAt.getTime() + HOUR));
+    expect(second.escalations).toEqual([
+      expect.objectContaining({ fromApproverId: 'alternate-1', toApproverId: 'comptroller', route: 'organization', organizationId: 'command' }),
+    ]);
+    expect(notificationsFor('comptroller')).toEqual(['approval_escalated']);
+
+    updated = await approvalService.getApprovalRequestById(request.id);
+    const third = await approvalSlaService.processDeadlines(new Date(updated.stepDueAt.getTime() + HOUR));
+    expect(third.escalations).toEqual([]);
+    expect(third.unresolved).toEqual([expect.objectContaining({ requestId: request.id, step: 0 })]);
+    expect((await approvalSlaService.processDeadlines(new Date(updated.stepDueAt.getTime() + DAY))).unresolved).toEqual([]);
+  });
+
+  it('should restart the clock for the next step after an escalated approval', async () => {
+    const workflow = await createWorkflow([
+      { order: 1, approverRole: 'finance_officer', approverId: 'approver-1', organizationId: 'division', required: true, dueInDays: 1 },
+      { order: 2, approverRole: 'finance_officer', approverId: 'comptroller', required: true, dueInDays: 3 },
+    ]);
+    const request = await createRequest(workflow);
+    await approvalSlaService.processDeadlines(new Date(request.stepDueAt.getTime() + HOUR));
+
+    const next = await approvalService.processApproval(request.id, 'approved', 'comptroller');
+    expect(next).toMatchObject({ currentStep: 1, remindersSent: [] });
+    expect(next.assignedApproverId).toBeUndefined();
+    expect(next.stepDueAt.getTime() - next.stepStartedAt.getTime()).toBe(3 * DAY);
+    expect(next.escalations).toHaveLength(1);
+
+    const [action] = dataStore.findMany('approvalActions', a => a.requestId === request.id);
+    expect(action).toMatchObject({ step: 0, approverId: 'comptroller', stepStartedAt: request.stepStartedAt });
+  });
+
+  it('should escalate each parallel approver yet to respond on their own', async () => {
+    createUser('alternate-1', 'finance_officer', { organizationId: 'division' });
+    createUser('legal-1', 'admin', { organizationId: 'division' });
+    createUser('counsel-1', 'admin', { organizationId: 'command' });
+    const workflow = await createWorkflow([{
+      order: 1,
+      approverRole: 'finance_officer',
+      approvers: [
+        { approverId: 'approver-1', alternateApproverId: 'alternate-1', label: 'Budget' },
+        { approverId: 'legal-1', approverRole: 'admin', label: 'Legal' },
+        { approverId: 'comptroller', label: 'Comptroller' },
+      ],
+      required: true,
+      dueInDays: 2,
+    }]);
+    const request = await createRequest(workflow);
+    await approvalService.processApproval(request.id, 'approved', 'comptroller');
+
+    const sweep = await approvalSlaService.processDeadlines(new Date(request.stepDueAt.getTime() + HOUR));
+    expect(sweep.escalations).toEqual([
+      expect.objectContaining({ participant: 0, fromApproverId: 'approver-1', toApproverId: 'alternate-1', route: 'alternate' }),
+      expect.objectContaining({ participant: 1, fromApproverId: 'legal-1', toApproverId: 'counsel-1', route: 'organization' }),
+    ]);
+    expect((await approvalService.getApprovalRequestById(request.id)).assignedApprovers).toEqual({ 0: 'alternate-1', 1: 'counsel-1' });
+    expect(notificationsFor('counsel-1')).toEqual(['approval_escalated']);
+
+    // Each escalated approver answers for the approver they replace, and no other
+    await expect(approvalService.processApproval(request.id, 'approved', 'legal-1')).rejects.toMatchObject({ statusCode: 403 });
+    await approvalService.processApproval(request.id, 'approved', 'alternate-1');
+    await expect(approvalService.processApproval(request.id, 'approved', 'alternate-1')).rejects.toMatchObject({ statusCode: 400 });
+    expect(await approvalService.getPendingApprovals('counsel-1')).toHaveLength(1);
+    expect((await approvalService.processApproval(request.id, 'approved', 'counsel-1')).status).toBe('approved');
+
+    const { steps } = await approvalService.getStepResponses(request.id);
+    expect(steps[0].participants.map(p => p.response.approverId)).toEqual(['alternate-1', 'counsel-1', 'comptroller']);
+  });
+
+  it('should take responses only from the step approver and notify role-based approvers', async () => {
+    createUser('analyst-2', 'budget_analyst', { organizationId: 'division' });
+    const named = await createRequest(await createWorkflow([
+      { order: 1, approverRole: 'finance_officer', approverId: 'approver-1', required: true },
+    ]));
+    await expect(approvalService.processApproval(named.id, 'approved', 'comptroller')).rejects.toMatchObject({
+      statusCode: 403,
+      message: 'You are not an approver awaited on this step',
+    });
+
+    const byRole = await createRequest(await createWorkflow([
+      { order: 1, approverRole: 'finance_officer', required: true, dueInDays: 2 },
+    ]));
+    expect(notificationsFor('comptroller')).toEqual(['approval_request']);
+    expect(notificationsFor('analyst-2')).toEqual([]);
+    expect(await approvalService.getPendingApprovals('comptroller')).toEqual([expect.objectContaining({ id: byRole.id })]);
+
+    const reminders = await approvalSlaService.processDeadlines(new Date(byRole.stepDueAt.getTime() - HOUR));
+    expect(reminders.reminders.map(r => r.approverId)).toEqual(['approver-1', 'comptroller']);
+
+    await expect(approvalService.processApproval(byRole.id, 'approved', 'analyst-2')).rejects.toMatchObject({ statusCode: 403 });
+    expect((await approvalService.processApproval(byRole.id, 'approved', 'comptroller')).status).toBe('approved');
+  });
+
+  it('should report cycle time per step and per approver on the SLA dashboard', async () => {
+    const workflow = await createWorkflow([
+      { order: 1, approverRole: 'finance_officer', approverId: 'approver-1', required: true, dueInDays: 2 },
+      { order: 2, approverRole: 'finance_officer', approverId: 'comptroller', required: true, dueInDays: 2 },
+    ]);
+    const now = Date.now();
+    const backdate = (request, hours) =>
+      dataStore.update('approvalRequests', request.id, {
+        stepStartedAt: new Date(now - hours * HOUR),
+        stepDueAt: new Date(now - hours * HOUR + 2 * DAY),
+      });
+
+    const fast = await createRequest(workflow);
+    backdate(fast, 12);
+    await approvalService.processApproval(fast.id, 'approved', 'approver-1');
+
+    const slow = await createRequest(workflow);
+    backdate(slow, 60);
+    await approvalService.processApproval(slow.id, 'approved', 'approver-1');
+    backdate(await approvalService.getApprovalRequestById(slow.id), 50);
+
+    const dashboard = await approvalSlaService.getDashboard({ workflowId: workflow.id }, new Date(now + HOUR));
+    expect(dashboard.byStep).toEqual([
+      expect.objectContaining({ step: 0, completed: 2, onTime: 1, late: 1, onTimeRate: 50, open: 0, overdue: 0 }),
+    ]);
+    expect(dashboard.byStep[0].averageCycleHours).toBeCloseTo(36, 1);
+    expect(dashboard.byStep[0].maxCycleHours).toBeCloseTo(60, 1);
+    expect(dashboard.byApprover).toEqual([expect.objectContaining({ approverId: 'approver-1', completed: 2, late: 1 })]);
+    expect(dashboard.open).toEqual({ total: 2, withSla: 2, overdue: 1, escalated: 0 });
+  });
+});
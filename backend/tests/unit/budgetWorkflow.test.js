@@ -0,0 +1,154 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { budgetService } from '../../src/services/budgetService';
+import { approvalService } from '../../src/services/approvalService';
+import { dataStore } from '../../src/services/dataStore';
+import { createBudgetSchema } from '../../src/validation/schemas';
+import { createFiscalYear, createBudget, createUser } from '../fixtures/ppbe';
+
+describe('Budget Workflow Unit Tests', () => {
+  let budget;
+  let workflow;
+
+  beforeEach(async () => {
+    dataStore.clear();
+    createUser('approver-1', 'approver');
+    workflow = await approvalService.createWorkflow(
+      {
+        name: 'Budget Approval',
+        entityType: 'budget',
+        steps: [{ order: 1, approverRole: 'approver', required: true }],
+      },
+      'admin-1'
+    );
+    budget = await createBudget(await createFiscalYear(2026), {
+      title: 'Readiness',
+      description: 'Readiness sustainment request',
+      amount: 2000000,
+    });
+  });
+
+  it('should start new budgets in the DRAFT state', () => {
+    expect(budget.workflowState).toBe('DRAFT');
+    expect(budget.workflowHistory).toEqual([]);
+  });
+
+  it('should start budgets as drafts whatever status is requested', async () => {
+    const request = {
+      fiscalYearId: '3f1c9a1e-5d6b-4c2a-9e8f-7a6b5c4d3e2f',
+      title: 'Readiness',
+      amount: 2000000,
+      department: 'Navy',
+      status: 'approved',
+    };
+    expect(createBudgetSchema.parse(request)).not.toHaveProperty('status');
+
+    const created = await budgetService.createBudget(request, 'analyst-1');
+    expect(created).toMatchObject({ status: 'draft', workflowState: 'DRAFT' });
+  });
+
+  it('should place budgets stored before workflows by their status', async () => {
+    const legacy = dataStore.create('budgets', {
+      id: 'legacy-1',
+      fiscalYearId: 'fy-2026',
+      title: 'Legacy Readiness',
+      amount: 1000000,
+      department: 'Navy',
+      status: 'approved',
+      version: 1,
+      createdBy: 'analyst-1',
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+
+    const status = await budgetService.getWorkflowStatus(legacy.id);
+    expect(status).toMatchObject({ currentState: 'APPROPRIATED', history: [] });
+
+    const { budget: executing } = await budgetService.transitionWorkflow(legacy.id, 'EXECUTION', {}, 'analyst-1');
+    expect(executing).toMatchObject({ workflowState: 'EXECUTION', status: 'active' });
+    expect(executing.workflowHistory).toHaveLength(1);
+  });
+
+  it('should reject illegal transitions', async () => {
+    await expect(
+      budgetService.transitionWorkflow(budget.id, 'EXECUTION', {}, 'analyst-1')
+    ).rejects.toMatchObject({ statusCode: 400 });
+
+    await expect(
+      budgetService.updateBudgetStatus(budget.id, 'active', 'analyst-1')
+    ).rejects.toThrow('not allowed');
+  });
+
+  it('should open an approval request for approval-level transitions', async () => {
+    const result = await budgetService.transitionWorkflow(
+      budget.id,
+      'PLANNING_REVIEW',
+      { reason: 'Ready for review' },
+      'analyst-1'
+    );
+
+    expect(result.approvalRequest.workflowId).toBe(workflow.id);
+    expect(result.budget.workflowState).toBe('DRAFT');
+    expect(result.budget.pendingTransition.toState).toBe('PLANNING_REVIEW');
+
+    await expect(
+      budgetService.transitionWorkflow(budget.id, 'CANCELLED', {}, 'analyst-1')
+    ).rejects.toThrow('awaiting approval');
+  });
+
+  it('should apply the transition once the approval request is approved', async () => {
+    const { approvalRequest } = await budgetService.transitionWorkflow(
+      budget.id,
+      'PLANNING_REVIEW',
+      {},
+      'analyst-1'
+    );
+
+    await approvalService.processApproval(approvalRequest.id, 'approved', 'approver-1');
+
+    const updated = await budgetService.getBudgetById(budget.id);
+    expect(updated.workflowState).toBe('PLANNING_REVIEW');
+    expect(updated.status).toBe('submitted');
+    expect(updated.pendingTransition).toBeUndefined();
+    expect(updated.workflowHistory).toHaveLength(1);
+    expect(updated.workflowHistory[0]).toMatchObject({
+      fromState: 'DRAFT',
+      toState: 'PLANNING_REVIEW',
+      approvedBy: 'approver-1',
+    });
+  });
+
+  it('should leave the state unchanged when the approval is rejected', async () => {
+    const { approvalRequest } = await budgetService.transitionWorkflow(
+      budget.id,
+      'PLANNING_REVIEW',
+      {},
+      'analyst-1'
+    );
+
+    await approvalService.processApproval(approvalRequest.id, 'rejected', 'approver-1');
+
+    const updated = await budgetService.getBudgetById(budget.id);
+    expect(updated.workflowState).toBe('DRAFT');
+    expect(updated.pendingTransition).toBeUndefined();
+    expect(updated.workflowHistory).toEqual([]);
+    await expect(approvalService.processApproval(approvalRequest.id, 'approved', 'approver-1'))
+      .rejects.toThrow('already been processed');
+
+    // A rejected budget may be revised and submitted again
+    const resubmitted = await budgetService.transitionWorkflow(budget.id, 'PLANNING_REVIEW', {}, 'analyst-1');
+    expect(resubmitted.budget.pendingTransition.toState).toBe('PLANNING_REVIEW');
+  });
+
+  it('should transition directly when no approval is required', async () => {
+    const { budget: cancelled } = await budgetService.transitionWorkflow(
+      budget.id,
+      'CANCELLED',
+      { reason: 'Requirement withdrawn' },
+      'analyst-1'
+    );
+
+    expect(cancelled.workflowState).toBe('CANCELLED');
+    expect(cancelled.status).toBe('closed');
+    expect(cancelled.workflowHistory[0].reason).toBe('Requirement withdrawn');
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { federalCalendarService } from '../../src/services/federalCalendarService';
+import { ppbeService } from '../../src/services/ppbeService';
+import { dataStore } from '../../src/services/dataStore';
+import { fiscalYear as fiscalYearRules, executionTracking } from '../../src/domain/ppbe';
+
+describe('Federal Business Day Unit Tests', () => {
+  const holidayDates = (year, options) =>
+    fiscalYearRules.getFederalHolidays(year, options).map(h => `${h.date} ${h.name}`);
+
+  beforeEach(() => {
+    dataStore.clear();
+  });
+
+  it('should observe Saturday holidays on Friday and Sunday holidays on Monday', () => {
+    const holidays = holidayDates(2027);
+    expect(holidays).toContain('2027-06-18 Juneteenth National Independence Day');
+    expect(holidays).toContain('2027-07-05 Independence Day');
+    expect(holidays).toContain('2027-11-25 Thanksgiving Day');
+
+    // New Year's Day 2022 fell on a Saturday and was observed on December 31, 2021
+    expect(holidayDates(2021)).toContain("2021-12-31 New Year's Day");
+    expect(holidayDates(2022)).not.toContain("2022-01-01 New Year's Day");
+
+    // Juneteenth became a legal public holiday in 2021
+    expect(holidayDates(2020).some(h => h.includes('Juneteenth'))).toBe(false);
+    expect(fiscalYearRules.isBusinessDay(new Date(2026, 6, 3))).toBe(false);
+    expect(fiscalYearRules.isBusinessDay(new Date(2026, 6, 6))).toBe(true);
+  });
+
+  it('should add and count business days around holidays and closures', () => {
+    const closures = [{ date: '2024-12-24', name: 'Christmas Eve', authority: 'Executive Order 14236' }];
+
+    expect(fiscalYearRules.countBusinessDays('2024-12-20', '2024-12-27')).toBe(4);
+    expect(fiscalYearRules.countBusinessDays('2024-12-20', '2024-12-27', { closures })).toBe(3);
+    expect(fiscalYearRules.countBusinessDays('2024-12-27', '2024-12-20', { closures })).toBe(-3);
+
+    const added = fiscalYearRules.addBusinessDays('2024-12-20', 3, { closures });
+    expect([added.getMonth(), added.getDate()]).toEqual([11, 27]);
+    const back = fiscalYearRules.addBusinessDays('2025-01-02', -2, { closures });
+    expect([back.getFullYear(), back.getMonth(), back.getDate()]).toEqual([2024, 11, 30]);
+
+    expect(fiscalYearRules.getBusinessDaysInFiscalYear(2025)).toBe(250);
+    expect(fiscalYearRules.getBusinessDaysInFiscalYear(2025, { closures })).toBe(249);
+  });
+
+  it('should move Prompt Payment due dates off weekends and holidays', () => {
+    expect(fiscalYearRules.getPromptPaymentDueDate('2025-06-05')).toMatchObject({
+      contractualDueDate: '2025-07-05',
+      dueDate: '2025-07-07',
+      adjusted: true,
+    });
+    expect(fiscalYearRules.getPromptPaymentDueDate('2026-06-04', { paymentTermsDays: 30 })).toMatchObject({
+      contractualDueDate: '2026-07-04',
+      dueDate: '2026-07-06',
+      adjusted: true,
+    });
+    expect(fiscalYearRules.getPromptPaymentDueDate('2026-03-02', { paymentTermsDays: 7 })).toMatchObject({
+      dueDate: '2026-03-09',
+      adjusted: false,
+    });
+  });
+
+  it('should measure obligation benchmarks in business days when asked', () => {
+    const account = { appropriated: 1000000, obligated: 600000, expended: 50000, fiscalYear: 2026 };
+    const options = { asOf: new Date(2026, 7, 10), closures: [{ date: '2025-12-24', name: 'Christmas Eve' }] };
+
+    const calendar = executionTracking.trackObligationPerformance(account, null, options);
+    expect(calendar.dayBasis).toBe('calendar');
+    expect(calendar.metrics.velocity).toMatchObject({ daysInYear: 365, daysElapsed: 313, daysRemaining: 52 });
+
+    const business = executionTracking.trackObligationPerformance(account, null, { ...options, dayBasis: 'business' });
+    expect(business.metrics.velocity).toMatchObject({
+      dayBasis: 'business',
+      daysInYear: 249,
+      daysElapsed: 213,
+      daysRemaining: 36,
+      dailyObligationRate: '2816.90',
+    });
+    expect(business.percentOfYearElapsed).toBe('85.54');
+    expect(business.status).toBe('SIGNIFICANTLY_BEHIND');
+    expect(business.concerns).toContain(
+      'Need to obligate $400,000 in 36 business days. Requires 394% increase in daily rate.'
+    );
+  });
+
+  it('should apply recorded closures to calendar and execution services', async () => {
+    const closure = await federalCalendarService.createClosure(
+      { date: '2026-12-24', name: 'Christmas Eve', authority: 'Executive Order' },
+      'admin-1'
+    );
+    await expect(
+      federalCalendarService.createClosure({ date: '2026-12-24', name: 'Duplicate' }, 'admin-1')
+    ).rejects.toMatchObject({ statusCode: 409 });
+
+    const holidays = federalCalendarService.getHolidays({ fiscalYear: 2027 });
+    expect(holidays[0]).toMatchObject({ date: '2026-10-12', name: 'Columbus Day' });
+    expect(holidays.find(h => h.date === '2026-12-24')).toMatchObject({ type: 'CLOSURE', name: 'Christmas Eve' });
+
+    expect(federalCalendarService.countBusinessDays('2026-12-23', '2026-12-28')).toMatchObject({
+      businessDays: 1,
+      holidays: [{ date: '2026-12-24' }, { date: '2026-12-25' }],
+    });
+
+    const info = ppbeService.getFiscalYearInfo(new Date(2026, 11, 24));
+    expect(info).toMatchObject({ fiscalYear: 2027, isBusinessDay: false, businessDaysInYear: 249 });
+
+    await federalCalendarService.deleteClosure(closure.id);
+    expect(ppbeService.getFiscalYearInfo(new Date(2026, 11, 24)).businessDaysInYear).toBe(250);
+  });
+});
@@ -0,0 +1,219 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { appropriationService } from '../../src/services/appropriationService';
+import { obligationService } from '../../src/services/obligationService';
+import { commitmentService } from '../../src/services/commitmentService';
+import { ledgerService } from '../../src/services/ledgerService';
+import { apportionment as apportionmentRules, executionTracking } from '../../src/domain/ppbe';
+import { setupExecution, distributeFunds, obligate } from '../fixtures/ppbe';
+
+describe('Commitment Unit Tests', () => {
+  let fiscalYear;
+  let budget;
+  let appropriation;
+  let org;
+
+  const commit = (overrides = {}) =>
+    commitmentService.createCommitment({
+      documentNumber: 'PR-26-0001',
+      description: 'Hull coating materials',
+      appropriationId: appropriation.id,
+      budgetId: budget.id,
+      organizationId: org.id,
+      commitmentDate: '2026-01-10T00:00:00.000Z',
+      amount: 200000,
+      ...overrides,
+    }, 'analyst-1');
+
+  const convert = (commitment, overrides = {}) =>
+    obligationService.createObligation({
+      commitmentId: commitment.id,
+      documentNumber: 'N00024-26-C-0001',
+      description: 'Hull coating contract',
+      obligationDate: '2026-02-10T00:00:00.000Z',
+      amount: 150000,
+      ...overrides,
+    }, 'contracting-1');
+
+  const availableAt = type => appropriationService
+    .getFundsControl(appropriation, { organizationId: org.id })
+    .levels.find(level => level.type === type).available;
+
+  beforeEach(async () => {
+    ({ fiscalYear, budget, appropriation } = await setupExecution());
+    org = await distributeFunds(appropriation);
+  });
+
+  it('should reserve funds at every funds control level and post the reservation', async () => {
+    const commitment = await commit();
+    expect(commitment).toMatchObject({
+      status: 'OPEN',
+      fiscalYearId: fiscalYear.id,
+      obligatedAmount: 0,
+      openAmount: 200000,
+      obligationIds: [],
+    });
+    expect(commitment.allotmentId).toBeDefined();
+
+    expect(availableAt('APPROPRIATION')).toBe(800000);
+    expect(availableAt('APPORTIONMENT')).toBe(600000);
+    expect(availableAt('ALLOTMENT')).toBe(400000);
+    const check = await appropriationService.checkFundAvailability('OMN-2026', fiscalYear.id, 450000, org.id);
+    expect(check).toMatchObject({ available: false, availableAmount: 400000, shortage: 50000 });
+
+    const [posting] = await ledgerService.getTransactions({ sourceType: 'commitment', sourceId: commitment.id });
+    // The undated allotment posts at fiscal year end, so until then funds are drawn from the apportionment
+    expect(posting).toMatchObject({ transactionCode: 'B050', event: 'commitment', amount: 200000, period: 4, fundsAccount: '4510' });
+    expect(posting.entries).toEqual([
+      { accountNumber: '4510', accountType: 'BUDGETARY', debit: 200000, credit: 0 },
+      { accountNumber: '4700', accountType: 'BUDGETARY', debit: 0, credit: 200000 },
+    ]);
+
+    await expect(commit()).rejects.toMatchObject({ statusCode: 409 });
+    await expect(commit({ documentNumber: 'PR-26-0002', amount: 450000 })).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Insufficient funds: 450000 exceeds the 400000 available at FLT',
+    });
+  });
+
+  it('should convert a commitment into obligations that draw the reservation down', async () => {
+    const commitment = await commit({ lineOfAccounting: '017-2026/2030-1804-000|25.2' });
+
+    const obligation = await convert(commitment);
+    expect(obligation).toMatchObject({
+      commitmentId: commitment.id,
+      budgetId: budget.id,
+      fiscalYearId: fiscalYear.id,
+      appropriationId: appropriation.id,
+      organizationId: org.id,
+      allotmentId: commitment.allotmentId,
+      lineOfAccounting: { value: '017-2026/2030-1804-000|25.2' },
+    });
+
+    const balance = await commitmentService.getCommitment(commitment.id);
+    expect(balance).toMatchObject({ obligatedAmount: 150000, openAmount: 50000, obligationIds: [obligation.id] });
+    expect(availableAt('ALLOTMENT')).toBe(400000);
+
+    // The reservation returns to the apportionment as the obligation takes it to 4801
+    const postings = await ledgerService.getTransactions({ sourceType: 'commitment', sourceId: commitment.id });
+    expect(postings.map(t => t.amount)).toEqual([200000, -150000]);
+
+    // Obligating more than the commitment holds draws on unreserved funds
+    await convert(commitment, { documentNumber: 'N00024-26-C-0002', amount: 100000 });
+    expect(await commitmentService.getCommitment(commitment.id)).toMatchObject({ obligatedAmount: 250000, openAmount: 0 });
+    expect(availableAt('ALLOTMENT')).toBe(350000);
+  });
+
+  it('should not free funds when a commitment becomes an obligation', async () => {
+    const procurement = await appropriationService.createAppropriation({
+      fiscalYearId: fiscalYear.id,
+      code: 'OPN-2026',
+      name: 'Other Procurement Navy',
+      amount: 1000000,
+      expirationDate: '2028-09-30T23:59:59.000Z',
+      type: 'multi_year',
+    });
+    const available = async () =>
+      (await appropriationService.checkFundAvailability('OPN-2026', fiscalYear.id, 0)).availableAmount;
+    expect(await available()).toBe(1000000);
+
+    const commitment = await commit({ appropriationId: procurement.id, organizationId: undefined, amount: 400000 });
+    expect(await available()).toBe(600000);
+
+    await convert(commitment, { amount: 400000 });
+    expect(await available()).toBe(600000);
+    await expect(appropriationService.checkFundAvailability('OPN-2026', fiscalYear.id, 650000))
+      .resolves.toMatchObject({ available: false, shortage: 50000 });
+  });
+
+  it('should keep reserved funds from other obligations', async () => {
+    const commitment = await commit({ amount: 500000 });
+
+    await expect(obligate(budget, {
+      appropriationId: appropriation.id,
+      organizationId: org.id,
+      documentNumber: 'N00024-26-C-0009',
+      description: 'Unplanned repair',
+      obligationDate: '2026-02-10T00:00:00.000Z',
+      amount: 150000,
+    })).rejects.toMatchObject({ statusCode: 400 });
+
+    await expect(convert(commitment)).resolves.toMatchObject({ commitmentId: commitment.id, amount: 150000 });
+    await expect(convert(commitment, { documentNumber: 'N00024-26-C-0002', appropriationId: 'other-appropriation' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Obligation must cite the appropriation of its commitment' });
+    await expect(convert({ id: 'missing' })).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('should release open balances and close fully released commitments', async () => {
+    const commitment = await commit();
+    const obligation = await convert(commitment, { amount: 120000 });
+
+    await expect(commitmentService.updateCommitment(commitment.id, { amount: 100000 })).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Commitment amount cannot be less than the 120000 obligated and released against it',
+    });
+    await expect(commitmentService.releaseCommitment(commitment.id, { amount: 90000, reason: 'Overestimate' }, 'analyst-1'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Release of 90000 exceeds the open balance of 80000' });
+
+    const partial = await commitmentService.releaseCommitment(commitment.id, { amount: 30000, reason: 'Overestimate' }, 'analyst-1');
+    expect(partial).toMatchObject({ status: 'OPEN', releasedAmount: 30000, openAmount: 50000 });
+
+    const closed = await commitmentService.releaseCommitment(commitment.id, { reason: 'Contract awarded' }, 'analyst-1');
+    expect(closed).toMatchObject({ status: 'CLOSED', releasedAmount: 80000, openAmount: 0 });
+    expect(closed.releases.map(r => r.amount)).toEqual([30000, 50000]);
+    expect(closed.closedAt).toBeInstanceOf(Date);
+    expect(availableAt('ALLOTMENT')).toBe(480000);
+
+    await expect(convert(commitment, { documentNumber: 'N00024-26-C-0002' })).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Commitment PR-26-0001 is closed',
+    });
+    expect(await commitmentService.getCommitments({ status: 'CLOSED' })).toHaveLength(1);
+
+    // Deobligating after closing leaves nothing reserved
+    await obligationService.updateObligation(obligation.id, { status: 'cancelled' });
+    const postings = await ledgerService.getTransactions({ sourceType: 'commitment', sourceId: commitment.id });
+    expect(postings.reduce((sum, t) => sum + t.amount, 0)).toBe(0);
+  });
+
+  it('should fund commitment increases from available funds and refuse changes once closed', async () => {
+    const commitment = await commit();
+    await convert(commitment, { amount: 50000 });
+
+    // Only the increase needs funds; the commitment's own reservation is left out of the check
+    await expect(commitmentService.updateCommitment(commitment.id, { amount: 650000 }, 'analyst-1')).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Insufficient funds: 600000 exceeds the 550000 available at FLT',
+    });
+    const increased = await commitmentService.updateCommitment(commitment.id, { amount: 450000 }, 'analyst-1');
+    expect(increased).toMatchObject({ amount: 450000, obligatedAmount: 50000, openAmount: 400000 });
+    expect(availableAt('ALLOTMENT')).toBe(150000);
+    const postings = await ledgerService.getTransactions({ sourceType: 'commitment', sourceId: commitment.id });
+    expect(postings.map(t => t.amount)).toEqual([200000, -50000, 250000]);
+
+    await commitmentService.releaseCommitment(commitment.id, { reason: 'Requirement cancelled' }, 'analyst-1');
+    expect(availableAt('ALLOTMENT')).toBe(550000);
+    await expect(commitmentService.updateCommitment(commitment.id, { description: 'Late change' })).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Commitment is closed',
+    });
+    await expect(commitmentService.releaseCommitment(commitment.id, { reason: 'Again' }, 'analyst-1')).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Commitment is closed',
+    });
+  });
+
+  it('should compute commitment balances and count commitments in the controlling level', () => {
+    expect(executionTracking.calculateCommitmentBalance(
+      { amount: 100000, releasedAmount: 10000, status: 'OPEN' },
+      [{ amount: 60000 }]
+    )).toEqual({ committed: 100000, obligated: 60000, released: 10000, open: 30000 });
+    expect(executionTracking.calculateCommitmentBalance({ amount: 100000, status: 'OPEN' }, [{ amount: 120000 }]).open).toBe(0);
+    expect(executionTracking.calculateCommitmentBalance({ amount: 100000, status: 'CLOSED' }).open).toBe(0);
+
+    const controlling = apportionmentRules.findControllingLevel([
+      { type: 'APPROPRIATION', name: 'OMN', limit: 1000000, obligated: 300000, committed: 100000 },
+      { type: 'ALLOTMENT', name: 'FLT', limit: 500000, obligated: 200000, committed: 250000 },
+    ]);
+    expect(controlling).toMatchObject({ type: 'ALLOTMENT', available: 50000 });
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { fiscalYearService } from '../../src/services/fiscalYearService';
+import { appropriationService } from '../../src/services/appropriationService';
+import { commitmentService } from '../../src/services/commitmentService';
+import { continuingResolution as crRules } from '../../src/domain/ppbe';
+import { setupExecution, obligate as obligateFunds } from '../fixtures/ppbe';
+
+describe('Continuing Resolution Unit Tests', () => {
+  let fiscalYear;
+  let budget;
+  let appropriation;
+
+  // FY2025 has 365 days; a CR through December 19 covers 80 of them
+  const declareCR = (overrides = {}) =>
+    fiscalYearService.addContinuingResolution(fiscalYear.id, {
+      name: 'CR 1',
+      startDate: '2024-10-01T00:00:00.000Z',
+      endDate: '2024-12-19T00:00:00.000Z',
+      ...overrides,
+    });
+
+  const obligate = (overrides = {}) =>
+    obligateFunds(budget, {
+      appropriationId: appropriation.id,
+      documentNumber: 'N00024-25-C-0001',
+      description: 'Depot maintenance',
+      obligationDate: '2024-11-15T00:00:00.000Z',
+      amount: 1000,
+      ...overrides,
+    }, 'user-1');
+
+  beforeEach(async () => {
+    ({ fiscalYear, budget, appropriation } = await setupExecution({
+      year: 2025,
+      budget: { title: 'Fleet Readiness' },
+      budgetCreatedBy: 'user-1',
+      appropriation: {
+        amount: 2000000,
+        priorYearAmount: 3650000,
+        expirationDate: '2025-09-30T23:59:59.000Z',
+        type: 'annual',
+      },
+    }));
+  });
+
+  it('should pro-rate the prior-year level by the days the CR covers', () => {
+    const result = crRules.calculateCRFundingLimit({
+      priorYearAmount: 3650000,
+      rate: 1,
+      fiscalYearStart: new Date('2024-10-01T00:00:00.000Z'),
+      fiscalYearEnd: new Date('2025-09-30T23:59:59.000Z'),
+      periodEnd: new Date('2024-12-19T00:00:00.000Z'),
+    });
+
+    expect(result.daysCovered).toBe(80);
+    expect(result.daysInFiscalYear).toBe(365);
+    expect(result.limit).toBe(800000);
+
+    const anomaly = crRules.calculateCRFundingLimit({
+      priorYearAmount: 3650000,
+      fiscalYearStart: new Date('2024-10-01T00:00:00.000Z'),
+      fiscalYearEnd: new Date('2025-09-30T23:59:59.000Z'),
+      periodEnd: new Date('2024-12-19T00:00:00.000Z'),
+      anomaly: { appropriationCode: 'OMN-2025', amount: 50000 },
+    });
+    expect(anomaly).toMatchObject({ limit: 50000, basis: 'ANOMALY_AMOUNT' });
+  });
+
+  it('should reject CR periods outside the fiscal year or overlapping another CR', async () => {
+    await declareCR();
+
+    await expect(
+      declareCR({ name: 'CR 2', startDate: '2024-12-01T00:00:00.000Z', endDate: '2025-01-31T00:00:00.000Z' })
+    ).rejects.toThrow('overlaps CR 1');
+
+    await expect(
+      declareCR({ name: 'CR 3', startDate: '2025-09-01T00:00:00.000Z', endDate: '2025-10-15T00:00:00.000Z' })
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('should cap fund availability at the CR limit until enactment is recorded', async () => {
+    await declareCR({ endDate: new Date(Date.UTC(2025, 8, 30)).toISOString() });
+    await appropriationService.updateAppropriation(appropriation.id, { priorYearAmount: 1000000 });
+
+    const status = await appropriationService.getContinuingResolutionStatusById(
+      appropriation.id,
+      '2024-11-15T00:00:00.000Z'
+    );
+    expect(status.underContinuingResolution).toBe(true);
+    expect(status.availableAmount).toBe(1000000);
+
+    await appropriationService.updateAppropriation(appropriation.id, {
+      enactedDate: '2024-11-01T00:00:00.000Z',
+    });
+    const enacted = await appropriationService.getContinuingResolutionStatusById(
+      appropriation.id,
+      '2024-11-15T00:00:00.000Z'
+    );
+    expect(enacted.underContinuingResolution).toBe(false);
+    expect(enacted.availableAmount).toBe(2000000);
+  });
+
+  it('should block obligations above the CR limit as ADA violations', async () => {
+    await declareCR();
+    await obligate({ amount: 700000 });
+
+    await expect(obligate({ amount: 150000 })).rejects.toMatchObject({
+      statusCode: 400,
+      errors: [
+        expect.objectContaining({
+          rule: 'anti_deficiency',
+          message: expect.stringContaining('CONTINUING_RESOLUTION'),
+        }),
+      ],
+    });
+
+    // Outside the CR period the appropriation is treated as enacted
+    const later = await obligate({ amount: 150000, obligationDate: '2025-01-15T00:00:00.000Z' });
+    expect(later.amount).toBe(150000);
+  });
+
+  it('should charge obligations and commitments dated under the CR against its limit', async () => {
+    await declareCR();
+    // Allocating to budgets does not spend the CR limit
+    await appropriationService.allocateFunds(appropriation.id, 500000);
+    await obligate({ amount: 600000 });
+    await commitmentService.createCommitment({
+      documentNumber: 'PR-25-0001',
+      description: 'Spare parts',
+      appropriationId: appropriation.id,
+      budgetId: budget.id,
+      commitmentDate: '2024-11-20T00:00:00.000Z',
+      amount: 100000,
+    }, 'user-1');
+    // Dated after the CR period, so charged once the appropriation is enacted
+    await obligate({ documentNumber: 'N00024-25-C-0002', amount: 150000, obligationDate: '2025-01-15T00:00:00.000Z' });
+
+    const status = await appropriationService.getContinuingResolutionStatusById(appropriation.id, '2024-11-30T00:00:00.000Z');
+    expect(status.availableAmount).toBe(100000);
+  });
+
+  it('should block new starts unless an anomaly permits them', async () => {
+    const cr = await declareCR();
+
+    await expect(obligate({ isNewStart: true })).rejects.toMatchObject({
+      errors: [expect.objectContaining({ rule: 'continuing_resolution', severity: 'CRITICAL' })],
+    });
+
+    await fiscalYearService.updateContinuingResolution(fiscalYear.id, cr.id, {
+      anomalies: [{ appropriationCode: 'OMN-2025', allowNewStarts: true, description: 'Ship depot start' }],
+    });
+
+    const obligation = await obligate({ isNewStart: true });
+    expect(obligation.complianceWarnings).toContainEqual(
+      expect.objectContaining({ rule: 'continuing_resolution' })
+    );
+  });
+});
@@ -0,0 +1,160 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { programElementService } from '../../src/services/programElementService';
+import { pomService } from '../../src/services/pomService';
+import { dataStore } from '../../src/services/dataStore';
+import { fydp as fydpRules } from '../../src/domain/ppbe';
+import { createFiscalYear, createProgramElement } from '../fixtures/ppbe';
+
+describe('FYDP and POM Unit Tests', () => {
+  let fiscalYear;
+  let radar;
+  let sensors;
+
+  const resources = (appropriationType, amounts) =>
+    amounts.map((amount, i) => ({ appropriationType, fiscalYear: 2028 + i, amount }));
+
+  beforeEach(async () => {
+    dataStore.clear();
+    fiscalYear = await createFiscalYear(2027);
+    radar = await createProgramElement(fiscalYear, '0604501N', 'Advanced Radar', 30000000);
+    sensors = await createProgramElement(fiscalYear, '0603506N', 'Surface Sensors', 20000000);
+  });
+
+  it('should validate projections and summarize year-over-year changes', () => {
+    const invalid = fydpRules.validateProjection({
+      budgetYear: 2028,
+      resources: [
+        { appropriationType: 'RDTE', fiscalYear: 2033, amount: 1000000 },
+        { appropriationType: 'XYZ', fiscalYear: 2028, amount: 1000000 },
+      ],
+    });
+    expect(invalid.isValid).toBe(false);
+    expect(invalid.errors).toEqual([
+      'FY2033 is outside the FYDP (FY2028-FY2032)',
+      'Invalid appropriation type: XYZ',
+    ]);
+
+    const summary = fydpRules.summarizeProjection({
+      budgetYear: 2028,
+      resources: [...resources('RDTE', [10000000, 12000000, 12000000, 9000000, 0]), ...resources('PROCUREMENT', [0, 0, 3000000])],
+    });
+    expect(summary.total).toBe(46000000);
+    expect(summary.byAppropriation.RDTE.total).toBe(43000000);
+    expect(summary.yearOverYear[0]).toEqual({ fiscalYear: 2029, amount: 12000000, change: 2000000, percentChange: 20 });
+    expect(summary.yearOverYear[3]).toEqual({ fiscalYear: 2032, amount: 0, change: -9000000, percentChange: -100 });
+  });
+
+  it('should classify program of record vs proposed changes', () => {
+    const por = { budgetYear: 2028, resources: resources('RDTE', [10000000, 10000000]) };
+
+    expect(fydpRules.compareProjections(null, por).changeType).toBe('NEW');
+    expect(fydpRules.compareProjections(por, { budgetYear: 2028, resources: [] }).changeType).toBe('TERMINATED');
+
+    const comparison = fydpRules.compareProjections(por, {
+      budgetYear: 2028,
+      resources: resources('RDTE', [10000000, 15000000]),
+    });
+    expect(comparison).toMatchObject({ changeType: 'INCREASE', delta: 5000000, baselineTotal: 20000000 });
+    expect(comparison.byYear[1]).toEqual({ fiscalYear: 2029, baseline: 10000000, proposed: 15000000, delta: 5000000 });
+  });
+
+  it('should phase requirements with full or incremental funding', () => {
+    const requirement = {
+      appropriationType: 'OM',
+      totalCost: 9000000,
+      contractType: 'SEVERABLE_SERVICE',
+      performancePeriod: { start: '2028-01-01', end: '2030-06-30' },
+    };
+
+    const full = fydpRules.phaseRequirement(requirement, 2028);
+    expect(full.approach).toBe('FULL_FUNDING');
+    expect(full.resources).toEqual([{ appropriationType: 'OM', fiscalYear: 2028, amount: 9000000 }]);
+
+    const incremental = fydpRules.phaseRequirement({ ...requirement, approach: 'INCREMENTAL_FUNDING' }, 2028);
+    expect(incremental.resources.map(r => r.amount)).toEqual([3000000, 3000000, 3000000]);
+
+    const outsideFydp = fydpRules.phaseRequirement(
+      { ...requirement, approach: 'INCREMENTAL_FUNDING', performancePeriod: { start: '2031-01-01', end: '2033-06-30' } },
+      2028
+    );
+    expect(outsideFydp.resources.map(r => r.fiscalYear)).toEqual([2031, 2032]);
+    expect(outsideFydp.beyondFydp).toBe(3000000);
+
+    expect(fydpRules.phaseRequirement({ ...requirement, approach: 'MULTIYEAR_CONTRACT' }, 2028).isValid).toBe(false);
+  });
+
+  it('should maintain program of record and proposed positions on a program element', async () => {
+    await programElementService.setFydpPosition(
+      radar.id,
+      'program_of_record',
+      { budgetYear: 2028, resources: resources('RDTE', [10000000, 10000000, 10000000, 10000000, 10000000]) },
+      'user-1'
+    );
+
+    await expect(
+      programElementService.setFydpPosition(
+        radar.id,
+        'proposed',
+        { budgetYear: 2028, resources: [{ appropriationType: 'RDTE', fiscalYear: 2027, amount: 1 }] },
+        'user-1'
+      )
+    ).rejects.toMatchObject({ statusCode: 400 });
+
+    const { phasing } = await programElementService.phaseRequirement(
+      radar.id,
+      { appropriationType: 'PROCUREMENT', totalCost: 4000000, performancePeriod: { start: '2028-10-01', end: '2029-09-30' } },
+      'user-2'
+    );
+    expect(phasing.resources).toEqual([{ appropriationType: 'PROCUREMENT', fiscalYear: 2029, amount: 4000000 }]);
+
+    const fydp = await programElementService.getFydp(radar.id);
+    expect(fydp.programOfRecord.resources).toHaveLength(5);
+    expect(fydp.proposed).toMatchObject({ budgetYear: 2028, updatedBy: 'user-2' });
+    expect(fydp.summaries.proposed.total).toBe(54000000);
+    expect(fydp.comparison).toMatchObject({ changeType: 'INCREASE', delta: 4000000 });
+
+    const comparison = await programElementService.compareFydp({ budgetYear: 2028 });
+    expect(comparison.programs).toHaveLength(1);
+    expect(comparison.totals.delta).toBe(4000000);
+  });
+
+  it('should snapshot POM positions and compare snapshots', async () => {
+    await expect(pomService.createSnapshot({ name: 'POM-28 initial', budgetYear: 2028 }, 'user-1')).rejects.toMatchObject({
+      statusCode: 400,
+    });
+
+    await programElementService.setFydpPosition(
+      radar.id,
+      'program_of_record',
+      { budgetYear: 2028, resources: resources('RDTE', [10000000, 10000000]) },
+      'user-1'
+    );
+    await programElementService.setFydpPosition(
+      sensors.id,
+      'proposed',
+      { budgetYear: 2028, resources: resources('RDTE', [5000000]) },
+      'user-1'
+    );
+    const initial = await pomService.createSnapshot({ name: 'POM-28 initial', budgetYear: 2028 }, 'user-1');
+    expect(initial.programs.map(p => p.position).sort()).toEqual(['program_of_record', 'proposed']);
+    expect(initial.total).toBe(25000000);
+    expect(initial.totals[2028]).toBe(15000000);
+
+    await programElementService.setFydpPosition(
+      radar.id,
+      'proposed',
+      { budgetYear: 2028, resources: resources('RDTE', [8000000, 8000000]) },
+      'user-1'
+    );
+    const final = await pomService.createSnapshot({ name: 'POM-28 final', budgetYear: 2028 }, 'user-1');
+
+    // Snapshots keep their own copy of each position
+    expect((await pomService.getSnapshotById(initial.id)).total).toBe(25000000);
+    expect(await pomService.getSnapshots({ budgetYear: 2028 })).toHaveLength(2);
+
+    const comparison = await pomService.compareSnapshots(initial.id, final.id);
+    const radarChange = comparison.programs.find(p => p.programElementId === radar.id);
+    expect(radarChange.comparison).toMatchObject({ changeType: 'DECREASE', delta: -4000000 });
+    expect(comparison.totals.delta).toBe(-4000000);
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { budgetService } from '../../src/services/budgetService';
+import { lineItemService } from '../../src/services/lineItemService';
+import { programElementService } from '../../src/services/programElementService';
+import { inflationService } from '../../src/services/inflationService';
+import { ppbeService } from '../../src/services/ppbeService';
+import { dataStore } from '../../src/services/dataStore';
+import { inflation as inflationRules } from '../../src/domain/ppbe';
+import { createFiscalYear, createBudget, createProgramElement } from '../fixtures/ppbe';
+
+describe('Inflation Unit Tests', () => {
+  let fiscalYear;
+
+  const loadOmIndices = () =>
+    inflationService.createIndexTable(
+      {
+        name: 'FY2025 O&M deflators',
+        appropriationType: 'OM',
+        baseYear: 2025,
+        rates: { 2026: 0.02, 2027: 0.02, 2028: 0.02, 2029: 0.02 },
+      },
+      'user-1'
+    );
+
+  beforeEach(async () => {
+    dataStore.clear();
+    fiscalYear = await createFiscalYear(2027);
+  });
+
+  it('should build indices from escalation rates and convert between dollar bases', () => {
+    const indices = inflationRules.buildIndicesFromRates(2025, { 2024: 0.03, 2026: 0.02, 2027: 0.02 });
+    expect(indices).toEqual({ 2024: 1, 2025: 1, 2026: 1.02, 2027: 1.0404 });
+
+    const table = { appropriationType: 'OM', baseYear: 2025, indices };
+    const toConstant = inflationRules.convertAmount({
+      amount: 10404000,
+      fiscalYear: 2027,
+      from: { basis: 'TY' },
+      to: { basis: 'CY', year: 2025 },
+      table,
+    });
+    expect(toConstant).toMatchObject({ isValid: true, amount: 10000000, to: { basis: 'CY', year: 2025 } });
+
+    const toThenYear = inflationRules.convertAmount({
+      amount: 10000000,
+      fiscalYear: 2027,
+      from: { basis: 'BY' },
+      to: { basis: 'TY' },
+      table,
+    });
+    expect(toThenYear.amount).toBe(10404000);
+
+    // No table needed when nothing changes
+    expect(
+      inflationRules.convertAmount({ amount: 5, fiscalYear: 2027, from: { basis: 'BY' }, to: { basis: 'BY' } }).amount
+    ).toBe(5);
+    expect(
+      inflationRules.convertAmount({ amount: 5, fiscalYear: 2030, from: { basis: 'TY' }, to: { basis: 'CY', year: 2025 }, table })
+        .errors
+    ).toEqual(['Index table does not cover FY2030']);
+  });
+
+  it('should validate index tables and use the most recently loaded table', async () => {
+    await expect(
+      inflationService.createIndexTable(
+        { name: 'Bad', appropriationType: 'OM', baseYear: 2025, indices: { 2025: 1.1, 2026: 1.2 } },
+        'user-1'
+      )
+    ).rejects.toMatchObject({ statusCode: 400, errors: ['Index for the base year FY2025 must be 1.0, not 1.1'] });
+
+    await loadOmIndices();
+    const revised = await inflationService.createIndexTable(
+      { name: 'Revised', appropriationType: 'OM', baseYear: 2025, indices: { 2025: 1, 2027: 1.05 } },
+      'user-1'
+    );
+
+    const result = await inflationService.convert({
+      amount: 1050000,
+      appropriationType: 'OM',
+      fiscalYear: 2027,
+      to: { basis: 'BY' },
+    });
+    expect(result.amount).toBe(1000000);
+    expect(result.conversion).toMatchObject({ indexTableId: revised.id, label: 'Base-year (FY2025) dollars' });
+
+    await expect(
+      inflationService.convert({ amount: 1, appropriationType: 'RDTE', fiscalYear: 2027, to: { basis: 'BY' } })
+    ).rejects.toMatchObject({ errors: expect.arrayContaining(['No inflation index table is loaded for RDTE']) });
+  });
+
+  it('should restate budgets and line items without changing what is stored', async () => {
+    await loadOmIndices();
+    const budget = await createBudget(fiscalYear, { title: 'Fleet Operations', amount: 10404000, appropriationType: 'OM' }, 'user-1');
+    const constantItem = await lineItemService.createLineItem(
+      {
+        budgetId: budget.id,
+        lineNumber: '1A1A',
+        description: 'Steaming',
+        amount: 5000000,
+        appropriation: 'OMN-2027',
+        dollarBasis: 'CY',
+        dollarYear: 2025,
+        bpac: 'BP01',
+        category: 'Operations',
+      },
+      'user-1'
+    );
+
+    const restated = await budgetService.getBudgetInBasis(budget.id, { basis: 'CY', year: 2025 });
+    expect(restated).toMatchObject({ amount: 10000000, dollarBasis: 'CY', dollarYear: 2025 });
+    expect(restated.conversion.label).toBe('Constant FY2025 dollars');
+    expect((await budgetService.getBudgetById(budget.id)).amount).toBe(10404000);
+
+    const [item] = await lineItemService.getLineItemsInBasis(budget.id, { basis: 'TY' });
+    expect(item.id).toBe(constantItem.id);
+    expect(item.amount).toBe(5202000);
+
+    const untyped = await createBudget(fiscalYear, { title: 'Unassigned', amount: 1000 }, 'user-1');
+    await expect(
+      budgetService.getBudgetInBasis(untyped.id, { basis: 'CY', year: 2025 })
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('should compare FYDP positions held in different dollar bases in one basis', async () => {
+    await loadOmIndices();
+    const program = await createProgramElement(fiscalYear, '0208030N', 'Depot Maintenance', 10000000);
+
+    await programElementService.setFydpPosition(
+      program.id,
+      'program_of_record',
+      { budgetYear: 2027, resources: [{ appropriationType: 'OM', fiscalYear: 2027, amount: 10404000 }] },
+      'user-1'
+    );
+    await programElementService.setFydpPosition(
+      program.id,
+      'proposed',
+      {
+        budgetYear: 2027,
+        dollarBasis: 'CY',
+        dollarYear: 2025,
+        resources: [{ appropriationType: 'OM', fiscalYear: 2027, amount: 10000000 }],
+      },
+      'user-1'
+    );
+
+    const fydp = await programElementService.getFydp(program.id);
+    expect(fydp.proposed).toMatchObject({ dollarBasis: 'TY', resources: [{ amount: 10404000 }] });
+    expect(fydp.comparison.changeType).toBe('UNCHANGED');
+
+    const constant = await programElementService.compareFydp({ budgetYear: 2027, basis: 'CY', year: 2025 });
+    expect(constant).toMatchObject({ dollarBasis: 'CY', dollarYear: 2025 });
+    expect(constant.totals).toMatchObject({ baselineTotal: 10000000, proposedTotal: 10000000, delta: 0 });
+  });
+
+  it('should label congressional exhibits with their dollar basis', () => {
+    const exhibit = ppbeService.formatExhibit('OP-5', { fiscalYear: 2027, budgetYear: 1000, dollarBasis: 'CY', dollarYear: 2025 });
+    expect(exhibit.formType).toBe('OP-5');
+    expect(exhibit.dollarBasis).toEqual({ basis: 'CY', year: 2025, label: 'Constant FY2025 dollars' });
+
+    expect(ppbeService.formatExhibit('R-2', { fiscalYear: 2027 }).dollarBasis.label).toBe('Then-year dollars');
+  });
+});
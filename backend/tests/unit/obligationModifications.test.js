@@ -0,0 +1,206 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { appropriationService } from '../../src/services/appropriationService';
+import { obligationService } from '../../src/services/obligationService';
+import { commitmentService } from '../../src/services/commitmentService';
+import { sf133Service } from '../../src/services/sf133Service';
+import { executionTracking } from '../../src/domain/ppbe';
+import { setupExecution, createFiscalYear, obligate as obligateFunds, pay } from '../fixtures/ppbe';
+
+describe('Obligation Modification Unit Tests', () => {
+  let fy2025;
+  let fy2026;
+  let budget;
+  let appropriation;
+
+  // OMN-2025 expired at the end of FY2025
+  const obligate = (overrides = {}) =>
+    obligateFunds(budget, {
+      appropriationId: appropriation.id,
+      documentNumber: 'N00024-25-C-0001',
+      vendor: 'Harbor Marine',
+      obligationDate: '2025-03-01T00:00:00.000Z',
+      amount: 400000,
+      ...overrides,
+    });
+
+  const modify = (obligation, data) =>
+    obligationService.modifyObligation(obligation.id, { reason: 'Contract modification', ...data }, 'contracting-2');
+
+  beforeEach(async () => {
+    ({ fiscalYear: fy2025, budget, appropriation } = await setupExecution({
+      year: 2025,
+      fiscalYear: { status: 'closed' },
+      appropriation: { expirationDate: '2025-09-30T23:59:59.000Z', type: 'annual' },
+    }));
+    fy2026 = await createFiscalYear(2026);
+  });
+
+  it('should record each change as a numbered modification and keep the original amount', async () => {
+    const obligation = await obligate();
+    expect(obligation).toMatchObject({ originalAmount: 400000, modifications: [] });
+
+    await modify(obligation, { type: 'INCREASE', amount: 50000, modificationDate: '2025-08-01T00:00:00.000Z' });
+    await modify(obligation, { type: 'ADMINISTRATIVE', vendor: 'Harbor Marine LLC', modificationDate: '2025-08-15T00:00:00.000Z' });
+    await obligationService.updateObligation(obligation.id, { amount: 420000, description: 'Ship repair' }, { modifiedBy: 'contracting-3' });
+    // Repeating the current values is not a modification
+    const updated = await obligationService.updateObligation(obligation.id, { amount: 420000 });
+
+    expect(updated).toMatchObject({ amount: 420000, originalAmount: 400000, vendor: 'Harbor Marine LLC' });
+    expect(updated.modifications.map(m => [m.number, m.type, m.amount, m.previousAmount, m.newAmount, m.changes])).toEqual([
+      [1, 'INCREASE', 50000, 400000, 450000, ['amount']],
+      [2, 'ADMINISTRATIVE', 0, 450000, 450000, ['vendor']],
+      [3, 'DECREASE', -30000, 450000, 420000, ['amount']],
+    ]);
+    expect(updated.modifications[0]).toMatchObject({ reason: 'Contract modification', modifiedBy: 'contracting-2' });
+    expect(updated.modifications[2].modifiedBy).toBe('contracting-3');
+    expect(await obligationService.getModifications(obligation.id)).toEqual(updated.modifications);
+
+    const deobligated = await modify(obligation, { type: 'DEOBLIGATION', reason: 'Contract terminated' });
+    expect(deobligated.status).toBe('deobligated');
+    expect(deobligated.modifications[3]).toMatchObject({ number: 4, type: 'DEOBLIGATION', amount: -420000, newAmount: 0, changes: ['status'] });
+  });
+
+  it('should take the fiscal-year impact of a modification on its date', async () => {
+    const obligation = await obligate();
+
+    const beforeExpiration = await modify(obligation, { type: 'INCREASE', amount: 50000, modificationDate: '2025-08-01T00:00:00.000Z' });
+    expect(beforeExpiration.modifications[0]).toMatchObject({
+      fiscalYear: 2025,
+      lifecyclePhase: 'CURRENT',
+      upwardAdjustment: false,
+    });
+
+    const afterExpiration = await modify(obligation, { type: 'INCREASE', amount: 30000, modificationDate: '2025-11-15T00:00:00.000Z' });
+    expect(afterExpiration.modifications[1]).toMatchObject({
+      modificationDate: new Date('2025-11-15T00:00:00.000Z'),
+      fiscalYear: 2026,
+      lifecyclePhase: 'EXPIRED',
+      expiredYear: 1,
+      upwardAdjustment: true,
+    });
+    expect(afterExpiration.expiredFundAdjustments.at(-1)).toMatchObject({ modificationNumber: 2, amount: 30000 });
+
+    // Decreases against expired funds are downward adjustments, not upward ones
+    await modify(obligation, { type: 'DECREASE', amount: 10000, modificationDate: '2026-01-10T00:00:00.000Z' });
+    await obligate({ documentNumber: 'N00024-25-C-0002', amount: 100000 });
+
+    const adjustments = await obligationService.getUpwardAdjustments({ fiscalYear: 2026 });
+    expect(adjustments).toEqual([
+      expect.objectContaining({
+        obligationId: obligation.id,
+        documentNumber: 'N00024-25-C-0001',
+        appropriationId: appropriation.id,
+        number: 2,
+        amount: 30000,
+        requiresAgencyHeadApproval: false,
+      }),
+    ]);
+    expect(await obligationService.getUpwardAdjustments({ fiscalYear: 2025 })).toEqual([]);
+  });
+
+  it('should report prior-year modifications in the SF-133 of the period they are dated in', async () => {
+    const obligation = await obligate();
+    await modify(obligation, { type: 'INCREASE', amount: 50000, modificationDate: '2025-08-01T00:00:00.000Z' });
+    await modify(obligation, { type: 'INCREASE', amount: 30000, modificationDate: '2025-11-15T00:00:00.000Z' });
+    await modify(obligation, { type: 'DECREASE', amount: 100000, modificationDate: '2026-02-01T00:00:00.000Z' });
+
+    const fy2025Report = await sf133Service.generateReport({ fiscalYearId: fy2025.id, quarter: 4, appropriationId: appropriation.id });
+    expect(fy2025Report.accounts[0].amounts).toMatchObject({ '1021': 0, '2190': 450000 });
+
+    // The increase is an upward adjustment in Q1 and the decrease a recovery in Q2
+    const q1 = await sf133Service.generateReport({ fiscalYearId: fy2026.id, quarter: 1, appropriationId: appropriation.id });
+    expect(q1.accounts[0].amounts).toMatchObject({ '1021': 0, '2190': 30000 });
+    const q2 = await sf133Service.generateReport({ fiscalYearId: fy2026.id, quarter: 2, appropriationId: appropriation.id });
+    expect(q2.accounts[0].amounts).toMatchObject({ '1021': 100000, '2190': 30000 });
+    expect(q2.reconciliation.isBalanced).toBe(true);
+  });
+
+  it('should reject modifications that do not fit the obligation', async () => {
+    const obligation = await obligate();
+    await modify(obligation, { type: 'INCREASE', amount: 10000, modificationDate: '2025-08-01T00:00:00.000Z' });
+
+    await expect(modify(obligation, { type: 'INCREASE', amount: 10000, modificationDate: '2099-01-01T00:00:00.000Z' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Modification date cannot be in the future' });
+    await expect(modify(obligation, { type: 'INCREASE', amount: 10000, modificationDate: '2025-02-01T00:00:00.000Z' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Modification date cannot be before the obligation date' });
+    await expect(modify(obligation, { type: 'INCREASE', amount: 10000, modificationDate: '2025-07-01T00:00:00.000Z' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Modification date cannot be before modification 1' });
+    await expect(modify(obligation, { type: 'DECREASE', amount: 410000 })).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'A decrease of 410000 leaves nothing of the 410000 obligated; de-obligate it instead',
+    });
+    await expect(modify(obligation, { type: 'INCREASE' })).rejects.toMatchObject({
+      statusCode: 400,
+      errors: [{ field: 'amount', message: 'An amount is required to increase' }],
+    });
+    await expect(modify(obligation, { type: 'ADMINISTRATIVE' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(obligationService.deleteObligation(obligation.id)).rejects.toMatchObject({ statusCode: 409 });
+
+    await modify(obligation, { type: 'DEOBLIGATION' });
+    await expect(modify(obligation, { type: 'INCREASE', amount: 10000 })).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Obligation N00024-25-C-0001 is deobligated',
+    });
+    expect((await obligationService.getModifications(obligation.id)).map(m => m.number)).toEqual([1, 2]);
+  });
+
+  it('should keep what has been paid obligated and not reopen the commitment', async () => {
+    const commit = (documentNumber, amount) => commitmentService.createCommitment({
+      documentNumber,
+      description: 'Ship repair',
+      appropriationId: appropriation.id,
+      budgetId: budget.id,
+      commitmentDate: '2025-02-15T00:00:00.000Z',
+      amount,
+    }, 'analyst-1');
+    const repair = await commit('PR-25-0001', 400000);
+    const obligation = await obligate({ commitmentId: repair.id });
+    await pay(obligation, { amount: 300000, paymentDate: '2025-04-01T00:00:00.000Z' });
+
+    // Deleting it would leave the payment liquidating nothing
+    await expect(obligationService.deleteObligation(obligation.id)).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Obligation has 1 expenditure recorded against it; de-obligate it or decrease it with a modification instead',
+    });
+
+    await expect(modify(obligation, { type: 'DEOBLIGATION' })).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Obligation N00024-25-C-0001 has 300000 paid against it; decrease it to the amount paid instead',
+    });
+    await expect(obligationService.updateObligation(obligation.id, { status: 'cancelled' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(modify(obligation, { type: 'DECREASE', amount: 150000 })).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Obligation amount cannot be less than the 300000 paid against it',
+    });
+
+    // The unliquidated balance returns to the appropriation, not to the spent commitment
+    const reduced = await modify(obligation, { type: 'DECREASE', amount: 100000 });
+    expect(reduced).toMatchObject({ amount: 300000, status: 'obligated' });
+    expect(await commitmentService.getCommitment(repair.id)).toMatchObject({ obligatedAmount: 400000, openAmount: 0 });
+
+    const parts = await commit('PR-25-0002', 100000);
+    const unpaid = await obligate({ documentNumber: 'N00024-25-C-0002', commitmentId: parts.id, amount: 100000 });
+    await modify(unpaid, { type: 'DEOBLIGATION' });
+    expect(await commitmentService.getCommitment(parts.id)).toMatchObject({ obligatedAmount: 100000, openAmount: 0 });
+    expect(appropriationService.getFundsControl(appropriation, { asOf: new Date('2025-05-01T00:00:00.000Z') }).levels[0])
+      .toMatchObject({ obligated: 300000, committed: 0, available: 700000 });
+
+    const unused = await obligate({ documentNumber: 'N00024-25-C-0003', amount: 5000 });
+    await obligationService.deleteObligation(unused.id);
+    await expect(obligationService.getObligationById(unused.id)).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('should classify changes by their effect on the obligated amount', () => {
+    const { classifyObligationModification } = executionTracking;
+
+    expect(classifyObligationModification({ amount: 100, active: true }, { amount: 150, active: true }))
+      .toEqual({ type: 'INCREASE', amount: 50, previousAmount: 100, newAmount: 150 });
+    expect(classifyObligationModification({ amount: 100, active: true }, { amount: 60, active: true }).type).toBe('DECREASE');
+    expect(classifyObligationModification({ amount: 100, active: true }, { amount: 100, active: true }).type).toBe('ADMINISTRATIVE');
+    expect(classifyObligationModification({ amount: 100, active: true }, { amount: 100, active: false }))
+      .toEqual({ type: 'DEOBLIGATION', amount: -100, previousAmount: 100, newAmount: 0 });
+    expect(classifyObligationModification({ amount: 100, active: false }, { amount: 100, active: true }))
+      .toEqual({ type: 'INCREASE', amount: 100, previousAmount: 0, newAmount: 100 });
+    expect(classifyObligationModification({ amount: 100, active: false }, { amount: 80, active: false }).type).toBe('ADMINISTRATIVE');
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { obligationService } from '../../src/services/obligationService';
+import { dataStore } from '../../src/services/dataStore';
+import { setupExecution, obligate } from '../fixtures/ppbe';
+
+describe('Obligation Service Compliance Unit Tests', () => {
+  let budget;
+  let appropriation;
+
+  const charge = (amount, overrides = {}) =>
+    obligate(budget, {
+      appropriationId: appropriation.id,
+      documentNumber: 'W91-25-C-0001',
+      description: 'Facility maintenance contract',
+      obligationDate: '2025-01-15T00:00:00.000Z',
+      amount,
+      ...overrides,
+    }, 'user-1');
+
+  beforeEach(async () => {
+    ({ budget, appropriation } = await setupExecution({
+      year: 2025,
+      fiscalYear: { status: 'active' },
+      budget: { title: 'Base Ops', department: 'Army' },
+      budgetCreatedBy: 'user-1',
+      appropriation: {
+        code: 'OM-ARMY-2025',
+        name: 'O&M Army',
+        allottedAmount: 500000,
+        expirationDate: '2025-09-30T23:59:59.000Z',
+        type: 'annual',
+      },
+    }));
+  });
+
+  it('should block obligations that exceed the allotment', async () => {
+    await expect(charge(600000)).rejects.toMatchObject({
+      statusCode: 400,
+      errors: [expect.objectContaining({ rule: 'anti_deficiency', severity: 'CRITICAL' })],
+    });
+
+    expect(dataStore.findAll('obligations')).toHaveLength(0);
+  });
+
+  it('should count existing obligations against the controlling limit', async () => {
+    await charge(300000);
+
+    await expect(charge(250000)).rejects.toThrow('Obligation blocked');
+  });
+
+  it('should persist warnings on the obligation', async () => {
+    const obligation = await charge(480000);
+
+    expect(obligation.complianceWarnings.length).toBeGreaterThan(0);
+    expect(obligation.complianceWarnings[0].rule).toBe('anti_deficiency');
+    expect(obligation.complianceCheckedAt).toBeInstanceOf(Date);
+  });
+
+  it('should block purpose violations when an appropriation type is given', async () => {
+    await expect(charge(1000, { appropriationType: 'OM', purpose: 'weapons_systems' })).rejects.toMatchObject({
+      errors: [expect.objectContaining({ rule: 'purpose' })],
+    });
+  });
+
+  it('should block obligations against expired appropriations', async () => {
+    await expect(charge(1000, { obligationDate: '2025-10-15T00:00:00.000Z' })).rejects.toMatchObject({
+      errors: [expect.objectContaining({ rule: 'time' })],
+    });
+  });
+
+  it('should re-check the limit when the amount is increased', async () => {
+    const obligation = await charge(100000);
+
+    await expect(
+      obligationService.updateObligation(obligation.id, { amount: 700000 })
+    ).rejects.toThrow('Obligation blocked');
+
+    const deobligated = await obligationService.updateObligation(obligation.id, {
+      status: 'deobligated',
+    });
+    expect(deobligated.status).toBe('deobligated');
+  });
+
+  it('should release de-obligated funds to later obligations', async () => {
+    const obligation = await charge(300000);
+    await expect(charge(250000, { documentNumber: 'W91-25-C-0002' })).rejects.toThrow('Obligation blocked');
+
+    await obligationService.updateObligation(obligation.id, { status: 'deobligated' });
+    const replacement = await charge(450000, { documentNumber: 'W91-25-C-0002' });
+    expect(replacement).toMatchObject({ status: 'obligated', amount: 450000 });
+  });
+});
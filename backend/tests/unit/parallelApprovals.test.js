@@ -0,0 +1,166 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { approvalService } from '../../src/services/approvalService';
+import { approvalSlaService } from '../../src/services/approvalSlaService';
+import { approvalDelegationService } from '../../src/services/approvalDelegationService';
+import { dataStore } from '../../src/services/dataStore';
+import { createUser } from '../fixtures/ppbe';
+
+describe('Parallel Approval Unit Tests', () => {
+  const coordination = {
+    order: 1,
+    approverRole: 'program_manager',
+    type: 'coordination',
+    approvers: [
+      { approverId: 'legal-1', label: 'Legal' },
+      { approverId: 'comptroller-1', label: 'Comptroller' },
+      { approverRole: 'program_manager', label: 'Program Office' },
+    ],
+    required: true,
+  };
+  const finalApproval = { order: 2, approverRole: 'admin', approverId: 'director-1', required: true };
+
+  const createRequest = async steps => {
+    const workflow = await approvalService.createWorkflow({ name: 'Program Coordination', entityType: 'program', steps }, 'admin-1');
+    return approvalService.createApprovalRequest({ workflowId: workflow.id, entityType: 'program', entityId: 'pe-0603' }, 'analyst-1');
+  };
+
+  beforeEach(() => {
+    dataStore.clear();
+    createUser('pm-1', 'program_manager');
+  });
+
+  it('should wait for every coordinator before moving to the next step', async () => {
+    const request = await createRequest([coordination, finalApproval]);
+    // The program office is told through each program manager
+    expect(dataStore.findMany('notifications', n => n.title === 'Coordination Required').map(n => n.userId))
+      .toEqual(['legal-1', 'comptroller-1', 'pm-1']);
+
+    let updated = await approvalService.processApproval(request.id, 'concur', 'legal-1');
+    expect(updated).toMatchObject({ currentStep: 0, status: 'in_review' });
+    updated = await approvalService.processApproval(request.id, 'concur', 'comptroller-1', 'Funds are available');
+    expect(updated.currentStep).toBe(0);
+
+    // Any program manager may respond for the program office
+    updated = await approvalService.processApproval(request.id, 'concur', 'pm-1');
+    expect(updated).toMatchObject({ currentStep: 1, status: 'in_review' });
+
+    const final = await approvalService.processApproval(request.id, 'approved', 'director-1');
+    expect(final.status).toBe('approved');
+  });
+
+  it('should complete N-of-M steps at the quorum and fail them once it cannot be reached', async () => {
+    const twoOfThree = {
+      order: 1,
+      approverRole: 'finance_officer',
+      approvers: [{ approverId: 'fo-1' }, { approverId: 'fo-2' }, { approverId: 'fo-3' }],
+      quorum: 2,
+      required: true,
+    };
+
+    const approved = await createRequest([twoOfThree]);
+    await approvalService.processApproval(approved.id, 'rejected', 'fo-1');
+    await approvalService.processApproval(approved.id, 'approved', 'fo-2');
+    expect((await approvalService.processApproval(approved.id, 'approved', 'fo-3')).status).toBe('approved');
+
+    const rejected = await createRequest([twoOfThree]);
+    await approvalService.processApproval(rejected.id, 'rejected', 'fo-1');
+    expect((await approvalService.processApproval(rejected.id, 'rejected', 'fo-3')).status).toBe('rejected');
+
+    await expect(
+      approvalService.createWorkflow(
+        { name: 'Too few', entityType: 'program', steps: [{ ...twoOfThree, quorum: 4 }] },
+        'admin-1'
+      )
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('should keep concur / non-concur separate from approve / reject and require non-concur comments', async () => {
+    const request = await createRequest([{ ...coordination, quorum: 'any' }, finalApproval]);
+
+    await expect(approvalService.processApproval(request.id, 'approved', 'legal-1')).rejects.toMatchObject({
+      statusCode: 400,
+      errors: [{ field: 'action', message: 'Allowed actions: concur, non_concur' }],
+    });
+    await expect(approvalService.processApproval(request.id, 'non_concur', 'legal-1')).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'A non-concurrence requires comments',
+    });
+
+    await approvalService.processApproval(request.id, 'non_concur', 'legal-1', 'Fiscal law review of the incremental funding plan is needed');
+    const updated = await approvalService.processApproval(request.id, 'concur', 'comptroller-1');
+    expect(updated.currentStep).toBe(1);
+
+    await expect(approvalService.processApproval(request.id, 'concur', 'director-1')).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('should only accept one response from each awaited approver', async () => {
+    const request = await createRequest([coordination, finalApproval]);
+
+    await expect(approvalService.processApproval(request.id, 'concur', 'outsider-1')).rejects.toMatchObject({ statusCode: 403 });
+    await approvalService.processApproval(request.id, 'concur', 'legal-1');
+    await expect(approvalService.processApproval(request.id, 'concur', 'legal-1')).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'You have already responded to this step',
+    });
+
+    expect(await approvalService.getPendingApprovals('legal-1')).toEqual([]);
+    expect(await approvalService.getPendingApprovals('comptroller-1')).toHaveLength(1);
+    expect(await approvalService.getPendingApprovals('pm-1')).toHaveLength(1);
+  });
+
+  it('should not let one user fill two slots of a step by role or as a delegate', async () => {
+    createUser('fo-1', 'finance_officer');
+    createUser('fo-2', 'finance_officer');
+    const byRole = await createRequest([{
+      order: 1,
+      approverRole: 'finance_officer',
+      approvers: [{ approverRole: 'finance_officer', label: 'Budget' }, { approverRole: 'finance_officer', label: 'Accounting' }],
+      quorum: 'all',
+      required: true,
+    }]);
+    await approvalService.processApproval(byRole.id, 'approved', 'fo-1');
+    await expect(approvalService.processApproval(byRole.id, 'approved', 'fo-1')).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'You have already responded to this step',
+    });
+    expect(await approvalService.processApproval(byRole.id, 'approved', 'fo-2')).toMatchObject({ status: 'approved' });
+
+    // A delegate holding the authority of two coordinators still answers once
+    createUser('legal-1', 'admin');
+    createUser('comptroller-1', 'admin');
+    createUser('deputy-1', 'admin');
+    for (const delegatorId of ['legal-1', 'comptroller-1']) {
+      await approvalDelegationService.createDelegation(
+        { delegatorId, delegateId: 'deputy-1', startDate: '2020-01-01', endDate: '2099-12-31' },
+        { id: 'admin-1', role: 'admin' }
+      );
+    }
+    const delegated = await createRequest([coordination, finalApproval]);
+    await approvalService.processApproval(delegated.id, 'concur', 'deputy-1');
+    await expect(approvalService.processApproval(delegated.id, 'concur', 'deputy-1')).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'You have already responded to this step',
+    });
+    const { steps } = await approvalService.getStepResponses(delegated.id);
+    expect(steps[0].participants.map(p => p.response?.actingFor)).toEqual(['legal-1', undefined, undefined]);
+  });
+
+  it('should consolidate the responses on each step and remind only those yet to respond', async () => {
+    const request = await createRequest([{ ...coordination, dueInDays: 3 }, finalApproval]);
+    await approvalService.processApproval(request.id, 'non_concur', 'legal-1', 'Needs a bona fide need determination');
+
+    const { steps } = await approvalService.getStepResponses(request.id);
+    expect(steps[0]).toMatchObject({ type: 'coordination', quorum: 'all', required: 3, positive: 0, negative: 1, outstanding: 2, outcome: 'failed' });
+    expect(steps[0].participants[0]).toMatchObject({
+      label: 'Legal',
+      response: { action: 'non_concur', approverId: 'legal-1', comments: 'Needs a bona fide need determination' },
+    });
+    expect(steps[1]).toMatchObject({ type: 'approval', required: 1, outstanding: 1, outcome: 'pending' });
+    expect((await approvalService.getApprovalRequestById(request.id)).status).toBe('rejected');
+
+    const open = await createRequest([{ ...coordination, dueInDays: 3 }, finalApproval]);
+    await approvalService.processApproval(open.id, 'concur', 'legal-1');
+    const sweep = await approvalSlaService.processDeadlines(new Date(open.stepDueAt.getTime() - 60 * 60 * 1000));
+    expect(sweep.reminders.map(r => r.approverId)).toEqual(['comptroller-1', 'pm-1']);
+  });
+});
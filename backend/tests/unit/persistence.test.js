@@ -0,0 +1,359 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { v4 as uuidv4 } from 'uuid';
+import { readdirSync, readFileSync } from 'fs';
+import path from 'path';
+import { newDb, DataType } from 'pg-mem';
+import pg from 'pg';
+import { DataStore, dataStore } from '../../src/services/dataStore';
+import { InMemoryAdapter } from '../../src/infrastructure/persistence/PersistenceAdapter';
+import { persistenceGuard } from '../../src/middleware/persistence';
+import { PostgresAdapter } from '../../src/infrastructure/persistence/PostgresAdapter';
+import { COLLECTION_MAPPINGS } from '../../src/infrastructure/persistence/collectionMappings';
+
+const DATABASE_DIR = path.resolve(__dirname, '../../database');
+
+// pg-mem does not run PL/pgSQL, so the schema's functions, triggers and
+// row-level security are left out; TEST_DATABASE_URL exercises them
+const UNSUPPORTED_STATEMENTS = [
+  /^CREATE (OR REPLACE )?FUNCTION/i,
+  /^CREATE TRIGGER/i,
+  /^CREATE POLICY/i,
+  /ROW LEVEL SECURITY;$/i,
+];
+
+// Splits a SQL file into statements, keeping dollar-quoted bodies whole
+const splitStatements = (sql) => {
+  const statements = [];
+  let current = '';
+  let quoted = false;
+  for (const line of sql.replace(/\/\*[\s\S]*?\*\//g, '').split('\n')) {
+    const code = line.replace(/--.*$/, '');
+    if ((code.match(/\$\$/g) || []).length % 2 === 1) quoted = !quoted;
+    current += `${code}\n`;
+    if (!quoted && /;\s*$/.test(code)) {
+      statements.push(current.trim());
+      current = '';
+    }
+  }
+  return statements;
+};
+
+// database/schema.sql followed by every migration, as migrate.js applies them
+const createMigratedDatabase = () => {
+  const db = newDb();
+  db.registerExtension('uuid-ossp', schema =>
+    schema.registerFunction({ name: 'uuid_generate_v4', returns: DataType.uuid, implementation: uuidv4, impure: true })
+  );
+  db.registerExtension('btree_gist', () => {});
+  db.public.registerOperator({
+    operator: '?',
+    left: DataType.jsonb,
+    right: DataType.text,
+    returns: DataType.bool,
+    implementation: (record, key) => record !== null && typeof record === 'object' && key in record,
+  });
+
+  const migrations = readdirSync(path.join(DATABASE_DIR, 'migrations'))
+    .filter(file => file.endsWith('.sql'))
+    .sort()
+    .map(file => path.join('migrations', file));
+  for (const file of ['schema.sql', ...migrations]) {
+    const sql = readFileSync(path.join(DATABASE_DIR, file), 'utf-8');
+    for (const statement of splitStatements(sql)) {
+      if (!UNSUPPORTED_STATEMENTS.some(pattern => pattern.test(statement))) {
+        db.public.none(statement);
+      }
+    }
+  }
+  return db;
+};
+
+// Runs against a real PostgreSQL when TEST_DATABASE_URL is set (migrations
+// applied), otherwise against an embedded pg-mem database migrated the same way
+let migrated;
+const createClient = () => {
+  if (process.env.TEST_DATABASE_URL) {
+    return new pg.Pool({ connectionString: process.env.TEST_DATABASE_URL });
+  }
+  if (!migrated) {
+    const db = createMigratedDatabase();
+    migrated = { db, backup: db.backup() };
+  }
+  migrated.backup.restore();
+  const { Pool } = migrated.db.adapters.createPg();
+  return new Pool();
+};
+
+describe('DataStore Persistence Unit Tests', () => {
+  let client;
+  let tenantId;
+
+  const connectAdapter = async () => {
+    const adapter = new PostgresAdapter({ tenantId, client });
+    await adapter.connect();
+    return adapter;
+  };
+
+  beforeEach(async () => {
+    client = createClient();
+    tenantId = uuidv4();
+  });
+
+  afterEach(async () => {
+    const adapter = await connectAdapter();
+    await adapter.clear(Object.keys(COLLECTION_MAPPINGS));
+    await adapter.disconnect();
+  });
+
+  it('should map every DataStore collection to a table', () => {
+    const collections = new DataStore().getCollections();
+
+    expect(collections.length).toBeGreaterThan(0);
+    expect(collections.filter(collection => !COLLECTION_MAPPINGS[collection])).toEqual([]);
+  });
+
+  it('should round-trip records and restore dates', async () => {
+    const adapter = await connectAdapter();
+    const fiscalYear = {
+      id: uuidv4(),
+      year: 2026,
+      name: 'FY2026',
+      startDate: new Date('2025-10-01T00:00:00.000Z'),
+      endDate: new Date('2026-09-30T23:59:59.000Z'),
+      totalBudget: 1500000.5,
+      createdAt: new Date(),
+    };
+
+    await adapter.save('fiscalYears', fiscalYear);
+    await adapter.save('fiscalYears', { ...fiscalYear, name: 'FY2026 (revised)' });
+
+    const [loaded] = await adapter.load('fiscalYears');
+    expect(loaded.name).toBe('FY2026 (revised)');
+    expect(loaded.startDate).toBeInstanceOf(Date);
+    expect(loaded.startDate.toISOString()).toBe('2025-10-01T00:00:00.000Z');
+    expect(loaded.totalBudget).toBe(1500000.5);
+
+    const { rows } = await client.query('SELECT year, total_budget FROM fiscal_years WHERE id = $1', [
+      fiscalYear.id,
+    ]);
+    expect(rows[0].year).toBe(2026);
+    expect(Number(rows[0].total_budget)).toBe(1500000.5);
+
+    await adapter.delete('fiscalYears', fiscalYear.id);
+    expect(await adapter.load('fiscalYears')).toEqual([]);
+  });
+
+  it('should write NULL for values that do not fit the column type', async () => {
+    const adapter = await connectAdapter();
+    const budget = { id: uuidv4(), fiscalYearId: 'fy-2026', title: 'Readiness', amount: 1000 };
+
+    await adapter.save('budgets', budget);
+
+    const { rows } = await client.query('SELECT fiscal_year_id, record FROM budgets WHERE id = $1', [
+      budget.id,
+    ]);
+    expect(rows[0].fiscal_year_id).toBeNull();
+    expect((await adapter.load('budgets'))[0].fiscalYearId).toBe('fy-2026');
+  });
+
+  it('should isolate tenants and reject unmapped collections', async () => {
+    const adapter = await connectAdapter();
+    const other = new PostgresAdapter({ tenantId: uuidv4(), client });
+    await other.connect();
+
+    await adapter.save('organizations', { id: uuidv4(), code: 'ARMY', name: 'Army', level: 0 });
+
+    expect(await other.load('organizations')).toEqual([]);
+    await expect(adapter.load('unknownCollection')).rejects.toThrow('No table mapping');
+  });
+
+  it('should write DataStore changes through and reload them on initialize', async () => {
+    const store = new DataStore();
+    await store.initialize(await connectAdapter());
+
+    const kept = store.create('organizations', { id: uuidv4(), code: 'NAVY', name: 'Navy', level: 0 });
+    const removed = store.create('organizations', { id: uuidv4(), code: 'USMC', name: 'Marines', level: 0 });
+    store.update('organizations', kept.id, { name: 'Department of the Navy' });
+    store.delete('organizations', removed.id);
+    await store.flush();
+
+    const reloaded = new DataStore();
+    await reloaded.initialize(await connectAdapter());
+
+    const organizations = reloaded.findAll('organizations');
+    expect(organizations).toHaveLength(1);
+    expect(organizations[0].name).toBe('Department of the Navy');
+    expect(organizations[0].updatedAt).toBeInstanceOf(Date);
+
+    // Clearing (tests, seeding) only empties memory; persisted rows stay
+    reloaded.clear();
+    await reloaded.flush();
+    expect(reloaded.findAll('organizations')).toEqual([]);
+    expect(await (await connectAdapter()).load('organizations')).toHaveLength(1);
+  });
+
+  it('should restore dates nested in objects and arrays', async () => {
+    const adapter = await connectAdapter();
+    const obligation = {
+      id: uuidv4(),
+      documentNumber: 'N00024-26-C-0001',
+      amount: 250000,
+      obligationDate: new Date('2026-01-10T00:00:00.000Z'),
+      modifications: [{ number: 1, modificationDate: new Date('2026-02-01T00:00:00.000Z'), changes: ['amount'] }],
+      lineOfAccounting: { value: '017-2026/2030-1804-000|25.2', fiscalYear: 2026 },
+    };
+
+    await adapter.save('obligations', obligation);
+    const [loaded] = await adapter.load('obligations');
+
+    expect(loaded.obligationDate).toBeInstanceOf(Date);
+    expect(loaded.modifications[0].modificationDate).toEqual(new Date('2026-02-01T00:00:00.000Z'));
+    expect(loaded.modifications[0].changes).toEqual(['amount']);
+    expect(loaded.lineOfAccounting).toEqual(obligation.lineOfAccounting);
+  });
+
+  it('should keep strings that only look like dates', async () => {
+    const adapter = await connectAdapter();
+    const budget = {
+      id: uuidv4(),
+      title: 'Readiness',
+      amount: 1000,
+      description: '2026-01-10T00:00:00.000Z',
+      workflowHistory: [{ id: uuidv4(), fromState: 'draft', toState: 'submitted', timestamp: '2026-01-10T00:00:00.000Z' }],
+      pendingTransition: { fromState: 'submitted', toState: 'approved', requestedAt: new Date('2026-01-11T00:00:00.000Z') },
+      createdAt: new Date('2026-01-09T00:00:00.000Z'),
+    };
+
+    await adapter.save('budgets', budget);
+    const [loaded] = await adapter.load('budgets');
+
+    expect(loaded.description).toBe('2026-01-10T00:00:00.000Z');
+    expect(loaded.workflowHistory[0].timestamp).toBe('2026-01-10T00:00:00.000Z');
+    expect(loaded.pendingTransition.requestedAt).toEqual(new Date('2026-01-11T00:00:00.000Z'));
+    expect(loaded.createdAt).toEqual(new Date('2026-01-09T00:00:00.000Z'));
+  });
+
+  it('should leave enum columns to their defaults and reject missing NOT NULL values', async () => {
+    const adapter = await connectAdapter();
+    // Neither the role nor the appropriation type is one of the schema's enum values
+    const user = { id: uuidv4(), username: 'fo-1', email: 'fo-1@example.mil', password: 'hash', role: 'finance_officer' };
+    const budget = { id: uuidv4(), title: 'Readiness', amount: 1000, appropriationType: 'OM', status: 'in_review' };
+
+    await adapter.save('users', user);
+    await adapter.save('budgets', budget);
+
+    const { rows: users } = await client.query('SELECT role, status FROM users WHERE id = $1', [user.id]);
+    expect(users[0]).toEqual({ role: 'user', status: 'pending_activation' });
+    const { rows: budgets } = await client.query('SELECT status, appropriation_type FROM budgets WHERE id = $1', [budget.id]);
+    expect(budgets[0]).toEqual({ status: 'draft', appropriation_type: null });
+    expect((await adapter.load('users'))[0].role).toBe('finance_officer');
+
+    await expect(adapter.save('users', { id: uuidv4(), username: 'fo-2', password: 'hash' }))
+      .rejects.toThrow(/null value in column "email"/);
+    await expect(adapter.save('obligations', { id: uuidv4(), documentNumber: 'N00024-26-C-0002' }))
+      .rejects.toThrow(/null value in column "amount"/);
+  });
+
+  it('should enforce foreign keys between mapped tables', async () => {
+    const adapter = await connectAdapter();
+    const budget = { id: uuidv4(), title: 'Readiness', amount: 1000 };
+    const lineItem = { id: uuidv4(), budgetId: budget.id, description: 'Spare parts', amount: 400 };
+
+    await expect(adapter.save('budgetLineItems', lineItem)).rejects.toThrow(/foreign key/);
+    await expect(adapter.save('budgetLineItems', { ...lineItem, budgetId: 'budget-1' }))
+      .rejects.toThrow(/null value in column "budget_id"/);
+
+    await adapter.save('budgets', budget);
+    await adapter.save('budgetLineItems', lineItem);
+    expect(await adapter.load('budgetLineItems')).toHaveLength(1);
+
+    // Clearing removes the line items before their budget
+    await adapter.clear(['budgets', 'budgetLineItems']);
+    expect(await adapter.load('budgets')).toEqual([]);
+  });
+
+  it('should keep organization codes unique across tenants', async () => {
+    const store = new DataStore();
+    await store.initialize(await connectAdapter());
+    const other = new PostgresAdapter({ tenantId: uuidv4(), client });
+    await other.connect();
+
+    store.create('organizations', { id: uuidv4(), code: 'ARMY', name: 'Army', level: 0 });
+    await store.flush();
+    await expect(other.save('organizations', { id: uuidv4(), code: 'ARMY', name: 'Army', level: 0 }))
+      .rejects.toThrow(/unique|duplicate/i);
+
+    // The store keeps the duplicate in memory but reports that it is out of sync
+    store.create('organizations', { id: uuidv4(), code: 'ARMY', name: 'Department of the Army', level: 0 });
+    await store.flush();
+    expect(store.getPersistenceStatus()).toMatchObject({ healthy: false, failedWrites: 1, lastError: { collection: 'organizations' } });
+    expect(await (await connectAdapter()).load('organizations')).toHaveLength(1);
+  });
+
+  it('should hold spend plans to one budget or appropriation and a fiscal year', async () => {
+    const adapter = await connectAdapter();
+    const plan = { id: uuidv4(), budgetId: uuidv4(), fiscalYearId: uuidv4(), fiscalYear: 2026, months: [] };
+
+    await expect(adapter.save('spendPlans', { ...plan, appropriationId: uuidv4() })).rejects.toThrow(/check/i);
+    await expect(adapter.save('spendPlans', { ...plan, budgetId: undefined })).rejects.toThrow(/check/i);
+    await expect(adapter.save('spendPlans', { ...plan, fiscalYear: undefined }))
+      .rejects.toThrow(/null value in column "fiscal_year"/);
+    await expect(adapter.save('spendPlans', { ...plan, fiscalYearId: 'fy-2026' }))
+      .rejects.toThrow(/null value in column "fiscal_year_id"/);
+
+    await adapter.save('spendPlans', plan);
+    const { rows } = await client.query('SELECT fiscal_year, budget_id FROM spend_plans WHERE id = $1', [plan.id]);
+    expect(rows[0]).toEqual({ fiscal_year: 2026, budget_id: plan.budgetId });
+  });
+
+  it('should retry failed writes and fail changes once the store is out of sync', async () => {
+    let failures = 1;
+    const flaky = Object.assign(new InMemoryAdapter(), {
+      name: 'flaky',
+      save: async () => {
+        if (failures-- > 0) {
+          throw new Error('connection reset');
+        }
+      },
+    });
+    await dataStore.initialize(flaky);
+
+    // One failure is retried
+    dataStore.create('organizations', { id: uuidv4(), code: 'NAVY', name: 'Navy', level: 0 });
+    await dataStore.flush();
+    expect(dataStore.getPersistenceStatus()).toMatchObject({ adapter: 'flaky', healthy: true, failedWrites: 0 });
+
+    const respond = () => {
+      const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+      };
+      let handled = false;
+      persistenceGuard({ method: 'POST' }, res, () => { handled = true; });
+      return { res, handled: () => handled };
+    };
+
+    failures = 3;
+    const request = respond();
+    expect(request.handled()).toBe(true);
+    dataStore.create('organizations', { id: uuidv4(), code: 'USMC', name: 'Marines', level: 0 });
+    request.res.json({ success: true });
+    await dataStore.flush();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(request.res).toMatchObject({ statusCode: 503, body: { success: false, message: 'The change could not be saved' } });
+    expect(dataStore.getPersistenceStatus()).toMatchObject({
+      healthy: false,
+      failedWrites: 1,
+      lastError: { collection: 'organizations', message: 'connection reset' },
+    });
+
+    const next = respond();
+    expect(next.handled()).toBe(false);
+    expect(next.res.statusCode).toBe(503);
+
+    await dataStore.initialize(new InMemoryAdapter());
+    expect(dataStore.getPersistenceStatus().healthy).toBe(true);
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import { ppbeService } from '../../src/services/ppbeService';
+import { fiscalYearService } from '../../src/services/fiscalYearService';
+import { appropriationService } from '../../src/services/appropriationService';
+import { budgetService } from '../../src/services/budgetService';
+import { obligationService } from '../../src/services/obligationService';
+import { commitmentService } from '../../src/services/commitmentService';
+import { dataStore } from '../../src/services/dataStore';
+
+describe('PPBE Service Unit Tests', () => {
+  describe('Fiscal Year', () => {
+    it('should resolve the fiscal year for a date', () => {
+      const info = ppbeService.getFiscalYearInfo('2024-10-15T00:00:00.000Z');
+
+      expect(info.fiscalYear).toBe(2025);
+      expect(info.quarter).toBe(1);
+    });
+
+    it('should reject invalid dates', () => {
+      expect(() => ppbeService.getFiscalYearInfo('not-a-date')).toThrow('Invalid date');
+    });
+  });
+
+  describe('Anti-Deficiency Act', () => {
+    it('should flag an obligation that exceeds the appropriation', () => {
+      const result = ppbeService.checkOverobligation(
+        { appropriated: 1000000, obligated: 900000, committed: 0 },
+        200000
+      );
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors.length).toBeGreaterThan(0);
+    });
+
+    it('should allow an obligation within available funds', () => {
+      const result = ppbeService.checkOverobligation(
+        { appropriated: 1000000, obligated: 100000, committed: 0 },
+        50000
+      );
+
+      expect(result.isValid).toBe(true);
+    });
+  });
+
+  describe('Transaction Validation', () => {
+    it('should count recorded obligations and open commitments against the appropriation', async () => {
+      dataStore.clear();
+      const fiscalYear = await fiscalYearService.createFiscalYear({
+        year: 2026,
+        name: 'FY2026',
+        status: 'current',
+        startDate: '2025-10-01T00:00:00.000Z',
+        endDate: '2026-09-30T23:59:59.000Z',
+      });
+      const budget = await budgetService.createBudget(
+        { fiscalYearId: fiscalYear.id, title: 'Fleet Maintenance', amount: 5000000, department: 'Navy' },
+        'analyst-1'
+      );
+      const appropriation = await appropriationService.createAppropriation({
+        fiscalYearId: fiscalYear.id,
+        code: 'OMN-2026',
+        name: 'O&M Navy',
+        amount: 1000000,
+        expirationDate: '2030-09-30T23:59:59.000Z',
+        type: 'multi_year',
+      });
+      await obligationService.createObligation({
+        budgetId: budget.id,
+        fiscalYearId: fiscalYear.id,
+        appropriationId: appropriation.id,
+        documentNumber: 'N00024-26-C-0001',
+        description: 'Ship repair',
+        obligationDate: '2026-01-10T00:00:00.000Z',
+        amount: 700000,
+      }, 'contracting-1');
+      await commitmentService.createCommitment({
+        documentNumber: 'PR-26-0001',
+        description: 'Hull coating',
+        appropriationId: appropriation.id,
+        budgetId: budget.id,
+        commitmentDate: '2026-01-15T00:00:00.000Z',
+        amount: 200000,
+      }, 'analyst-1');
+
+      const transaction = { amount: 150000, obligationDate: '2026-02-01T00:00:00.000Z', fundingSource: 'APPROPRIATION' };
+      const result = await ppbeService.validateTransactionForAppropriation(transaction, appropriation.id);
+
+      expect(result.budgetAccount).toMatchObject({ obligated: 700000, committed: 200000, available: 100000 });
+      expect(result.isValid).toBe(false);
+      expect(result.errors.some(e => e.includes('ANTI-DEFICIENCY ACT VIOLATION'))).toBe(true);
+    });
+
+    it('should keep the severity each check reports', () => {
+      const account = { appropriated: 1000000, obligated: 900000, committed: 0 };
+      const finding = (amount) => ppbeService.evaluateObligationCompliance(
+        { amount, obligationDate: new Date('2026-02-01T00:00:00.000Z') },
+        account
+      );
+
+      expect(finding(200000).violations).toEqual([expect.objectContaining({ rule: 'anti_deficiency', severity: 'CRITICAL' })]);
+      expect(finding(60000)).toMatchObject({
+        violations: [],
+        warnings: [expect.objectContaining({ rule: 'anti_deficiency', severity: 'HIGH' })],
+      });
+      // A malformed amount is an error, but not an Anti-Deficiency Act violation
+      expect(finding(-5).violations).toEqual([expect.objectContaining({ severity: 'HIGH' })]);
+    });
+  });
+
+  describe('Exhibits', () => {
+    it('should reject unsupported exhibit types', () => {
+      expect(() => ppbeService.formatExhibit('X-9', {})).toThrow('Unsupported exhibit type');
+    });
+  });
+});
@@ -0,0 +1,205 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { programElementService } from '../../src/services/programElementService';
+import { lineItemService } from '../../src/services/lineItemService';
+import { approvalService } from '../../src/services/approvalService';
+import { reprogrammingService } from '../../src/services/reprogrammingService';
+import { dataStore } from '../../src/services/dataStore';
+import { reprogramming as reprogrammingRules } from '../../src/domain/ppbe';
+import { createFiscalYear, createBudget, createProgramElement, createLineItem } from '../fixtures/ppbe';
+
+describe('Reprogramming Unit Tests', () => {
+  let fiscalYear;
+  let radar;
+  let sensors;
+
+  const reprogram = (amount, overrides = {}) =>
+    reprogrammingService.createReprogramming(
+      {
+        lineType: 'program_element',
+        fromId: radar.id,
+        toId: sensors.id,
+        amount,
+        appropriationType: 'RDTE',
+        justification: 'Accelerate sensor integration',
+        ...overrides,
+      },
+      'user-1'
+    );
+
+  const createWorkflow = () =>
+    approvalService.createWorkflow(
+      {
+        name: 'Prior approval reprogramming',
+        entityType: 'reprogramming',
+        steps: [{ order: 1, approverRole: 'admin', approverId: 'approver-1', required: true }],
+      },
+      'admin-1'
+    );
+
+  // Program elements take their appropriation type from the program of record
+  const fund = (programElement, ...appropriationTypes) =>
+    programElementService.setFydpPosition(
+      programElement.id,
+      'program_of_record',
+      {
+        budgetYear: 2026,
+        resources: appropriationTypes.map(appropriationType => ({ appropriationType, fiscalYear: 2026, amount: programElement.budget })),
+      },
+      'user-1'
+    );
+
+  beforeEach(async () => {
+    dataStore.clear();
+    fiscalYear = await createFiscalYear(2026);
+    radar = await fund(await createProgramElement(fiscalYear, '0604501N', 'Advanced Radar', 30000000), 'RDTE');
+    sensors = await fund(await createProgramElement(fiscalYear, '0603506N', 'Surface Sensors', 20000000), 'RDTE');
+  });
+
+  it('should apply the lesser of the dollar and percentage BTR thresholds', () => {
+    expect(reprogrammingRules.getBtrLimit('PROCUREMENT', 50000000).limit).toBe(10000000);
+    expect(reprogrammingRules.getBtrLimit('PROCUREMENT', 500000000).limit).toBe(20000000);
+    expect(reprogrammingRules.getBtrLimit('OM', 1000000).limit).toBe(15000000);
+    expect(reprogrammingRules.getBtrLimit('NOYEAR', 1000000)).toBeNull();
+
+    const evaluation = reprogrammingRules.evaluateReprogramming({
+      appropriationType: 'RDTE',
+      amount: 2000000,
+      from: { baseAmount: 30000000, available: 30000000, cumulativeDecreases: 3000000 },
+      to: { baseAmount: 20000000, cumulativeIncreases: 3000000 },
+    });
+    expect(evaluation).toMatchObject({
+      isValid: true,
+      category: 'PRIOR_APPROVAL',
+      form: 'DD 1415-1',
+      from: { limit: 6000000, cumulativeAfter: 5000000, exceeds: false },
+      to: { limit: 4000000, cumulativeAfter: 5000000, exceeds: true },
+    });
+  });
+
+  it('should apply below threshold reprogrammings immediately and track them cumulatively', async () => {
+    const btr = await reprogram(3000000);
+    expect(btr).toMatchObject({ category: 'BELOW_THRESHOLD', status: 'applied', controlNumber: 'FY26-RP-0001' });
+
+    const from = await programElementService.getProgramElementById(radar.id);
+    const to = await programElementService.getProgramElementById(sensors.id);
+    expect(from.budget + to.budget).toBe(50000000);
+    expect(to.budget).toBe(23000000);
+
+    const status = await reprogrammingService.getBtrStatus('program_element', sensors.id, 'RDTE');
+    expect(status).toMatchObject({
+      baseAmount: 20000000,
+      limit: 4000000,
+      cumulativeIncreases: 3000000,
+      remainingIncrease: 1000000,
+    });
+    expect(status.reprogrammings).toHaveLength(1);
+  });
+
+  it('should route cumulative amounts above the threshold to prior approval', async () => {
+    await reprogram(3000000);
+
+    await expect(reprogram(2000000)).rejects.toMatchObject({
+      statusCode: 400,
+      message: expect.stringContaining('No reprogramming approval workflow'),
+    });
+
+    await createWorkflow();
+    const pending = await reprogram(2000000);
+    expect(pending).toMatchObject({ category: 'PRIOR_APPROVAL', status: 'pending_approval' });
+    expect((await programElementService.getProgramElementById(sensors.id)).budget).toBe(23000000);
+
+    await approvalService.processApproval(pending.approvalRequestId, 'approved', 'approver-1');
+
+    const applied = await reprogrammingService.getReprogrammingById(pending.id);
+    expect(applied).toMatchObject({ status: 'applied', approvedBy: 'approver-1' });
+    expect((await programElementService.getProgramElementById(sensors.id)).budget).toBe(25000000);
+    expect((await programElementService.getProgramElementById(radar.id)).budget).toBe(25000000);
+
+    // Prior approval actions do not count against the BTR limit
+    const status = await reprogrammingService.getBtrStatus('program_element', sensors.id, 'RDTE');
+    expect(status.cumulativeIncreases).toBe(3000000);
+  });
+
+  it('should hold funds for pending actions and leave funding unchanged when rejected', async () => {
+    await createWorkflow();
+    await programElementService.updateProgramElement(radar.id, { obligatedAmount: 18000000 });
+
+    const pending = await reprogram(7000000);
+    expect(pending.status).toBe('pending_approval');
+
+    await expect(reprogram(6000000)).rejects.toMatchObject({
+      statusCode: 400,
+      errors: [expect.stringContaining('$5,000,000 available')],
+    });
+
+    await approvalService.processApproval(pending.approvalRequestId, 'rejected', 'approver-1');
+    expect((await reprogrammingService.getReprogrammingById(pending.id)).status).toBe('rejected');
+    expect((await programElementService.getProgramElementById(radar.id)).budget).toBe(30000000);
+
+    expect((await reprogram(6000000)).status).toBe('pending_approval');
+  });
+
+  it('should reprogram budget line items within one appropriation', async () => {
+    const budget = await createBudget(fiscalYear, { title: 'Fleet Operations', amount: 40000000, appropriationType: 'OM' }, 'user-1');
+    const lineItem = (lineNumber, appropriation, amount) => createLineItem(budget, lineNumber, appropriation, amount, 'user-1');
+    const steaming = await lineItem('1A1A', 'OMN-2026', 20000000);
+    const flying = await lineItem('1A2A', 'OMN-2026', 10000000);
+    const personnel = await lineItem('1A3A', 'MPN-2026', 10000000);
+
+    await expect(
+      reprogram(1000000, { lineType: 'line_item', fromId: steaming.id, toId: personnel.id, appropriationType: 'OM' })
+    ).rejects.toMatchObject({ message: expect.stringContaining('transfer') });
+
+    const btr = await reprogram(1500000, {
+      lineType: 'line_item',
+      fromId: steaming.id,
+      toId: flying.id,
+      appropriationType: 'OM',
+    });
+    expect(btr.status).toBe('applied');
+    expect((await lineItemService.getLineItemById(flying.id)).amount).toBe(11500000);
+
+    const form = await reprogrammingService.getDD1415(btr.id);
+    expect(form).toMatchObject({
+      form: 'DD 1415-3',
+      controlNumber: btr.controlNumber,
+      category: 'Below Threshold Reprogramming (BTR)',
+      fromProgram: { programElement: '1A1A' },
+      toProgram: { programElement: '1A2A', increaseAmount: '$1,500K' },
+      congressionalNotification: { required: false },
+    });
+  });
+
+  it('should take the threshold from the funds moved, not the type the request names', async () => {
+    // Labelled O&M, $14M would fall within the $15M threshold and apply at once
+    await expect(reprogram(14000000, { appropriationType: 'OM' })).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Invalid appropriation type',
+      errors: ['Appropriation type OM does not match the RDTE funds of the lines'],
+    });
+    await expect(reprogrammingService.getBtrStatus('program_element', sensors.id, 'OM')).rejects.toMatchObject({ statusCode: 400 });
+
+    await createWorkflow();
+    const pending = await reprogram(14000000, { appropriationType: undefined });
+    expect(pending).toMatchObject({ appropriationType: 'RDTE', category: 'PRIOR_APPROVAL', status: 'pending_approval' });
+    expect(await reprogrammingService.getBtrStatus('program_element', sensors.id)).toMatchObject({
+      appropriationType: 'RDTE',
+      limit: 4000000,
+      cumulativeIncreases: 0,
+    });
+
+    const munitions = await createProgramElement(fiscalYear, '0204229N', 'Munitions', 10000000);
+    await expect(reprogram(1000000, { toId: munitions.id })).rejects.toMatchObject({
+      statusCode: 400,
+      errors: ['No appropriation type is recorded for 0204229N'],
+    });
+    await fund(munitions, 'RDTE', 'PROCUREMENT');
+    await expect(reprogram(1000000, { toId: munitions.id })).rejects.toMatchObject({
+      errors: ['0204229N is funded by more than one appropriation type (RDTE, PROCUREMENT)'],
+    });
+    await fund(munitions, 'PROCUREMENT');
+    await expect(reprogram(1000000, { toId: munitions.id })).rejects.toMatchObject({
+      errors: ['Lines are funded by different appropriation types (RDTE, PROCUREMENT)'],
+    });
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { rulePackService } from '../../src/services/rulePackService';
+import { ppbeService } from '../../src/services/ppbeService';
+import { dataStore } from '../../src/services/dataStore';
+import { rulePacks as rulePackRules, colorsOfMoney } from '../../src/domain/ppbe';
+
+describe('Compliance Rule Pack Unit Tests', () => {
+  const loadPack = (version, effectiveDate, rules, overrides = {}) =>
+    rulePackService.loadRulePack(
+      { version, name: `Rules ${version}`, authority: 'FY2027 NDAA', effectiveDate, rules, ...overrides },
+      'admin-1'
+    );
+
+  const transaction = (obligationDate, overrides = {}) => ({
+    id: 'txn-1',
+    amount: 1000000,
+    appropriationType: 'MILCON',
+    purpose: 'construction',
+    fiscalYear: 2027,
+    obligationDate,
+    justification: 'Hangar replacement at the air station',
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    dataStore.clear();
+  });
+
+  it('should build the baseline pack from the built-in rules', async () => {
+    const baseline = rulePackRules.getBaselineRulePack();
+    expect(baseline.rules.costThresholds).toEqual(colorsOfMoney.COST_THRESHOLDS);
+    expect(baseline.rules.availability).toMatchObject({ OM: 1, RDTE: 2, MILCON: 5, NOYEAR: null });
+    expect(baseline.rules.subTypeAvailability.PROCUREMENT.SHIPBUILDING).toBe(5);
+    expect(rulePackRules.validateRulePack(baseline).isValid).toBe(true);
+
+    const result = ppbeService.validateTransaction(transaction('2026-11-02T00:00:00.000Z'));
+    expect(result.rulePack).toEqual({ version: 'baseline', effectiveDate: '1900-01-01' });
+    expect((await rulePackService.getRulePacks()).map(p => p.version)).toEqual(['baseline']);
+  });
+
+  it('should carry over rules a pack does not change and reject invalid packs', async () => {
+    const pack = await loadPack('FY27.1', '2026-10-01', { costThresholds: { MILCON_THRESHOLD: 2000000 } });
+    expect(pack).toMatchObject({ basedOn: 'baseline', effectiveDate: '2026-10-01' });
+    expect(pack.rules.costThresholds).toEqual({ MINOR_EQUIPMENT: 250000, MAJOR_EQUIPMENT: 250000, MILCON_THRESHOLD: 2000000 });
+    expect(pack.rules.authorizedPurposes.OM).toContain('base_operations');
+
+    const amended = await loadPack('FY27.2', '2027-01-01', { availability: { RDTE: 3 } });
+    expect(amended.basedOn).toBe('FY27.1');
+    expect(amended.rules.costThresholds.MILCON_THRESHOLD).toBe(2000000);
+
+    await expect(loadPack('FY27.1', '2027-02-01', {})).rejects.toMatchObject({ statusCode: 409 });
+    await expect(
+      loadPack('FY27.3', '2027-02-01', { costThresholds: { MINOR_EQUIPMENT: 500000 } })
+    ).rejects.toMatchObject({
+      statusCode: 400,
+      errors: ['MINOR_EQUIPMENT threshold cannot exceed the MAJOR_EQUIPMENT threshold'],
+    });
+  });
+
+  it('should evaluate transactions under the pack in effect on their date', async () => {
+    await loadPack('FY27.1', '2026-10-01', { costThresholds: { MILCON_THRESHOLD: 2000000 } });
+
+    expect(rulePackService.getEffectiveRulePack('2026-09-30').version).toBe('baseline');
+    expect(rulePackService.getEffectiveRulePack('2026-10-01').version).toBe('FY27.1');
+
+    const before = ppbeService.validateColorOfMoney(transaction('2026-09-15T12:00:00.000Z'));
+    expect(before.rulePack.version).toBe('baseline');
+    expect(before.validations.recommendation.recommendations.map(r => r.code)).toContain('MILCON');
+    expect(before.validations.recommendation.thresholdsApplied.MILCON_THRESHOLD).toBe(750000);
+
+    const after = ppbeService.validateColorOfMoney(transaction('2026-10-15T12:00:00.000Z'));
+    expect(after.rulePack).toEqual({ version: 'FY27.1', effectiveDate: '2026-10-01' });
+    expect(after.validations.recommendation.thresholdsApplied.MILCON_THRESHOLD).toBe(2000000);
+  });
+
+  it('should apply rule pack periods of availability to the time restriction', async () => {
+    await loadPack('FY27.1', '2026-10-01', { availability: { RDTE: 1 } });
+    const rdte = { appropriationType: 'RDTE', purpose: 'research', fiscalYear: 2026 };
+
+    const underBaseline = ppbeService.validatePTA(
+      transaction('2026-09-30T12:00:00.000Z', rdte),
+      { appropriated: 5000000, obligated: 0, committed: 0 }
+    );
+    expect(underBaseline.rulePack.version).toBe('baseline');
+    expect(underBaseline.validations.time.isValid).toBe(true);
+
+    // FY2026 RDT&E is treated as one-year money once the pack takes effect
+    const underPack = ppbeService.validateTransaction(
+      transaction('2026-10-15T12:00:00.000Z', rdte),
+      { appropriated: 5000000, obligated: 0, committed: 0 }
+    );
+    expect(underPack.rulePack.version).toBe('FY27.1');
+    expect(underPack.isValid).toBe(false);
+    expect(underPack.errors.join(' ')).toContain('Cannot obligate expired funds');
+
+    expect(ppbeService.calculateExpiration('RDTE', 2026)).toMatchObject({
+      expirationFY: 2026,
+      rulePack: { version: 'FY27.1' },
+    });
+  });
+
+  it('should record the rule pack on obligation checks and only withdraw packs not yet in effect', async () => {
+    await loadPack('FY27.1', '2026-10-01', { costThresholds: { MILCON_THRESHOLD: 2000000 } });
+    await loadPack('FY99.1', '2098-10-01', {});
+
+    const compliance = ppbeService.evaluateObligationCompliance(
+      {
+        amount: 250000,
+        obligationDate: new Date('2026-11-02T12:00:00.000Z'),
+        fiscalYear: 2027,
+        appropriationType: 'OM',
+        purpose: 'maintenance',
+        justification: 'Runway lighting maintenance contract',
+      },
+      { appropriated: 1000000, obligated: 0, committed: 0 }
+    );
+    expect(compliance.violations).toEqual([]);
+    expect(compliance.rulePack).toEqual({ version: 'FY27.1', effectiveDate: '2026-10-01' });
+
+    await expect(rulePackService.deleteRulePack('FY27.1')).rejects.toMatchObject({ statusCode: 400 });
+    await expect(rulePackService.deleteRulePack('baseline')).rejects.toMatchObject({ statusCode: 400 });
+    await rulePackService.deleteRulePack('FY99.1');
+    await expect(rulePackService.getRulePack('FY99.1')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
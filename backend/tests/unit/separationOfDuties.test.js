@@ -0,0 +1,273 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { separationOfDutiesService } from '../../src/services/separationOfDutiesService';
+import { approvalService } from '../../src/services/approvalService';
+import { applicationService } from '../../src/services/applicationService';
+import { obligationService } from '../../src/services/obligationService';
+import { expenditureService } from '../../src/services/expenditureService';
+import { reprogrammingService } from '../../src/services/reprogrammingService';
+import { commitmentService } from '../../src/services/commitmentService';
+import { setupExecution, createBudget, createLineItem, obligate as obligateFunds, pay as payFunds } from '../fixtures/ppbe';
+
+describe('Separation of Duties Unit Tests', () => {
+  let fiscalYear;
+  let budget;
+  let appropriation;
+
+  const approveBudget = async approverId => {
+    const workflow = await approvalService.createWorkflow(
+      { name: 'Budget Approval', entityType: 'budget', steps: [{ order: 1, approverRole: 'approver', approverId, required: true }] },
+      'admin-1'
+    );
+    const request = await approvalService.createApprovalRequest(
+      { workflowId: workflow.id, entityType: 'budget', entityId: budget.id },
+      'analyst-1'
+    );
+    return approvalService.processApproval(request.id, 'approved', approverId);
+  };
+
+  const obligate = createdBy =>
+    obligateFunds(budget, {
+      appropriationId: appropriation.id,
+      documentNumber: 'W91-25-C-0001',
+      description: 'Facility maintenance contract',
+      obligationDate: '2025-01-15T00:00:00.000Z',
+    }, createdBy);
+
+  const pay = (obligation, createdBy) =>
+    payFunds(obligation, { amount: 40000, paymentDate: '2025-03-01T00:00:00.000Z' }, createdBy);
+
+  const createApplication = createdBy =>
+    applicationService.createApplication({
+      tenantId: 'tenant-1',
+      applicationType: 'homeowners_assistance_program',
+      status: 'pending_approval',
+      applicantFirstName: 'Pat',
+      applicantLastName: 'Rivera',
+      applicantEmail: 'pat.rivera@example.com',
+    }, createdBy);
+
+  beforeEach(async () => {
+    ({ fiscalYear, budget, appropriation } = await setupExecution({
+      year: 2025,
+      fiscalYear: { status: 'active' },
+      budget: { title: 'Base Ops', department: 'Army', appropriationType: 'OM' },
+      appropriation: {
+        code: 'OM-ARMY-2025',
+        name: 'O&M Army',
+        allottedAmount: 500000,
+        expirationDate: '2025-09-30T23:59:59.000Z',
+        type: 'annual',
+      },
+    }));
+  });
+
+  it('should keep one user from creating, approving, obligating and paying the same budget', async () => {
+    await expect(approveBudget('analyst-1')).rejects.toMatchObject({
+      statusCode: 403,
+      message: 'Separation of duties: you created this budget and cannot also approve it',
+      errors: [{ field: 'separationOfDuties', message: 'budget-create-approve: The preparer of a budget may not approve it' }],
+    });
+    expect((await approveBudget('director-1')).status).toBe('approved');
+
+    await expect(obligate('director-1')).rejects.toMatchObject({
+      statusCode: 403,
+      message: 'Separation of duties: you reviewed this budget for approval and cannot also obligate its funds',
+    });
+    const obligation = await obligate('contracting-1');
+
+    await expect(pay(obligation, 'contracting-1')).rejects.toMatchObject({
+      statusCode: 403,
+      message: 'Separation of duties: you obligated funds on this budget and cannot also record its expenditures',
+    });
+    expect((await pay(obligation, 'disbursing-1')).createdBy).toBe('disbursing-1');
+  });
+
+  it('should block the same user obligating and paying, as earlier payment fixtures did', async () => {
+    // Lifecycle and SF-133 fixtures once obligated and paid as user-1; those tests now pay as disbursing-1
+    const obligation = await obligate('user-1');
+    await expect(pay(obligation, 'user-1')).rejects.toMatchObject({
+      statusCode: 403,
+      errors: [{ field: 'separationOfDuties', message: 'obligate-pay: Whoever obligates funds may not also record the payments against them' }],
+    });
+  });
+
+  it('should check payments against the budget of the obligation, whatever budget they cite', async () => {
+    const obligation = await obligate('contracting-1');
+    const other = await createBudget(fiscalYear, { title: 'Family Housing', department: 'Army' }, 'analyst-2');
+
+    await expect(payFunds(obligation, { budgetId: other.id, paymentDate: '2025-03-01T00:00:00.000Z' }, 'contracting-1')).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Expenditure must cite the budget of its obligation',
+      errors: [{ field: 'budgetId', message: 'Obligation W91-25-C-0001 is funded by another budget' }],
+    });
+    await expect(pay(obligation, 'contracting-1')).rejects.toMatchObject({ statusCode: 403 });
+
+    const payment = await payFunds(obligation, { budgetId: undefined, paymentDate: '2025-03-01T00:00:00.000Z' }, 'disbursing-1');
+    expect(payment.budgetId).toBe(budget.id);
+    await expect(expenditureService.updateExpenditure(payment.id, { budgetId: other.id }, 'disbursing-1')).rejects.toMatchObject({ statusCode: 400 });
+    expect(await expenditureService.getAllExpenditures({ budgetId: other.id })).toEqual([]);
+  });
+
+  it('should apply to approvals of every kind, commitments, obligation modifications and payment updates', async () => {
+    const lineItem = (lineNumber, amount) => createLineItem(budget, lineNumber, 'OM-ARMY-2025', amount);
+    const steaming = await lineItem('1A1A', 20000000);
+    const flying = await lineItem('1A2A', 10000000);
+
+    // A reprogramming between the budget's lines approves the budget
+    await approvalService.createWorkflow(
+      { name: 'Prior approval', entityType: 'reprogramming', steps: [{ order: 1, approverRole: 'admin', approverId: 'analyst-1', required: true }] },
+      'admin-1'
+    );
+    const pending = await reprogrammingService.createReprogramming(
+      { lineType: 'line_item', fromId: steaming.id, toId: flying.id, amount: 16000000, appropriationType: 'OM', justification: 'Flying hours' },
+      'planner-1'
+    );
+    await expect(approvalService.processApproval(pending.approvalRequestId, 'approved', 'analyst-1')).rejects.toMatchObject({
+      statusCode: 403,
+      message: 'Separation of duties: you created this budget and cannot also approve it',
+    });
+
+    // Whoever submits a request may not respond to it
+    const lineItemWorkflow = await approvalService.createWorkflow(
+      { name: 'Line item approval', entityType: 'lineitem', steps: [{ order: 1, approverRole: 'approver', approverId: 'planner-1', required: true }] },
+      'admin-1'
+    );
+    const request = await approvalService.createApprovalRequest(
+      { workflowId: lineItemWorkflow.id, entityType: 'lineitem', entityId: flying.id },
+      'planner-1'
+    );
+    await expect(approvalService.processApproval(request.id, 'approved', 'planner-1')).rejects.toMatchObject({
+      statusCode: 403,
+      message: 'Separation of duties: you submitted this request for approval and cannot also respond to it',
+    });
+
+    await approveBudget('director-1');
+    await expect(commitmentService.createCommitment({
+      documentNumber: 'PR-25-0001',
+      description: 'Facility supplies',
+      appropriationId: appropriation.id,
+      budgetId: budget.id,
+      commitmentDate: '2025-01-10T00:00:00.000Z',
+      amount: 50000,
+    }, 'director-1')).rejects.toMatchObject({
+      statusCode: 403,
+      message: 'Separation of duties: you reviewed this budget for approval and cannot also commit its funds',
+    });
+
+    const obligation = await obligate('contracting-1');
+    await expect(obligationService.modifyObligation(obligation.id, { type: 'INCREASE', amount: 10000, reason: 'Added scope' }, 'director-1'))
+      .rejects.toMatchObject({ statusCode: 403, message: 'Separation of duties: you reviewed this budget for approval and cannot also obligate its funds' });
+    const payment = await pay(obligation, 'disbursing-1');
+    await expect(expenditureService.updateExpenditure(payment.id, { description: 'Corrected' }, 'contracting-1'))
+      .rejects.toMatchObject({ statusCode: 403, message: 'Separation of duties: you obligated funds on this budget and cannot also record its expenditures' });
+
+    await obligationService.modifyObligation(obligation.id, { type: 'INCREASE', amount: 10000, reason: 'Added scope' }, 'contracting-2');
+    await expenditureService.updateExpenditure(payment.id, { description: 'Corrected' }, 'disbursing-2');
+    const duties = separationOfDutiesService.getRecordDuties('budget', budget.id).map(d => `${d.duty} ${d.userId} ${d.entityType}`);
+    expect(duties).toEqual(expect.arrayContaining([
+      'obligation.create contracting-2 obligation_modification',
+      'expenditure.create disbursing-2 expenditure',
+    ]));
+  });
+
+  it('should keep one user from creating, approving and disbursing the same application', async () => {
+    const application = await createApplication('caseworker-1');
+
+    await expect(applicationService.approveApplication(application.id, 25000, undefined, 'caseworker-1')).rejects.toMatchObject({
+      statusCode: 403,
+      message: 'Separation of duties: you created this application and cannot also approve it',
+    });
+    const approved = await applicationService.approveApplication(application.id, 25000, 'Loss verified', 'supervisor-1');
+    expect(approved).toMatchObject({ status: 'approved', approvedAmount: 25000, approvedBy: 'supervisor-1' });
+
+    await expect(applicationService.disburseFunds(application.id, 25000, 'ach', undefined, 'supervisor-1')).rejects.toMatchObject({
+      statusCode: 403,
+      message: 'Separation of duties: you approved this application and cannot also disburse its funds',
+    });
+    const { application: funded } = await applicationService.disburseFunds(application.id, 25000, 'ach', 'TXN-1', 'treasury-1');
+    expect(funded.status).toBe('funded');
+  });
+
+  it('should version the policy and apply only enforced rules', async () => {
+    const builtIn = separationOfDutiesService.getPolicy();
+    expect(builtIn).toMatchObject({ version: 1, createdBy: 'system' });
+
+    await expect(separationOfDutiesService.updatePolicy([
+      { id: 'create-disburse', duties: ['budget.create', 'application.disburse'], description: 'Mixed records', enforce: true },
+      { id: 'create-disburse', duties: ['application.create', 'application.disburse'], description: 'Duplicate', enforce: true },
+    ], 'admin-1')).rejects.toMatchObject({
+      statusCode: 400,
+      errors: [
+        { field: 'rules.0.duties', message: 'budget.create and application.disburse are not performed on the same record' },
+        { field: 'rules.1.id', message: 'Duplicate rule id create-disburse' },
+      ],
+    });
+
+    // Obligate / pay becomes monitor-only; a second approval by the same user is now blocked
+    const rules = builtIn.rules.map(rule => (rule.id === 'obligate-pay' ? { ...rule, enforce: false } : rule));
+    rules.push({ id: 'two-approvers', duties: ['budget.approve', 'budget.approve'], description: 'Budgets need two different approvers', enforce: true });
+    const v2 = await separationOfDutiesService.updatePolicy(rules, 'admin-1');
+    expect(v2.version).toBe(2);
+    expect((await separationOfDutiesService.getPolicyVersions()).map(p => p.version)).toEqual([1, 2]);
+
+    const obligation = await obligate('contracting-1');
+    await expect(pay(obligation, 'contracting-1')).resolves.toMatchObject({ createdBy: 'contracting-1' });
+
+    await approveBudget('director-1');
+    await expect(approveBudget('director-1')).rejects.toMatchObject({
+      statusCode: 403,
+      message: 'Separation of duties: you reviewed this budget for approval and cannot also approve it',
+    });
+  });
+
+  it('should list the duties performed on a record in order', async () => {
+    await approveBudget('director-1');
+    const obligation = await obligate('contracting-1');
+    await pay(obligation, 'disbursing-1');
+
+    const duties = separationOfDutiesService.getRecordDuties('budget', budget.id);
+    expect(duties.map(d => `${d.duty} ${d.userId}`)).toEqual([
+      'budget.create analyst-1',
+      'budget.approve director-1',
+      'obligation.create contracting-1',
+      'expenditure.create disbursing-1',
+    ]);
+    expect(duties[2]).toMatchObject({ entityType: 'obligation', entityId: obligation.id });
+  });
+
+  it('should report historical conflicts, including ones recorded before a rule was enforced', async () => {
+    const policy = separationOfDutiesService.getPolicy();
+    await separationOfDutiesService.updatePolicy(policy.rules.map(rule => ({ ...rule, enforce: false })), 'admin-1');
+
+    await approveBudget('analyst-1');
+    const obligation = await obligate('analyst-1');
+    await pay(obligation, 'analyst-1');
+    const application = await createApplication('caseworker-1');
+    await applicationService.approveApplication(application.id, 25000, undefined, 'caseworker-1');
+
+    const report = await separationOfDutiesService.getConflicts();
+    expect(report).toMatchObject({
+      policyVersion: 2,
+      total: 5,
+      byRule: {
+        'budget-create-approve': 1,
+        'budget-approve-obligate': 1,
+        'obligate-pay': 1,
+        'request-respond': 1,
+        'application-create-approve': 1,
+      },
+    });
+    expect(report.conflicts[0]).toMatchObject({
+      ruleId: 'budget-create-approve',
+      enforced: false,
+      recordType: 'budget',
+      recordId: budget.id,
+      userId: 'analyst-1',
+    });
+    expect(report.conflicts[0].actions.map(a => a.duty)).toEqual(['budget.create', 'budget.approve']);
+
+    const filtered = await separationOfDutiesService.getConflicts({ recordType: 'application', userId: 'caseworker-1' });
+    expect(filtered.conflicts).toEqual([expect.objectContaining({ ruleId: 'application-create-approve', recordId: application.id })]);
+    expect((await separationOfDutiesService.getConflicts({ to: '2000-01-01' })).total).toBe(0);
+  });
+});
@@ -0,0 +1,188 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { apportionmentService } from '../../src/services/apportionmentService';
+import { obligationService } from '../../src/services/obligationService';
+import { sf133Service } from '../../src/services/sf133Service';
+import { reportService } from '../../src/services/reportService';
+import { dataStore } from '../../src/services/dataStore';
+import { sf133 as sf133Rules } from '../../src/domain/ppbe';
+import { setupExecution, createFiscalYear, createAppropriation, obligate as obligateFunds, pay } from '../fixtures/ppbe';
+
+describe('SF-133 Report Unit Tests', () => {
+  let fy2025;
+  let fy2026;
+  let budget;
+  let carried;
+  let current;
+
+  const obligate = (overrides = {}) =>
+    obligateFunds(budget, {
+      appropriationId: carried.id,
+      documentNumber: 'N00024-25-C-0001',
+      obligationDate: '2025-03-01T00:00:00.000Z',
+      amount: 400000,
+      ...overrides,
+    }, 'user-1');
+
+  const lines = account => account.amounts;
+
+  beforeEach(async () => {
+    ({ fiscalYear: fy2025, budget, appropriation: carried } = await setupExecution({
+      year: 2025,
+      fiscalYear: { status: 'closed' },
+      budgetCreatedBy: 'user-1',
+      appropriation: { expirationDate: '2027-09-30T23:59:59.000Z' },
+    }));
+    fy2026 = await createFiscalYear(2026);
+    current = await createAppropriation(fy2026, {
+      code: 'OPN-2026',
+      name: 'Other Procurement Navy',
+      amount: 500000,
+      expirationDate: '2028-09-30T23:59:59.000Z',
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should build reporting periods and flag out-of-balance lines', () => {
+    const period = sf133Rules.getReportingPeriod(2026, 1);
+    expect(period.startDate.getFullYear()).toBe(2025);
+    expect(period.endDate.getMonth()).toBe(11);
+    expect(period.endDate.getDate()).toBe(31);
+    expect(() => sf133Rules.getReportingPeriod(2026, 5)).toThrow();
+
+    const balanced = sf133Rules.buildAccountLines({
+      appropriated: 1000,
+      newObligations: 600,
+      outlays: 200,
+      unobligatedBalance: 400,
+      unpaidObligations: 400,
+    });
+    expect(sf133Rules.reconcile(balanced.amounts).isBalanced).toBe(true);
+
+    const unbalanced = sf133Rules.buildAccountLines({
+      appropriated: 1000,
+      newObligations: 600,
+      outlays: 200,
+      unobligatedBalance: 450,
+      unpaidObligations: 350,
+    });
+    const result = sf133Rules.reconcile(unbalanced.amounts);
+    expect(result.isBalanced).toBe(false);
+    expect(result.outOfBalanceSections).toEqual(['STATUS_OF_RESOURCES', 'OUTLAYS']);
+    expect(result.checks[0]).toMatchObject({ lines: ['1910', '2500'], difference: 50 });
+  });
+
+  it('should report brought-forward balances, obligations and outlays per Treasury account', async () => {
+    const prior = await obligate();
+    await pay(prior, { amount: 100000, paymentDate: '2025-06-01T00:00:00.000Z' });
+    await pay(prior, { amount: 150000, paymentDate: '2025-12-15T00:00:00.000Z' });
+    await obligate({ documentNumber: 'N00024-26-C-0002', obligationDate: '2026-01-10T00:00:00.000Z', amount: 200000 });
+    await pay(prior, { amount: 50000, paymentDate: '2026-04-15T00:00:00.000Z' });
+
+    const report = await sf133Service.generateReport({ fiscalYearId: fy2026.id, quarter: 2 });
+    expect(report.period).toBe('FY2026 Q2');
+    expect(report.accounts.map(a => a.treasuryAccount)).toEqual(['OMN-2025', 'OPN-2026']);
+
+    expect(lines(report.accounts[0])).toMatchObject({
+      '1000': 600000,
+      '1100': 0,
+      '1910': 600000,
+      '2190': 200000,
+      '2412': 400000,
+      '2500': 600000,
+      '3000': 300000,
+      '3010': 200000,
+      '3020': -150000,
+      '3050': 350000,
+      '4190': 150000,
+    });
+    expect(report.reconciliation.isBalanced).toBe(true);
+    expect(report.totals.amounts['1910']).toBe(1100000);
+  });
+
+  it('should split unexpired unobligated balances by apportionment', async () => {
+    await apportionmentService.createApportionment(current.id, {
+      lines: [1, 2].map(quarter => ({ lineNumber: `610${quarter}`, category: 'A', quarter, amount: 150000 })),
+    });
+
+    const report = await sf133Service.generateReport({
+      fiscalYearId: fy2026.id,
+      quarter: 3,
+      appropriationId: current.id,
+    });
+
+    expect(report.accounts).toHaveLength(1);
+    expect(lines(report.accounts[0])).toMatchObject({
+      '1100': 500000,
+      '2204': 300000,
+      '2304': 200000,
+      '2403': 0,
+      '2500': 500000,
+    });
+
+    // OPN-2026 was not yet available in FY2025
+    const fy2025Report = await sf133Service.generateReport({ fiscalYearId: fy2025.id, quarter: 4 });
+    expect(fy2025Report.accounts.map(a => a.treasuryAccount)).toEqual(['OMN-2025']);
+  });
+
+  it('should report recoveries and flag deobligations that do not tie out', async () => {
+    const unpaid = await obligate({ documentNumber: 'N00024-25-C-0002', amount: 250000 });
+    const partiallyPaid = await obligate();
+    await pay(partiallyPaid, { amount: 100000, paymentDate: '2025-06-01T00:00:00.000Z' });
+
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-02-15T00:00:00.000Z'));
+    await obligationService.updateObligation(unpaid.id, { status: 'deobligated' });
+
+    let report = await sf133Service.generateReport({ fiscalYearId: fy2026.id, quarter: 2, appropriationId: carried.id });
+    expect(lines(report.accounts[0])).toMatchObject({
+      '1000': 350000,
+      '1021': 250000,
+      '1910': 600000,
+      '2412': 600000,
+      '3040': -250000,
+      '3050': 300000,
+    });
+    expect(report.reconciliation.isBalanced).toBe(true);
+
+    // A partially paid obligation cannot be deobligated; one deobligated before that was
+    // enforced overstates the recovery
+    await expect(obligationService.updateObligation(partiallyPaid.id, { status: 'deobligated' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    dataStore.update('obligations', partiallyPaid.id, { status: 'deobligated' });
+    report = await sf133Service.generateReport({ fiscalYearId: fy2026.id, quarter: 2, appropriationId: carried.id });
+
+    expect(report.reconciliation.isBalanced).toBe(false);
+    expect(report.reconciliation.outOfBalance).toEqual([
+      expect.objectContaining({
+        treasuryAccount: 'OMN-2025',
+        sections: ['STATUS_OF_RESOURCES'],
+        checks: [expect.objectContaining({ lines: ['1910', '2500'], difference: 100000 })],
+      }),
+    ]);
+  });
+
+  it('should export the SF-133 as JSON, CSV and a printable layout', async () => {
+    await obligate();
+    const params = { fiscalYearId: fy2026.id, quarter: 1, appropriationId: carried.id };
+
+    const json = await reportService.exportSF133(params, 'json');
+    expect(JSON.parse(json.content).accounts[0].treasuryAccount).toBe('OMN-2025');
+
+    const csv = (await reportService.exportSF133(params, 'csv')).content.split('\n');
+    expect(csv[0]).toBe('treasuryAccount,section,lineNumber,description,amount');
+    expect(csv).toContain('"OMN-2025","Budgetary Resources","1000","Unobligated balance brought forward, Oct 1","600000.00"');
+
+    const printable = (await reportService.exportSF133(params, 'printable')).content;
+    expect(printable).toContain('SF 133 - REPORT ON BUDGET EXECUTION AND BUDGETARY RESOURCES');
+    expect(printable).toContain('Treasury account: OMN-2025 - O&M Navy');
+    expect(printable).toMatch(/1910 {2}Total budgetary resources +600,000\.00/);
+    expect(printable).toContain('Reconciliation: all sections in balance');
+
+    await expect(sf133Service.generateReport({ fiscalYearId: fy2026.id, quarter: 0 })).rejects.toMatchObject({
+      statusCode: 400,
+    });
+  });
+});
@@ -0,0 +1,192 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { obligationService } from '../../src/services/obligationService';
+import { expenditureService } from '../../src/services/expenditureService';
+import { spendPlanService } from '../../src/services/spendPlanService';
+import { executionTracking, spendPlan as spendPlanRules } from '../../src/domain/ppbe';
+import { setupExecution, createBudget, obligate as obligateFunds, pay as payFunds } from '../fixtures/ppbe';
+
+// Front-loaded: 900,000 of 1,200,000 obligated by the end of January
+const OBLIGATIONS = [400000, 200000, 200000, 100000, 37500, 37500, 37500, 37500, 37500, 37500, 37500, 37500];
+const phase = (obligations = OBLIGATIONS, expenditures = 50000) =>
+  obligations.map((amount, i) => ({ month: i + 1, obligations: amount, expenditures }));
+
+describe('Spend Plan Unit Tests', () => {
+  let fiscalYear;
+  let budget;
+  let appropriation;
+
+  const obligate = (documentNumber, obligationDate, amount, overrides = {}) =>
+    obligateFunds(budget, { documentNumber, obligationDate, amount, ...overrides });
+
+  const pay = (obligation, amount, paymentDate) => payFunds(obligation, { amount, paymentDate });
+
+  beforeEach(async () => {
+    ({ fiscalYear, budget, appropriation } = await setupExecution({ budget: { amount: 1200000 } }));
+  });
+
+  it('should validate spend plans and phase them by fiscal month', () => {
+    expect(spendPlanRules.validateSpendPlan(phase(), 1200000)).toEqual({
+      isValid: true,
+      errors: [],
+      totals: { obligations: 1200000, expenditures: 600000 },
+    });
+    expect(spendPlanRules.validateSpendPlan(phase().slice(1), 1200000).errors).toContainEqual({
+      field: 'months',
+      message: 'A spend plan gives each of the 12 fiscal months once',
+    });
+    expect(spendPlanRules.validateSpendPlan(phase(OBLIGATIONS, 250000), 1200000).errors).toEqual([{
+      field: 'months',
+      message: 'Planned expenditures through January (1000000) exceed planned obligations (900000)',
+    }]);
+    expect(spendPlanRules.validateSpendPlan(phase(), 1000000).errors).toEqual([
+      { field: 'months', message: 'Planned obligations of 1200000 exceed the 1000000 funded' },
+    ]);
+
+    expect(spendPlanRules.getFiscalMonth(new Date(2025, 9, 1))).toBe(1);
+    expect(spendPlanRules.getFiscalMonth(new Date(2026, 8, 30))).toBe(12);
+    expect(spendPlanRules.getMonthsElapsed(2026, new Date(2025, 8, 15))).toBe(0);
+    expect(spendPlanRules.getMonthsElapsed(2026, new Date(2026, 0, 16))).toBe(4);
+    expect(spendPlanRules.getMonthsElapsed(2026, new Date(2026, 10, 1))).toBe(12);
+
+    // Half of January's plan has come due by mid-January
+    expect(spendPlanRules.getPlannedRate(phase(), 1200000, { fiscalYear: 2026, asOf: new Date(2026, 0, 31) })).toBe(75);
+    expect(spendPlanRules.getPlannedRate(phase(), 1000000, { fiscalYear: 2026, asOf: new Date(2025, 10, 15) })).toBe(50);
+    expect(spendPlanRules.getPlannedRate(phase(), 1200000, { fiscalYear: 2026, asOf: new Date(2026, 0, 31), series: 'expenditures' }))
+      .toBeCloseTo(16.67, 2);
+  });
+
+  it('should take the expected obligation rate from the spend plan', () => {
+    const account = { appropriated: 1200000, obligated: 500000, expended: 100000, fiscalYear: 2026 };
+    const asOf = new Date(2026, 0, 16);
+
+    const planned = executionTracking.trackObligationPerformance(account, { spendPlan: phase() }, { asOf });
+    expect(planned).toMatchObject({
+      targetSource: 'SPEND_PLAN',
+      expectedRate: ((800000 + 100000 * 16 / 31) / 1200000 * 100).toFixed(2),
+      actualRate: '41.67',
+      status: 'SIGNIFICANTLY_BEHIND',
+    });
+
+    // A straight line through the year puts the same account ahead of schedule
+    const straightLine = executionTracking.trackObligationPerformance(account, null, { asOf });
+    expect(straightLine).toMatchObject({ targetSource: 'STRAIGHT_LINE', status: 'ON_TRACK' });
+    expect(parseFloat(straightLine.expectedRate)).toBeLessThan(41.67);
+    expect(executionTracking.trackObligationPerformance(account, { targetRate: 40 }, { asOf }))
+      .toMatchObject({ targetSource: 'TARGET', expectedRate: '40.00' });
+  });
+
+  it('should keep one spend plan per budget or appropriation within its funding', async () => {
+    const plan = await spendPlanService.createSpendPlan({ budgetId: budget.id, months: [...phase()].reverse() }, 'analyst-1');
+    expect(plan).toMatchObject({ fiscalYearId: fiscalYear.id, fiscalYear: 2026, createdBy: 'analyst-1' });
+    expect(plan.months.map(m => m.month)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+
+    await expect(spendPlanService.createSpendPlan({ budgetId: budget.id, months: phase() }, 'analyst-1'))
+      .rejects.toMatchObject({ statusCode: 409, message: 'A spend plan already exists for this budget' });
+    await expect(spendPlanService.createSpendPlan({ appropriationId: appropriation.id, months: phase() }, 'analyst-1'))
+      .rejects.toMatchObject({
+        statusCode: 400,
+        errors: [{ field: 'months', message: 'Planned obligations of 1200000 exceed the 1000000 funded' }],
+      });
+    await expect(spendPlanService.createSpendPlan({ budgetId: budget.id, appropriationId: appropriation.id, months: phase() }, 'analyst-1'))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    const appropriationPlan = await spendPlanService.createSpendPlan(
+      { appropriationId: appropriation.id, months: phase(OBLIGATIONS.map(a => a / 2), 25000) },
+      'analyst-1'
+    );
+    expect(await spendPlanService.getSpendPlans({ appropriationId: appropriation.id })).toEqual([appropriationPlan]);
+
+    const updated = await spendPlanService.updateSpendPlan(plan.id, { months: phase(OBLIGATIONS, 40000), notes: 'Rephased' }, 'fm-1');
+    expect(updated).toMatchObject({ notes: 'Rephased', updatedBy: 'fm-1' });
+    expect(updated.months[0].expenditures).toBe(40000);
+    await expect(spendPlanService.getSpendPlan('missing')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('should compare actual execution with the plan on cumulative S-curves', async () => {
+    const plan = await spendPlanService.createSpendPlan({ budgetId: budget.id, months: phase() }, 'analyst-1');
+    const repair = await obligate('N00024-26-C-0001', '2025-10-15T12:00:00.000Z', 380000);
+    const overhaul = await obligate('N00024-26-C-0002', '2025-11-10T12:00:00.000Z', 80000);
+    await obligationService.modifyObligation(overhaul.id, {
+      type: 'INCREASE',
+      amount: 40000,
+      modificationDate: '2025-12-05T12:00:00.000Z',
+      reason: 'Added scope',
+    }, 'contracting-1');
+    await obligate('N00024-26-C-0003', '2026-01-20T12:00:00.000Z', 600000);
+    await pay(repair, 30000, '2025-11-20T12:00:00.000Z');
+    await pay(repair, 60000, '2026-01-25T12:00:00.000Z');
+    // Obligations of other budgets are not part of this plan's execution
+    const aviation = await createBudget(fiscalYear, { title: 'Aviation', amount: 500000 });
+    await obligate('N00024-26-C-0004', '2025-10-20T12:00:00.000Z', 50000, { budgetId: aviation.id });
+
+    const execution = await spendPlanService.getExecution(plan.id, { asOf: '2026-01-31T12:00:00.000Z' });
+    expect(execution.monthsElapsed).toBe(4);
+    expect(execution.months.slice(0, 5).map(m => [m.name, m.obligations.actual, m.obligations.cumulativeActual, m.obligations.variancePercent, m.obligations.flag]))
+      .toEqual([
+        ['October', 380000, 380000, -5, null],
+        ['November', 80000, 460000, -23.33, 'BEHIND_PLAN'],
+        ['December', 40000, 500000, -37.5, 'BEHIND_PLAN'],
+        ['January', 600000, 1100000, 22.22, 'AHEAD_OF_PLAN'],
+        ['February', null, null, null, null],
+      ]);
+    expect(execution.months[1].expenditures).toMatchObject({ actual: 30000, cumulativePlanned: 100000, variance: -70000 });
+    expect(execution.sCurve.obligations.slice(0, 5)).toEqual([
+      { month: 1, planned: 33.33, actual: 31.67 },
+      { month: 2, planned: 50, actual: 38.33 },
+      { month: 3, planned: 66.67, actual: 41.67 },
+      { month: 4, planned: 75, actual: 91.67 },
+      { month: 5, planned: 78.13, actual: null },
+    ]);
+    expect(execution.deviations.filter(d => d.series === 'obligations').map(d => [d.month, d.flag]))
+      .toEqual([[2, 'BEHIND_PLAN'], [3, 'BEHIND_PLAN'], [4, 'AHEAD_OF_PLAN']]);
+    expect(execution.totals).toEqual({
+      planned: { obligations: 1200000, expenditures: 600000 },
+      plannedToDate: { obligations: 900000, expenditures: 200000 },
+      actualToDate: { obligations: 1100000, expenditures: 90000 },
+    });
+
+    // A de-obligation counts against the month it is dated in
+    await obligationService.modifyObligation(overhaul.id, {
+      type: 'DEOBLIGATION',
+      modificationDate: '2026-02-10T12:00:00.000Z',
+      reason: 'Contract terminated',
+    }, 'contracting-1');
+    const february = await spendPlanService.getExecution(plan.id, { asOf: '2026-02-28T12:00:00.000Z', threshold: 25 });
+    expect(february.months[4].obligations).toMatchObject({ actual: -120000, cumulativeActual: 980000 });
+    expect(february.deviations.filter(d => d.series === 'obligations').map(d => d.month)).toEqual([3]);
+  });
+
+  it('should track obligation performance against the plan', async () => {
+    const plan = await spendPlanService.createSpendPlan({ budgetId: budget.id, months: phase() }, 'analyst-1');
+    await obligate('N00024-26-C-0001', '2025-10-15T12:00:00.000Z', 380000);
+    await obligate('N00024-26-C-0002', '2025-11-10T12:00:00.000Z', 120000);
+    await obligate('N00024-26-C-0003', '2026-01-20T12:00:00.000Z', 600000);
+
+    const performance = await spendPlanService.getObligationPerformance(plan.id, { asOf: '2026-01-16T12:00:00.000Z' });
+    expect(performance).toMatchObject({
+      targetSource: 'SPEND_PLAN',
+      expectedRate: ((800000 + 100000 * 16 / 31) / 1200000 * 100).toFixed(2),
+      actualRate: '41.67',
+      status: 'SIGNIFICANTLY_BEHIND',
+    });
+    expect(performance.metrics.amounts).toMatchObject({ appropriated: 1200000, obligated: 500000 });
+  });
+
+  it('should follow payments into the month they are corrected to and drop cancelled ones', async () => {
+    const plan = await spendPlanService.createSpendPlan({ budgetId: budget.id, months: phase() }, 'analyst-1');
+    const repair = await obligate('N00024-26-C-0001', '2025-10-15T12:00:00.000Z', 400000);
+    const first = await pay(repair, 30000, '2025-11-20T12:00:00.000Z');
+    const second = await pay(repair, 20000, '2025-12-05T12:00:00.000Z');
+
+    await expenditureService.updateExpenditure(first.id, { amount: 45000, paymentDate: '2025-10-28T12:00:00.000Z' }, 'disbursing-1');
+    await expenditureService.updateExpenditure(second.id, { status: 'cancelled' }, 'disbursing-1');
+
+    const execution = await spendPlanService.getExecution(plan.id, { asOf: '2025-12-31T12:00:00.000Z' });
+    expect(execution.months.slice(0, 3).map(m => [m.expenditures.actual, m.expenditures.cumulativeActual])).toEqual([
+      [45000, 45000],
+      [0, 45000],
+      [0, 45000],
+    ]);
+    expect(execution.totals.actualToDate).toEqual({ obligations: 400000, expenditures: 45000 });
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { appropriationService } from '../../src/services/appropriationService';
+import { expenditureService } from '../../src/services/expenditureService';
+import { treasuryAccountService } from '../../src/services/treasuryAccountService';
+import { ledgerService } from '../../src/services/ledgerService';
+import { dataStore } from '../../src/services/dataStore';
+import { treasuryAccount as tasRules } from '../../src/domain/ppbe';
+import { createFiscalYear, createBudget, createAppropriation, obligate as obligateFunds, pay } from '../fixtures/ppbe';
+
+describe('Treasury Account Symbol and Line of Accounting Unit Tests', () => {
+  let fiscalYear;
+  let budget;
+
+  const createOperations = (overrides = {}) =>
+    createAppropriation(fiscalYear, {
+      expirationDate: '2026-09-30T23:59:59.000Z',
+      type: 'annual',
+      treasuryAccountSymbol: '017-2026-1804-000',
+      ...overrides,
+    });
+
+  const obligate = (overrides = {}) =>
+    obligateFunds(budget, {
+      description: 'Pier maintenance',
+      obligationDate: '2026-02-10T00:00:00.000Z',
+      amount: 50000,
+      ...overrides,
+    });
+
+  beforeEach(async () => {
+    dataStore.clear();
+    fiscalYear = await createFiscalYear(2026);
+    budget = await createBudget(fiscalYear, { title: 'Shore Maintenance', amount: 2000000 });
+  });
+
+  it('should parse and format Treasury Account Symbols in component form', () => {
+    expect(tasRules.parseTreasuryAccountSymbol('097-2025/2027-0300-000').tas).toEqual({
+      sp: null,
+      ata: null,
+      aid: '097',
+      bpoa: 2025,
+      epoa: 2027,
+      availabilityTypeCode: null,
+      mainAccount: '0300',
+      subAccount: '000',
+      symbol: '097-2025/2027-0300-000',
+    });
+    expect(tasRules.parseTreasuryAccountSymbol('097 2025 0100').tas.symbol).toBe('097-2025-0100-000');
+    expect(tasRules.parseTreasuryAccountSymbol('12-021-097-x-4930-001').tas).toMatchObject({
+      sp: '12',
+      ata: '021',
+      aid: '097',
+      bpoa: null,
+      availabilityTypeCode: 'X',
+      symbol: '12-021-097-X-4930-001',
+    });
+
+    expect(tasRules.parseTreasuryAccountSymbol('097-2027/2025-0300-000')).toMatchObject({
+      isValid: false,
+      errors: [{ field: 'epoa', message: 'Period of availability ends (2025) before it begins (2027)' }],
+    });
+    expect(tasRules.parseTreasuryAccountSymbol('97-2025-100-000').errors.map(e => e.field)).toEqual(['aid', 'mainAccount']);
+    expect(tasRules.parseTreasuryAccountSymbol('OMN-2026').isValid).toBe(false);
+  });
+
+  it('should cross-check the period of availability against the appropriation type', () => {
+    const procurement = treasuryAccountService.parseTreasuryAccountSymbol('097-2025/2026-0300-000', { typeCode: 'PROCUREMENT' });
+    expect(procurement).toMatchObject({
+      isValid: false,
+      treasuryAccountSymbol: null,
+      errors: [{
+        field: 'treasuryAccountSymbol',
+        message: '097-2025/2026-0300-000 is available 2 years; PROCUREMENT funds are available 3 years',
+      }],
+    });
+
+    expect(treasuryAccountService.parseTreasuryAccountSymbol('097-2025/2026-0400-000', { typeCode: 'RDTE' }).isValid).toBe(true);
+    expect(treasuryAccountService.parseTreasuryAccountSymbol('017-2025/2029-1611-000', { typeCode: 'PROCUREMENT', subType: 'SHIPBUILDING' }).isValid).toBe(true);
+    expect(treasuryAccountService.parseTreasuryAccountSymbol('097-X-4930-000', { typeCode: 'NOYEAR' }).isValid).toBe(true);
+    expect(treasuryAccountService.parseTreasuryAccountSymbol('097-X-4930-000', { typeCode: 'OM' }).errors[0].message)
+      .toBe('097-X-4930-000 is available until expended; OM funds are available 1 year');
+    expect(treasuryAccountService.parseTreasuryAccountSymbol('097-2025-0100-000', { typeCode: 'BOGUS' }).errors[0].field).toBe('appropriationType');
+  });
+
+  it('should parse lines of accounting and reject malformed elements', () => {
+    const result = tasRules.parseLineOfAccounting('017 2026 1804|25.2|ba01|FC-100|');
+    expect(result).toMatchObject({
+      isValid: true,
+      loa: {
+        value: '017-2026-1804-000|25.2|BA01|FC-100',
+        treasuryAccountSymbol: { symbol: '017-2026-1804-000' },
+        objectClass: '25.2',
+        budgetLineItem: 'BA01',
+        fundsCenter: 'FC-100',
+      },
+    });
+    expect(result.loa.costCenter).toBeUndefined();
+
+    expect(tasRules.parseLineOfAccounting('017-2026-1804-000').errors).toEqual([
+      { field: 'objectClass', message: 'objectClass is required' },
+    ]);
+    expect(tasRules.parseLineOfAccounting('017-2026-1804-000|252|BA 01').errors.map(e => e.field)).toEqual(['objectClass', 'budgetLineItem']);
+    expect(tasRules.parseLineOfAccounting('017-2026-1804-000|25.2|A|B|C|D|E').errors[0].field).toBe('lineOfAccounting');
+  });
+
+  it('should give appropriations a TAS that fits their type, fiscal year and expiration', async () => {
+    const appropriation = await createOperations();
+    expect(appropriation.treasuryAccountSymbol.symbol).toBe('017-2026-1804-000');
+    expect((await appropriationService.getAppropriationByTas('017 2026 1804')).id).toBe(appropriation.id);
+    await expect(appropriationService.getAppropriationByTas('017-2025-1804-000')).rejects.toMatchObject({ statusCode: 404 });
+
+    const [posting] = await ledgerService.getTransactions({ appropriationId: appropriation.id });
+    expect(posting.treasuryAccount).toBe('017-2026-1804-000');
+
+    await expect(createOperations({ code: 'OMN-COPY' })).rejects.toMatchObject({
+      statusCode: 409,
+      message: '017-2026-1804-000 is already assigned to appropriation OMN-2026',
+    });
+    await expect(createOperations({ code: 'SCN-2026', treasuryAccountSymbol: '017-2025/2029-1611-000' })).rejects.toMatchObject({
+      statusCode: 400,
+      errors: [
+        { field: 'treasuryAccountSymbol', message: '017-2025/2029-1611-000 is multi-year; the appropriation is annual' },
+        { field: 'treasuryAccountSymbol', message: '017-2025/2029-1611-000 begins in FY2025; the appropriation is FY2026' },
+        { field: 'treasuryAccountSymbol', message: '017-2025/2029-1611-000 ends in FY2029; the appropriation expires in FY2026' },
+      ],
+    });
+    await expect(appropriationService.updateAppropriation(appropriation.id, { type: 'multi_year' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('should carry a validated line of accounting from obligation to expenditure', async () => {
+    const appropriation = await createOperations();
+
+    // The LOA's TAS names the appropriation when the obligation gives none
+    const obligation = await obligate({ lineOfAccounting: '017-2026-1804-000|25.2|BA01' });
+    expect(obligation).toMatchObject({
+      appropriationId: appropriation.id,
+      lineOfAccounting: { value: '017-2026-1804-000|25.2|BA01', objectClass: '25.2' },
+    });
+
+    await expect(obligate({ appropriationId: appropriation.id, lineOfAccounting: '017-2026-1806-000|25.2' })).rejects.toMatchObject({
+      statusCode: 400,
+      errors: [{ field: 'lineOfAccounting', message: 'Line of accounting cites 017-2026-1806-000; appropriation OMN-2026 is 017-2026-1804-000' }],
+    });
+    await expect(obligate({ lineOfAccounting: '017-2026-1804-000|25.2', appropriationType: 'RDTE', purpose: 'research' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Invalid line of accounting' });
+
+    const payment = await pay(obligation, { amount: 20000, description: 'Invoice 1', paymentDate: '2026-03-01T00:00:00.000Z' });
+    expect(payment.lineOfAccounting.value).toBe('017-2026-1804-000|25.2|BA01');
+
+    await expect(expenditureService.updateExpenditure(payment.id, { lineOfAccounting: '097-2026-0100-000|25.2' })).rejects.toMatchObject({
+      statusCode: 400,
+      errors: [{ field: 'lineOfAccounting', message: 'Line of accounting cites 097-2026-0100-000; appropriation OMN-2026 is 017-2026-1804-000' }],
+    });
+    const updated = await expenditureService.updateExpenditure(payment.id, { lineOfAccounting: '017-2026-1804-000|26.1|BA01' });
+    expect(updated.lineOfAccounting.objectClass).toBe('26.1');
+  });
+});
@@ -0,0 +1,210 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { organizationService } from '../../src/services/organizationService';
+import { obligationService } from '../../src/services/obligationService';
+import { uloReviewService } from '../../src/services/uloReviewService';
+import { dataStore } from '../../src/services/dataStore';
+import { executionTracking, triAnnualReview } from '../../src/domain/ppbe';
+import { setupExecution, createAppropriation, createUser, obligate as obligateFunds, pay } from '../fixtures/ppbe';
+
+describe('Unliquidated Obligation Aging and Tri-Annual Review Unit Tests', () => {
+  let fiscalYear;
+  let budget;
+  let operations;
+  let research;
+  let fleet;
+  let squadron;
+
+  const obligate = (documentNumber, obligationDate, overrides = {}) =>
+    obligateFunds(budget, {
+      appropriationId: operations.id,
+      organizationId: fleet.id,
+      documentNumber,
+      obligationDate,
+      ...overrides,
+    });
+
+  beforeEach(async () => {
+    ({ fiscalYear, budget, appropriation: operations } = await setupExecution({
+      appropriation: { expirationDate: '2026-09-30T23:59:59.000Z', type: 'annual' },
+    }));
+    research = await createAppropriation(fiscalYear, {
+      code: 'RDTEN-2026',
+      name: 'RDT&E Navy',
+      expirationDate: '2027-09-30T23:59:59.000Z',
+    });
+    fleet = await organizationService.createOrganization({ name: 'Fleet Forces', code: 'FLT', type: 'division' });
+    squadron = await organizationService.createOrganization({ name: 'Squadron 2', code: 'SQ2', type: 'branch', parentId: fleet.id });
+    createUser('fm-fleet', 'finance_officer', { organizationId: fleet.id });
+    createUser('analyst-fleet', 'budget_analyst', { organizationId: fleet.id });
+  });
+
+  it('should age unliquidated balances by obligation date and expiration status', () => {
+    const aging = executionTracking.calculateUloAging([
+      { amount: 100000, expended: 40000, obligationDate: '2026-09-01', expirationStatus: 'CURRENT' },
+      { amount: 50000, obligationDate: '2026-03-01', expirationStatus: 'EXPIRED' },
+      { amount: 20000, expended: 20000, obligationDate: '2024-01-01', expirationStatus: 'EXPIRED' },
+      { amount: 30000, obligationDate: '2024-01-01' },
+    ], '2026-09-30');
+
+    expect(aging).toMatchObject({ count: 3, total: 140000 });
+    expect(aging.byAge.map(b => [b.bucket, b.count, b.amount])).toEqual([
+      ['0-90 days', 1, 60000],
+      ['91-180 days', 0, 0],
+      ['181-365 days', 1, 50000],
+      ['1-2 years', 0, 0],
+      ['Over 2 years', 1, 30000],
+    ]);
+    expect(aging.byExpirationStatus).toEqual({
+      CURRENT: { count: 1, amount: 60000 },
+      EXPIRED: { count: 1, amount: 50000 },
+      CANCELLED: { count: 0, amount: 0 },
+      UNKNOWN: { count: 1, amount: 30000 },
+    });
+
+    const metrics = executionTracking.calculateExecutionMetrics(
+      { appropriated: 500000, obligated: 150000, expended: 40000, fiscalYear: 2026, obligations: [{ amount: 150000, expended: 40000, obligationDate: '2026-09-01' }] },
+      { asOf: '2026-09-30' }
+    );
+    expect(metrics.amounts.unliquidatedObligations).toBe(110000);
+    expect(metrics.unliquidatedAging.byAge[0]).toEqual({ bucket: '0-90 days', count: 1, amount: 110000 });
+    expect(executionTracking.calculateExecutionMetrics({ appropriated: 500000 }).unliquidatedAging).toBeUndefined();
+  });
+
+  it('should age recorded obligations as of a date', async () => {
+    const repair = await obligate('N00024-26-C-0001', '2025-11-03T00:00:00.000Z');
+    await pay(repair, { amount: 25000, paymentDate: '2026-02-01T00:00:00.000Z' });
+    await obligate('N00024-26-C-0002', '2026-08-20T00:00:00.000Z', { appropriationId: research.id, organizationId: squadron.id });
+
+    const aging = await uloReviewService.getUloAging({ asOf: '2026-10-15T00:00:00.000Z' });
+    expect(aging).toMatchObject({ count: 2, total: 175000 });
+    expect(aging.byAge.filter(b => b.count > 0).map(b => b.bucket)).toEqual(['0-90 days', '181-365 days']);
+    expect(aging.byExpirationStatus).toMatchObject({
+      CURRENT: { count: 1, amount: 100000 },
+      EXPIRED: { count: 1, amount: 75000 },
+    });
+
+    // Before the payment, and before the second obligation was recorded
+    const january = await uloReviewService.getUloAging({ asOf: '2026-01-31T00:00:00.000Z', organizationId: fleet.id });
+    expect(january).toMatchObject({ count: 1, total: 100000 });
+    expect(january.byExpirationStatus.CURRENT.amount).toBe(100000);
+  });
+
+  it('should define review cycles, dormancy and valid decisions', () => {
+    const may = triAnnualReview.getReviewCycle(2026, 2);
+    expect(may).toMatchObject({ fiscalYear: 2026, cycle: 2, name: 'FY2026 May review' });
+    expect(may.asOf).toEqual(new Date(2026, 4, 31, 23, 59, 59, 999));
+    expect(may.dueDate).toEqual(new Date(may.asOf.getTime() + 30 * 24 * 60 * 60 * 1000));
+    expect(triAnnualReview.getReviewCycle(2026, 4)).toBeNull();
+
+    expect(triAnnualReview.getLatestReviewCycle(new Date(2026, 9, 19))).toMatchObject({ fiscalYear: 2026, cycle: 3 });
+    expect(triAnnualReview.getLatestReviewCycle(new Date(2026, 0, 15))).toMatchObject({ fiscalYear: 2025, cycle: 3 });
+    expect(triAnnualReview.getLatestReviewCycle(new Date(2026, 1, 1))).toMatchObject({ fiscalYear: 2026, cycle: 1 });
+
+    expect(triAnnualReview.checkDormancy(
+      { amount: 100000, expended: 25000, obligationDate: '2025-11-01', lastActivityDate: '2026-02-01' },
+      '2026-05-31'
+    )).toMatchObject({ dormant: false, unliquidated: 75000, daysInactive: 119 });
+    expect(triAnnualReview.checkDormancy({ amount: 100000, obligationDate: '2025-11-01' }, '2026-05-31').dormant).toBe(true);
+    expect(triAnnualReview.checkDormancy({ amount: 100000, expended: 100000, obligationDate: '2025-11-01' }, '2026-05-31').dormant).toBe(false);
+
+    expect(triAnnualReview.validateReviewDecision({ unliquidatedAmount: 50000 }, { decision: 'DEOBLIGATE', amount: 60000 }).errors)
+      .toEqual([
+        { field: 'reason', message: 'A reason is required to de-obligate' },
+        { field: 'amount', message: 'De-obligated amount must be more than 0 and at most the unliquidated 50000' },
+      ]);
+    expect(triAnnualReview.validateReviewDecision({ unliquidatedAmount: 50000, decision: 'VALID' }, { decision: 'VALID' }).errors[0].field)
+      .toBe('decision');
+    expect(triAnnualReview.validateReviewDecision({ unliquidatedAmount: 50000 }, { decision: 'DEOBLIGATE', reason: 'Work complete' }))
+      .toEqual({ isValid: true, errors: [], deobligatedAmount: 50000 });
+  });
+
+  it('should assign dormant obligations to the fund holders of their organization', async () => {
+    const dormant = await obligate('N00024-26-C-0001', '2025-11-01T00:00:00.000Z');
+    await obligate('N00024-26-C-0002', '2026-04-15T00:00:00.000Z');
+    const paid = await obligate('N00024-26-C-0003', '2025-12-01T00:00:00.000Z');
+    await pay(paid, { paymentDate: '2026-03-01T00:00:00.000Z' });
+    const squadronWork = await obligate('N00024-26-C-0004', '2025-10-15T00:00:00.000Z', { appropriationId: research.id, organizationId: squadron.id });
+
+    const review = await uloReviewService.createReview({ fiscalYear: 2026, cycle: 2 }, 'admin-1');
+    expect(review).toMatchObject({ name: 'FY2026 May review', status: 'OPEN', dormantDays: 120 });
+    expect(review.items.map(i => [i.obligationId, i.unliquidatedAmount, i.expirationStatus, i.assignedTo])).toEqual([
+      [dormant.id, 100000, 'CURRENT', ['fm-fleet']],
+      [squadronWork.id, 100000, 'CURRENT', ['fm-fleet']],
+    ]);
+
+    const [notification] = dataStore.findMany('notifications', n => n.userId === 'fm-fleet');
+    expect(notification).toMatchObject({ entityType: 'ulo_review', entityId: review.id, priority: 'high' });
+    expect(notification.message).toContain('2 dormant obligations await your certification in the FY2026 May review');
+
+    await expect(uloReviewService.createReview({ fiscalYear: 2026, cycle: 2 }, 'admin-1')).rejects.toMatchObject({ statusCode: 409 });
+    await expect(uloReviewService.createReview({ fiscalYear: 2027, cycle: 3 }, 'admin-1')).rejects.toMatchObject({ statusCode: 400 });
+
+    // The scheduled sweep opens the latest closed cycle once
+    const scheduled = await uloReviewService.startDueReview(new Date(2026, 9, 19));
+    expect(scheduled).toMatchObject({ fiscalYear: 2026, cycle: 3, createdBy: 'system' });
+    // O&M Navy expired with FY2026; the multi-year RDT&E funds remain current
+    expect(scheduled.items.map(i => i.expirationStatus)).toEqual(['EXPIRED', 'EXPIRED', 'EXPIRED', 'CURRENT']);
+    expect(await uloReviewService.startDueReview(new Date(2026, 9, 20))).toBeNull();
+  });
+
+  it('should certify or de-obligate each item and report certification by organization', async () => {
+    const valid = await obligate('N00024-26-C-0001', '2025-11-01T00:00:00.000Z');
+    const stale = await obligate('N00024-26-C-0002', '2025-10-15T00:00:00.000Z', { appropriationId: research.id, organizationId: squadron.id });
+    const review = await uloReviewService.createReview({ fiscalYear: 2026, cycle: 2 }, 'admin-1');
+    const [validItem, staleItem] = review.items;
+    const fundHolder = { id: 'fm-fleet', role: 'finance_officer' };
+
+    await expect(uloReviewService.certifyItem(review.id, validItem.id, { decision: 'VALID' }, { id: 'analyst-fleet', role: 'finance_officer' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+    await uloReviewService.certifyItem(review.id, validItem.id, { decision: 'VALID' }, fundHolder);
+    await expect(uloReviewService.certifyItem(review.id, validItem.id, { decision: 'VALID' }, fundHolder))
+      .rejects.toMatchObject({ statusCode: 400, errors: [{ field: 'decision', message: 'Obligation was already reviewed (VALID)' }] });
+
+    const partial = await uloReviewService.getCertificationReport(review.id);
+    expect(partial).toMatchObject({
+      status: 'OPEN',
+      overdue: true,
+      totals: { items: 2, valid: { count: 1, amount: 100000 }, pending: { count: 1, amount: 100000 } },
+    });
+
+    const completed = await uloReviewService.certifyItem(
+      review.id,
+      staleItem.id,
+      { decision: 'DEOBLIGATE', reason: 'Requirement cancelled', amount: 30000 },
+      fundHolder
+    );
+    expect(completed.status).toBe('COMPLETED');
+    expect(completed.items[1]).toMatchObject({ decision: 'DEOBLIGATE', deobligatedAmount: 30000, reviewedBy: 'fm-fleet' });
+    expect((await obligationService.getObligationById(stale.id)).amount).toBe(70000);
+    expect((await obligationService.getObligationById(valid.id)).amount).toBe(100000);
+
+    const report = await uloReviewService.getCertificationReport(review.id);
+    expect(report.organizations.map(o => [o.organizationCode, o.certified, o.valid.count, o.deobligated.amount])).toEqual([
+      ['FLT', true, 1, 0],
+      ['SQ2', true, 0, 30000],
+    ]);
+    expect(report.organizations[1].certifiedAt).toEqual(completed.items[1].reviewedAt);
+    expect(report).toMatchObject({ overdue: false, totals: { deobligated: { count: 1, amount: 30000 }, pending: { count: 0, amount: 0 } } });
+  });
+
+  it('should de-obligate no more than is still unpaid when payments post after the review opens', async () => {
+    const repair = await obligate('N00024-26-C-0001', '2025-11-01T00:00:00.000Z');
+    const review = await uloReviewService.createReview({ fiscalYear: 2026, cycle: 2 }, 'admin-1');
+    const [item] = review.items;
+    expect(item.unliquidatedAmount).toBe(100000);
+
+    await pay(repair, { amount: 60000, paymentDate: '2026-05-20T00:00:00.000Z' });
+    const fundHolder = { id: 'fm-fleet', role: 'finance_officer' };
+    await expect(uloReviewService.certifyItem(review.id, item.id, { decision: 'DEOBLIGATE', reason: 'Work complete', amount: 50000 }, fundHolder))
+      .rejects.toMatchObject({
+        statusCode: 400,
+        errors: [{ field: 'amount', message: 'De-obligated amount must be more than 0 and at most the unliquidated 40000' }],
+      });
+
+    // Without an amount the whole unpaid balance is released, leaving the obligation at what was paid
+    const completed = await uloReviewService.certifyItem(review.id, item.id, { decision: 'DEOBLIGATE', reason: 'Work complete' }, fundHolder);
+    expect(completed.items[0]).toMatchObject({ decision: 'DEOBLIGATE', deobligatedAmount: 40000 });
+    expect(await obligationService.getObligationById(repair.id)).toMatchObject({ amount: 60000, status: 'obligated' });
+    expect((await uloReviewService.getUloAging({ asOf: '2026-06-01T00:00:00.000Z' })).count).toBe(0);
+  });
+});
@@ -0,0 +1,233 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { appropriationService } from '../../src/services/appropriationService';
+import { obligationService } from '../../src/services/obligationService';
+import { expenditureService } from '../../src/services/expenditureService';
+import { ledgerService } from '../../src/services/ledgerService';
+import { ussgl as ussglRules } from '../../src/domain/ppbe';
+import { setupExecution, distributeFunds, obligate as obligateFunds, pay as payFunds } from '../fixtures/ppbe';
+
+describe('USSGL General Ledger Unit Tests', () => {
+  let fiscalYear;
+  let budget;
+  let appropriation;
+  let org;
+
+  const balances = async (params = { fiscalYear: 2026 }) => {
+    const trialBalance = await ledgerService.getTrialBalance(params);
+    const account = trialBalance.treasuryAccounts.find(a => a.treasuryAccount === 'OMN-2026');
+    return Object.fromEntries(account.accounts.map(a => [a.accountNumber, a.endingBalance]));
+  };
+
+  const obligate = (overrides = {}) =>
+    obligateFunds(budget, {
+      appropriationId: appropriation.id,
+      organizationId: org.id,
+      obligationDate: '2026-01-15T00:00:00.000Z',
+      ...overrides,
+    });
+
+  const pay = (obligation, amount) => payFunds(obligation, { amount, paymentDate: '2026-03-10T00:00:00.000Z' });
+
+  beforeEach(async () => {
+    ({ fiscalYear, budget, appropriation } = await setupExecution());
+    org = await distributeFunds(appropriation);
+  });
+
+  it('should post each funds event as balanced budgetary and proprietary entries', async () => {
+    const obligation = await obligate();
+    await pay(obligation, 40000);
+
+    const transactions = await ledgerService.getTransactions({ appropriationId: appropriation.id });
+    // Postings are dated by their source; the undated allotment posts at fiscal year end
+    expect(transactions.map(t => `${t.transactionCode} ${t.event} ${t.amount} P${t.period}`)).toEqual([
+      'A100 appropriation 1000000 P1',
+      'A120 apportionment 800000 P1',
+      'B100 obligation 100000 P4',
+      'B110 expenditure 40000 P6',
+      'A130 allotment 600000 P12',
+    ]);
+    expect(transactions.find(t => t.event === 'apportionment')).toMatchObject({ sourceType: 'apportionment', postedBy: 'budget-officer-1' });
+    expect(transactions.find(t => t.event === 'expenditure').entries).toEqual([
+      { accountNumber: '4801', accountType: 'BUDGETARY', debit: 40000, credit: 0 },
+      { accountNumber: '4902', accountType: 'BUDGETARY', debit: 0, credit: 40000 },
+      { accountNumber: '6100', accountType: 'PROPRIETARY', debit: 40000, credit: 0 },
+      { accountNumber: '1010', accountType: 'PROPRIETARY', debit: 0, credit: 40000 },
+      { accountNumber: '3107', accountType: 'PROPRIETARY', debit: 40000, credit: 0 },
+      { accountNumber: '5700', accountType: 'PROPRIETARY', debit: 0, credit: 40000 },
+    ]);
+
+    expect(await balances()).toEqual({
+      '1010': 960000,
+      '3101': -1000000,
+      '3107': 40000,
+      '4119': 1000000,
+      '4450': -200000,
+      '4510': -100000,
+      '4610': -600000,
+      '4801': -60000,
+      '4902': -40000,
+      '5700': -40000,
+      '6100': 40000,
+    });
+    const trialBalance = await ledgerService.getTrialBalance({ fiscalYear: 2026 });
+    expect(trialBalance).toMatchObject({ isBalanced: true, outOfBalance: [] });
+    expect(trialBalance.treasuryAccounts[0].check).toMatchObject({
+      isBalanced: true,
+      budgetary: { resources: 1000000, status: 1000000, abnormalBalances: [] },
+      proprietary: { debits: 1040000, credits: 1040000, abnormalBalances: [] },
+      abnormalBalances: [],
+    });
+    // Obligated before the allotment posted, so drawn from the apportionment
+    expect(transactions.find(t => t.event === 'obligation').entries[0]).toMatchObject({ accountNumber: '4510', debit: 100000 });
+  });
+
+  it('should post decreases reversed and cancel an obligation once nothing is paid on it', async () => {
+    const obligation = await obligate();
+    const payment = await pay(obligation, 40000);
+    // Later changes post in the current period, on top of the balances carried forward
+    const current = { fiscalYear: ussglRules.getAccountingPeriod(new Date()).fiscalYear };
+
+    await obligationService.updateObligation(obligation.id, { amount: 90000 });
+    expect((await balances(current))['4801']).toBe(-50000);
+
+    await expect(obligationService.updateObligation(obligation.id, { status: 'cancelled' })).rejects.toMatchObject({ statusCode: 400 });
+    // Decreases return funds to the apportionment the obligation drew on
+    await obligationService.updateObligation(obligation.id, { amount: 40000 });
+    expect(await balances(current)).toMatchObject({ '4510': -160000, '4610': -600000, '4801': 0, '4902': -40000 });
+
+    await expenditureService.deleteExpenditure(payment.id);
+    await obligationService.updateObligation(obligation.id, { status: 'cancelled' });
+    expect(await balances(current)).toMatchObject({ '4510': -200000, '4610': -600000, '4801': 0, '4902': 0, '1010': 1000000, '6100': 0 });
+
+    const obligationPostings = await ledgerService.getTransactions({ sourceType: 'obligation', sourceId: obligation.id });
+    expect(obligationPostings.map(t => t.amount)).toEqual([100000, -10000, -50000, -40000]);
+    expect(obligationPostings[1]).toMatchObject({ description: 'Obligation of allotted funds (undelivered order) (decrease)' });
+    expect(obligationPostings[1].entries[0]).toEqual({ accountNumber: '4801', accountType: 'BUDGETARY', debit: 10000, credit: 0 });
+    expect((await ledgerService.getTrialBalance(current)).isBalanced).toBe(true);
+  });
+
+  it('should post only the change when a payment is corrected, and reverse it when cancelled', async () => {
+    const obligation = await obligate();
+    const payment = await pay(obligation, 40000);
+    const current = { fiscalYear: ussglRules.getAccountingPeriod(new Date()).fiscalYear };
+
+    await expenditureService.updateExpenditure(payment.id, { amount: 25000 }, 'disbursing-1');
+    expect(await balances(current)).toMatchObject({ '4801': -75000, '4902': -25000, '1010': 975000, '6100': 25000 });
+
+    // A description change leaves the postings alone
+    await expenditureService.updateExpenditure(payment.id, { description: 'Corrected invoice' }, 'disbursing-1');
+    await expenditureService.updateExpenditure(payment.id, { status: 'cancelled' }, 'disbursing-2');
+    expect(await balances(current)).toMatchObject({ '4801': -100000, '4902': 0, '1010': 1000000, '6100': 0 });
+
+    const postings = await ledgerService.getTransactions({ sourceType: 'expenditure', sourceId: payment.id });
+    expect(postings.map(t => `${t.amount} ${t.postedBy}`)).toEqual(['40000 disbursing-1', '-15000 disbursing-1', '-25000 disbursing-2']);
+    expect((await ledgerService.getTrialBalance(current)).isBalanced).toBe(true);
+  });
+
+  it('should report beginning balances and period activity by Treasury account', async () => {
+    await obligate();
+    await obligate({ documentNumber: 'N00024-26-C-0002', obligationDate: '2026-02-03T00:00:00.000Z', amount: 25000 });
+
+    const february = await ledgerService.getTrialBalance({ fiscalYear: 2026, period: 5, treasuryAccount: 'OMN-2026' });
+    const undelivered = february.treasuryAccounts[0].accounts.find(a => a.accountNumber === '4801');
+    expect(undelivered).toMatchObject({ beginningBalance: -100000, debits: 0, credits: 25000, endingBalance: -125000 });
+
+    // Through period 4 the allotment (posted in period 12) has not reached 4610 yet, so nothing is drawn from it
+    const january = await ledgerService.getTrialBalance({ fiscalYear: 2026, period: 4 });
+    expect(january.treasuryAccounts[0].accounts.map(a => a.accountNumber)).not.toContain('4610');
+    expect(january.treasuryAccounts[0].check).toMatchObject({ isBalanced: true, abnormalBalances: [] });
+
+    expect((await ledgerService.getTrialBalance({ fiscalYear: 2026, treasuryAccount: 'OTHER' })).treasuryAccounts).toEqual([]);
+    await expect(ledgerService.getTrialBalance({ fiscalYear: 2026, period: 13 })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('should post new events with a saved transaction code', async () => {
+    await expect(ledgerService.saveTransactionCode({
+      code: 'A100',
+      event: 'obligation',
+      description: 'Reuses the appropriation code',
+      budgetary: [{ debit: '4610', credit: '4801' }],
+    }, 'admin-1')).rejects.toMatchObject({ statusCode: 409 });
+
+    await expect(ledgerService.saveTransactionCode({
+      code: 'B101',
+      event: 'obligation',
+      description: 'Obligation',
+      budgetary: [{ debit: '4610', credit: '1010' }],
+      proprietary: [{ debit: '9999', credit: '1010' }],
+    }, 'admin-1')).rejects.toMatchObject({
+      statusCode: 400,
+      errors: [
+        { field: 'budgetary.0.credit', message: '1010 is not a budgetary account' },
+        { field: 'proprietary.0.debit', message: 'Unknown USSGL account 9999' },
+      ],
+    });
+
+    const first = await obligate();
+    await ledgerService.saveTransactionCode({
+      code: 'B101',
+      event: 'obligation',
+      description: 'Obligation, undelivered order, no advance',
+      budgetary: [{ debit: '4610', credit: '4801' }],
+    }, 'admin-1');
+    const codes = ledgerService.getTransactionCodes();
+    expect(codes.filter(c => c.event === 'obligation')).toEqual([expect.objectContaining({ code: 'B101', builtIn: false })]);
+
+    const second = await obligate({ documentNumber: 'N00024-26-C-0002' });
+    const [firstPosting] = await ledgerService.getTransactions({ sourceId: first.id });
+    const [secondPosting] = await ledgerService.getTransactions({ sourceId: second.id });
+    expect([firstPosting.transactionCode, secondPosting.transactionCode]).toEqual(['B100', 'B101']);
+  });
+
+  it('should flag ledgers with accounts carrying an abnormal balance', () => {
+    const [appropriationCode] = ussglRules.DEFAULT_TRANSACTION_CODES;
+    const obligationCode = ussglRules.DEFAULT_TRANSACTION_CODES.find(c => c.event === 'obligation');
+    const appropriated = ussglRules.buildEntries(appropriationCode, 500);
+
+    // Obligating funds that were never allotted drives 4610 to a debit balance
+    const unallotted = ussglRules.checkBalance(ussglRules.summarizeAccounts([
+      ...appropriated,
+      ...ussglRules.buildEntries(obligationCode, 300),
+    ]));
+    expect(unallotted).toMatchObject({
+      isBalanced: false,
+      budgetary: { resources: 500, status: 500, abnormalBalances: ['4610'], inBalance: false },
+      proprietary: { debits: 500, credits: 500, abnormalBalances: [], inBalance: true },
+      abnormalBalances: ['4610'],
+    });
+
+    // Drawn from unapportioned authority instead, every account keeps its normal balance
+    expect(ussglRules.getFundsAccount({ apportioned: 0, allotted: 0 })).toBe('4450');
+    expect(ussglRules.getFundsAccount({ apportioned: 500, allotted: 0 })).toBe('4510');
+    expect(ussglRules.getFundsAccount({ apportioned: 500, allotted: 400 })).toBe('4610');
+    const unapportioned = ussglRules.checkBalance(ussglRules.summarizeAccounts([
+      ...appropriated,
+      ...ussglRules.buildEntries(obligationCode, 300, '4450'),
+    ]));
+    expect(unapportioned).toMatchObject({ isBalanced: true, abnormalBalances: [] });
+
+    // Periods follow the UTC date, whatever the server's time zone
+    expect(ussglRules.getAccountingPeriod('2025-10-01T00:00:00.000Z')).toEqual({ fiscalYear: 2026, period: 1 });
+    expect(ussglRules.getAccountingPeriod('2025-09-30T23:30:00.000-05:00')).toEqual({ fiscalYear: 2026, period: 1 });
+    expect(ussglRules.getAccountingPeriod('2026-09-30T23:59:59.000Z')).toEqual({ fiscalYear: 2026, period: 12 });
+    expect(ussglRules.buildEntries(appropriationCode, 0)).toEqual([]);
+  });
+
+  it('should post obligations from unapportioned authority before anything is apportioned', async () => {
+    const unapportioned = await appropriationService.createAppropriation({
+      fiscalYearId: fiscalYear.id,
+      code: 'SCN-2026',
+      name: 'Shipbuilding and Conversion, Navy',
+      amount: 500000,
+      expirationDate: '2030-09-30T23:59:59.000Z',
+      type: 'multi_year',
+    });
+    await obligate({ appropriationId: unapportioned.id, organizationId: undefined, amount: 50000 });
+
+    const trialBalance = await ledgerService.getTrialBalance({ fiscalYear: 2026, treasuryAccount: 'SCN-2026' });
+    const [account] = trialBalance.treasuryAccounts;
+    expect(Object.fromEntries(account.accounts.map(a => [a.accountNumber, a.endingBalance])))
+      .toMatchObject({ '4119': 500000, '4450': -450000, '4801': -50000 });
+    expect(account.check).toMatchObject({ isBalanced: true, abnormalBalances: [] });
+  });
+});
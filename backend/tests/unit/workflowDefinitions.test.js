@@ -0,0 +1,182 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { workflowDefinitionService } from '../../src/services/workflowDefinitionService';
+import { budgetService } from '../../src/services/budgetService';
+import { dataStore } from '../../src/services/dataStore';
+import { budgetWorkflow } from '../../src/domain/ppbe';
+
+describe('Workflow Definition Unit Tests', () => {
+  // Field activity graph: one local review in place of the planning, programming and budgeting reviews
+  const fieldActivityGraph = (overrides = {}) => ({
+    name: 'Field activity budget workflow',
+    initialState: 'DRAFT',
+    states: {
+      DRAFT: {
+        code: 'DRAFT', name: 'Draft', phase: 'PLANNING',
+        allowedTransitions: ['LOCAL_REVIEW', 'CANCELLED'], requiredFields: ['title', 'amount'], approvalRequired: false,
+      },
+      LOCAL_REVIEW: {
+        code: 'LOCAL_REVIEW', name: 'Local Review', phase: 'BUDGETING',
+        allowedTransitions: ['EXECUTION', 'REJECTED'], approvalRequired: false,
+      },
+      EXECUTION: {
+        code: 'EXECUTION', name: 'Execution', phase: 'EXECUTION',
+        allowedTransitions: ['CLOSED'], approvalRequired: false, status: 'active',
+        guards: [{ field: 'amount', operator: 'lte', value: 500000, message: 'Requests over $500,000 go to the command' }],
+      },
+      CLOSED: { code: 'CLOSED', name: 'Closed', phase: 'EXECUTION', allowedTransitions: [], approvalRequired: false, terminal: true },
+      REJECTED: { code: 'REJECTED', name: 'Rejected', phase: null, allowedTransitions: [], approvalRequired: false, terminal: true },
+      CANCELLED: { code: 'CANCELLED', name: 'Cancelled', phase: null, allowedTransitions: [], approvalRequired: false, terminal: true },
+    },
+    ...overrides,
+  });
+
+  const createOrganization = (id, parentId) =>
+    dataStore.create('organizations', { id, name: id, code: id, type: 'division', parentId, level: parentId ? 2 : 1, active: true });
+
+  const createBudget = (overrides = {}) =>
+    budgetService.createBudget(
+      { fiscalYearId: 'fy-2027', title: 'Pier maintenance', amount: 400000, department: 'Navy', ...overrides },
+      'analyst-1'
+    );
+
+  beforeEach(() => {
+    dataStore.clear();
+  });
+
+  it('should validate workflow graphs and evaluate guards', () => {
+    const broken = budgetWorkflow.validateWorkflowDefinition({
+      initialState: 'DRAFT',
+      states: {
+        DRAFT: { code: 'DRAFT', allowedTransitions: ['REVIEW'], approvalRequired: false },
+        REVIEW: { code: 'REVIEW', allowedTransitions: ['DONE'], approvalRequired: true, guards: [{ field: 'amount', operator: 'between' }] },
+        ORPHAN: { code: 'ORPHAN', allowedTransitions: ['DRAFT'], approvalRequired: false },
+      },
+    });
+    expect(broken.isValid).toBe(false);
+    expect(broken.errors).toEqual([
+      'Workflow definition must have at least one terminal state',
+      'State REVIEW transitions to undefined state DONE',
+      'State REVIEW requires approval but has no approval level',
+      'State REVIEW has an invalid guard; operators are exists, eq, neq, gt, gte, lt, lte, in',
+    ]);
+    expect(broken.warnings).toEqual(['State ORPHAN cannot be reached from DRAFT']);
+    expect(budgetWorkflow.validateWorkflowDefinition(fieldActivityGraph()).isValid).toBe(true);
+
+    const record = { amount: 400000, workflowData: { contractType: 'FFP' } };
+    expect(budgetWorkflow.evaluateGuard({ field: 'amount', operator: 'lte', value: 500000 }, record)).toBe(true);
+    expect(budgetWorkflow.evaluateGuard({ field: 'workflowData.contractType', operator: 'in', value: ['CPFF'] }, record)).toBe(false);
+    expect(budgetWorkflow.evaluateGuard({ field: 'justification', operator: 'exists' }, record)).toBe(false);
+
+    const workflow = new budgetWorkflow.BudgetWorkflow({ state: 'LOCAL_REVIEW', amount: 750000 }, fieldActivityGraph());
+    expect(workflow.getProgress()).toBe('50.00');
+    expect(workflow.transition('EXECUTION')).toMatchObject({
+      success: false,
+      errors: ['Requests over $500,000 go to the command'],
+    });
+  });
+
+  it('should version definitions without changing earlier versions', async () => {
+    const v1 = await workflowDefinitionService.createDefinition({ key: 'FIELD_ACTIVITY', ...fieldActivityGraph() }, 'admin-1');
+    expect(v1).toMatchObject({ key: 'FIELD_ACTIVITY', version: 1, retired: false });
+
+    await expect(
+      workflowDefinitionService.createDefinition({ key: 'FIELD_ACTIVITY', ...fieldActivityGraph() }, 'admin-1')
+    ).rejects.toMatchObject({ statusCode: 409 });
+    await expect(
+      workflowDefinitionService.createVersion('FIELD_ACTIVITY', fieldActivityGraph({ initialState: 'START' }), 'admin-1')
+    ).rejects.toMatchObject({ statusCode: 400, errors: ['Initial state START is not defined'] });
+
+    const v2 = await workflowDefinitionService.createVersion(
+      'FIELD_ACTIVITY',
+      fieldActivityGraph({ name: 'Field activity budget workflow (FY28)' }),
+      'admin-1'
+    );
+    expect(v2.version).toBe(2);
+    expect((await workflowDefinitionService.getDefinition('FIELD_ACTIVITY', 1)).name).toBe('Field activity budget workflow');
+    expect((await workflowDefinitionService.getVersions('FIELD_ACTIVITY')).map(d => d.version)).toEqual([1, 2]);
+
+    const definitions = await workflowDefinitionService.getDefinitions();
+    expect(definitions.map(d => `${d.key} v${d.version}`)).toEqual(['DOD_PPBE v1', 'FIELD_ACTIVITY v2']);
+  });
+
+  it('should resolve the most specific assignment for an organization and category', async () => {
+    createOrganization('command');
+    createOrganization('field-activity', 'command');
+    await workflowDefinitionService.createDefinition({ key: 'COMMAND', ...fieldActivityGraph() }, 'admin-1');
+    await workflowDefinitionService.createDefinition({ key: 'FACILITIES', ...fieldActivityGraph() }, 'admin-1');
+
+    await workflowDefinitionService.assignDefinition('COMMAND', { organizationId: 'command' }, 'admin-1');
+    await workflowDefinitionService.assignDefinition('FACILITIES', { category: 'facilities' }, 'admin-1');
+    await expect(
+      workflowDefinitionService.assignDefinition('FACILITIES', { category: 'facilities' }, 'admin-1')
+    ).rejects.toMatchObject({ statusCode: 409 });
+
+    const resolve = scope => workflowDefinitionService.resolveDefinition(scope).key;
+    expect(resolve({ organizationId: 'field-activity' })).toBe('COMMAND');
+    expect(resolve({ organizationId: 'field-activity', category: 'facilities' })).toBe('COMMAND');
+    expect(resolve({ category: 'facilities' })).toBe('FACILITIES');
+    expect(resolve({})).toBe('DOD_PPBE');
+
+    await workflowDefinitionService.assignDefinition(
+      'FACILITIES',
+      { organizationId: 'command', category: 'facilities' },
+      'admin-1'
+    );
+    expect(resolve({ organizationId: 'field-activity', category: 'facilities' })).toBe('FACILITIES');
+
+    // The built-in graph can be assigned to opt a child organization out of its parent's
+    await workflowDefinitionService.assignDefinition('DOD_PPBE', { organizationId: 'field-activity' }, 'admin-1');
+    expect(resolve({ organizationId: 'field-activity' })).toBe('DOD_PPBE');
+  });
+
+  it('should keep budgets pinned to the version they started with', async () => {
+    createOrganization('field-activity');
+    const v1 = await workflowDefinitionService.createDefinition({ key: 'FIELD_ACTIVITY', ...fieldActivityGraph() }, 'admin-1');
+    await workflowDefinitionService.assignDefinition('FIELD_ACTIVITY', { organizationId: 'field-activity' }, 'admin-1');
+
+    const budget = await createBudget({ organizationId: 'field-activity' });
+    expect(budget).toMatchObject({ workflowDefinitionId: v1.id, workflowDefinitionVersion: 1, workflowState: 'DRAFT' });
+    expect((await createBudget()).workflowDefinitionId).toBeUndefined();
+
+    // v2 adds a command review step; the pinned budget keeps the v1 graph
+    const graph = fieldActivityGraph();
+    graph.states.LOCAL_REVIEW.allowedTransitions = ['COMMAND_REVIEW', 'REJECTED'];
+    graph.states.COMMAND_REVIEW = {
+      code: 'COMMAND_REVIEW', name: 'Command Review', phase: 'BUDGETING', allowedTransitions: ['EXECUTION'], approvalRequired: false,
+    };
+    await workflowDefinitionService.createVersion('FIELD_ACTIVITY', graph, 'admin-1');
+    expect((await createBudget({ organizationId: 'field-activity' })).workflowDefinitionVersion).toBe(2);
+
+    await budgetService.transitionWorkflow(budget.id, 'LOCAL_REVIEW', {}, 'analyst-1');
+    const { budget: executing } = await budgetService.transitionWorkflow(budget.id, 'EXECUTION', {}, 'analyst-1');
+    expect(executing).toMatchObject({ workflowState: 'EXECUTION', status: 'active', workflowDefinitionVersion: 1 });
+
+    const status = await budgetService.getWorkflowStatus(budget.id);
+    expect(status.definition).toEqual({ key: 'FIELD_ACTIVITY', version: 1, name: 'Field activity budget workflow' });
+    expect(status.progress).toBe(75);
+  });
+
+  it('should enforce guards on transitions and stop assigning retired definitions', async () => {
+    await workflowDefinitionService.createDefinition({ key: 'FACILITIES', ...fieldActivityGraph() }, 'admin-1');
+    await workflowDefinitionService.assignDefinition('FACILITIES', { category: 'facilities' }, 'admin-1');
+
+    const budget = await createBudget({ category: 'facilities', amount: 900000 });
+    await budgetService.transitionWorkflow(budget.id, 'LOCAL_REVIEW', {}, 'analyst-1');
+    await expect(
+      budgetService.transitionWorkflow(budget.id, 'EXECUTION', {}, 'analyst-1')
+    ).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Guard conditions not met',
+      errors: [{ field: 'toState', message: 'Requests over $500,000 go to the command' }],
+    });
+
+    await expect(workflowDefinitionService.retireDefinition('DOD_PPBE')).rejects.toMatchObject({ statusCode: 400 });
+    const retired = await workflowDefinitionService.retireDefinition('FACILITIES');
+    expect(retired.retired).toBe(true);
+    expect(await workflowDefinitionService.getAssignments()).toEqual([]);
+    expect((await createBudget({ category: 'facilities' })).workflowDefinitionId).toBeUndefined();
+
+    const { budget: rejected } = await budgetService.transitionWorkflow(budget.id, 'REJECTED', {}, 'analyst-1');
+    expect(rejected).toMatchObject({ workflowState: 'REJECTED', status: 'rejected' });
+  });
+});
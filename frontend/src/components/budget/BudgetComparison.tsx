@@ -1,13 +1,53 @@
-import React, { useState } from 'react';
-import { Card, CardHeader, CardContent, Badge } from '../ui';
-import { Budget } from '@/types';
+import React, { useEffect, useMemo, useState } from 'react';
+import { Card, CardHeader, CardContent, Badge, Select } from '../ui';
+import { Budget, DollarBasis, DollarBasisTarget } from '@/types';
+import { convertDollars } from '../../services/api';
 
 interface BudgetComparisonProps {
   budgets: Budget[];
+  /** Returns the factor that restates a budget's amounts in the target basis */
+  convert?: (budget: Budget, target: DollarBasisTarget) => Promise<number>;
 }
 
-export function BudgetComparison({ budgets }: BudgetComparisonProps) {
+// Restates one dollar of the budget through the index table of its appropriation type
+async function convertByIndex(budget: Budget, target: DollarBasisTarget): Promise<number> {
+  const response = await convertDollars({
+    amount: 1,
+    appropriationType: budget.appropriationType,
+    fiscalYear: budget.fiscalYear,
+    from: { basis: budget.dollarBasis || DollarBasis.THEN_YEAR, year: budget.dollarYear },
+    to: target,
+  });
+  return response.data.data.conversion.factor;
+}
+
+const basisOptions = [
+  { value: DollarBasis.THEN_YEAR, label: 'Then-year (TY)' },
+  { value: DollarBasis.CONSTANT_YEAR, label: 'Constant-year (CY)' },
+  { value: DollarBasis.BASE_YEAR, label: 'Base-year (BY)' },
+];
+
+function describeBasis(target: DollarBasisTarget): string {
+  switch (target.basis) {
+    case DollarBasis.CONSTANT_YEAR:
+      return `Constant FY${target.year} dollars`;
+    case DollarBasis.BASE_YEAR:
+      return 'Base-year dollars';
+    default:
+      return 'Then-year dollars';
+  }
+}
+
+function isInBasis(budget: Budget, target: DollarBasisTarget): boolean {
+  const basis = budget.dollarBasis || DollarBasis.THEN_YEAR;
+  return basis === target.basis && (basis !== DollarBasis.CONSTANT_YEAR || budget.dollarYear === target.year);
+}
+
+export function BudgetComparison({ budgets, convert = convertByIndex }: BudgetComparisonProps) {
   const [selectedBudgets, setSelectedBudgets] = useState<string[]>([]);
+  const [target, setTarget] = useState<DollarBasisTarget>({ basis: DollarBasis.THEN_YEAR });
+  // Conversion factor per budget; null when the budget cannot be restated
+  const [factors, setFactors] = useState<Record<string, number | null>>({});
 
   const toggleBudget = (id: string) => {
     setSelectedBudgets(prev =>
@@ -15,7 +55,38 @@ export function BudgetComparison({ budgets }: BudgetComparisonProps) {
     );
   };
 
-  const comparedBudgets = budgets.filter(b => selectedBudgets.includes(b.id));
+  const comparedBudgets = useMemo(
+    () => budgets.filter(b => selectedBudgets.includes(b.id)),
+    [budgets, selectedBudgets]
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+
+    Promise.all(
+      comparedBudgets.map(async (budget): Promise<[string, number | null]> => {
+        if (isInBasis(budget, target)) return [budget.id, 1];
+        try {
+          return [budget.id, await convert(budget, target)];
+        } catch {
+          return [budget.id, null];
+        }
+      })
+    ).then(entries => {
+      if (!cancelled) setFactors(Object.fromEntries(entries));
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [comparedBudgets, target, convert]);
+
+  const formatAmount = (budget: Budget, amount: number) => {
+    const factor = factors[budget.id];
+    return factor === undefined || factor === null
+      ? 'N/A'
+      : `$${Math.round(amount * factor).toLocaleString()}`;
+  };
 
   return (
     <div className="space-y-6">
@@ -59,8 +130,33 @@ export function BudgetComparison({ budgets }: BudgetComparisonProps) {
       {/* Comparison View */}
       {comparedBudgets.length > 0 && (
         <Card>
-          <CardHeader title="Budget Comparison" subtitle={`Comparing ${comparedBudgets.length} budgets`} />
+          <CardHeader
+            title="Budget Comparison"
+            subtitle={`Comparing ${comparedBudgets.length} budgets in ${describeBasis(target)}`}
+          />
           <CardContent>
+            <div className="flex items-end gap-4 mb-4">
+              <Select
+                label="Dollar Basis"
+                options={basisOptions}
+                value={target.basis}
+                onChange={(e) => setTarget({ ...target, basis: e.target.value as DollarBasis })}
+              />
+              {target.basis === DollarBasis.CONSTANT_YEAR && (
+                <div>
+                  <label htmlFor="constant-year" className="block text-sm font-medium text-gray-700 mb-1">
+                    Constant FY
+                  </label>
+                  <input
+                    id="constant-year"
+                    type="number"
+                    className="border border-gray-300 rounded-md px-3 py-2 w-28"
+                    value={target.year ?? ''}
+                    onChange={(e) => setTarget({ ...target, year: parseInt(e.target.value, 10) || undefined })}
+                  />
+                </div>
+              )}
+            </div>
             <div className="overflow-x-auto">
               <table className="min-w-full divide-y divide-gray-200">
                 <thead className="bg-gray-50">
@@ -95,7 +191,7 @@ export function BudgetComparison({ budgets }: BudgetComparisonProps) {
                     </td>
                     {comparedBudgets.map((budget) => (
                       <td key={budget.id} className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                        ${budget.totalAmount.toLocaleString()}
+                        {formatAmount(budget, budget.totalAmount)}
                       </td>
                     ))}
                   </tr>
@@ -105,7 +201,7 @@ export function BudgetComparison({ budgets }: BudgetComparisonProps) {
                     </td>
                     {comparedBudgets.map((budget) => (
                       <td key={budget.id} className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                        ${budget.allocatedAmount.toLocaleString()}
+                        {formatAmount(budget, budget.allocatedAmount)}
                       </td>
                     ))}
                   </tr>
@@ -115,7 +211,7 @@ export function BudgetComparison({ budgets }: BudgetComparisonProps) {
                     </td>
                     {comparedBudgets.map((budget) => (
                       <td key={budget.id} className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                        ${budget.remainingAmount.toLocaleString()}
+                        {formatAmount(budget, budget.remainingAmount)}
                       </td>
                     ))}
                   </tr>
@@ -1,5 +1,6 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { getBudgets, createBudget, updateBudget, deleteBudget, getFiscalYears } from '../services/api';
+import { BudgetComparison } from '../components';
 
 function Budgets() {
   const [budgets, setBudgets] = useState([]);
@@ -27,6 +28,16 @@ function Budgets() {
     loadData();
   }, [filters]);
 
+  // The comparison reads budgets by their totals
+  const comparableBudgets = useMemo(() => budgets.map(budget => ({
+    ...budget,
+    name: budget.title,
+    totalAmount: Number(budget.amount),
+    allocatedAmount: budget.allocatedAmount || 0,
+    remainingAmount: Number(budget.amount) - (budget.allocatedAmount || 0),
+    lineItems: budget.lineItems || []
+  })), [budgets]);
+
   const loadData = async () => {
     try {
       const [budgetsRes, fiscalYearsRes] = await Promise.all([
@@ -227,6 +238,10 @@ function Budgets() {
         )}
       </div>
 
+      {budgets.length > 1 && (
+        <BudgetComparison budgets={comparableBudgets} />
+      )}
+
       {showModal && (
         <div className="modal-overlay" onClick={() => setShowModal(false)}>
           <div className="modal" onClick={(e) => e.stopPropagation()}>
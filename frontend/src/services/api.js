@@ -59,6 +59,13 @@ export const updateBudget = (id, data) =>
 export const deleteBudget = (id) => 
   api.delete(`/budgets/${id}`);
 
+// Inflation indices and dollar basis conversion
+export const getInflationIndices = (params) => 
+  api.get('/inflation/indices', { params });
+
+export const convertDollars = (data) => 
+  api.post('/inflation/convert', data);
+
 // Programs
 export const getPrograms = (params) => 
   api.get('/programs', { params });
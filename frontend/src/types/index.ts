@@ -37,6 +37,9 @@ export interface Budget {
   totalAmount: number;
   allocatedAmount: number;
   remainingAmount: number;
+  appropriationType?: string;
+  dollarBasis?: DollarBasis;
+  dollarYear?: number;
   lineItems: BudgetLineItem[];
   createdBy: string;
   createdAt: string;
@@ -56,6 +59,18 @@ export enum BudgetStatus {
   CLOSED = 'closed'
 }
 
+// Then-year, constant-year or base-year dollars (see backend PPBE-017)
+export enum DollarBasis {
+  THEN_YEAR = 'TY',
+  CONSTANT_YEAR = 'CY',
+  BASE_YEAR = 'BY'
+}
+
+export interface DollarBasisTarget {
+  basis: DollarBasis;
+  year?: number;
+}
+
 export interface BudgetLineItem {
   id: string;
   budgetId: string;
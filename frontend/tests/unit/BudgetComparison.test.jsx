@@ -0,0 +1,98 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { BudgetComparison } from '../../src/components/budget/BudgetComparison';
+import * as api from '../../src/services/api';
+
+// Mock the API module
+vi.mock('../../src/services/api', () => ({
+  convertDollars: vi.fn()
+}));
+
+describe('BudgetComparison Component', () => {
+  const budget = (id, overrides) => ({
+    id,
+    name: `Budget ${id}`,
+    fiscalYear: 2026,
+    status: 'approved',
+    totalAmount: 1000000,
+    allocatedAmount: 400000,
+    remainingAmount: 600000,
+    appropriationType: 'OM',
+    lineItems: [],
+    ...overrides
+  });
+  const budgets = [budget('a'), budget('b', { fiscalYear: 2027, totalAmount: 2000000 })];
+
+  const compare = async (user, ...names) => {
+    for (const name of names) {
+      await user.click(screen.getByText(name));
+    }
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should show then-year amounts without converting them', async () => {
+    const user = userEvent.setup();
+    render(<BudgetComparison budgets={budgets} />);
+
+    await compare(user, 'Budget a', 'Budget b');
+
+    // The second total is shown on its card and in the comparison
+    await waitFor(() => expect(screen.getAllByText('$2,000,000')).toHaveLength(2));
+    expect(screen.queryByText('N/A')).not.toBeInTheDocument();
+    expect(api.convertDollars).not.toHaveBeenCalled();
+  });
+
+  it('should restate budgets through the inflation conversion endpoint by default', async () => {
+    api.convertDollars.mockImplementation(async ({ fiscalYear }) => ({
+      data: { success: true, data: { amount: 1, conversion: { factor: fiscalYear === 2026 ? 0.98 : 0.95 } } }
+    }));
+    const user = userEvent.setup();
+    render(<BudgetComparison budgets={budgets} />);
+
+    await compare(user, 'Budget a', 'Budget b');
+    await user.selectOptions(screen.getByLabelText('Dollar Basis'), 'BY');
+
+    expect(await screen.findByText('$980,000')).toBeInTheDocument();
+    expect(screen.getByText('$1,900,000')).toBeInTheDocument();
+    expect(api.convertDollars).toHaveBeenCalledWith({
+      amount: 1,
+      appropriationType: 'OM',
+      fiscalYear: 2026,
+      from: { basis: 'TY', year: undefined },
+      to: { basis: 'BY' }
+    });
+  });
+
+  it('should show N/A for a budget that cannot be converted', async () => {
+    const convert = vi.fn().mockRejectedValue(new Error('No inflation index table is loaded'));
+    const user = userEvent.setup();
+    render(<BudgetComparison budgets={budgets} convert={convert} />);
+
+    await compare(user, 'Budget a');
+    await user.selectOptions(screen.getByLabelText('Dollar Basis'), 'BY');
+
+    await waitFor(() => expect(screen.getAllByText('N/A')).toHaveLength(3));
+    expect(api.convertDollars).not.toHaveBeenCalled();
+  });
+
+  it('should convert again when the budgets or the conversion change', async () => {
+    const user = userEvent.setup();
+    const { rerender } = render(<BudgetComparison budgets={budgets} convert={async () => 1.5} />);
+
+    await compare(user, 'Budget a');
+    await user.selectOptions(screen.getByLabelText('Dollar Basis'), 'BY');
+    expect(await screen.findByText('$1,500,000')).toBeInTheDocument();
+
+    rerender(<BudgetComparison budgets={budgets} convert={async () => 2.5} />);
+    expect(await screen.findByText('$2,500,000')).toBeInTheDocument();
+
+    // Restated in base-year dollars, the budget needs no conversion
+    const restated = [budget('a', { dollarBasis: 'BY', totalAmount: 1200000 }), budgets[1]];
+    rerender(<BudgetComparison budgets={restated} convert={async () => 2.5} />);
+    await waitFor(() => expect(screen.getAllByText('$1,200,000')).toHaveLength(2));
+  });
+});